@@ -1,6 +1,6 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
 import { 
-  generateCorrelationId, 
+  resolveCorrelationId,
   createLogger, 
   ErrorCodes, 
   createErrorResponse, 
@@ -17,6 +17,7 @@ import {
   buildCoTPrompt,
   CoTStages
 } from './lib/utils.js';
+import { lintArchitecture } from './lib/archLinter.js';
 
 /**
  * AI Architecture Analysis Function
@@ -27,6 +28,7 @@ import {
  * - 3.3: Explicit 5-stage CoT reasoning
  * - 3.4: Structured CoT output with reasoning_steps
  * - 3.5: Output validation with schema checks
+ * - Deterministic lint findings alongside the LLM analysis
  */
 
 // 3.1: Extracted helper - prepares services for LLM
@@ -186,7 +188,7 @@ function validateAnalysisResult(result) {
 }
 
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'analyzeArchitecture');
   const startTime = Date.now();
 
@@ -211,9 +213,10 @@ Deno.serve(async (req) => {
     logger.info('Analyzing project', { project_id });
 
     // Parallel data fetching
-    const [projects, services] = await Promise.all([
+    const [projects, services, integrations] = await Promise.all([
       base44.entities.Project.filter({ id: project_id }),
-      base44.entities.Service.filter({ project_id })
+      base44.entities.Service.filter({ project_id }),
+      base44.entities.APIIntegration.filter({ project_id })
     ]);
 
     const project = projects[0];
@@ -253,9 +256,13 @@ Deno.serve(async (req) => {
       stages_completed: cotResult.stages_completed?.length || 0
     });
 
+    // Reproducible findings that do not depend on the LLM run
+    const lint = lintArchitecture({ services, integrations });
+
     return createSuccessResponse({
       project_id,
       analysis: cotResult.final_answer,
+      lint,
       reasoning: {
         stages_completed: cotResult.stages_completed,
         steps: cotResult.reasoning_steps,
@@ -8,11 +8,39 @@ import {
   validateRequired,
   validateEnum,
   hasPermission,
+  canAccess,
   Permissions,
   sanitiseString,
   redactPII,
   auditLog
 } from './lib/utils.js';
+import {
+  RateLimitAlgorithms,
+  getRateLimitStore,
+  createRateLimiter,
+  resolveQuota,
+  mostRestrictive,
+  rateLimitHeaders
+} from './lib/rateLimit.js';
+import { invokeBackend, getCircuitBreaker, failureError } from './lib/serviceRouter.js';
+import {
+  JobStatuses,
+  isTerminal,
+  MAX_BATCH_SIZE,
+  validateBatch,
+  validateCallbackUrl,
+  resolveRetentionHours,
+  buildJobRecords,
+  buildRunningUpdate,
+  buildCompletionUpdate,
+  buildRunErrorUpdate,
+  isExpired,
+  buildExpiryUpdate,
+  toJobView,
+  summariseBatch,
+  sendJobCallback,
+  getJobClaimStore
+} from './lib/jobs.js';
 
 /**
  * API Gateway
@@ -20,96 +48,311 @@ import {
  * 
  * Features:
  * - Coarse-grained RBAC authorization
- * - Rate limiting per user/IP
+ * - Rate limiting per user and per route, with role-based quotas
  * - Request/response logging
- * - Intelligent routing to backend functions
+ * - Routing to backend functions with per-route timeouts and retries
+ * - Circuit breaker per backend function
  * - Correlation ID propagation
- * - Structured error handling
+ * - Unified response envelope and structured error handling
+ * - Batch/async job mode with polling, callbacks, cancellation and
+ *   result retention
  */
 
 // ============================================
-// RATE LIMITING
+// ROUTE CONFIGURATION
 // ============================================
 
-const rateLimiter = new Map();
-const RATE_LIMIT_WINDOW_MS = 60000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 100; // 100 requests per minute per user
-
-function checkRateLimit(identifier, logger) {
-  const now = Date.now();
-  const userLimit = rateLimiter.get(identifier) || { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
-
-  // Reset if window expired
-  if (now > userLimit.resetAt) {
-    userLimit.count = 0;
-    userLimit.resetAt = now + RATE_LIMIT_WINDOW_MS;
-  }
-
-  userLimit.count++;
-  rateLimiter.set(identifier, userLimit);
-
-  const remaining = Math.max(0, RATE_LIMIT_MAX_REQUESTS - userLimit.count);
-  const resetIn = Math.ceil((userLimit.resetAt - now) / 1000);
-
-  if (userLimit.count > RATE_LIMIT_MAX_REQUESTS) {
-    logger.warn('Rate limit exceeded', { identifier, count: userLimit.count });
-    return {
-      allowed: false,
-      remaining: 0,
-      resetIn
-    };
-  }
+// Applies to every request from a user, across all routes
+const DEFAULT_RATE_LIMIT = {
+  algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+  windowMs: 60000,
+  limits: { admin: 300, user: 100, viewer: 50, default: 20 }
+};
 
-  return {
-    allowed: true,
-    remaining,
-    resetIn
-  };
-}
+// LLM-backed routes are expensive; token buckets allow short bursts
+const LLM_RATE_LIMIT = {
+  algorithm: RateLimitAlgorithms.TOKEN_BUCKET,
+  windowMs: 60000,
+  limits: { admin: 30, user: 10, viewer: 5, default: 2 }
+};
 
-// ============================================
-// ROUTE CONFIGURATION
-// ============================================
+// Backend invocation defaults; routes override timeoutMs and maxRetries.
+// Routes that persist results are marked idempotent: false
+const DEFAULT_INVOCATION = {
+  timeoutMs: 30000,
+  maxRetries: 2,
+  circuitBreaker: { failureThreshold: 5, resetTimeoutMs: 30000 }
+};
 
 const ROUTES = {
   'analyze-architecture': {
     function: 'analyzeArchitecture',
     permission: Permissions.PROJECT_READ,
-    description: 'Analyze microservices architecture'
+    description: 'Analyze microservices architecture',
+    timeoutMs: 90000,
+    maxRetries: 1,
+    rateLimit: LLM_RATE_LIMIT
+  },
+  'lint-architecture': {
+    function: 'lintArchitecture',
+    permission: Permissions.PROJECT_READ,
+    description: 'Run the deterministic architecture linter',
+    timeoutMs: 30000,
+    maxRetries: 2,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 60, user: 30, viewer: 10, default: 5 }
+    }
+  },
+  'custom-rules': {
+    function: 'manageCustomRules',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Validate, preview, save, import and export custom lint rules',
+    timeoutMs: 30000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 500000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 120, user: 60, viewer: 10, default: 5 }
+    }
+  },
+  'arch-spec': {
+    function: 'manageArchitectureSpec',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Export archdesigner.yaml, plan it against the project and apply the reviewed plan',
+    timeoutMs: 60000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 600000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 60, user: 30, viewer: 5, default: 2 }
+    }
+  },
+  'ai-memory': {
+    function: 'manageAIMemory',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Retention policy, compaction, forgetting and per-user purge of AI context memory',
+    timeoutMs: 180000,
+    maxRetries: 0,
+    idempotent: false,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 60, user: 20, viewer: 5, default: 2 }
+    }
+  },
+  'embed-text': {
+    function: 'embedText',
+    permission: Permissions.PROJECT_READ,
+    description: 'Embed passages and queries for the AI context index',
+    timeoutMs: 20000,
+    maxRetries: 1,
+    maxPayloadBytes: 600000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 240, user: 120, viewer: 60, default: 10 }
+    }
+  },
+  'test-reports': {
+    function: 'ingestTestReports',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Ingest JUnit/TAP/Jest test reports and compute flaky-test statistics',
+    timeoutMs: 60000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 10000000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 60, user: 30, viewer: 5, default: 2 }
+    }
+  },
+  'telemetry': {
+    function: 'ingestTelemetry',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Ingest OTLP/Jaeger/Prometheus telemetry, summarise service health and the observed call graph',
+    timeoutMs: 60000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 10000000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 240, user: 120, viewer: 20, default: 5 }
+    }
+  },
+  'github': {
+    function: 'githubConnector',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Connect GitHub, propose services from repository manifests, read files and open pull requests',
+    timeoutMs: 120000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 1000000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 30, user: 15, viewer: 5, default: 2 }
+    }
+  },
+  'jira': {
+    function: 'jiraConnector',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Connect Jira, sync Tasks with issues both ways and resolve sync conflicts',
+    timeoutMs: 120000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 50000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 30, user: 15, viewer: 5, default: 2 }
+    }
   },
   'security-scan': {
     function: 'securityScan',
     permission: Permissions.SECURITY_SCAN,
-    description: 'Perform security vulnerability scan'
+    description: 'Perform security vulnerability scan',
+    timeoutMs: 120000,
+    maxRetries: 1,
+    idempotent: false,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.TOKEN_BUCKET,
+      windowMs: 300000,
+      limits: { admin: 20, user: 5, default: 1 }
+    }
+  },
+  'security-audit': {
+    function: 'securityAudit',
+    permission: Permissions.SECURITY_SCAN,
+    description: 'Run a full security and compliance audit',
+    timeoutMs: 180000,
+    maxRetries: 1,
+    idempotent: false,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.TOKEN_BUCKET,
+      windowMs: 300000,
+      limits: { admin: 20, user: 5, default: 1 }
+    }
   },
   'generate-documentation': {
     function: 'generateDocumentation',
     permission: Permissions.PROJECT_READ,
-    description: 'Generate project documentation'
+    description: 'Generate project documentation',
+    timeoutMs: 90000,
+    maxRetries: 1,
+    idempotent: false,
+    rateLimit: LLM_RATE_LIMIT
   },
   'generate-cicd': {
     function: 'generateCICD',
     permission: Permissions.PROJECT_WRITE,
-    description: 'Generate CI/CD pipeline configuration'
+    description: 'Generate CI/CD pipeline configuration',
+    timeoutMs: 90000,
+    maxRetries: 1,
+    idempotent: false,
+    rateLimit: LLM_RATE_LIMIT
   },
   'generate-code': {
     function: 'generateCode',
     permission: Permissions.PROJECT_WRITE,
-    description: 'Generate service code scaffolding'
+    description: 'Generate a service project tree with CI pipeline, OpenAPI spec and syntax check',
+    timeoutMs: 180000,
+    maxRetries: 1,
+    idempotent: false,
+    rateLimit: LLM_RATE_LIMIT
   },
   'project-health-check': {
     function: 'projectHealthCheck',
     permission: Permissions.PROJECT_READ,
-    description: 'Check project health metrics'
+    description: 'Check project health metrics',
+    timeoutMs: 15000,
+    maxRetries: 2,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 120, user: 60, viewer: 30, default: 10 }
+    }
   },
   'export-project': {
     function: 'exportProject',
     permission: Permissions.PROJECT_EXPORT,
-    description: 'Export project data'
+    description: 'Export project data',
+    timeoutMs: 30000,
+    maxRetries: 2,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 3600000,
+      limits: { admin: 100, user: 20, default: 5 }
+    }
+  },
+  'import-project': {
+    function: 'importProject',
+    permission: Permissions.PROJECT_WRITE,
+    description: 'Import a project from exportProject JSON or bundle',
+    timeoutMs: 60000,
+    maxRetries: 0,
+    idempotent: false,
+    maxPayloadBytes: 5000000,
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 3600000,
+      limits: { admin: 50, user: 10, default: 2 }
+    }
+  }
+};
+
+// Job routes are handled by the gateway itself. Calls inside a batch are
+// checked against the permission and quota of their own route
+const JOB_ROUTES = {
+  'job-submit': {
+    permission: Permissions.PROJECT_READ,
+    description: 'Queue a batch of route calls as background jobs',
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 30, user: 10, viewer: 5, default: 2 }
+    }
+  },
+  'job-status': {
+    permission: Permissions.PROJECT_READ,
+    description: 'Poll job progress and results',
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 240, user: 120, viewer: 60, default: 20 }
+    }
+  },
+  'job-cancel': {
+    permission: Permissions.PROJECT_READ,
+    description: 'Cancel queued or running jobs',
+    rateLimit: {
+      algorithm: RateLimitAlgorithms.SLIDING_WINDOW,
+      windowMs: 60000,
+      limits: { admin: 60, user: 30, viewer: 10, default: 5 }
+    }
+  },
+  // Internal: executes one queued job. Quota was charged at submit time
+  'job-run': {
+    permission: Permissions.PROJECT_READ,
+    description: 'Execute a queued job',
+    rateLimit: null
   }
 };
 
-const ALLOWED_ROUTES = Object.keys(ROUTES);
+// Calls to these routes are audit logged
+const SENSITIVE_ROUTES = ['security-scan', 'security-audit', 'export-project'];
+
+// Queued jobs not picked up within this window are dispatched again
+const JOB_REDISPATCH_MS = 30000;
+
+const ALLOWED_ROUTES = [...Object.keys(ROUTES), ...Object.keys(JOB_ROUTES)];
 
 // ============================================
 // HELPER FUNCTIONS
@@ -120,9 +363,10 @@ function validateRoute(route) {
 }
 
 function getRouteConfig(route) {
-  return ROUTES[route];
+  return ROUTES[route] || JOB_ROUTES[route];
 }
 
+// Routes may raise the limit with maxPayloadBytes
 function sanitizePayload(payload, maxSize = 50000) {
   if (!payload || typeof payload !== 'object') {
     return payload;
@@ -156,6 +400,428 @@ function buildResponseLog(statusCode, executionTime, route) {
   };
 }
 
+// ============================================
+// RATE LIMITING
+// ============================================
+
+function rateLimitIdentifier(user) {
+  return user.id || user.email;
+}
+
+async function checkRateLimit(key, config, user, logger) {
+  const store = await getRateLimitStore(logger);
+  const limiter = createRateLimiter(store);
+  const decision = await limiter.check(key, resolveQuota(config, user.role));
+
+  if (!decision.allowed) {
+    logger.warn('Rate limit exceeded', { key, policy: decision.policy });
+  }
+  return decision;
+}
+
+function withHeaders(response, headers) {
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+function buildRateLimitedResponse(decision, correlationId) {
+  return Response.json({
+    success: false,
+    error: {
+      code: ErrorCodes.RATE_LIMITED.code,
+      message: 'Rate limit exceeded. Please try again later.',
+      retryable: true,
+      correlationId,
+      rate_limit: {
+        limit: decision.limit,
+        remaining: 0,
+        reset_in_seconds: decision.resetIn,
+        retry_after_seconds: decision.retryAfter
+      }
+    }
+  }, {
+    status: ErrorCodes.RATE_LIMITED.status,
+    headers: {
+      'X-Correlation-ID': correlationId
+    }
+  });
+}
+
+// ============================================
+// RESPONSE ENVELOPE
+// ============================================
+
+function buildGatewayMetadata(route, routeConfig, result, executionTime, rateCheck) {
+  return {
+    route,
+    function: routeConfig.function,
+    execution_time_ms: executionTime,
+    attempts: result.attempts,
+    circuit_state: result.circuit_state,
+    rate_limit: buildRateLimitMetadata(rateCheck)
+  };
+}
+
+function buildJobMetadata(route, executionTime, rateCheck) {
+  return {
+    route,
+    execution_time_ms: executionTime,
+    rate_limit: buildRateLimitMetadata(rateCheck)
+  };
+}
+
+function buildRateLimitMetadata(rateCheck) {
+  return {
+    limit: rateCheck.limit,
+    remaining: rateCheck.remaining,
+    reset_in_seconds: rateCheck.resetIn,
+    policy: rateCheck.policy
+  };
+}
+
+// Backends already answer with { success, data, meta }; unwrap so callers
+// get one envelope rather than one nested inside another
+function buildSuccessEnvelope(result, gatewayMetadata, correlationId) {
+  const body = result.data;
+  const isEnvelope = body && typeof body === 'object' && body.success === true && 'data' in body;
+
+  return Response.json({
+    success: true,
+    correlationId,
+    data: isEnvelope ? body.data : body,
+    ...(isEnvelope && body.meta ? { meta: body.meta } : {}),
+    gateway_metadata: gatewayMetadata
+  }, {
+    status: result.status,
+    headers: {
+      'X-Correlation-ID': correlationId
+    }
+  });
+}
+
+function buildFailureEnvelope(failure, statusCode, gatewayMetadata, correlationId) {
+  return Response.json({
+    success: false,
+    error: failureError(failure, correlationId),
+    gateway_metadata: gatewayMetadata
+  }, {
+    status: statusCode,
+    headers: {
+      'X-Correlation-ID': correlationId
+    }
+  });
+}
+
+function buildJobEnvelope(data, gatewayMetadata, correlationId, statusCode = 200) {
+  return Response.json({
+    success: true,
+    correlationId,
+    data,
+    gateway_metadata: gatewayMetadata
+  }, {
+    status: statusCode,
+    headers: {
+      'X-Correlation-ID': correlationId
+    }
+  });
+}
+
+// ============================================
+// BACKEND DISPATCH
+// ============================================
+
+// Calls are made as the calling user, so backend ownership checks still apply
+function dispatchToBackend(base44, routeConfig, payload, correlationId, logger) {
+  // Propagate correlation ID in payload
+  const enrichedPayload = {
+    ...payload,
+    _correlation_id: correlationId,
+    _gateway_timestamp: new Date().toISOString()
+  };
+
+  logger.info('Invoking backend function', { 
+    function: routeConfig.function,
+    correlation_id: correlationId 
+  });
+
+  return invokeBackend({
+    name: routeConfig.function,
+    payload: enrichedPayload,
+    invoke: (name, data) => base44.functions.invoke(name, data),
+    logger,
+    timeoutMs: routeConfig.timeoutMs ?? DEFAULT_INVOCATION.timeoutMs,
+    maxRetries: routeConfig.maxRetries ?? DEFAULT_INVOCATION.maxRetries,
+    idempotent: routeConfig.idempotent !== false,
+    breaker: getCircuitBreaker(routeConfig.function, DEFAULT_INVOCATION.circuitBreaker)
+  });
+}
+
+// ============================================
+// JOBS
+// ============================================
+
+function readCallbackSecret() {
+  try {
+    return Deno.env.get('JOB_CALLBACK_SECRET');
+  } catch {
+    return undefined;
+  }
+}
+
+// Runs the job in its own gateway invocation; the caller does not wait.
+// Jobs lost here stay queued and are dispatched again by job-status
+function dispatchJob(base44, job, logger) {
+  base44.functions.invoke('apiGateway', { route: 'job-run', payload: { job_id: job.id } })
+    .catch(error => logger.warn('Job dispatch failed', { job_id: job.id, error: error.message }));
+}
+
+async function findJobs(base44, { job_ids, batch_id, project_id, route }) {
+  if (batch_id) {
+    return base44.entities.GatewayJob.filter({ batch_id }, 'batch_index');
+  }
+  if (Array.isArray(job_ids) && job_ids.length > 0) {
+    const results = await Promise.all(
+      job_ids.slice(0, MAX_BATCH_SIZE).map(id => base44.entities.GatewayJob.filter({ id }))
+    );
+    return results.flat();
+  }
+  if (project_id) {
+    return base44.entities.GatewayJob.filter(
+      route ? { project_id, route } : { project_id },
+      '-created_date',
+      MAX_BATCH_SIZE
+    );
+  }
+  return null;
+}
+
+async function findOwnedJob(base44, user, jobId) {
+  const [job] = await base44.entities.GatewayJob.filter({ id: jobId });
+  return job && canAccess(user, job) ? job : null;
+}
+
+function batchResponse(jobs) {
+  return { jobs: jobs.map(toJobView), batch: summariseBatch(jobs) };
+}
+
+async function handleJobSubmit({ base44, user, payload, correlationId, logger, chargeQuota, reply }) {
+  const { calls, callback_url, retention_hours } = payload;
+
+  const batchValidation = validateBatch(calls, Object.keys(ROUTES));
+  if (!batchValidation.valid) {
+    return createErrorResponse(ErrorCodes.VALIDATION, batchValidation.errors.join('; '), correlationId);
+  }
+
+  if (callback_url) {
+    const callbackValidation = validateCallbackUrl(callback_url);
+    if (!callbackValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, callbackValidation.error, correlationId);
+    }
+  }
+
+  // RBAC: every call needs the permission of its own route
+  const denied = calls.find(call => !hasPermission(user, ROUTES[call.route].permission));
+  if (denied) {
+    const permission = ROUTES[denied.route].permission;
+    logger.warn('Permission denied', { user: user.email, route: denied.route, required_permission: permission });
+    return createErrorResponse(
+      ErrorCodes.FORBIDDEN,
+      `Permission denied: ${permission} required for ${denied.route}`,
+      correlationId
+    );
+  }
+
+  // Each call is charged against its route quota, as if called directly
+  for (const call of calls) {
+    const decision = await chargeQuota(call.route, ROUTES[call.route].rateLimit);
+    if (!decision.allowed) {
+      return buildRateLimitedResponse(decision, correlationId);
+    }
+  }
+
+  for (const call of calls) {
+    if (SENSITIVE_ROUTES.includes(call.route)) {
+      auditLog(logger, `GATEWAY_${call.route.toUpperCase()}`, user, {
+        route: call.route,
+        project_id: call.payload.project_id,
+        mode: 'job'
+      });
+    }
+  }
+
+  const batchId = crypto.randomUUID();
+  const dispatchedAt = new Date().toISOString();
+  const records = buildJobRecords({
+    batchId,
+    calls,
+    routes: ROUTES,
+    callbackUrl: callback_url,
+    retentionHours: resolveRetentionHours(retention_hours),
+    correlationId
+  });
+
+  const jobs = await Promise.all(records.map(record =>
+    base44.entities.GatewayJob.create({ ...record, dispatched_at: dispatchedAt })
+  ));
+
+  jobs.forEach(job => dispatchJob(base44, job, logger));
+  logger.info('Job batch queued', { batch_id: batchId, jobs: jobs.length });
+
+  return reply({ batch_id: batchId, ...batchResponse(jobs) }, 202);
+}
+
+async function handleJobRun({ base44, user, payload, correlationId, logger, reply }) {
+  const validation = validateRequired(payload, ['job_id']);
+  if (!validation.valid) {
+    return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+  }
+
+  const job = await findOwnedJob(base44, user, payload.job_id);
+  if (!job) {
+    return createErrorResponse(ErrorCodes.NOT_FOUND, 'Job not found', correlationId);
+  }
+  if (job.status !== JobStatuses.QUEUED) {
+    return reply({ job: toJobView(job) });
+  }
+
+  // Claim the job atomically; when a re-dispatch races this run, only one wins
+  const claims = await getJobClaimStore(logger);
+  if (!await claims.claim(job.id, correlationId)) {
+    logger.info('Job claimed by another run', { job_id: job.id });
+    const current = await findOwnedJob(base44, user, job.id);
+    return reply({ job: toJobView(current || job) });
+  }
+
+  try {
+    return await runClaimedJob({ base44, user, job, correlationId, logger, reply });
+  } catch (error) {
+    // Without this the job would stay running, and the claim would block a re-dispatch
+    logger.error('Job run failed', error, { job_id: job.id });
+    try {
+      const current = await findOwnedJob(base44, user, job.id);
+      if (current && !isTerminal(current.status)) {
+        await base44.entities.GatewayJob.update(job.id, buildRunErrorUpdate(job, error));
+      }
+    } catch (updateError) {
+      logger.error('Failed to mark job failed', updateError, { job_id: job.id });
+    }
+    await claims.release(job.id, correlationId);
+    throw error;
+  }
+}
+
+async function runClaimedJob({ base44, user, job, correlationId, logger, reply }) {
+  // A cancel may have landed between the status check and the claim
+  const claimed = await findOwnedJob(base44, user, job.id);
+  if (!claimed || claimed.status !== JobStatuses.QUEUED) {
+    logger.info('Job no longer queued after claim', { job_id: job.id, status: claimed?.status });
+    return reply({ job: toJobView(claimed || job) });
+  }
+  await base44.entities.GatewayJob.update(job.id, { ...buildRunningUpdate(), run_id: correlationId });
+
+  const startTime = Date.now();
+  const result = await dispatchToBackend(base44, ROUTES[job.route], job.payload, job.correlation_id, logger);
+
+  // Running backend calls cannot be interrupted; a cancelled job discards its result
+  const latest = await findOwnedJob(base44, user, job.id);
+  if (!latest || latest.status === JobStatuses.CANCELLED) {
+    logger.info('Job cancelled while running, result discarded', { job_id: job.id });
+    return reply({ job: toJobView(latest || job) });
+  }
+
+  const update = buildCompletionUpdate(job, result);
+  await base44.entities.GatewayJob.update(job.id, update);
+  let finished = { ...job, ...update };
+
+  if (job.callback_url) {
+    const callbackStatus = await sendJobCallback(finished, { secret: readCallbackSecret() });
+    await base44.entities.GatewayJob.update(job.id, { callback_status: callbackStatus });
+    finished = { ...finished, callback_status: callbackStatus };
+  }
+
+  logger.metric('gateway_job_complete', Date.now() - startTime, {
+    route: job.route,
+    batch_id: job.batch_id,
+    status: update.status,
+    attempts: result.attempts,
+    callback_status: finished.callback_status
+  });
+
+  return reply({ job: toJobView(finished) });
+}
+
+async function handleJobStatus({ base44, user, payload, correlationId, logger, reply }) {
+  const jobs = await findJobs(base44, payload);
+  if (!jobs) {
+    return createErrorResponse(
+      ErrorCodes.VALIDATION,
+      'One of job_ids, batch_id or project_id is required',
+      correlationId
+    );
+  }
+
+  const now = Date.now();
+  const current = await Promise.all(jobs.filter(job => canAccess(user, job)).map(async (job) => {
+    // Results are purged once their retention period has passed
+    if (job.status !== JobStatuses.EXPIRED && isExpired(job, now)) {
+      const update = buildExpiryUpdate();
+      await base44.entities.GatewayJob.update(job.id, update);
+      return { ...job, ...update };
+    }
+
+    const dispatchedAt = new Date(job.dispatched_at || job.created_date).getTime();
+    if (job.status === JobStatuses.QUEUED && now - dispatchedAt > JOB_REDISPATCH_MS) {
+      const update = { dispatched_at: new Date(now).toISOString() };
+      await base44.entities.GatewayJob.update(job.id, update);
+      dispatchJob(base44, job, logger);
+      logger.info('Stale job dispatched again', { job_id: job.id });
+      return { ...job, ...update };
+    }
+
+    return job;
+  }));
+
+  return reply(batchResponse(current));
+}
+
+async function handleJobCancel({ base44, user, payload, correlationId, logger, reply }) {
+  const { job_id, batch_id } = payload;
+  if (!job_id && !batch_id) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'One of job_id or batch_id is required', correlationId);
+  }
+
+  const jobs = await findJobs(base44, batch_id ? { batch_id } : { job_ids: [job_id] });
+  const owned = jobs.filter(job => canAccess(user, job));
+  if (owned.length === 0) {
+    return createErrorResponse(ErrorCodes.NOT_FOUND, 'Job not found', correlationId);
+  }
+
+  const cancelledAt = new Date().toISOString();
+  const current = await Promise.all(owned.map(async (job) => {
+    if (isTerminal(job.status)) return job;
+    const update = { status: JobStatuses.CANCELLED, cancelled_at: cancelledAt };
+    await base44.entities.GatewayJob.update(job.id, update);
+    return { ...job, ...update };
+  }));
+
+  logger.info('Jobs cancelled', {
+    batch_id,
+    job_id,
+    cancelled: current.filter(job => job.cancelled_at === cancelledAt).length
+  });
+
+  return reply(batchResponse(current));
+}
+
+const JOB_HANDLERS = {
+  'job-submit': handleJobSubmit,
+  'job-run': handleJobRun,
+  'job-status': handleJobStatus,
+  'job-cancel': handleJobCancel
+};
+
 // ============================================
 // MAIN GATEWAY HANDLER
 // ============================================
@@ -164,6 +830,12 @@ Deno.serve(async (req) => {
   const correlationId = generateCorrelationId();
   const logger = createLogger(correlationId, 'apiGateway');
   const startTime = Date.now();
+  let rateCheck = null;
+
+  // Every response after authentication carries RateLimit-* headers
+  const respond = (response) => rateCheck
+    ? withHeaders(response, rateLimitHeaders(rateCheck))
+    : response;
 
   try {
     logger.info('Gateway request received', { 
@@ -192,30 +864,16 @@ Deno.serve(async (req) => {
       );
     }
 
-    // Rate limiting
-    const clientIdentifier = user.email;
-    const rateCheck = checkRateLimit(clientIdentifier, logger);
+    // Rate limiting: per-user quota across all routes
+    rateCheck = await checkRateLimit(
+      `user:${rateLimitIdentifier(user)}`,
+      DEFAULT_RATE_LIMIT,
+      user,
+      logger
+    );
 
     if (!rateCheck.allowed) {
-      return Response.json({
-        success: false,
-        error: {
-          code: ErrorCodes.RATE_LIMITED.code,
-          message: 'Rate limit exceeded. Please try again later.',
-          retryable: true,
-          correlationId,
-          rate_limit: {
-            remaining: 0,
-            reset_in_seconds: rateCheck.resetIn
-          }
-        }
-      }, { 
-        status: ErrorCodes.RATE_LIMITED.status,
-        headers: {
-          'X-RateLimit-Remaining': '0',
-          'X-RateLimit-Reset': rateCheck.resetIn.toString()
-        }
-      });
+      return respond(buildRateLimitedResponse(rateCheck, correlationId));
     }
 
     // Parse request body
@@ -223,11 +881,11 @@ Deno.serve(async (req) => {
     const validation = validateRequired(body, ['route', 'payload']);
 
     if (!validation.valid) {
-      return createErrorResponse(
+      return respond(createErrorResponse(
         ErrorCodes.VALIDATION, 
         `Missing required fields: ${validation.missing.join(', ')}`, 
         correlationId
-      );
+      ));
     }
 
     const { route, payload } = body;
@@ -235,11 +893,11 @@ Deno.serve(async (req) => {
     // Validate route
     const routeValidation = validateRoute(route);
     if (!routeValidation.valid) {
-      return createErrorResponse(
+      return respond(createErrorResponse(
         ErrorCodes.VALIDATION, 
         routeValidation.error, 
         correlationId
-      );
+      ));
     }
 
     const routeConfig = getRouteConfig(route);
@@ -252,87 +910,105 @@ Deno.serve(async (req) => {
         required_permission: routeConfig.permission 
       });
       
-      return createErrorResponse(
+      return respond(createErrorResponse(
         ErrorCodes.FORBIDDEN, 
         `Permission denied: ${routeConfig.permission} required for ${route}`, 
         correlationId
+      ));
+    }
+
+    // Charges a per-user route quota and folds it into the response headers
+    const chargeQuota = async (quotaRoute, config) => {
+      const decision = await checkRateLimit(
+        `route:${quotaRoute}:user:${rateLimitIdentifier(user)}`,
+        config,
+        user,
+        logger
       );
+      rateCheck = mostRestrictive([rateCheck, decision]);
+      return rateCheck;
+    };
+
+    // Rate limiting: per-user quota for this route
+    if (routeConfig.rateLimit) {
+      await chargeQuota(route, routeConfig.rateLimit);
+      if (!rateCheck.allowed) {
+        return respond(buildRateLimitedResponse(rateCheck, correlationId));
+      }
     }
 
     // Sanitize and validate payload
-    const sanitizedPayload = sanitizePayload(payload);
+    const sanitizedPayload = sanitizePayload(payload, routeConfig.maxPayloadBytes);
 
     // Log incoming request
     const requestLog = buildRequestLog(req.method, route, sanitizedPayload, user);
     logger.info('Routing request', requestLog);
 
+    // Job routes are answered by the gateway itself
+    const jobHandler = JOB_HANDLERS[route];
+    if (jobHandler) {
+      const response = await jobHandler({
+        base44,
+        user,
+        payload: sanitizedPayload,
+        correlationId,
+        logger,
+        chargeQuota,
+        reply: (data, statusCode) => buildJobEnvelope(
+          data,
+          buildJobMetadata(route, Date.now() - startTime, rateCheck),
+          correlationId,
+          statusCode
+        )
+      });
+
+      logger.metric('gateway_request_complete', Date.now() - startTime, {
+        route,
+        user_role: user.role,
+        status: response.status,
+        rate_limit_remaining: rateCheck.remaining
+      });
+      return respond(response);
+    }
+
     // Audit log for sensitive operations
-    if (route === 'security-scan' || route === 'export-project') {
+    if (SENSITIVE_ROUTES.includes(route)) {
       auditLog(logger, `GATEWAY_${route.toUpperCase()}`, user, {
         route,
         project_id: sanitizedPayload.project_id
       });
     }
 
-    // Propagate correlation ID in payload
-    const enrichedPayload = {
-      ...sanitizedPayload,
-      _correlation_id: correlationId,
-      _gateway_timestamp: new Date().toISOString()
-    };
-
-    // Route to target function
-    logger.info('Invoking backend function', { 
-      function: routeConfig.function,
-      correlation_id: correlationId 
-    });
-
-    const functionResponse = await base44.asServiceRole.functions.invoke(
-      routeConfig.function, 
-      enrichedPayload
-    );
+    const result = await dispatchToBackend(base44, routeConfig, sanitizedPayload, correlationId, logger);
 
     const executionTime = Date.now() - startTime;
+    const statusCode = result.ok
+      ? result.status
+      : result.failure.status ?? result.failure.errorType.status;
 
     // Log response
-    const responseLog = buildResponseLog(
-      functionResponse.status || 200, 
-      executionTime, 
-      route
-    );
-    logger.info('Function response received', responseLog);
+    const responseLog = buildResponseLog(statusCode, executionTime, route);
+    logger.info('Function response received', {
+      ...responseLog,
+      attempts: result.attempts,
+      circuit_state: result.circuit_state
+    });
 
     // Metrics
     logger.metric('gateway_request_complete', executionTime, {
       route,
       function: routeConfig.function,
       user_role: user.role,
-      status: functionResponse.status || 200,
+      status: statusCode,
+      attempts: result.attempts,
+      circuit_state: result.circuit_state,
       rate_limit_remaining: rateCheck.remaining
     });
 
-    // Return response with gateway metadata
-    return Response.json({
-      success: true,
-      correlationId,
-      gateway_metadata: {
-        route,
-        function: routeConfig.function,
-        execution_time_ms: executionTime,
-        rate_limit: {
-          remaining: rateCheck.remaining,
-          reset_in_seconds: rateCheck.resetIn
-        }
-      },
-      data: functionResponse.data || functionResponse
-    }, {
-      status: functionResponse.status || 200,
-      headers: {
-        'X-Correlation-ID': correlationId,
-        'X-RateLimit-Remaining': rateCheck.remaining.toString(),
-        'X-RateLimit-Reset': rateCheck.resetIn.toString()
-      }
-    });
+    const gatewayMetadata = buildGatewayMetadata(route, routeConfig, result, executionTime, rateCheck);
+    return respond(result.ok
+      ? buildSuccessEnvelope(result, gatewayMetadata, correlationId)
+      : buildFailureEnvelope(result.failure, statusCode, gatewayMetadata, correlationId));
 
   } catch (error) {
     const executionTime = Date.now() - startTime;
@@ -349,7 +1025,7 @@ Deno.serve(async (req) => {
       errorType = ErrorCodes.TIMEOUT;
     }
 
-    return Response.json({
+    return respond(Response.json({
       success: false,
       error: {
         code: errorType.code,
@@ -363,6 +1039,6 @@ Deno.serve(async (req) => {
       headers: {
         'X-Correlation-ID': correlationId
       }
-    });
+    }));
   }
 });
\ No newline at end of file
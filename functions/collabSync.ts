@@ -0,0 +1,247 @@
+import { createClient } from 'npm:@base44/sdk@0.8.4';
+import { createLogger, generateCorrelationId, canAccess } from './lib/utils.js';
+import { materialise } from './lib/crdt.js';
+import {
+  MessageTypes,
+  ROOM_LIMITS,
+  roomKey,
+  createRoom,
+  parseMessage,
+  joinRoom,
+  leaveRoom,
+  applyOps,
+  updatePresence,
+  removedServices,
+  peerList,
+  electLeader,
+  pruneRooms
+} from './lib/collabRooms.js';
+
+/**
+ * Collaboration Sync Server
+ * AXIS: Collaboration, Reliability
+ *
+ * Features:
+ * - WebSocket relay for live CollaborationSession editing, runs locally:
+ *   deno run --allow-net --allow-env --sloppy-imports functions/collabSync.ts
+ * - Verifies the base44 session token on join; peers must have access to the project
+ * - Merges CRDT deltas per room and rebroadcasts them to the other peers
+ * - Relays service removals only after the Service record has been deleted
+ * - Presence, shared cursors and selections
+ * - Relays chat notifications between peers
+ * - Announces the leader peer that persists merged state to Service records
+ * - Listens on 127.0.0.1 by default; optional Origin allowlist
+ */
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOSTNAME = '127.0.0.1';
+
+function readEnv(name) {
+  try {
+    return Deno.env.get(name);
+  } catch {
+    return undefined;
+  }
+}
+
+const port = Number(readEnv('COLLAB_SYNC_PORT')) || DEFAULT_PORT;
+const hostname = readEnv('COLLAB_SYNC_HOSTNAME') || DEFAULT_HOSTNAME;
+const allowedOrigins = (readEnv('COLLAB_ALLOWED_ORIGINS') || '').split(',').map(o => o.trim()).filter(Boolean);
+const appId = readEnv('BASE44_APP_ID');
+const serverUrl = readEnv('BASE44_API_URL') || 'https://base44.app';
+
+const logger = createLogger(generateCorrelationId(), 'collabSync');
+
+const rooms = new Map();
+// room key -> Map(peer id -> socket)
+const sockets = new Map();
+
+// ============================================
+// SOCKETS
+// ============================================
+
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function broadcast(key, message, exceptPeerId = null) {
+  for (const [peerId, socket] of sockets.get(key) || []) {
+    if (peerId !== exceptPeerId) send(socket, message);
+  }
+}
+
+function announcePeers(room) {
+  broadcast(room.key, { type: MessageTypes.PEERS, peers: peerList(room), leader: electLeader(room) });
+}
+
+// ============================================
+// AUTH
+// ============================================
+
+/**
+ * Resolves the peer's identity from its session token and checks it can
+ * access the project and that the session belongs to it.
+ * Returns { user, entities } or { error }.
+ */
+async function authenticate(message) {
+  if (!appId) return { error: 'Sync server is missing BASE44_APP_ID' };
+
+  const base44 = createClient({ serverUrl, appId, token: message.token });
+  let user;
+  try {
+    user = await base44.auth.me();
+  } catch {
+    return { error: 'Session token is invalid or expired' };
+  }
+  if (!user?.email) return { error: 'Session token is invalid or expired' };
+
+  const [projects, sessions] = await Promise.all([
+    base44.entities.Project.filter({ id: message.project_id }),
+    base44.entities.CollaborationSession.filter({ id: message.session_id, project_id: message.project_id })
+  ]);
+  if (!canAccess(user, projects[0])) {
+    logger.warn('Rejected join', { user_id: user.id, project_id: message.project_id });
+    return { error: 'You do not have access to this project' };
+  }
+  if (sessions.length === 0) return { error: 'Session not found' };
+
+  return { user, entities: base44.entities };
+}
+
+// A removal is relayed only when the peer has already deleted the records
+// through the entity API, which applies the store's own permission checks
+async function confirmRemovals(entities, ids) {
+  for (const id of ids) {
+    const existing = await entities.Service.filter({ id });
+    if (existing.length > 0) return { error: `Delete service ${id} before removing it from the session` };
+  }
+  return {};
+}
+
+async function handleJoin(socket, peerId, message) {
+  const auth = await authenticate(message);
+  if (auth.error) return auth;
+
+  const key = roomKey(message.project_id, message.session_id);
+  pruneRooms(rooms);
+  if (!rooms.has(key) && rooms.size >= ROOM_LIMITS.maxRooms) {
+    return { error: `Server is at its limit of ${ROOM_LIMITS.maxRooms} rooms` };
+  }
+
+  const room = rooms.get(key) || createRoom(key);
+  const result = joinRoom(room, peerId, { user: auth.user, seed: message.seed });
+  if (result.error) return result;
+
+  rooms.set(key, room);
+  if (!sockets.has(key)) sockets.set(key, new Map());
+  sockets.get(key).set(peerId, socket);
+
+  send(socket, {
+    type: MessageTypes.WELCOME,
+    peer_id: peerId,
+    doc: room.doc,
+    peers: peerList(room),
+    leader: electLeader(room)
+  });
+  announcePeers(room);
+  logger.info('Peer joined', { room: key, peer_id: peerId, peers: room.peers.size, services: materialise(room.doc).length });
+  return { room, entities: auth.entities };
+}
+
+function connect(socket) {
+  const peerId = crypto.randomUUID();
+  let room = null;
+  let entities = null;
+  let closed = false;
+  // Joining and removals wait on the entity store; frames are handled in arrival order
+  let queue = Promise.resolve();
+
+  const handleFrame = async (data) => {
+    const { message, error } = parseMessage(data);
+    if (error) return send(socket, { type: MessageTypes.ERROR, message: error });
+
+    if (message.type === MessageTypes.JOIN) {
+      if (room) return send(socket, { type: MessageTypes.ERROR, message: 'Already joined' });
+      const result = await handleJoin(socket, peerId, message);
+      if (result.error) return send(socket, { type: MessageTypes.ERROR, message: result.error });
+      room = result.room;
+      entities = result.entities;
+      if (closed) leave();
+      return;
+    }
+
+    if (!room) return send(socket, { type: MessageTypes.ERROR, message: 'Send join first' });
+
+    if (message.type === MessageTypes.OPS) {
+      const removed = removedServices(room, message.delta);
+      if (removed.length > 0) {
+        const check = await confirmRemovals(entities, removed);
+        if (check.error) return send(socket, { type: MessageTypes.ERROR, message: check.error });
+      }
+      const result = applyOps(room, peerId, message.delta);
+      if (result.error) return send(socket, { type: MessageTypes.ERROR, message: result.error });
+      broadcast(room.key, { type: MessageTypes.OPS, delta: result.delta, from: peerId }, peerId);
+      return;
+    }
+
+    if (message.type === MessageTypes.CHAT) {
+      broadcast(room.key, { type: MessageTypes.CHAT, from: peerId }, peerId);
+      return;
+    }
+
+    const peer = updatePresence(room, peerId, message);
+    if (peer) broadcast(room.key, { type: MessageTypes.PRESENCE, peer }, peerId);
+  };
+
+  const leave = () => {
+    leaveRoom(room, peerId);
+    sockets.get(room.key)?.delete(peerId);
+    if (room.peers.size === 0) sockets.delete(room.key);
+    announcePeers(room);
+    logger.info('Peer left', { room: room.key, peer_id: peerId, peers: room.peers.size });
+  };
+
+  socket.onmessage = (event) => {
+    queue = queue.then(() => handleFrame(event.data)).catch((error) => {
+      logger.error('Frame handling failed', error, { peer_id: peerId });
+      send(socket, { type: MessageTypes.ERROR, message: 'Internal error' });
+    });
+  };
+
+  socket.onclose = () => {
+    closed = true;
+    if (room) leave();
+  };
+
+  socket.onerror = (event) => {
+    logger.warn('Socket error', { peer_id: peerId, error: event.message });
+  };
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve({ port, hostname }, (req) => {
+  const url = new URL(req.url);
+
+  if (url.pathname === '/health') {
+    return Response.json({ status: 'ok', rooms: rooms.size });
+  }
+
+  if (req.headers.get('upgrade')?.toLowerCase() !== 'websocket') {
+    return new Response('Expected a WebSocket upgrade', { status: 426 });
+  }
+
+  const origin = req.headers.get('origin');
+  if (allowedOrigins.length > 0 && !allowedOrigins.includes(origin)) {
+    logger.warn('Rejected WebSocket origin', { origin });
+    return new Response('Origin not allowed', { status: 403 });
+  }
+
+  const { socket, response } = Deno.upgradeWebSocket(req);
+  connect(socket);
+  return response;
+});
+
+logger.info('Collaboration sync server listening', { hostname, port });
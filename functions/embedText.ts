@@ -0,0 +1,84 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse
+} from './lib/utils.js';
+import { createEndpointEmbedder } from './lib/contextIndex.js';
+
+/**
+ * Text Embeddings
+ * AXIS: AI, Knowledge
+ *
+ * Features:
+ * - Embeds passages and queries for the AI context index (semantic half of
+ *   its hybrid ranking)
+ * - Any OpenAI-compatible /embeddings endpoint: EMBEDDING_API_URL,
+ *   EMBEDDING_MODEL and optionally EMBEDDING_API_KEY; point it at Ollama or
+ *   llama.cpp to keep a local model
+ * - The key stays on the server; the browser only sees vectors
+ * - Unconfigured, it answers 503 and the index ranks on lexical vectors
+ */
+
+const MAX_TEXTS = 64;
+const MAX_TEXT_CHARS = 8000;
+
+function readEnv(name) {
+  try {
+    return Deno.env.get(name);
+  } catch {
+    return undefined;
+  }
+}
+
+function readTexts(texts) {
+  if (!Array.isArray(texts) || texts.length === 0 || texts.length > MAX_TEXTS || texts.some(text => typeof text !== 'string')) {
+    return null;
+  }
+  return texts.map(text => text.slice(0, MAX_TEXT_CHARS));
+}
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'embedText');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const texts = readTexts(body.texts);
+    if (!texts) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `texts must be 1 to ${MAX_TEXTS} strings`, correlationId);
+    }
+
+    const url = readEnv('EMBEDDING_API_URL');
+    const model = readEnv('EMBEDDING_MODEL');
+    if (!url || !model) {
+      return createErrorResponse(ErrorCodes.SERVICE_UNAVAILABLE, 'No embedding provider is configured', correlationId, { configured: false });
+    }
+
+    const embedder = createEndpointEmbedder({ url, model, apiKey: readEnv('EMBEDDING_API_KEY') });
+    let embeddings;
+    try {
+      embeddings = await embedder.embed(texts);
+    } catch (error) {
+      logger.error('Embedding request failed', error, { model, texts: texts.length });
+      return createErrorResponse(ErrorCodes.EXTERNAL_SERVICE, 'Embedding provider request failed', correlationId);
+    }
+
+    logger.metric('embed_text', Date.now() - startTime, { model, texts: texts.length });
+    return createSuccessResponse({ model, embeddings }, correlationId);
+
+  } catch (error) {
+    logger.error('Embedding failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Embedding failed', correlationId);
+  }
+});
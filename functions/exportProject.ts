@@ -1,6 +1,8 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import JSZip from 'npm:jszip@3.10.1';
+import { Marked } from 'npm:marked@15.0.7';
 import { 
-  generateCorrelationId, 
+  resolveCorrelationId,
   createLogger, 
   ErrorCodes, 
   createErrorResponse, 
@@ -15,6 +17,13 @@ import {
   redactPII,
   filterSensitiveForLLM
 } from './lib/utils.js';
+import {
+  buildBundleFiles,
+  buildStaticSite,
+  safeFilename as toSafeFilename,
+  escapeHtml
+} from './lib/exportFormats.js';
+import { EXPORT_SCHEMA_VERSION } from './lib/projectImport.js';
 
 /**
  * Project Export Function
@@ -27,13 +36,50 @@ import {
  * - Sensitive credential exclusion
  * - Comprehensive audit logging
  * - Safe filename generation
+ *
+ * Formats:
+ * - json, markdown
+ * - bundle: ZIP with project JSON, README, per-service docs, CI/CD files
+ *   and API specifications
+ * - static-site: ZIP of linked HTML pages for internal hosting
+ * ZIP formats are returned base64-encoded inside the standard envelope.
  */
 
-const ALLOWED_FORMATS = ['json', 'markdown'];
+const ALLOWED_FORMATS = ['json', 'markdown', 'bundle', 'static-site'];
+const ZIP_FORMATS = ['bundle', 'static-site'];
+
+// Only http(s), mailto and relative links survive rendering
+const SAFE_HREF = /^(https?:|mailto:|[^:]*$)/i;
+
+// Raw HTML in exported docs is shown as text, never rendered
+const markdown = new Marked({
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      if (!SAFE_HREF.test(href)) return text;
+      return `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${text}</a>`;
+    }
+  }
+});
+
+function renderMarkdown(text) {
+  return markdown.parse(text, { async: false });
+}
+
+async function zipFiles(files) {
+  const zip = new JSZip();
+  for (const file of files) {
+    zip.file(file.path, file.content);
+  }
+  return zip.generateAsync({ type: 'base64', compression: 'DEFLATE' });
+}
 const ALLOWED_INCLUDES = ['security_details'];
 
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'exportProject');
   const startTime = Date.now();
 
@@ -81,7 +127,9 @@ Deno.serve(async (req) => {
       securityFindings,
       apis,
       cicd,
-      documentation
+      documentation,
+      featureFlags,
+      apiSpecs
     ] = await Promise.all([
       base44.entities.Project.filter({ id: project_id }),
       base44.entities.Service.filter({ project_id }),
@@ -89,7 +137,11 @@ Deno.serve(async (req) => {
       base44.entities.SecurityFinding.filter({ project_id }),
       base44.entities.APIIntegration.filter({ project_id }),
       base44.entities.CICDConfiguration.filter({ project_id }),
-      base44.entities.Documentation.filter({ project_id })
+      base44.entities.Documentation.filter({ project_id }),
+      base44.entities.FeatureFlag.filter({ project_id }),
+      ZIP_FORMATS.includes(format)
+        ? base44.entities.APISpecification.filter({ project_id }, '-created_date')
+        : Promise.resolve([])
     ]);
 
     const project = projects[0];
@@ -122,12 +174,15 @@ Deno.serve(async (req) => {
         created_date: project.created_date
       },
       services: services.map(s => ({
+        // Export-local reference; depends_on and documentation point at it
+        ref: s.id,
         name: sanitiseString(s.name, 100),
         description: sanitiseString(s.description, 500),
         category: s.category,
         technologies: s.technologies,
         // PHASE 2.3: Filter sensitive API configs
-        apis: filterSensitiveForLLM(s.apis)
+        apis: filterSensitiveForLLM(s.apis),
+        depends_on: s.depends_on || []
       })),
       tasks: tasks.map(t => ({
         title: sanitiseString(t.title, 200),
@@ -176,12 +231,21 @@ Deno.serve(async (req) => {
         dockerfile: cicd[0].dockerfile
         // Note: credentials and environment variables excluded
       } : null,
+      feature_flags: featureFlags.map(f => ({
+        flag_key: f.flag_key,
+        name: sanitiseString(f.name, 200),
+        description: sanitiseString(f.description, 2000),
+        environment_config: filterSensitiveForLLM(f.environment_config),
+        rollout_strategy: f.rollout_strategy
+      })),
       documentation: documentation.map(d => ({
+        service_ref: d.service_id,
         type: d.doc_type,
         content: d.content,
         version: d.version
       })),
       export_metadata: {
+        schema_version: EXPORT_SCHEMA_VERSION,
         exported_at: new Date().toISOString(),
         // PHASE 2.3: Only include user ID, not email
         exported_by_id: user.id,
@@ -199,12 +263,35 @@ Deno.serve(async (req) => {
       return createSuccessResponse(exportData, correlationId);
     }
 
-    if (format === 'markdown') {
-      // PHASE 2.1: Safe filename generation (no path traversal)
-      const safeFilename = project.name
-        .replace(/[^a-zA-Z0-9-_]/g, '_')
-        .slice(0, 50);
+    // PHASE 2.1: Safe filename generation (no path traversal)
+    const safeFilename = toSafeFilename(project.name);
+
+    if (ZIP_FORMATS.includes(format)) {
+      const bundleFiles = buildBundleFiles({
+        exportData,
+        services,
+        documentation,
+        cicd,
+        specs: apiSpecs
+      });
+      const files = format === 'bundle'
+        ? bundleFiles
+        : buildStaticSite(bundleFiles, { projectName: exportData.project.name, renderMarkdown });
+
+      const content = await zipFiles(files);
 
+      logger.info('Archive built', { format, files: files.length, size_bytes: content.length });
+
+      return createSuccessResponse({
+        filename: `${safeFilename}_${format}.zip`,
+        content_type: 'application/zip',
+        encoding: 'base64',
+        content,
+        files: files.map(f => f.path)
+      }, correlationId);
+    }
+
+    if (format === 'markdown') {
       const markdown = `# ${exportData.project.name}
 
 ## Overview
@@ -1,6 +1,6 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
 import { 
-  generateCorrelationId, 
+  resolveCorrelationId,
   createLogger, 
   ErrorCodes, 
   createErrorResponse, 
@@ -38,7 +38,7 @@ const OPTIONS_SCHEMA = {
 };
 
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'generateCICD');
   const startTime = Date.now();
 
@@ -1,16 +1,21 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { parseAllDocuments, stringify as stringifyYaml } from 'npm:yaml@2.8.1';
+import ts from 'npm:typescript@5.8.2';
 import { 
-  generateCorrelationId, 
+  resolveCorrelationId,
   createLogger, 
   ErrorCodes, 
   createErrorResponse, 
   createSuccessResponse,
   executeAdvancedCoTReasoning,
   validateRequired,
+  validateEnum,
   sanitiseString,
   filterSensitiveForLLM,
   enforceOwnership
 } from './lib/utils.js';
+import { buildOpenApiSpec, buildProjectTree, checkSyntax } from './lib/codeProject.js';
+import { PIPELINE_PATHS } from './lib/exportFormats.js';
 
 /**
  * AI Code Generator — Production Grade
@@ -22,9 +27,63 @@ import {
  * - Unit and integration tests
  * - Project context-aware generation
  * - Advanced CoT reasoning with validation
+ * - Complete service tree with CI pipeline (from generateCICD) and OpenAPI spec
+ * - Post-generation syntax check of JS/TS, JSON and YAML files
  */
+
+// ============================================
+// SYNTAX PARSERS
+// ============================================
+
+function parseYaml(content) {
+  return Array.from(parseAllDocuments(content))
+    .flatMap(doc => doc.errors || [])
+    .map(error => ({
+      line: error.linePos?.[0]?.line ?? 1,
+      column: error.linePos?.[0]?.col ?? 1,
+      message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+    }));
+}
+
+// transpileModule reports syntax errors only, so unresolved imports and
+// type errors in generated code are not flagged
+function parseScript(content, path) {
+  const { diagnostics = [] } = ts.transpileModule(content, {
+    fileName: path,
+    reportDiagnostics: true,
+    compilerOptions: { allowJs: true, jsx: ts.JsxEmit.Preserve, target: ts.ScriptTarget.ESNext }
+  });
+  return diagnostics
+    .filter(d => d.file)
+    .map(d => {
+      const { line, character } = d.file.getLineAndCharacterOfPosition(d.start ?? 0);
+      return { line: line + 1, column: character + 1, message: ts.flattenDiagnosticMessageText(d.messageText, '\n') };
+    });
+}
+
+// ============================================
+// CI/CD
+// ============================================
+
+/**
+ * The project's newest pipeline for `platform`, generated through
+ * generateCICD when there is none yet.
+ */
+async function loadCICD(base44, projectId, platform, logger) {
+  const [existing] = await base44.entities.CICDConfiguration.filter({ project_id: projectId, platform }, '-created_date', 1);
+  if (existing?.pipeline_config) return existing;
+
+  logger.info('No pipeline for platform, generating one', { platform });
+  const { data } = await base44.functions.invoke('generateCICD', { project_id: projectId, platform });
+  return data?.data?.config || null;
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'generateCode');
   const startTime = Date.now();
 
@@ -52,8 +111,15 @@ Deno.serve(async (req) => {
       include_tests = true,
       include_docker = true,
       include_api = true,
+      include_cicd = true,
+      cicd_platform = 'github_actions',
       architecture_pattern = 'microservices'
     } = body;
+
+    const platformValidation = validateEnum(cicd_platform, Object.keys(PIPELINE_PATHS), 'cicd_platform');
+    if (!platformValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, platformValidation.error, correlationId);
+    }
     
     logger.info('Generating code', { service_id, language, framework });
 
@@ -173,6 +239,23 @@ Deno.serve(async (req) => {
       }
     });
 
+    const generated = cotResult.final_answer;
+    const cicd = include_cicd ? await loadCICD(base44, service.project_id, cicd_platform, logger) : null;
+    const setupCommands = generated.setup_commands || [];
+    const tree = buildProjectTree(service, generated.files, {
+      dockerfile: include_docker ? cicd?.dockerfile : null,
+      pipeline: cicd?.pipeline_config ? { platform: cicd_platform, content: cicd.pipeline_config } : null,
+      openapi: include_api ? stringifyYaml(buildOpenApiSpec(service, project)) : null,
+      readme: `# ${service.name}\n\n${service.description || ''}\n\n## Setup\n\n\`\`\`bash\n${setupCommands.join('\n')}\n\`\`\`\n`
+    });
+    const syntax = checkSyntax(tree.files, { yaml: parseYaml, script: parseScript });
+
+    if (syntax.failed > 0) {
+      logger.warn('Generated files failed syntax check', {
+        failed: syntax.results.filter(r => !r.ok).map(r => r.path)
+      });
+    }
+
     // Save code generation record
     await base44.entities.CodeGeneration.create({
       service_id,
@@ -180,14 +263,18 @@ Deno.serve(async (req) => {
       language,
       framework,
       architecture_pattern,
-      files: cotResult.final_answer.files,
-      dependencies: cotResult.final_answer.dependencies,
-      project_structure: cotResult.final_answer.project_structure,
-      setup_commands: cotResult.final_answer.setup_commands,
+      files: tree.files,
+      dependencies: generated.dependencies,
+      project_structure: generated.project_structure,
+      setup_commands: setupCommands,
       metadata: {
         include_tests,
         include_docker,
         include_api,
+        include_cicd,
+        cicd_platform: include_cicd ? cicd_platform : null,
+        root: tree.root,
+        syntax_failed: syntax.results.filter(r => !r.ok).map(r => r.path),
         confidence: cotResult.confidence,
         validated: cotResult.validated
       }
@@ -197,18 +284,23 @@ Deno.serve(async (req) => {
       service_id,
       language,
       framework,
-      files_count: cotResult.final_answer.files?.length || 0,
+      files_count: tree.files.length,
+      syntax_failed: syntax.failed,
       confidence: cotResult.confidence,
       stages_completed: cotResult.stages_completed?.length
     });
 
     return createSuccessResponse({
-      code: cotResult.final_answer,
+      code: { ...generated, files: tree.files },
+      root: tree.root,
+      skipped_paths: tree.skipped,
+      syntax,
       generation_metadata: {
         language,
         framework,
+        cicd_platform: cicd?.pipeline_config ? cicd_platform : null,
         generated_at: new Date().toISOString(),
-        files_count: cotResult.final_answer.files?.length,
+        files_count: tree.files.length,
         confidence: cotResult.confidence,
         validated: cotResult.validated
       },
@@ -325,6 +417,9 @@ CODE QUALITY STANDARDS:
 - No hardcoded values (use config)
 
 DELIVERABLES:
+Give every file path relative to the service root (e.g. "src/index.ts",
+"tests/health.test.ts"); do not prefix paths with the service name and
+never use absolute paths or "..". A CI pipeline is added separately.
 Return a complete file structure with:
 - All source code files
 - Configuration files
@@ -1,6 +1,6 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
 import { 
-  generateCorrelationId, 
+  resolveCorrelationId,
   createLogger, 
   ErrorCodes, 
   createErrorResponse, 
@@ -13,6 +13,7 @@ import {
   enforceOwnership,
   auditLog
 } from './lib/utils.js';
+import { formatAdrNumber, nextAdrNumber, getAdrCounter, getDecisionClaims, buildDecisionContext } from './lib/decisionRecords.js';
 
 /**
  * AI Documentation Generator
@@ -24,14 +25,21 @@ import {
  * - PII filtering before LLM calls
  * - Ownership enforcement
  * - Audit logging
+ *
+ * ADRs can be generated from a decision pinned in a CollaborationSession
+ * chat (decision_message_id); they are numbered per project and linked
+ * back to the message. Each message is claimed before generation, so
+ * concurrent requests for the same decision produce one ADR.
  */
 
 const ALLOWED_DOC_TYPES = ['full', 'readme', 'api', 'architecture', 'adr', 'contributing', 'changelog'];
 
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'generateDocumentation');
   const startTime = Date.now();
+  // Set while this request holds a decision claim; released if generation fails
+  let releaseDecision = null;
 
   try {
     logger.info('Documentation generation requested');
@@ -51,13 +59,16 @@ Deno.serve(async (req) => {
       return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
     }
 
-    const { project_id, doc_type = 'full' } = body;
+    const { project_id, doc_type = 'full', decision_message_id } = body;
     
     // Validate enum
     const enumValidation = validateEnum(doc_type, ALLOWED_DOC_TYPES, 'doc_type');
     if (!enumValidation.valid) {
       return createErrorResponse(ErrorCodes.VALIDATION, enumValidation.error, correlationId);
     }
+    if (decision_message_id !== undefined && (doc_type !== 'adr' || typeof decision_message_id !== 'string')) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'decision_message_id is only valid as a string with doc_type "adr"', correlationId);
+    }
 
     const [projects, services, cicd, apis, tasks, securityFindings, integrations] = await Promise.all([
       base44.entities.Project.filter({ id: project_id }),
@@ -78,15 +89,62 @@ Deno.serve(async (req) => {
     const ownershipError = enforceOwnership(user, project, correlationId, logger);
     if (ownershipError) return ownershipError;
 
+    let decision = null;
+    if (decision_message_id) {
+      const [message] = await base44.entities.SessionMessage.filter({ id: decision_message_id });
+      if (!message || message.project_id !== project_id) {
+        return createErrorResponse(ErrorCodes.NOT_FOUND, 'Decision message not found', correlationId);
+      }
+      if (!message.decision) {
+        return createErrorResponse(ErrorCodes.VALIDATION, 'Message is not pinned as a decision', correlationId);
+      }
+      if (message.adr_document_id) {
+        return createErrorResponse(ErrorCodes.CONFLICT, `Decision already recorded as ${formatAdrNumber(message.adr_number)}`, correlationId);
+      }
+
+      // Kept after success: the message's adr_document_id takes over from it
+      const claims = await getDecisionClaims(logger);
+      if (!await claims.claim(message.id, correlationId)) {
+        return createErrorResponse(ErrorCodes.CONFLICT, 'An ADR for this decision is already being generated', correlationId);
+      }
+      releaseDecision = () => claims.release(message.id, correlationId);
+
+      // A run that finished just before the claim has already linked its ADR
+      const [current] = await base44.entities.SessionMessage.filter({ id: message.id });
+      if (current?.adr_document_id) {
+        await releaseDecision();
+        return createErrorResponse(ErrorCodes.CONFLICT, `Decision already recorded as ${formatAdrNumber(current.adr_number)}`, correlationId);
+      }
+
+      const [sessions, replies, adrDocs] = await Promise.all([
+        base44.entities.CollaborationSession.filter({ id: message.session_id }),
+        base44.entities.SessionMessage.filter({ parent_id: message.id }),
+        base44.entities.Documentation.filter({ project_id, doc_type: 'adr' })
+      ]);
+      // Reserved before the LLM call; the stored records only set the floor
+      const counter = await getAdrCounter(logger);
+      const number = await counter.reserve(project_id, nextAdrNumber(adrDocs));
+      decision = {
+        message,
+        number,
+        title: `${formatAdrNumber(number)}: ${sanitiseString(message.decision.title || message.body, 200)}`,
+        context: buildDecisionContext({ session: sessions[0], message, replies })
+      };
+    }
+
     // PHASE 2.3: Audit log
-    auditLog(logger, 'GENERATE_DOCUMENTATION', user, { project_id, doc_type });
+    auditLog(logger, 'GENERATE_DOCUMENTATION', user, { project_id, doc_type, decision_message_id });
 
     const docPrompts = {
       full: `Generate comprehensive project documentation including overview, architecture, setup, deployment, security, and contributing guidelines.`,
       readme: `Generate a professional README.md with project overview, features, architecture, tech stack, getting started, project structure, and contributing.`,
       api: `Generate complete API documentation with authentication, endpoints, request/response schemas, examples, error codes, and rate limiting.`,
       architecture: `Generate detailed architecture documentation with system overview, patterns, service breakdown, data flow, technology decisions, scalability, and security.`,
-      adr: `Generate Architecture Decision Records (ADRs) documenting key technical decisions with context, decisions, and consequences.`,
+      adr: decision
+        ? `Generate a single Architecture Decision Record titled "${decision.title}" for the decision below, agreed during a design review. Use the sections Status, Context, Decision, Consequences and Alternatives Considered, grounded in the discussion.
+
+${decision.context}`
+        : `Generate Architecture Decision Records (ADRs) documenting key technical decisions with context, decisions, and consequences.`,
       contributing: `Generate comprehensive contributing guidelines with setup, workflow, code style, testing, PR process, and community guidelines.`,
       changelog: `Generate a changelog following Keep a Changelog format with versions, dates, and categorized changes.`
     };
@@ -183,20 +241,35 @@ Generate professional, production-ready documentation in Markdown format with pr
       }
     });
 
-    await base44.entities.Documentation.create({
+    const record = await base44.entities.Documentation.create({
       project_id,
       doc_type,
       content: documentation.content,
       sections: documentation.sections,
-      version: "1.0.0"
+      version: "1.0.0",
+      ...(decision && {
+        title: decision.title,
+        adr_number: decision.number,
+        source: { type: 'session_decision', session_id: decision.message.session_id, message_id: decision.message.id }
+      })
     });
 
-    logger.metric('documentation_generated', Date.now() - startTime, { project_id, doc_type });
+    let adr = null;
+    if (decision) {
+      await base44.entities.SessionMessage.update(decision.message.id, {
+        adr_document_id: record.id,
+        adr_number: decision.number
+      });
+      adr = { id: record.id, number: decision.number, title: decision.title };
+    }
+
+    logger.metric('documentation_generated', Date.now() - startTime, { project_id, doc_type, from_decision: Boolean(decision) });
 
-    return createSuccessResponse({ documentation }, correlationId);
+    return createSuccessResponse({ documentation, adr }, correlationId);
 
   } catch (error) {
     logger.error('Documentation generation failed', error);
+    await releaseDecision?.().catch(releaseError => logger.error('Failed to release decision claim', releaseError));
     return createErrorResponse(ErrorCodes.INTERNAL, 'Documentation generation failed', correlationId);
   }
 });
\ No newline at end of file
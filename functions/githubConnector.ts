@@ -0,0 +1,483 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  validateOutboundTarget,
+  fetchOutbound,
+  enforceOwnership,
+  auditLog,
+  sanitiseString
+} from './lib/utils.js';
+import {
+  GITHUB_API_URL,
+  GitHubAuthTypes,
+  createGitHubClient,
+  scanRepository,
+  openPullRequest,
+  isValidRepositoryName,
+  isValidBranchName,
+  isValidFilePath
+} from './lib/github.js';
+
+/**
+ * GitHub Connector
+ * AXIS: Integration, Security
+ *
+ * Features:
+ * - Connects a project with a personal access token or GitHub App
+ *   installation, verified against GitHub before it is stored
+ * - Credentials live in an IntegrationSecret that only the service role reads;
+ *   the IntegrationConnection keeps a credential_hint for display
+ * - Lists accessible repositories
+ * - Scans a branch for Dockerfiles, package.json, go.mod, pom.xml and Helm
+ *   charts and proposes Service records with technologies filled in
+ * - Imports selected proposals, merging into services that already exist
+ * - Reads source files and opens pull requests for accepted refactorings
+ * - GITHUB_API_URL overrides the API root (GitHub Enterprise, local fake)
+ */
+
+const ALLOWED_ACTIONS = ['connect', 'repositories', 'scan', 'import', 'read_files', 'open_pull_request'];
+const MAX_TOKEN_LENGTH = 255;
+const MAX_PRIVATE_KEY_LENGTH = 10000;
+const MAX_IMPORTED_SERVICES = 50;
+const MAX_PATCH_FILES = 20;
+const MAX_PATCH_BYTES = 900000;
+const SERVICE_CATEGORIES = ['frontend', 'backend', 'api_gateway', 'authentication', 'business_logic', 'data_processing', 'messaging', 'storage'];
+const CAPABILITIES = ['repository_scan', 'service_discovery'];
+
+// Imported services are laid out on a grid right of the existing canvas
+const GRID_COLUMNS = 4;
+const GRID_SPACING = 220;
+
+function readApiUrl() {
+  try {
+    return Deno.env.get('GITHUB_API_URL');
+  } catch {
+    return undefined;
+  }
+}
+
+function validateAuth(auth) {
+  if (!auth || typeof auth !== 'object') {
+    return 'auth is required';
+  }
+  const typeValidation = validateEnum(auth.type, Object.values(GitHubAuthTypes), 'auth.type');
+  if (!typeValidation.valid) return typeValidation.error;
+
+  if (auth.type === GitHubAuthTypes.TOKEN) {
+    if (typeof auth.token !== 'string' || !auth.token.trim() || auth.token.length > MAX_TOKEN_LENGTH) {
+      return `auth.token must be a non-empty string of at most ${MAX_TOKEN_LENGTH} characters`;
+    }
+    return null;
+  }
+  if (!/^\d+$/.test(String(auth.app_id ?? '')) || !/^\d+$/.test(String(auth.installation_id ?? ''))) {
+    return 'auth.app_id and auth.installation_id must be numeric';
+  }
+  if (typeof auth.private_key !== 'string' || auth.private_key.length > MAX_PRIVATE_KEY_LENGTH) {
+    return 'auth.private_key must be a PEM encoded private key';
+  }
+  return null;
+}
+
+function toCredentials(auth) {
+  return auth.type === GitHubAuthTypes.TOKEN
+    ? { type: auth.type, token: auth.token.trim() }
+    : { type: auth.type, app_id: String(auth.app_id), installation_id: String(auth.installation_id), private_key: auth.private_key };
+}
+
+function credentialHint(credentials) {
+  return credentials.type === GitHubAuthTypes.TOKEN
+    ? `token …${credentials.token.slice(-4)}`
+    : `app ${credentials.app_id}, installation ${credentials.installation_id}`;
+}
+
+function publicConnection(connection) {
+  const { credentials: _credentials, ...rest } = connection;
+  return rest;
+}
+
+// IntegrationSecret grants users no access, so secrets are read and written
+// through the service role, keyed by connection id
+async function loadCredentials(base44, connection) {
+  const secrets = base44.asServiceRole.entities.IntegrationSecret;
+  const [secret] = await secrets.filter({ connection_id: connection.id });
+  if (secret) return secret.credentials;
+  if (!connection.credentials) return null;
+
+  // Connections saved before secrets moved out still hold them in plain text
+  await saveCredentials(base44, connection, connection.credentials);
+  await base44.entities.IntegrationConnection.update(connection.id, { credentials: null });
+  return connection.credentials;
+}
+
+async function saveCredentials(base44, connection, credentials) {
+  const secrets = base44.asServiceRole.entities.IntegrationSecret;
+  const [existing] = await secrets.filter({ connection_id: connection.id });
+  if (existing) {
+    await secrets.update(existing.id, { credentials });
+    return;
+  }
+  await secrets.create({
+    connection_id: connection.id,
+    project_id: connection.project_id,
+    integration_type: 'github',
+    credentials
+  });
+}
+
+// A user-supplied api_url is checked on every request, DNS included
+function createClient(credentials, apiUrl) {
+  return createGitHubClient({
+    auth: credentials,
+    baseUrl: apiUrl || readApiUrl() || GITHUB_API_URL,
+    ...(apiUrl && { fetchImpl: (url, init) => fetchOutbound(url, init, { fieldName: 'api_url' }) })
+  });
+}
+
+function clientFor(connection, credentials) {
+  return createClient(credentials, connection.config?.api_url);
+}
+
+function githubErrorResponse(error, correlationId) {
+  if (error.status === 401) {
+    return createErrorResponse(ErrorCodes.VALIDATION, `${error.message}; reconnect GitHub with new credentials`, correlationId);
+  }
+  if (error.retryable && error.status !== 0 && error.status < 500) {
+    return createErrorResponse(ErrorCodes.RATE_LIMITED, error.message, correlationId);
+  }
+  if (error.status === 403 || error.status === 404) {
+    return createErrorResponse(ErrorCodes.NOT_FOUND, error.message, correlationId);
+  }
+  if (error.retryable) {
+    return createErrorResponse(ErrorCodes.EXTERNAL_SERVICE, error.message, correlationId);
+  }
+  return createErrorResponse(ErrorCodes.VALIDATION, error.message, correlationId);
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function connect(base44, project_id, body) {
+  const credentials = toCredentials(body.auth);
+  const api_url = body.api_url || null;
+  const { account } = await createClient(credentials, api_url).verify();
+
+  const record = {
+    name: `GitHub: ${account || 'app installation'}`,
+    status: 'connected',
+    config: {
+      api_url,
+      account,
+      auth_type: credentials.type,
+      credential_hint: credentialHint(credentials),
+      repository: null
+    },
+    // Clears the plain-text copy older connections kept here
+    credentials: null,
+    capabilities: CAPABILITIES,
+    sync_status: { message: `Connected as ${account || 'app installation'}` }
+  };
+
+  // One GitHub connection per project; reconnecting replaces the credentials
+  const [existing] = await base44.entities.IntegrationConnection.filter({ project_id, integration_type: 'github' });
+  const saved = existing
+    ? await base44.entities.IntegrationConnection.update(existing.id, record)
+    : await base44.entities.IntegrationConnection.create({ project_id, integration_type: 'github', ...record });
+  const connection = { ...existing, ...saved, ...record };
+  await saveCredentials(base44, connection, credentials);
+  return publicConnection(connection);
+}
+
+async function scan(base44, project_id, connection, client, body) {
+  const services = await base44.entities.Service.filter({ project_id });
+  const result = await scanRepository(client, body.repository, {
+    ref: body.ref ? sanitiseString(body.ref, 200) : null,
+    services
+  });
+
+  await base44.entities.IntegrationConnection.update(connection.id, {
+    status: 'connected',
+    config: { ...connection.config, repository: result.repository.full_name },
+    last_sync: new Date().toISOString(),
+    sync_status: {
+      message: `Scanned ${result.repository.full_name}@${result.ref}: ${result.proposals.length} services detected`,
+      repository: result.repository.full_name,
+      ref: result.ref,
+      commit_sha: result.commit_sha,
+      proposals: result.proposals.length
+    }
+  });
+  return result;
+}
+
+async function readFiles(client, repository, body) {
+  const files = [];
+  const missing = [];
+  for (const path of body.paths) {
+    try {
+      files.push(await client.readFile(repository, path, body.ref || null));
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 413) throw error;
+      missing.push({ path, message: error.message });
+    }
+  }
+  return { repository, ref: body.ref || null, files, missing };
+}
+
+async function createPullRequest(client, repository, body) {
+  const base = body.base || (await client.getRepository(repository)).default_branch;
+  return {
+    repository,
+    base,
+    ...await openPullRequest(client, repository, {
+      base,
+      branch: body.branch,
+      title: sanitiseString(body.title, 200),
+      body: sanitiseString(body.body || '', 10000),
+      files: body.files.map(f => ({ path: f.path, content: f.content }))
+    })
+  };
+}
+
+function validatePatchFiles(files) {
+  if (!Array.isArray(files) || files.length === 0 || files.length > MAX_PATCH_FILES) {
+    return `files must be an array of 1 to ${MAX_PATCH_FILES} files`;
+  }
+  if (files.some(f => !isValidFilePath(f?.path) || typeof f.content !== 'string')) {
+    return 'Every file needs a relative path and string content';
+  }
+  if (files.reduce((sum, f) => sum + f.content.length, 0) > MAX_PATCH_BYTES) {
+    return `files may hold at most ${MAX_PATCH_BYTES} characters in total`;
+  }
+  return null;
+}
+
+function sanitiseProposal(proposal) {
+  const technologies = Array.isArray(proposal.technologies)
+    ? proposal.technologies.filter(t => typeof t === 'string').slice(0, 30).map(t => sanitiseString(t, 50))
+    : [];
+  return {
+    name: sanitiseString(proposal.name, 100),
+    category: SERVICE_CATEGORIES.includes(proposal.category) ? proposal.category : 'backend',
+    description: sanitiseString(proposal.description || '', 1000),
+    technologies,
+    existing_service_id: typeof proposal.existing_service_id === 'string' ? proposal.existing_service_id : null
+  };
+}
+
+async function importProposals(base44, project, proposals) {
+  const services = await base44.entities.Service.filter({ project_id: project.id });
+  const byId = new Map(services.map(s => [s.id, s]));
+
+  const created = [];
+  const updated = [];
+  for (const proposal of proposals.map(sanitiseProposal)) {
+    const existing = proposal.existing_service_id && byId.get(proposal.existing_service_id);
+    if (existing) {
+      const technologies = [...new Set([...(existing.technologies || []), ...proposal.technologies])];
+      await base44.entities.Service.update(existing.id, { technologies });
+      updated.push(existing.id);
+      continue;
+    }
+
+    const slot = services.length + created.length;
+    const service = await base44.entities.Service.create({
+      project_id: project.id,
+      name: proposal.name,
+      category: proposal.category,
+      description: proposal.description,
+      technologies: proposal.technologies,
+      apis: [],
+      depends_on: [],
+      position: {
+        x: 100 + (slot % GRID_COLUMNS) * GRID_SPACING,
+        y: 100 + Math.floor(slot / GRID_COLUMNS) * GRID_SPACING
+      }
+    });
+    created.push(service.id);
+  }
+
+  if (created.length > 0) {
+    await base44.entities.Project.update(project.id, {
+      services_count: (project.services_count || services.length) + created.length
+    });
+  }
+  return { created, updated };
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'githubConnector');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action } = body;
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    const required = {
+      connect: ['project_id', 'auth'],
+      repositories: ['project_id'],
+      scan: ['project_id', 'repository'],
+      import: ['project_id', 'proposals'],
+      read_files: ['project_id', 'paths'],
+      open_pull_request: ['project_id', 'branch', 'title', 'files']
+    }[action];
+    const validation = validateRequired(body, required);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    if (action === 'connect') {
+      const authError = validateAuth(body.auth);
+      if (authError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, authError, correlationId);
+      }
+      if (body.api_url) {
+        const urlValidation = await validateOutboundTarget(body.api_url, 'api_url');
+        if (!urlValidation.valid) {
+          return createErrorResponse(ErrorCodes.VALIDATION, urlValidation.error, correlationId);
+        }
+      }
+    }
+    if (body.repository !== undefined && !isValidRepositoryName(body.repository)) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'repository must be an owner/name pair', correlationId);
+    }
+    if (action === 'read_files') {
+      const { paths } = body;
+      if (!Array.isArray(paths) || paths.length === 0 || paths.length > MAX_PATCH_FILES || !paths.every(isValidFilePath)) {
+        return createErrorResponse(ErrorCodes.VALIDATION, `paths must be 1 to ${MAX_PATCH_FILES} relative file paths`, correlationId);
+      }
+    }
+    if (action === 'open_pull_request') {
+      if (!isValidBranchName(body.branch) || (body.base !== undefined && !isValidBranchName(body.base))) {
+        return createErrorResponse(ErrorCodes.VALIDATION, 'branch and base must be valid git branch names', correlationId);
+      }
+      const filesError = validatePatchFiles(body.files);
+      if (filesError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, filesError, correlationId);
+      }
+    }
+    if (action === 'import') {
+      const { proposals } = body;
+      if (!Array.isArray(proposals) || proposals.length === 0 || proposals.length > MAX_IMPORTED_SERVICES) {
+        return createErrorResponse(ErrorCodes.VALIDATION, `proposals must be an array of 1 to ${MAX_IMPORTED_SERVICES} services`, correlationId);
+      }
+      if (proposals.some(p => typeof p?.name !== 'string' || !p.name.trim())) {
+        return createErrorResponse(ErrorCodes.VALIDATION, 'Every proposal needs a name', correlationId);
+      }
+    }
+
+    const { project_id } = body;
+    const projects = await base44.entities.Project.filter({ id: project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    if (action === 'connect') {
+      auditLog(logger, 'GITHUB_CONNECT', user, { project_id, auth_type: body.auth.type });
+      try {
+        const connection = await connect(base44, project_id, body);
+        logger.metric('github_connected', Date.now() - startTime, { project_id, auth_type: body.auth.type });
+        return createSuccessResponse({ connection }, correlationId);
+      } catch (error) {
+        if (error.status === undefined) throw error;
+        logger.warn('GitHub credentials rejected', { project_id, status: error.status });
+        return githubErrorResponse(error, correlationId);
+      }
+    }
+
+    if (action === 'import') {
+      auditLog(logger, 'GITHUB_IMPORT_SERVICES', user, { project_id, proposals: body.proposals.length });
+      const result = await importProposals(base44, project, body.proposals);
+      logger.metric('github_services_imported', Date.now() - startTime, {
+        project_id,
+        created: result.created.length,
+        updated: result.updated.length
+      });
+      return createSuccessResponse(result, correlationId);
+    }
+
+    const [connection] = await base44.entities.IntegrationConnection.filter({ project_id, integration_type: 'github' });
+    const credentials = connection ? await loadCredentials(base44, connection) : null;
+    if (!credentials) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'GitHub is not connected for this project', correlationId);
+    }
+    const client = clientFor(connection, credentials);
+
+    // File and pull request actions default to the last scanned repository
+    const repository = body.repository || connection.config?.repository;
+    if ((action === 'read_files' || action === 'open_pull_request') && !repository) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'repository is required until a repository has been scanned', correlationId);
+    }
+
+    try {
+      if (action === 'repositories') {
+        const repositories = await client.listRepositories();
+        logger.metric('github_repositories_listed', Date.now() - startTime, { project_id, repositories: repositories.length });
+        return createSuccessResponse({ repositories }, correlationId);
+      }
+
+      if (action === 'read_files') {
+        const result = await readFiles(client, repository, body);
+        logger.metric('github_files_read', Date.now() - startTime, { project_id, files: result.files.length, missing: result.missing.length });
+        return createSuccessResponse(result, correlationId);
+      }
+
+      if (action === 'open_pull_request') {
+        auditLog(logger, 'GITHUB_OPEN_PULL_REQUEST', user, { project_id, repository, branch: body.branch, files: body.files.length });
+        const result = await createPullRequest(client, repository, body);
+        logger.metric('github_pull_request_opened', Date.now() - startTime, { project_id, files: body.files.length });
+        return createSuccessResponse(result, correlationId);
+      }
+
+      auditLog(logger, 'GITHUB_SCAN', user, { project_id, repository: body.repository });
+      const result = await scan(base44, project_id, connection, client, body);
+      logger.metric('github_repository_scanned', Date.now() - startTime, {
+        project_id,
+        manifests: result.manifests_scanned,
+        proposals: result.proposals.length
+      });
+      return createSuccessResponse(result, correlationId);
+    } catch (error) {
+      if (error.status === undefined) throw error;
+      if (error.status === 401) {
+        await base44.entities.IntegrationConnection.update(connection.id, {
+          status: 'error',
+          sync_status: { message: error.message }
+        });
+      }
+      logger.warn('GitHub request failed', { project_id, action, status: error.status, error: error.message });
+      return githubErrorResponse(error, correlationId);
+    }
+
+  } catch (error) {
+    logger.error('GitHub connector failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'GitHub connector failed', correlationId);
+  }
+});
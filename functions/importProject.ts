@@ -0,0 +1,257 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import JSZip from 'npm:jszip@3.10.1';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  Permissions,
+  enforcePermission,
+  auditLog
+} from './lib/utils.js';
+import {
+  validateExport,
+  normaliseExport,
+  planImport,
+  summarisePlan,
+  projectNameCandidates,
+  remapDependencies,
+  IMPORT_LIMITS
+} from './lib/projectImport.js';
+
+/**
+ * Project Import Function
+ * AXIS: Security, Quality
+ *
+ * Features:
+ * - Accepts exportProject JSON or a 'bundle' ZIP
+ * - Versioned schema validation (legacy, v1, v2)
+ * - Conflict report with dry-run preview
+ * - Service ID remapping and depends_on relinking
+ * - Recreates Tasks, FeatureFlags, CICDConfiguration and Documentation
+ * - Best-effort rollback when creation fails midway
+ * - Bundles are inflated with a byte cap, so a ZIP bomb is rejected early
+ */
+
+// Validation errors returned to the caller; the rest are only counted
+const MAX_REPORTED_ERRORS = 50;
+
+function bundleTooLarge() {
+  return Object.assign(
+    new Error(`project.json is larger than ${IMPORT_LIMITS.bundleBytes / (1024 * 1024)} MB uncompressed`),
+    { tooLarge: true }
+  );
+}
+
+// JSZip inflates in blocks, so at most one block past the cap is ever held
+function inflateCapped(file, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          stream.pause();
+          reject(bundleTooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => {
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+          bytes.set(chunk, offset);
+          offset += chunk.length;
+        }
+        resolve(new TextDecoder().decode(bytes));
+      })
+      .resume();
+  });
+}
+
+async function readBundle(base64) {
+  const zip = await JSZip.loadAsync(base64, { base64: true });
+  const file = zip.file('project.json');
+  if (!file) return null;
+  // The declared size rejects honest oversized bundles before inflating anything
+  if (file._data?.uncompressedSize > IMPORT_LIMITS.bundleBytes) throw bundleTooLarge();
+  return JSON.parse(await inflateCapped(file, IMPORT_LIMITS.bundleBytes));
+}
+
+// Waits for every create, so none lands after the rollback has run
+async function settleAll(promises) {
+  const results = await Promise.allSettled(promises);
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.map(result => result.value);
+}
+
+// Deletes created records in reverse creation order
+async function rollback(base44, created, logger) {
+  for (const { entity, id } of [...created].reverse()) {
+    try {
+      await base44.entities[entity].delete(id);
+    } catch (error) {
+      logger.warn('Rollback delete failed', { entity, id, error: error.message });
+    }
+  }
+}
+
+async function createRecords(base44, entity, records, created) {
+  if (records.length === 0) return [];
+  const results = await base44.entities[entity].bulkCreate(records);
+  results.forEach(record => created.push({ entity, id: record.id }));
+  return results;
+}
+
+async function createProjectFromModel(base44, model, created) {
+  const project = await base44.entities.Project.create({
+    ...model.project,
+    services_count: model.services.length
+  });
+  created.push({ entity: 'Project', id: project.id });
+  const project_id = project.id;
+
+  // Services first, without links; depends_on needs the new IDs
+  const services = await settleAll(model.services.map(async ({ ref, depends_on, ...fields }) => {
+    const service = await base44.entities.Service.create({ ...fields, project_id, depends_on: [] });
+    created.push({ entity: 'Service', id: service.id });
+    return [ref, service.id];
+  }));
+  const idMap = new Map(services);
+
+  await settleAll(remapDependencies(model.services, idMap).map(({ id, depends_on }) =>
+    base44.entities.Service.update(id, { depends_on })
+  ));
+
+  await createRecords(base44, 'Task', model.tasks.map(t => ({ ...t, project_id })), created);
+
+  // Flags arrive switched off; enabling them is a decision for the new workspace
+  await createRecords(base44, 'FeatureFlag', model.feature_flags.map(f => ({
+    ...f,
+    project_id,
+    enabled: false,
+    status: 'draft'
+  })), created);
+
+  await createRecords(base44, 'CICDConfiguration', model.cicd.map(c => ({ ...c, project_id })), created);
+
+  await createRecords(base44, 'Documentation', model.documentation.map(({ service_ref, ...doc }) => ({
+    ...doc,
+    project_id,
+    service_id: service_ref ? idMap.get(service_ref) : null
+  })), created);
+
+  return project;
+}
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'importProject');
+  const startTime = Date.now();
+
+  try {
+    logger.info('Import request received');
+
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const permError = enforcePermission(user, Permissions.PROJECT_WRITE, correlationId, logger);
+    if (permError) return permError;
+
+    const body = await req.json();
+    const { data, bundle, dry_run = false } = body;
+
+    if (!data && !bundle) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'Missing: data or bundle', correlationId);
+    }
+
+    let exportData = data;
+    if (bundle) {
+      try {
+        exportData = await readBundle(bundle);
+      } catch (error) {
+        logger.warn('Unreadable bundle', { error: error.message });
+        return createErrorResponse(
+          ErrorCodes.VALIDATION,
+          error.tooLarge ? error.message : 'bundle is not a valid export ZIP',
+          correlationId
+        );
+      }
+      if (!exportData) {
+        return createErrorResponse(ErrorCodes.VALIDATION, 'bundle does not contain project.json', correlationId);
+      }
+    }
+
+    const validation = validateExport(exportData);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'Export failed schema validation', correlationId, {
+        schema_version: validation.version,
+        errors: validation.errors.slice(0, MAX_REPORTED_ERRORS),
+        total_errors: validation.errors.length
+      });
+    }
+
+    const normalised = normaliseExport(exportData, validation.version);
+    const existingProjects = await base44.entities.Project.filter({
+      name: { $in: projectNameCandidates(normalised.project.name) },
+      created_by: user.email
+    });
+    const { model, conflicts } = planImport(normalised, { existingProjectNames: existingProjects.map(p => p.name) });
+    const summary = summarisePlan(model);
+
+    if (dry_run) {
+      return createSuccessResponse({
+        dry_run: true,
+        schema_version: validation.version,
+        project_name: model.project.name,
+        summary,
+        conflicts
+      }, correlationId);
+    }
+
+    auditLog(logger, 'IMPORT_PROJECT', user, {
+      schema_version: validation.version,
+      ...summary,
+      conflicts: conflicts.length
+    });
+
+    const created = [];
+    let project;
+    try {
+      project = await createProjectFromModel(base44, model, created);
+    } catch (error) {
+      logger.error('Import failed, rolling back', error, { created: created.length });
+      await rollback(base44, created, logger);
+      return createErrorResponse(ErrorCodes.INTERNAL, 'Import failed; no project was created', correlationId);
+    }
+
+    logger.metric('import_complete', Date.now() - startTime, {
+      project_id: project.id,
+      schema_version: validation.version,
+      records_created: created.length,
+      conflicts: conflicts.length
+    });
+
+    return createSuccessResponse({
+      project_id: project.id,
+      project_name: project.name,
+      schema_version: validation.version,
+      summary,
+      conflicts
+    }, correlationId);
+
+  } catch (error) {
+    logger.error('Import failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Import failed', correlationId);
+  }
+});
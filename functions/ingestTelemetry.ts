@@ -0,0 +1,403 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  enforceOwnership,
+  auditLog,
+  sanitiseString
+} from './lib/utils.js';
+import {
+  TelemetryFormats,
+  WINDOW_MINUTES,
+  DEFAULT_WINDOW_MINUTES,
+  parseTelemetry,
+  otlpExportSources,
+  createServiceMatcher,
+  buildSamples,
+  summariseTelemetry
+} from './lib/telemetry.js';
+import {
+  CALL_GRAPH_WINDOW_MINUTES,
+  DEFAULT_CALL_GRAPH_WINDOW_MINUTES,
+  buildCallSamples,
+  summariseCallGraph,
+  diffDependencies
+} from './lib/callGraph.js';
+import {
+  createIngestToken,
+  hashIngestToken,
+  verifyIngestToken,
+  readIngestToken,
+  tokenHint
+} from './lib/ingestTokens.js';
+
+/**
+ * Telemetry Ingestion
+ * AXIS: Observability, Reliability
+ *
+ * Features:
+ * - Accepts OTLP/JSON metrics and spans, Jaeger JSON and Prometheus text exposition
+ * - Maps telemetry service names onto the project's Service records
+ * - Stores per-service, per-minute TelemetrySample records with bounded retention
+ * - Windowed health summary: latency percentiles, throughput, error rate,
+ *   CPU, memory, uptime and version; services without data are "unknown"
+ * - Observed call graph from trace spans (ObservedCall records), diffed
+ *   against declared depends_on
+ * - Stock OTLP/HTTP JSON exporters can push directly: the export request is
+ *   the body, the project is the project_id query parameter, and a
+ *   per-project ingest token in X-Ingest-Token replaces the user session
+ */
+
+const ALLOWED_ACTIONS = ['ingest', 'summary', 'call-graph', 'rotate-ingest-token'];
+
+// IntegrationSecret type holding a project's ingest token hash
+const INGEST_SECRET_TYPE = 'telemetry_ingest';
+
+const MAX_SOURCES_PER_CALL = 20;
+const MAX_SOURCE_LENGTH = 5000000;
+
+// Samples read when summarising; the largest window at one sample per
+// service-minute fits well inside this for typical projects
+const MAX_SUMMARY_SAMPLES = 5000;
+
+const MAX_CALL_GRAPH_SAMPLES = 10000;
+
+const RETENTION_HOURS = 48;
+// Call samples are kept by ingest time, so uploaded historical traces
+// stay available for a week
+const CALL_RETENTION_DAYS = 7;
+const PRUNE_BATCH_SIZE = 200;
+
+function validateSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return 'sources must be a non-empty array';
+  }
+  if (sources.length > MAX_SOURCES_PER_CALL) {
+    return `At most ${MAX_SOURCES_PER_CALL} sources per call`;
+  }
+  const invalid = sources.findIndex(source => {
+    const content = source?.content;
+    const length = typeof content === 'string' ? content.length : JSON.stringify(content ?? null).length;
+    return !(typeof content === 'string' || (content && typeof content === 'object')) || length > MAX_SOURCE_LENGTH;
+  });
+  if (invalid !== -1) {
+    return `sources[${invalid}].content must be a string or object of at most ${MAX_SOURCE_LENGTH} characters`;
+  }
+  const badFormat = sources.findIndex(s => s.format && !Object.values(TelemetryFormats).includes(s.format));
+  if (badFormat !== -1) {
+    return `sources[${badFormat}].format must be one of ${Object.values(TelemetryFormats).join(', ')}`;
+  }
+  return null;
+}
+
+// OTLP exporters gzip by default; the inflated body is capped like a source
+async function readExportBody(req) {
+  const gzipped = /gzip/i.test(req.headers.get('content-encoding') || '');
+  const stream = gzipped ? req.body?.pipeThrough(new DecompressionStream('gzip')) : req.body;
+  if (!stream) return null;
+
+  const reader = stream.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_SOURCE_LENGTH) {
+      await reader.cancel();
+      throw Object.assign(new Error(`Export request exceeds ${MAX_SOURCE_LENGTH} bytes`), { tooLarge: true });
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function serviceMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value).filter(([name, id]) => typeof id === 'string' && name !== '__proto__')
+  );
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function pruneExpired(base44, project_id, logger) {
+  const now = Date.now();
+  const sampleCutoff = new Date(now - RETENTION_HOURS * 3600000).toISOString();
+  const callCutoff = new Date(now - CALL_RETENTION_DAYS * 86400000).toISOString();
+  const [oldestSamples, oldestCalls] = await Promise.all([
+    base44.entities.TelemetrySample.filter({ project_id }, 'bucket_start', PRUNE_BATCH_SIZE),
+    base44.entities.ObservedCall.filter({ project_id }, 'created_date', PRUNE_BATCH_SIZE)
+  ]);
+  const expiredSamples = oldestSamples.filter(s => s.bucket_start < sampleCutoff);
+  const expiredCalls = oldestCalls.filter(c => c.created_date < callCutoff);
+  await Promise.all([
+    ...expiredSamples.map(s => base44.entities.TelemetrySample.delete(s.id)),
+    ...expiredCalls.map(c => base44.entities.ObservedCall.delete(c.id))
+  ]);
+  if (expiredSamples.length + expiredCalls.length > 0) {
+    logger.info('Pruned expired telemetry', { project_id, samples: expiredSamples.length, calls: expiredCalls.length });
+  }
+}
+
+async function ingest(base44, project_id, body, logger) {
+  const services = await base44.entities.Service.filter({ project_id });
+  const matchService = createServiceMatcher(services, serviceMap(body.service_map));
+  const now = Date.now();
+
+  const points = [];
+  const spans = [];
+  const parsed = [];
+  const rejected = [];
+  for (const [index, source] of body.sources.entries()) {
+    const name = sanitiseString(source.name || `source-${index + 1}`, 200);
+    const result = parseTelemetry(source.content, {
+      format: source.format,
+      now,
+      serviceName: sanitiseString(source.service_name || '', 200) || null
+    });
+    if (result.points.length === 0) {
+      rejected.push({ name, errors: result.errors.length ? result.errors.slice(0, 10) : ['Source contains no recognised telemetry'] });
+      continue;
+    }
+    points.push(...result.points);
+    if (result.spans) spans.push(...result.spans);
+    parsed.push({ name, format: result.format, points: result.points.length, warnings: result.errors.slice(0, 10) });
+  }
+
+  const { samples, unmatched } = buildSamples(points, matchService);
+  if (samples.length > 0) {
+    await base44.entities.TelemetrySample.bulkCreate(samples.map(sample => ({ project_id, ...sample })));
+  }
+  // Spans of a trace must arrive in the same call for their calls to be linked
+  const calls = buildCallSamples(spans, matchService);
+  if (calls.samples.length > 0) {
+    await base44.entities.ObservedCall.bulkCreate(calls.samples.map(sample => ({ project_id, ...sample })));
+  }
+  await pruneExpired(base44, project_id, logger);
+
+  if (unmatched.length > 0) {
+    logger.warn('Telemetry for unknown services ignored', { project_id, unmatched: unmatched.length });
+  }
+
+  return {
+    sources: parsed,
+    rejected,
+    samples_written: samples.length,
+    calls_written: calls.samples.length,
+    services_reporting: new Set(samples.map(s => s.service_id)).size,
+    unmatched_services: [...new Set([...unmatched, ...calls.unmatched])].sort()
+  };
+}
+
+// IntegrationSecret grants users no access, so tokens are read and written
+// through the service role
+async function findIngestSecret(base44, project_id) {
+  const [secret] = await base44.asServiceRole.entities.IntegrationSecret.filter({ project_id, integration_type: INGEST_SECRET_TYPE });
+  return secret || null;
+}
+
+// Replaces any previous token; the plain token is only ever returned here
+async function rotateIngestToken(base44, project_id) {
+  const token = createIngestToken();
+  const credentials = { token_hash: await hashIngestToken(token), hint: tokenHint(token), created_at: new Date().toISOString() };
+  const secrets = base44.asServiceRole.entities.IntegrationSecret;
+  const existing = await findIngestSecret(base44, project_id);
+  if (existing) {
+    await secrets.update(existing.id, { credentials });
+  } else {
+    await secrets.create({ project_id, integration_type: INGEST_SECRET_TYPE, credentials });
+  }
+  return { token, hint: credentials.hint, created_at: credentials.created_at };
+}
+
+/**
+ * OTLP/HTTP push from an exporter or collector. Responds with an OTLP
+ * ExportServiceResponse; unknown services are reported as a partial success.
+ */
+async function handleTokenIngest(req, base44, token, { correlationId, logger, startTime }) {
+  const project_id = new URL(req.url).searchParams.get('project_id');
+  if (!project_id) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'Missing: project_id query parameter', correlationId);
+  }
+  if (/protobuf/i.test(req.headers.get('content-type') || '')) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'Only OTLP/HTTP JSON is supported; set OTEL_EXPORTER_OTLP_PROTOCOL=http/json', correlationId);
+  }
+
+  const secret = await findIngestSecret(base44, project_id);
+  if (!secret || !await verifyIngestToken(token, secret.credentials?.token_hash)) {
+    logger.warn('Rejected ingest token', { project_id });
+    return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Invalid ingest token', correlationId);
+  }
+
+  let body;
+  try {
+    body = await readExportBody(req);
+  } catch (error) {
+    return createErrorResponse(ErrorCodes.VALIDATION, error.tooLarge ? error.message : 'Body must be OTLP/HTTP JSON', correlationId);
+  }
+  const sources = otlpExportSources(body);
+  if (!sources) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'Body must be an OTLP export request with resourceSpans or resourceMetrics', correlationId);
+  }
+
+  auditLog(logger, 'INGEST_TELEMETRY', null, { project_id, via: 'ingest_token', sources: sources.length });
+
+  const result = await ingest(base44.asServiceRole, project_id, { sources }, logger);
+  if (result.sources.length === 0) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'No telemetry could be parsed', correlationId, {
+      errors: result.rejected.map(r => `${r.name}: ${r.errors.join('; ')}`)
+    });
+  }
+
+  logger.metric('telemetry_ingested', Date.now() - startTime, {
+    project_id,
+    sources: result.sources.length,
+    samples: result.samples_written,
+    via: 'ingest_token'
+  });
+
+  const warning = result.unmatched_services.length > 0
+    ? `Telemetry for unknown services ignored: ${result.unmatched_services.join(', ')}`
+    : null;
+  return Response.json(warning ? { partialSuccess: { errorMessage: warning } } : {}, {
+    status: 200,
+    headers: { 'X-Correlation-ID': correlationId }
+  });
+}
+
+async function summary(base44, project_id, windowMinutes) {
+  const [samples, services] = await Promise.all([
+    base44.entities.TelemetrySample.filter({ project_id }, '-bucket_start', MAX_SUMMARY_SAMPLES),
+    base44.entities.Service.filter({ project_id })
+  ]);
+  return summariseTelemetry(samples, services, { windowMinutes });
+}
+
+async function callGraph(base44, project_id, windowMinutes) {
+  const [samples, services] = await Promise.all([
+    base44.entities.ObservedCall.filter({ project_id }, '-bucket_start', MAX_CALL_GRAPH_SAMPLES),
+    base44.entities.Service.filter({ project_id })
+  ]);
+  const graph = summariseCallGraph(samples, { windowMinutes });
+  return { ...graph, drift: diffDependencies(services, graph.edges, graph.services_seen) };
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'ingestTelemetry');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+
+    const ingestToken = readIngestToken(req.headers);
+    if (ingestToken) {
+      return await handleTokenIngest(req, base44, ingestToken, { correlationId, logger, startTime });
+    }
+
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action = 'ingest' } = body;
+    const window_minutes = body.window_minutes
+      ?? (action === 'call-graph' ? DEFAULT_CALL_GRAPH_WINDOW_MINUTES : DEFAULT_WINDOW_MINUTES);
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    const validation = validateRequired(body, ['project_id']);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    if (action === 'ingest') {
+      const sourcesError = validateSources(body.sources);
+      if (sourcesError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, sourcesError, correlationId);
+      }
+    } else if (action !== 'rotate-ingest-token') {
+      const windows = action === 'call-graph' ? CALL_GRAPH_WINDOW_MINUTES : WINDOW_MINUTES;
+      const windowValidation = validateEnum(window_minutes, windows, 'window_minutes');
+      if (!windowValidation.valid) {
+        return createErrorResponse(ErrorCodes.VALIDATION, windowValidation.error, correlationId);
+      }
+    }
+
+    const { project_id } = body;
+    const projects = await base44.entities.Project.filter({ id: project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    if (action === 'rotate-ingest-token') {
+      auditLog(logger, 'ROTATE_INGEST_TOKEN', user, { project_id });
+      const result = await rotateIngestToken(base44, project_id);
+      return createSuccessResponse(result, correlationId);
+    }
+
+    if (action === 'summary') {
+      const result = await summary(base44, project_id, window_minutes);
+      logger.metric('telemetry_summary_computed', Date.now() - startTime, {
+        project_id,
+        window_minutes,
+        services: result.services.length
+      });
+      return createSuccessResponse(result, correlationId);
+    }
+
+    if (action === 'call-graph') {
+      const result = await callGraph(base44, project_id, window_minutes);
+      logger.metric('call_graph_computed', Date.now() - startTime, { project_id, edges: result.edges.length });
+      return createSuccessResponse(result, correlationId);
+    }
+
+    auditLog(logger, 'INGEST_TELEMETRY', user, { project_id, sources: body.sources.length });
+
+    const result = await ingest(base44, project_id, body, logger);
+    if (result.sources.length === 0) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'No telemetry source could be parsed', correlationId, {
+        errors: result.rejected.map(r => `${r.name}: ${r.errors.join('; ')}`)
+      });
+    }
+
+    logger.metric('telemetry_ingested', Date.now() - startTime, {
+      project_id,
+      sources: result.sources.length,
+      samples: result.samples_written
+    });
+
+    return createSuccessResponse(result, correlationId);
+
+  } catch (error) {
+    logger.error('Telemetry ingestion failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Telemetry ingestion failed', correlationId);
+  }
+});
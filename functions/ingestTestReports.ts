@@ -0,0 +1,256 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  enforceOwnership,
+  auditLog,
+  sanitiseString
+} from './lib/utils.js';
+import {
+  TestStatuses,
+  parseTestReport,
+  appendRun,
+  computeTestStats,
+  summariseFlakiness,
+  buildQuarantineList
+} from './lib/testReports.js';
+
+/**
+ * Test Report Ingestion
+ * AXIS: Quality, Reliability
+ *
+ * Features:
+ * - Accepts JUnit XML, TAP and Jest/Vitest JSON reports, several runs per call
+ * - Records each report as a TestRun and appends to per-test TestHistory
+ * - Deterministic failure rate, duration variance and flip counts
+ * - Quarantine list of flaky tests; no LLM involved
+ */
+
+const ALLOWED_ACTIONS = ['ingest', 'stats'];
+
+const MAX_REPORTS_PER_CALL = 20;
+const MAX_REPORT_LENGTH = 5000000;
+
+// Concurrent TestHistory updates per batch
+const WRITE_BATCH_SIZE = 25;
+
+// Failure messages returned per test in 'stats'
+const RECENT_MESSAGES = 3;
+
+const MAX_ATTENTION_TESTS = 200;
+
+function validateReports(reports) {
+  if (!Array.isArray(reports) || reports.length === 0) {
+    return 'reports must be a non-empty array';
+  }
+  if (reports.length > MAX_REPORTS_PER_CALL) {
+    return `At most ${MAX_REPORTS_PER_CALL} reports per call`;
+  }
+  const invalid = reports.findIndex(r => typeof r?.content !== 'string' || r.content.length > MAX_REPORT_LENGTH);
+  if (invalid !== -1) {
+    return `reports[${invalid}].content must be a string of at most ${MAX_REPORT_LENGTH} characters`;
+  }
+  return null;
+}
+
+async function inBatches(items, size, fn) {
+  for (let i = 0; i < items.length; i += size) {
+    await Promise.all(items.slice(i, i + size).map(fn));
+  }
+}
+
+function historyFields(history) {
+  const stats = computeTestStats(history.runs);
+  return {
+    runs: history.runs,
+    classification: stats.classification,
+    failure_rate: stats.failure_rate,
+    flip_count: stats.flip_count,
+    duration_mean_ms: stats.duration_mean_ms,
+    last_status: stats.last_status
+  };
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function ingest(base44, project_id, body, logger) {
+  const histories = await base44.entities.TestHistory.filter({ project_id });
+  const byTestId = new Map(histories.map(h => [h.test_id, h]));
+  const touched = new Set();
+  const runs = [];
+  const rejected = [];
+
+  // Reports are applied in the order given, oldest run first
+  for (const [index, report] of body.reports.entries()) {
+    const filename = sanitiseString(report.filename || `report-${index + 1}`, 200);
+    const parsed = parseTestReport(report.content, { format: report.format, filename });
+    if (parsed.results.length === 0) {
+      rejected.push({ filename, errors: parsed.errors.length ? parsed.errors : ['Report contains no tests'] });
+      continue;
+    }
+
+    const run = await base44.entities.TestRun.create({
+      project_id,
+      source_name: filename,
+      format: parsed.format,
+      run_label: sanitiseString(report.run_label || body.run_label || '', 200) || null,
+      branch: sanitiseString(body.branch || '', 200) || null,
+      commit_sha: sanitiseString(body.commit_sha || '', 64) || null,
+      ...parsed.summary
+    });
+    runs.push(run);
+
+    const at = run.created_date || new Date().toISOString();
+    for (const test of parsed.results) {
+      const history = byTestId.get(test.test_id) || { test_id: test.test_id, name: test.name, suite: test.suite, runs: [] };
+      history.runs = appendRun(history.runs, {
+        run_id: run.id,
+        status: test.status,
+        duration_ms: test.duration_ms,
+        message: test.status === TestStatuses.FAILED ? test.message : null,
+        at
+      });
+      byTestId.set(test.test_id, history);
+      touched.add(test.test_id);
+    }
+  }
+
+  const changed = [...touched].map(id => byTestId.get(id));
+  const existing = changed.filter(h => h.id);
+  const created = changed.filter(h => !h.id);
+
+  await inBatches(existing, WRITE_BATCH_SIZE, history =>
+    base44.entities.TestHistory.update(history.id, historyFields(history))
+  );
+  if (created.length > 0) {
+    await base44.entities.TestHistory.bulkCreate(created.map(history => ({
+      project_id,
+      test_id: history.test_id,
+      name: history.name,
+      suite: history.suite,
+      ...historyFields(history)
+    })));
+  }
+
+  if (rejected.length > 0) {
+    logger.warn('Some test reports were rejected', { rejected: rejected.length });
+  }
+
+  return {
+    runs: runs.map(({ id, source_name, format, total, passed, failed, skipped }) =>
+      ({ id, source_name, format, total, passed, failed, skipped })
+    ),
+    tests_updated: existing.length,
+    tests_created: created.length,
+    rejected
+  };
+}
+
+async function stats(base44, project_id) {
+  const [histories, runs] = await Promise.all([
+    base44.entities.TestHistory.filter({ project_id }),
+    base44.entities.TestRun.filter({ project_id }, '-created_date', 20)
+  ]);
+
+  const tests = histories.map(h => ({
+    test_id: h.test_id,
+    name: h.name,
+    suite: h.suite,
+    stats: computeTestStats(h.runs || []),
+    recent_failures: (h.runs || [])
+      .filter(r => r.status === TestStatuses.FAILED && r.message)
+      .slice(-RECENT_MESSAGES)
+      .map(r => r.message)
+  }));
+
+  const { tests_tracked, by_classification, needs_attention } = summariseFlakiness(tests);
+  return {
+    summary: { tests_tracked, by_classification, runs_shown: runs.length },
+    needs_attention: needs_attention.slice(0, MAX_ATTENTION_TESTS),
+    quarantine: buildQuarantineList(tests),
+    recent_runs: runs
+  };
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'ingestTestReports');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action = 'ingest' } = body;
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    const validation = validateRequired(body, ['project_id']);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    if (action === 'ingest') {
+      const reportsError = validateReports(body.reports);
+      if (reportsError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, reportsError, correlationId);
+      }
+    }
+
+    const { project_id } = body;
+    const projects = await base44.entities.Project.filter({ id: project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    if (action === 'stats') {
+      const result = await stats(base44, project_id);
+      logger.metric('test_stats_computed', Date.now() - startTime, { project_id, tests: result.summary.tests_tracked });
+      return createSuccessResponse(result, correlationId);
+    }
+
+    auditLog(logger, 'INGEST_TEST_REPORTS', user, { project_id, reports: body.reports.length });
+
+    const result = await ingest(base44, project_id, body, logger);
+    if (result.runs.length === 0) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'No report could be parsed', correlationId, {
+        errors: result.rejected.map(r => `${r.filename}: ${r.errors.join('; ')}`)
+      });
+    }
+
+    logger.metric('test_reports_ingested', Date.now() - startTime, {
+      project_id,
+      runs: result.runs.length,
+      tests: result.tests_created + result.tests_updated
+    });
+
+    return createSuccessResponse(result, correlationId);
+
+  } catch (error) {
+    logger.error('Test report ingestion failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Test report ingestion failed', correlationId);
+  }
+});
@@ -0,0 +1,550 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  validateOutboundTarget,
+  fetchOutbound,
+  enforceOwnership,
+  hasPermission,
+  Permissions,
+  auditLog,
+  signPayload
+} from './lib/utils.js';
+import { JiraAuthTypes, createJiraClient } from './lib/jira.js';
+import {
+  ConflictPolicies,
+  Sides,
+  SYNC_FIELDS,
+  LinkStates,
+  validateFieldMapping,
+  resolveFieldMapping,
+  syncTasks
+} from './lib/jiraSync.js';
+
+/**
+ * Jira Connector
+ * AXIS: Integration, Security, Data Integrity
+ *
+ * Features:
+ * - Connects a project to a Jira project with an API token (Cloud) or
+ *   personal access token (Data Center), verified before it is stored
+ * - Credentials and the webhook secret live in an IntegrationSecret that only
+ *   the service role reads; the IntegrationConnection keeps a credential_hint
+ * - Two-way Task <-> issue sync with a configurable status/priority mapping
+ * - Conflicts (both sides changed a field) follow the connection's policy;
+ *   under `manual` they wait on the JiraIssueLink for a resolution
+ * - Scheduled runs sync every connection whose interval has elapsed
+ * - Signed Jira webhooks sync the changed issue straight away
+ * - JIRA_API_URL overrides every Jira URL (local mock server)
+ */
+
+const ALLOWED_ACTIONS = ['connect', 'configure', 'sync', 'resolve', 'scheduled'];
+const MAX_TOKEN_LENGTH = 500;
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]{0,9}$/;
+const SYNC_INTERVALS = [0, 15, 60, 360, 1440];
+const DEFAULT_SYNC_INTERVAL = 60;
+const MAX_SCHEDULED_CONNECTIONS = 50;
+const CAPABILITIES = ['task_sync', 'webhooks'];
+const WEBHOOK_EVENTS = ['jira:issue_created', 'jira:issue_updated', 'jira:issue_deleted'];
+
+function readApiUrl() {
+  try {
+    return Deno.env.get('JIRA_API_URL');
+  } catch {
+    return undefined;
+  }
+}
+
+function validateAuth(auth) {
+  if (!auth || typeof auth !== 'object') {
+    return 'auth is required';
+  }
+  const typeValidation = validateEnum(auth.type, Object.values(JiraAuthTypes), 'auth.type');
+  if (!typeValidation.valid) return typeValidation.error;
+
+  const secret = auth.type === JiraAuthTypes.BASIC ? auth.api_token : auth.token;
+  if (typeof secret !== 'string' || !secret.trim() || secret.length > MAX_TOKEN_LENGTH) {
+    return `auth.${auth.type === JiraAuthTypes.BASIC ? 'api_token' : 'token'} must be a non-empty string of at most ${MAX_TOKEN_LENGTH} characters`;
+  }
+  if (auth.type === JiraAuthTypes.BASIC && (typeof auth.email !== 'string' || !auth.email.includes('@'))) {
+    return 'auth.email must be the Atlassian account email';
+  }
+  return null;
+}
+
+/**
+ * Checks the optional sync settings shared by connect and configure.
+ */
+function validateSettings(body) {
+  if (body.field_mapping !== undefined) {
+    const errors = validateFieldMapping(body.field_mapping);
+    if (errors.length > 0) return errors.join('; ');
+  }
+  if (body.conflict_policy !== undefined) {
+    const policyValidation = validateEnum(body.conflict_policy, Object.values(ConflictPolicies), 'conflict_policy');
+    if (!policyValidation.valid) return policyValidation.error;
+  }
+  if (body.sync_interval_minutes !== undefined && !SYNC_INTERVALS.includes(body.sync_interval_minutes)) {
+    return `sync_interval_minutes must be one of ${SYNC_INTERVALS.join(', ')}`;
+  }
+  if (body.pull_new_issues !== undefined && typeof body.pull_new_issues !== 'boolean') {
+    return 'pull_new_issues must be a boolean';
+  }
+  return null;
+}
+
+function validateResolutions(resolutions) {
+  if (!resolutions || typeof resolutions !== 'object' || Object.keys(resolutions).length === 0) {
+    return 'resolutions must map at least one field to a side';
+  }
+  for (const [field, side] of Object.entries(resolutions)) {
+    if (!SYNC_FIELDS.includes(field)) return `resolutions.${field} is not a synced field`;
+    if (!Object.values(Sides).includes(side)) return `resolutions.${field} must be one of: ${Object.values(Sides).join(', ')}`;
+  }
+  return null;
+}
+
+function pickSettings(body) {
+  const settings = {};
+  if (body.field_mapping !== undefined) settings.field_mapping = resolveFieldMapping(body.field_mapping);
+  if (body.conflict_policy !== undefined) settings.conflict_policy = body.conflict_policy;
+  if (body.sync_interval_minutes !== undefined) settings.sync_interval_minutes = body.sync_interval_minutes;
+  if (body.pull_new_issues !== undefined) settings.pull_new_issues = body.pull_new_issues;
+  return settings;
+}
+
+function toCredentials(auth) {
+  return auth.type === JiraAuthTypes.BASIC
+    ? { type: auth.type, email: auth.email.trim(), api_token: auth.api_token.trim() }
+    : { type: auth.type, token: auth.token.trim() };
+}
+
+function credentialHint(credentials) {
+  return credentials.type === JiraAuthTypes.BASIC
+    ? `${credentials.email}, token …${credentials.api_token.slice(-4)}`
+    : `token …${credentials.token.slice(-4)}`;
+}
+
+function publicConnection(connection) {
+  const { credentials: _credentials, ...rest } = connection;
+  return rest;
+}
+
+// IntegrationSecret grants users no access, so secrets are read and written
+// through the service role, keyed by connection id
+async function loadCredentials(base44, connection) {
+  const secrets = base44.asServiceRole.entities.IntegrationSecret;
+  const [secret] = await secrets.filter({ connection_id: connection.id });
+  if (secret) return secret.credentials;
+  if (!connection.credentials) return null;
+
+  // Connections saved before secrets moved out still hold them in plain text
+  await saveCredentials(base44, connection, connection.credentials);
+  await base44.asServiceRole.entities.IntegrationConnection.update(connection.id, { credentials: null });
+  return connection.credentials;
+}
+
+async function saveCredentials(base44, connection, credentials) {
+  const secrets = base44.asServiceRole.entities.IntegrationSecret;
+  const [existing] = await secrets.filter({ connection_id: connection.id });
+  if (existing) {
+    await secrets.update(existing.id, { credentials });
+    return;
+  }
+  await secrets.create({
+    connection_id: connection.id,
+    project_id: connection.project_id,
+    integration_type: 'jira',
+    credentials
+  });
+}
+
+function clientFor(credentials, config) {
+  const { webhook_secret: _secret, ...auth } = credentials;
+  const apiUrl = readApiUrl();
+  if (apiUrl) return createJiraClient({ auth, baseUrl: apiUrl });
+  // The user-supplied base_url is checked on every request, DNS included
+  return createJiraClient({
+    auth,
+    baseUrl: config.base_url,
+    fetchImpl: (url, init) => fetchOutbound(url, init, { fieldName: 'base_url' })
+  });
+}
+
+function jiraErrorResponse(error, correlationId) {
+  if (error.status === 401) {
+    return createErrorResponse(ErrorCodes.VALIDATION, `${error.message}; reconnect Jira with new credentials`, correlationId);
+  }
+  if (error.status === 429) {
+    return createErrorResponse(ErrorCodes.RATE_LIMITED, error.message, correlationId);
+  }
+  if (error.status === 403 || error.status === 404) {
+    return createErrorResponse(ErrorCodes.NOT_FOUND, error.message, correlationId);
+  }
+  if (error.retryable) {
+    return createErrorResponse(ErrorCodes.EXTERNAL_SERVICE, error.message, correlationId);
+  }
+  return createErrorResponse(ErrorCodes.VALIDATION, error.message, correlationId);
+}
+
+// Constant time so signature checks leak nothing through timing
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function connect(base44, project_id, body) {
+  const credentials = toCredentials(body.auth);
+  const base_url = body.base_url.replace(/\/+$/, '');
+  const project_key = body.project_key;
+  const client = clientFor(credentials, { base_url });
+  const me = await client.myself();
+  const jiraProject = await client.getProject(project_key);
+
+  const [existing] = await base44.entities.IntegrationConnection.filter({ project_id, integration_type: 'jira' });
+  // Keep the webhook secret across reconnects so Jira's configuration stays valid
+  const previous = existing ? await loadCredentials(base44, existing) : null;
+  const webhook_secret = previous?.webhook_secret || generateWebhookSecret();
+  const account = me.emailAddress || me.displayName || null;
+
+  const record = {
+    name: `Jira: ${jiraProject.name || project_key}`,
+    status: 'connected',
+    config: {
+      base_url,
+      project_key,
+      account,
+      auth_type: credentials.type,
+      credential_hint: credentialHint(credentials),
+      field_mapping: resolveFieldMapping(existing?.config?.field_mapping),
+      conflict_policy: ConflictPolicies.MANUAL,
+      sync_interval_minutes: DEFAULT_SYNC_INTERVAL,
+      pull_new_issues: false,
+      ...pickSettings(body)
+    },
+    // Clears the plain-text copy older connections kept here
+    credentials: null,
+    capabilities: CAPABILITIES,
+    sync_status: { message: `Connected to ${project_key} as ${account || 'token owner'}` }
+  };
+
+  // One Jira connection per project; reconnecting replaces the credentials
+  const saved = existing
+    ? await base44.entities.IntegrationConnection.update(existing.id, record)
+    : await base44.entities.IntegrationConnection.create({ project_id, integration_type: 'jira', ...record });
+  const connection = { ...existing, ...saved, ...record };
+  await saveCredentials(base44, connection, { ...credentials, webhook_secret });
+  // Shown once so it can be pasted into the Jira webhook settings
+  return { connection: publicConnection(connection), webhook_secret: previous?.webhook_secret ? null : webhook_secret };
+}
+
+/**
+ * Writes a syncTasks result: task updates and imports, new and updated
+ * JiraIssueLinks, and a summary on the connection.
+ */
+async function applySyncResult(base44, connection, result, { full, startedAt }) {
+  const project_id = connection.project_id;
+  for (const { task_id, fields } of result.task_updates) {
+    await base44.entities.Task.update(task_id, fields);
+  }
+  for (const { link_id, fields } of result.link_updates) {
+    await base44.entities.JiraIssueLink.update(link_id, fields);
+  }
+  const syncedAt = new Date(startedAt).toISOString();
+  const linkFields = (link) => ({
+    project_id,
+    connection_id: connection.id,
+    issue_key: link.issue_key,
+    issue_id: link.issue_id,
+    base: link.base,
+    state: LinkStates.SYNCED,
+    conflicts: [],
+    remote_updated: link.remote_updated,
+    synced_at: syncedAt
+  });
+  if (result.created_links.length > 0) {
+    await base44.entities.JiraIssueLink.bulkCreate(result.created_links.map(link => ({ ...linkFields(link), task_id: link.task_id })));
+  }
+  for (const { task, ...link } of result.imported) {
+    const created = await base44.entities.Task.create({ project_id, ...task });
+    await base44.entities.JiraIssueLink.create({ ...linkFields(link), task_id: created.id });
+  }
+
+  const { stats } = result;
+  const message = `${stats.issues_created} issues created, ${stats.issues_updated} updated, ` +
+    `${stats.tasks_updated + stats.tasks_imported} tasks updated, ${stats.conflicts} conflicts`;
+  await base44.entities.IntegrationConnection.update(connection.id, {
+    status: 'connected',
+    // Only full passes move the incremental pull window forward
+    ...(full ? { last_sync: syncedAt } : {}),
+    sync_status: { message, ...stats, errors: result.errors.slice(0, 20) }
+  });
+}
+
+async function runSync(base44, connection, credentials, { issueKeys = null, resolutions = {} } = {}) {
+  const startedAt = Date.now();
+  const project_id = connection.project_id;
+  const [tasks, links] = await Promise.all([
+    base44.entities.Task.filter({ project_id }),
+    base44.entities.JiraIssueLink.filter({ project_id })
+  ]);
+  const { config } = connection;
+  const result = await syncTasks(clientFor(credentials, config), {
+    projectKey: config.project_key,
+    tasks,
+    links,
+    mapping: config.field_mapping,
+    policy: config.conflict_policy,
+    pullNewIssues: config.pull_new_issues === true,
+    since: issueKeys ? null : Date.parse(connection.last_sync || '') || null,
+    issueKeys,
+    resolutions,
+    now: startedAt
+  });
+  await applySyncResult(base44, connection, result, { full: !issueKeys, startedAt });
+  return {
+    stats: result.stats,
+    conflicts: result.conflicts,
+    errors: result.errors
+  };
+}
+
+async function markFailed(base44, connection, error) {
+  await base44.entities.IntegrationConnection.update(connection.id, {
+    status: error.status === 401 ? 'error' : connection.status,
+    sync_status: { ...connection.sync_status, message: error.message }
+  });
+}
+
+function isDue(connection, now) {
+  const interval = connection.config?.sync_interval_minutes ?? DEFAULT_SYNC_INTERVAL;
+  if (!interval || connection.status !== 'connected') return false;
+  const last = Date.parse(connection.last_sync || '') || 0;
+  return now - last >= interval * 60000;
+}
+
+async function runScheduled(base44, logger) {
+  const connections = await base44.entities.IntegrationConnection.filter({ integration_type: 'jira' });
+  const now = Date.now();
+  const due = connections.filter(c => isDue(c, now)).slice(0, MAX_SCHEDULED_CONNECTIONS);
+  const runs = [];
+  for (const connection of due) {
+    const credentials = await loadCredentials(base44, connection);
+    if (!credentials) continue;
+    try {
+      const { stats } = await runSync(base44, connection, credentials);
+      runs.push({ connection_id: connection.id, project_id: connection.project_id, ok: true, stats });
+    } catch (error) {
+      if (error.status === undefined) throw error;
+      logger.warn('Scheduled Jira sync failed', { connection_id: connection.id, status: error.status, error: error.message });
+      await markFailed(base44, connection, error);
+      runs.push({ connection_id: connection.id, project_id: connection.project_id, ok: false, error: error.message });
+    }
+  }
+  return runs;
+}
+
+// ============================================
+// WEBHOOK
+// ============================================
+
+/**
+ * Jira webhooks carry no user session. They must name their connection
+ * (?connection_id=) and sign the body with its secret (X-Hub-Signature).
+ */
+async function handleWebhook(req, base44, correlationId, logger) {
+  const connectionId = new URL(req.url).searchParams.get('connection_id');
+  const signature = req.headers.get('x-hub-signature') || '';
+  const raw = await req.text();
+  if (!connectionId) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'connection_id query parameter is required', correlationId);
+  }
+
+  const [connection] = await base44.asServiceRole.entities.IntegrationConnection.filter({ id: connectionId, integration_type: 'jira' });
+  const credentials = connection ? await loadCredentials(base44, connection) : null;
+  const secret = credentials?.webhook_secret;
+  const expected = secret ? `sha256=${await signPayload(raw, secret)}` : '';
+  if (!secret || !safeEqual(signature, expected)) {
+    logger.warn('Rejected Jira webhook', { connection_id: connectionId });
+    return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Invalid webhook signature', correlationId);
+  }
+
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'Webhook body must be JSON', correlationId);
+  }
+  const key = event?.issue?.key;
+  const projectKey = connection.config?.project_key;
+  if (!WEBHOOK_EVENTS.includes(event?.webhookEvent) || typeof key !== 'string' || !key.startsWith(`${projectKey}-`)) {
+    return createSuccessResponse({ ignored: true }, correlationId);
+  }
+
+  try {
+    const result = await runSync(base44.asServiceRole, connection, credentials, { issueKeys: [key] });
+    logger.info('Jira webhook synced', { connection_id: connection.id, issue_key: key, event: event.webhookEvent });
+    return createSuccessResponse({ issue_key: key, ...result }, correlationId);
+  } catch (error) {
+    if (error.status === undefined) throw error;
+    await markFailed(base44.asServiceRole, connection, error);
+    return jiraErrorResponse(error, correlationId);
+  }
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'jiraConnector');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+
+    if (req.headers.has('x-hub-signature')) {
+      return await handleWebhook(req, base44, correlationId, logger);
+    }
+
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action } = body;
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    // Scheduled runs (SYSTEM_CONFIG only) cover every project's connection
+    if (action === 'scheduled') {
+      if (!hasPermission(user, Permissions.SYSTEM_CONFIG)) {
+        return createErrorResponse(ErrorCodes.FORBIDDEN, 'Permission denied: scheduled requires SYSTEM_CONFIG', correlationId);
+      }
+      auditLog(logger, 'JIRA_SCHEDULED_SYNC', user);
+      const runs = await runScheduled(base44, logger);
+      logger.metric('jira_scheduled_sync', Date.now() - startTime, { connections: runs.length });
+      return createSuccessResponse({ runs }, correlationId);
+    }
+
+    const required = {
+      connect: ['project_id', 'base_url', 'project_key', 'auth'],
+      configure: ['project_id'],
+      sync: ['project_id'],
+      resolve: ['project_id', 'link_id', 'resolutions']
+    }[action];
+    const validation = validateRequired(body, required);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    if (action === 'connect') {
+      const authError = validateAuth(body.auth);
+      if (authError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, authError, correlationId);
+      }
+      const urlValidation = await validateOutboundTarget(body.base_url, 'base_url');
+      if (!urlValidation.valid) {
+        return createErrorResponse(ErrorCodes.VALIDATION, urlValidation.error, correlationId);
+      }
+      if (typeof body.project_key !== 'string' || !PROJECT_KEY_PATTERN.test(body.project_key)) {
+        return createErrorResponse(ErrorCodes.VALIDATION, 'project_key must be a Jira project key such as ARCH', correlationId);
+      }
+    }
+    if (action === 'connect' || action === 'configure') {
+      const settingsError = validateSettings(body);
+      if (settingsError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, settingsError, correlationId);
+      }
+    }
+    if (action === 'resolve') {
+      const resolutionError = validateResolutions(body.resolutions);
+      if (resolutionError) {
+        return createErrorResponse(ErrorCodes.VALIDATION, resolutionError, correlationId);
+      }
+    }
+
+    const { project_id } = body;
+    const projects = await base44.entities.Project.filter({ id: project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    if (action === 'connect') {
+      auditLog(logger, 'JIRA_CONNECT', user, { project_id, project_key: body.project_key, auth_type: body.auth.type });
+      try {
+        const result = await connect(base44, project_id, body);
+        logger.metric('jira_connected', Date.now() - startTime, { project_id, auth_type: body.auth.type });
+        return createSuccessResponse(result, correlationId);
+      } catch (error) {
+        if (error.status === undefined) throw error;
+        logger.warn('Jira connection rejected', { project_id, status: error.status });
+        return jiraErrorResponse(error, correlationId);
+      }
+    }
+
+    const [connection] = await base44.entities.IntegrationConnection.filter({ project_id, integration_type: 'jira' });
+    const credentials = connection ? await loadCredentials(base44, connection) : null;
+    if (!credentials) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Jira is not connected for this project', correlationId);
+    }
+
+    if (action === 'configure') {
+      auditLog(logger, 'JIRA_CONFIGURE', user, { project_id });
+      const config = { ...connection.config, ...pickSettings(body) };
+      await base44.entities.IntegrationConnection.update(connection.id, { config });
+      return createSuccessResponse({ connection: publicConnection({ ...connection, config }) }, correlationId);
+    }
+
+    let resolveOptions = null;
+    if (action === 'resolve') {
+      const [link] = await base44.entities.JiraIssueLink.filter({ id: body.link_id, project_id });
+      if (!link) {
+        return createErrorResponse(ErrorCodes.NOT_FOUND, 'Jira link not found', correlationId);
+      }
+      resolveOptions = { issueKeys: [link.issue_key], resolutions: { [link.id]: body.resolutions } };
+    }
+
+    try {
+      auditLog(logger, action === 'resolve' ? 'JIRA_RESOLVE_CONFLICT' : 'JIRA_SYNC', user, { project_id, link_id: body.link_id });
+      const result = await runSync(base44, connection, credentials, resolveOptions || {});
+      logger.metric(`jira_${action}`, Date.now() - startTime, { project_id, ...result.stats });
+      return createSuccessResponse(result, correlationId);
+    } catch (error) {
+      if (error.status === undefined) throw error;
+      await markFailed(base44, connection, error);
+      logger.warn('Jira sync failed', { project_id, action, status: error.status, error: error.message });
+      return jiraErrorResponse(error, correlationId);
+    }
+
+  } catch (error) {
+    logger.error('Jira connector failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Jira connector failed', correlationId);
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for lib/archLinter.js
+ *
+ * Test coverage for:
+ * - Cycle detection and graph rules
+ * - Health check, shared database, fan-in/fan-out and auth rules
+ * - Deterministic ordering and scoring
+ * - Compiling RuleDiscovery suggestions into executable rules
+ *
+ * Run with: deno test functions/lib/archLinter.test.js
+ */
+
+import {
+  buildGraph,
+  findCycles,
+  lintArchitecture,
+  compileDiscoveredRule,
+  resolveThresholds
+} from './archLinter.js';
+
+function service(id, name, depends_on = [], extra = {}) {
+  return { id, name, category: 'core', depends_on, apis: [{ method: 'GET', endpoint: '/health' }], ...extra };
+}
+
+function ruleIds(result) {
+  return result.findings.map(f => f.rule_id);
+}
+
+Deno.test('findCycles - reports each cycle once', () => {
+  const graph = buildGraph([
+    service('a', 'A', ['b']),
+    service('b', 'B', ['c']),
+    service('c', 'C', ['a']),
+    service('d', 'D', ['d']),
+    service('e', 'E', ['a'])
+  ]);
+
+  const cycles = findCycles(graph).map(c => [...c].sort().join());
+  if (cycles.length !== 2 || !cycles.includes('a,b,c') || !cycles.includes('d')) {
+    throw new Error(`Unexpected cycles: ${JSON.stringify(cycles)}`);
+  }
+});
+
+Deno.test('lintArchitecture - graph rules', () => {
+  const result = lintArchitecture({
+    services: [
+      service('a', 'Gateway', ['b', 'ghost']),
+      service('b', 'Orders', ['a']),
+      service('c', 'Lonely')
+    ]
+  });
+
+  const ids = ruleIds(result);
+  for (const expected of ['ARCH001', 'ARCH002', 'ARCH003']) {
+    if (!ids.includes(expected)) {
+      throw new Error(`Expected ${expected} in ${ids}`);
+    }
+  }
+  const orphan = result.findings.find(f => f.rule_id === 'ARCH002');
+  if (orphan.affected_services.join() !== 'Lonely' || !orphan.fix_hint) {
+    throw new Error(`Unexpected orphan finding: ${JSON.stringify(orphan)}`);
+  }
+});
+
+Deno.test('lintArchitecture - health, database, fan-out and auth rules', () => {
+  const result = lintArchitecture({
+    services: [
+      service('db', 'Postgres', [], { category: 'storage', apis: [] }),
+      service('a', 'Orders', ['db', 'b', 'c']),
+      service('b', 'Billing', ['db'], { apis: [] }),
+      service('c', 'Shipping')
+    ],
+    integrations: [{ id: 'i1', name: 'Stripe', service_id: 'b', auth_type: 'none' }],
+    thresholds: resolveThresholds({ max_fan_out: 2 })
+  });
+
+  const ids = ruleIds(result);
+  for (const expected of ['SEC001', 'ARCH004', 'ARCH005', 'RES001']) {
+    if (!ids.includes(expected)) {
+      throw new Error(`Expected ${expected} in ${ids}`);
+    }
+  }
+  const health = result.findings.filter(f => f.rule_id === 'RES001');
+  if (health.length !== 1 || health[0].affected_services[0] !== 'Billing') {
+    throw new Error('Only Billing lacks a health check; storage is exempt');
+  }
+  if (result.findings[0].severity !== 'critical') {
+    throw new Error('Findings should be sorted by severity');
+  }
+});
+
+Deno.test('lintArchitecture - same input, same output', () => {
+  const services = [service('a', 'A', ['b']), service('b', 'B', ['a']), service('c', 'C')];
+  const first = lintArchitecture({ services });
+  const second = lintArchitecture({ services: [...services].reverse() });
+  if (JSON.stringify(first) !== JSON.stringify(second)) {
+    throw new Error('Linter output must not depend on input order');
+  }
+  if (first.score !== 100 - 10 - 2) {
+    throw new Error(`Unexpected score ${first.score}`);
+  }
+});
+
+Deno.test('compileDiscoveredRule - builds executable rules', () => {
+  const compiled = compileDiscoveredRule({
+    id: 'r1',
+    suggested_rule: 'Core services must use OpenTelemetry',
+    category: 'resilience',
+    executable_rule: { template: 'required_technology', params: { technology: 'opentelemetry', category: 'core' } }
+  });
+  if (!compiled.valid) {
+    throw new Error(`Rule should compile: ${compiled.errors}`);
+  }
+
+  const result = lintArchitecture({
+    services: [
+      service('a', 'A', ['b'], { technologies: ['OpenTelemetry'] }),
+      service('b', 'B')
+    ],
+    customRules: [compiled.rule]
+  });
+  const custom = result.findings.filter(f => f.rule_id === 'CUSTOM-r1');
+  if (custom.length !== 1 || custom[0].affected_services[0] !== 'B') {
+    throw new Error(`Unexpected custom findings: ${JSON.stringify(custom)}`);
+  }
+
+  const invalid = compileDiscoveredRule({ id: 'r2', executable_rule: { template: 'max_fan_in', params: { max: 'x' } } });
+  if (invalid.valid || !invalid.errors[0].includes('max')) {
+    throw new Error('Invalid params should be rejected');
+  }
+});
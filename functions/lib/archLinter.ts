@@ -0,0 +1,368 @@
+/**
+ * Architecture Linter
+ * AXIS: Quality, Security
+ *
+ * Deterministic rules evaluated over Service and APIIntegration records,
+ * independent of the LLM:
+ * - Dependency cycles, orphaned services and unknown dependencies
+ * - Missing health checks and shared databases
+ * - Fan-in / fan-out thresholds
+ * - APIIntegrations without authentication
+ * - Executable rules compiled from accepted RuleDiscovery suggestions
+ * - Custom rules authored in the rule DSL (lib/ruleDsl.js)
+ *
+ * The same input always yields the same findings in the same order.
+ */
+
+import { buildGraph, findCycles } from './graphAnalytics.js';
+
+export { buildGraph, findCycles };
+
+export const LINTER_VERSION = '1.0.0';
+
+export const Severities = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const SEVERITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+// Points deducted from 100 per finding
+const SEVERITY_PENALTY = { critical: 25, high: 10, medium: 5, low: 2 };
+
+export const DEFAULT_THRESHOLDS = {
+  max_fan_in: 5,
+  max_fan_out: 5
+};
+
+const HEALTH_ENDPOINT_PATTERN = /\/(health|healthz|ready|readyz|readiness|live|livez|liveness|status)\b/i;
+
+// Storage and frontend services are not expected to expose health endpoints
+const HEALTH_EXEMPT_CATEGORIES = ['storage', 'ui'];
+
+const DATABASE_CATEGORIES = ['storage'];
+
+const UNAUTHENTICATED_AUTH_TYPES = [undefined, null, '', 'none'];
+
+function byName(a, b) {
+  return String(a.name).localeCompare(String(b.name)) || String(a.id).localeCompare(String(b.id));
+}
+
+// ============================================
+// FINDINGS
+// ============================================
+
+/**
+ * Builds a finding for `rule` against the given service IDs. The
+ * fingerprint is stable across runs so findings can be tracked over time.
+ */
+export function createFinding(rule, ids, graph, { title, description, severity }) {
+  const serviceIds = [...ids].sort();
+  return {
+    rule_id: rule.id,
+    rule_name: rule.name,
+    category: rule.category,
+    severity: severity || rule.severity,
+    title,
+    description,
+    fix_hint: rule.fix_hint,
+    service_ids: serviceIds,
+    affected_services: serviceIds.map(id => graph.nodes.get(id)?.name ?? id),
+    fingerprint: `${rule.id}:${serviceIds.join(',')}`
+  };
+}
+
+function names(ids, graph) {
+  return ids.map(id => graph.nodes.get(id)?.name ?? id).join(', ');
+}
+
+// ============================================
+// BUILT-IN RULES
+// ============================================
+
+export const BUILTIN_RULES = [
+  {
+    id: 'ARCH001',
+    name: 'cyclic-dependency',
+    category: 'architecture',
+    severity: Severities.HIGH,
+    description: 'Services must not depend on each other in a cycle',
+    fix_hint: 'Break the cycle with an event, a shared contract or by merging the services',
+    check: ({ graph, rule }) => findCycles(graph).map(component => {
+      const members = [...component].sort((a, b) => byName(graph.nodes.get(a), graph.nodes.get(b)));
+      return createFinding(rule, members, graph, {
+        title: `Dependency cycle between ${members.length} service${members.length === 1 ? '' : 's'}`,
+        description: `${names(members, graph)} depend on each other in a cycle`
+      });
+    })
+  },
+  {
+    id: 'ARCH002',
+    name: 'orphaned-service',
+    category: 'architecture',
+    severity: Severities.LOW,
+    description: 'Every service should depend on or be used by another service',
+    fix_hint: 'Connect the service to its callers or remove it from the design',
+    check: ({ graph, rule }) => {
+      if (graph.nodes.size < 2) return [];
+      return [...graph.nodes.keys()]
+        .filter(id => graph.outgoing.get(id).length === 0 && graph.incoming.get(id).length === 0)
+        .map(id => createFinding(rule, [id], graph, {
+          title: `Orphaned service: ${graph.nodes.get(id).name}`,
+          description: `${graph.nodes.get(id).name} has no dependencies and no dependents`
+        }));
+    }
+  },
+  {
+    id: 'ARCH003',
+    name: 'unknown-dependency',
+    category: 'architecture',
+    severity: Severities.LOW,
+    description: 'depends_on must only reference services in the project',
+    fix_hint: 'Remove the stale dependency or re-add the missing service',
+    check: ({ graph, rule }) => graph.unknown.map(({ from, to }) => ({
+      ...createFinding(rule, [from], graph, {
+        title: `Unknown dependency on ${graph.nodes.get(from).name}`,
+        description: `${graph.nodes.get(from).name} depends on a service that does not exist (${to})`
+      }),
+      fingerprint: `${rule.id}:${from}->${to}`
+    }))
+  },
+  {
+    id: 'RES001',
+    name: 'missing-health-check',
+    category: 'resilience',
+    severity: Severities.MEDIUM,
+    description: 'Services should expose a health or readiness endpoint',
+    fix_hint: 'Add a GET /health (liveness) and /ready (readiness) endpoint',
+    check: ({ graph, rule }) => [...graph.nodes.values()]
+      .filter(s => !HEALTH_EXEMPT_CATEGORIES.includes(s.category))
+      .filter(s => !s.health_check && !(s.apis || []).some(api => HEALTH_ENDPOINT_PATTERN.test(api?.endpoint || '')))
+      .map(s => createFinding(rule, [s.id], graph, {
+        title: `No health check: ${s.name}`,
+        description: `${s.name} has no health, readiness or liveness endpoint`
+      }))
+  },
+  {
+    id: 'ARCH004',
+    name: 'shared-database',
+    category: 'architecture',
+    severity: Severities.HIGH,
+    description: 'A database should be owned by a single service',
+    fix_hint: 'Give each service its own schema and expose shared data through an API or events',
+    check: ({ graph, rule }) => [...graph.nodes.values()]
+      .filter(s => DATABASE_CATEGORIES.includes(s.category))
+      .filter(s => graph.incoming.get(s.id).length > 1)
+      .map(s => {
+        const users = graph.incoming.get(s.id);
+        return createFinding(rule, [s.id, ...users], graph, {
+          title: `Shared database: ${s.name}`,
+          description: `${s.name} is used directly by ${users.length} services: ${names(users, graph)}`
+        });
+      })
+  },
+  {
+    id: 'PERF001',
+    name: 'high-fan-in',
+    category: 'performance',
+    severity: Severities.MEDIUM,
+    description: 'Services with many dependents become bottlenecks and single points of failure',
+    fix_hint: 'Scale the service horizontally, add caching, or split its responsibilities',
+    check: ({ graph, rule, thresholds }) => [...graph.nodes.keys()]
+      .filter(id => graph.incoming.get(id).length > thresholds.max_fan_in)
+      .map(id => createFinding(rule, [id], graph, {
+        title: `High fan-in: ${graph.nodes.get(id).name}`,
+        description: `${graph.incoming.get(id).length} services depend on ${graph.nodes.get(id).name} (threshold ${thresholds.max_fan_in})`
+      }))
+  },
+  {
+    id: 'ARCH005',
+    name: 'high-fan-out',
+    category: 'architecture',
+    severity: Severities.MEDIUM,
+    description: 'Services that call many others are tightly coupled and fragile',
+    fix_hint: 'Introduce an aggregator or events, or move logic closer to the data it needs',
+    check: ({ graph, rule, thresholds }) => [...graph.nodes.keys()]
+      .filter(id => graph.outgoing.get(id).length > thresholds.max_fan_out)
+      .map(id => createFinding(rule, [id], graph, {
+        title: `High fan-out: ${graph.nodes.get(id).name}`,
+        description: `${graph.nodes.get(id).name} depends on ${graph.outgoing.get(id).length} services (threshold ${thresholds.max_fan_out})`
+      }))
+  },
+  {
+    id: 'SEC001',
+    name: 'api-missing-auth',
+    category: 'security',
+    severity: Severities.CRITICAL,
+    description: 'API integrations must declare an authentication method',
+    fix_hint: 'Set auth_type (bearer, api_key, basic or oauth2) and store credentials in auth_config',
+    check: ({ graph, rule, integrations }) => [...integrations]
+      .sort(byName)
+      .filter(i => UNAUTHENTICATED_AUTH_TYPES.includes(i.auth_type))
+      .map(i => ({
+        ...createFinding(rule, i.service_id ? [i.service_id] : [], graph, {
+          title: `No authentication: ${i.name}`,
+          description: `API integration ${i.name} has no auth_type`
+        }),
+        integration_id: i.id,
+        fingerprint: `${rule.id}:${i.id}`
+      }))
+  }
+];
+
+// ============================================
+// DISCOVERED RULES
+// ============================================
+
+function matchesCategory(service, category) {
+  return !category || service.category === category;
+}
+
+function usesTechnology(service, technology) {
+  const wanted = technology.toLowerCase();
+  return (service.technologies || []).some(t => String(t).toLowerCase() === wanted);
+}
+
+/**
+ * Parameterised checks a RuleDiscovery suggestion can be compiled into.
+ * `validate(params)` returns an error message or null.
+ */
+export const RULE_TEMPLATES = {
+  max_fan_out: {
+    validate: p => (Number.isInteger(p.max) && p.max >= 0 ? null : 'max must be a non-negative integer'),
+    check: (graph, p) => [...graph.nodes.keys()].filter(id => graph.outgoing.get(id).length > p.max)
+  },
+  max_fan_in: {
+    validate: p => (Number.isInteger(p.max) && p.max >= 0 ? null : 'max must be a non-negative integer'),
+    check: (graph, p) => [...graph.nodes.keys()].filter(id => graph.incoming.get(id).length > p.max)
+  },
+  required_technology: {
+    validate: p => (typeof p.technology === 'string' && p.technology ? null : 'technology is required'),
+    check: (graph, p) => [...graph.nodes.values()]
+      .filter(s => matchesCategory(s, p.category) && !usesTechnology(s, p.technology))
+      .map(s => s.id)
+  },
+  forbidden_technology: {
+    validate: p => (typeof p.technology === 'string' && p.technology ? null : 'technology is required'),
+    check: (graph, p) => [...graph.nodes.values()]
+      .filter(s => matchesCategory(s, p.category) && usesTechnology(s, p.technology))
+      .map(s => s.id)
+  },
+  required_endpoint: {
+    validate: p => (typeof p.path === 'string' && p.path.startsWith('/') ? null : 'path must start with /'),
+    check: (graph, p) => [...graph.nodes.values()]
+      .filter(s => matchesCategory(s, p.category))
+      .filter(s => !(s.apis || []).some(api => api?.endpoint === p.path))
+      .map(s => s.id)
+  },
+  forbidden_dependency: {
+    validate: p => (p.from_category && p.to_category ? null : 'from_category and to_category are required'),
+    check: (graph, p) => [...graph.nodes.values()]
+      .filter(s => s.category === p.from_category)
+      .filter(s => graph.outgoing.get(s.id).some(id => graph.nodes.get(id).category === p.to_category))
+      .map(s => s.id)
+  }
+};
+
+/**
+ * Turns an accepted RuleDiscovery with an `executable_rule` of
+ * { template, params } into a linter rule. Returns { valid, rule, errors }.
+ */
+export function compileDiscoveredRule(discovery) {
+  const spec = discovery?.executable_rule;
+  const template = RULE_TEMPLATES[spec?.template];
+  if (!template) {
+    return {
+      valid: false,
+      errors: [`template must be one of: ${Object.keys(RULE_TEMPLATES).join(', ')}`]
+    };
+  }
+
+  const params = spec.params || {};
+  const error = template.validate(params);
+  if (error) {
+    return { valid: false, errors: [`${spec.template}: ${error}`] };
+  }
+
+  const rule = {
+    id: `CUSTOM-${discovery.id}`,
+    name: spec.template.replace(/_/g, '-'),
+    category: discovery.category || 'architecture',
+    severity: SEVERITY_RANK[spec.severity] !== undefined ? spec.severity : Severities.MEDIUM,
+    description: discovery.suggested_rule,
+    fix_hint: discovery.rationale,
+    source: 'rule_discovery',
+    check: ({ graph, rule: self }) => template.check(graph, params).map(id => createFinding(self, [id], graph, {
+      title: `${graph.nodes.get(id).name} violates: ${discovery.suggested_rule}`,
+      description: discovery.suggested_rule
+    }))
+  };
+  return { valid: true, rule, errors: [] };
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+export function resolveThresholds(overrides = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+    const value = overrides?.[key];
+    if (Number.isInteger(value) && value >= 1 && value <= 100) {
+      thresholds[key] = value;
+    }
+  }
+  return thresholds;
+}
+
+function compareFindings(a, b) {
+  return SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]
+    || a.rule_id.localeCompare(b.rule_id)
+    || a.fingerprint.localeCompare(b.fingerprint);
+}
+
+export function scoreFindings(findings) {
+  const penalty = findings.reduce((sum, f) => sum + SEVERITY_PENALTY[f.severity], 0);
+  return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Runs the built-in rules plus any `customRules` (from
+ * compileDiscoveredRule or compileDslRule) and returns sorted findings with
+ * a summary. `disabledRules` lists rule IDs to skip; `includeBuiltins: false`
+ * runs only the custom rules, e.g. to preview a rule being authored.
+ */
+export function lintArchitecture({
+  project = null,
+  services = [],
+  integrations = [],
+  cicdConfigs = [],
+  customRules = [],
+  thresholds = DEFAULT_THRESHOLDS,
+  disabledRules = [],
+  includeBuiltins = true
+}) {
+  const graph = buildGraph(services);
+  const rules = [...(includeBuiltins ? BUILTIN_RULES : []), ...customRules]
+    .filter(rule => !disabledRules.includes(rule.id));
+
+  const findings = rules
+    .flatMap(rule => rule.check({ graph, rule, thresholds, integrations, project, cicdConfigs }))
+    .sort(compareFindings);
+
+  const bySeverity = {};
+  for (const severity of Object.values(Severities)) {
+    bySeverity[severity] = findings.filter(f => f.severity === severity).length;
+  }
+
+  return {
+    linter_version: LINTER_VERSION,
+    score: scoreFindings(findings),
+    findings,
+    summary: { total: findings.length, by_severity: bySeverity },
+    rules_run: rules.map(rule => rule.id),
+    thresholds
+  };
+}
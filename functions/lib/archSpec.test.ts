@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for lib/archSpec.js
+ *
+ * Test coverage for:
+ * - Spec validation errors and their paths
+ * - Export with dependency names and stable ordering
+ * - Plans: creates, field-level updates, pruning and partial specs
+ * - Round trip: exporting and planning the same project is a no-op
+ *
+ * Run with: deno test functions/lib/archSpec.test.js
+ */
+
+import {
+  SPEC_API_VERSION,
+  PlanActions,
+  ResourceKinds,
+  validateSpec,
+  exportSpec,
+  planSpec,
+  resolveDependencies
+} from './archSpec.js';
+
+const project = { id: 'p1', name: 'Shop', description: 'Store', architecture_pattern: 'microservices' };
+const services = [
+  { id: 's2', name: 'Payments', category: 'core', technologies: ['go'], depends_on: [] },
+  { id: 's1', name: 'Orders', category: 'core', technologies: ['node'], depends_on: ['s2'], apis: [{ method: 'GET', endpoint: '/orders' }] },
+  { id: 's3', name: 'Legacy', category: 'core', depends_on: [] }
+];
+const flags = [{ id: 'f1', flag_key: 'new-checkout', name: 'New checkout', enabled: false }];
+const cicd = [
+  { id: 'c-old', platform: 'github_actions', pipeline_stages: { testing: { enabled: false } }, created_date: '2025-01-01' },
+  { id: 'c-new', platform: 'github_actions', pipeline_stages: { testing: { enabled: true } }, created_date: '2025-02-01' }
+];
+const current = { project, services, flags, cicd };
+
+Deno.test('validateSpec - reports errors with paths', () => {
+  const { valid, errors } = validateSpec({
+    apiVersion: SPEC_API_VERSION,
+    project: { name: 'Shop', owner: 'me' },
+    services: [
+      { name: 'Orders', depends_on: ['billing', 'orders'] },
+      { name: 'orders' },
+      { name: 'Payments', apis: [{ method: 'FETCH', endpoint: '/x' }] }
+    ],
+    feature_flags: [{ flag_key: 'has space' }],
+    extra: true
+  });
+  const expected = [
+    'unknown top-level field(s) extra',
+    'project: unknown field(s) owner',
+    'services[1] duplicates services[0]',
+    'services[0].depends_on: unknown service billing',
+    'services[0].depends_on: Orders cannot depend on itself',
+    'services[2].apis[0].method must be one of: GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+    "feature_flags[0].flag_key may only contain letters, digits, '.', '_' and '-'"
+  ];
+  if (valid || JSON.stringify(errors) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected errors:\n${errors.join('\n')}`);
+  }
+  if (validateSpec({ apiVersion: 'v0', project: {} }).errors[0] !== `apiVersion must be ${SPEC_API_VERSION}`) {
+    throw new Error('apiVersion should be checked first');
+  }
+});
+
+Deno.test('exportSpec - names for ids, sorted, newest CI/CD per platform', () => {
+  const spec = exportSpec(project, services, flags, cicd);
+  if (spec.services.map(s => s.name).join() !== 'Legacy,Orders,Payments') throw new Error('Services should be sorted');
+  const orders = spec.services[1];
+  if (JSON.stringify(orders.depends_on) !== '["Payments"]' || orders.apis[0].endpoint !== '/orders') {
+    throw new Error(`Unexpected service: ${JSON.stringify(orders)}`);
+  }
+  if ('depends_on' in spec.services[0] || 'id' in orders) throw new Error('Empty lists and ids should be left out');
+  if (spec.cicd.length !== 1 || spec.cicd[0].pipeline_stages.testing.enabled !== true) {
+    throw new Error('Only the newest pipeline per platform should be exported');
+  }
+  if (!validateSpec(spec).valid) throw new Error(`Exported spec is invalid: ${validateSpec(spec).errors}`);
+});
+
+Deno.test('planSpec - round trip is a no-op', () => {
+  const spec = JSON.parse(JSON.stringify(exportSpec(project, services, flags, cicd)));
+  const plan = planSpec(spec, current, true);
+  if (plan.changes.length !== 0) throw new Error(`Expected no changes: ${JSON.stringify(plan.changes)}`);
+});
+
+Deno.test('planSpec - creates, updates and prunes', () => {
+  const spec = {
+    apiVersion: SPEC_API_VERSION,
+    project: { name: 'Shop', description: 'Online store' },
+    services: [
+      { name: 'orders', technologies: ['node', 'postgres'], depends_on: ['payments', 'Shipping'] },
+      { name: 'Payments' },
+      { name: 'Shipping', category: 'integration' }
+    ],
+    feature_flags: [{ flag_key: 'new-checkout', enabled: true }]
+  };
+  const { changes, summary } = planSpec(spec, current, true);
+  const shape = changes.map(c => `${c.action}:${c.kind}:${c.key}`);
+  const expected = [
+    'update:project:Shop',
+    'update:service:Orders',
+    'create:service:Shipping',
+    'delete:service:Legacy',
+    'update:feature_flag:new-checkout'
+  ];
+  if (JSON.stringify(shape) !== JSON.stringify(expected)) throw new Error(`Unexpected plan: ${shape}`);
+  if (summary.create !== 1 || summary.update !== 3 || summary.delete !== 1) throw new Error(`Bad summary ${JSON.stringify(summary)}`);
+
+  const orders = changes[1];
+  // Matched ignoring case, so the lower-cased name is a rename, not a new service
+  if (JSON.stringify(orders.diff.map(d => d.field)) !== '["name","technologies","depends_on"]' || orders.diff[2].from[0] !== 'Payments') {
+    throw new Error(`Unexpected service diff: ${JSON.stringify(orders.diff)}`);
+  }
+  if (changes.some(c => c.kind === ResourceKinds.CICD)) throw new Error('A spec without cicd must not prune pipelines');
+
+  const kept = planSpec(spec, current, false);
+  if (kept.changes.some(c => c.action === PlanActions.DELETE)) throw new Error('prune=false should not delete');
+});
+
+Deno.test('resolveDependencies - names to ids, ignoring case', () => {
+  const ids = new Map([['payments', 's2'], ['shipping', 'new-1']]);
+  const resolved = resolveDependencies(['Payments', 'SHIPPING', 'gone'], ids);
+  if (JSON.stringify(resolved) !== '["s2","new-1"]') throw new Error(`Unexpected ids: ${resolved}`);
+});
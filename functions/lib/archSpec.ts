@@ -0,0 +1,406 @@
+/**
+ * Architecture as Code
+ * AXIS: Architecture, Quality
+ *
+ * The archdesigner.yaml format and its plan/apply model:
+ * - Validation with path-qualified errors (unknown keys, duplicates,
+ *   dangling depends_on)
+ * - Export of a project, its services, feature flags and CI/CD settings
+ * - A plan of creates, updates and deletes against the current records
+ *
+ * Only the fields written in the spec are managed: leaving `description`
+ * out of a service keeps whatever the project has, while `description: ""`
+ * clears it. Parsing and printing YAML are left to the caller.
+ *
+ * Example:
+ *
+ *   apiVersion: archdesigner/v1
+ *   project:
+ *     name: Shop
+ *     architecture_pattern: microservices
+ *   services:
+ *     - name: orders
+ *       category: core
+ *       technologies: [node, postgres]
+ *       depends_on: [payments]
+ *       apis:
+ *         - { method: GET, endpoint: /orders }
+ *     - name: payments
+ *   feature_flags:
+ *     - flag_key: new-checkout
+ *       environment_config:
+ *         production: { enabled: false, rollout_percentage: 0 }
+ *   cicd:
+ *     - platform: github_actions
+ *       pipeline_stages: { testing: { enabled: true } }
+ */
+
+import { validateSchema } from './utils.js';
+
+export const SPEC_API_VERSION = 'archdesigner/v1';
+export const SPEC_FILENAME = 'archdesigner.yaml';
+
+export const SPEC_LIMITS = {
+  services: 200,
+  feature_flags: 500,
+  cicd: 20
+};
+
+export const ResourceKinds = {
+  PROJECT: 'project',
+  SERVICE: 'service',
+  FEATURE_FLAG: 'feature_flag',
+  CICD: 'cicd'
+};
+
+export const PlanActions = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+const TOP_LEVEL_KEYS = ['apiVersion', 'project', 'services', 'feature_flags', 'cicd'];
+
+const PROJECT_SCHEMA = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  category: { type: 'string', maxLength: 50 },
+  status: { type: 'string', maxLength: 50 },
+  architecture_pattern: { type: 'string', maxLength: 100 }
+};
+
+const SERVICE_SCHEMA = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 2000 },
+  category: { type: 'string', maxLength: 50 },
+  icon: { type: 'string', maxLength: 10 },
+  technologies: { type: 'array', maxLength: 50 },
+  depends_on: { type: 'array', maxLength: 200 },
+  apis: { type: 'array', maxLength: 200 }
+};
+
+const API_SCHEMA = {
+  endpoint: { required: true, type: 'string', minLength: 1, maxLength: 500 },
+  method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+  description: { type: 'string', maxLength: 1000 }
+};
+
+const FLAG_SCHEMA = {
+  flag_key: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+  name: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+  enabled: { type: 'boolean' },
+  status: { type: 'string', maxLength: 50 },
+  environment_config: { type: 'object' },
+  rollout_strategy: { type: 'string', enum: ['all_at_once', 'percentage', 'canary', 'user_segment'] }
+};
+
+const CICD_SCHEMA = {
+  platform: { required: true, type: 'string', minLength: 1, maxLength: 50 },
+  deployment_targets: { type: 'array', maxLength: 20 },
+  pipeline_stages: { type: 'object' },
+  security_scan_config: { type: 'object' }
+};
+
+const FLAG_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function nameKey(name) {
+  return String(name ?? '').trim().toLowerCase();
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function validateEntry(entry, schema, label, errors) {
+  if (!isPlainObject(entry)) {
+    errors.push(`${label} must be an object`);
+    return false;
+  }
+  errors.push(...validateSchema(entry, schema).errors.map(e => `${label}.${e}`));
+  const unknown = Object.keys(entry).filter(k => !(k in schema));
+  if (unknown.length > 0) {
+    errors.push(`${label}: unknown field(s) ${unknown.join(', ')}`);
+  }
+  return true;
+}
+
+function validateList(list, schema, label, limit, errors, identify) {
+  if (list === undefined || list === null) return;
+  if (!Array.isArray(list)) {
+    errors.push(`${label} must be a list`);
+    return;
+  }
+  if (list.length > limit) {
+    errors.push(`${label} has ${list.length} entries; the limit is ${limit}`);
+  }
+  const seen = new Map();
+  list.forEach((entry, i) => {
+    if (!validateEntry(entry, schema, `${label}[${i}]`, errors)) return;
+    const key = identify(entry);
+    if (!key) return;
+    if (seen.has(key)) {
+      errors.push(`${label}[${i}] duplicates ${label}[${seen.get(key)}]`);
+    } else {
+      seen.set(key, i);
+    }
+  });
+}
+
+/**
+ * Checks a parsed spec. Returns { valid, errors }; every error names the
+ * offending path, e.g. "services[2].depends_on: unknown service billing".
+ */
+export function validateSpec(spec) {
+  if (!isPlainObject(spec)) {
+    return { valid: false, errors: ['Spec must be a mapping at the top level'] };
+  }
+  if (spec.apiVersion !== SPEC_API_VERSION) {
+    return { valid: false, errors: [`apiVersion must be ${SPEC_API_VERSION}`] };
+  }
+
+  const errors = [];
+  const unknown = Object.keys(spec).filter(k => !TOP_LEVEL_KEYS.includes(k));
+  if (unknown.length > 0) {
+    errors.push(`unknown top-level field(s) ${unknown.join(', ')}`);
+  }
+
+  if (spec.project === undefined) {
+    errors.push('project is required');
+  } else {
+    validateEntry(spec.project, PROJECT_SCHEMA, 'project', errors);
+  }
+
+  validateList(spec.services, SERVICE_SCHEMA, 'services', SPEC_LIMITS.services, errors, s => nameKey(s.name));
+  validateList(spec.feature_flags, FLAG_SCHEMA, 'feature_flags', SPEC_LIMITS.feature_flags, errors, f => f.flag_key);
+  validateList(spec.cicd, CICD_SCHEMA, 'cicd', SPEC_LIMITS.cicd, errors, c => c.platform);
+
+  const services = Array.isArray(spec.services) ? spec.services.filter(isPlainObject) : [];
+  const names = new Set(services.map(s => nameKey(s.name)));
+  services.forEach((service, i) => {
+    (Array.isArray(service.technologies) ? service.technologies : []).forEach((tech, j) => {
+      if (typeof tech !== 'string') errors.push(`services[${i}].technologies[${j}] must be a string`);
+    });
+    (Array.isArray(service.depends_on) ? service.depends_on : []).forEach((dep, j) => {
+      if (typeof dep !== 'string') {
+        errors.push(`services[${i}].depends_on[${j}] must be a service name`);
+      } else if (nameKey(dep) === nameKey(service.name)) {
+        errors.push(`services[${i}].depends_on: ${service.name} cannot depend on itself`);
+      } else if (!names.has(nameKey(dep))) {
+        errors.push(`services[${i}].depends_on: unknown service ${dep}`);
+      }
+    });
+    (Array.isArray(service.apis) ? service.apis : []).forEach((api, j) => {
+      validateEntry(api, API_SCHEMA, `services[${i}].apis[${j}]`, errors);
+    });
+  });
+
+  (Array.isArray(spec.feature_flags) ? spec.feature_flags : []).forEach((flag, i) => {
+    if (typeof flag?.flag_key === 'string' && !FLAG_KEY_PATTERN.test(flag.flag_key)) {
+      errors.push(`feature_flags[${i}].flag_key may only contain letters, digits, '.', '_' and '-'`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    const value = source?.[field];
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    if (isPlainObject(value) && Object.keys(value).length === 0) continue;
+    result[field] = value;
+  }
+  return result;
+}
+
+/**
+ * Spec for the current records. depends_on ids become service names and
+ * lists are sorted so repeated exports diff cleanly in git.
+ */
+export function exportSpec(project, services, flags, cicdConfigs) {
+  const namesById = new Map(services.map(s => [s.id, s.name]));
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+  const spec = {
+    apiVersion: SPEC_API_VERSION,
+    project: pick(project, Object.keys(PROJECT_SCHEMA)),
+    services: [...services].sort(byName).map(service => ({
+      ...pick(service, ['name', 'description', 'category', 'icon', 'technologies']),
+      ...((service.depends_on || []).length > 0
+        ? { depends_on: service.depends_on.map(id => namesById.get(id)).filter(Boolean).sort() }
+        : {}),
+      ...((service.apis || []).length > 0
+        ? { apis: service.apis.map(api => pick(api, Object.keys(API_SCHEMA))) }
+        : {})
+    })),
+    feature_flags: [...flags]
+      .sort((a, b) => String(a.flag_key).localeCompare(String(b.flag_key)))
+      .map(flag => pick(flag, Object.keys(FLAG_SCHEMA))),
+    cicd: [...cicdConfigs]
+      .sort((a, b) => String(b.created_date ?? '').localeCompare(String(a.created_date ?? '')))
+      // The newest configuration per platform is the one a spec manages
+      .filter((config, i, all) => all.findIndex(c => c.platform === config.platform) === i)
+      .sort((a, b) => String(a.platform).localeCompare(String(b.platform)))
+      .map(config => pick(config, Object.keys(CICD_SCHEMA)))
+  };
+
+  for (const list of ['services', 'feature_flags', 'cicd']) {
+    if (spec[list].length === 0) delete spec[list];
+  }
+  return spec;
+}
+
+// ============================================
+// PLAN
+// ============================================
+
+// Key order does not matter when comparing objects from YAML and entities
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (isPlainObject(value)) {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonical(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+const asWritten = (field, value) => value;
+
+function sameValue(a, b) {
+  return JSON.stringify(canonical(a ?? null)) === JSON.stringify(canonical(b ?? null));
+}
+
+function fieldDiff(desired, current, fields, normalise) {
+  const diff = [];
+  for (const field of fields) {
+    if (!(field in desired)) continue;
+    if (!sameValue(normalise(field, desired[field]), normalise(field, current[field]))) {
+      diff.push({ field, from: current[field] ?? null, to: desired[field] });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Changes that would bring the current records in line with a valid spec.
+ * `current` is { project, services, flags, cicd }; when `prune` is false,
+ * records missing from the spec are left alone instead of deleted. A spec
+ * that leaves out a whole section (e.g. no `cicd:` key) never prunes it.
+ *
+ * Returns { changes, summary }. Each change is { action, kind, key, id,
+ * fields, diff } where `fields` is what to write; service depends_on is by
+ * name and resolved to ids on apply.
+ */
+export function planSpec(spec, current, prune) {
+  const changes = [];
+
+  const projectDiff = fieldDiff(spec.project, current.project, Object.keys(PROJECT_SCHEMA), asWritten);
+  if (projectDiff.length > 0) {
+    changes.push({
+      action: PlanActions.UPDATE,
+      kind: ResourceKinds.PROJECT,
+      key: current.project.name,
+      id: current.project.id,
+      fields: Object.fromEntries(projectDiff.map(d => [d.field, d.to])),
+      diff: projectDiff
+    });
+  }
+
+  // Existing depends_on ids become names, like the spec
+  const namesById = new Map(current.services.map(s => [s.id, s.name]));
+  const currentServices = current.services.map(s => ({
+    ...s,
+    depends_on: (s.depends_on || []).map(id => namesById.get(id)).filter(Boolean)
+  }));
+
+  const sections = [
+    {
+      kind: ResourceKinds.SERVICE,
+      desired: spec.services,
+      existing: currentServices,
+      key: s => nameKey(s.name),
+      label: s => s.name,
+      fields: Object.keys(SERVICE_SCHEMA),
+      normalise: (field, value) => field === 'depends_on' ? (value || []).map(nameKey).sort() : value
+    },
+    {
+      kind: ResourceKinds.FEATURE_FLAG,
+      desired: spec.feature_flags,
+      existing: current.flags,
+      key: f => f.flag_key,
+      label: f => f.flag_key,
+      fields: Object.keys(FLAG_SCHEMA),
+      normalise: asWritten
+    },
+    {
+      kind: ResourceKinds.CICD,
+      desired: spec.cicd,
+      // Older configurations per platform are history, not managed records
+      existing: [...current.cicd]
+        .sort((a, b) => String(b.created_date ?? '').localeCompare(String(a.created_date ?? '')))
+        .filter((config, i, all) => all.findIndex(c => c.platform === config.platform) === i),
+      key: c => c.platform,
+      label: c => c.platform,
+      fields: Object.keys(CICD_SCHEMA),
+      normalise: asWritten
+    }
+  ];
+
+  for (const section of sections) {
+    const existingByKey = new Map(section.existing.map(record => [section.key(record), record]));
+    const desiredKeys = new Set();
+
+    for (const entry of section.desired || []) {
+      const key = section.key(entry);
+      desiredKeys.add(key);
+      const record = existingByKey.get(key);
+      if (!record) {
+        changes.push({ action: PlanActions.CREATE, kind: section.kind, key: section.label(entry), id: null, fields: entry, diff: [] });
+        continue;
+      }
+      const diff = fieldDiff(entry, record, section.fields, section.normalise);
+      if (diff.length > 0) {
+        changes.push({
+          action: PlanActions.UPDATE,
+          kind: section.kind,
+          key: section.label(record),
+          id: record.id,
+          fields: Object.fromEntries(diff.map(d => [d.field, d.to])),
+          diff
+        });
+      }
+    }
+
+    if (prune && section.desired !== undefined) {
+      for (const [key, record] of existingByKey) {
+        if (desiredKeys.has(key)) continue;
+        changes.push({ action: PlanActions.DELETE, kind: section.kind, key: section.label(record), id: record.id, fields: {}, diff: [] });
+      }
+    }
+  }
+
+  const summary = { create: 0, update: 0, delete: 0 };
+  for (const change of changes) summary[change.action]++;
+  return { changes, summary };
+}
+
+/**
+ * depends_on names from the spec as service ids. `idsByName` maps
+ * lower-cased names to ids and includes services created during apply.
+ */
+export function resolveDependencies(dependsOn, idsByName) {
+  return (dependsOn || []).map(name => idsByName.get(nameKey(name))).filter(Boolean);
+}
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for lib/callGraph.js
+ *
+ * Test coverage for:
+ * - Cross-service calls from OTLP and Jaeger spans
+ * - Per-edge call samples and windowed summaries
+ * - Drift against depends_on and reconciliation updates
+ *
+ * Run with: deno test functions/lib/callGraph.test.js
+ */
+
+import {
+  extractCalls,
+  buildCallSamples,
+  summariseCallGraph,
+  diffDependencies,
+  reconcileDependencies
+} from './callGraph.js';
+import { parseTelemetry, createServiceMatcher, TelemetryFormats } from './telemetry.js';
+
+const START_US = Date.parse('2026-01-01T12:00:00Z') * 1000;
+
+const SERVICES = [
+  { id: 'gw', name: 'Gateway', depends_on: ['orders', 'legacy'] },
+  { id: 'orders', name: 'Orders', depends_on: [] },
+  { id: 'payments', name: 'Payments', depends_on: [] },
+  { id: 'legacy', name: 'Legacy', depends_on: ['orders'] }
+];
+
+// gateway (server) -> gateway (client) -> orders (server) -> payments via peer.service
+function jaegerExport() {
+  const span = (spanID, processID, kind, parent, offsetUs, durationUs, extraTags = []) => ({
+    traceID: 't1',
+    spanID,
+    operationName: `${processID} ${kind}`,
+    references: parent ? [{ refType: 'CHILD_OF', traceID: 't1', spanID: parent }] : [],
+    startTime: START_US + offsetUs,
+    duration: durationUs,
+    processID,
+    tags: [{ key: 'span.kind', type: 'string', value: kind }, ...extraTags]
+  });
+  return {
+    data: [{
+      traceID: 't1',
+      spans: [
+        span('a', 'p1', 'server', null, 0, 90000),
+        span('b', 'p1', 'client', 'a', 1000, 80000),
+        span('c', 'p2', 'server', 'b', 2000, 70000, [{ key: 'error', type: 'bool', value: true }]),
+        span('d', 'p2', 'client', 'c', 3000, 30000, [{ key: 'peer.service', type: 'string', value: 'payments' }])
+      ],
+      processes: {
+        p1: { serviceName: 'gateway', tags: [{ key: 'service.version', type: 'string', value: '3.1.0' }] },
+        p2: { serviceName: 'orders', tags: [] }
+      }
+    }]
+  };
+}
+
+Deno.test('parseTelemetry - Jaeger exports return spans and health points', () => {
+  const { format, spans, points } = parseTelemetry(JSON.stringify(jaegerExport()));
+  if (format !== TelemetryFormats.JAEGER || spans.length !== 4 || points.length !== 2) {
+    throw new Error(`Unexpected parse: ${format} ${spans?.length} ${points.length}`);
+  }
+  const client = spans.find(s => s.span_id === 'b');
+  if (client.kind !== 3 || client.duration_ms !== 80 || client.version !== '3.1.0' || client.parent_span_id !== 'a') {
+    throw new Error(`Unexpected span: ${JSON.stringify(client)}`);
+  }
+});
+
+Deno.test('extractCalls - parent links and uninstrumented peers', () => {
+  const { spans } = parseTelemetry(jaegerExport());
+  const calls = extractCalls(spans);
+  if (calls.length !== 2) {
+    throw new Error(`Expected two calls: ${JSON.stringify(calls)}`);
+  }
+  const [toOrders, toPayments] = calls;
+  if (toOrders.from !== 'gateway' || toOrders.to !== 'orders' || toOrders.duration_ms !== 80 || !toOrders.error) {
+    throw new Error(`Caller view should be used: ${JSON.stringify(toOrders)}`);
+  }
+  if (toPayments.from !== 'orders' || toPayments.to !== 'payments' || toPayments.duration_ms !== 30) {
+    throw new Error(`peer.service call missing: ${JSON.stringify(toPayments)}`);
+  }
+});
+
+Deno.test('buildCallSamples and summariseCallGraph - rates and latency per edge', () => {
+  const { spans } = parseTelemetry(jaegerExport());
+  const match = createServiceMatcher(SERVICES);
+  const later = spans.map(s => ({ ...s, trace_id: 't2', start_ms: s.start_ms + 9 * 60000 }));
+  const { samples, unmatched } = buildCallSamples([...spans, ...later], match);
+  if (samples.length !== 4 || unmatched.length !== 0) {
+    throw new Error(`Unexpected samples: ${JSON.stringify(samples)} ${unmatched}`);
+  }
+
+  const graph = summariseCallGraph(samples, { windowMinutes: 60 });
+  const edge = graph.edges.find(e => e.key === 'gw>orders');
+  if (graph.window.observed_minutes !== 10 || edge.calls !== 2 || edge.calls_per_min !== 0.2 || edge.error_rate !== 100) {
+    throw new Error(`Unexpected edge: ${JSON.stringify(graph)}`);
+  }
+  if (edge.latency_p95 === null || graph.services_seen.join() !== 'gw,orders,payments') {
+    throw new Error(`Unexpected summary: ${JSON.stringify(graph.services_seen)}`);
+  }
+
+  const narrow = summariseCallGraph(samples, { windowMinutes: 5 });
+  if (narrow.edges[0].calls !== 1) {
+    throw new Error('Windows should end at the newest sample');
+  }
+});
+
+Deno.test('diffDependencies and reconcileDependencies', () => {
+  const edges = [
+    { key: 'gw>orders', from: 'gw', to: 'orders' },
+    { key: 'orders>payments', from: 'orders', to: 'payments' }
+  ];
+  const diff = diffDependencies(SERVICES, edges, ['gw', 'orders', 'payments']);
+  const keys = (list) => list.map(l => l.key).join();
+  if (keys(diff.confirmed) !== 'gw>orders' || keys(diff.undeclared) !== 'orders>payments') {
+    throw new Error(`Unexpected diff: ${JSON.stringify(diff)}`);
+  }
+  if (keys(diff.dead) !== 'gw>legacy' || keys(diff.unverified) !== 'legacy>orders') {
+    throw new Error(`Untraced callers should be unverified: ${JSON.stringify(diff)}`);
+  }
+
+  const updates = reconcileDependencies(SERVICES, { add: diff.undeclared, remove: diff.dead });
+  if (JSON.stringify(updates) !== JSON.stringify([
+    { id: 'gw', depends_on: ['orders'] },
+    { id: 'orders', depends_on: ['payments'] }
+  ])) {
+    throw new Error(`Unexpected updates: ${JSON.stringify(updates)}`);
+  }
+  if (reconcileDependencies(SERVICES, { add: diff.confirmed }).length !== 0) {
+    throw new Error('Declaring existing links should change nothing');
+  }
+});
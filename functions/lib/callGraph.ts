@@ -0,0 +1,237 @@
+/**
+ * Observed Call Graph
+ * AXIS: Observability, Architecture
+ *
+ * Derives service-to-service calls from distributed trace spans and
+ * compares them with the declared Service.depends_on graph:
+ * - A call is a span whose parent span belongs to another service, or a
+ *   CLIENT/PRODUCER span naming an uninstrumented peer.service
+ * - Per-edge, per-minute call counts, errors and latency histograms
+ * - Windowed edge summary with call rates and p95 latency
+ * - Drift: undeclared calls, dead declared dependencies, and the
+ *   depends_on updates that reconcile them
+ *
+ * Everything here is pure and shared with the browser; persistence is left
+ * to the caller.
+ */
+
+import {
+  SpanKinds,
+  BUCKET_MS,
+  emptyHistogram,
+  observe,
+  mergeHistograms,
+  percentile
+} from './telemetry.js';
+import { linkKey } from './crdt.js';
+
+export const CALL_GRAPH_WINDOW_MINUTES = [60, 360, 1440, 10080];
+export const DEFAULT_CALL_GRAPH_WINDOW_MINUTES = 1440;
+
+const OUTBOUND_KINDS = [SpanKinds.CLIENT, SpanKinds.PRODUCER];
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function bucketStart(at) {
+  return new Date(Math.floor(at / BUCKET_MS) * BUCKET_MS).toISOString();
+}
+
+// ============================================
+// CALLS FROM SPANS
+// ============================================
+
+/**
+ * Finds cross-service calls in a batch of spans. The caller's CLIENT span
+ * gives the latency the caller saw; without one, the callee's span is used.
+ * Parents must be in the same batch, so export whole traces together.
+ */
+export function extractCalls(spans) {
+  const byId = new Map();
+  for (const span of spans) {
+    if (span.span_id) byId.set(`${span.trace_id}|${span.span_id}`, span);
+  }
+  const resolved = new Set();
+  const calls = [];
+
+  for (const span of spans) {
+    if (!span.parent_span_id) continue;
+    const parentKey = `${span.trace_id}|${span.parent_span_id}`;
+    const parent = byId.get(parentKey);
+    if (!parent || parent.service === span.service) continue;
+
+    const callerView = OUTBOUND_KINDS.includes(parent.kind);
+    if (callerView) resolved.add(parentKey);
+    calls.push({
+      from: parent.service,
+      to: span.service,
+      at: parent.start_ms,
+      duration_ms: callerView ? parent.duration_ms : span.duration_ms,
+      error: span.error || (callerView && parent.error)
+    });
+  }
+
+  // Outbound spans whose callee is not instrumented
+  for (const span of spans) {
+    if (!OUTBOUND_KINDS.includes(span.kind) || !span.peer_service || span.peer_service === span.service) continue;
+    if (resolved.has(`${span.trace_id}|${span.span_id}`)) continue;
+    calls.push({ from: span.service, to: span.peer_service, at: span.start_ms, duration_ms: span.duration_ms, error: span.error });
+  }
+
+  return calls;
+}
+
+/**
+ * Groups calls into one record per matched service pair and minute.
+ * Calls between names that match no Service are reported, not stored.
+ */
+export function buildCallSamples(spans, matchService) {
+  const samples = new Map();
+  const unmatched = new Set();
+
+  for (const call of extractCalls(spans)) {
+    const from = matchService(call.from);
+    const to = matchService(call.to);
+    if (!from) unmatched.add(call.from);
+    if (!to) unmatched.add(call.to);
+    if (!from || !to || from.id === to.id) continue;
+
+    const bucket = bucketStart(call.at);
+    const key = `${linkKey(from.id, to.id)}|${bucket}`;
+    const sample = samples.get(key) || {
+      from_service_id: from.id,
+      to_service_id: to.id,
+      bucket_start: bucket,
+      calls: 0,
+      errors: 0,
+      latency: emptyHistogram(),
+      last_seen: null
+    };
+    sample.calls += 1;
+    sample.errors += call.error ? 1 : 0;
+    observe(sample.latency, call.duration_ms);
+    const seen = new Date(call.at).toISOString();
+    if (!sample.last_seen || seen > sample.last_seen) sample.last_seen = seen;
+    samples.set(key, sample);
+  }
+
+  return { samples: [...samples.values()], unmatched: [...unmatched].sort() };
+}
+
+// ============================================
+// SUMMARY
+// ============================================
+
+/**
+ * Merges stored call samples into one edge per service pair. The window
+ * ends at the newest sample rather than now, so an uploaded trace file
+ * from last week still produces a graph. Rates are per minute of observed
+ * time, the same denominator for every edge.
+ */
+export function summariseCallGraph(samples, { windowMinutes = DEFAULT_CALL_GRAPH_WINDOW_MINUTES } = {}) {
+  if (samples.length === 0) {
+    return { window: { minutes: windowMinutes, since: null, until: null }, edges: [], services_seen: [] };
+  }
+
+  const until = samples.reduce((max, s) => (s.bucket_start > max ? s.bucket_start : max), samples[0].bucket_start);
+  const since = new Date(Date.parse(until) - (windowMinutes - 1) * 60000).toISOString();
+  const inWindow = samples.filter(s => s.bucket_start >= since);
+  const first = inWindow.reduce((min, s) => (s.bucket_start < min ? s.bucket_start : min), until);
+  const observedMinutes = (Date.parse(until) - Date.parse(first)) / 60000 + 1;
+
+  const edges = new Map();
+  for (const sample of inWindow) {
+    const key = linkKey(sample.from_service_id, sample.to_service_id);
+    const edge = edges.get(key) || {
+      key,
+      from: sample.from_service_id,
+      to: sample.to_service_id,
+      calls: 0,
+      errors: 0,
+      latency: emptyHistogram(),
+      first_seen: sample.bucket_start,
+      last_seen: sample.last_seen
+    };
+    edge.calls += sample.calls;
+    edge.errors += sample.errors;
+    mergeHistograms(edge.latency, sample.latency);
+    if (sample.bucket_start < edge.first_seen) edge.first_seen = sample.bucket_start;
+    if (sample.last_seen > edge.last_seen) edge.last_seen = sample.last_seen;
+    edges.set(key, edge);
+  }
+
+  const summarised = [...edges.values()]
+    .map(({ latency, ...edge }) => ({
+      ...edge,
+      calls_per_min: round(edge.calls / observedMinutes, 3),
+      error_rate: edge.calls > 0 ? round((edge.errors / edge.calls) * 100, 2) : 0,
+      latency_p50: percentile(latency, 0.5),
+      latency_p95: percentile(latency, 0.95)
+    }))
+    .sort((a, b) => b.calls - a.calls || a.key.localeCompare(b.key));
+
+  const seen = new Set(summarised.flatMap(e => [e.from, e.to]));
+  return {
+    window: { minutes: windowMinutes, since, until, observed_minutes: observedMinutes },
+    edges: summarised,
+    services_seen: [...seen].sort()
+  };
+}
+
+// ============================================
+// DRIFT AND RECONCILIATION
+// ============================================
+
+/**
+ * Compares observed edges with declared depends_on links. A declared link
+ * is "dead" only when its caller appears somewhere in the observed graph;
+ * if it does not, there is no evidence either way and it is "unverified".
+ */
+export function diffDependencies(services, edges, servicesSeen = []) {
+  const ids = new Set(services.map(s => s.id));
+  const seen = new Set(servicesSeen);
+  const observed = new Map();
+  for (const edge of edges) {
+    if (ids.has(edge.from) && ids.has(edge.to)) observed.set(edge.key || linkKey(edge.from, edge.to), edge);
+  }
+
+  const declared = new Map();
+  for (const service of services) {
+    for (const target of service.depends_on || []) {
+      if (ids.has(target) && target !== service.id) declared.set(linkKey(service.id, target), { from: service.id, to: target });
+    }
+  }
+
+  const diff = { confirmed: [], undeclared: [], dead: [], unverified: [] };
+  for (const [key, link] of declared) {
+    if (observed.has(key)) diff.confirmed.push({ key, ...link, edge: observed.get(key) });
+    else if (seen.has(link.from)) diff.dead.push({ key, ...link });
+    else diff.unverified.push({ key, ...link });
+  }
+  for (const [key, edge] of observed) {
+    if (!declared.has(key)) diff.undeclared.push({ key, from: edge.from, to: edge.to, edge });
+  }
+  return diff;
+}
+
+/**
+ * Returns the depends_on updates that declare `add` links and drop
+ * `remove` links, one entry per service that actually changes.
+ */
+export function reconcileDependencies(services, { add = [], remove = [] } = {}) {
+  const updates = [];
+  for (const service of services) {
+    const current = service.depends_on || [];
+    const dropped = new Set(remove.filter(l => l.from === service.id).map(l => l.to));
+    const next = current.filter(id => !dropped.has(id));
+    for (const link of add) {
+      if (link.from === service.id && !next.includes(link.to)) next.push(link.to);
+    }
+    if (next.length !== current.length || next.some((id, i) => id !== current[i])) {
+      updates.push({ id: service.id, depends_on: next });
+    }
+  }
+  return updates;
+}
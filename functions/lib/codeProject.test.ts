@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for lib/codeProject.js
+ *
+ * Test coverage for:
+ * - Path normalisation and tree assembly with CI/CD and OpenAPI extras
+ * - OpenAPI paths, parameters and operation ids
+ * - Syntax check reporting with injected parsers
+ * - Directory view ordering
+ *
+ * Run with: deno test functions/lib/codeProject.test.js
+ */
+
+import {
+  FileKinds,
+  normaliseFilePath,
+  syntaxLanguage,
+  buildOpenApiSpec,
+  buildProjectTree,
+  toDirectoryTree,
+  checkSyntax
+} from './codeProject.js';
+
+const service = {
+  name: 'Order Service',
+  description: 'Orders',
+  apis: [
+    { method: 'GET', endpoint: '/orders/:id', description: 'Fetch an order' },
+    { method: 'POST', endpoint: '/orders' },
+    { method: 'FETCH', endpoint: '/bad' }
+  ]
+};
+
+Deno.test('normaliseFilePath - rejects escapes, cleans separators', () => {
+  const cases = [
+    ['./src//index.ts', 'src/index.ts'],
+    ['src\\app.js', 'src/app.js'],
+    ['/etc/passwd', 'etc/passwd'],
+    ['../secrets', null],
+    ['a/../../b', null],
+    ['', null]
+  ];
+  for (const [input, expected] of cases) {
+    if (normaliseFilePath(input) !== expected) throw new Error(`${input} -> ${normaliseFilePath(input)}`);
+  }
+  if (syntaxLanguage('tsconfig.json') !== null || syntaxLanguage('a/b.yml') !== 'yaml') {
+    throw new Error('Unexpected syntax languages');
+  }
+});
+
+Deno.test('buildProjectTree - merges generated files with extras', () => {
+  const { root, files, skipped } = buildProjectTree(service, [
+    { path: 'order-service/src/index.ts', content: 'export {};' },
+    { path: 'src/index.ts', content: 'duplicate' },
+    { path: 'tests/orders.test.ts', content: '' },
+    { path: '.github/workflows/ci.yml', content: 'generated' },
+    { path: '../escape.sh', content: 'rm -rf /' }
+  ], {
+    dockerfile: 'FROM node:20',
+    pipeline: { platform: 'github_actions', content: 'on: push' },
+    openapi: 'openapi: 3.0.3',
+    readme: '# Order Service'
+  });
+
+  if (root !== 'order-service') throw new Error(`Unexpected root ${root}`);
+  const paths = files.map(f => f.path);
+  const expected = ['.github/workflows/ci.yml', 'Dockerfile', 'openapi.yaml', 'README.md', 'src/index.ts', 'tests/orders.test.ts'];
+  if (JSON.stringify(paths) !== JSON.stringify(expected)) throw new Error(`Unexpected paths: ${paths}`);
+  if (files.find(f => f.path === 'src/index.ts').content !== 'export {};') throw new Error('First generated file should win');
+  const pipeline = files.find(f => f.kind === FileKinds.CI);
+  if (pipeline.content !== 'on: push') throw new Error('Pipeline should come from the CI/CD configuration');
+  if (files.find(f => f.path === 'tests/orders.test.ts').kind !== FileKinds.TEST) throw new Error('Test kind not inferred');
+  if (skipped.length !== 1 || skipped[0] !== '../escape.sh') throw new Error(`Unexpected skipped: ${skipped}`);
+});
+
+Deno.test('buildOpenApiSpec - paths, parameters and health check', () => {
+  const spec = buildOpenApiSpec(service, { name: 'Shop' });
+  const paths = Object.keys(spec.paths);
+  if (JSON.stringify(paths) !== JSON.stringify(['/health', '/orders/{id}', '/orders'])) {
+    throw new Error(`Unexpected paths: ${paths}`);
+  }
+  const get = spec.paths['/orders/{id}'].get;
+  if (get.operationId !== 'getOrdersId' || get.parameters[0].name !== 'id' || get.summary !== 'Fetch an order') {
+    throw new Error(`Unexpected operation: ${JSON.stringify(get)}`);
+  }
+  if (!spec.paths['/orders'].post.requestBody || spec.info.title !== 'Order Service') {
+    throw new Error('POST should take a JSON body');
+  }
+});
+
+Deno.test('checkSyntax - JSON built in, other parsers injected', () => {
+  const files = [
+    { path: 'package.json', content: '{\n  "name": "orders",\n}' },
+    { path: 'config.yaml', content: 'a: 1' },
+    { path: 'src/index.ts', content: 'const = 1' },
+    { path: 'src/ok.js', content: 'export {}' },
+    { path: 'Dockerfile', content: 'FROM node' }
+  ];
+  const report = checkSyntax(files, {
+    script: (content) => content.includes('const =') ? [{ line: 1, column: 7, message: 'Identifier expected.' }] : []
+  });
+
+  if (report.checked !== 3 || report.failed !== 2 || report.unchecked !== 1) {
+    throw new Error(`Unexpected totals: ${JSON.stringify(report)}`);
+  }
+  const json = report.results.find(r => r.path === 'package.json');
+  if (json.ok || json.errors[0].line !== 3 || json.errors[0].column !== 1) {
+    throw new Error(`Unexpected JSON error: ${JSON.stringify(json.errors)}`);
+  }
+
+  const throwing = checkSyntax([{ path: 'a.yml', content: 'x' }], { yaml: () => { throw new Error('boom'); } });
+  if (throwing.failed !== 1 || !throwing.results[0].errors[0].message.includes('boom')) {
+    throw new Error('A failing parser should be reported, not thrown');
+  }
+});
+
+Deno.test('toDirectoryTree - directories first, sorted by name', () => {
+  const tree = toDirectoryTree([
+    { path: 'README.md' },
+    { path: 'src/b.ts' },
+    { path: 'src/a/index.ts' },
+    { path: 'Dockerfile' }
+  ]);
+  const names = tree.children.map(c => c.name);
+  if (JSON.stringify(names) !== JSON.stringify(['src', 'Dockerfile', 'README.md'])) throw new Error(`Unexpected order: ${names}`);
+  const src = tree.children[0];
+  if (src.children[0].name !== 'a' || src.children[0].children[0].path !== 'src/a/index.ts') {
+    throw new Error('Nested directories not built');
+  }
+});
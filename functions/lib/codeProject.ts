@@ -0,0 +1,310 @@
+/**
+ * Generated Code Projects
+ * AXIS: Code Quality, Architecture
+ *
+ * Turns the files returned by code generation into one buildable tree per
+ * service:
+ * - Safe, de-duplicated relative paths under a service directory
+ * - Dockerfile and CI pipeline from the project's CI/CD configuration
+ * - OpenAPI spec derived from the service's APIs
+ * - Per-file syntax check (JS/TS, JSON, YAML) with line and column
+ * - Nested directory view for the file browser
+ *
+ * Pure; YAML and script parsers are supplied by the caller. Shared with
+ * the browser (ProjectTreeBrowser).
+ */
+
+import { PIPELINE_PATHS, safeFilename } from './exportFormats.js';
+
+export const MAX_TREE_FILES = 200;
+
+export const FileKinds = {
+  SOURCE: 'source',
+  TEST: 'test',
+  CONFIG: 'config',
+  DOCKER: 'docker',
+  CI: 'ci',
+  API: 'api',
+  DOCS: 'docs'
+};
+
+export const SyntaxLanguages = {
+  JAVASCRIPT: 'javascript',
+  TYPESCRIPT: 'typescript',
+  JSON: 'json',
+  YAML: 'yaml'
+};
+
+const LANGUAGE_EXTENSIONS = {
+  js: SyntaxLanguages.JAVASCRIPT,
+  mjs: SyntaxLanguages.JAVASCRIPT,
+  cjs: SyntaxLanguages.JAVASCRIPT,
+  jsx: SyntaxLanguages.JAVASCRIPT,
+  ts: SyntaxLanguages.TYPESCRIPT,
+  mts: SyntaxLanguages.TYPESCRIPT,
+  cts: SyntaxLanguages.TYPESCRIPT,
+  tsx: SyntaxLanguages.TYPESCRIPT,
+  json: SyntaxLanguages.JSON,
+  yaml: SyntaxLanguages.YAML,
+  yml: SyntaxLanguages.YAML
+};
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Relative POSIX path, or null when the path is empty or would escape the
+ * project root.
+ */
+export function normaliseFilePath(path) {
+  const parts = String(path ?? '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part !== '' && part !== '.');
+  if (parts.length === 0 || parts.includes('..')) return null;
+  return parts.join('/');
+}
+
+export function syntaxLanguage(path) {
+  const name = String(path).split('/').pop().toLowerCase();
+  // tsconfig.json and friends allow comments; JSON.parse would flag them
+  if (/^(tsconfig|jsconfig)(\..+)?\.json$/.test(name) || name.endsWith('.jsonc')) return null;
+  const extension = name.includes('.') ? name.split('.').pop() : '';
+  return LANGUAGE_EXTENSIONS[extension] || null;
+}
+
+function inferKind(path) {
+  const lower = path.toLowerCase();
+  const name = lower.split('/').pop();
+  if (name === 'dockerfile' || name.startsWith('dockerfile.') || name.startsWith('docker-compose') || name === '.dockerignore') {
+    return FileKinds.DOCKER;
+  }
+  if (Object.values(PIPELINE_PATHS).some(p => lower === p.toLowerCase())) return FileKinds.CI;
+  if (/(^|\/)(openapi|swagger)\.(ya?ml|json)$/.test(lower)) return FileKinds.API;
+  if (/(^|\/)(tests?|__tests__|spec)\//.test(lower) || /\.(test|spec)\.\w+$/.test(lower) || /_test\.\w+$/.test(lower)) {
+    return FileKinds.TEST;
+  }
+  if (name.endsWith('.md')) return FileKinds.DOCS;
+  if (syntaxLanguage(path) === SyntaxLanguages.JSON || syntaxLanguage(path) === SyntaxLanguages.YAML || name.startsWith('.env')) {
+    return FileKinds.CONFIG;
+  }
+  return FileKinds.SOURCE;
+}
+
+// ============================================
+// OPENAPI
+// ============================================
+
+/**
+ * OpenAPI 3 document for a service. Entries in `service.apis` carry
+ * `endpoint` (or `path`), `method` and `description`; `/health` is always
+ * present because every generated service exposes it.
+ */
+export function buildOpenApiSpec(service, project) {
+  const paths = Object.create(null);
+  const operations = [
+    { endpoint: '/health', method: 'GET', description: 'Liveness and readiness check' },
+    ...(service.apis || [])
+  ];
+
+  for (const api of operations) {
+    const endpoint = String(api.endpoint || api.path || '').trim();
+    const method = String(api.method || 'GET').toLowerCase();
+    if (!endpoint.startsWith('/') || !HTTP_METHODS.includes(method)) continue;
+    // Express-style :id parameters become {id}
+    const path = endpoint.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || Object.create(null);
+    if (paths[path][method]) continue;
+
+    const parameters = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+    paths[path][method] = {
+      summary: api.description || `${method.toUpperCase()} ${path}`,
+      operationId: `${method}${path.replace(/[{}]/g, '').split(/[^a-zA-Z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('')}`,
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(['post', 'put', 'patch'].includes(method)
+        ? { requestBody: { content: { 'application/json': { schema: { type: 'object' } } } } }
+        : {}),
+      responses: {
+        '200': { description: 'Success' },
+        ...(method === 'get' ? {} : { '400': { description: 'Invalid request' } }),
+        '500': { description: 'Internal error' }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: service.name,
+      description: service.description || `${service.name} service${project ? ` of ${project.name}` : ''}`,
+      version: service.version || '1.0.0'
+    },
+    paths
+  };
+}
+
+// ============================================
+// TREE
+// ============================================
+
+/**
+ * Assembles the files of one service project, rooted at a directory named
+ * after the service. Generated files come first; `extras` (Dockerfile,
+ * pipeline, OpenAPI spec) fill in only what generation left out, except
+ * the pipeline, which always comes from the CI/CD configuration so every
+ * service in a project builds the same way.
+ *
+ * `extras` is { dockerfile?, pipeline?: { platform, content }, openapi?, readme? }.
+ * Returns { root, files: [{ path, content, kind, description }], skipped }.
+ */
+export function buildProjectTree(service, generatedFiles, extras) {
+  const root = safeFilename(String(service.name || 'service').toLowerCase().replace(/\s+/g, '-'));
+  const files = [];
+  const byPath = new Map();
+  const skipped = [];
+
+  const put = (path, content, kind, description, replace) => {
+    const clean = normaliseFilePath(path);
+    if (!clean || typeof content !== 'string') {
+      skipped.push(String(path));
+      return;
+    }
+    // Generators often prefix paths with the service directory themselves
+    const relative = clean.startsWith(`${root}/`) ? clean.slice(root.length + 1) : clean;
+    const existing = byPath.get(relative.toLowerCase());
+    if (existing) {
+      if (replace) Object.assign(existing, { content, kind, description });
+      return;
+    }
+    if (files.length >= MAX_TREE_FILES) {
+      skipped.push(relative);
+      return;
+    }
+    const file = { path: relative, content, kind: kind || inferKind(relative), description: description || '' };
+    files.push(file);
+    byPath.set(relative.toLowerCase(), file);
+  };
+
+  for (const file of generatedFiles || []) {
+    // The path is more reliable than the generator's own label, except for
+    // files it cannot place (e.g. test helpers outside a tests directory)
+    const inferred = inferKind(normaliseFilePath(file.path) || '');
+    const kind = inferred === FileKinds.SOURCE && Object.values(FileKinds).includes(file.type) ? file.type : inferred;
+    put(file.path, file.content, kind, file.description, false);
+  }
+
+  if (extras.dockerfile && !files.some(f => f.path.split('/').pop() === 'Dockerfile')) {
+    put('Dockerfile', extras.dockerfile, FileKinds.DOCKER, 'Container image', false);
+  }
+  if (extras.pipeline?.content) {
+    const pipelinePath = PIPELINE_PATHS[extras.pipeline.platform] || 'ci/pipeline.yml';
+    put(pipelinePath, extras.pipeline.content, FileKinds.CI, `${extras.pipeline.platform} pipeline`, true);
+  }
+  if (extras.openapi && !files.some(f => f.kind === FileKinds.API)) {
+    put('openapi.yaml', extras.openapi, FileKinds.API, 'OpenAPI specification', false);
+  }
+  if (extras.readme && !byPath.has('readme.md')) {
+    put('README.md', extras.readme, FileKinds.DOCS, 'Setup instructions', false);
+  }
+
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return { root, files, skipped };
+}
+
+/**
+ * Nested view of a flat file list: directories first, then files, each
+ * sorted by name. Nodes are { name, path, children } or { name, path, file }.
+ */
+export function toDirectoryTree(files) {
+  const root = { name: '', path: '', children: [] };
+  for (const file of files) {
+    const parts = file.path.split('/');
+    let node = root;
+    parts.forEach((name, i) => {
+      const path = parts.slice(0, i + 1).join('/');
+      if (i === parts.length - 1) {
+        node.children.push({ name, path, file });
+        return;
+      }
+      let dir = node.children.find(child => child.children && child.name === name);
+      if (!dir) {
+        dir = { name, path, children: [] };
+        node.children.push(dir);
+      }
+      node = dir;
+    });
+  }
+
+  const sort = (node) => {
+    node.children.sort((a, b) => (a.children ? 0 : 1) - (b.children ? 0 : 1) || a.name.localeCompare(b.name));
+    node.children.forEach(child => child.children && sort(child));
+  };
+  sort(root);
+  return root;
+}
+
+// ============================================
+// SYNTAX CHECK
+// ============================================
+
+function lineAndColumn(text, offset) {
+  const before = text.slice(0, Math.max(0, offset));
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function parseJson(text) {
+  try {
+    JSON.parse(text);
+    return [];
+  } catch (error) {
+    // V8 reports a character offset; fall back to the end of the text
+    const position = /position (\d+)/.exec(error.message);
+    const where = lineAndColumn(text, position ? Number(position[1]) : text.length);
+    return [{ ...where, message: error.message.replace(/ \(line \d+ column \d+\)$/, '') }];
+  }
+}
+
+/**
+ * Parses every JS/TS/JSON/YAML file and reports the ones that do not
+ * parse. `parsers` is { yaml, script }: each takes (content, path,
+ * language) and returns [{ line, column, message }]; a missing parser
+ * leaves that language unchecked. JSON is always checked.
+ *
+ * Returns { checked, failed, unchecked, results: [{ path, language, ok, errors }] }.
+ */
+export function checkSyntax(files, parsers) {
+  const results = [];
+  let unchecked = 0;
+
+  for (const file of files) {
+    const language = syntaxLanguage(file.path);
+    if (!language) continue;
+    const parse = language === SyntaxLanguages.JSON
+      ? parseJson
+      : language === SyntaxLanguages.YAML ? parsers?.yaml : parsers?.script;
+    if (!parse) {
+      unchecked++;
+      continue;
+    }
+
+    let errors;
+    try {
+      errors = parse(file.content, file.path, language) || [];
+    } catch (error) {
+      errors = [{ line: 1, column: 1, message: `Parser failed: ${error.message}` }];
+    }
+    results.push({ path: file.path, language, ok: errors.length === 0, errors: errors.slice(0, 10) });
+  }
+
+  return {
+    checked: results.length,
+    failed: results.filter(r => !r.ok).length,
+    unchecked,
+    results
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for lib/collabRooms.js
+ *
+ * Test coverage for:
+ * - Frame parsing
+ * - Joining with seeds, presence and leader election
+ * - Applying ops and pruning empty rooms
+ * - Detecting service removals
+ *
+ * Run with: deno test functions/lib/collabRooms.test.js
+ */
+
+import {
+  ROOM_LIMITS,
+  createRoom,
+  parseMessage,
+  joinRoom,
+  leaveRoom,
+  applyOps,
+  updatePresence,
+  removedServices,
+  electLeader,
+  pruneRooms
+} from './collabRooms.js';
+import { createReplica, seedDelta, editServiceDelta, removeServiceDelta, materialise } from './crdt.js';
+
+const SEED = seedDelta([{ id: 'api', name: 'API', depends_on: [] }]);
+
+Deno.test('parseMessage - validates frames', () => {
+  const ok = parseMessage(JSON.stringify({ type: 'join', project_id: 'p1', session_id: 's1', token: 'jwt' }));
+  if (ok.error || parseMessage('{"type":"chat"}').error) {
+    throw new Error(`Valid frames rejected: ${ok.error}`);
+  }
+
+  const bad = ['not json', '[]', '{"type":"nope"}', '{"type":"join","project_id":"p1"}', '{"type":"join","project_id":"p1","session_id":"s1","user":{"email":"a@x.io"}}', 'x'.repeat(ROOM_LIMITS.maxFrameLength + 1)];
+  for (const raw of bad) {
+    if (!parseMessage(raw).error) {
+      throw new Error(`Expected an error for ${raw.slice(0, 30)}`);
+    }
+  }
+});
+
+Deno.test('joinRoom - seeds, presence and leader', () => {
+  const room = createRoom('p1/s1');
+  joinRoom(room, 'peer-a', { user: { email: 'a@x.io', full_name: '<b>Alice</b>' }, seed: SEED });
+  const { peer } = joinRoom(room, 'peer-b', { user: { email: 'b@x.io' }, seed: SEED });
+
+  if (materialise(room.doc).length !== 1 || peer.name !== 'b@x.io' || room.peers.get('peer-a').name !== 'Alice') {
+    throw new Error(`Unexpected room after joins: ${JSON.stringify([...room.peers.values()])}`);
+  }
+  if (electLeader(room) !== 'peer-a' || room.peers.get('peer-a').colour === peer.colour) {
+    throw new Error('First peer should lead and peers should get distinct colours');
+  }
+
+  const updated = updatePresence(room, 'peer-b', { cursor: { x: 10.6, y: 'no' }, selection: 'api' });
+  if (updated.cursor !== null || updated.selection !== 'api') {
+    throw new Error(`Presence should be sanitised: ${JSON.stringify(updated)}`);
+  }
+
+  leaveRoom(room, 'peer-a');
+  if (electLeader(room) !== 'peer-b') {
+    throw new Error('Leadership should pass to the next peer');
+  }
+
+  if (!joinRoom(createRoom('p1/s2'), 'peer-c', { user: { email: 'c@x.io' }, seed: { services: [] } }).error) {
+    throw new Error('Invalid seeds should be rejected');
+  }
+});
+
+Deno.test('applyOps and pruneRooms', () => {
+  const room = createRoom('p1/s1');
+  if (!applyOps(room, 'ghost', {}).error) {
+    throw new Error('Ops from peers outside the room should be rejected');
+  }
+
+  joinRoom(room, 'peer-a', { user: { email: 'a@x.io' }, seed: SEED });
+  const delta = editServiceDelta(room.doc, createReplica('peer-a'), 'api', { name: 'Gateway' });
+  if (applyOps(room, 'peer-a', delta).error || materialise(room.doc)[0].name !== 'Gateway') {
+    throw new Error('Ops should merge into the room document');
+  }
+
+  const rooms = new Map([[room.key, room]]);
+  leaveRoom(room, 'peer-a', 1000);
+  if (pruneRooms(rooms, 2000) !== 0 || pruneRooms(rooms, 2000 + ROOM_LIMITS.emptyRoomTtlMs) !== 1) {
+    throw new Error('Empty rooms should be kept until the TTL passes');
+  }
+});
+
+Deno.test('removedServices - lists services a delta takes out', () => {
+  const room = createRoom('p1/s1');
+  joinRoom(room, 'peer-a', { user: { email: 'a@x.io' }, seed: SEED });
+
+  const edit = editServiceDelta(room.doc, createReplica('peer-a'), 'api', { name: 'Gateway' });
+  if (removedServices(room, edit).length !== 0) {
+    throw new Error('Edits should not count as removals');
+  }
+
+  const removed = removedServices(room, removeServiceDelta(room.doc, 'api'));
+  if (removed.length !== 1 || removed[0] !== 'api') {
+    throw new Error(`Expected api to be removed: ${JSON.stringify(removed)}`);
+  }
+});
@@ -0,0 +1,189 @@
+/**
+ * Collaboration Rooms
+ * AXIS: Collaboration, Reliability
+ *
+ * In-memory room state for collabSync, kept free of sockets so it can be tested:
+ * - One room per CollaborationSession holding the merged CRDT document
+ * - Presence (who is in the room), shared cursors and selections
+ * - Chat notifications, so peers reload SessionMessage records
+ * - Leader election: the longest-connected peer persists merged state
+ * - Message parsing and limits for the WebSocket protocol
+ */
+
+import { sanitiseString } from './utils.js';
+import { createDoc, mergeDocs, hasService, validateDelta } from './crdt.js';
+
+export const MessageTypes = {
+  // client -> server
+  JOIN: 'join',
+  OPS: 'ops',
+  PRESENCE: 'presence',
+  // both directions: a SessionMessage was posted or pinned
+  CHAT: 'chat',
+  // server -> client
+  WELCOME: 'welcome',
+  PEERS: 'peers',
+  ERROR: 'error'
+};
+
+export const ROOM_LIMITS = {
+  maxRooms: 100,
+  maxPeersPerRoom: 25,
+  maxFrameLength: 512000,
+  // Empty rooms keep their document this long so peers can reconnect
+  emptyRoomTtlMs: 600000
+};
+
+export const PEER_COLOURS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+
+const MAX_ID_LENGTH = 200;
+
+export function roomKey(projectId, sessionId) {
+  return `${projectId}/${sessionId}`;
+}
+
+export function createRoom(key) {
+  return { key, doc: createDoc(), peers: new Map(), joins: 0, emptySince: null };
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+function cleanCursor(cursor) {
+  if (!cursor || !Number.isFinite(cursor.x) || !Number.isFinite(cursor.y)) return null;
+  return { x: Math.round(cursor.x), y: Math.round(cursor.y) };
+}
+
+function cleanSelection(selection) {
+  return isId(selection) ? selection : null;
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Parses one client frame. Returns { message } or { error }.
+ */
+export function parseMessage(raw) {
+  if (typeof raw !== 'string') return { error: 'Frames must be JSON text' };
+  if (raw.length > ROOM_LIMITS.maxFrameLength) return { error: `Frames are limited to ${ROOM_LIMITS.maxFrameLength} characters` };
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return { error: 'Frame is not valid JSON' };
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) return { error: 'Frame must be an object' };
+
+  switch (message.type) {
+    case MessageTypes.JOIN:
+      if (!isId(message.project_id) || !isId(message.session_id)) return { error: 'join requires project_id and session_id' };
+      if (typeof message.token !== 'string' || message.token.length === 0) return { error: 'join requires a session token' };
+      return { message };
+    case MessageTypes.OPS:
+    case MessageTypes.PRESENCE:
+    case MessageTypes.CHAT:
+      return { message };
+    default:
+      return { error: `Unknown message type: ${String(message.type).slice(0, 50)}` };
+  }
+}
+
+// ============================================
+// ROOMS
+// ============================================
+
+export function peerList(room) {
+  return [...room.peers.values()].sort((a, b) => a.joined - b.joined);
+}
+
+// The longest-connected peer persists merged state to the entity store
+export function electLeader(room) {
+  return peerList(room)[0]?.peer_id || null;
+}
+
+/**
+ * Adds a peer and merges its seed (the Service records it loaded).
+ * The user must come from a verified session, never from the frame.
+ * Returns { peer } or { error }.
+ */
+export function joinRoom(room, peerId, { user, seed }) {
+  if (room.peers.size >= ROOM_LIMITS.maxPeersPerRoom) {
+    return { error: `Room is full (${ROOM_LIMITS.maxPeersPerRoom} peers)` };
+  }
+  if (seed !== undefined) {
+    const validation = validateDelta(seed);
+    if (!validation.valid) return { error: `Invalid seed: ${validation.errors.slice(0, 3).join('; ')}` };
+    room.doc = mergeDocs(room.doc, seed);
+  }
+
+  const peer = {
+    peer_id: peerId,
+    email: sanitiseString(user.email, MAX_ID_LENGTH),
+    name: sanitiseString(typeof user.full_name === 'string' && user.full_name ? user.full_name : user.email, 100),
+    colour: PEER_COLOURS[room.joins % PEER_COLOURS.length],
+    joined: room.joins,
+    cursor: null,
+    selection: null
+  };
+  room.joins += 1;
+  room.peers.set(peerId, peer);
+  room.emptySince = null;
+  return { peer };
+}
+
+export function leaveRoom(room, peerId, now = Date.now()) {
+  room.peers.delete(peerId);
+  if (room.peers.size === 0) room.emptySince = now;
+}
+
+/**
+ * Merges a peer's delta into the room document. Returns { delta } to
+ * broadcast or { error }.
+ */
+export function applyOps(room, peerId, delta) {
+  if (!room.peers.has(peerId)) return { error: 'Join the room before sending ops' };
+  const validation = validateDelta(delta);
+  if (!validation.valid) return { error: `Invalid ops: ${validation.errors.slice(0, 3).join('; ')}` };
+  room.doc = mergeDocs(room.doc, delta);
+  return { delta };
+}
+
+/**
+ * Services a delta would take out of the room document. The server only
+ * relays these once the Service records are gone from the entity store.
+ */
+export function removedServices(room, delta) {
+  const merged = mergeDocs(room.doc, delta);
+  return Object.keys(delta?.services || {}).filter(id => hasService(room.doc, id) && !hasService(merged, id));
+}
+
+/**
+ * Updates a peer's cursor (canvas coordinates) and selected service.
+ * Returns the public peer record or null when the peer is unknown.
+ */
+export function updatePresence(room, peerId, { cursor, selection }) {
+  const peer = room.peers.get(peerId);
+  if (!peer) return null;
+  if (cursor !== undefined) peer.cursor = cleanCursor(cursor);
+  if (selection !== undefined) peer.selection = cleanSelection(selection);
+  return peer;
+}
+
+/**
+ * Drops rooms that have been empty longer than the TTL. Returns the
+ * number of rooms removed.
+ */
+export function pruneRooms(rooms, now = Date.now()) {
+  let removed = 0;
+  for (const [key, room] of rooms) {
+    if (room.emptySince !== null && now - room.emptySince > ROOM_LIMITS.emptyRoomTtlMs) {
+      rooms.delete(key);
+      removed += 1;
+    }
+  }
+  return removed;
+}
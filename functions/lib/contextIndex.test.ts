@@ -0,0 +1,252 @@
+/**
+ * Unit Tests for lib/contextIndex.js
+ *
+ * Test coverage for:
+ * - Tokenizing, passages and the lexical vector
+ * - Records from memories, knowledge base articles and docs
+ * - Incremental sync: unchanged, updated and removed records
+ * - Hybrid ranking, source filters and the recency fallback
+ * - Embeddings: semantic matches, lexical fallback, the endpoint embedder
+ * - Token-budgeted context assembly
+ *
+ * Run with: deno test functions/lib/contextIndex.test.js
+ */
+
+import {
+  Sources,
+  tokenize,
+  splitPassages,
+  lexicalVector,
+  toRecord,
+  createIndex,
+  syncIndex,
+  searchIndex,
+  embedPassages,
+  embedQuery,
+  createEndpointEmbedder,
+  recentPassages,
+  assembleContext
+} from './contextIndex.js';
+
+const MEMORIES = [
+  {
+    id: 'm1',
+    interaction_type: 'architecture_decision',
+    user_prompt: 'Should the payment service call the ledger synchronously?',
+    ai_response: 'Publish payment events to the event bus and let the ledger consume them asynchronously.',
+    created_date: '2026-01-01T00:00:00Z'
+  },
+  {
+    id: 'm2',
+    interaction_type: 'refactoring',
+    user_prompt: 'Split the user controller',
+    ai_response: 'Move validation into a middleware and keep handlers thin.',
+    created_date: '2026-03-01T00:00:00Z'
+  },
+  {
+    id: 'm3',
+    interaction_type: 'analysis',
+    is_summarized: true,
+    context_summary: 'Earlier sessions agreed on Postgres for orders and Redis for caching sessions.',
+    created_date: '2026-02-01T00:00:00Z'
+  }
+];
+
+const KNOWLEDGE = [
+  { id: 'k1', title: 'Caching guidelines', content: 'Cache read-heavy endpoints in Redis with a five minute TTL.', tags: ['redis'] }
+];
+
+const DOCS = [
+  { id: 'd1', doc_type: 'api', content: 'POST /payments creates a payment and emits payment.created on the event bus.' }
+];
+
+// Stands in for a model: one axis per topic, so texts about the same topic
+// are close even when they share no words
+const TOPICS = [
+  ['payment', 'ledger', 'billing', 'invoice', 'money'],
+  ['redis', 'cache', 'caching'],
+  ['controller', 'middleware', 'validation', 'refactor']
+];
+
+function topicEmbedder(calls = []) {
+  return {
+    model: 'topics',
+    embed: async (texts) => {
+      calls.push(texts.length);
+      return texts.map(text => {
+        const lower = text.toLowerCase();
+        return [...TOPICS.map(words => words.filter(word => lower.includes(word)).length), 0.05];
+      });
+    }
+  };
+}
+
+function failingEmbedder() {
+  return { model: 'down', embed: async () => { throw new Error('Provider unavailable'); } };
+}
+
+function records() {
+  return [
+    ...MEMORIES.map(m => toRecord(Sources.MEMORY, m)),
+    ...KNOWLEDGE.map(k => toRecord(Sources.KNOWLEDGE, k)),
+    ...DOCS.map(d => toRecord(Sources.DOCUMENTATION, d))
+  ];
+}
+
+Deno.test('tokenize, splitPassages and lexicalVector', () => {
+  const tokens = tokenize('The Services are calling the Payment-APIs!');
+  if (tokens.join() !== 'service,calling,payment,api') throw new Error(`Unexpected tokens: ${tokens}`);
+
+  const long = `${'First paragraph. '.repeat(10)}\n\n${'Second one here. '.repeat(60)}`;
+  const passages = splitPassages(long, 300);
+  if (passages.length < 3 || passages.some(p => p.length > 300)) throw new Error(`Bad passages: ${passages.map(p => p.length)}`);
+
+  const a = lexicalVector('deploy the payment service', 64);
+  const b = lexicalVector('payment service deployment', 64);
+  const c = lexicalVector('redis cache eviction', 64);
+  const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+  if (Math.abs(norm - 1) > 1e-9) throw new Error('Lexical vectors should be unit vectors');
+  const cosine = (x, y) => x.reduce((sum, v, i) => sum + v * y[i], 0);
+  if (!(cosine(a, b) > cosine(a, c))) throw new Error('Related texts should be closer than unrelated ones');
+  if (lexicalVector('', 8).some(v => v !== 0)) throw new Error('Empty text maps to zeros');
+});
+
+Deno.test('toRecord - normalises each source', () => {
+  const summarised = toRecord(Sources.MEMORY, MEMORIES[2]);
+  if (summarised.text !== MEMORIES[2].context_summary || summarised.id !== 'memory:m3') throw new Error('Summaries replace Q and A');
+  const doc = toRecord(Sources.DOCUMENTATION, DOCS[0]);
+  if (doc.title !== 'api' || doc.source !== 'documentation') throw new Error(JSON.stringify(doc));
+  if (toRecord(Sources.KNOWLEDGE, { id: 'k', content: '  ' }) !== null) throw new Error('Empty records are skipped');
+  if (toRecord(Sources.MEMORY, { ...MEMORIES[0], is_archived: true }) !== null) throw new Error('Archived memories are skipped');
+  if (toRecord('other', { id: 'x', content: 'text' }) !== null) throw new Error('Unknown sources are skipped');
+});
+
+Deno.test('syncIndex - only changed records are re-indexed', () => {
+  const index = createIndex();
+  const first = syncIndex(index, records());
+  if (first.added !== 5) throw new Error(`Expected 5 added: ${JSON.stringify(first)}`);
+  const vector = index.passages['knowledge:k1#0'].vector;
+
+  const edited = records();
+  edited[0] = toRecord(Sources.MEMORY, { ...MEMORIES[0], ai_response: 'Call the ledger over gRPC.', updated_date: '2026-04-01T00:00:00Z' });
+  const second = syncIndex(index, edited.filter(r => r.id !== 'memory:m2'));
+  if (JSON.stringify(second) !== '{"added":0,"updated":1,"removed":1,"unchanged":3}') throw new Error(JSON.stringify(second));
+  if (index.passages['knowledge:k1#0'].vector !== vector) throw new Error('Unchanged records should keep their passages');
+  if (index.records['memory:m2'] || index.passage_count !== 4) throw new Error('Removed records should leave the index');
+  if (index.document_frequency.middleware !== undefined) throw new Error('Terms of removed records should be forgotten');
+});
+
+Deno.test('searchIndex - relevant beats recent, filters and fallback', () => {
+  const index = createIndex();
+  syncIndex(index, records());
+
+  const payments = searchIndex(index, 'How do payments reach the ledger?');
+  if (payments[0]?.record_id !== 'memory:m1') throw new Error(`Expected the payment decision first: ${JSON.stringify(payments.map(r => r.id))}`);
+  if (payments.some(r => r.record_id === 'memory:m2')) throw new Error('The unrelated refactoring should not match');
+
+  const caching = searchIndex(index, 'redis caching', { sources: [Sources.KNOWLEDGE] });
+  if (caching.length !== 1 || caching[0].record_id !== 'knowledge:k1') throw new Error(JSON.stringify(caching));
+
+  if (searchIndex(index, 'the of and').length !== 0) throw new Error('Stopword-only queries match nothing');
+  const recent = recentPassages(index, 2, [Sources.MEMORY]);
+  if (recent.map(r => r.record_id).join() !== 'memory:m2,memory:m3') throw new Error(`Unexpected recency order: ${recent.map(r => r.id)}`);
+});
+
+Deno.test('assembleContext - stays within the token budget', () => {
+  const results = [
+    { id: 'a', source: 'memory', title: 'first', text: 'x'.repeat(400) },
+    { id: 'b', source: 'memory', title: 'second', text: 'y'.repeat(2000) },
+    { id: 'c', source: 'memory', title: 'third', text: 'short' }
+  ];
+  const context = assembleContext(results, 300);
+  if (context.tokens > 300) throw new Error(`Over budget: ${context.tokens}`);
+  if (context.included.join() !== 'a,b' || !context.truncated || !context.text.endsWith('...')) {
+    throw new Error(`Unexpected assembly: ${JSON.stringify({ ...context, text: context.text.length })}`);
+  }
+  const all = assembleContext(results.slice(2), 300);
+  if (all.truncated || all.text !== '[memory] third\nshort') throw new Error(JSON.stringify(all));
+});
+
+// ============================================
+// EMBEDDINGS
+// ============================================
+
+Deno.test('embedPassages - embeddings find paraphrases the lexical vector misses', async () => {
+  const calls = [];
+  const index = createIndex({ embedder: topicEmbedder(calls), embedding_batch: 2 });
+  syncIndex(index, records());
+  const query = 'Who handles billing and invoices?';
+  if (searchIndex(index, query).length !== 0) throw new Error('The query shares no words with any record');
+
+  const run = await embedPassages(index);
+  if (run.embedded !== 5 || run.pending !== 0 || calls.join() !== '2,2,1') throw new Error(`Unexpected run: ${JSON.stringify({ run, calls })}`);
+
+  const queryEmbedding = await embedQuery(index, query);
+  const results = searchIndex(index, query, { query_embedding: queryEmbedding });
+  const ids = results.map(r => r.record_id).sort().join();
+  if (ids !== 'documentation:d1,memory:m1') throw new Error(`Expected the payment records: ${ids}`);
+
+  // Only passages without an embedding are sent again; the query took one call
+  const edited = records();
+  edited[1] = toRecord(Sources.MEMORY, { ...MEMORIES[1], ai_response: 'Validate in a middleware.', updated_date: '2026-04-01T00:00:00Z' });
+  syncIndex(index, edited);
+  if (index.passages['memory:m2#0'].embedding !== null || !index.passages['memory:m1#0'].embedding) {
+    throw new Error('Updated records should wait for a new embedding, unchanged ones keep theirs');
+  }
+  const rerun = await embedPassages(index);
+  if (rerun.embedded !== 1 || calls.join() !== '2,2,1,1,1') throw new Error(`Unexpected rerun: ${JSON.stringify({ rerun, calls })}`);
+});
+
+Deno.test('embedPassages - a failing embedder falls back to lexical vectors', async () => {
+  const index = createIndex({ embedder: failingEmbedder() });
+  syncIndex(index, records());
+
+  const run = await embedPassages(index);
+  if (run.embedded !== 0 || run.pending !== 5 || run.error !== 'Provider unavailable') throw new Error(JSON.stringify(run));
+  if (await embedQuery(index, 'payments') !== null) throw new Error('A failed query embedding should be null');
+
+  const results = searchIndex(index, 'How do payments reach the ledger?', { query_embedding: null });
+  if (results[0]?.record_id !== 'memory:m1') throw new Error(`Lexical ranking should still work: ${results.map(r => r.id)}`);
+
+  const plain = createIndex();
+  syncIndex(plain, records());
+  const skipped = await embedPassages(plain);
+  if (skipped.embedded !== 0 || skipped.pending !== 5) throw new Error('An index without an embedder embeds nothing');
+  if (await embedQuery(plain, 'payments') !== null) throw new Error('No embedder means no query embedding');
+});
+
+Deno.test('embedPassages - rejects malformed vectors', async () => {
+  const index = createIndex({ embedder: { model: 'bad', embed: async (texts) => texts.map(() => [0, 0]) } });
+  syncIndex(index, records());
+  const run = await embedPassages(index);
+  if (run.error !== 'Embedder returned an invalid vector' || run.pending !== 5) throw new Error(JSON.stringify(run));
+
+  const short = createIndex({ embedder: { model: 'short', embed: async () => [[1, 0]] } });
+  syncIndex(short, records());
+  if (!(await embedPassages(short)).error?.startsWith('Embedder returned 1 vectors')) throw new Error('Vector counts must match');
+});
+
+Deno.test('createEndpointEmbedder - OpenAI-compatible request and response', async () => {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, init });
+    return Response.json({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] });
+  };
+  const embedder = createEndpointEmbedder({ url: 'http://localhost:11434/v1/embeddings', model: 'nomic-embed-text', apiKey: 'k', fetchImpl });
+  const vectors = await embedder.embed(['first', 'second']);
+  if (JSON.stringify(vectors) !== '[[1,0],[0,1]]') throw new Error(`Vectors should follow input order: ${JSON.stringify(vectors)}`);
+  const { url, init } = requests[0];
+  if (url !== 'http://localhost:11434/v1/embeddings' || init.method !== 'POST' || init.headers.Authorization !== 'Bearer k') {
+    throw new Error(JSON.stringify(requests[0]));
+  }
+  if (init.body !== '{"model":"nomic-embed-text","input":["first","second"]}') throw new Error(init.body);
+
+  const failing = createEndpointEmbedder({ url: 'http://x', model: 'm', fetchImpl: async () => new Response('nope', { status: 500 }) });
+  let message = '';
+  try {
+    await failing.embed(['a']);
+  } catch (error) {
+    message = error.message;
+  }
+  if (message !== 'Embedding endpoint responded with 500') throw new Error(`Expected a failure: ${message}`);
+});
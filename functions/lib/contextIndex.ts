@@ -0,0 +1,518 @@
+/**
+ * Context Retrieval Index
+ * AXIS: AI, Knowledge
+ *
+ * A local index over AIContextMemory, KnowledgeBase and Documentation
+ * records, used to give prompts relevant history instead of recent history.
+ * Records are split into passages; each passage keeps BM25 term counts, a
+ * lexical vector (words, word pairs and character trigrams hashed into a
+ * fixed-size unit vector) and, when the index has an embedder, a semantic
+ * embedding from a model. The lexical vector is the fallback: it catches
+ * word order and shared word fragments but not synonyms or paraphrases, and
+ * is used for passages not embedded yet and whenever the embedder fails.
+ *
+ * Every record carries a signature. Syncing a fresh list of records only
+ * re-indexes those whose signature changed and drops those that are gone;
+ * embedPassages then embeds the new passages.
+ * Search blends normalised BM25 with the vectors' cosine similarity, and
+ * assembleContext packs the best passages into a token budget.
+ * Deterministic apart from the embedder; shared with the browser.
+ */
+
+export const Sources = {
+  MEMORY: 'memory',
+  KNOWLEDGE: 'knowledge',
+  DOCUMENTATION: 'documentation'
+};
+
+export const INDEX_DEFAULTS = {
+  dimensions: 256,
+  passage_chars: 800,
+  // BM25 term saturation and length normalisation
+  k1: 1.2,
+  b: 0.75,
+  // Share of the hybrid score taken from BM25; the rest is vector similarity
+  bm25_weight: 0.5,
+  // Passages sent to the embedder per call
+  embedding_batch: 32,
+  min_score: 0.1,
+  limit: 8,
+  max_passages_per_record: 2,
+  max_tokens: 1500
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'how', 'if', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'should', 'that', 'the', 'this',
+  'to', 'was', 'we', 'what', 'when', 'which', 'will', 'with', 'you', 'your'
+]);
+
+// ============================================
+// TEXT
+// ============================================
+
+// Plurals only; anything more aggressive merges unrelated technical terms
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) return token.slice(0, -1);
+  return token;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+/** About four characters per token. */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Long paragraphs are cut at sentence ends, and sentences at the hard limit
+function cutParagraph(paragraph, size) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+    for (let start = 0; start < sentence.length; start += size) {
+      const part = sentence.slice(start, start + size);
+      if (current && current.length + part.length > size) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += part;
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/** Splits text into passages of at most `maxChars`, keeping paragraphs together where they fit. */
+export function splitPassages(text, maxChars) {
+  const size = maxChars || INDEX_DEFAULTS.passage_chars;
+  const passages = [];
+  let current = '';
+  for (const paragraph of String(text || '').split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+    for (const piece of trimmed.length > size ? cutParagraph(trimmed, size) : [trimmed]) {
+      if (current && current.length + piece.length + 2 > size) {
+        passages.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+// ============================================
+// LEXICAL VECTORS
+// ============================================
+
+// 32-bit FNV-1a
+function hash(feature) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    h ^= feature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Hashed bag-of-features vector (feature hashing) as a unit vector. The sign
+ * of each feature comes from its hash, so collisions cancel out rather than
+ * pile up. Character trigrams let "deploy" and "deployment" land near each
+ * other; words with no letters in common never do.
+ */
+export function lexicalVector(text, dimensions) {
+  const size = dimensions || INDEX_DEFAULTS.dimensions;
+  const vector = new Array(size).fill(0);
+  const add = (feature, weight) => {
+    const h = hash(feature);
+    vector[h % size] += (h >>> 31 ? -1 : 1) * weight;
+  };
+
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    add(`w:${token}`, 1);
+    if (i > 0) add(`b:${tokens[i - 1]}_${token}`, 0.5);
+    const padded = `#${token}#`;
+    const trigrams = padded.length - 2;
+    for (let j = 0; j < trigrams; j++) add(`c:${padded.slice(j, j + 3)}`, 0.5 / trigrams);
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// ============================================
+// EMBEDDINGS
+// ============================================
+
+/**
+ * Embedder for an OpenAI-compatible /embeddings endpoint: a hosted service,
+ * or a local model served by Ollama, llama.cpp or text-embeddings-inference.
+ * An embedder is { model, embed(texts) } resolving to one vector per text.
+ */
+export function createEndpointEmbedder({ url, model, apiKey, timeoutMs = 15000, fetchImpl = fetch }) {
+  return {
+    model,
+    async embed(texts) {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, input: texts }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) throw new Error(`Embedding endpoint responded with ${response.status}`);
+      const body = await response.json();
+      // Entries carry the position of their input; do not rely on their order
+      const data = Array.isArray(body?.data) ? [...body.data].sort((a, b) => a.index - b.index) : [];
+      return data.map(entry => entry.embedding);
+    }
+  };
+}
+
+async function embedTexts(embedder, texts) {
+  const vectors = await embedder.embed(texts);
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`Embedder returned ${Array.isArray(vectors) ? vectors.length : 'no'} vectors for ${texts.length} texts`);
+  }
+  return vectors.map(vector => {
+    const valid = Array.isArray(vector) && vector.length > 0 && vector.every(value => Number.isFinite(value));
+    const norm = valid ? Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) : 0;
+    if (norm === 0) throw new Error('Embedder returned an invalid vector');
+    return vector.map(value => value / norm);
+  });
+}
+
+/**
+ * Embeds the passages that have no embedding yet, `embedding_batch` at a
+ * time. A failed batch ends the run; its passages keep ranking on their
+ * lexical vector and are retried by the next run.
+ * Returns { embedded, pending, error? }.
+ */
+export async function embedPassages(index) {
+  const pending = Object.keys(index.passages)
+    .map(id => index.passages[id])
+    .filter(passage => !passage.embedding);
+  if (!index.embedder || pending.length === 0) return { embedded: 0, pending: pending.length };
+
+  let embedded = 0;
+  for (let i = 0; i < pending.length; i += index.settings.embedding_batch) {
+    const batch = pending.slice(i, i + index.settings.embedding_batch);
+    let vectors;
+    try {
+      vectors = await embedTexts(index.embedder, batch.map(passage => `${passage.title}\n${passage.text}`));
+    } catch (error) {
+      return { embedded, pending: pending.length - embedded, error: error.message };
+    }
+    batch.forEach((passage, j) => {
+      passage.embedding = vectors[j];
+    });
+    embedded += batch.length;
+  }
+  return { embedded, pending: 0 };
+}
+
+/** The query's embedding for searchIndex, or null without an embedder or when it fails. */
+export async function embedQuery(index, query) {
+  if (!index.embedder || !String(query || '').trim()) return null;
+  try {
+    return (await embedTexts(index.embedder, [query]))[0];
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// RECORDS
+// ============================================
+
+export function recordId(source, entityId) {
+  return `${source}:${entityId}`;
+}
+
+/**
+ * Normalises an entity into { id, source, entity_id, title, text, tags,
+ * created_date, signature }. Returns null when there is nothing to index;
+ * archived memories are kept out, their summary stands in for them.
+ */
+export function toRecord(source, entity) {
+  if (!entity?.id) return null;
+  if (source === Sources.MEMORY && entity.is_archived) return null;
+  let title;
+  let text;
+  let tags;
+  if (source === Sources.MEMORY) {
+    title = entity.interaction_type || 'interaction';
+    text = entity.is_summarized
+      ? entity.context_summary
+      : `Q: ${entity.user_prompt || ''}\nA: ${entity.ai_response || ''}`;
+    tags = entity.metadata?.tags;
+  } else if (source === Sources.KNOWLEDGE) {
+    title = entity.title || entity.category || 'knowledge';
+    text = entity.content;
+    tags = entity.tags;
+  } else if (source === Sources.DOCUMENTATION) {
+    title = entity.title || entity.doc_type || 'documentation';
+    text = entity.content;
+    tags = [];
+  } else {
+    return null;
+  }
+
+  const body = String(text || '').trim();
+  if (!body) return null;
+  const tagList = Array.isArray(tags) ? tags.map(String) : [];
+  return {
+    id: recordId(source, entity.id),
+    source,
+    entity_id: entity.id,
+    title: String(title),
+    text: body,
+    tags: tagList,
+    created_date: entity.created_date || null,
+    // Anything that changes what gets indexed changes the signature
+    signature: `${entity.updated_date || entity.created_date || ''}|${hash(`${title}|${tagList.join(',')}|${body}`)}`
+  };
+}
+
+// ============================================
+// INDEX
+// ============================================
+
+/** `options` overrides INDEX_DEFAULTS and may carry an `embedder`. */
+export function createIndex(options) {
+  const { embedder = null, ...settings } = options || {};
+  return {
+    settings: { ...INDEX_DEFAULTS, ...settings },
+    embedder,
+    records: Object.create(null),
+    passages: Object.create(null),
+    document_frequency: Object.create(null),
+    total_length: 0,
+    passage_count: 0
+  };
+}
+
+export function removeRecord(index, id) {
+  const record = index.records[id];
+  if (!record) return false;
+  for (const passageId of record.passage_ids) {
+    const passage = index.passages[passageId];
+    for (const term of Object.keys(passage.terms)) {
+      index.document_frequency[term] -= 1;
+      if (index.document_frequency[term] === 0) delete index.document_frequency[term];
+    }
+    index.total_length -= passage.length;
+    index.passage_count -= 1;
+    delete index.passages[passageId];
+  }
+  delete index.records[id];
+  return true;
+}
+
+/**
+ * Adds or replaces one record. Returns 'added', 'updated' or 'unchanged';
+ * unchanged records keep their embeddings, the passages of added and updated
+ * ones wait for embedPassages.
+ */
+export function upsertRecord(index, record) {
+  const existing = index.records[record.id];
+  if (existing && existing.signature === record.signature) return 'unchanged';
+  if (existing) removeRecord(index, record.id);
+
+  // Title and tags are part of every passage so short passages stay findable
+  const heading = [record.title, ...record.tags].join(' ');
+  const passageIds = splitPassages(record.text, index.settings.passage_chars).map((text, i) => {
+    const id = `${record.id}#${i}`;
+    const tokens = tokenize(`${heading}\n${text}`);
+    const terms = Object.create(null);
+    for (const token of tokens) terms[token] = (terms[token] || 0) + 1;
+    for (const term of Object.keys(terms)) {
+      index.document_frequency[term] = (index.document_frequency[term] || 0) + 1;
+    }
+    index.passages[id] = {
+      id,
+      record_id: record.id,
+      source: record.source,
+      entity_id: record.entity_id,
+      title: record.title,
+      text,
+      created_date: record.created_date,
+      terms,
+      length: tokens.length,
+      vector: lexicalVector(`${heading}\n${text}`, index.settings.dimensions),
+      // Filled in by embedPassages
+      embedding: null
+    };
+    index.total_length += tokens.length;
+    index.passage_count += 1;
+    return id;
+  });
+
+  index.records[record.id] = { signature: record.signature, passage_ids: passageIds };
+  return existing ? 'updated' : 'added';
+}
+
+/**
+ * Brings the index in line with the full list of records: new and changed
+ * records are indexed, records missing from the list are dropped.
+ */
+export function syncIndex(index, records) {
+  const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  const seen = Object.create(null);
+  for (const record of records) {
+    if (!record) continue;
+    seen[record.id] = true;
+    counts[upsertRecord(index, record)] += 1;
+  }
+  for (const id of Object.keys(index.records)) {
+    if (!seen[id] && removeRecord(index, id)) counts.removed += 1;
+  }
+  return counts;
+}
+
+// ============================================
+// RETRIEVAL
+// ============================================
+
+function newestFirst(a, b) {
+  return String(b.created_date || '').localeCompare(String(a.created_date || '')) || a.id.localeCompare(b.id);
+}
+
+function toResult(passage, scores) {
+  return {
+    id: passage.id,
+    record_id: passage.record_id,
+    source: passage.source,
+    entity_id: passage.entity_id,
+    title: passage.title,
+    text: passage.text,
+    created_date: passage.created_date,
+    ...scores
+  };
+}
+
+/**
+ * Hybrid search. BM25 scores are divided by the best one so they share the
+ * 0..1 range of the vectors' cosine similarity before being blended.
+ * Similarity compares embeddings when both the query (`query_embedding`,
+ * from embedQuery) and the passage have one, and lexical vectors otherwise.
+ *
+ * `options` is { limit?, sources?: [source], bm25_weight?, min_score?,
+ * query_embedding? }.
+ * Returns passages best first with { score, bm25, similarity }.
+ */
+export function searchIndex(index, query, options) {
+  const settings = { ...index.settings, ...(options || {}) };
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || index.passage_count === 0) return [];
+
+  const queryVector = lexicalVector(query, index.settings.dimensions);
+  const queryEmbedding = settings.query_embedding || null;
+  const similarityOf = (passage) => queryEmbedding && passage.embedding?.length === queryEmbedding.length
+    ? dot(queryEmbedding, passage.embedding)
+    : dot(queryVector, passage.vector);
+  const averageLength = index.total_length / index.passage_count || 1;
+  const candidates = Object.keys(index.passages)
+    .map(id => index.passages[id])
+    .filter(passage => !settings.sources || settings.sources.includes(passage.source));
+
+  const scored = candidates.map(passage => {
+    let bm25 = 0;
+    for (const term of terms) {
+      const frequency = passage.terms[term];
+      if (!frequency) continue;
+      const df = index.document_frequency[term];
+      const idf = Math.log(1 + (index.passage_count - df + 0.5) / (df + 0.5));
+      const lengthNorm = 1 - settings.b + settings.b * (passage.length / averageLength);
+      bm25 += idf * (frequency * (settings.k1 + 1)) / (frequency + settings.k1 * lengthNorm);
+    }
+    return { passage, bm25, similarity: Math.max(0, similarityOf(passage)) };
+  });
+
+  const best = scored.reduce((max, entry) => Math.max(max, entry.bm25), 0);
+  const ranked = scored
+    .map(entry => ({
+      ...entry,
+      score: settings.bm25_weight * (best > 0 ? entry.bm25 / best : 0) + (1 - settings.bm25_weight) * entry.similarity
+    }))
+    .filter(entry => entry.score >= settings.min_score)
+    .sort((a, b) => b.score - a.score || newestFirst(a.passage, b.passage));
+
+  // Keep one record from crowding out the others
+  const perRecord = Object.create(null);
+  const results = [];
+  for (const entry of ranked) {
+    const taken = perRecord[entry.passage.record_id] || 0;
+    if (taken >= settings.max_passages_per_record) continue;
+    perRecord[entry.passage.record_id] = taken + 1;
+    results.push(toResult(entry.passage, {
+      score: Math.round(entry.score * 10000) / 10000,
+      bm25: Math.round(entry.bm25 * 10000) / 10000,
+      similarity: Math.round(entry.similarity * 10000) / 10000
+    }));
+    if (results.length >= settings.limit) break;
+  }
+  return results;
+}
+
+/** First passage of the newest records, for when there is no query to rank by. */
+export function recentPassages(index, limit, sources) {
+  return Object.keys(index.records)
+    .map(id => index.passages[index.records[id].passage_ids[0]])
+    .filter(passage => passage && (!sources || sources.includes(passage.source)))
+    .sort(newestFirst)
+    .slice(0, limit || INDEX_DEFAULTS.limit)
+    .map(passage => toResult(passage, { score: 0, bm25: 0, similarity: 0 }));
+}
+
+/**
+ * Packs results, in order, into at most `maxTokens`. The first passage that
+ * does not fit is shortened if a useful part of it still fits; nothing is
+ * added after it, so the order of relevance is kept.
+ * Returns { text, tokens, included: [passage id], truncated }.
+ */
+export function assembleContext(results, maxTokens) {
+  const budget = maxTokens ?? INDEX_DEFAULTS.max_tokens;
+  const parts = [];
+  const included = [];
+  let truncated = false;
+
+  for (const result of results) {
+    const heading = `[${result.source}] ${result.title}`;
+    const entry = `${heading}\n${result.text}`;
+    if (estimateTokens([...parts, entry].join('\n\n')) <= budget) {
+      parts.push(entry);
+      included.push(result.id);
+      continue;
+    }
+
+    truncated = true;
+    const room = (budget - estimateTokens([...parts, heading].join('\n\n'))) * 4 - 8;
+    if (room >= 160) {
+      parts.push(`${heading}\n${result.text.slice(0, room).trimEnd()}...`);
+      included.push(result.id);
+    }
+    break;
+  }
+
+  const text = parts.join('\n\n');
+  return { text, tokens: estimateTokens(text), included, truncated };
+}
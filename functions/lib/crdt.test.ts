@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for lib/crdt.js
+ *
+ * Test coverage for:
+ * - Convergence of concurrent field edits and links
+ * - Add-wins removal semantics
+ * - Deterministic seeding from Service records
+ * - Delta validation
+ *
+ * Run with: deno test functions/lib/crdt.test.js
+ */
+
+import {
+  createDoc,
+  createReplica,
+  mergeDocs,
+  materialise,
+  observe,
+  seedDelta,
+  addServiceDelta,
+  editServiceDelta,
+  removeServiceDelta,
+  addLinkDelta,
+  validateDelta
+} from './crdt.js';
+
+const SERVICES = [
+  { id: 'api', name: 'API', category: 'core', depends_on: ['db'], updated_date: '2026-01-01T00:00:00Z' },
+  { id: 'db', name: 'DB', category: 'storage', depends_on: [], updated_date: '2026-01-01T00:00:00Z' }
+];
+
+function seeded() {
+  return mergeDocs(createDoc(), seedDelta(SERVICES));
+}
+
+function same(a, b) {
+  return JSON.stringify(materialise(a)) === JSON.stringify(materialise(b));
+}
+
+Deno.test('seedDelta - idempotent and outranked by live edits', () => {
+  const doc = mergeDocs(seeded(), seedDelta(SERVICES));
+  const services = materialise(doc);
+  if (services.length !== 2 || services[0].depends_on.join() !== 'db' || services[0].project_id !== undefined) {
+    throw new Error(`Unexpected seeded state: ${JSON.stringify(services)}`);
+  }
+
+  const replica = createReplica('alice');
+  const edited = mergeDocs(doc, editServiceDelta(doc, replica, 'api', { name: 'Gateway' }));
+  const stale = seedDelta([{ ...SERVICES[0], name: 'Stale', updated_date: '2027-01-01T00:00:00Z' }]);
+  if (materialise(mergeDocs(edited, stale))[0].name !== 'Gateway') {
+    throw new Error('A later seed must not override a live edit');
+  }
+});
+
+Deno.test('mergeDocs - concurrent edits converge in any order', () => {
+  const base = seeded();
+  const alice = createReplica('alice');
+  const bob = createReplica('bob');
+
+  const a1 = editServiceDelta(base, alice, 'api', { name: 'Alice API', position: { x: 1, y: 1 } });
+  const b1 = editServiceDelta(base, bob, 'api', { name: 'Bob API', description: 'edge' });
+  const b2 = editServiceDelta(base, bob, 'db', { depends_on: ['api'] });
+
+  const left = [a1, b1, b2].reduce(mergeDocs, base);
+  const right = [b2, b1, a1, a1].reduce(mergeDocs, base);
+  if (!same(left, right)) {
+    throw new Error('Replicas should converge regardless of order and duplicates');
+  }
+
+  const api = materialise(left).find(s => s.id === 'api');
+  // Equal Lamport counters fall back to the site id
+  if (api.name !== 'Bob API' || api.description !== 'edge' || api.position.x !== 1) {
+    throw new Error(`Unexpected merged fields: ${JSON.stringify(api)}`);
+  }
+  if (materialise(left).find(s => s.id === 'db').depends_on.join() !== 'api') {
+    throw new Error('Concurrent link should be kept');
+  }
+});
+
+Deno.test('observe - later edits win after receiving remote ops', () => {
+  const base = seeded();
+  const alice = createReplica('alice');
+  const zed = createReplica('zed');
+
+  const z1 = editServiceDelta(base, zed, 'api', { name: 'Zed' });
+  observe(alice, z1);
+  const a1 = editServiceDelta(mergeDocs(base, z1), alice, 'api', { name: 'Alice' });
+  if (materialise([a1, z1].reduce(mergeDocs, base))[0].name !== 'Alice') {
+    throw new Error('An edit made after seeing another should win');
+  }
+});
+
+Deno.test('removeServiceDelta - add wins over concurrent remove', () => {
+  const base = seeded();
+  const alice = createReplica('alice');
+  const bob = createReplica('bob');
+
+  const remove = removeServiceDelta(base, 'db');
+  const removed = mergeDocs(base, remove);
+  const ids = materialise(removed).map(s => s.id);
+  if (ids.join() !== 'api' || materialise(removed)[0].depends_on.length !== 0) {
+    throw new Error(`Removing a service should drop it and its links: ${JSON.stringify(materialise(removed))}`);
+  }
+
+  // Bob re-adds the link concurrently; the removal only covered tags Alice saw
+  const relink = addLinkDelta(bob, 'api', 'db');
+  const readd = addServiceDelta(alice, 'db', { name: 'DB v2' });
+  const merged = [relink, remove, readd].reduce(mergeDocs, base);
+  const api = materialise(merged).find(s => s.id === 'api');
+  if (!api || api.depends_on.join() !== 'db' || materialise(merged).length !== 2) {
+    throw new Error(`Concurrent adds should survive removal: ${JSON.stringify(materialise(merged))}`);
+  }
+
+  // A stale seed cannot resurrect a removed service
+  if (materialise(mergeDocs(removed, seedDelta(SERVICES))).length !== 1) {
+    throw new Error('Seeds of removed services should stay removed');
+  }
+});
+
+Deno.test('validateDelta - rejects malformed and unsafe input', () => {
+  const replica = createReplica('alice');
+  if (!validateDelta(editServiceDelta(seeded(), replica, 'api', { name: 'ok', depends_on: ['db'] })).valid) {
+    throw new Error('Generated deltas should be valid');
+  }
+
+  const cases = [
+    null,
+    { services: [] },
+    { services: { api: { added: { t: -1 } } } },
+    { services: { api: { fields: { name: { value: 'x' } } } } },
+    { services: { api: { fields: { depends_on: { value: [], c: 1, s: 'a' } } } } },
+    JSON.parse('{"services":{"__proto__":{"added":{}}}}'),
+    { links: { apidb: { added: {} } } }
+  ];
+  for (const delta of cases) {
+    if (validateDelta(delta).valid) {
+      throw new Error(`Expected invalid: ${JSON.stringify(delta)}`);
+    }
+  }
+});
@@ -0,0 +1,344 @@
+/**
+ * Collaborative Architecture Document
+ * AXIS: Collaboration, Reliability
+ *
+ * Conflict-free replicated state for a project's services, shared by
+ * collabSync and the visual editor in the browser (no imports, so both can load it):
+ * - Services and depends_on links are add-wins observed-remove sets
+ * - Other service fields are last-writer-wins registers stamped with Lamport clocks
+ * - Every edit is a delta document; merging is commutative, associative and
+ *   idempotent, so replicas converge whatever order deltas arrive in
+ * - Seeding from Service records is deterministic, so replicas seed independently
+ */
+
+// Owned by the entity store or modelled as links, never synced as registers
+export const UNSYNCED_FIELDS = ['id', 'project_id', 'depends_on', 'created_date', 'updated_date', 'created_by'];
+
+export const DOC_LIMITS = {
+  maxServices: 500,
+  maxLinks: 5000,
+  maxFieldsPerService: 50,
+  maxKeyLength: 200
+};
+
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Seeds use counter 0 so every live edit outranks them; among seeds the
+// newer record wins because the site sorts by updated_date
+const SEED_COUNTER = 0;
+const SEED_SITE = 'seed';
+
+const LINK_SEPARATOR = '>';
+
+export function createDoc() {
+  return { services: {}, links: {} };
+}
+
+export function createReplica(site, counter = 0) {
+  return { site, counter };
+}
+
+function ownEntries(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return [];
+  return Object.keys(obj).filter(key => !UNSAFE_KEYS.has(key)).map(key => [key, obj[key]]);
+}
+
+export function linkKey(from, to) {
+  return `${from}${LINK_SEPARATOR}${to}`;
+}
+
+export function parseLinkKey(key) {
+  const index = key.indexOf(LINK_SEPARATOR);
+  return { from: key.slice(0, index), to: key.slice(index + 1) };
+}
+
+// ============================================
+// CLOCKS
+// ============================================
+
+export function compareStamps(a, b) {
+  if (a.c !== b.c) return a.c < b.c ? -1 : 1;
+  if (a.s !== b.s) return a.s < b.s ? -1 : 1;
+  return 0;
+}
+
+export function nextStamp(replica) {
+  replica.counter += 1;
+  return { c: replica.counter, s: replica.site };
+}
+
+function maxCounter(doc) {
+  let max = 0;
+  const tags = entry => [...ownEntries(entry.added), ...ownEntries(entry.removed)];
+  for (const [, entry] of ownEntries(doc.services)) {
+    for (const [, c] of tags(entry)) max = Math.max(max, c);
+    for (const [, register] of ownEntries(entry.fields)) max = Math.max(max, register.c);
+  }
+  for (const [, entry] of ownEntries(doc.links)) {
+    for (const [, c] of tags(entry)) max = Math.max(max, c);
+  }
+  return max;
+}
+
+// Lamport receive rule: later local edits must outrank everything seen so far
+export function observe(replica, delta) {
+  replica.counter = Math.max(replica.counter, maxCounter(delta));
+}
+
+// ============================================
+// MERGE
+// ============================================
+
+function mergeTags(a = {}, b = {}) {
+  const out = {};
+  for (const [tag, c] of [...ownEntries(a), ...ownEntries(b)]) out[tag] = c;
+  return out;
+}
+
+function mergeRegister(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const order = compareStamps(a, b);
+  if (order !== 0) return order > 0 ? a : b;
+  // Equal stamps only happen for seeds of the same record version; pick deterministically
+  return JSON.stringify(a.value) >= JSON.stringify(b.value) ? a : b;
+}
+
+function mergeFields(a = {}, b = {}) {
+  const out = { ...Object.fromEntries(ownEntries(a)) };
+  for (const [name, register] of ownEntries(b)) {
+    out[name] = mergeRegister(out[name], register);
+  }
+  return out;
+}
+
+function mergeSection(a = {}, b = {}, withFields) {
+  const out = { ...Object.fromEntries(ownEntries(a)) };
+  for (const [key, entry] of ownEntries(b)) {
+    const current = out[key] || {};
+    out[key] = {
+      added: mergeTags(current.added, entry.added),
+      removed: mergeTags(current.removed, entry.removed),
+      ...(withFields ? { fields: mergeFields(current.fields, entry.fields) } : {})
+    };
+  }
+  return out;
+}
+
+/**
+ * Join two documents (or a document and a delta); neither input is modified
+ */
+export function mergeDocs(a, b) {
+  return {
+    services: mergeSection(a.services, b.services, true),
+    links: mergeSection(a.links, b.links, false)
+  };
+}
+
+// ============================================
+// READ
+// ============================================
+
+function isLive(entry) {
+  if (!entry) return false;
+  return ownEntries(entry.added).some(([tag]) => !Object.hasOwn(entry.removed || {}, tag));
+}
+
+export function hasService(doc, id) {
+  return Object.hasOwn(doc.services, id) && isLive(doc.services[id]);
+}
+
+/**
+ * Current services as plain records, sorted by id with fields in name order
+ * so equal documents serialise identically, and depends_on rebuilt
+ * from live links whose both ends are live
+ */
+export function materialise(doc) {
+  const ids = ownEntries(doc.services).filter(([, entry]) => isLive(entry)).map(([id]) => id).sort();
+  const live = new Set(ids);
+  const dependsOn = new Map(ids.map(id => [id, []]));
+
+  for (const [key, entry] of ownEntries(doc.links)) {
+    const { from, to } = parseLinkKey(key);
+    if (live.has(from) && live.has(to) && isLive(entry)) dependsOn.get(from).push(to);
+  }
+
+  return ids.map(id => {
+    const fields = Object.fromEntries(
+      ownEntries(doc.services[id].fields)
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([name, register]) => [name, register.value])
+    );
+    return { ...fields, id, depends_on: dependsOn.get(id).sort() };
+  });
+}
+
+// ============================================
+// EDITS (each returns a delta to merge and broadcast)
+// ============================================
+
+function tagFor(stamp) {
+  return `${stamp.s}:${stamp.c}`;
+}
+
+function fieldRegisters(fields, stamp) {
+  return Object.fromEntries(
+    ownEntries(fields)
+      .filter(([name, value]) => !UNSYNCED_FIELDS.includes(name) && value !== undefined)
+      .map(([name, value]) => [name, { value, c: stamp.c, s: stamp.s }])
+  );
+}
+
+export function addServiceDelta(replica, id, fields = {}) {
+  const stamp = nextStamp(replica);
+  return {
+    services: { [id]: { added: { [tagFor(stamp)]: stamp.c }, removed: {}, fields: fieldRegisters(fields, stamp) } },
+    links: {}
+  };
+}
+
+export function updateServiceDelta(replica, id, fields) {
+  const stamp = nextStamp(replica);
+  return {
+    services: { [id]: { added: {}, removed: {}, fields: fieldRegisters(fields, stamp) } },
+    links: {}
+  };
+}
+
+// Removes only the tags this replica has observed, so a concurrent re-add wins
+function observedRemoval(entry) {
+  return { added: {}, removed: Object.fromEntries(ownEntries(entry?.added)) };
+}
+
+/**
+ * Removes a service and every link into or out of it
+ */
+export function removeServiceDelta(doc, id) {
+  const links = {};
+  for (const [key, entry] of ownEntries(doc.links)) {
+    const { from, to } = parseLinkKey(key);
+    if (from === id || to === id) links[key] = observedRemoval(entry);
+  }
+  return {
+    services: { [id]: { ...observedRemoval(doc.services[id]), fields: {} } },
+    links
+  };
+}
+
+export function addLinkDelta(replica, from, to) {
+  const stamp = nextStamp(replica);
+  return { services: {}, links: { [linkKey(from, to)]: { added: { [tagFor(stamp)]: stamp.c }, removed: {} } } };
+}
+
+export function removeLinkDelta(doc, from, to) {
+  const key = linkKey(from, to);
+  return { services: {}, links: { [key]: observedRemoval(doc.links[key]) } };
+}
+
+/**
+ * Applies a Service.update-style patch: depends_on becomes link adds and
+ * removes against the current state, every other field a register write
+ */
+export function editServiceDelta(doc, replica, id, updates) {
+  let delta = updateServiceDelta(replica, id, updates);
+
+  if (Array.isArray(updates.depends_on)) {
+    const current = new Set(materialise(doc).find(s => s.id === id)?.depends_on || []);
+    const next = new Set(updates.depends_on.filter(to => to !== id));
+    for (const to of next) {
+      if (!current.has(to)) delta = mergeDocs(delta, addLinkDelta(replica, id, to));
+    }
+    for (const to of current) {
+      if (!next.has(to)) delta = mergeDocs(delta, removeLinkDelta(doc, id, to));
+    }
+  }
+  return delta;
+}
+
+/**
+ * Deterministic delta for Service records as loaded from the entity store.
+ * Any number of replicas can seed the same records without duplicating them,
+ * seeds never override live edits, and a seed for a service or link that was
+ * removed in the document stays removed.
+ */
+export function seedDelta(services) {
+  const delta = createDoc();
+  for (const service of services) {
+    const stamp = { c: SEED_COUNTER, s: `${SEED_SITE}:${service.updated_date || ''}` };
+    delta.services[service.id] = {
+      added: { [`${SEED_SITE}:${service.id}`]: SEED_COUNTER },
+      removed: {},
+      fields: fieldRegisters(service, stamp)
+    };
+    for (const to of service.depends_on || []) {
+      const key = linkKey(service.id, to);
+      delta.links[key] = { added: { [`${SEED_SITE}:${key}`]: SEED_COUNTER }, removed: {} };
+    }
+  }
+  return delta;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isTagMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(c => typeof c === 'number' && Number.isInteger(c) && c >= 0);
+}
+
+function isRegister(value) {
+  return value && typeof value === 'object' && Number.isInteger(value.c) && value.c >= 0 &&
+    typeof value.s === 'string' && Object.hasOwn(value, 'value');
+}
+
+function checkKeys(section, label, errors) {
+  for (const key of Object.keys(section)) {
+    if (UNSAFE_KEYS.has(key) || key.length === 0 || key.length > DOC_LIMITS.maxKeyLength) {
+      errors.push(`${label} has an invalid key`);
+    }
+  }
+}
+
+/**
+ * Shape check for documents and deltas received from another replica
+ */
+export function validateDelta(delta) {
+  const errors = [];
+  if (!delta || typeof delta !== 'object' || Array.isArray(delta)) {
+    return { valid: false, errors: ['Delta must be an object'] };
+  }
+  const services = delta.services ?? {};
+  const links = delta.links ?? {};
+  if (typeof services !== 'object' || Array.isArray(services) || typeof links !== 'object' || Array.isArray(links)) {
+    return { valid: false, errors: ['services and links must be objects'] };
+  }
+
+  if (Object.keys(services).length > DOC_LIMITS.maxServices) errors.push(`At most ${DOC_LIMITS.maxServices} services`);
+  if (Object.keys(links).length > DOC_LIMITS.maxLinks) errors.push(`At most ${DOC_LIMITS.maxLinks} links`);
+  checkKeys(services, 'services', errors);
+  checkKeys(links, 'links', errors);
+
+  for (const [id, entry] of ownEntries(services)) {
+    if (!isTagMap(entry?.added ?? {}) || !isTagMap(entry?.removed ?? {})) {
+      errors.push(`services.${id} has invalid tags`);
+      continue;
+    }
+    const fields = entry.fields ?? {};
+    if (typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length > DOC_LIMITS.maxFieldsPerService) {
+      errors.push(`services.${id}.fields is invalid`);
+      continue;
+    }
+    checkKeys(fields, `services.${id}.fields`, errors);
+    for (const [name, register] of ownEntries(fields)) {
+      if (!isRegister(register) || UNSYNCED_FIELDS.includes(name)) errors.push(`services.${id}.fields.${name} is invalid`);
+    }
+  }
+
+  for (const [key, entry] of ownEntries(links)) {
+    if (!key.includes(LINK_SEPARATOR)) errors.push(`links.${key} is not a from${LINK_SEPARATOR}to key`);
+    else if (!isTagMap(entry?.added ?? {}) || !isTagMap(entry?.removed ?? {})) errors.push(`links.${key} has invalid tags`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
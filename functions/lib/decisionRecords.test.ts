@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for lib/decisionRecords.js
+ *
+ * Test coverage for:
+ * - ADR numbering and concurrent reservations
+ * - Per-message decision claims and their release
+ * - Decision context for ADR generation
+ *
+ * Run with: deno test functions/lib/decisionRecords.test.js
+ */
+
+import {
+  formatAdrNumber,
+  nextAdrNumber,
+  createMemoryAdrCounter,
+  createKvAdrCounter,
+  createMemoryDecisionClaims,
+  createKvDecisionClaims,
+  buildDecisionContext,
+  MAX_CONTEXT_REPLIES
+} from './decisionRecords.js';
+
+Deno.test('nextAdrNumber and formatAdrNumber', () => {
+  if (nextAdrNumber([]) !== 1 || formatAdrNumber(12) !== 'ADR-0012') {
+    throw new Error('Numbering should start at ADR-0001');
+  }
+  // Unnumbered legacy ADRs count, and gaps never reuse a number
+  if (nextAdrNumber([{}, { adr_number: 7 }]) !== 8 || nextAdrNumber([{}, {}, {}]) !== 4) {
+    throw new Error('Unexpected next ADR number');
+  }
+});
+
+// Enough of Deno KV for versionstamp checks and deletes; reads and commits yield so
+// concurrent reservations interleave between them
+function createFakeKv() {
+  const entries = new Map();
+  let version = 0;
+  const read = (key) => entries.get(JSON.stringify(key)) || { value: null, versionstamp: null };
+  return {
+    async get(key) {
+      await Promise.resolve();
+      return { key, ...read(key) };
+    },
+    atomic() {
+      const checks = [];
+      const sets = [];
+      const deletes = [];
+      const operation = {
+        check(...versioned) {
+          checks.push(...versioned);
+          return operation;
+        },
+        set(key, value) {
+          sets.push([key, value]);
+          return operation;
+        },
+        delete(key) {
+          deletes.push(key);
+          return operation;
+        },
+        async commit() {
+          await Promise.resolve();
+          if (!checks.every(c => read(c.key).versionstamp === c.versionstamp)) return { ok: false };
+          version += 1;
+          sets.forEach(([key, value]) => entries.set(JSON.stringify(key), { value, versionstamp: String(version) }));
+          deletes.forEach(key => entries.delete(JSON.stringify(key)));
+          return { ok: true, versionstamp: String(version) };
+        }
+      };
+      return operation;
+    }
+  };
+}
+
+Deno.test('ADR counters - concurrent reservations get distinct numbers', async () => {
+  for (const counter of [createKvAdrCounter(createFakeKv()), createMemoryAdrCounter()]) {
+    // Both requests read the same ADR records, so both ask for 3
+    const numbers = await Promise.all([counter.reserve('p1', 3), counter.reserve('p1', 3), counter.reserve('p1', 3)]);
+    if ([...numbers].sort().join() !== '3,4,5') {
+      throw new Error(`${counter.name}: expected 3, 4 and 5, got ${numbers}`);
+    }
+    if (await counter.reserve('p1', 9) !== 9 || await counter.reserve('p2', 1) !== 1) {
+      throw new Error(`${counter.name}: stored records raise the floor and projects count separately`);
+    }
+  }
+});
+
+Deno.test('decision claims - one of two concurrent generations proceeds', async () => {
+  for (const claims of [createKvDecisionClaims(createFakeKv()), createMemoryDecisionClaims()]) {
+    const results = await Promise.all([claims.claim('msg-1', 'run-a'), claims.claim('msg-1', 'run-b')]);
+    if (results.filter(Boolean).length !== 1) {
+      throw new Error(`${claims.name}: expected exactly one claim, got ${JSON.stringify(results)}`);
+    }
+    const winner = results[0] ? 'run-a' : 'run-b';
+    const loser = results[0] ? 'run-b' : 'run-a';
+    if (await claims.release('msg-1', loser)) {
+      throw new Error(`${claims.name}: a run must not release another run's claim`);
+    }
+    // A failed generation releases its claim so the decision can be retried
+    if (!await claims.release('msg-1', winner) || !await claims.claim('msg-1', 'run-c')) {
+      throw new Error(`${claims.name}: a released message should be claimable again`);
+    }
+  }
+
+  const memory = createMemoryDecisionClaims();
+  await memory.claim('msg-2', 'run-a', -1);
+  if (!await memory.claim('msg-2', 'run-b')) {
+    throw new Error('Expired claims should be released');
+  }
+});
+
+Deno.test('buildDecisionContext - ordered, sanitised and capped', () => {
+  const replies = Array.from({ length: MAX_CONTEXT_REPLIES + 5 }, (_, i) => ({
+    author_email: `u${i}@x.io`,
+    body: `reply ${i}`,
+    created_date: `2026-01-01T00:${String(59 - i).padStart(2, '0')}:00Z`
+  }));
+  const context = buildDecisionContext({
+    session: { session_name: 'Payments review' },
+    message: {
+      author_name: 'Ana',
+      body: 'Use an outbox <script>alert(1)</script>for events',
+      created_date: '2026-01-01T00:00:00Z',
+      decision: { title: 'Transactional outbox', status: 'bogus', pinned_by: 'lee@x.io' }
+    },
+    replies
+  });
+
+  if (!context.includes('DECISION TITLE: Transactional outbox') || !context.includes('STATUS: accepted')) {
+    throw new Error(`Missing decision header: ${context}`);
+  }
+  if (context.includes('<script>') || !context.includes(`DISCUSSION (${MAX_CONTEXT_REPLIES} of ${replies.length} replies)`)) {
+    throw new Error('Context should be sanitised and capped');
+  }
+  // Newest replies are kept, oldest first
+  const lines = context.split('\n').filter(line => line.startsWith('- '));
+  if (!lines[0].includes('reply 29') || !lines.at(-1).includes('reply 0')) {
+    throw new Error(`Unexpected reply order: ${lines[0]} ... ${lines.at(-1)}`);
+  }
+});
@@ -0,0 +1,196 @@
+/**
+ * Session Decision Records
+ * AXIS: Collaboration, Quality
+ *
+ * Helpers for turning a pinned CollaborationSession chat message into an ADR:
+ * - Sequential ADR numbering per project, reserved atomically so
+ *   concurrent generations never share a number
+ * - Per-message claims, so one decision is only turned into one ADR
+ * - Sanitised decision context (message, thread replies, session) for the LLM
+ */
+
+import { sanitiseString } from './utils.js';
+
+export const DECISION_STATUSES = ['proposed', 'accepted', 'superseded'];
+
+export const ADR_PREFIX = 'ADR';
+
+// Thread replies included as discussion context, oldest first
+export const MAX_CONTEXT_REPLIES = 30;
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+export function formatAdrNumber(number) {
+  return `${ADR_PREFIX}-${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Next ADR number for a project given its existing ADR Documentation records.
+ * Records without a number (generated before numbering) still count.
+ */
+export function nextAdrNumber(adrDocs) {
+  const numbered = adrDocs.map(doc => doc.adr_number).filter(Number.isInteger);
+  return Math.max(adrDocs.length, ...numbered, 0) + 1;
+}
+
+/**
+ * Process-local counters. Only exclusive within one isolate; used when
+ * Deno KV is unavailable and in tests.
+ */
+export function createMemoryAdrCounter() {
+  const counters = new Map();
+
+  return {
+    name: 'memory',
+    async reserve(projectId, next) {
+      const number = Math.max(next, (counters.get(projectId) || 0) + 1);
+      counters.set(projectId, number);
+      return number;
+    }
+  };
+}
+
+/**
+ * Deno KV-backed counters. Each reservation commits only if the counter is
+ * unchanged since it was read (atomic check on the versionstamp), so two
+ * generations racing for the same project get different numbers.
+ */
+export function createKvAdrCounter(kv, { prefix = ['adr_number'], maxAttempts = 10 } = {}) {
+  return {
+    name: 'kv',
+    async reserve(projectId, next) {
+      const key = [...prefix, projectId];
+
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const entry = await kv.get(key);
+        const number = Math.max(next, (entry.value || 0) + 1);
+        const commit = await kv.atomic().check(entry).set(key, number).commit();
+        if (commit.ok) return number;
+      }
+
+      throw new Error(`ADR number contention for project ${projectId}`);
+    }
+  };
+}
+
+// Longer than any LLM generation; a claim left by a crashed run expires
+export const DECISION_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Process-local decision claims. Only exclusive within one isolate; used
+ * when Deno KV is unavailable and in tests.
+ */
+export function createMemoryDecisionClaims() {
+  const claims = new Map();
+
+  return {
+    name: 'memory',
+    async claim(messageId, runId, ttlMs = DECISION_CLAIM_TTL_MS) {
+      const now = Date.now();
+      if (claims.get(messageId)?.expiresAt > now) return false;
+      claims.set(messageId, { runId, expiresAt: now + ttlMs });
+      return true;
+    },
+    async release(messageId, runId) {
+      if (claims.get(messageId)?.runId !== runId) return false;
+      claims.delete(messageId);
+      return true;
+    }
+  };
+}
+
+/**
+ * Deno KV-backed decision claims. The commit checks that no claim exists
+ * yet (versionstamp null), so only one of two concurrent generations for
+ * the same message proceeds. A run only releases its own claim.
+ */
+export function createKvDecisionClaims(kv, { prefix = ['adr_decision_claim'] } = {}) {
+  return {
+    name: 'kv',
+    async claim(messageId, runId, ttlMs = DECISION_CLAIM_TTL_MS) {
+      const key = [...prefix, messageId];
+      const commit = await kv.atomic()
+        .check({ key, versionstamp: null })
+        .set(key, runId, { expireIn: ttlMs })
+        .commit();
+      return commit.ok;
+    },
+    async release(messageId, runId) {
+      const key = [...prefix, messageId];
+      const entry = await kv.get(key);
+      if (entry.value !== runId) return false;
+      const commit = await kv.atomic().check(entry).delete(key).commit();
+      return commit.ok;
+    }
+  };
+}
+
+let storesPromise = null;
+
+function readEnv(name) {
+  try {
+    return Deno.env.get(name);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Opens the ADR counter and decision claims once per isolate, on one KV.
+ *
+ * ADR_COUNTER_KV_PATH: optional local KV file, e.g. './data/adr_numbers.sqlite'
+ *
+ * Falls back to the memory stores when Deno KV is unavailable.
+ */
+function getStores(logger) {
+  if (!storesPromise) {
+    storesPromise = (async () => {
+      if (typeof Deno.openKv === 'function') {
+        try {
+          const kv = await Deno.openKv(readEnv('ADR_COUNTER_KV_PATH'));
+          return { counter: createKvAdrCounter(kv), claims: createKvDecisionClaims(kv) };
+        } catch (error) {
+          logger?.warn('Deno KV unavailable, using in-memory ADR numbering and claims', { error: error.message });
+        }
+      }
+      return { counter: createMemoryAdrCounter(), claims: createMemoryDecisionClaims() };
+    })();
+  }
+  return storesPromise;
+}
+
+export async function getAdrCounter(logger) {
+  return (await getStores(logger)).counter;
+}
+
+export async function getDecisionClaims(logger) {
+  return (await getStores(logger)).claims;
+}
+
+function quote(message) {
+  const author = sanitiseString(message.author_name || message.author_email || 'unknown', 100);
+  return `${author} (${message.created_date || 'unknown time'}): ${sanitiseString(message.body || '', MAX_MESSAGE_LENGTH)}`;
+}
+
+/**
+ * Prompt section describing one pinned decision and the discussion around it
+ */
+export function buildDecisionContext({ session, message, replies = [] }) {
+  const decision = message.decision || {};
+  const discussion = [...replies]
+    .sort((a, b) => String(a.created_date).localeCompare(String(b.created_date)))
+    .slice(-MAX_CONTEXT_REPLIES);
+
+  return [
+    `SESSION: ${sanitiseString(session?.session_name || 'Design review', 200)}`,
+    `DECISION TITLE: ${sanitiseString(decision.title || message.body || '', 200)}`,
+    `STATUS: ${DECISION_STATUSES.includes(decision.status) ? decision.status : 'accepted'}`,
+    `PINNED BY: ${sanitiseString(decision.pinned_by || 'unknown', 100)}`,
+    '',
+    'PINNED MESSAGE:',
+    quote(message),
+    '',
+    `DISCUSSION (${discussion.length} of ${replies.length} replies):`,
+    ...(discussion.length > 0 ? discussion.map(reply => `- ${quote(reply)}`) : ['- none'])
+  ].join('\n');
+}
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for lib/diff.js
+ *
+ * Test coverage for:
+ * - Minimal line edit scripts
+ * - Hunk grouping, numbering and selective application
+ * - Unified diff output, including missing newlines at end of file
+ * - Side-by-side row pairing
+ *
+ * Run with: deno test functions/lib/diff.test.js
+ */
+
+import {
+  LineTypes,
+  splitLines,
+  diffLines,
+  createHunks,
+  applyHunks,
+  formatUnifiedDiff,
+  sideBySideRows,
+  diffStats
+} from './diff.js';
+
+const numbered = (n, edit = {}) => Array.from({ length: n }, (_, i) => `${edit[i + 1] ?? `line ${i + 1}`}\n`).join('');
+
+Deno.test('diffLines - minimal edit script', () => {
+  const ops = diffLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+  const edits = ops.filter(op => op.type !== LineTypes.CONTEXT).length;
+  if (edits !== 5) throw new Error(`Expected the 5-edit Myers script, got ${edits}`);
+  if (diffLines(['x'], ['x']).some(op => op.type !== LineTypes.CONTEXT)) throw new Error('Equal input has edits');
+});
+
+Deno.test('createHunks - context, merging and numbering', () => {
+  const original = numbered(20);
+  const near = createHunks(original, numbered(20, { 5: 'five', 9: 'nine' }));
+  if (near.length !== 1 || near[0].old_start !== 2 || near[0].old_lines !== 11) {
+    throw new Error(`Nearby changes should share a hunk: ${JSON.stringify(near.map(h => [h.old_start, h.old_lines]))}`);
+  }
+
+  const far = createHunks(original, numbered(20, { 2: 'two', 18: 'eighteen' }));
+  if (far.length !== 2 || far[1].old_start !== 15 || far[1].new_start !== 15) {
+    throw new Error(`Distant changes should split: ${JSON.stringify(far.map(h => [h.old_start, h.new_start]))}`);
+  }
+  if (createHunks(original, original).length !== 0) throw new Error('No changes, no hunks');
+});
+
+Deno.test('applyHunks - accepts a subset and reproduces either side', () => {
+  const original = numbered(20);
+  const updated = numbered(20, { 2: 'two', 18: 'eighteen' }).replace('line 10\n', '');
+  const hunks = createHunks(original, updated);
+  if (hunks.length !== 3) throw new Error(`Expected 3 hunks, got ${hunks.length}`);
+
+  if (applyHunks(original, hunks, hunks.map(h => h.id)) !== updated) throw new Error('All hunks should give the update');
+  if (applyHunks(original, hunks, []) !== original) throw new Error('No hunks should give the original');
+  const partial = applyHunks(original, hunks, [2]);
+  if (!partial.includes('eighteen') || partial.includes('two') || !partial.includes('line 10')) {
+    throw new Error(`Unexpected partial result:\n${partial}`);
+  }
+});
+
+Deno.test('formatUnifiedDiff - git format with missing end-of-file newline', () => {
+  const patch = formatUnifiedDiff([
+    { path: 'src/a.js', original: 'const a = 1;\nexport default a;', updated: 'const a = 2;\nexport default a;\n' },
+    { path: 'src/new.js', original: null, updated: 'export {};\n' },
+    { path: 'same.txt', original: 'x\n', updated: 'x\n' }
+  ]);
+  const expected = [
+    'diff --git a/src/a.js b/src/a.js',
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -1,2 +1,2 @@',
+    '-const a = 1;',
+    '-export default a;',
+    '\\ No newline at end of file',
+    '+const a = 2;',
+    '+export default a;',
+    'diff --git a/src/new.js b/src/new.js',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/src/new.js',
+    '@@ -0,0 +1 @@',
+    '+export {};',
+    ''
+  ].join('\n');
+  if (patch !== expected) throw new Error(`Unexpected patch:\n${patch}`);
+});
+
+Deno.test('sideBySideRows - pairs removals with additions', () => {
+  const [hunk] = createHunks('a\nb\nc\n', 'a\nB\nB2\nc\n');
+  const rows = sideBySideRows(hunk);
+  const shape = rows.map(r => `${r.left?.number ?? '-'}:${r.right?.number ?? '-'}`).join(' ');
+  if (shape !== '1:1 2:2 -:3 3:4' || rows[1].left.text !== 'b' || rows[1].right.text !== 'B') {
+    throw new Error(`Unexpected rows: ${shape}`);
+  }
+  const stats = diffStats([hunk]);
+  if (stats.additions !== 2 || stats.deletions !== 1 || splitLines('x\ny').length !== 2) {
+    throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+  }
+});
@@ -0,0 +1,267 @@
+/**
+ * Line Diffs and Patches
+ * AXIS: Code Quality, Integration
+ *
+ * Features:
+ * - Myers line diff with common prefix/suffix trimming
+ * - Hunks with context lines, applied selectively (per-hunk accept)
+ * - Unified diff output in `git apply` format
+ * - Side-by-side rows for the diff viewer
+ *
+ * Lines keep their terminators so a missing newline at end of file is a
+ * change like any other and applying hunks reproduces text byte for byte.
+ * Shared with the browser (RefactoringEngine, DiffViewer).
+ */
+
+export const DEFAULT_CONTEXT_LINES = 3;
+// Beyond this many changed lines the edit script is not worth computing
+export const MAX_EDIT_DISTANCE = 4000;
+
+export const LineTypes = {
+  CONTEXT: ' ',
+  REMOVED: '-',
+  ADDED: '+'
+};
+
+export function splitLines(text) {
+  return String(text ?? '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// ============================================
+// MYERS DIFF
+// ============================================
+
+function backtrack(trace, a, b, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: LineTypes.CONTEXT, a: x - 1, b: y - 1 });
+      x--;
+      y--;
+    }
+    if (d > 0) ops.push(x === prevX ? { type: LineTypes.ADDED, b: y - 1 } : { type: LineTypes.REMOVED, a: x - 1 });
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+function myers(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) return backtrack(trace, a, b, offset);
+    }
+  }
+  return null;
+}
+
+/**
+ * Edit script between two line arrays: { type, a?, b? } per line, where
+ * `a`/`b` index the old/new arrays. Too many changes fall back to
+ * replacing the whole middle section.
+ */
+export function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map((_, i) => ({ type: LineTypes.REMOVED, a: i })),
+    ...middleB.map((_, i) => ({ type: LineTypes.ADDED, b: i }))
+  ];
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: LineTypes.CONTEXT, a: i, b: i });
+  for (const op of middle) {
+    ops.push({
+      type: op.type,
+      ...(op.a !== undefined ? { a: op.a + start } : {}),
+      ...(op.b !== undefined ? { b: op.b + start } : {})
+    });
+  }
+  for (let i = 0; i < a.length - endA; i++) ops.push({ type: LineTypes.CONTEXT, a: endA + i, b: endB + i });
+  return ops;
+}
+
+// ============================================
+// HUNKS
+// ============================================
+
+/**
+ * Groups changes into hunks with `context` unchanged lines around them.
+ * `old_index` is the 0-based first old line a hunk covers; `old_start`
+ * and `new_start` follow unified diff numbering.
+ */
+export function createHunks(original, updated, { context = DEFAULT_CONTEXT_LINES } = {}) {
+  const a = splitLines(original);
+  const b = splitLines(updated);
+  const ops = diffLines(a, b);
+  const changed = [];
+  ops.forEach((op, i) => {
+    if (op.type !== LineTypes.CONTEXT) changed.push(i);
+  });
+
+  const ranges = [];
+  for (const i of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && i - last.end <= context * 2 + 1) last.end = i;
+    else ranges.push({ start: i, end: i });
+  }
+
+  return ranges.map((range, index) => {
+    const from = Math.max(0, range.start - context);
+    const to = Math.min(ops.length - 1, range.end + context);
+    const slice = ops.slice(from, to + 1);
+    const lines = slice.map(op => ({ type: op.type, text: op.type === LineTypes.ADDED ? b[op.b] : a[op.a] }));
+
+    // Position of the first old/new line at or after the hunk start
+    let oldIndex = 0;
+    let newIndex = 0;
+    for (let i = 0; i < from; i++) {
+      if (ops[i].type !== LineTypes.ADDED) oldIndex++;
+      if (ops[i].type !== LineTypes.REMOVED) newIndex++;
+    }
+    const oldLines = lines.filter(l => l.type !== LineTypes.ADDED).length;
+    const newLines = lines.filter(l => l.type !== LineTypes.REMOVED).length;
+    return {
+      id: index,
+      old_index: oldIndex,
+      old_start: oldLines > 0 ? oldIndex + 1 : oldIndex,
+      old_lines: oldLines,
+      new_start: newLines > 0 ? newIndex + 1 : newIndex,
+      new_lines: newLines,
+      lines
+    };
+  });
+}
+
+/**
+ * Rebuilds the file with only the accepted hunks applied. Hunks must come
+ * from createHunks on the same `original`.
+ */
+export function applyHunks(original, hunks, acceptedIds) {
+  const a = splitLines(original);
+  const accepted = new Set(acceptedIds);
+  const out = [];
+  let cursor = 0;
+  for (const hunk of [...hunks].sort((x, y) => x.old_index - y.old_index)) {
+    if (!accepted.has(hunk.id)) continue;
+    out.push(...a.slice(cursor, hunk.old_index));
+    for (const line of hunk.lines) {
+      if (line.type !== LineTypes.REMOVED) out.push(line.text);
+    }
+    cursor = hunk.old_index + hunk.old_lines;
+  }
+  out.push(...a.slice(cursor));
+  return out.join('');
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+function range(start, count) {
+  return count === 1 ? String(start) : `${start},${count}`;
+}
+
+function patchLine(type, text) {
+  return text.endsWith('\n') ? `${type}${text}` : `${type}${text}\n\\ No newline at end of file\n`;
+}
+
+/**
+ * `files` is [{ path, original, updated }]; `original` null means a new
+ * file. Unchanged files are left out. Returns '' when nothing changed.
+ */
+export function formatUnifiedDiff(files, { context = DEFAULT_CONTEXT_LINES } = {}) {
+  let patch = '';
+  for (const { path, original, updated } of files) {
+    if (original === updated) continue;
+    const hunks = createHunks(original ?? '', updated, { context });
+    if (hunks.length === 0) continue;
+    patch += `diff --git a/${path} b/${path}\n`;
+    if (original === null || original === undefined) patch += 'new file mode 100644\n';
+    patch += `--- ${original === null || original === undefined ? '/dev/null' : `a/${path}`}\n+++ b/${path}\n`;
+    for (const hunk of hunks) {
+      patch += `@@ -${range(hunk.old_start, hunk.old_lines)} +${range(hunk.new_start, hunk.new_lines)} @@\n`;
+      for (const line of hunk.lines) patch += patchLine(line.type, line.text);
+    }
+  }
+  return patch;
+}
+
+/**
+ * Pairs a hunk's removed and added lines for a two-column view. Rows are
+ * { left, right } where each side is { number, text, type } or null.
+ */
+export function sideBySideRows(hunk) {
+  const rows = [];
+  let oldNumber = hunk.old_index + 1;
+  let newNumber = hunk.new_lines > 0 ? hunk.new_start : hunk.new_start + 1;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of hunk.lines) {
+    const text = line.text.replace(/\r?\n$/, '');
+    if (line.type === LineTypes.CONTEXT) {
+      flush();
+      rows.push({
+        left: { number: oldNumber++, text, type: line.type },
+        right: { number: newNumber++, text, type: line.type }
+      });
+    } else if (line.type === LineTypes.REMOVED) {
+      removed.push({ number: oldNumber++, text, type: line.type });
+    } else {
+      added.push({ number: newNumber++, text, type: line.type });
+    }
+  }
+  flush();
+  return rows;
+}
+
+export function diffStats(hunks) {
+  let additions = 0;
+  let deletions = 0;
+  for (const hunk of hunks) {
+    for (const line of hunk.lines) {
+      if (line.type === LineTypes.ADDED) additions++;
+      else if (line.type === LineTypes.REMOVED) deletions++;
+    }
+  }
+  return { additions, deletions };
+}
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for lib/exportFormats.js
+ *
+ * Test coverage for:
+ * - Bundle file layout (docs, CI/CD, API specs, README)
+ * - Static site pages, navigation and escaping
+ *
+ * Run with: deno test functions/lib/exportFormats.test.js
+ */
+
+import { buildBundleFiles, buildStaticSite, safeFilename } from './exportFormats.js';
+
+const exportData = {
+  project: { name: 'Shop', description: 'E-commerce platform', category: 'web', status: 'planning' },
+  services: [{ name: 'Payments', category: 'backend', description: 'Card payments' }],
+  export_metadata: { exported_at: '2025-01-01T00:00:00Z', correlation_id: 'c1' }
+};
+
+function sampleBundle() {
+  return buildBundleFiles({
+    exportData,
+    services: [{ id: 's1', name: 'Payments API' }],
+    documentation: [
+      { service_id: 's1', doc_type: 'readme', content: '# Payments' },
+      { service_id: 's1', doc_type: 'readme', content: '# Payments v2' },
+      { doc_type: 'architecture', content: 'Overview <script>alert(1)</script>' }
+    ],
+    cicd: [{
+      platform: 'github_actions',
+      pipeline_config: 'on: push',
+      dockerfile: 'FROM node:20',
+      kubernetes_manifests: { deployment: 'kind: Deployment', ingress: '' }
+    }],
+    specs: [{ service_id: 's1', format: 'openapi', version: '1.0.0', spec_content: 'openapi: 3.0.0' }]
+  });
+}
+
+Deno.test('safeFilename - strips path characters', () => {
+  if (safeFilename('../etc/passwd') !== '___etc_passwd') {
+    throw new Error(`Unexpected filename: ${safeFilename('../etc/passwd')}`);
+  }
+  if (safeFilename('') !== 'untitled') {
+    throw new Error('Empty names should fall back to untitled');
+  }
+});
+
+Deno.test('buildBundleFiles - lays out docs, CI/CD and specs', () => {
+  const paths = sampleBundle().map(f => f.path);
+  const expected = [
+    'README.md',
+    'project.json',
+    'docs/Payments_API/readme.md',
+    'docs/Payments_API/readme-2.md',
+    'docs/project/architecture.md',
+    'cicd/github_actions/.github/workflows/ci.yml',
+    'cicd/github_actions/Dockerfile',
+    'cicd/github_actions/k8s/deployment.yaml',
+    'api/Payments_API-openapi-v1_0_0.yaml'
+  ];
+
+  if (JSON.stringify(paths) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected layout: ${JSON.stringify(paths)}`);
+  }
+});
+
+Deno.test('buildBundleFiles - README links every file', () => {
+  const [readme, ...rest] = sampleBundle();
+  for (const file of rest) {
+    if (!readme.content.includes(`(${file.path})`)) {
+      throw new Error(`README does not link ${file.path}`);
+    }
+  }
+});
+
+Deno.test('buildStaticSite - renders linked pages and escapes code', () => {
+  const renderMarkdown = (text) => `<p>${text.replace(/</g, '&lt;')}</p>`
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+  const site = buildStaticSite(sampleBundle(), { projectName: 'Shop', renderMarkdown });
+  const byPath = new Map(site.map(p => [p.path, p.content]));
+
+  const index = byPath.get('index.html');
+  if (!index || !index.includes('href="cicd/github_actions/_github/workflows/ci.yml.html"')) {
+    throw new Error('Index should link to the rewritten pipeline page');
+  }
+  if (!byPath.has('project.json')) {
+    throw new Error('Project JSON should be shipped as-is');
+  }
+
+  const pipeline = byPath.get('cicd/github_actions/_github/workflows/ci.yml.html');
+  if (!pipeline?.includes('href="../../../../index.html"')) {
+    throw new Error('Nested pages should link back to the index');
+  }
+
+  const architecture = byPath.get('docs/project/architecture.html');
+  if (architecture.includes('<script>')) {
+    throw new Error('Raw HTML must not be rendered');
+  }
+  if (!architecture.includes("Content-Security-Policy")) {
+    throw new Error('Pages should carry a CSP');
+  }
+});
@@ -0,0 +1,272 @@
+/**
+ * Project Export Formats
+ * AXIS: Quality, Security
+ *
+ * Builds the file trees behind the exportProject 'bundle' and 'static-site'
+ * formats:
+ * - Project JSON, README and per-service Markdown docs
+ * - CI/CD pipeline, Docker and Kubernetes files
+ * - API specifications (OpenAPI, Swagger, GraphQL, gRPC)
+ * - Linkable HTML pages for internal hosting
+ *
+ * Everything here is pure; zipping and Markdown rendering are supplied by
+ * the caller.
+ */
+
+// Where each CI platform expects its pipeline definition
+export const PIPELINE_PATHS = {
+  github_actions: '.github/workflows/ci.yml',
+  gitlab_ci: '.gitlab-ci.yml',
+  jenkins: 'Jenkinsfile',
+  circleci: '.circleci/config.yml',
+  azure_devops: 'azure-pipelines.yml',
+  bitbucket: 'bitbucket-pipelines.yml'
+};
+
+const SPEC_EXTENSIONS = {
+  openapi: 'yaml',
+  swagger: 'yaml',
+  graphql: 'graphql',
+  grpc: 'proto'
+};
+
+const SECTIONS = {
+  project: 'Project',
+  docs: 'Documentation',
+  cicd: 'CI/CD',
+  api: 'API Specifications'
+};
+
+export function safeFilename(name, maxLength = 50) {
+  const safe = String(name ?? '').replace(/[^a-zA-Z0-9-_]/g, '_').slice(0, maxLength);
+  return safe || 'untitled';
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function asText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+// ============================================
+// BUNDLE
+// ============================================
+
+/**
+ * Returns [{ path, content, kind, section, title }] for the ZIP bundle.
+ * `kind` is 'markdown', 'json' or 'code'. The README comes first.
+ */
+export function buildBundleFiles({ exportData, services = [], documentation = [], cicd = [], specs = [] }) {
+  const files = [];
+  const usedPaths = new Set();
+  const serviceNames = new Map(services.map(s => [s.id, s.name]));
+
+  const add = (path, content, kind, section, title) => {
+    let unique = path;
+    for (let n = 2; usedPaths.has(unique); n++) {
+      unique = path.replace(/(\.[^./]+)?$/, `-${n}$1`);
+    }
+    usedPaths.add(unique);
+    files.push({ path: unique, content, kind, section, title });
+  };
+
+  add('project.json', JSON.stringify(exportData, null, 2), 'json', 'project', 'Project data (JSON)');
+
+  for (const doc of documentation) {
+    if (!doc.content) continue;
+    const owner = serviceNames.get(doc.service_id);
+    const dir = owner ? safeFilename(owner) : 'project';
+    const docType = doc.doc_type || 'document';
+    add(
+      `docs/${dir}/${safeFilename(docType)}.md`,
+      asText(doc.content),
+      'markdown',
+      'docs',
+      `${owner || 'Project'}: ${docType}`
+    );
+  }
+
+  for (const config of cicd) {
+    const platform = config.platform || 'pipeline';
+    const dir = `cicd/${safeFilename(platform)}`;
+    if (config.pipeline_config) {
+      add(`${dir}/${PIPELINE_PATHS[platform] || 'pipeline.yml'}`, asText(config.pipeline_config), 'code', 'cicd', `${platform} pipeline`);
+    }
+    if (config.dockerfile) {
+      add(`${dir}/Dockerfile`, asText(config.dockerfile), 'code', 'cicd', 'Dockerfile');
+    }
+    if (config.docker_compose) {
+      add(`${dir}/docker-compose.yml`, asText(config.docker_compose), 'code', 'cicd', 'Docker Compose');
+    }
+    for (const [name, manifest] of Object.entries(config.kubernetes_manifests || {})) {
+      if (!manifest) continue;
+      add(`${dir}/k8s/${safeFilename(name)}.yaml`, asText(manifest), 'code', 'cicd', `Kubernetes ${name}`);
+    }
+  }
+
+  for (const spec of specs) {
+    if (!spec.spec_content) continue;
+    const owner = serviceNames.get(spec.service_id);
+    const format = spec.format || 'openapi';
+    const base = `${safeFilename(owner || 'project')}-${safeFilename(format)}-v${safeFilename(spec.version || '1.0.0')}`;
+    add(
+      `api/${base}.${SPEC_EXTENSIONS[format] || 'txt'}`,
+      asText(spec.spec_content),
+      'code',
+      'api',
+      `${owner || 'All services'} (${[format, spec.version].filter(Boolean).join(' ')})`
+    );
+  }
+
+  files.unshift({
+    path: 'README.md',
+    content: buildReadme(exportData, files),
+    kind: 'markdown',
+    section: 'project',
+    title: 'Overview'
+  });
+
+  return files;
+}
+
+function buildReadme(exportData, files) {
+  const { project, services = [], export_metadata: meta } = exportData;
+  const bySection = (section) => files.filter(f => f.section === section);
+
+  const contents = Object.entries(SECTIONS)
+    .map(([section, label]) => {
+      const entries = bySection(section);
+      if (entries.length === 0) return '';
+      return `### ${label}\n${entries.map(f => `- [${f.title}](${f.path})`).join('\n')}\n`;
+    })
+    .filter(Boolean)
+    .join('\n');
+
+  return `# ${project.name}
+
+${project.description || ''}
+
+- **Category:** ${project.category || 'Not specified'}
+- **Status:** ${project.status || 'Not specified'}
+- **Architecture:** ${project.architecture_pattern || 'Microservices'}
+
+## Services (${services.length})
+${services.map(s => `- **${s.name}**${s.category ? ` (${s.category})` : ''}: ${s.description || ''}`).join('\n')}
+
+## Contents
+${contents}
+---
+*Exported on ${meta?.exported_at}*
+*Correlation ID: ${meta?.correlation_id}*
+`;
+}
+
+// ============================================
+// STATIC SITE
+// ============================================
+
+// Hidden directories (.github, .circleci) are often not served by static hosts
+function toPagePath(file) {
+  const visible = file.path.replace(/(^|\/)\./g, '$1_');
+  if (file.path === 'README.md') return 'index.html';
+  if (file.kind === 'markdown') return visible.replace(/\.md$/, '.html');
+  return `${visible}.html`;
+}
+
+function rootPrefix(pagePath) {
+  return '../'.repeat(pagePath.split('/').length - 1);
+}
+
+function renderNav(pages, current) {
+  const prefix = rootPrefix(current);
+  return Object.entries(SECTIONS)
+    .map(([section, label]) => {
+      const entries = pages.filter(p => p.section === section);
+      if (entries.length === 0) return '';
+      const links = entries
+        .map(p => `<li><a href="${escapeHtml(prefix + p.href)}"${p.href === current ? ' aria-current="page"' : ''}>${escapeHtml(p.title)}</a></li>`)
+        .join('');
+      return `<h2>${escapeHtml(label)}</h2><ul>${links}</ul>`;
+    })
+    .join('');
+}
+
+const PAGE_STYLE = `body{margin:0;font-family:system-ui,sans-serif;color:#1f2937;display:flex;min-height:100vh}
+nav{width:260px;background:#f8fafc;border-right:1px solid #e5e7eb;padding:1.5rem;font-size:.9rem}
+nav h1{font-size:1.1rem;margin:0 0 1rem}nav h2{font-size:.75rem;text-transform:uppercase;color:#6b7280;margin:1.25rem 0 .5rem}
+nav ul{list-style:none;padding:0;margin:0}nav li{margin:.25rem 0}nav a{color:#2563eb;text-decoration:none}
+nav a[aria-current]{font-weight:600;color:#111827}
+main{flex:1;padding:2rem 3rem;max-width:960px;overflow-x:auto}
+pre{background:#0f172a;color:#e2e8f0;padding:1rem;border-radius:6px;overflow-x:auto}
+code{font-family:ui-monospace,monospace;font-size:.85rem}
+table{border-collapse:collapse}td,th{border:1px solid #e5e7eb;padding:.4rem .6rem}`;
+
+// The CSP blocks all scripts; exported content is generated and not trusted
+function renderPage({ title, projectName, nav, body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src * data:">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - ${escapeHtml(projectName)}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<nav><h1>${escapeHtml(projectName)}</h1>${nav}</nav>
+<main>${body}</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders bundle files as linked HTML pages with a shared navigation.
+ * `renderMarkdown(text)` must return HTML with raw HTML escaped.
+ * Links between bundle files are rewritten to the matching pages.
+ * The project JSON is shipped as-is. Returns [{ path, content }].
+ */
+export function buildStaticSite(files, { projectName, renderMarkdown }) {
+  const pageFiles = files.filter(f => f.kind !== 'json');
+  const pages = pageFiles.map(f => ({ ...f, href: toPagePath(f) }));
+  const raw = files
+    .filter(f => f.kind === 'json')
+    .map(f => ({ ...f, href: f.path }));
+
+  const linkTargets = new Map([...pages, ...raw].map(p => [p.path, p.href]));
+  const navEntries = [...pages, ...raw];
+
+  const site = pages.map(page => {
+    const prefix = rootPrefix(page.href);
+    let body;
+    if (page.kind === 'markdown') {
+      body = renderMarkdown(page.content);
+      // README links point at bundle paths; map them to pages
+      body = body.replace(/href="([^"]+)"/g, (match, href) => {
+        const target = linkTargets.get(href);
+        return target ? `href="${escapeHtml(prefix + target)}"` : match;
+      });
+    } else {
+      body = `<h1>${escapeHtml(page.title)}</h1><p><code>${escapeHtml(page.path)}</code></p><pre><code>${escapeHtml(page.content)}</code></pre>`;
+    }
+
+    return {
+      path: page.href,
+      content: renderPage({
+        title: page.title,
+        projectName,
+        nav: renderNav(navEntries, page.href),
+        body
+      })
+    };
+  });
+
+  return [...site, ...raw.map(f => ({ path: f.path, content: f.content }))];
+}
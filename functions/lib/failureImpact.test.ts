@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for lib/failureImpact.js
+ *
+ * Test coverage for:
+ * - Edge settings from communication_patterns
+ * - Down and degraded failures reaching user-facing services
+ * - Retries, timeouts, circuit breakers, fallbacks and async calls
+ * - Saturation without a bulkhead, and the suggested mitigations
+ * - Ranking single points of failure
+ *
+ * Run with: deno test functions/lib/failureImpact.test.js
+ */
+
+import {
+  FailureModes,
+  ImpactStatus,
+  Mitigations,
+  edgePolicy,
+  simulateFailure,
+  rankSinglePointsOfFailure
+} from './failureImpact.js';
+
+// web -> api -> orders -> db; api -> recs (fallback); worker ~> db over a queue
+function project(apiToOrders) {
+  return [
+    { id: 'web', name: 'Web', category: 'ui', depends_on: ['api'] },
+    {
+      id: 'api',
+      name: 'API',
+      category: 'core',
+      depends_on: ['orders', 'recs'],
+      communication_patterns: {
+        orders: { pattern: 'rest', resilience: apiToOrders || {} },
+        recs: { pattern: 'rest', resilience: { fallback: true } }
+      }
+    },
+    { id: 'orders', name: 'Orders', category: 'core', depends_on: ['db'] },
+    { id: 'recs', name: 'Recommendations', category: 'ai', depends_on: [] },
+    { id: 'db', name: 'DB', category: 'storage', depends_on: [] },
+    {
+      id: 'worker',
+      name: 'Worker',
+      category: 'core',
+      depends_on: ['db'],
+      communication_patterns: { db: { pattern: 'message_queue' } }
+    }
+  ];
+}
+
+const byId = (result) => new Map(result.services.map(s => [s.id, s]));
+
+Deno.test('edgePolicy - defaults, clamping and async patterns', () => {
+  const service = {
+    communication_patterns: {
+      a: { pattern: 'event_bus', resilience: { timeout_ms: 2000, retries: 50, circuit_breaker: true } },
+      b: { pattern: 'rest', resilience: { timeout_ms: -1, retries: 1.5 } }
+    }
+  };
+  const a = edgePolicy(service, 'a');
+  if (a.timeout_ms !== 2000 || a.retries !== 10 || !a.circuit_breaker || !a.async) throw new Error(JSON.stringify(a));
+  const b = edgePolicy(service, 'b');
+  if (b.timeout_ms !== 30000 || b.retries !== 0 || b.async) throw new Error(JSON.stringify(b));
+  if (edgePolicy({}, 'c').fallback !== false) throw new Error('Missing settings should use defaults');
+});
+
+Deno.test('simulateFailure - a down database takes the user-facing path down', () => {
+  const result = simulateFailure(project(), { db: { mode: FailureModes.DOWN } });
+  const services = byId(result);
+  for (const id of ['db', 'orders', 'api', 'web']) {
+    if (services.get(id).status !== ImpactStatus.DOWN) throw new Error(`${id} should be down`);
+  }
+  if (services.get('worker').status !== ImpactStatus.HEALTHY) throw new Error('Queued writes should not fail the worker');
+  if (services.get('orders').cause !== 'dependency' || services.get('db').cause !== 'failed') throw new Error('Wrong causes');
+  if (JSON.stringify(result.user_facing.down) !== '["web"]') throw new Error(`Unexpected user-facing: ${JSON.stringify(result.user_facing)}`);
+
+  const worker = result.edges.find(e => e.from === 'worker');
+  if (worker.contained_by !== 'async' || worker.error_rate !== 0) throw new Error('Async edge should contain the failure');
+
+  const fallback = result.suggestions.find(s => s.mitigation === Mitigations.FALLBACK && s.from === 'api' && s.to === 'orders');
+  if (!fallback || JSON.stringify(fallback.spared) !== '["web"]') throw new Error(`Expected a fallback on API -> Orders: ${JSON.stringify(result.suggestions)}`);
+});
+
+Deno.test('simulateFailure - fallbacks contain, retries lower the error rate', () => {
+  const recs = simulateFailure(project(), { recs: { mode: FailureModes.DOWN } });
+  if (byId(recs).get('web').status !== ImpactStatus.HEALTHY) throw new Error('The fallback should keep Web healthy');
+  if (recs.edges.find(e => e.to === 'recs').contained_by !== Mitigations.FALLBACK) throw new Error('Fallback not reported');
+
+  const degraded = { orders: { mode: FailureModes.DEGRADED, error_rate: 0.2, latency_ms: 100 } };
+  const plain = byId(simulateFailure(project(), degraded)).get('api');
+  const retried = simulateFailure(project({ retries: 2 }), degraded);
+  const api = byId(retried).get('api');
+  if (plain.error_rate !== 0.2 || api.error_rate !== 0.008) throw new Error(`Unexpected error rates ${plain.error_rate} ${api.error_rate}`);
+  const edge = retried.edges.find(e => e.from === 'api' && e.to === 'orders');
+  if (edge.load_factor !== 1.24) throw new Error(`Retries should add load: ${edge.load_factor}`);
+});
+
+Deno.test('simulateFailure - slow dependency saturates without a bulkhead', () => {
+  const slow = { orders: { mode: FailureModes.DEGRADED, error_rate: 0.05, latency_ms: 8000 } };
+  const result = simulateFailure(project(), slow);
+  const api = byId(result).get('api');
+  if (api.status !== ImpactStatus.DOWN || api.cause !== 'saturated') throw new Error(`API should saturate: ${JSON.stringify(api)}`);
+  // Web still waits on the slow API, so only callers of the API itself are spared
+  const suggestions = simulateFailure(project(), slow, { userFacing: ['api'] }).suggestions;
+  const bulkhead = suggestions.find(s => s.from === 'api' && s.to === 'orders' && s.mitigation === Mitigations.BULKHEAD);
+  if (!bulkhead || bulkhead.user_facing_down_after !== 0) throw new Error(`Expected a bulkhead suggestion: ${JSON.stringify(suggestions)}`);
+
+  const isolated = byId(simulateFailure(project({ bulkhead: true }), slow)).get('api');
+  if (isolated.status !== ImpactStatus.DEGRADED) throw new Error('A bulkhead should leave the API degraded, not down');
+
+  // A timeout below the latency fails every call, which opens the breaker
+  const broken = simulateFailure(project({ timeout_ms: 1000, circuit_breaker: true }), slow);
+  const edge = broken.edges.find(e => e.from === 'api' && e.to === 'orders');
+  if (!edge.breaker_open || edge.latency_ms !== 0 || byId(broken).get('api').status !== ImpactStatus.DOWN) {
+    throw new Error(`Breaker should fail fast: ${JSON.stringify(edge)}`);
+  }
+});
+
+Deno.test('rankSinglePointsOfFailure - ordered by user-facing damage', () => {
+  const ranking = rankSinglePointsOfFailure(project());
+  const order = ranking.map(r => r.id).join();
+  if (order !== 'db,orders,api') throw new Error(`Unexpected ranking: ${order}`);
+  if (ranking.some(r => r.id === 'recs' || r.id === 'web')) throw new Error('Contained or self-only failures are not single points of failure');
+});
@@ -0,0 +1,348 @@
+/**
+ * Failure Impact Simulation
+ * AXIS: Resilience, Architecture
+ *
+ * Marks services as down or degraded and propagates the failure along
+ * Service.depends_on, taking each call's resilience settings into account:
+ * - Timeouts cap how long a caller waits on a slow dependency
+ * - Retries lower the error rate a caller sees but multiply the load on
+ *   the dependency
+ * - An open circuit breaker fails calls fast instead of waiting
+ * - A fallback, or an asynchronous pattern (queue, event bus), keeps the
+ *   dependency's errors from reaching the caller
+ * - Without a bulkhead, a dependency that ties up a caller's workers for
+ *   too long exhausts it and takes all of its requests down
+ *
+ * Reports which user-facing services break, the expected error rates and
+ * latencies, and which single setting on which call would contain the
+ * failure. Pure and deterministic; shared with the browser.
+ *
+ * Per-call settings live on the caller, in
+ * `service.communication_patterns[dependencyId].resilience`:
+ * { timeout_ms, retries, circuit_breaker, fallback, bulkhead }.
+ */
+
+import { buildGraph, stronglyConnectedComponents } from './graphAnalytics.js';
+
+export const FailureModes = {
+  DOWN: 'down',
+  DEGRADED: 'degraded'
+};
+
+export const ImpactStatus = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+export const Mitigations = {
+  FALLBACK: 'fallback',
+  BULKHEAD: 'bulkhead',
+  CIRCUIT_BREAKER: 'circuit_breaker'
+};
+
+export const DEFAULT_EDGE_POLICY = {
+  timeout_ms: 30000,
+  retries: 0,
+  circuit_breaker: false,
+  fallback: false,
+  bulkhead: false
+};
+
+export const SIMULATION_DEFAULTS = {
+  // A healthy service's own latency and error rate, unless `baseline` says otherwise
+  latency_ms: 50,
+  error_rate: 0,
+  // What "degraded" means when the failure does not say
+  degraded_error_rate: 0.2,
+  degraded_latency_ms: 2000,
+  // Share of failing calls at which a circuit breaker opens
+  breaker_threshold: 0.5,
+  // Time blocked on one dependency per request that exhausts a caller's
+  // workers when there is no bulkhead
+  saturation_ms: 5000,
+  // Status thresholds
+  down_error_rate: 0.99,
+  degraded_error_rate_threshold: 0.01,
+  degraded_latency_threshold_ms: 1000
+};
+
+const ASYNC_PATTERNS = ['message_queue', 'event_bus'];
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function clampRate(value) {
+  return Math.min(1, Math.max(0, Number(value) || 0));
+}
+
+/**
+ * Resilience settings for the call from `service` to `dependencyId`, with
+ * defaults filled in and out-of-range values clamped.
+ */
+export function edgePolicy(service, dependencyId) {
+  const connection = service.communication_patterns?.[dependencyId] || {};
+  const policy = { ...DEFAULT_EDGE_POLICY, ...(connection.resilience || {}) };
+  return {
+    timeout_ms: Number.isFinite(policy.timeout_ms) && policy.timeout_ms > 0 ? policy.timeout_ms : DEFAULT_EDGE_POLICY.timeout_ms,
+    retries: Number.isInteger(policy.retries) ? Math.min(10, Math.max(0, policy.retries)) : 0,
+    circuit_breaker: policy.circuit_breaker === true,
+    fallback: policy.fallback === true,
+    bulkhead: policy.bulkhead === true,
+    async: ASYNC_PATTERNS.includes(connection.pattern)
+  };
+}
+
+/**
+ * Entry points users hit: `ui` services, and services nothing else depends
+ * on. `options.userFacing` (a list of IDs) replaces the guess.
+ */
+export function userFacingServices(graph, options) {
+  if (Array.isArray(options?.userFacing) && options.userFacing.length > 0) {
+    return [...graph.nodes.keys()].filter(id => options.userFacing.includes(id));
+  }
+  return [...graph.nodes.keys()].filter(id => graph.nodes.get(id).category === 'ui' || graph.incoming.get(id).length === 0);
+}
+
+// ============================================
+// PROPAGATION
+// ============================================
+
+/**
+ * What the caller sees on one call, given the dependency's state.
+ * Attempts are independent; a dependency slower than the timeout fails
+ * every attempt after waiting the full timeout.
+ */
+function evaluateEdge(policy, dependency, settings) {
+  const timesOut = dependency.latency_ms > policy.timeout_ms;
+  const attemptFailure = timesOut ? 1 : dependency.error_rate;
+  const attemptLatency = timesOut ? policy.timeout_ms : dependency.latency_ms;
+  const breakerOpen = policy.circuit_breaker && attemptFailure >= settings.breaker_threshold;
+
+  let failure;
+  let latency;
+  let loadFactor;
+  if (breakerOpen) {
+    // Calls fail at once; nothing reaches the dependency to retry
+    failure = 1;
+    latency = 0;
+    loadFactor = 0;
+  } else {
+    failure = attemptFailure ** (policy.retries + 1);
+    loadFactor = 0;
+    for (let attempt = 0; attempt <= policy.retries; attempt++) loadFactor += attemptFailure ** attempt;
+    latency = attemptLatency * loadFactor;
+  }
+
+  const contained = policy.fallback ? Mitigations.FALLBACK : policy.async ? 'async' : null;
+  return {
+    // Asynchronous calls are not waited on
+    latency_ms: policy.async ? 0 : latency,
+    call_error_rate: failure,
+    error_rate: contained ? 0 : failure,
+    load_factor: loadFactor,
+    breaker_open: breakerOpen,
+    saturating: !policy.async && !policy.bulkhead && latency >= settings.saturation_ms,
+    contained_by: contained && failure > 0 ? contained : null
+  };
+}
+
+function statusOf(state, settings) {
+  if (state.error_rate >= settings.down_error_rate) return ImpactStatus.DOWN;
+  if (state.error_rate >= settings.degraded_error_rate_threshold || state.latency_ms >= settings.degraded_latency_threshold_ms) {
+    return ImpactStatus.DEGRADED;
+  }
+  return ImpactStatus.HEALTHY;
+}
+
+function propagate(graph, failures, options) {
+  const settings = { ...SIMULATION_DEFAULTS, ...(options?.settings || {}) };
+  const policyOverrides = options?.policyOverrides || {};
+  const states = new Map();
+  const edges = new Map();
+
+  const own = (id) => {
+    const base = options?.baseline?.[id] || {};
+    const failure = failures[id];
+    if (failure?.mode === FailureModes.DOWN) return { error_rate: 1, latency_ms: 0 };
+    const baseError = clampRate(base.error_rate ?? settings.error_rate);
+    const baseLatency = Number.isFinite(base.latency_ms) ? base.latency_ms : settings.latency_ms;
+    if (failure?.mode === FailureModes.DEGRADED) {
+      return {
+        error_rate: Math.max(baseError, clampRate(failure.error_rate ?? settings.degraded_error_rate)),
+        latency_ms: Math.max(baseLatency, Number.isFinite(failure.latency_ms) ? failure.latency_ms : settings.degraded_latency_ms)
+      };
+    }
+    return { error_rate: baseError, latency_ms: baseLatency };
+  };
+
+  const evaluate = (id) => {
+    const service = graph.nodes.get(id);
+    const start = own(id);
+    let success = 1 - start.error_rate;
+    let latency = start.latency_ms;
+    let saturated = false;
+    let dependencyFailure = false;
+
+    for (const target of graph.outgoing.get(id)) {
+      const key = `${id}>${target}`;
+      const policy = { ...edgePolicy(service, target), ...(policyOverrides[key] || {}) };
+      const edge = evaluateEdge(policy, states.get(target) || own(target), settings);
+      edges.set(key, { from: id, to: target, ...edge });
+      success *= 1 - edge.error_rate;
+      latency += edge.latency_ms;
+      if (edge.saturating) saturated = true;
+      if (edge.error_rate > 0) dependencyFailure = true;
+    }
+
+    states.set(id, {
+      error_rate: saturated ? 1 : 1 - success,
+      latency_ms: latency,
+      cause: failures[id] ? 'failed' : saturated ? 'saturated' : dependencyFailure ? 'dependency' : null
+    });
+  };
+
+  // Dependencies first; members of a cycle are evaluated until they settle
+  for (const component of stronglyConnectedComponents(graph)) {
+    const rounds = component.length === 1 ? 1 : component.length + 1;
+    for (let pass = 0; pass < rounds; pass++) component.forEach(evaluate);
+  }
+
+  return { states, edges, settings };
+}
+
+function summarise(graph, failures, options) {
+  const { states, edges, settings } = propagate(graph, failures, options);
+  const entryPoints = userFacingServices(graph, options);
+
+  const services = [...graph.nodes.keys()].map(id => {
+    const state = states.get(id);
+    return {
+      id,
+      name: graph.nodes.get(id).name,
+      status: statusOf(state, settings),
+      error_rate: round(state.error_rate, 4),
+      latency_ms: Math.round(state.latency_ms),
+      cause: state.cause,
+      user_facing: entryPoints.includes(id)
+    };
+  });
+  const byId = new Map(services.map(s => [s.id, s]));
+
+  return {
+    services,
+    edges: [...edges.values()].map(edge => ({
+      ...edge,
+      call_error_rate: round(edge.call_error_rate, 4),
+      error_rate: round(edge.error_rate, 4),
+      latency_ms: Math.round(edge.latency_ms),
+      load_factor: round(edge.load_factor, 2)
+    })),
+    user_facing: {
+      total: entryPoints.length,
+      down: entryPoints.filter(id => byId.get(id).status === ImpactStatus.DOWN),
+      degraded: entryPoints.filter(id => byId.get(id).status === ImpactStatus.DEGRADED)
+    },
+    summary: {
+      down: services.filter(s => s.status === ImpactStatus.DOWN).length,
+      degraded: services.filter(s => s.status === ImpactStatus.DEGRADED).length,
+      healthy: services.filter(s => s.status === ImpactStatus.HEALTHY).length
+    }
+  };
+}
+
+// Weighted so that saving a service from going down counts for more than
+// saving it from degrading
+function userImpact(result) {
+  return result.user_facing.down.length * 2 + result.user_facing.degraded.length;
+}
+
+/**
+ * Candidate settings for each call the failure crossed, each tried on its
+ * own. Keeps those that spare at least one user-facing service, best first.
+ */
+function suggestMitigations(graph, failures, options, result) {
+  const candidates = [];
+  for (const edge of result.edges) {
+    const service = graph.nodes.get(edge.from);
+    const current = { ...edgePolicy(service, edge.to), ...(options?.policyOverrides?.[`${edge.from}>${edge.to}`] || {}) };
+    if (edge.error_rate > 0 && !current.fallback) candidates.push({ edge, mitigation: Mitigations.FALLBACK });
+    if (edge.saturating) {
+      if (!current.bulkhead) candidates.push({ edge, mitigation: Mitigations.BULKHEAD });
+      if (!current.circuit_breaker) candidates.push({ edge, mitigation: Mitigations.CIRCUIT_BREAKER });
+    }
+  }
+
+  const before = userImpact(result);
+  return candidates
+    .map(({ edge, mitigation }) => {
+      const key = `${edge.from}>${edge.to}`;
+      const overrides = {
+        ...(options?.policyOverrides || {}),
+        [key]: { ...(options?.policyOverrides?.[key] || {}), [mitigation]: true }
+      };
+      const after = summarise(graph, failures, { ...options, policyOverrides: overrides });
+      const spared = [...result.user_facing.down, ...result.user_facing.degraded]
+        .filter(id => !after.user_facing.down.includes(id) && !after.user_facing.degraded.includes(id));
+      return {
+        from: edge.from,
+        to: edge.to,
+        mitigation,
+        benefit: before - userImpact(after),
+        spared,
+        user_facing_down_after: after.user_facing.down.length
+      };
+    })
+    .filter(suggestion => suggestion.benefit > 0)
+    .sort((a, b) => b.benefit - a.benefit || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+}
+
+/**
+ * Simulates `failures` ({ [serviceId]: { mode, error_rate?, latency_ms? } })
+ * across the project.
+ *
+ * `options` is { baseline?: { [id]: { error_rate, latency_ms } },
+ * userFacing?: [id], settings?: partial SIMULATION_DEFAULTS,
+ * policyOverrides?: { 'from>to': partial policy } }.
+ *
+ * Returns { services, edges, user_facing: { total, down, degraded },
+ * summary, suggestions } with error rates as 0..1 fractions.
+ */
+export function simulateFailure(services, failures, options) {
+  const graph = buildGraph(services);
+  const known = Object.create(null);
+  for (const id of Object.keys(failures || {})) {
+    if (graph.nodes.has(id) && Object.values(FailureModes).includes(failures[id]?.mode)) known[id] = failures[id];
+  }
+
+  const result = summarise(graph, known, options);
+  return { ...result, suggestions: suggestMitigations(graph, known, options, result) };
+}
+
+/**
+ * Takes each service down on its own and ranks them by the user-facing
+ * services that go down or degrade with them. Services whose failure
+ * reaches no user-facing service other than themselves are left out.
+ */
+export function rankSinglePointsOfFailure(services, options) {
+  const graph = buildGraph(services);
+  return [...graph.nodes.keys()]
+    .map(id => {
+      const result = summarise(graph, { [id]: { mode: FailureModes.DOWN } }, options);
+      const others = (ids) => ids.filter(other => other !== id);
+      return {
+        id,
+        name: graph.nodes.get(id).name,
+        user_facing_down: others(result.user_facing.down),
+        user_facing_degraded: others(result.user_facing.degraded),
+        services_down: result.summary.down
+      };
+    })
+    .filter(entry => entry.user_facing_down.length + entry.user_facing_degraded.length > 0)
+    .sort((a, b) => b.user_facing_down.length - a.user_facing_down.length
+      || b.user_facing_degraded.length - a.user_facing_degraded.length
+      || b.services_down - a.services_down
+      || String(a.name).localeCompare(String(b.name)));
+}
@@ -0,0 +1,285 @@
+/**
+ * Fake GitHub REST API
+ *
+ * Serves the subset of the GitHub API used by lib/github.js from in-memory
+ * repositories, for tests and for trying the connector locally. Branches,
+ * commits and pull requests created through it are kept in memory too:
+ *
+ *   deno run --allow-net --allow-env functions/lib/fixtures/fakeGitHub.ts
+ *
+ * then set GITHUB_API_URL=http://localhost:8789 for the githubConnector
+ * function and connect with the token `ghp_fake_token`.
+ */
+
+export const FAKE_TOKEN = 'ghp_fake_token';
+export const FAKE_INSTALLATION_TOKEN = 'ghs_fake_installation_token';
+
+// A small polyglot monorepo covering every manifest kind
+export const SHOP_REPOSITORY = {
+  full_name: 'acme/shop',
+  default_branch: 'main',
+  private: true,
+  description: 'Acme online shop',
+  language: 'TypeScript',
+  files: {
+    'README.md': '# Acme shop\n',
+    'package.json': JSON.stringify({ name: 'shop', private: true, workspaces: ['services/*', 'web'] }),
+    'services/orders/package.json': JSON.stringify({
+      name: '@acme/orders',
+      version: '1.4.0',
+      description: 'Order placement and history',
+      scripts: { start: 'node dist/index.js' },
+      dependencies: { express: '^4.19.0', pg: '^8.11.0', kafkajs: '^2.2.0' },
+      devDependencies: { typescript: '^5.4.0' }
+    }),
+    'services/orders/Dockerfile': 'FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nEXPOSE 3000\nCMD ["node", "dist/index.js"]\n',
+    'services/payments/go.mod': [
+      'module github.com/acme/shop/services/payments/v2',
+      '',
+      'go 1.22',
+      '',
+      'require (',
+      '\tgithub.com/gin-gonic/gin v1.9.1',
+      '\tgithub.com/jackc/pgx/v5 v5.5.5',
+      ')'
+    ].join('\n'),
+    'services/payments/Dockerfile': [
+      'FROM golang:1.22 AS build',
+      'WORKDIR /src',
+      'COPY . .',
+      'RUN go build -o /payments ./cmd/payments',
+      'FROM gcr.io/distroless/static-debian12',
+      'COPY --from=build /payments /payments',
+      'EXPOSE 8080 9090',
+      'ENTRYPOINT ["/payments"]'
+    ].join('\n'),
+    'services/inventory/pom.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<project>
+  <parent>
+    <groupId>org.springframework.boot</groupId>
+    <artifactId>spring-boot-starter-parent</artifactId>
+    <version>3.2.4</version>
+  </parent>
+  <groupId>com.acme</groupId>
+  <artifactId>inventory-service</artifactId>
+  <version>0.9.0</version>
+  <description>Stock levels and reservations</description>
+  <dependencies>
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter-web</artifactId>
+    </dependency>
+    <dependency>
+      <groupId>org.springframework.kafka</groupId>
+      <artifactId>spring-kafka</artifactId>
+    </dependency>
+  </dependencies>
+</project>
+`,
+    'services/inventory/Dockerfile': 'FROM eclipse-temurin:21-jre\nCOPY target/app.jar /app.jar\nEXPOSE 8081\n',
+    'web/package.json': JSON.stringify({
+      name: 'storefront',
+      scripts: { dev: 'vite' },
+      dependencies: { react: '^18.3.0', 'react-dom': '^18.3.0' }
+    }),
+    'gateway/Dockerfile': 'FROM envoyproxy/envoy:v1.29-latest\nCOPY envoy.yaml /etc/envoy/envoy.yaml\nEXPOSE 8000\n',
+    'deploy/helm/orders/Chart.yaml': 'apiVersion: v2\nname: orders\ndescription: Orders service\ntype: application\nversion: 0.3.0\nappVersion: "1.4.0"\n',
+    'deploy/helm/redis/Chart.yaml': 'apiVersion: v2\nname: redis\ndescription: Session cache\nversion: 1.0.0\nappVersion: "7.2"\n',
+    'deploy/helm/common/Chart.yaml': 'apiVersion: v2\nname: common\ntype: library\nversion: 0.1.0\n',
+    'node_modules/left-pad/package.json': JSON.stringify({ name: 'left-pad', version: '1.3.0' })
+  }
+};
+
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+function encodeBase64(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function buildTree(files) {
+  const entries = [];
+  const blobs = new Map();
+  const directories = new Set();
+  Object.entries(files).forEach(([path, content], index) => {
+    const sha = `blob${String(index).padStart(4, '0')}`;
+    blobs.set(sha, content);
+    entries.push({ path, type: 'blob', sha, size: new TextEncoder().encode(content).length });
+    const parts = path.split('/');
+    for (let depth = 1; depth < parts.length; depth++) directories.add(parts.slice(0, depth).join('/'));
+  });
+  for (const path of directories) entries.push({ path, type: 'tree', sha: `tree-${path}` });
+  entries.sort((a, b) => a.path.localeCompare(b.path));
+  return { entries, blobs };
+}
+
+function toRepo(repo) {
+  const [owner, name] = repo.full_name.split('/');
+  return {
+    full_name: repo.full_name,
+    name,
+    owner: { login: owner },
+    private: repo.private,
+    default_branch: repo.default_branch,
+    description: repo.description,
+    language: repo.language,
+    html_url: `https://github.com/${repo.full_name}`,
+    updated_at: '2026-01-01T00:00:00Z'
+  };
+}
+
+function base64UrlDecode(value) {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded + '='.repeat((4 - padded.length % 4) % 4)), c => c.charCodeAt(0));
+}
+
+/**
+ * Returns { handle, fetch, requests, pulls }. `handle` is a Deno.serve handler and
+ * `fetch` a drop-in for the client's fetchImpl. `app` enables GitHub App
+ * auth: { app_id, installation_id, public_key: CryptoKey, account }.
+ */
+export function createFakeGitHub({
+  token = FAKE_TOKEN,
+  login = 'octocat',
+  repositories = [SHOP_REPOSITORY],
+  app = null,
+  rateLimited = false
+} = {}) {
+  const repos = new Map(repositories.map(r => [r.full_name, {
+    ...r,
+    ...buildTree(r.files),
+    refs: new Map([[r.default_branch, 'c0ffee']])
+  }]));
+  const requests = [];
+  const pulls = [];
+  const commits = new Map([['c0ffee', { sha: 'c0ffee', tree: { sha: 'tree-root' }, parents: [] }]]);
+  const trees = new Map();
+  let counter = 0;
+
+  async function verifyJwt(jwt) {
+    if (!app) return false;
+    const [header, payload, signature] = jwt.split('.');
+    if (!signature) return false;
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      app.public_key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(`${header}.${payload}`)
+    );
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    return valid && claims.iss === String(app.app_id);
+  }
+
+  function repoRoute(path) {
+    const match = path.match(/^\/repos\/([^/]+)\/([^/]+)(\/.*)?$/);
+    if (!match) return null;
+    return { repo: repos.get(`${decodeURIComponent(match[1])}/${decodeURIComponent(match[2])}`), rest: match[3] || '' };
+  }
+
+  async function handle(request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const bearer = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/, '');
+    requests.push({ method: request.method, path: `${path}${url.search}` });
+
+    if (rateLimited) {
+      return json({ message: 'API rate limit exceeded' }, 403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1767225600' });
+    }
+
+    const installationPath = app && path.match(/^\/app\/installations\/([^/]+)(\/access_tokens)?$/);
+    if (installationPath) {
+      if (!await verifyJwt(bearer)) return json({ message: 'Bad credentials' }, 401);
+      if (installationPath[1] !== String(app.installation_id)) return json({ message: 'Not Found' }, 404);
+      if (installationPath[2] && request.method === 'POST') {
+        return json({ token: FAKE_INSTALLATION_TOKEN, expires_at: new Date(Date.now() + 3600000).toISOString() }, 201);
+      }
+      return json({ id: app.installation_id, account: { login: app.account || login } });
+    }
+
+    const isUser = bearer === token;
+    const isInstallation = Boolean(app) && bearer === FAKE_INSTALLATION_TOKEN;
+    if (!isUser && !isInstallation) return json({ message: 'Bad credentials' }, 401);
+
+    const page = Number(url.searchParams.get('page') || 1);
+    const perPage = Number(url.searchParams.get('per_page') || 30);
+    const listed = [...repos.values()].slice((page - 1) * perPage, page * perPage).map(toRepo);
+
+    if (path === '/user' && isUser) return json({ login });
+    if (path === '/user/repos' && isUser) return json(listed);
+    if (path === '/installation/repositories' && isInstallation) {
+      return json({ total_count: repos.size, repositories: listed });
+    }
+
+    const route = repoRoute(path);
+    if (route?.repo) {
+      const { repo, rest } = route;
+      const body = request.method === 'POST' ? await request.json() : null;
+      if (rest === '') return json(toRepo(repo));
+      const contents = rest.match(/^\/contents\/(.+)$/);
+      if (contents) {
+        const filePath = decodeURIComponent(contents[1]);
+        const ref = url.searchParams.get('ref');
+        if ((ref && ref !== repo.default_branch) || !(filePath in repo.files)) return json({ message: 'Not Found' }, 404);
+        const content = repo.files[filePath];
+        return json({ type: 'file', path: filePath, sha: `file-${filePath}`, size: content.length, encoding: 'base64', content: encodeBase64(content) });
+      }
+      const ref = rest.match(/^\/git\/ref\/heads\/(.+)$/);
+      if (ref) {
+        const sha = repo.refs.get(decodeURIComponent(ref[1]));
+        return sha ? json({ ref: `refs/heads/${decodeURIComponent(ref[1])}`, object: { sha, type: 'commit' } }) : json({ message: 'Not Found' }, 404);
+      }
+      const commit = rest.match(/^\/git\/commits\/(.+)$/);
+      if (commit && commits.has(commit[1])) return json(commits.get(commit[1]));
+      if (rest === '/git/trees' && body) {
+        const sha = `tree${++counter}`;
+        trees.set(sha, body);
+        return json({ sha }, 201);
+      }
+      if (rest === '/git/commits' && body) {
+        if (!trees.has(body.tree)) return json({ message: 'Tree not found' }, 422);
+        const sha = `commit${++counter}`;
+        commits.set(sha, { sha, message: body.message, tree: { sha: body.tree }, parents: body.parents });
+        return json({ sha }, 201);
+      }
+      if (rest === '/git/refs' && body) {
+        const branch = String(body.ref).replace(/^refs\/heads\//, '');
+        if (repo.refs.has(branch)) return json({ message: 'Reference already exists' }, 422);
+        repo.refs.set(branch, body.sha);
+        return json({ ref: body.ref, object: { sha: body.sha } }, 201);
+      }
+      if (rest === '/pulls' && body) {
+        const head = repo.refs.get(body.head);
+        if (!head) return json({ message: 'Validation Failed' }, 422);
+        const number = pulls.length + 1;
+        const { tree } = commits.get(head);
+        pulls.push({ number, repository: repo.full_name, ...body, files: trees.get(tree.sha)?.tree || [] });
+        return json({ number, html_url: `https://github.com/${repo.full_name}/pull/${number}` }, 201);
+      }
+      const tree = rest.match(/^\/git\/trees\/(.+)$/);
+      if (tree) {
+        if (decodeURIComponent(tree[1]) !== repo.default_branch) return json({ message: 'Not Found' }, 404);
+        return json({ sha: 'c0ffee', tree: repo.entries, truncated: false });
+      }
+      const blob = rest.match(/^\/git\/blobs\/(.+)$/);
+      if (blob && repo.blobs.has(blob[1])) {
+        return json({ sha: blob[1], encoding: 'base64', content: encodeBase64(repo.blobs.get(blob[1])) });
+      }
+    }
+    return json({ message: 'Not Found' }, 404);
+  }
+
+  return {
+    handle,
+    requests,
+    pulls,
+    fetch: (input, init) => handle(new Request(input, init))
+  };
+}
+
+if (import.meta.main) {
+  const port = Number(Deno.env.get('FAKE_GITHUB_PORT') || 8789);
+  Deno.serve({ port, hostname: '127.0.0.1' }, createFakeGitHub().handle);
+}
@@ -0,0 +1,245 @@
+/**
+ * Mock Jira REST v3 API
+ *
+ * Serves the subset of Jira Cloud used by lib/jira.js from in-memory
+ * projects, for tests and for trying the sync locally:
+ *
+ *   deno run --allow-net --allow-env functions/lib/fixtures/mockJira.ts
+ *
+ * then set JIRA_API_URL=http://localhost:8790 for the jiraConnector
+ * function and connect with `dev@example.com` / `mock_api_token`.
+ *
+ * JQL support is limited to what the sync issues: `project = KEY`,
+ * `key in (...)` and `updated >= -Nm`, joined with AND, plus ORDER BY.
+ */
+
+export const MOCK_EMAIL = 'dev@example.com';
+export const MOCK_API_TOKEN = 'mock_api_token';
+
+// A simplified workflow where every status can reach every other one
+export const MOCK_STATUSES = [
+  { id: '1', name: 'To Do', category: 'new' },
+  { id: '3', name: 'In Progress', category: 'indeterminate' },
+  { id: '4', name: 'In Review', category: 'indeterminate' },
+  { id: '5', name: 'Blocked', category: 'indeterminate' },
+  { id: '10', name: 'Done', category: 'done' }
+];
+
+export const MOCK_PRIORITIES = ['Lowest', 'Low', 'Medium', 'High', 'Highest'];
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function jiraErrors(status, ...errorMessages) {
+  return json({ errorMessages, errors: {} }, status);
+}
+
+// Jira timestamps look like 2026-01-01T12:00:00.000+0000
+function jiraTime(ms) {
+  return new Date(ms).toISOString().replace('Z', '+0000');
+}
+
+function adfText(text) {
+  return {
+    type: 'doc',
+    version: 1,
+    content: String(text).split(/\n\n/).map(p => ({ type: 'paragraph', content: [{ type: 'text', text: p }] }))
+  };
+}
+
+function parseJql(jql) {
+  const [where] = jql.split(/\s+ORDER\s+BY\s+/i);
+  const filters = [];
+  for (const clause of where.split(/\s+AND\s+/i).map(c => c.trim()).filter(Boolean)) {
+    let match;
+    if ((match = clause.match(/^project\s*=\s*"?([\w-]+)"?$/i))) {
+      const key = match[1];
+      filters.push(issue => issue.project === key);
+    } else if ((match = clause.match(/^key\s+in\s*\(([^)]*)\)$/i))) {
+      const keys = new Set(match[1].split(',').map(k => k.trim().replace(/^"|"$/g, '')));
+      filters.push(issue => keys.has(issue.key));
+    } else if ((match = clause.match(/^updated\s*>=\s*"?-(\d+)m"?$/i))) {
+      const minutes = Number(match[1]);
+      filters.push((issue, now) => issue.updated >= now - minutes * 60000);
+    } else {
+      return null;
+    }
+  }
+  return filters;
+}
+
+/**
+ * Returns { handle, fetch, requests, issues, edit, remove }. `edit` and
+ * `remove` simulate changes made by people working in Jira; `now` lets
+ * tests control the clock that stamps `updated`.
+ */
+export function createMockJira({
+  email = MOCK_EMAIL,
+  apiToken = MOCK_API_TOKEN,
+  projects = [{ key: 'ARCH', name: 'ArchDesigner' }],
+  now = () => Date.now()
+} = {}) {
+  const issues = new Map();
+  const requests = [];
+  const counters = new Map();
+  const expectedAuth = `Basic ${btoa(`${email}:${apiToken}`)}`;
+  let nextId = 10000;
+
+  const statusByName = (name) => MOCK_STATUSES.find(s => s.name.toLowerCase() === String(name).toLowerCase());
+
+  function toIssue(issue) {
+    const status = statusByName(issue.status);
+    return {
+      id: issue.id,
+      key: issue.key,
+      fields: {
+        summary: issue.summary,
+        description: issue.description,
+        status: { id: status.id, name: status.name, statusCategory: { key: status.category } },
+        priority: issue.priority ? { name: issue.priority } : null,
+        labels: issue.labels,
+        updated: jiraTime(issue.updated)
+      }
+    };
+  }
+
+  function applyFields(issue, fields) {
+    if (fields.summary !== undefined) {
+      if (!String(fields.summary).trim()) return 'You must specify a summary of the issue.';
+      issue.summary = fields.summary;
+    }
+    if (fields.description !== undefined) issue.description = fields.description;
+    if (fields.priority !== undefined) {
+      if (!MOCK_PRIORITIES.includes(fields.priority?.name)) return `The priority selected is invalid: ${fields.priority?.name}`;
+      issue.priority = fields.priority.name;
+    }
+    if (fields.labels !== undefined) issue.labels = fields.labels;
+    issue.updated = now();
+    return null;
+  }
+
+  function createIssue(fields) {
+    const project = projects.find(p => p.key === fields.project?.key);
+    if (!project) return { error: `Project ${fields.project?.key} does not exist` };
+    const count = (counters.get(project.key) || 0) + 1;
+    counters.set(project.key, count);
+    const issue = {
+      id: String(nextId++),
+      key: `${project.key}-${count}`,
+      project: project.key,
+      summary: '',
+      description: null,
+      status: 'To Do',
+      priority: 'Medium',
+      labels: [],
+      updated: now()
+    };
+    const error = applyFields(issue, fields);
+    if (error) return { error };
+    issues.set(issue.key, issue);
+    return { issue };
+  }
+
+  function search(body) {
+    const filters = parseJql(String(body.jql || ''));
+    if (!filters) return jiraErrors(400, `Unsupported JQL: ${body.jql}`);
+    const at = now();
+    const matched = [...issues.values()].filter(issue => filters.every(f => f(issue, at)));
+    const start = Number(body.nextPageToken || 0);
+    const pageSize = Math.min(Number(body.maxResults) || 50, 100);
+    const page = matched.slice(start, start + pageSize);
+    const isLast = start + pageSize >= matched.length;
+    return json({
+      issues: page.map(toIssue),
+      isLast,
+      ...(isLast ? {} : { nextPageToken: String(start + pageSize) })
+    });
+  }
+
+  async function handle(request) {
+    const url = new URL(request.url);
+    const path = url.pathname.replace(/^\/rest\/api\/3/, '');
+    requests.push({ method: request.method, path: `${path}${url.search}` });
+
+    if (request.headers.get('Authorization') !== expectedAuth) {
+      return jiraErrors(401, 'Client must be authenticated to access this resource.');
+    }
+    const body = request.method === 'GET' ? null : await request.json().catch(() => ({}));
+
+    if (path === '/myself') {
+      return json({ accountId: 'mock-account', emailAddress: email, displayName: 'Mock User' });
+    }
+    const project = path.match(/^\/project\/([^/]+)$/);
+    if (project) {
+      const found = projects.find(p => p.key === decodeURIComponent(project[1]));
+      return found ? json({ id: found.key, key: found.key, name: found.name }) : jiraErrors(404, 'No project could be found');
+    }
+    if (path === '/search/jql' && request.method === 'POST') return search(body);
+    if (path === '/issue' && request.method === 'POST') {
+      const { issue, error } = createIssue(body.fields || {});
+      return error ? jiraErrors(400, error) : json({ id: issue.id, key: issue.key, self: `${url.origin}/rest/api/3/issue/${issue.id}` }, 201);
+    }
+
+    const route = path.match(/^\/issue\/([^/]+)(\/transitions)?$/);
+    const issue = route && issues.get(decodeURIComponent(route[1]));
+    if (route && !issue) return jiraErrors(404, 'Issue does not exist or you do not have permission to see it.');
+    if (route && route[2]) {
+      if (request.method === 'GET') {
+        return json({
+          transitions: MOCK_STATUSES.filter(s => s.name !== issue.status).map(s => ({
+            id: `t${s.id}`,
+            name: s.name,
+            to: { id: s.id, name: s.name, statusCategory: { key: s.category } }
+          }))
+        });
+      }
+      const target = MOCK_STATUSES.find(s => `t${s.id}` === body.transition?.id && s.name !== issue.status);
+      if (!target) return jiraErrors(400, 'Transition is not valid for this issue.');
+      issue.status = target.name;
+      issue.updated = now();
+      return new Response(null, { status: 204 });
+    }
+    if (route && request.method === 'GET') return json(toIssue(issue));
+    if (route && request.method === 'PUT') {
+      const error = applyFields(issue, body.fields || {});
+      return error ? jiraErrors(400, error) : new Response(null, { status: 204 });
+    }
+    return jiraErrors(404, 'Not found');
+  }
+
+  return {
+    handle,
+    requests,
+    issues,
+    fetch: (input, init) => handle(new Request(input, init)),
+    /**
+     * Changes an issue as a Jira user would. `description` is plain text.
+     */
+    edit(key, { summary, description, status, priority }) {
+      const issue = issues.get(key);
+      if (summary !== undefined) issue.summary = summary;
+      if (description !== undefined) issue.description = adfText(description);
+      if (status !== undefined) issue.status = statusByName(status).name;
+      if (priority !== undefined) issue.priority = priority;
+      issue.updated = now();
+    },
+    create(projectKey, { summary, description, priority = 'Medium' }) {
+      const { issue } = createIssue({
+        project: { key: projectKey },
+        summary,
+        priority: { name: priority },
+        ...(description ? { description: adfText(description) } : {})
+      });
+      return issue.key;
+    },
+    remove(key) {
+      issues.delete(key);
+    }
+  };
+}
+
+if (import.meta.main) {
+  const port = Number(Deno.env.get('MOCK_JIRA_PORT') || 8790);
+  Deno.serve({ port, hostname: '127.0.0.1' }, createMockJira().handle);
+}
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for lib/github.js
+ *
+ * Test coverage for:
+ * - Token and GitHub App authentication against the fake GitHub API
+ * - Repository listing and scanning
+ * - File reads and pull requests from a new branch
+ * - Error mapping (bad credentials, rate limits, invalid names)
+ *
+ * Run with: deno test functions/lib/github.test.js
+ */
+
+import {
+  GitHubAuthTypes,
+  createGitHubClient,
+  scanRepository,
+  openPullRequest,
+  isValidBranchName,
+  pemToPkcs8
+} from './github.js';
+import { createFakeGitHub, FAKE_TOKEN } from './fixtures/fakeGitHub.js';
+
+const BASE_URL = 'https://github.fake';
+
+function toPem(der, label) {
+  let binary = '';
+  for (const byte of new Uint8Array(der)) binary += String.fromCharCode(byte);
+  const lines = btoa(binary).match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
+
+async function appKeys() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const pkcs8 = new Uint8Array(await crypto.subtle.exportKey('pkcs8', privateKey));
+  // A 2048-bit PKCS#8 key is a 26 byte header around the PKCS#1 key GitHub hands out
+  return { publicKey, pkcs8Pem: toPem(pkcs8, 'PRIVATE KEY'), pkcs1Pem: toPem(pkcs8.slice(26), 'RSA PRIVATE KEY'), pkcs8 };
+}
+
+async function expectError(promise, status, pattern) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.status !== status || !pattern.test(error.message)) {
+      throw new Error(`Unexpected error: ${error.status} ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+Deno.test('token auth - verify, list repositories and scan', async () => {
+  const fake = createFakeGitHub();
+  const client = createGitHubClient({ auth: { type: GitHubAuthTypes.TOKEN, token: FAKE_TOKEN }, baseUrl: BASE_URL, fetchImpl: fake.fetch });
+
+  const { account } = await client.verify();
+  const repos = await client.listRepositories();
+  if (account !== 'octocat' || repos.length !== 1 || repos[0].full_name !== 'acme/shop' || !repos[0].private) {
+    throw new Error(`Unexpected listing: ${account} ${JSON.stringify(repos)}`);
+  }
+
+  const scan = await scanRepository(client, 'acme/shop', { services: [{ id: 'svc-orders', name: 'Orders' }] });
+  if (scan.ref !== 'main' || scan.commit_sha !== 'c0ffee' || scan.proposals.length !== 6 || scan.manifests_scanned !== 12) {
+    throw new Error(`Unexpected scan: ${JSON.stringify({ ...scan, proposals: scan.proposals.length })}`);
+  }
+  const orders = scan.proposals.find(p => p.name === 'orders');
+  if (orders.existing_service_id !== 'svc-orders') {
+    throw new Error('Existing services should be matched');
+  }
+  if (fake.requests.some(r => r.path.includes('node_modules') || r.path.includes('README'))) {
+    throw new Error('Only manifests should be fetched');
+  }
+});
+
+Deno.test('app auth - installation token from a signed JWT', async () => {
+  const keys = await appKeys();
+  if (pemToPkcs8(keys.pkcs1Pem).join() !== keys.pkcs8.join()) {
+    throw new Error('PKCS#1 keys should be wrapped as PKCS#8');
+  }
+
+  const fake = createFakeGitHub({ app: { app_id: 42, installation_id: 7, public_key: keys.publicKey, account: 'acme' } });
+  const client = createGitHubClient({
+    auth: { type: GitHubAuthTypes.APP, app_id: 42, installation_id: 7, private_key: keys.pkcs1Pem },
+    baseUrl: BASE_URL,
+    fetchImpl: fake.fetch
+  });
+
+  const { account } = await client.verify();
+  const repos = await client.listRepositories();
+  if (account !== 'acme' || repos.length !== 1) {
+    throw new Error(`Unexpected app session: ${account} ${repos.length}`);
+  }
+  const tokenRequests = fake.requests.filter(r => r.path.endsWith('/access_tokens'));
+  if (tokenRequests.length !== 1) {
+    throw new Error(`Installation token should be reused: ${tokenRequests.length} requests`);
+  }
+
+  const wrongApp = createGitHubClient({
+    auth: { type: GitHubAuthTypes.APP, app_id: 99, installation_id: 7, private_key: keys.pkcs8Pem },
+    baseUrl: BASE_URL,
+    fetchImpl: fake.fetch
+  });
+  await expectError(wrongApp.verify(), 401, /rejected the credentials/);
+});
+
+Deno.test('errors - credentials, rate limits and names', async () => {
+  const badToken = createGitHubClient({ auth: { type: GitHubAuthTypes.TOKEN, token: 'nope' }, baseUrl: BASE_URL, fetchImpl: createFakeGitHub().fetch });
+  await expectError(badToken.verify(), 401, /rejected/);
+
+  const limited = createGitHubClient({
+    auth: { type: GitHubAuthTypes.TOKEN, token: FAKE_TOKEN },
+    baseUrl: BASE_URL,
+    fetchImpl: createFakeGitHub({ rateLimited: true }).fetch
+  });
+  const error = await expectError(limited.listRepositories(), 403, /rate limit exceeded until 2026-01-01/);
+  if (!error.retryable) {
+    throw new Error('Rate limits should be retryable');
+  }
+
+  const client = createGitHubClient({ auth: { type: GitHubAuthTypes.TOKEN, token: FAKE_TOKEN }, baseUrl: BASE_URL, fetchImpl: createFakeGitHub().fetch });
+  await expectError(client.getRepository('acme/missing'), 404, /not found/);
+  await expectError(client.getRepository('../etc'), 0, /Invalid repository name/);
+  await expectError(scanRepository(client, 'acme/shop', { ref: 'no-such-branch' }), 404, /not found/);
+});
+
+Deno.test('pull requests - read a file, commit a change on a branch', async () => {
+  const fake = createFakeGitHub();
+  const client = createGitHubClient({ auth: { type: GitHubAuthTypes.TOKEN, token: FAKE_TOKEN }, baseUrl: BASE_URL, fetchImpl: fake.fetch });
+
+  const file = await client.readFile('acme/shop', 'services/orders/Dockerfile', 'main');
+  if (!file.content.startsWith('FROM node:20-alpine')) {
+    throw new Error(`Unexpected file: ${JSON.stringify(file)}`);
+  }
+  await expectError(client.readFile('acme/shop', '../secrets', 'main'), 0, /Invalid file path/);
+
+  const updated = file.content.replace('EXPOSE 3000', 'EXPOSE 3001');
+  const pr = await openPullRequest(client, 'acme/shop', {
+    base: 'main',
+    branch: 'refactor/orders-port',
+    title: 'Move orders to port 3001',
+    files: [{ path: file.path, content: updated }]
+  });
+  const [pull] = fake.pulls;
+  if (pr.number !== 1 || pull.head !== 'refactor/orders-port' || pull.base !== 'main' || pull.files[0].content !== updated) {
+    throw new Error(`Unexpected pull request: ${JSON.stringify({ pr, pull })}`);
+  }
+
+  await expectError(openPullRequest(client, 'acme/shop', {
+    base: 'main',
+    branch: 'refactor/orders-port',
+    title: 'Again',
+    files: [{ path: file.path, content: updated }]
+  }), 422, /already exists/);
+  if (!isValidBranchName('refactor/a-1') || isValidBranchName('bad..name') || isValidBranchName('x.lock')) {
+    throw new Error('Branch name validation is off');
+  }
+});
@@ -0,0 +1,359 @@
+/**
+ * GitHub REST Client
+ * AXIS: Integration, Security
+ *
+ * Features:
+ * - Personal access token or GitHub App installation authentication
+ * - Repository listing, recursive tree walk and blob reads
+ * - Repository scan that proposes Service records (lib/serviceDetection.js)
+ * - File reads and branch + commit + pull request creation for patches
+ * - Errors carry the HTTP status and whether a retry could help
+ * - Configurable base URL for GitHub Enterprise and the local fake API
+ *   in lib/fixtures/fakeGitHub.js
+ */
+
+import { selectManifests, detectServices, matchExistingServices } from './serviceDetection.js';
+
+export const GITHUB_API_URL = 'https://api.github.com';
+
+export const GitHubAuthTypes = {
+  TOKEN: 'token',
+  APP: 'app'
+};
+
+const API_VERSION = '2022-11-28';
+const REQUEST_TIMEOUT_MS = 15000;
+const PAGE_SIZE = 100;
+export const MAX_REPOSITORY_PAGES = 5;
+const BLOB_CONCURRENCY = 8;
+export const MAX_FILE_BYTES = 1000000;
+
+// App JWTs may live 10 minutes; iat is backdated for clock drift
+const APP_JWT_TTL_SECONDS = 540;
+const APP_JWT_BACKDATE_SECONDS = 60;
+// Refresh installation tokens this long before GitHub expires them
+const INSTALLATION_TOKEN_MARGIN_MS = 60000;
+
+const REPOSITORY_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+// git check-ref-format, minus the rarely needed corners
+const BRANCH_PATTERN = /^(?!\/|.*(?:\.\.|\/\/|@\{|\.lock$|\/$|\.$))[\w./-]+$/;
+
+export function githubError(message, status = 0, retryable = false) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+export function isValidRepositoryName(fullName) {
+  return typeof fullName === 'string' && REPOSITORY_PATTERN.test(fullName) && !fullName.includes('..');
+}
+
+export function isValidBranchName(branch) {
+  return typeof branch === 'string' && branch.length <= 200 && BRANCH_PATTERN.test(branch);
+}
+
+export function isValidFilePath(path) {
+  return typeof path === 'string' && path.length > 0 && path.length <= 1000 &&
+    !path.startsWith('/') && !path.split('/').some(part => part === '' || part === '.' || part === '..');
+}
+
+// ============================================
+// GITHUB APP AUTHENTICATION
+// ============================================
+
+function base64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function derLength(length) {
+  if (length < 0x80) return [length];
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+  return [0x80 | bytes.length, ...bytes];
+}
+
+// GitHub issues PKCS#1 keys; WebCrypto only imports PKCS#8
+function pkcs1ToPkcs8(pkcs1) {
+  const algorithm = [0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00];
+  const body = [0x02, 0x01, 0x00, ...algorithm, 0x04, ...derLength(pkcs1.length), ...pkcs1];
+  return new Uint8Array([0x30, ...derLength(body.length), ...body]);
+}
+
+export function pemToPkcs8(pem) {
+  const match = String(pem).match(/-----BEGIN (RSA )?PRIVATE KEY-----([\s\S]+?)-----END (RSA )?PRIVATE KEY-----/);
+  if (!match) {
+    throw githubError('private_key must be a PEM encoded RSA private key');
+  }
+  const der = Uint8Array.from(atob(match[2].replace(/\s+/g, '')), c => c.charCodeAt(0));
+  return match[1] ? pkcs1ToPkcs8(der) : der;
+}
+
+/**
+ * Signs the RS256 JWT a GitHub App uses to request installation tokens.
+ */
+export async function createAppJwt({ app_id, private_key }, now = Date.now()) {
+  let key;
+  try {
+    key = await crypto.subtle.importKey(
+      'pkcs8',
+      pemToPkcs8(private_key),
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+  } catch (error) {
+    if (error.status !== undefined) throw error;
+    throw githubError('private_key is not a valid RSA private key');
+  }
+  const encoder = new TextEncoder();
+  const issuedAt = Math.floor(now / 1000) - APP_JWT_BACKDATE_SECONDS;
+  const header = base64Url(encoder.encode(JSON.stringify({ alg: 'RS256', typ: 'JWT' })));
+  const payload = base64Url(encoder.encode(JSON.stringify({
+    iat: issuedAt,
+    exp: issuedAt + APP_JWT_BACKDATE_SECONDS + APP_JWT_TTL_SECONDS,
+    iss: String(app_id)
+  })));
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, encoder.encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64Url(new Uint8Array(signature))}`;
+}
+
+// ============================================
+// CLIENT
+// ============================================
+
+function toRepository(repo) {
+  return {
+    full_name: repo.full_name,
+    name: repo.name,
+    owner: repo.owner?.login || repo.full_name.split('/')[0],
+    private: Boolean(repo.private),
+    default_branch: repo.default_branch || 'main',
+    description: repo.description || null,
+    language: repo.language || null,
+    html_url: repo.html_url || null,
+    updated_at: repo.updated_at || null
+  };
+}
+
+function decodeBase64(content) {
+  const binary = atob(String(content).replace(/\s+/g, ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+async function responseError(response) {
+  let message = '';
+  try {
+    message = (await response.json())?.message || '';
+  } catch {
+    // Non-JSON error bodies carry nothing useful
+  }
+  const limited = response.headers.get('x-ratelimit-remaining') === '0';
+  if (limited || response.status === 429) {
+    const reset = Number(response.headers.get('x-ratelimit-reset'));
+    const at = reset ? ` until ${new Date(reset * 1000).toISOString()}` : '';
+    return githubError(`GitHub rate limit exceeded${at}`, response.status, true);
+  }
+  if (response.status === 401) {
+    return githubError('GitHub rejected the credentials', 401, false);
+  }
+  if (response.status === 403 || response.status === 404) {
+    // GitHub answers 404 for private repositories the token cannot see
+    return githubError(`GitHub resource not found or not accessible${message ? `: ${message}` : ''}`, response.status, false);
+  }
+  return githubError(`GitHub responded with ${response.status}${message ? `: ${message}` : ''}`, response.status, response.status >= 500);
+}
+
+/**
+ * `auth` is { type: 'token', token } or
+ * { type: 'app', app_id, installation_id, private_key }.
+ */
+export function createGitHubClient({ auth, baseUrl = GITHUB_API_URL, fetchImpl = fetch, now = () => Date.now() }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  let installationToken = null;
+
+  async function send(path, { method = 'GET', bearer, body = undefined }) {
+    let response;
+    try {
+      response = await fetchImpl(`${root}${path}`, {
+        method,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          Authorization: `Bearer ${bearer}`,
+          'User-Agent': 'ArchDesigner',
+          'X-GitHub-Api-Version': API_VERSION,
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw githubError(`GitHub unreachable: ${error.message}`, 0, true);
+    }
+    if (!response.ok) throw await responseError(response);
+    return response.json();
+  }
+
+  async function bearerToken() {
+    if (auth.type === GitHubAuthTypes.TOKEN) return auth.token;
+    if (installationToken && installationToken.expiresAt - INSTALLATION_TOKEN_MARGIN_MS > now()) {
+      return installationToken.token;
+    }
+    const jwt = await createAppJwt(auth, now());
+    const issued = await send(`/app/installations/${encodeURIComponent(auth.installation_id)}/access_tokens`, { method: 'POST', bearer: jwt });
+    installationToken = { token: issued.token, expiresAt: Date.parse(issued.expires_at) || now() + 3600000 };
+    return installationToken.token;
+  }
+
+  async function get(path) {
+    return send(path, { bearer: await bearerToken() });
+  }
+
+  async function post(path, body) {
+    return send(path, { method: 'POST', bearer: await bearerToken(), body });
+  }
+
+  function repoPath(fullName) {
+    if (!isValidRepositoryName(fullName)) {
+      throw githubError(`Invalid repository name: ${fullName}`);
+    }
+    const [owner, repo] = fullName.split('/');
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  return {
+    /**
+     * Checks the credentials and returns the account they act for.
+     */
+    async verify() {
+      if (auth.type === GitHubAuthTypes.TOKEN) {
+        const user = await get('/user');
+        return { account: user.login };
+      }
+      const jwt = await createAppJwt(auth, now());
+      const installation = await send(`/app/installations/${encodeURIComponent(auth.installation_id)}`, { bearer: jwt });
+      await bearerToken();
+      return { account: installation.account?.login || null };
+    },
+
+    async listRepositories({ pages = MAX_REPOSITORY_PAGES } = {}) {
+      const repositories = [];
+      for (let page = 1; page <= pages; page++) {
+        const batch = auth.type === GitHubAuthTypes.TOKEN
+          ? await get(`/user/repos?per_page=${PAGE_SIZE}&page=${page}&sort=updated`)
+          : (await get(`/installation/repositories?per_page=${PAGE_SIZE}&page=${page}`)).repositories;
+        repositories.push(...batch.map(toRepository));
+        if (batch.length < PAGE_SIZE) break;
+      }
+      return repositories;
+    },
+
+    async getRepository(fullName) {
+      return toRepository(await get(repoPath(fullName)));
+    },
+
+    async getTree(fullName, ref) {
+      const tree = await get(`${repoPath(fullName)}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+      return {
+        sha: tree.sha,
+        truncated: Boolean(tree.truncated),
+        entries: (tree.tree || []).map(e => ({ path: e.path, type: e.type, sha: e.sha, size: e.size || 0 }))
+      };
+    },
+
+    async readBlob(fullName, sha) {
+      const blob = await get(`${repoPath(fullName)}/git/blobs/${encodeURIComponent(sha)}`);
+      return blob.encoding === 'base64' ? decodeBase64(blob.content) : String(blob.content ?? '');
+    },
+
+    async readFile(fullName, path, ref) {
+      if (!isValidFilePath(path)) {
+        throw githubError(`Invalid file path: ${path}`);
+      }
+      const encoded = path.split('/').map(encodeURIComponent).join('/');
+      const file = await get(`${repoPath(fullName)}/contents/${encoded}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`);
+      if (Array.isArray(file) || file.type !== 'file') {
+        throw githubError(`${path} is not a file`, 404);
+      }
+      if (file.size > MAX_FILE_BYTES) {
+        throw githubError(`${path} is larger than ${MAX_FILE_BYTES} bytes`, 413);
+      }
+      return { path: file.path, sha: file.sha, content: decodeBase64(file.content) };
+    },
+
+    async getBranchSha(fullName, branch) {
+      const ref = await get(`${repoPath(fullName)}/git/ref/heads/${branch.split('/').map(encodeURIComponent).join('/')}`);
+      return ref.object.sha;
+    },
+
+    async getCommit(fullName, sha) {
+      return get(`${repoPath(fullName)}/git/commits/${encodeURIComponent(sha)}`);
+    },
+
+    createTree: (fullName, body) => post(`${repoPath(fullName)}/git/trees`, body),
+
+    createCommit: (fullName, body) => post(`${repoPath(fullName)}/git/commits`, body),
+
+    createRef: (fullName, body) => post(`${repoPath(fullName)}/git/refs`, body),
+
+    createPullRequest: (fullName, body) => post(`${repoPath(fullName)}/pulls`, body)
+  };
+}
+
+// ============================================
+// REPOSITORY SCAN
+// ============================================
+
+/**
+ * Walks one branch of a repository, reads its build manifests and proposes
+ * Service records. Existing `services` with the same name are flagged on
+ * the proposal rather than duplicated.
+ */
+export async function scanRepository(client, fullName, { ref = null, services = [] } = {}) {
+  const repository = await client.getRepository(fullName);
+  const branch = ref || repository.default_branch;
+  const tree = await client.getTree(fullName, branch);
+  const { manifests, skipped } = selectManifests(tree.entries);
+
+  const files = [];
+  for (let i = 0; i < manifests.length; i += BLOB_CONCURRENCY) {
+    const batch = manifests.slice(i, i + BLOB_CONCURRENCY);
+    files.push(...await Promise.all(batch.map(async m => ({ ...m, content: await client.readBlob(fullName, m.sha) }))));
+  }
+
+  const { proposals, errors } = detectServices(files, { repositoryName: repository.name });
+  return {
+    repository,
+    ref: branch,
+    commit_sha: tree.sha,
+    // GitHub stops listing very large trees; services past the cut are missed
+    truncated: tree.truncated,
+    manifests_scanned: files.length,
+    manifests_skipped: skipped,
+    proposals: matchExistingServices(proposals, services),
+    errors
+  };
+}
+
+// ============================================
+// PULL REQUESTS
+// ============================================
+
+/**
+ * Commits `files` ([{ path, content }]) on a new `branch` cut from `base`
+ * and opens a pull request. GitHub refuses with 422 when the branch exists.
+ */
+export async function openPullRequest(client, fullName, { base, branch, title, body = '', files }) {
+  const baseSha = await client.getBranchSha(fullName, base);
+  const baseCommit = await client.getCommit(fullName, baseSha);
+  const tree = await client.createTree(fullName, {
+    base_tree: baseCommit.tree.sha,
+    tree: files.map(f => ({ path: f.path, mode: '100644', type: 'blob', content: f.content }))
+  });
+  const commit = await client.createCommit(fullName, { message: title, tree: tree.sha, parents: [baseSha] });
+  await client.createRef(fullName, { ref: `refs/heads/${branch}`, sha: commit.sha });
+  const pull = await client.createPullRequest(fullName, { title, head: branch, base, body });
+  return { branch, commit_sha: commit.sha, number: pull.number, html_url: pull.html_url };
+}
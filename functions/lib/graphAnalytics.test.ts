@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for lib/graphAnalytics.js
+ *
+ * Test coverage for:
+ * - Components, cycles and deploy waves
+ * - Critical path, unweighted and weighted
+ * - Betweenness centrality and blast radius
+ * - What-if removal
+ * - The combined report and its hotspots
+ *
+ * Run with: deno test functions/lib/graphAnalytics.test.js
+ */
+
+import {
+  buildGraph,
+  stronglyConnectedComponents,
+  findCycles,
+  deployOrder,
+  criticalPath,
+  betweenness,
+  blastRadius,
+  simulateRemoval,
+  analyzeGraph
+} from './graphAnalytics.js';
+
+// web -> api -> orders -> db, api -> auth -> db, billing <-> invoices
+const SERVICES = [
+  { id: 'web', name: 'Web', depends_on: ['api'] },
+  { id: 'api', name: 'API', depends_on: ['orders', 'auth'] },
+  { id: 'orders', name: 'Orders', depends_on: ['db'] },
+  { id: 'auth', name: 'Auth', depends_on: ['db'] },
+  { id: 'db', name: 'DB', depends_on: [] },
+  { id: 'billing', name: 'Billing', depends_on: ['invoices', 'gone'] },
+  { id: 'invoices', name: 'Invoices', depends_on: ['billing'] },
+  { id: 'docs', name: 'Docs', depends_on: [] }
+];
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+Deno.test('stronglyConnectedComponents - dependencies first, cycles found', () => {
+  const graph = buildGraph(SERVICES);
+  const components = stronglyConnectedComponents(graph);
+  if (components.length !== 7) throw new Error(`Expected 7 components, got ${components.length}`);
+  const position = (id) => components.findIndex(c => c.includes(id));
+  if (!(position('db') < position('orders') && position('orders') < position('api') && position('api') < position('web'))) {
+    throw new Error('Components should come after their dependencies');
+  }
+  assertEquals(findCycles(graph).map(c => [...c].sort()), [['billing', 'invoices']], 'cycles');
+  assertEquals(graph.unknown, [{ from: 'billing', to: 'gone' }], 'unknown edges');
+});
+
+Deno.test('deployOrder - waves respect dependencies', () => {
+  const { waves, cyclic } = deployOrder(buildGraph(SERVICES));
+  assertEquals(waves, [['billing', 'db', 'docs', 'invoices'], ['auth', 'orders'], ['api'], ['web']], 'waves');
+  assertEquals([...cyclic].sort(), ['billing', 'invoices'], 'cyclic');
+});
+
+Deno.test('criticalPath - longest chain, weights change the winner', () => {
+  const graph = buildGraph(SERVICES);
+  const plain = criticalPath(graph);
+  if (plain.length !== 4 || plain.path[0] !== 'web' || plain.path[3] !== 'db') {
+    throw new Error(`Unexpected path: ${plain.length} ${plain.path}`);
+  }
+  if (plain.chainLengths.get('api') !== 3 || plain.chainLengths.get('docs') !== 1) throw new Error('Bad chain lengths');
+
+  const weighted = criticalPath(graph, { orders: 50, auth: 5, api: 10 });
+  assertEquals(weighted.path, ['web', 'api', 'orders', 'db'], 'weighted path');
+  if (weighted.length !== 62) throw new Error(`Expected weighted length 62, got ${weighted.length}`);
+});
+
+Deno.test('betweenness and blastRadius - chokepoints and dependents', () => {
+  const graph = buildGraph(SERVICES);
+  const scores = betweenness(graph);
+  const top = [...scores.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  if (top !== 'api') throw new Error(`API should be the most central, got ${top}`);
+  if (scores.get('web') !== 0 || scores.get('db') !== 0) throw new Error('Sources and sinks lie on no paths');
+
+  assertEquals(blastRadius(graph, 'db'), [
+    { id: 'auth', distance: 1 },
+    { id: 'orders', distance: 1 },
+    { id: 'api', distance: 2 },
+    { id: 'web', distance: 3 }
+  ], 'blast radius of db');
+  assertEquals(blastRadius(graph, 'billing'), [{ id: 'invoices', distance: 1 }], 'blast radius inside a cycle');
+  assertEquals(blastRadius(graph, 'missing'), [], 'unknown service');
+});
+
+Deno.test('simulateRemoval - affected services and structural changes', () => {
+  const graph = buildGraph(SERVICES);
+  const api = simulateRemoval(graph, 'api');
+  assertEquals(api.broken_edges, [{ from: 'web', to: 'api' }], 'broken edges');
+  assertEquals(api.orphaned, ['web'], 'orphaned');
+  assertEquals(api.critical_path.before, 4, 'path before');
+  assertEquals(api.critical_path.after.length, 2, 'path after');
+
+  const invoices = simulateRemoval(graph, 'invoices');
+  assertEquals(invoices.cycles, { before: 1, after: 0 }, 'cycle broken');
+  if (simulateRemoval(graph, 'missing') !== null) throw new Error('Unknown services cannot be removed');
+});
+
+Deno.test('analyzeGraph - report, hotspots and orphans', () => {
+  const report = analyzeGraph(SERVICES);
+  assertEquals(report.orphans, ['docs'], 'orphans');
+  assertEquals(report.hotspots.map(h => [h.node_id, h.risk_level]), [['db', 'high'], ['auth', 'medium'], ['orders', 'medium']], 'hotspots');
+  assertEquals(report.metrics.total_edges, 7, 'edges');
+  assertEquals(report.metrics.max_blast_radius, 4, 'max blast radius');
+  assertEquals(report.metrics.deploy_waves, 4, 'waves');
+  const empty = analyzeGraph([]);
+  if (empty.metrics.complexity_score !== 0 || empty.critical_path.path.length !== 0) throw new Error('Empty graph');
+});
@@ -0,0 +1,406 @@
+/**
+ * Dependency Graph Analytics
+ * AXIS: Architecture, Resilience
+ *
+ * Graph algorithms over Service.depends_on, where an edge A -> B means A
+ * depends on B:
+ * - Strongly connected components and cycles (Tarjan)
+ * - Deploy order: waves of services whose dependencies are already out
+ * - Critical path: the longest dependency chain, optionally weighted
+ * - Betweenness centrality (Brandes)
+ * - Blast radius: every service that transitively depends on one
+ * - What-if removal of a service
+ *
+ * Pure and deterministic; shared by the architecture linter, the health
+ * check and the browser (DependencyVisualizer).
+ */
+
+// Share of the other services in a blast radius, or betweenness, that makes
+// a service a hotspot
+export const HOTSPOT_THRESHOLDS = {
+  high: { blast_share: 0.5, betweenness: 0.25 },
+  medium: { blast_share: 0.25, betweenness: 0.1 }
+};
+
+function byName(a, b) {
+  return String(a.name).localeCompare(String(b.name)) || String(a.id).localeCompare(String(b.id));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Indexes services by ID with their outgoing and incoming edges. Edges to
+ * unknown IDs are kept separately so rules can report them.
+ */
+export function buildGraph(services) {
+  const sorted = [...services].sort(byName);
+  const nodes = new Map(sorted.map(s => [s.id, s]));
+  const outgoing = new Map(sorted.map(s => [s.id, []]));
+  const incoming = new Map(sorted.map(s => [s.id, []]));
+  const unknown = [];
+
+  for (const service of sorted) {
+    for (const target of [...new Set(service.depends_on || [])]) {
+      if (!nodes.has(target)) {
+        unknown.push({ from: service.id, to: target });
+        continue;
+      }
+      outgoing.get(service.id).push(target);
+      incoming.get(target).push(service.id);
+    }
+  }
+
+  return { nodes, outgoing, incoming, unknown };
+}
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+/**
+ * Tarjan's algorithm. Every service is in exactly one component, and a
+ * component comes after all the components it depends on.
+ */
+export function stronglyConnectedComponents(graph) {
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const visit = (id) => {
+    indices.set(id, index);
+    lowLinks.set(id, index);
+    index++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of graph.outgoing.get(id)) {
+      if (!indices.has(next)) {
+        visit(next);
+        lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(next)));
+      }
+    }
+
+    if (lowLinks.get(id) === indices.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  };
+
+  for (const id of graph.nodes.keys()) {
+    if (!indices.has(id)) visit(id);
+  }
+  return components;
+}
+
+function isCycle(graph, component) {
+  return component.length > 1 || graph.outgoing.get(component[0]).includes(component[0]);
+}
+
+/**
+ * Strongly connected components that form a cycle (more than one service,
+ * or a service depending on itself).
+ */
+export function findCycles(graph) {
+  return stronglyConnectedComponents(graph).filter(component => isCycle(graph, component));
+}
+
+/**
+ * Collapses each component to one node so the rest of the analysis works
+ * on a DAG. Components keep Tarjan's dependencies-first order.
+ */
+function condense(graph) {
+  const order = [...graph.nodes.keys()];
+  const position = new Map(order.map((id, i) => [id, i]));
+  const components = stronglyConnectedComponents(graph)
+    .map(members => [...members].sort((a, b) => position.get(a) - position.get(b)));
+  const componentOf = new Map();
+  components.forEach((members, c) => members.forEach(id => componentOf.set(id, c)));
+
+  const dependencies = components.map((members, c) => {
+    const targets = [];
+    for (const id of members) {
+      for (const next of graph.outgoing.get(id)) {
+        const target = componentOf.get(next);
+        if (target !== c && !targets.includes(target)) targets.push(target);
+      }
+    }
+    return targets.sort((a, b) => position.get(components[a][0]) - position.get(components[b][0]));
+  });
+
+  return { components, componentOf, dependencies, position };
+}
+
+// ============================================
+// ORDERING
+// ============================================
+
+/**
+ * Groups services into deploy waves: a wave only depends on earlier waves.
+ * Services in a cycle land in the same wave and are listed in `cyclic`,
+ * since none of them can go out before the others.
+ */
+export function deployOrder(graph) {
+  const { components, dependencies, position } = condense(graph);
+  const level = [];
+  const waves = [];
+
+  components.forEach((members, c) => {
+    level[c] = dependencies[c].reduce((max, d) => Math.max(max, level[d] + 1), 0);
+    waves[level[c]] = [...(waves[level[c]] || []), ...members];
+  });
+  for (const wave of waves) wave.sort((a, b) => position.get(a) - position.get(b));
+
+  return {
+    waves,
+    order: waves.flat(),
+    cyclic: components.filter(members => isCycle(graph, members)).flat()
+  };
+}
+
+/**
+ * Longest dependency chain. `weights` maps service IDs to a cost such as
+ * p95 latency; services default to 1, so the unweighted length is the
+ * number of services. A cycle on the chain counts all of its members.
+ *
+ * Returns { length, path, chainLengths } where `path` runs from the
+ * outermost dependent down to the deepest dependency and `chainLengths`
+ * maps each service to the longest chain starting at it.
+ */
+export function criticalPath(graph, weights) {
+  const { components, componentOf, dependencies } = condense(graph);
+  const weight = (id) => (Number.isFinite(weights?.[id]) ? weights[id] : 1);
+  const longest = [];
+  const next = [];
+
+  // Dependencies come first, so their chains are already known
+  components.forEach((members, c) => {
+    let best = -1;
+    for (const d of dependencies[c]) {
+      if (best === -1 || longest[d] > longest[best]) best = d;
+    }
+    next[c] = best;
+    longest[c] = members.reduce((sum, id) => sum + weight(id), 0) + (best === -1 ? 0 : longest[best]);
+  });
+
+  const chainLengths = new Map();
+  components.forEach((members, c) => members.forEach(id => chainLengths.set(id, longest[c])));
+
+  let start = -1;
+  for (const id of graph.nodes.keys()) {
+    const c = componentOf.get(id);
+    if (start === -1 || longest[c] > longest[start]) start = c;
+  }
+
+  const path = [];
+  for (let c = start; c !== -1; c = next[c]) path.push(...components[c]);
+  return { length: start === -1 ? 0 : longest[start], path, chainLengths };
+}
+
+// ============================================
+// CENTRALITY AND IMPACT
+// ============================================
+
+/**
+ * Brandes' betweenness centrality on the directed, unweighted graph,
+ * normalised to 0..1 by (n - 1)(n - 2). High values mark services that
+ * many dependency chains pass through.
+ */
+export function betweenness(graph) {
+  const ids = [...graph.nodes.keys()];
+  const scores = new Map(ids.map(id => [id, 0]));
+
+  for (const source of ids) {
+    const stack = [];
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const paths = new Map(ids.map(id => [id, 0]));
+    const distance = new Map(ids.map(id => [id, -1]));
+    paths.set(source, 1);
+    distance.set(source, 0);
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of graph.outgoing.get(v)) {
+        if (distance.get(w) < 0) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          paths.set(w, paths.get(w) + paths.get(v));
+          predecessors.get(w).push(v);
+        }
+      }
+    }
+
+    const dependency = new Map(ids.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      for (const v of predecessors.get(w)) {
+        dependency.set(v, dependency.get(v) + (paths.get(v) / paths.get(w)) * (1 + dependency.get(w)));
+      }
+      if (w !== source) scores.set(w, scores.get(w) + dependency.get(w));
+    }
+  }
+
+  const scale = ids.length > 2 ? 1 / ((ids.length - 1) * (ids.length - 2)) : 0;
+  for (const id of ids) scores.set(id, round(scores.get(id) * scale, 4));
+  return scores;
+}
+
+/**
+ * Every service that depends on `id`, directly or transitively, with its
+ * distance in hops. Nearest first.
+ */
+export function blastRadius(graph, id) {
+  if (!graph.nodes.has(id)) return [];
+  const distance = new Map([[id, 0]]);
+  const queue = [id];
+  for (let head = 0; head < queue.length; head++) {
+    for (const dependent of graph.incoming.get(queue[head])) {
+      if (!distance.has(dependent)) {
+        distance.set(dependent, distance.get(queue[head]) + 1);
+        queue.push(dependent);
+      }
+    }
+  }
+
+  const position = new Map([...graph.nodes.keys()].map((other, i) => [other, i]));
+  return queue
+    .filter(other => other !== id)
+    .map(other => ({ id: other, distance: distance.get(other) }))
+    .sort((a, b) => a.distance - b.distance || position.get(a.id) - position.get(b.id));
+}
+
+function withoutNode(graph, id) {
+  const keep = (other) => other !== id;
+  const nodes = new Map([...graph.nodes].filter(([other]) => keep(other)));
+  const outgoing = new Map([...nodes.keys()].map(other => [other, graph.outgoing.get(other).filter(keep)]));
+  const incoming = new Map([...nodes.keys()].map(other => [other, graph.incoming.get(other).filter(keep)]));
+  return { nodes, outgoing, incoming, unknown: graph.unknown.filter(edge => edge.from !== id) };
+}
+
+/**
+ * What happens if `id` is removed: the dependents that lose a dependency,
+ * everything downstream of them, services left without any connection,
+ * and how cycles, deploy waves and the critical path change.
+ */
+export function simulateRemoval(graph, id, weights) {
+  if (!graph.nodes.has(id)) return null;
+  const after = withoutNode(graph, id);
+  const criticalAfter = criticalPath(after, weights);
+  const connected = (g, other) => g.outgoing.get(other).length + g.incoming.get(other).length > 0;
+
+  return {
+    removed: id,
+    affected: blastRadius(graph, id),
+    broken_edges: graph.incoming.get(id).map(from => ({ from, to: id })),
+    orphaned: [...after.nodes.keys()].filter(other => connected(graph, other) && !connected(after, other)),
+    cycles: { before: findCycles(graph).length, after: findCycles(after).length },
+    deploy_waves: { before: deployOrder(graph).waves.length, after: deployOrder(after).waves.length },
+    critical_path: {
+      before: criticalPath(graph, weights).length,
+      after: { length: criticalAfter.length, path: criticalAfter.path }
+    }
+  };
+}
+
+// ============================================
+// REPORT
+// ============================================
+
+function hotspotLevel(blastShare, centrality) {
+  for (const level of ['high', 'medium']) {
+    const threshold = HOTSPOT_THRESHOLDS[level];
+    if (blastShare >= threshold.blast_share || centrality >= threshold.betweenness) return level;
+  }
+  return null;
+}
+
+/**
+ * Full analysis of a project's services for the dependency view, the
+ * validator and the health check. `options.weights` is passed to
+ * criticalPath.
+ */
+export function analyzeGraph(services, options) {
+  const graph = buildGraph(services);
+  const ids = [...graph.nodes.keys()];
+  const centrality = betweenness(graph);
+  const critical = criticalPath(graph, options?.weights);
+  const cycles = findCycles(graph);
+  const deploy = deployOrder(graph);
+
+  const nodes = ids.map(id => {
+    const service = graph.nodes.get(id);
+    const inDegree = graph.incoming.get(id).length;
+    const outDegree = graph.outgoing.get(id).length;
+    return {
+      id,
+      name: service.name,
+      category: service.category,
+      in_degree: inDegree,
+      out_degree: outDegree,
+      degree: inDegree + outDegree,
+      betweenness: centrality.get(id),
+      blast_radius: blastRadius(graph, id).length,
+      chain_length: critical.chainLengths.get(id)
+    };
+  });
+  const edges = ids.flatMap(from => graph.outgoing.get(from).map(to => ({ from, to })));
+
+  // Too few services for shares and centrality to mean anything
+  const hotspots = ids.length < 3 ? [] : nodes
+    .map(node => ({
+      node_id: node.id,
+      degree: node.degree,
+      blast_radius: node.blast_radius,
+      betweenness: node.betweenness,
+      risk_level: hotspotLevel(node.blast_radius / (ids.length - 1), node.betweenness)
+    }))
+    .filter(hotspot => hotspot.risk_level)
+    .sort((a, b) => (a.risk_level === b.risk_level ? 0 : a.risk_level === 'high' ? -1 : 1)
+      || b.blast_radius - a.blast_radius
+      || b.betweenness - a.betweenness);
+
+  const orphans = nodes.filter(node => node.degree === 0).map(node => node.id);
+  const avgDegree = ids.length > 0 ? (2 * edges.length) / ids.length : 0;
+
+  return {
+    nodes,
+    edges,
+    unknown: graph.unknown,
+    orphans,
+    cycles,
+    hotspots,
+    deploy_order: { waves: deploy.waves, cyclic: deploy.cyclic },
+    critical_path: { length: critical.length, path: critical.path },
+    metrics: {
+      total_nodes: ids.length,
+      total_edges: edges.length,
+      components: stronglyConnectedComponents(graph).length,
+      max_degree: Math.max(0, ...nodes.map(node => node.degree)),
+      avg_degree: round(avgDegree, 2),
+      density: ids.length > 1 ? round(edges.length / (ids.length * (ids.length - 1)), 4) : 0,
+      max_blast_radius: Math.max(0, ...nodes.map(node => node.blast_radius)),
+      critical_path_length: critical.length,
+      deploy_waves: deploy.waves.length,
+      complexity_score: ids.length > 0
+        ? Math.round((edges.length / ids.length) * 10 + hotspots.length * 5 + cycles.length * 10)
+        : 0
+    }
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for lib/ingestTokens.js
+ *
+ * Test coverage for:
+ * - Token creation, hashing and verification
+ * - Reading the token from request headers
+ *
+ * Run with: deno test functions/lib/ingestTokens.test.js
+ */
+
+import {
+  INGEST_TOKEN_HEADER,
+  createIngestToken,
+  hashIngestToken,
+  verifyIngestToken,
+  readIngestToken,
+  tokenHint
+} from './ingestTokens.js';
+
+Deno.test('ingest tokens - only the matching token verifies against its hash', async () => {
+  const token = createIngestToken();
+  const other = createIngestToken();
+  if (token === other || !/^adt_[0-9a-f]{48}$/.test(token)) {
+    throw new Error(`Tokens should be random and prefixed: ${token}`);
+  }
+
+  const hash = await hashIngestToken(token);
+  if (hash.includes(token) || hash.length !== 64) throw new Error('Only a SHA-256 hex digest is stored');
+  if (!await verifyIngestToken(token, hash)) throw new Error('The issued token should verify');
+
+  const rejected = [other, token.slice(0, -1), hash, '', null, undefined];
+  for (const candidate of rejected) {
+    if (await verifyIngestToken(candidate, hash)) throw new Error(`Expected ${candidate} to be rejected`);
+  }
+  if (await verifyIngestToken(token, undefined)) throw new Error('A project without a token rejects everything');
+});
+
+Deno.test('readIngestToken and tokenHint', () => {
+  const token = createIngestToken();
+  if (readIngestToken(new Headers({ [INGEST_TOKEN_HEADER]: ` ${token} ` })) !== token) {
+    throw new Error('Token should be read from X-Ingest-Token');
+  }
+  if (readIngestToken(new Headers({ Authorization: `Bearer ${token}` })) !== null) {
+    throw new Error('The Authorization header carries user sessions, not ingest tokens');
+  }
+  if (tokenHint(token) !== `adt_…${token.slice(-4)}`) throw new Error(`Unexpected hint: ${tokenHint(token)}`);
+});
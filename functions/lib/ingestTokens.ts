@@ -0,0 +1,53 @@
+/**
+ * Telemetry Ingest Tokens
+ * AXIS: Security, Observability
+ *
+ * Per-project tokens that let an OpenTelemetry exporter or collector push
+ * to ingestTelemetry without a user session:
+ * - Random tokens, shown once; only their SHA-256 hash is stored
+ * - Sent in the X-Ingest-Token header, e.g.
+ *   OTEL_EXPORTER_OTLP_HEADERS=x-ingest-token=<token>
+ * - Compared in constant time
+ */
+
+export const INGEST_TOKEN_HEADER = 'x-ingest-token';
+
+// Recognisable in logs and secret scanners
+const TOKEN_PREFIX = 'adt_';
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function createIngestToken() {
+  return `${TOKEN_PREFIX}${toHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+}
+
+export async function hashIngestToken(token) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+}
+
+// Constant time so token checks leak nothing through timing
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/** Whether `token` hashes to the stored `tokenHash`. */
+export async function verifyIngestToken(token, tokenHash) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX) || typeof tokenHash !== 'string') return false;
+  return safeEqual(await hashIngestToken(token), tokenHash);
+}
+
+/** The ingest token from request headers, or null. */
+export function readIngestToken(headers) {
+  const token = headers.get(INGEST_TOKEN_HEADER)?.trim();
+  return token || null;
+}
+
+/** Last characters of a token, for the UI to tell tokens apart. */
+export function tokenHint(token) {
+  return `${TOKEN_PREFIX}…${token.slice(-4)}`;
+}
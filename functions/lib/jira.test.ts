@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for lib/jira.js
+ *
+ * Test coverage for:
+ * - Plain text <-> Atlassian Document Format
+ * - Issue create, update, transition and paged JQL search
+ * - Error status and retryability
+ *
+ * Run with: deno test functions/lib/jira.test.js
+ */
+
+import { JiraAuthTypes, createJiraClient, toAdf, fromAdf } from './jira.js';
+import { createMockJira, MOCK_EMAIL, MOCK_API_TOKEN } from './fixtures/mockJira.js';
+
+function client(mock, auth = { type: JiraAuthTypes.BASIC, email: MOCK_EMAIL, api_token: MOCK_API_TOKEN }) {
+  return createJiraClient({ baseUrl: 'https://acme.atlassian.net/', auth, fetchImpl: mock.fetch });
+}
+
+Deno.test('toAdf/fromAdf - paragraphs and line breaks survive a round trip', () => {
+  const text = 'First line\nsecond line\n\nNext paragraph';
+  const doc = toAdf(`${text}\r\n\r\n\r\n`);
+  if (doc.content.length !== 2 || doc.content[0].content[1].type !== 'hardBreak') {
+    throw new Error(`Unexpected ADF: ${JSON.stringify(doc)}`);
+  }
+  if (fromAdf(doc) !== text) throw new Error(`Round trip changed the text: ${fromAdf(doc)}`);
+
+  const rich = {
+    type: 'doc',
+    content: [
+      { type: 'heading', content: [{ type: 'text', text: 'Plan' }] },
+      { type: 'bulletList', content: [
+        { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'one' }] }] },
+        { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'two' }] }] }
+      ] }
+    ]
+  };
+  if (fromAdf(rich) !== 'Plan\n\n- one\n- two' || fromAdf(null) !== '') {
+    throw new Error(`Unexpected flattening: ${fromAdf(rich)}`);
+  }
+});
+
+Deno.test('createJiraClient - issue lifecycle against the mock', async () => {
+  const mock = createMockJira();
+  const jira = client(mock);
+
+  const me = await jira.myself();
+  if (me.emailAddress !== MOCK_EMAIL) throw new Error('myself did not authenticate');
+
+  const created = await jira.createIssue({ project: { key: 'ARCH' }, summary: 'Add cache', description: toAdf('Redis') });
+  await jira.updateIssue(created.key, { priority: { name: 'High' } });
+  const transitions = await jira.getTransitions(created.key);
+  await jira.transitionIssue(created.key, transitions.find(t => t.to.name === 'Done').id);
+
+  const issue = await jira.getIssue(created.key);
+  if (issue.fields.status.name !== 'Done' || issue.fields.priority.name !== 'High' || fromAdf(issue.fields.description) !== 'Redis') {
+    throw new Error(`Unexpected issue: ${JSON.stringify(issue)}`);
+  }
+  if (!mock.requests.some(r => r.method === 'PUT' && r.path === `/issue/${created.key}`)) {
+    throw new Error('Update should PUT the issue');
+  }
+});
+
+Deno.test('createJiraClient - search follows page tokens up to the limit', async () => {
+  const mock = createMockJira();
+  for (let i = 0; i < 130; i++) mock.create('ARCH', { summary: `Issue ${i}` });
+  const jira = client(mock);
+
+  const all = await jira.search('project = "ARCH" ORDER BY updated DESC');
+  if (all.length !== 130 || mock.requests.filter(r => r.path === '/search/jql').length !== 2) {
+    throw new Error(`Expected two pages of results, got ${all.length}`);
+  }
+  const limited = await jira.search('key in (ARCH-1, ARCH-2, ARCH-3)', { limit: 2 });
+  if (limited.length !== 2) throw new Error(`Limit ignored: ${limited.length}`);
+});
+
+Deno.test('createJiraClient - errors carry status and retryability', async () => {
+  const mock = createMockJira();
+  const denied = client(mock, { type: JiraAuthTypes.BASIC, email: MOCK_EMAIL, api_token: 'wrong' });
+  try {
+    await denied.myself();
+    throw new Error('Expected a 401');
+  } catch (error) {
+    if (error.status !== 401 || error.retryable) throw error;
+  }
+
+  try {
+    await client(mock).getIssue('ARCH-404');
+    throw new Error('Expected a 404');
+  } catch (error) {
+    if (error.status !== 404 || !error.message.includes('does not exist')) throw error;
+  }
+
+  const offline = createJiraClient({
+    baseUrl: 'https://acme.atlassian.net',
+    auth: { type: JiraAuthTypes.BEARER, token: 't' },
+    fetchImpl: () => Promise.reject(new TypeError('connection refused'))
+  });
+  try {
+    await offline.myself();
+    throw new Error('Expected a network error');
+  } catch (error) {
+    if (error.status !== 0 || !error.retryable) throw error;
+  }
+});
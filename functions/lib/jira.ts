@@ -0,0 +1,188 @@
+/**
+ * Jira REST v3 Client
+ * AXIS: Integration, Security
+ *
+ * Features:
+ * - Basic (email + API token) or bearer (personal access token) auth
+ * - Issue create, update, transition and JQL search
+ * - Plain text <-> Atlassian Document Format for descriptions
+ * - Errors carry the HTTP status and whether a retry could help
+ *
+ * Test against lib/fixtures/mockJira.js.
+ */
+
+export const JiraAuthTypes = {
+  BASIC: 'basic',
+  BEARER: 'bearer'
+};
+
+const REQUEST_TIMEOUT_MS = 15000;
+const SEARCH_PAGE_SIZE = 100;
+export const ISSUE_FIELDS = ['summary', 'description', 'status', 'priority', 'updated', 'labels'];
+
+export function jiraError(message, status = 0, retryable = false) {
+  return Object.assign(new Error(message), { status, retryable });
+}
+
+// ============================================
+// ATLASSIAN DOCUMENT FORMAT
+// ============================================
+
+export function normaliseText(text) {
+  return String(text ?? '').replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Paragraphs split on blank lines; single newlines become hard breaks.
+ */
+export function toAdf(text) {
+  const paragraphs = normaliseText(text).split(/\n\n/).filter(Boolean);
+  return {
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map(paragraph => ({
+      type: 'paragraph',
+      content: paragraph.split('\n').flatMap((line, i) => [
+        ...(i > 0 ? [{ type: 'hardBreak' }] : []),
+        ...(line ? [{ type: 'text', text: line }] : [])
+      ])
+    }))
+  };
+}
+
+function adfInline(node) {
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  if (node.type === 'mention') return node.attrs?.text || '';
+  if (node.type === 'emoji') return node.attrs?.text || node.attrs?.shortName || '';
+  if (node.type === 'inlineCard') return node.attrs?.url || '';
+  return (node.content || []).map(adfInline).join('');
+}
+
+function adfBlock(node) {
+  switch (node.type) {
+    case 'bulletList':
+    case 'orderedList':
+      return (node.content || []).map((item, i) => `${node.type === 'bulletList' ? '-' : `${i + 1}.`} ${adfBlocks(item.content).replace(/\n\n/g, '\n')}`).join('\n');
+    case 'codeBlock':
+    case 'paragraph':
+    case 'heading':
+      return (node.content || []).map(adfInline).join('');
+    default:
+      return node.content ? adfBlocks(node.content) : adfInline(node);
+  }
+}
+
+function adfBlocks(nodes = []) {
+  return nodes.map(adfBlock).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Flattens an ADF document to text. Formatting is dropped, so a rich Jira
+ * description syncs back as its plain text.
+ */
+export function fromAdf(doc) {
+  if (!doc) return '';
+  if (typeof doc === 'string') return normaliseText(doc);
+  return normaliseText(adfBlocks(doc.content));
+}
+
+// ============================================
+// CLIENT
+// ============================================
+
+async function responseError(response) {
+  let detail = '';
+  try {
+    const body = await response.json();
+    detail = [...(body?.errorMessages || []), ...Object.values(body?.errors || {})].join('; ');
+  } catch {
+    // Non-JSON error bodies carry nothing useful
+  }
+  const suffix = detail ? `: ${detail}` : '';
+  if (response.status === 429) {
+    const retryAfter = response.headers.get('retry-after');
+    return jiraError(`Jira rate limit exceeded${retryAfter ? `, retry after ${retryAfter}s` : ''}`, 429, true);
+  }
+  if (response.status === 401) return jiraError('Jira rejected the credentials', 401, false);
+  if (response.status === 403) return jiraError(`Jira denied access${suffix}`, 403, false);
+  if (response.status === 404) return jiraError(`Jira resource not found${suffix}`, 404, false);
+  return jiraError(`Jira responded with ${response.status}${suffix}`, response.status, response.status >= 500);
+}
+
+function authorizationHeader(auth) {
+  if (auth.type === JiraAuthTypes.BEARER) return `Bearer ${auth.token}`;
+  const bytes = new TextEncoder().encode(`${auth.email}:${auth.api_token}`);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return `Basic ${btoa(binary)}`;
+}
+
+/**
+ * `auth` is { type: 'basic', email, api_token } (Jira Cloud) or
+ * { type: 'bearer', token } (Data Center personal access token).
+ */
+export function createJiraClient({ baseUrl, auth, fetchImpl = fetch }) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/rest/api/3`;
+  const authorization = authorizationHeader(auth);
+
+  async function request(path, method = 'GET', body = undefined) {
+    let response;
+    try {
+      response = await fetchImpl(`${root}${path}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          Authorization: authorization,
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw jiraError(`Jira unreachable: ${error.message}`, 0, true);
+    }
+    if (!response.ok) throw await responseError(response);
+    return response.status === 204 ? null : response.json();
+  }
+
+  const issuePath = (key) => `/issue/${encodeURIComponent(key)}`;
+
+  return {
+    myself: () => request('/myself'),
+
+    getProject: (key) => request(`/project/${encodeURIComponent(key)}`),
+
+    createIssue: (fields) => request('/issue', 'POST', { fields }),
+
+    updateIssue: (key, fields) => request(issuePath(key), 'PUT', { fields }),
+
+    getIssue: (key) => request(`${issuePath(key)}?fields=${ISSUE_FIELDS.join(',')}`),
+
+    async getTransitions(key) {
+      return (await request(`${issuePath(key)}/transitions`)).transitions || [];
+    },
+
+    transitionIssue: (key, transitionId) =>
+      request(`${issuePath(key)}/transitions`, 'POST', { transition: { id: transitionId } }),
+
+    /**
+     * Runs a JQL search through every page, up to `limit` issues.
+     */
+    async search(jql, { limit = 1000, fields = ISSUE_FIELDS } = {}) {
+      const issues = [];
+      let nextPageToken;
+      do {
+        const page = await request('/search/jql', 'POST', {
+          jql,
+          fields,
+          maxResults: Math.min(SEARCH_PAGE_SIZE, limit - issues.length),
+          nextPageToken
+        });
+        issues.push(...(page.issues || []));
+        nextPageToken = page.isLast ? undefined : page.nextPageToken;
+      } while (nextPageToken && issues.length < limit);
+      return issues;
+    }
+  };
+}
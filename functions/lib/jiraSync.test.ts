@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for lib/jiraSync.js
+ *
+ * Test coverage for:
+ * - Field mapping validation and reverse lookup
+ * - Three-way merge and conflict policies
+ * - Full sync passes against the mock Jira: push, pull, conflicts,
+ *   deleted issues, imports and webhook-scoped runs
+ *
+ * Run with: deno test functions/lib/jiraSync.test.js
+ */
+
+import {
+  ConflictPolicies,
+  LinkStates,
+  Sides,
+  DEFAULT_FIELD_MAPPING,
+  validateFieldMapping,
+  issueSnapshot,
+  mergeSnapshots,
+  syncTasks
+} from './jiraSync.js';
+import { JiraAuthTypes, createJiraClient } from './jira.js';
+import { createMockJira, MOCK_EMAIL, MOCK_API_TOKEN } from './fixtures/mockJira.js';
+
+/**
+ * A project's Tasks and JiraIssueLinks persisted the way the
+ * jiraConnector function does it.
+ */
+function harness() {
+  let clock = Date.parse('2026-03-01T09:00:00Z');
+  const mock = createMockJira({ now: () => clock });
+  const jira = createJiraClient({
+    baseUrl: 'https://acme.atlassian.net',
+    auth: { type: JiraAuthTypes.BASIC, email: MOCK_EMAIL, api_token: MOCK_API_TOKEN },
+    fetchImpl: mock.fetch
+  });
+  const tasks = [];
+  const links = [];
+  let lastSync = null;
+
+  return {
+    mock,
+    tasks,
+    links,
+    tick(minutes = 1) {
+      clock += minutes * 60000;
+    },
+    task(fields) {
+      const task = { id: `t${tasks.length + 1}`, status: 'backlog', priority_level: 'medium', ...fields };
+      tasks.push(task);
+      return task;
+    },
+    linkFor: (taskId) => links.find(l => l.task_id === taskId),
+    async sync(options = {}) {
+      const startedAt = clock;
+      const result = await syncTasks(jira, { projectKey: 'ARCH', tasks, links, since: lastSync, now: clock, ...options });
+      for (const link of result.created_links) links.push({ id: `l${links.length + 1}`, state: LinkStates.SYNCED, conflicts: [], ...link });
+      for (const { link_id, fields } of result.link_updates) Object.assign(links.find(l => l.id === link_id), fields);
+      for (const { task_id, fields } of result.task_updates) Object.assign(tasks.find(t => t.id === task_id), fields);
+      for (const { task, ...link } of result.imported) {
+        const created = this.task(task);
+        links.push({ id: `l${links.length + 1}`, task_id: created.id, state: LinkStates.SYNCED, conflicts: [], ...link });
+      }
+      if (!options.issueKeys) lastSync = startedAt;
+      return result;
+    }
+  };
+}
+
+Deno.test('validateFieldMapping - rejects unknown keys and empty names', () => {
+  if (validateFieldMapping({ status: { in_progress: 'Doing' }, priority: { critical: 'Blocker' } }).length !== 0) {
+    throw new Error('A partial mapping should be valid');
+  }
+  const errors = validateFieldMapping({ issue_type: '', status: { review: 'In Review', blocked: '' }, priority: 'High' });
+  if (errors.length !== 4) throw new Error(`Expected 4 errors: ${errors.join('; ')}`);
+});
+
+Deno.test('issueSnapshot - mapped names, category fallback and unmapped priority', () => {
+  const fallback = { title: '', description: '', status: 'blocked', priority_level: 'critical' };
+  const issue = (status, category, priority) => ({
+    fields: { summary: ' Cache ', status: { name: status, statusCategory: { key: category } }, priority: { name: priority } }
+  });
+  const review = issueSnapshot(issue('In Review', 'indeterminate', 'Lowest'), DEFAULT_FIELD_MAPPING, fallback);
+  if (review.title !== 'Cache' || review.status !== 'in_progress' || review.priority_level !== 'critical') {
+    throw new Error(`Unexpected snapshot: ${JSON.stringify(review)}`);
+  }
+  const done = issueSnapshot(issue('done', 'done', 'highest'), DEFAULT_FIELD_MAPPING, fallback);
+  if (done.status !== 'completed' || done.priority_level !== 'critical') {
+    throw new Error(`Names should match case-insensitively: ${JSON.stringify(done)}`);
+  }
+});
+
+Deno.test('mergeSnapshots - one-sided changes flow, two-sided ones follow the policy', () => {
+  const base = { title: 'A', description: '', status: 'backlog', priority_level: 'low' };
+  const local = { ...base, title: 'A2', status: 'in_progress' };
+  const remote = { ...base, status: 'blocked', priority_level: 'high' };
+
+  const manual = mergeSnapshots({ base, local, remote });
+  if (manual.push.join() !== 'title' || manual.pull.join() !== 'priority_level' || manual.conflicts[0]?.field !== 'status') {
+    throw new Error(`Unexpected manual merge: ${JSON.stringify(manual)}`);
+  }
+  if (manual.merged.status !== 'backlog') throw new Error('Manual conflicts must keep the base');
+
+  const jiraWins = mergeSnapshots({ base, local, remote, policy: ConflictPolicies.JIRA_WINS });
+  if (jiraWins.merged.status !== 'blocked' || jiraWins.conflicts.length !== 0) throw new Error('jira_wins ignored');
+
+  const newest = mergeSnapshots({ base, local, remote, policy: ConflictPolicies.NEWEST_WINS, localUpdated: 2, remoteUpdated: 1 });
+  if (newest.merged.status !== 'in_progress') throw new Error('newest_wins should prefer the later edit');
+
+  const resolved = mergeSnapshots({ base, local, remote, resolutions: { status: Sides.JIRA } });
+  if (resolved.merged.status !== 'blocked' || !resolved.pull.includes('status')) throw new Error('Resolution ignored');
+});
+
+Deno.test('syncTasks - pushes new tasks, then exchanges one-sided edits', async () => {
+  const h = harness();
+  h.task({ title: 'Add cache', description: 'Redis in front of orders', priority_level: 'high' });
+  h.task({ title: 'Split monolith', status: 'in_progress' });
+  h.task({ title: 'Old work', status: 'completed' });
+
+  const first = await h.sync();
+  if (first.stats.issues_created !== 2 || h.links.length !== 2) {
+    throw new Error(`Unexpected first run: ${JSON.stringify(first.stats)}`);
+  }
+  const split = h.mock.issues.get(h.linkFor('t2').issue_key);
+  if (split.status !== 'In Progress' || !split.labels.includes('archdesigner')) {
+    throw new Error(`New issue not transitioned: ${JSON.stringify(split)}`);
+  }
+
+  h.tick(10);
+  h.mock.edit(h.linkFor('t1').issue_key, { status: 'Done', description: 'Redis cluster' });
+  h.tasks[1].title = 'Split monolith into services';
+  const second = await h.sync();
+  if (h.tasks[0].status !== 'completed' || h.tasks[0].description !== 'Redis cluster') {
+    throw new Error(`Remote edit not pulled: ${JSON.stringify(h.tasks[0])}`);
+  }
+  if (split.summary !== 'Split monolith into services' || second.stats.issues_updated !== 1) {
+    throw new Error('Local edit not pushed');
+  }
+
+  h.tick(10);
+  const idle = await h.sync();
+  if (idle.stats.issues_updated + idle.stats.tasks_updated !== 0) {
+    throw new Error(`A quiet pass should change nothing: ${JSON.stringify(idle.stats)}`);
+  }
+});
+
+Deno.test('syncTasks - conflicts wait for a resolution under the manual policy', async () => {
+  const h = harness();
+  h.task({ title: 'Add cache' });
+  await h.sync();
+  const key = h.linkFor('t1').issue_key;
+
+  h.tick(10);
+  h.tasks[0].status = 'blocked';
+  h.mock.edit(key, { status: 'In Progress', summary: 'Add Redis cache' });
+  const run = await h.sync();
+  const link = h.linkFor('t1');
+  if (run.conflicts.length !== 1 || link.state !== LinkStates.CONFLICT || h.tasks[0].title !== 'Add Redis cache') {
+    throw new Error(`Unexpected conflict run: ${JSON.stringify({ conflicts: run.conflicts, link })}`);
+  }
+  if (h.mock.issues.get(key).status !== 'In Progress' || h.tasks[0].status !== 'blocked') {
+    throw new Error('Neither side should change while in conflict');
+  }
+
+  h.tick(1);
+  await h.sync({ issueKeys: [key], resolutions: { [link.id]: { status: Sides.ARCHDESIGNER } } });
+  if (h.mock.issues.get(key).status !== 'Blocked' || link.state !== LinkStates.SYNCED) {
+    throw new Error(`Resolution not applied: ${JSON.stringify(link)}`);
+  }
+});
+
+Deno.test('syncTasks - deleted issues, imports and webhook-scoped runs', async () => {
+  const h = harness();
+  h.task({ title: 'Doomed' });
+  await h.sync();
+  const doomed = h.linkFor('t1').issue_key;
+
+  h.tick(10);
+  h.mock.remove(doomed);
+  h.tasks[0].title = 'Doomed, edited';
+  const imported = h.mock.create('ARCH', { summary: 'Raised in Jira', priority: 'Highest' });
+  const run = await h.sync({ pullNewIssues: true });
+  if (h.linkFor('t1').state !== LinkStates.REMOTE_MISSING || run.errors.length !== 0) {
+    throw new Error(`Deleted issue not detected: ${JSON.stringify(run)}`);
+  }
+  const task = h.tasks.find(t => t.title === 'Raised in Jira');
+  if (!task || task.priority_level !== 'critical' || h.links.filter(l => l.issue_key === imported).length !== 1) {
+    throw new Error('New Jira issue not imported');
+  }
+
+  h.tick(10);
+  h.mock.edit(imported, { status: 'Done' });
+  h.task({ title: 'Created after the webhook' });
+  const hook = await h.sync({ issueKeys: [imported] });
+  if (task.status !== 'completed' || hook.stats.issues_created !== 0) {
+    throw new Error(`Webhook run should only touch its issue: ${JSON.stringify(hook.stats)}`);
+  }
+});
@@ -0,0 +1,443 @@
+/**
+ * Jira Task Sync
+ * AXIS: Integration, Data Integrity
+ *
+ * Features:
+ * - Configurable Task status/priority <-> Jira status/priority mapping
+ * - Three-way merge per field against the snapshot both sides last agreed on
+ * - Conflict policies: manual, archdesigner_wins, jira_wins, newest_wins
+ * - Incremental pulls (`updated >= -Nm`) and webhook-driven single issues
+ *
+ * Persistence is left to the caller: syncTasks returns the Task and
+ * JiraIssueLink writes to make, so it runs unchanged against the mock
+ * Jira in lib/fixtures/mockJira.js.
+ */
+
+import { normaliseText, toAdf, fromAdf } from './jira.js';
+
+export const SYNC_FIELDS = ['title', 'description', 'status', 'priority_level'];
+
+export const TASK_STATUSES = ['backlog', 'in_progress', 'completed', 'blocked'];
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export const ConflictPolicies = {
+  MANUAL: 'manual',
+  ARCHDESIGNER_WINS: 'archdesigner_wins',
+  JIRA_WINS: 'jira_wins',
+  NEWEST_WINS: 'newest_wins'
+};
+
+export const Sides = {
+  ARCHDESIGNER: 'archdesigner',
+  JIRA: 'jira'
+};
+
+export const LinkStates = {
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+  REMOTE_MISSING: 'remote_missing'
+};
+
+export const DEFAULT_FIELD_MAPPING = {
+  issue_type: 'Task',
+  status: {
+    backlog: 'To Do',
+    in_progress: 'In Progress',
+    completed: 'Done',
+    blocked: 'Blocked'
+  },
+  priority: {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High',
+    critical: 'Highest'
+  }
+};
+
+// Jira statuses missing from the mapping fall back to their category
+const STATUS_CATEGORY_FALLBACK = {
+  new: 'backlog',
+  indeterminate: 'in_progress',
+  done: 'completed'
+};
+
+export const SYNC_LABEL = 'archdesigner';
+export const MAX_SYNC_TASKS = 200;
+export const MAX_IMPORTED_ISSUES = 100;
+// Re-read issues updated slightly before the last sync to cover clock skew
+const PULL_OVERLAP_MINUTES = 5;
+
+// ============================================
+// FIELD MAPPING
+// ============================================
+
+/**
+ * Returns a list of problems; empty when the mapping can be used.
+ */
+export function validateFieldMapping(mapping) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object') return ['field_mapping must be an object'];
+  if (mapping.issue_type !== undefined && (typeof mapping.issue_type !== 'string' || !mapping.issue_type.trim())) {
+    errors.push('field_mapping.issue_type must be a non-empty string');
+  }
+  const allowedKeys = { status: TASK_STATUSES, priority: TASK_PRIORITIES };
+  for (const field of Object.keys(allowedKeys)) {
+    const allowed = allowedKeys[field];
+    const values = mapping[field];
+    if (values === undefined) continue;
+    if (!values || typeof values !== 'object') {
+      errors.push(`field_mapping.${field} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (!allowed.includes(key)) errors.push(`field_mapping.${field}.${key} is not a Task ${field}`);
+      else if (typeof value !== 'string' || !value.trim()) errors.push(`field_mapping.${field}.${key} must be a Jira ${field} name`);
+    }
+  }
+  return errors;
+}
+
+export function resolveFieldMapping(mapping) {
+  mapping = mapping || Object.create(null);
+  return {
+    issue_type: mapping.issue_type || DEFAULT_FIELD_MAPPING.issue_type,
+    status: { ...DEFAULT_FIELD_MAPPING.status, ...mapping.status },
+    priority: { ...DEFAULT_FIELD_MAPPING.priority, ...mapping.priority }
+  };
+}
+
+function reverseLookup(values, jiraName) {
+  const wanted = String(jiraName || '').toLowerCase();
+  const match = Object.entries(values).find(([, name]) => String(name).toLowerCase() === wanted);
+  return match ? match[0] : null;
+}
+
+// ============================================
+// SNAPSHOTS AND MERGE
+// ============================================
+
+export function taskSnapshot(task) {
+  return {
+    title: String(task.title || '').trim(),
+    description: normaliseText(task.description),
+    status: task.status || 'backlog',
+    priority_level: task.priority_level || 'medium'
+  };
+}
+
+/**
+ * Maps an issue onto Task fields. Values the mapping cannot express (an
+ * unmapped priority, say) take the `fallback` snapshot's value so they
+ * never register as a remote change.
+ */
+export function issueSnapshot(issue, mapping, fallback) {
+  const fields = issue.fields || {};
+  const status = fields.status || {};
+  return {
+    title: String(fields.summary || '').trim(),
+    description: fromAdf(fields.description),
+    status: reverseLookup(mapping.status, status.name)
+      || STATUS_CATEGORY_FALLBACK[status.statusCategory?.key]
+      || fallback.status,
+    priority_level: reverseLookup(mapping.priority, fields.priority?.name) || fallback.priority_level
+  };
+}
+
+function parseJiraTime(value) {
+  // Jira offsets omit the colon (+0000), which Date.parse does not accept everywhere
+  return Date.parse(String(value || '').replace(/([+-]\d{2})(\d{2})$/, '$1:$2')) || 0;
+}
+
+/**
+ * Field-by-field three-way merge. A field changed on one side only flows
+ * to the other; a field changed differently on both sides is a conflict,
+ * settled by `resolutions[field]` first and the policy second. Manual
+ * conflicts leave both sides and the base untouched.
+ */
+export function mergeSnapshots({ base, local, remote, policy = ConflictPolicies.MANUAL, resolutions = {}, localUpdated = 0, remoteUpdated = 0 }) {
+  const merged = { ...base };
+  const push = [];
+  const pull = [];
+  const conflicts = [];
+
+  for (const field of SYNC_FIELDS) {
+    const l = local[field];
+    const r = remote[field];
+    const b = base[field];
+    if (l === r) {
+      merged[field] = l;
+      continue;
+    }
+    let winner = null;
+    if (r === b) winner = Sides.ARCHDESIGNER;
+    else if (l === b) winner = Sides.JIRA;
+    else if (resolutions[field]) winner = resolutions[field];
+    else if (policy === ConflictPolicies.ARCHDESIGNER_WINS) winner = Sides.ARCHDESIGNER;
+    else if (policy === ConflictPolicies.JIRA_WINS) winner = Sides.JIRA;
+    else if (policy === ConflictPolicies.NEWEST_WINS) winner = localUpdated >= remoteUpdated ? Sides.ARCHDESIGNER : Sides.JIRA;
+
+    if (winner === Sides.ARCHDESIGNER) {
+      merged[field] = l;
+      push.push(field);
+    } else if (winner === Sides.JIRA) {
+      merged[field] = r;
+      pull.push(field);
+    } else {
+      conflicts.push({ field, base: b, archdesigner: l, jira: r });
+    }
+  }
+  return { merged, push, pull, conflicts };
+}
+
+// ============================================
+// JIRA WRITES
+// ============================================
+
+function issueFields(snapshot, fields, mapping) {
+  const out = Object.create(null);
+  if (fields.includes('title')) out.summary = snapshot.title;
+  if (fields.includes('description')) out.description = snapshot.description ? toAdf(snapshot.description) : null;
+  if (fields.includes('priority_level') && mapping.priority[snapshot.priority_level]) {
+    out.priority = { name: mapping.priority[snapshot.priority_level] };
+  }
+  return out;
+}
+
+/**
+ * Moves an issue to the mapped status. Returns an error message when the
+ * workflow offers no transition there, since that is not worth aborting for.
+ */
+async function transitionTo(client, key, status, mapping) {
+  const target = mapping.status[status];
+  if (!target) return `No Jira status mapped for Task status ${status}`;
+  const transitions = await client.getTransitions(key);
+  const transition = transitions.find(t => (t.to?.name || t.name).toLowerCase() === target.toLowerCase());
+  if (!transition) return `${key} has no transition to "${target}"`;
+  await client.transitionIssue(key, transition.id);
+  return null;
+}
+
+// Credentials, rate limits and outages affect every issue; stop the run
+function isFatal(error) {
+  return error.status === 401 || error.status === 429 || error.status === 0 || error.status >= 500;
+}
+
+async function createIssueForTask(client, task, { projectKey, mapping }) {
+  const local = taskSnapshot(task);
+  const created = await client.createIssue({
+    project: { key: projectKey },
+    issuetype: { name: mapping.issue_type },
+    labels: [SYNC_LABEL],
+    ...issueFields(local, ['title', 'description', 'priority_level'], mapping)
+  });
+  const warning = local.status === 'backlog' ? null : await transitionTo(client, created.key, local.status, mapping);
+  // Base on what Jira actually holds so anything it refused is retried
+  const issue = await client.getIssue(created.key);
+  return {
+    task_id: task.id,
+    issue_key: created.key,
+    issue_id: created.id,
+    base: issueSnapshot(issue, mapping, local),
+    remote_updated: issue.fields?.updated || null,
+    warning
+  };
+}
+
+async function syncLink(client, { task, link, issue, mapping, policy, resolutions, now }) {
+  const local = taskSnapshot(task);
+  const base = { ...local, ...link.base };
+  const remote = issue ? issueSnapshot(issue, mapping, base) : base;
+  const { merged, push, pull, conflicts } = mergeSnapshots({
+    base,
+    local,
+    remote,
+    policy,
+    resolutions,
+    localUpdated: Date.parse(task.updated_date || '') || 0,
+    remoteUpdated: parseJiraTime(issue?.fields?.updated)
+  });
+
+  let warning = null;
+  const pushFields = push.filter(f => f !== 'status');
+  if (pushFields.length > 0) {
+    await client.updateIssue(link.issue_key, issueFields(merged, pushFields, mapping));
+  }
+  if (push.includes('status')) {
+    warning = await transitionTo(client, link.issue_key, merged.status, mapping);
+    if (warning) merged.status = base.status;
+  }
+
+  const taskFields = Object.fromEntries(pull.map(f => [f, merged[f]]));
+  return {
+    pushed: push.length > 0,
+    task_fields: pull.length > 0 ? taskFields : null,
+    link_fields: {
+      base: merged,
+      state: conflicts.length > 0 ? LinkStates.CONFLICT : LinkStates.SYNCED,
+      conflicts,
+      remote_updated: issue?.fields?.updated || link.remote_updated || null,
+      synced_at: new Date(now).toISOString()
+    },
+    conflicts,
+    warning
+  };
+}
+
+// ============================================
+// SYNC RUN
+// ============================================
+
+function pullJql(projectKey, since, now) {
+  const project = `project = "${projectKey}"`;
+  if (!since) return `${project} ORDER BY updated DESC`;
+  const minutes = Math.ceil((now - since) / 60000) + PULL_OVERLAP_MINUTES;
+  return `${project} AND updated >= -${minutes}m ORDER BY updated DESC`;
+}
+
+async function fetchIssues(client, keys) {
+  const issues = new Map();
+  const missing = [];
+  for (const key of keys) {
+    try {
+      issues.set(key, await client.getIssue(key));
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      missing.push(key);
+    }
+  }
+  return { issues, missing };
+}
+
+/**
+ * One sync pass for a project.
+ *
+ * - Unlinked, unfinished tasks become issues (skipped when `issueKeys` is set)
+ * - Issues updated since `since` are pulled; everything else is assumed
+ *   unchanged in Jira, so a first run (`since` null) reads the whole project
+ * - Linked tasks merge with their issue per `policy`
+ * - With `pullNewIssues`, unlinked issues become tasks
+ *
+ * `issueKeys` restricts the pass to specific issues, as a webhook does.
+ * Returns the writes to persist plus conflicts and per-task errors.
+ */
+export async function syncTasks(client, {
+  projectKey,
+  tasks,
+  links,
+  mapping: rawMapping = {},
+  policy = ConflictPolicies.MANUAL,
+  pullNewIssues = false,
+  since = null,
+  issueKeys = null,
+  resolutions = {},
+  now = Date.now()
+}) {
+  const mapping = resolveFieldMapping(rawMapping);
+  const result = {
+    created_links: [],
+    imported: [],
+    task_updates: [],
+    link_updates: [],
+    conflicts: [],
+    errors: [],
+    stats: { issues_created: 0, issues_updated: 0, tasks_updated: 0, tasks_imported: 0, conflicts: 0 }
+  };
+
+  const tasksById = new Map();
+  for (const task of tasks) tasksById.set(task.id, task);
+  const linksByKey = new Map();
+  for (const link of links) linksByKey.set(link.issue_key, link);
+  const linkedTaskIds = new Set(links.map(l => l.task_id));
+
+  const recordError = (error, context) => {
+    if (isFatal(error)) throw error;
+    result.errors.push({ ...context, message: error.message });
+  };
+
+  // Remote side
+  let remote;
+  let missing = [];
+  if (issueKeys) {
+    ({ issues: remote, missing } = await fetchIssues(client, issueKeys));
+  } else {
+    remote = new Map();
+    for (const issue of await client.search(pullJql(projectKey, since, now), { limit: MAX_SYNC_TASKS * 5 })) {
+      remote.set(issue.key, issue);
+    }
+  }
+  for (const key of missing) {
+    const link = linksByKey.get(key);
+    if (link) result.link_updates.push({ link_id: link.id, fields: { state: LinkStates.REMOTE_MISSING, conflicts: [] } });
+  }
+
+  // Linked tasks
+  const candidates = issueKeys ? links.filter(l => remote.has(l.issue_key)) : links;
+  for (const link of candidates.slice(0, MAX_SYNC_TASKS)) {
+    const task = tasksById.get(link.task_id);
+    if (!task || link.state === LinkStates.REMOTE_MISSING) continue;
+    try {
+      const outcome = await syncLink(client, {
+        task,
+        link,
+        issue: remote.get(link.issue_key) || null,
+        mapping,
+        policy,
+        resolutions: resolutions[link.id] || {},
+        now
+      });
+      result.link_updates.push({ link_id: link.id, fields: outcome.link_fields });
+      if (outcome.task_fields) {
+        result.task_updates.push({ task_id: task.id, fields: outcome.task_fields });
+        result.stats.tasks_updated++;
+      }
+      if (outcome.pushed) result.stats.issues_updated++;
+      for (const conflict of outcome.conflicts) {
+        result.conflicts.push({ link_id: link.id, task_id: task.id, issue_key: link.issue_key, ...conflict });
+      }
+      if (outcome.warning) result.errors.push({ task_id: task.id, issue_key: link.issue_key, message: outcome.warning });
+    } catch (error) {
+      if (error.status === 404) {
+        result.link_updates.push({ link_id: link.id, fields: { state: LinkStates.REMOTE_MISSING, conflicts: [] } });
+      } else {
+        recordError(error, { task_id: task.id, issue_key: link.issue_key });
+      }
+    }
+  }
+  result.stats.conflicts = result.conflicts.length;
+
+  // New tasks -> issues
+  if (!issueKeys) {
+    const unlinked = tasks.filter(t => !linkedTaskIds.has(t.id) && t.status !== 'completed');
+    for (const task of unlinked.slice(0, MAX_SYNC_TASKS)) {
+      try {
+        const created = await createIssueForTask(client, task, { projectKey, mapping });
+        const { warning, ...link } = created;
+        result.created_links.push(link);
+        result.stats.issues_created++;
+        if (warning) result.errors.push({ task_id: task.id, issue_key: link.issue_key, message: warning });
+      } catch (error) {
+        recordError(error, { task_id: task.id });
+      }
+    }
+  }
+
+  // New issues -> tasks
+  if (pullNewIssues) {
+    // Labelled issues came from this sync; a webhook can beat the link write
+    const fresh = [...remote.values()].filter(issue =>
+      !linksByKey.has(issue.key) && !(issue.fields?.labels || []).includes(SYNC_LABEL));
+    for (const issue of fresh.slice(0, MAX_IMPORTED_ISSUES)) {
+      const snapshot = issueSnapshot(issue, mapping, taskSnapshot({}));
+      result.imported.push({
+        task: snapshot,
+        issue_key: issue.key,
+        issue_id: issue.id,
+        base: snapshot,
+        remote_updated: issue.fields?.updated || null
+      });
+      result.stats.tasks_imported++;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for lib/jobs.js
+ *
+ * Test coverage for:
+ * - Batch and callback URL validation
+ * - Completion and run error updates, result retention
+ * - Batch progress summaries
+ * - Exclusive run claims under concurrent dispatch, and their release
+ *
+ * Run with: deno test functions/lib/jobs.test.js
+ */
+
+import {
+  JobStatuses,
+  MAX_BATCH_SIZE,
+  MAX_RETENTION_HOURS,
+  validateBatch,
+  validateCallbackUrl,
+  resolveRetentionHours,
+  buildJobRecords,
+  buildCompletionUpdate,
+  buildRunErrorUpdate,
+  isExpired,
+  summariseBatch,
+  createMemoryClaimStore,
+  createKvClaimStore
+} from './jobs.js';
+import { ErrorCodes } from './utils.js';
+
+const ROUTES = {
+  'security-scan': { function: 'securityScan' },
+  'generate-cicd': { function: 'generateCICD' }
+};
+
+Deno.test('validateBatch - rejects unknown routes and oversized batches', () => {
+  const result = validateBatch([{ route: 'drop-tables', payload: {} }], Object.keys(ROUTES));
+  if (result.valid) {
+    throw new Error('Unknown route should be rejected');
+  }
+
+  const calls = Array.from({ length: MAX_BATCH_SIZE + 1 }, () => ({ route: 'security-scan', payload: {} }));
+  if (validateBatch(calls, Object.keys(ROUTES)).valid) {
+    throw new Error('Oversized batch should be rejected');
+  }
+
+  if (!validateBatch([{ route: 'generate-cicd', payload: { project_id: 'p1' } }], Object.keys(ROUTES)).valid) {
+    throw new Error('Valid batch was rejected');
+  }
+});
+
+Deno.test('validateCallbackUrl - requires https and a public host', () => {
+  const cases = [
+    ['https://hooks.example.com/jobs', true],
+    ['http://hooks.example.com/jobs', false],
+    ['https://localhost/jobs', false],
+    ['https://192.168.1.10/jobs', false],
+    ['not a url', false]
+  ];
+
+  for (const [url, expected] of cases) {
+    if (validateCallbackUrl(url).valid !== expected) {
+      throw new Error(`Expected ${url} valid=${expected}`);
+    }
+  }
+});
+
+Deno.test('resolveRetentionHours - defaults and clamps', () => {
+  if (resolveRetentionHours(undefined) !== 24) {
+    throw new Error('Default retention should be 24 hours');
+  }
+  if (resolveRetentionHours(10000) !== MAX_RETENTION_HOURS) {
+    throw new Error('Retention should be clamped to the maximum');
+  }
+});
+
+Deno.test('buildCompletionUpdate - unwraps success and sets expiry', () => {
+  const [job] = buildJobRecords({
+    batchId: 'b1',
+    calls: [{ route: 'generate-cicd', payload: { project_id: 'p1' } }],
+    routes: ROUTES,
+    retentionHours: 2,
+    correlationId: 'c1'
+  });
+
+  const now = new Date('2025-01-01T00:00:00Z');
+  const update = buildCompletionUpdate(job, {
+    ok: true,
+    attempts: 1,
+    data: { success: true, data: { config: 'yaml' } }
+  }, now);
+
+  if (update.status !== JobStatuses.COMPLETED || update.result?.config !== 'yaml') {
+    throw new Error('Backend envelope should be unwrapped into result');
+  }
+  if (isExpired({ ...job, ...update }, now.getTime() + 3600000)) {
+    throw new Error('Result should be retained for 2 hours');
+  }
+  if (!isExpired({ ...job, ...update }, now.getTime() + 2 * 3600000)) {
+    throw new Error('Result should expire after 2 hours');
+  }
+});
+
+Deno.test('buildCompletionUpdate - records failure details', () => {
+  const update = buildCompletionUpdate({ retention_hours: 24 }, {
+    ok: false,
+    attempts: 2,
+    failure: { errorType: ErrorCodes.TIMEOUT, message: 'securityScan timed out' }
+  });
+
+  if (update.status !== JobStatuses.FAILED || update.error.code !== ErrorCodes.TIMEOUT.code) {
+    throw new Error('Failure should be recorded with its error code');
+  }
+  if (!update.error.retryable) {
+    throw new Error('Timeouts should be marked retryable');
+  }
+});
+
+Deno.test('summariseBatch - averages progress and reports completion', () => {
+  const summary = summariseBatch([
+    { status: JobStatuses.COMPLETED, progress: 100 },
+    { status: JobStatuses.RUNNING, progress: 10 },
+    { status: JobStatuses.CANCELLED, progress: 0 }
+  ]);
+
+  if (summary.progress !== 70 || summary.done) {
+    throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+  }
+  if (summary.by_status.running !== 1) {
+    throw new Error('Expected one running job');
+  }
+});
+
+// Enough of Deno KV for atomic check-and-set and delete; commits yield first so
+// concurrent claims interleave between building and committing
+function createFakeKv() {
+  const entries = new Map();
+  let version = 0;
+  return {
+    async get(key) {
+      const entry = entries.get(JSON.stringify(key));
+      return { key, value: entry?.value ?? null, versionstamp: entry?.versionstamp ?? null };
+    },
+    atomic() {
+      const checks = [];
+      const sets = [];
+      const deletes = [];
+      const operation = {
+        check(...versioned) {
+          checks.push(...versioned);
+          return operation;
+        },
+        set(key, value) {
+          sets.push([JSON.stringify(key), value]);
+          return operation;
+        },
+        delete(key) {
+          deletes.push(JSON.stringify(key));
+          return operation;
+        },
+        async commit() {
+          await Promise.resolve();
+          const current = checks.every(c => (entries.get(JSON.stringify(c.key))?.versionstamp ?? null) === c.versionstamp);
+          if (!current) return { ok: false };
+          version += 1;
+          sets.forEach(([key, value]) => entries.set(key, { value, versionstamp: String(version) }));
+          deletes.forEach(key => entries.delete(key));
+          return { ok: true, versionstamp: String(version) };
+        }
+      };
+      return operation;
+    }
+  };
+}
+
+Deno.test('claim stores - only one of two interleaved runs claims a job', async () => {
+  for (const store of [createKvClaimStore(createFakeKv()), createMemoryClaimStore()]) {
+    const results = await Promise.all([store.claim('job-1', 'run-a'), store.claim('job-1', 'run-b')]);
+    if (results.filter(Boolean).length !== 1) {
+      throw new Error(`${store.name}: expected exactly one claim, got ${JSON.stringify(results)}`);
+    }
+    if (await store.claim('job-1', 'run-c') || !await store.claim('job-2', 'run-c')) {
+      throw new Error(`${store.name}: claims should hold per job`);
+    }
+  }
+
+  const memory = createMemoryClaimStore();
+  await memory.claim('job-3', 'run-a', -1);
+  if (!await memory.claim('job-3', 'run-b')) {
+    throw new Error('Expired claims should be released');
+  }
+});
+
+Deno.test('claim stores - a run releases only its own claim', async () => {
+  for (const store of [createKvClaimStore(createFakeKv()), createMemoryClaimStore()]) {
+    await store.claim('job-1', 'run-a');
+    if (await store.release('job-1', 'run-b')) {
+      throw new Error(`${store.name}: another run must not release the claim`);
+    }
+    if (!await store.release('job-1', 'run-a') || !await store.claim('job-1', 'run-b')) {
+      throw new Error(`${store.name}: a released job should be claimable again`);
+    }
+  }
+});
+
+Deno.test('buildRunErrorUpdate - fails the job with a retained internal error', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const update = buildRunErrorUpdate({ retention_hours: 24, attempts: 1 }, new Error('store unavailable'), now);
+  if (update.status !== JobStatuses.FAILED || update.error.code !== 'INTERNAL_ERROR' || update.error.message !== 'store unavailable') {
+    throw new Error(`Unexpected update: ${JSON.stringify(update)}`);
+  }
+  if (update.attempts !== 1 || update.expires_at !== '2026-01-02T00:00:00.000Z') {
+    throw new Error(`Unexpected retention: ${JSON.stringify(update)}`);
+  }
+});
@@ -0,0 +1,313 @@
+/**
+ * Gateway Jobs
+ * AXIS: Performance, Reliability
+ *
+ * Helpers for the apiGateway batch/async job mode:
+ * - Batch and callback URL validation
+ * - GatewayJob record construction and public views
+ * - Batch progress summaries and result retention
+ * - Exclusive run claims, so a job is only dispatched once
+ * - Signed completion callbacks
+ */
+
+import { validateOutboundUrl, fetchOutbound, signPayload, ErrorCodes } from './utils.js';
+
+export const JobStatuses = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+const TERMINAL_STATUSES = [
+  JobStatuses.COMPLETED,
+  JobStatuses.FAILED,
+  JobStatuses.CANCELLED,
+  JobStatuses.EXPIRED
+];
+
+export const MAX_BATCH_SIZE = 20;
+export const DEFAULT_RETENTION_HOURS = 24;
+export const MAX_RETENTION_HOURS = 168; // 7 days
+
+// Progress reported while a backend call is in flight
+const RUNNING_PROGRESS = 10;
+
+export function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+export function validateBatch(calls, allowedRoutes) {
+  if (!Array.isArray(calls) || calls.length === 0) {
+    return { valid: false, errors: ['calls must be a non-empty array'] };
+  }
+  if (calls.length > MAX_BATCH_SIZE) {
+    return { valid: false, errors: [`Maximum ${MAX_BATCH_SIZE} calls per batch`] };
+  }
+
+  const errors = [];
+  calls.forEach((call, i) => {
+    if (!allowedRoutes.includes(call?.route)) {
+      errors.push(`calls[${i}].route must be one of: ${allowedRoutes.join(', ')}`);
+    }
+    if (!call?.payload || typeof call.payload !== 'object') {
+      errors.push(`calls[${i}].payload must be an object`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Callbacks must be HTTPS and must not target loopback or private networks.
+ */
+export function validateCallbackUrl(value) {
+  return validateOutboundUrl(value, 'callback_url');
+}
+
+export function resolveRetentionHours(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return DEFAULT_RETENTION_HOURS;
+  return Math.min(MAX_RETENTION_HOURS, Math.max(1, Math.round(value)));
+}
+
+// ============================================
+// RECORDS
+// ============================================
+
+export function buildJobRecords({ batchId, calls, routes, callbackUrl, retentionHours, correlationId }) {
+  return calls.map((call, index) => ({
+    batch_id: batchId,
+    batch_index: index,
+    route: call.route,
+    function: routes[call.route].function,
+    project_id: call.payload.project_id,
+    payload: call.payload,
+    status: JobStatuses.QUEUED,
+    progress: 0,
+    callback_url: callbackUrl,
+    retention_hours: retentionHours,
+    correlation_id: correlationId
+  }));
+}
+
+export function buildRunningUpdate(now = new Date()) {
+  return {
+    status: JobStatuses.RUNNING,
+    progress: RUNNING_PROGRESS,
+    started_at: now.toISOString()
+  };
+}
+
+/**
+ * Maps an invokeBackend result to the job's terminal update. The result is
+ * kept until expires_at, after which it is purged.
+ */
+export function buildCompletionUpdate(job, result, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + job.retention_hours * 3600000);
+  const base = {
+    progress: 100,
+    attempts: result.attempts,
+    completed_at: now.toISOString(),
+    expires_at: expiresAt.toISOString()
+  };
+
+  if (result.ok) {
+    const body = result.data;
+    const isEnvelope = body && typeof body === 'object' && body.success === true && 'data' in body;
+    return { ...base, status: JobStatuses.COMPLETED, result: isEnvelope ? body.data : body };
+  }
+
+  return {
+    ...base,
+    status: JobStatuses.FAILED,
+    error: {
+      code: result.failure.errorType.code,
+      message: result.failure.message,
+      retryable: result.failure.errorType.retryable
+    }
+  };
+}
+
+/**
+ * Terminal update for a run that threw before the backend result was
+ * stored, so the job does not stay running.
+ */
+export function buildRunErrorUpdate(job, error, now = new Date()) {
+  return buildCompletionUpdate(job, {
+    ok: false,
+    attempts: job.attempts || 0,
+    failure: { errorType: ErrorCodes.INTERNAL, message: error?.message || 'Job run failed' }
+  }, now);
+}
+
+export function isExpired(job, now = Date.now()) {
+  return Boolean(job.expires_at) && new Date(job.expires_at).getTime() <= now;
+}
+
+export function buildExpiryUpdate() {
+  return { status: JobStatuses.EXPIRED, result: null };
+}
+
+export function toJobView(job) {
+  return {
+    job_id: job.id,
+    batch_id: job.batch_id,
+    route: job.route,
+    project_id: job.project_id,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    result: job.result,
+    error: job.error,
+    callback_status: job.callback_status,
+    created_date: job.created_date,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    cancelled_at: job.cancelled_at,
+    expires_at: job.expires_at
+  };
+}
+
+export function summariseBatch(jobs) {
+  const byStatus = {};
+  for (const status of Object.values(JobStatuses)) {
+    byStatus[status] = jobs.filter(job => job.status === status).length;
+  }
+
+  const total = jobs.length;
+  const progress = total === 0
+    ? 0
+    : Math.round(jobs.reduce((sum, job) => sum + (isTerminal(job.status) ? 100 : job.progress || 0), 0) / total);
+
+  return {
+    total,
+    by_status: byStatus,
+    progress,
+    done: total > 0 && jobs.every(job => isTerminal(job.status))
+  };
+}
+
+// ============================================
+// CLAIMS
+// ============================================
+
+// Longer than any backend call; a claim left by a crashed run expires so the job can run again
+export const JOB_CLAIM_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Process-local claims. Only exclusive within one isolate; used when Deno KV
+ * is unavailable and in tests.
+ */
+export function createMemoryClaimStore() {
+  const claims = new Map();
+
+  return {
+    name: 'memory',
+    async claim(jobId, runId, ttlMs = JOB_CLAIM_TTL_MS) {
+      const now = Date.now();
+      if (claims.get(jobId)?.expiresAt > now) return false;
+      claims.set(jobId, { runId, expiresAt: now + ttlMs });
+      return true;
+    },
+    async release(jobId, runId) {
+      if (claims.get(jobId)?.runId !== runId) return false;
+      claims.delete(jobId);
+      return true;
+    }
+  };
+}
+
+/**
+ * Deno KV-backed claims. The commit checks that no claim exists yet
+ * (versionstamp null), so exactly one run across isolates gets true.
+ * A run only releases its own claim.
+ */
+export function createKvClaimStore(kv, { prefix = ['job_claim'] } = {}) {
+  return {
+    name: 'kv',
+    async claim(jobId, runId, ttlMs = JOB_CLAIM_TTL_MS) {
+      const key = [...prefix, jobId];
+      const commit = await kv.atomic()
+        .check({ key, versionstamp: null })
+        .set(key, runId, { expireIn: ttlMs })
+        .commit();
+      return commit.ok;
+    },
+    async release(jobId, runId) {
+      const key = [...prefix, jobId];
+      const entry = await kv.get(key);
+      if (entry.value !== runId) return false;
+      const commit = await kv.atomic().check(entry).delete(key).commit();
+      return commit.ok;
+    }
+  };
+}
+
+let claimStorePromise = null;
+
+function readEnv(name) {
+  try {
+    return Deno.env.get(name);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Opens the claim store once per isolate.
+ *
+ * JOB_CLAIM_KV_PATH: optional local KV file, e.g. './data/job_claims.sqlite'
+ *
+ * Falls back to the memory store when Deno KV is unavailable.
+ */
+export function getJobClaimStore(logger) {
+  if (!claimStorePromise) {
+    claimStorePromise = (async () => {
+      if (typeof Deno.openKv === 'function') {
+        try {
+          return createKvClaimStore(await Deno.openKv(readEnv('JOB_CLAIM_KV_PATH')));
+        } catch (error) {
+          logger?.warn('Deno KV unavailable, using in-memory job claims', { error: error.message });
+        }
+      }
+      return createMemoryClaimStore();
+    })();
+  }
+  return claimStorePromise;
+}
+
+// ============================================
+// CALLBACKS
+// ============================================
+
+/**
+ * POSTs the job view to its callback URL. When `secret` is set the body is
+ * signed with HMAC-SHA256 in the X-ArchDesigner-Signature header. The host
+ * is re-checked against private networks when sending, and redirects fail.
+ * Resolves to 'delivered' or 'failed'; never rejects.
+ */
+export async function sendJobCallback(job, { secret, timeoutMs = 10000, resolve, fetchImpl } = {}) {
+  const body = JSON.stringify({ event: 'job.finished', job: toJobView(job) });
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers['X-ArchDesigner-Signature'] = `sha256=${await signPayload(body, secret)}`;
+  }
+
+  try {
+    const response = await fetchOutbound(job.callback_url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    }, { fieldName: 'callback_url', resolve, fetchImpl });
+    return response.ok ? 'delivered' : 'failed';
+  } catch {
+    return 'failed';
+  }
+}
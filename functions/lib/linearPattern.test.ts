@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for lib/linearPattern.js
+ *
+ * Test coverage for:
+ * - Agreement with native case-insensitive RegExp on the supported subset
+ * - Rejection of backtracking-only and oversized syntax
+ * - Linear running time on catastrophic-backtracking patterns
+ *
+ * Run with: deno test functions/lib/linearPattern.test.js
+ */
+
+import { compilePattern, PATTERN_LIMITS } from './linearPattern.js';
+
+Deno.test('compilePattern - agrees with RegExp on the supported subset', () => {
+  const cases = [
+    ['^ord', ['Orders', 'reorder', '']],
+    ['ers$', ['Orders', 'ersatz', 'ERS']],
+    ['^$', ['', 'a']],
+    ['(api|web)-[a-z]+$', ['api-gateway', 'WEB-ui', 'web-', 'cli-tool', 'my-web-app']],
+    ['^v\\d+(\\.\\d+)?$', ['v1', 'v1.2', 'v1.', 'V10.20', 'v']],
+    ['(ab){2}c+', ['ababc', 'abcc', 'xxababccc']],
+    ['a{2,3}$', ['a', 'aa', 'aaaa', 'baaa']],
+    ['a{2,}b', ['ab', 'aab', 'aaaaab']],
+    ['[^a-c]x', ['ax', 'dx', 'Cx', 'x']],
+    ['[\\d_]+-\\w', ['12_-a', '-a', 'ab-c']],
+    ['\\s\\S', ['a b', 'ab', ' \t']],
+    ['colou?r', ['color', 'COLOUR', 'colr']],
+    ['a.c', ['abc', 'a\nc', 'ac']],
+    ['(?:x|y)+?z', ['xyxz', 'z', 'xy']],
+    ['\\(\\$\\)', ['($)', '$']],
+    ['a{x}', ['a{x}', 'ax']],
+    ['[]a]', ['a', 'a]']],
+    ['[^]', ['', '\n']],
+    ['(a*)*b', ['aaab', 'b', 'aaa']],
+    ['a|', ['', 'b']]
+  ];
+
+  for (const [source, inputs] of cases) {
+    const { matcher, error } = compilePattern(source);
+    if (error) throw new Error(`${source} should compile: ${error}`);
+    const native = new RegExp(source, 'i');
+    for (const input of inputs) {
+      if (matcher.test(input) !== native.test(input)) {
+        throw new Error(`${source} on ${JSON.stringify(input)}: expected ${native.test(input)}`);
+      }
+    }
+  }
+});
+
+Deno.test('compilePattern - rejects unsupported and oversized syntax', () => {
+  const cases = [
+    ['(', 'Unterminated group'],
+    ['[a-', 'Unterminated character class'],
+    ['a)', 'Unexpected )'],
+    ['*a', 'Unexpected *'],
+    ['a**', 'Nothing to repeat'],
+    ['^*', 'Nothing to repeat'],
+    ['[z-a]', 'out of order'],
+    ['a{3,1}', 'out of order'],
+    ['(\\w+)\\1', 'Backreferences'],
+    ['(?<n>a)\\k<n>', 'not supported'],
+    ['(?=a)b', 'Lookarounds'],
+    ['\\bword', 'Unsupported escape'],
+    ['a\\', 'ends with'],
+    [`a{${PATTERN_LIMITS.maxRepeat + 1}}`, 'Repeat counts'],
+    ['((a{100}){100}){100}', 'too complex']
+  ];
+
+  for (const [source, expected] of cases) {
+    const { matcher, error } = compilePattern(source);
+    if (matcher || !error.includes(expected)) {
+      throw new Error(`Expected "${expected}" for ${source}, got ${error}`);
+    }
+  }
+  if (!compilePattern(42).error) throw new Error('Non-strings should be rejected');
+});
+
+Deno.test('compilePattern - catastrophic backtracking patterns run in linear time', () => {
+  const cases = [
+    ['(a|aa)+$', `${'a'.repeat(5000)}!`, false],
+    ['(a|a)*$', `${'a'.repeat(5000)}!`, true],
+    ['.*.*.*.*.*!', 'a'.repeat(5000), false],
+    ['\\w*\\w*\\w*\\w*!', 'a'.repeat(5000), false],
+    ['(a+)+$', `${'a'.repeat(5000)}!`, false],
+    ['^(\\w+\\s?)*$', `${'word '.repeat(1000)}!`, false]
+  ];
+
+  for (const [source, input, expected] of cases) {
+    const { matcher } = compilePattern(source);
+    const started = performance.now();
+    const result = matcher.test(input);
+    const elapsed = performance.now() - started;
+    if (result !== expected) throw new Error(`${source}: expected ${expected}, got ${result}`);
+    if (elapsed > 1000) throw new Error(`${source} took ${Math.round(elapsed)}ms`);
+  }
+});
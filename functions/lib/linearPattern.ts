@@ -0,0 +1,329 @@
+/**
+ * Linear-time Patterns
+ * AXIS: Security, Performance
+ *
+ * A regular expression subset for user-authored rules, matched by an NFA
+ * simulation (Pike VM) instead of a backtracking engine:
+ * - Literals, `.`, classes `[a-z]` / `[^...]`, `\d \w \s \D \W \S`
+ * - Groups `(...)` and `(?:...)`, alternation `|`
+ * - Quantifiers `* + ? {n} {n,} {n,m}` (lazy forms accepted, same result)
+ * - Anchors `^` and `$` at the start and end of the input
+ * Matching is case-insensitive and runs in O(pattern × input) time whatever
+ * the pattern, so (a|aa)+$ or .*.*.*! cannot hang the caller.
+ * Backreferences, lookarounds and word boundaries need backtracking and
+ * are rejected.
+ */
+
+export const PATTERN_LIMITS = {
+  maxRepeat: 100,
+  maxInstructions: 5000
+};
+
+const Ops = {
+  CHAR: 0,
+  SPLIT: 1,
+  JMP: 2,
+  START: 3,
+  END: 4,
+  MATCH: 5
+};
+
+const isDigit = c => c >= '0' && c <= '9';
+const isWord = c => isDigit(c) || (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c === '_';
+const isSpace = c => /\s/.test(c);
+const isLineBreak = c => c === '\n' || c === '\r' || c === '\u2028' || c === '\u2029';
+
+const CLASS_ESCAPES = {
+  d: isDigit,
+  w: isWord,
+  s: isSpace,
+  D: c => !isDigit(c),
+  W: c => !isWord(c),
+  S: c => !isSpace(c)
+};
+
+const CHAR_ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v', 0: '\0' };
+
+function patternError(message, at) {
+  return Object.assign(new Error(`${message} at position ${at}`), { position: at });
+}
+
+// Case-insensitive: a character matches if it or its other case does
+function caseless(test) {
+  return c => test(c) || test(c.toLowerCase()) || test(c.toUpperCase());
+}
+
+// ============================================
+// PARSER
+// ============================================
+
+function createParser(source) {
+  let pos = 0;
+
+  const peek = () => source[pos];
+  const eat = (ch) => {
+    if (source[pos] !== ch) return false;
+    pos++;
+    return true;
+  };
+
+  function escape(inClass) {
+    const at = pos;
+    const ch = source[pos++];
+    if (ch === undefined) throw patternError('Pattern ends with \\', at);
+    if (Object.hasOwn(CLASS_ESCAPES, ch)) return { test: CLASS_ESCAPES[ch] };
+    if (Object.hasOwn(CHAR_ESCAPES, ch) && !(ch === '0' && isDigit(source[pos] || ''))) return { char: CHAR_ESCAPES[ch] };
+    if (isDigit(ch) || ch === 'k') throw patternError('Backreferences are not supported', at - 1);
+    if (ch === 'b' && inClass) return { char: '\b' };
+    if (/[a-zA-Z0-9]/.test(ch)) throw patternError(`Unsupported escape \\${ch}`, at - 1);
+    return { char: ch };
+  }
+
+  function charClass() {
+    const at = pos - 1;
+    const negated = eat('^');
+    const tests = [];
+    while (peek() !== ']') {
+      if (peek() === undefined) throw patternError('Unterminated character class', at);
+      const low = peek() === '\\' ? (pos++, escape(true)) : { char: source[pos++] };
+      if (peek() === '-' && source[pos + 1] !== ']' && source[pos + 1] !== undefined && low.char !== undefined) {
+        pos++;
+        const high = peek() === '\\' ? (pos++, escape(true)) : { char: source[pos++] };
+        if (high.char === undefined) throw patternError('Invalid class range', at);
+        if (high.char < low.char) throw patternError('Class range out of order', at);
+        tests.push(c => c >= low.char && c <= high.char);
+      } else {
+        tests.push(low.test || (c => c === low.char));
+      }
+    }
+    pos++;
+    const inClass = caseless(c => tests.some(test => test(c)));
+    return { type: 'char', test: negated ? c => !inClass(c) : inClass };
+  }
+
+  // {n}, {n,} or {n,m}; anything else is a literal brace, as in JavaScript
+  function bounds() {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+    if (max < min) throw patternError('Quantifier range out of order', pos);
+    if (min > PATTERN_LIMITS.maxRepeat || (max !== Infinity && max > PATTERN_LIMITS.maxRepeat)) {
+      throw patternError(`Repeat counts are limited to ${PATTERN_LIMITS.maxRepeat}`, pos);
+    }
+    pos += match[0].length;
+    return { min, max };
+  }
+
+  function atom() {
+    const at = pos;
+    const ch = source[pos++];
+    if (ch === '(') {
+      if (eat('?')) {
+        if (!eat(':')) throw patternError('Lookarounds and named groups are not supported', at);
+      }
+      const node = alternation();
+      if (!eat(')')) throw patternError('Unterminated group', at);
+      return node;
+    }
+    if (ch === '[') return charClass();
+    if (ch === '.') return { type: 'char', test: c => !isLineBreak(c) };
+    if (ch === '^') return { type: 'start' };
+    if (ch === '$') return { type: 'end' };
+    if (ch === '\\') {
+      const escaped = escape(false);
+      if (escaped.test) return { type: 'char', test: escaped.test };
+      const lower = escaped.char.toLowerCase();
+      return { type: 'char', test: c => c.toLowerCase() === lower };
+    }
+    if (ch === '*' || ch === '+' || ch === '?' || ch === ')') throw patternError(`Unexpected ${ch}`, at);
+    const lower = ch.toLowerCase();
+    return { type: 'char', test: c => c.toLowerCase() === lower };
+  }
+
+  function repeat() {
+    const node = atom();
+    let range = null;
+    if (eat('*')) range = { min: 0, max: Infinity };
+    else if (eat('+')) range = { min: 1, max: Infinity };
+    else if (eat('?')) range = { min: 0, max: 1 };
+    else if (peek() === '{') range = bounds();
+    if (!range) return node;
+    if (node.type === 'start' || node.type === 'end') throw patternError('Nothing to repeat', pos - 1);
+    // Lazy quantifiers only change which match is found, not whether one is
+    eat('?');
+    if (peek() === '*' || peek() === '+' || (peek() === '{' && bounds())) throw patternError('Nothing to repeat', pos);
+    return { type: 'repeat', node, ...range };
+  }
+
+  function sequence() {
+    const items = [];
+    while (pos < source.length && peek() !== '|' && peek() !== ')') items.push(repeat());
+    return { type: 'seq', items };
+  }
+
+  function alternation() {
+    const options = [sequence()];
+    while (eat('|')) options.push(sequence());
+    return options.length === 1 ? options[0] : { type: 'alt', options };
+  }
+
+  return {
+    parse() {
+      const node = alternation();
+      if (pos < source.length) throw patternError(`Unexpected ${peek()}`, pos);
+      return node;
+    }
+  };
+}
+
+// ============================================
+// COMPILER
+// ============================================
+
+function compileProgram(ast) {
+  const program = [];
+  const emit = (instruction) => {
+    if (program.length >= PATTERN_LIMITS.maxInstructions) {
+      throw new Error(`Pattern is too complex (over ${PATTERN_LIMITS.maxInstructions} instructions)`);
+    }
+    program.push(instruction);
+    return program.length - 1;
+  };
+
+  function optional(node) {
+    const split = emit({ op: Ops.SPLIT });
+    program[split].x = program.length;
+    gen(node);
+    program[split].y = program.length;
+  }
+
+  function star(node) {
+    const split = emit({ op: Ops.SPLIT });
+    program[split].x = program.length;
+    gen(node);
+    emit({ op: Ops.JMP, x: split });
+    program[split].y = program.length;
+  }
+
+  function gen(node) {
+    switch (node.type) {
+      case 'char':
+        emit({ op: Ops.CHAR, test: node.test });
+        break;
+      case 'start':
+        emit({ op: Ops.START });
+        break;
+      case 'end':
+        emit({ op: Ops.END });
+        break;
+      case 'seq':
+        node.items.forEach(gen);
+        break;
+      case 'alt': {
+        const jumps = [];
+        node.options.forEach((option, i) => {
+          if (i === node.options.length - 1) {
+            gen(option);
+            return;
+          }
+          const split = emit({ op: Ops.SPLIT });
+          program[split].x = program.length;
+          gen(option);
+          jumps.push(emit({ op: Ops.JMP }));
+          program[split].y = program.length;
+        });
+        jumps.forEach(jump => { program[jump].x = program.length; });
+        break;
+      }
+      case 'repeat': {
+        for (let i = 0; i < node.min; i++) gen(node.node);
+        if (node.max === Infinity) {
+          star(node.node);
+        } else {
+          for (let i = node.min; i < node.max; i++) optional(node.node);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown node ${node.type}`);
+    }
+  }
+
+  gen(ast);
+  emit({ op: Ops.MATCH });
+  return program;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Runs every NFA thread in lockstep over the input. Each instruction joins
+ * a step's thread list at most once, so the cost is bounded by
+ * program length × input length.
+ */
+function run(program, input) {
+  const seen = new Int32Array(program.length).fill(-1);
+  let generation = 0;
+
+  // Follows jumps, splits and anchors from pc; collects CHAR and MATCH states
+  const addThread = (list, startPc, index) => {
+    const stack = [startPc];
+    while (stack.length > 0) {
+      const pc = stack.pop();
+      if (seen[pc] === generation) continue;
+      seen[pc] = generation;
+      const instruction = program[pc];
+      switch (instruction.op) {
+        case Ops.JMP:
+          stack.push(instruction.x);
+          break;
+        case Ops.SPLIT:
+          stack.push(instruction.y, instruction.x);
+          break;
+        case Ops.START:
+          if (index === 0) stack.push(pc + 1);
+          break;
+        case Ops.END:
+          if (index === input.length) stack.push(pc + 1);
+          break;
+        default:
+          list.push(pc);
+      }
+    }
+  };
+
+  let current = [];
+  for (let index = 0; index <= input.length; index++) {
+    // A new thread at every position: the pattern may match anywhere
+    addThread(current, 0, index);
+    if (current.some(pc => program[pc].op === Ops.MATCH)) return true;
+    if (index === input.length) break;
+
+    generation += 1;
+    const next = [];
+    const c = input[index];
+    for (const pc of current) {
+      const instruction = program[pc];
+      if (instruction.op === Ops.CHAR && instruction.test(c)) addThread(next, pc + 1, index + 1);
+    }
+    current = next;
+  }
+  return false;
+}
+
+/**
+ * Compiles a pattern. Returns { matcher } with matcher.test(input), or
+ * { error } for syntax outside the supported subset.
+ */
+export function compilePattern(source) {
+  if (typeof source !== 'string') return { error: 'Pattern must be a string' };
+  try {
+    const program = compileProgram(createParser(source).parse());
+    return { matcher: { source, test: input => run(program, String(input)) } };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for lib/memoryRetention.js
+ *
+ * Test coverage for:
+ * - Policy validation and defaults
+ * - Age, feedback, pinning and token budget in the compaction plan
+ * - Clustering by service and topic
+ * - Summary records and their contributors
+ * - Forgetting memories and purging a user's contributions
+ * - Purge queries for mixed-case emails
+ *
+ * Run with: deno test functions/lib/memoryRetention.test.js
+ */
+
+import {
+  RETENTION_DEFAULTS,
+  validatePolicy,
+  clusterMemories,
+  planCompaction,
+  summaryRecord,
+  planForget,
+  planUserPurge,
+  userPurgeQueries
+} from './memoryRetention.js';
+
+const NOW = '2026-06-01T00:00:00Z';
+
+function daysAgo(days) {
+  return new Date(Date.parse(NOW) - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function memory(id, days, overrides = {}) {
+  return {
+    id,
+    project_id: 'p1',
+    created_by: 'ana@example.com',
+    created_date: daysAgo(days),
+    interaction_type: 'analysis',
+    user_prompt: 'How should the payment service publish events?',
+    ai_response: 'Publish payment events to the event bus with an outbox table.',
+    metadata: { user_feedback: 'pending', service_ids: ['payments'] },
+    token_count: 100,
+    ...overrides
+  };
+}
+
+Deno.test('validatePolicy - defaults, ranges and unknown fields', () => {
+  const empty = validatePolicy(undefined);
+  if (!empty.valid || JSON.stringify(empty.policy) !== JSON.stringify(RETENTION_DEFAULTS)) throw new Error(JSON.stringify(empty));
+
+  const kept = validatePolicy({ max_age_days: 7, delete_archived_after_days: null });
+  if (!kept.valid || kept.policy.max_age_days !== 7 || kept.policy.delete_archived_after_days !== null) throw new Error(JSON.stringify(kept));
+
+  const bad = validatePolicy({ max_age_days: 0.5, archive_rejected: 'yes', keep_forever: true });
+  if (bad.valid || bad.errors.length !== 3) throw new Error(JSON.stringify(bad.errors));
+  const inverted = validatePolicy({ max_age_days: 60, accepted_max_age_days: 30 });
+  if (inverted.valid) throw new Error('Accepted memories cannot expire before the rest');
+});
+
+Deno.test('planCompaction - age, feedback, pins and expired archives', () => {
+  const memories = [
+    memory('old', 40),
+    memory('accepted', 40, { metadata: { user_feedback: 'accepted' } }),
+    memory('pinned', 400, { is_pinned: true }),
+    memory('rejected', 2, { metadata: { user_feedback: 'rejected' } }),
+    memory('fresh', 2),
+    memory('legacy', 90, { is_summarized: true, context_summary: 'Old whole-project summary.' }),
+    memory('gone', 300, { is_archived: true, archived_date: daysAgo(200) }),
+    memory('recent-archive', 300, { is_archived: true, archived_date: daysAgo(10) })
+  ];
+  const plan = planCompaction(memories, {}, NOW);
+
+  const compacted = plan.clusters.flatMap(c => c.memory_ids);
+  if (compacted.join() !== 'old') throw new Error(`Only the expired interaction should be compacted: ${compacted}`);
+  if (plan.archive.join() !== 'rejected') throw new Error(`Rejected answers are archived: ${plan.archive}`);
+  if (plan.delete.join() !== 'gone') throw new Error(`Only long-archived rows are deleted: ${plan.delete}`);
+  if (plan.counts.pinned !== 1 || plan.counts.archived !== 2) throw new Error(JSON.stringify(plan.counts));
+
+  const keepArchives = planCompaction(memories, { delete_archived_after_days: null, archive_rejected: false }, NOW);
+  if (keepArchives.delete.length !== 0 || keepArchives.archive.length !== 0) throw new Error('The policy can keep archives and rejected answers');
+});
+
+Deno.test('planCompaction - the token budget compacts the oldest first', () => {
+  const memories = [1, 2, 3, 4, 5].map(i => memory(`m${i}`, i, { token_count: 400 }));
+  const plan = planCompaction(memories, { max_active_tokens: 1000 }, NOW);
+  const compacted = plan.clusters.flatMap(c => c.memory_ids).sort();
+  if (compacted.join() !== 'm3,m4,m5') throw new Error(`Expected the three oldest: ${compacted}`);
+  if (plan.tokens.active !== 2000 || plan.tokens.after > 1000) throw new Error(JSON.stringify(plan.tokens));
+});
+
+Deno.test('clusterMemories and summaryRecord - grouped by service and topic', () => {
+  const memories = [
+    memory('a', 50),
+    memory('b', 45, { user_prompt: 'Payment service events', ai_response: 'Use the event bus outbox for payment events.', created_by: 'Ben@example.com' }),
+    memory('c', 44, { user_prompt: 'Tune the Redis cache eviction', ai_response: 'Use LRU eviction with a memory cap.' }),
+    memory('d', 43, { metadata: { service_ids: ['orders'] } })
+  ];
+  const clusters = clusterMemories(memories);
+  const groups = clusters.map(c => `${c.service_id}:${c.memory_ids.join('+')}`).sort();
+  if (groups.join() !== 'orders:d,payments:a+b,payments:c') throw new Error(`Unexpected clusters: ${groups}`);
+
+  const payments = clusters.find(c => c.memory_ids.includes('a'));
+  const summary = summaryRecord('p1', payments, memories, 'Payments publish through an outbox.', NOW);
+  if (!summary.is_summarized || summary.metadata.summary_of.join() !== 'a,b') throw new Error(JSON.stringify(summary.metadata));
+  if (summary.metadata.contributors.join() !== 'ana@example.com,ben@example.com') throw new Error(`Contributors: ${summary.metadata.contributors}`);
+  if (!summary.metadata.tags.includes('summary') || summary.related_entities.service_id !== 'payments') throw new Error(JSON.stringify(summary));
+});
+
+Deno.test('planForget and planUserPurge - summaries never outlive their sources', () => {
+  const memories = [
+    memory('a', 50, { is_archived: true }),
+    memory('b', 45, { is_archived: true, created_by: 'ben@example.com' }),
+    memory('c', 44, { created_by: 'ben@example.com' }),
+    memory('s', 1, { is_summarized: true, context_summary: 'x', metadata: { summary_of: ['a', 'b'], contributors: ['ana@example.com', 'ben@example.com'] } })
+  ];
+
+  const summary = planForget(memories, ['s']);
+  if (summary.delete.sort().join() !== 'a,b,s' || summary.restore.length !== 0) throw new Error(JSON.stringify(summary));
+
+  const source = planForget(memories, ['a']);
+  if (source.delete.sort().join() !== 'a,s' || source.restore.join() !== 'b') throw new Error(JSON.stringify(source));
+
+  const purge = planUserPurge(memories, 'BEN@example.com');
+  if (purge.delete.sort().join() !== 'b,c,s' || purge.restore.join() !== 'a') throw new Error(JSON.stringify(purge));
+  if (planUserPurge(memories, '').delete.length !== 0) throw new Error('An empty email purges nothing');
+});
+
+Deno.test('planUserPurge and userPurgeQueries - mixed-case emails', () => {
+  const memories = [
+    memory('a', 50, { is_archived: true }),
+    memory('b', 45, { is_archived: true, created_by: 'Ben@Example.com' }),
+    memory('s', 1, { is_summarized: true, context_summary: 'x', metadata: { summary_of: ['a', 'b'], contributors: ['ana@example.com', 'ben@example.com'] } })
+  ];
+  const purge = planUserPurge(memories, 'Ben@Example.com');
+  if (purge.delete.sort().join() !== 'b,s' || purge.restore.join() !== 'a') throw new Error(JSON.stringify(purge));
+
+  const queries = userPurgeQueries(' Ben@Example.com ');
+  if (queries.authored.created_by.$in.join() !== 'Ben@Example.com,ben@example.com') throw new Error(JSON.stringify(queries.authored));
+  if (queries.summaries['metadata.contributors'] !== 'ben@example.com' || !queries.summaries.is_summarized) {
+    throw new Error(JSON.stringify(queries.summaries));
+  }
+  if (userPurgeQueries('ben@example.com').authored.created_by.$in.length !== 1) throw new Error('Lower-case emails need one form');
+  if (userPurgeQueries('  ') !== null) throw new Error('An empty email has no queries');
+});
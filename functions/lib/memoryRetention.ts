@@ -0,0 +1,389 @@
+/**
+ * AI Memory Retention
+ * AXIS: AI, Privacy
+ *
+ * Decides what happens to a project's AIContextMemory rows:
+ * - Interactions older than the retention age, or the oldest ones once
+ *   active memory exceeds its token budget, are clustered by service and
+ *   topic, and each cluster is replaced by one summary
+ * - The raw rows behind a summary are archived, then deleted once they have
+ *   been archived longer than the policy keeps them
+ * - Rejected answers are archived without being summarised; accepted ones
+ *   stay raw for longer
+ * - Pinned memories are never compacted, archived or deleted
+ *
+ * Forgetting a memory, or purging everything one user wrote, also deletes
+ * the summaries built from it and restores the other rows those summaries
+ * covered, so nothing forgotten lives on inside a summary.
+ *
+ * A summary is an AIContextMemory row with is_summarized: true and
+ * metadata.summary_of listing the rows it replaces; metadata.contributors
+ * keeps their authors after the raw rows are gone. Pure; the LLM calls and
+ * writes happen in manageAIMemory.
+ */
+
+import { lexicalVector, estimateTokens } from './contextIndex.js';
+
+export const RETENTION_DEFAULTS = {
+  max_age_days: 30,
+  accepted_max_age_days: 90,
+  max_active_tokens: 50000,
+  archive_rejected: true,
+  // null keeps archived rows forever
+  delete_archived_after_days: 180
+};
+
+const POLICY_RANGES = {
+  max_age_days: [1, 3650],
+  accepted_max_age_days: [1, 3650],
+  max_active_tokens: [1000, 10000000],
+  delete_archived_after_days: [1, 3650]
+};
+
+export const CLUSTER_LIMITS = {
+  // Lexical vector similarity needed to join an existing cluster
+  similarity: 0.3,
+  max_size: 12,
+  max_tokens: 6000
+};
+
+// Per interaction, in the summary prompt
+const PROMPT_EXCERPT_CHARS = 1500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// POLICY
+// ============================================
+
+/**
+ * Validates a partial policy and fills in the defaults.
+ * Returns { valid, errors, policy }.
+ */
+export function validatePolicy(input) {
+  const errors = [];
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { valid: false, errors: ['policy must be an object'], policy: { ...RETENTION_DEFAULTS } };
+  }
+
+  const policy = { ...RETENTION_DEFAULTS };
+  for (const [key, value] of Object.entries(input || {})) {
+    if (!(key in RETENTION_DEFAULTS)) {
+      errors.push(`Unknown policy field: ${key}`);
+    } else if (key === 'archive_rejected') {
+      if (typeof value !== 'boolean') errors.push('archive_rejected must be true or false');
+      else policy.archive_rejected = value;
+    } else if (key === 'delete_archived_after_days' && value === null) {
+      policy.delete_archived_after_days = null;
+    } else {
+      const [min, max] = POLICY_RANGES[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${key} must be a whole number from ${min} to ${max}`);
+      } else {
+        policy[key] = value;
+      }
+    }
+  }
+  if (policy.accepted_max_age_days < policy.max_age_days) {
+    errors.push('accepted_max_age_days cannot be shorter than max_age_days');
+  }
+  return { valid: errors.length === 0, errors, policy };
+}
+
+// ============================================
+// MEMORY STATE
+// ============================================
+
+export function isSummary(memory) {
+  return Array.isArray(memory.metadata?.summary_of);
+}
+
+export function memoryText(memory) {
+  return memory.is_summarized
+    ? String(memory.context_summary || '')
+    : `${memory.user_prompt || ''}\n${memory.ai_response || ''}`;
+}
+
+export function memoryTokens(memory) {
+  return Number.isFinite(memory.token_count) && memory.token_count > 0
+    ? memory.token_count
+    : estimateTokens(memoryText(memory));
+}
+
+/** The service a memory is about, or null for project-wide ones. */
+export function memoryScope(memory) {
+  return memory.metadata?.service_ids?.[0] || memory.related_entities?.service_id || null;
+}
+
+function author(memory) {
+  return String(memory.created_by || '').toLowerCase();
+}
+
+function ageInDays(date, nowMs) {
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? 0 : (nowMs - time) / DAY_MS;
+}
+
+function oldestFirst(a, b) {
+  return String(a.created_date || '').localeCompare(String(b.created_date || '')) || String(a.id).localeCompare(String(b.id));
+}
+
+// ============================================
+// CLUSTERING
+// ============================================
+
+function mostCommon(values) {
+  const counts = Object.create(null);
+  for (const value of values) counts[value] = (counts[value] || 0) + 1;
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))[0] || null;
+}
+
+/**
+ * Groups memories by service, then greedily by topic: oldest first, each
+ * memory joins the most similar open cluster in its scope, or starts one.
+ * Clusters stay under CLUSTER_LIMITS so a summary prompt stays bounded.
+ */
+export function clusterMemories(memories, limits) {
+  const settings = { ...CLUSTER_LIMITS, ...(limits || {}) };
+  const scopes = Object.create(null);
+  for (const memory of [...memories].sort(oldestFirst)) {
+    const scope = memoryScope(memory) || '';
+    (scopes[scope] = scopes[scope] || []).push(memory);
+  }
+
+  const clusters = [];
+  for (const scope of Object.keys(scopes).sort()) {
+    const open = [];
+    for (const memory of scopes[scope]) {
+      const vector = lexicalVector(memoryText(memory));
+      const tokens = memoryTokens(memory);
+      let best = null;
+      let bestSimilarity = settings.similarity;
+      for (const cluster of open) {
+        if (cluster.memories.length >= settings.max_size || cluster.tokens + tokens > settings.max_tokens) continue;
+        const norm = Math.sqrt(cluster.sum.reduce((total, value) => total + value * value, 0)) || 1;
+        const similarity = cluster.sum.reduce((total, value, i) => total + value * vector[i], 0) / norm;
+        if (similarity >= bestSimilarity) {
+          best = cluster;
+          bestSimilarity = similarity;
+        }
+      }
+      if (best) {
+        best.memories.push(memory);
+        best.tokens += tokens;
+        best.sum = best.sum.map((value, i) => value + vector[i]);
+      } else {
+        open.push({ memories: [memory], tokens, sum: vector });
+      }
+    }
+
+    for (const cluster of open) {
+      clusters.push({
+        service_id: scope || null,
+        interaction_type: mostCommon(cluster.memories.map(m => m.interaction_type || 'analysis')),
+        memory_ids: cluster.memories.map(m => m.id),
+        tokens: cluster.tokens,
+        from: cluster.memories[0].created_date || null,
+        to: cluster.memories[cluster.memories.length - 1].created_date || null
+      });
+    }
+  }
+  return clusters;
+}
+
+// ============================================
+// COMPACTION PLAN
+// ============================================
+
+/**
+ * What a compaction run would do to `memories` (one project's rows) under
+ * `policy` at time `now` (ISO string or epoch ms).
+ *
+ * Returns { policy, clusters, archive, delete, tokens: { active, after,
+ * budget }, counts }. `archive` lists rows archived without a summary and
+ * `delete` archived rows past their retention; `tokens.after` assumes each
+ * summary costs a tenth of the rows it replaces.
+ */
+export function planCompaction(memories, policy, now) {
+  const settings = { ...RETENTION_DEFAULTS, ...(policy || {}) };
+  const nowMs = typeof now === 'number' ? now : Date.parse(now || new Date().toISOString());
+
+  const live = memories.filter(m => !m.is_archived);
+  // Rows the old whole-project summariser rewrote count as summaries
+  const raw = live.filter(m => !m.is_summarized && !m.is_pinned);
+  const kept = live.filter(m => m.is_summarized || m.is_pinned);
+
+  const rejected = settings.archive_rejected ? raw.filter(m => m.metadata?.user_feedback === 'rejected') : [];
+  const candidates = raw.filter(m => !rejected.includes(m)).sort(oldestFirst);
+  const due = candidates.filter(m => {
+    const limit = m.metadata?.user_feedback === 'accepted' ? settings.accepted_max_age_days : settings.max_age_days;
+    return ageInDays(m.created_date, nowMs) > limit;
+  });
+
+  // Over budget: compact the oldest of what is left until it fits
+  const sum = (rows) => rows.reduce((total, m) => total + memoryTokens(m), 0);
+  const active = sum(live);
+  let remaining = sum(kept) + sum(candidates) - sum(due);
+  for (const memory of candidates) {
+    if (remaining <= settings.max_active_tokens) break;
+    if (due.includes(memory)) continue;
+    due.push(memory);
+    remaining -= memoryTokens(memory);
+  }
+
+  const clusters = clusterMemories(due);
+  const expired = settings.delete_archived_after_days === null
+    ? []
+    : memories.filter(m => m.is_archived && !m.is_pinned
+      && ageInDays(m.archived_date || m.updated_date || m.created_date, nowMs) > settings.delete_archived_after_days);
+
+  return {
+    policy: settings,
+    clusters,
+    archive: rejected.map(m => m.id),
+    delete: expired.map(m => m.id),
+    tokens: {
+      active,
+      after: remaining + clusters.reduce((total, c) => total + Math.ceil(c.tokens / 10), 0),
+      budget: settings.max_active_tokens
+    },
+    counts: {
+      memories: memories.length,
+      pinned: memories.filter(m => m.is_pinned).length,
+      summaries: live.filter(isSummary).length,
+      archived: memories.filter(m => m.is_archived).length,
+      to_compact: due.length,
+      to_archive: rejected.length,
+      to_delete: expired.length
+    }
+  };
+}
+
+// ============================================
+// SUMMARIES
+// ============================================
+
+export function buildSummaryPrompt(project, cluster, memories) {
+  const rows = cluster.memory_ids.map(id => memories.find(m => m.id === id)).filter(Boolean);
+  const excerpt = (text) => text.length > PROMPT_EXCERPT_CHARS ? `${text.slice(0, PROMPT_EXCERPT_CHARS)}...` : text;
+
+  return `Compact these AI assistant interactions from the project "${project.name}" into one memory for future sessions.
+
+${rows.map((m, i) => `--- Interaction ${i + 1} (${m.interaction_type || 'analysis'}, ${m.created_date || 'undated'}, feedback: ${m.metadata?.user_feedback || 'pending'})
+${m.is_summarized ? `Summary: ${excerpt(String(m.context_summary || ''))}` : `Request: ${excerpt(String(m.user_prompt || ''))}
+Response: ${excerpt(String(m.ai_response || ''))}`}`).join('\n\n')}
+
+Write a concise summary (at most 200 words) that keeps:
+- Decisions made and the reasons for them
+- Patterns, conventions and technologies chosen
+- Outcomes, and which suggestions were accepted or rejected
+
+Leave out names, email addresses and other personal details.`;
+}
+
+function union(lists) {
+  return [...new Set(lists.flat().filter(Boolean))];
+}
+
+/** The AIContextMemory fields of the summary that replaces `cluster`. */
+export function summaryRecord(projectId, cluster, memories, summary, now) {
+  const rows = cluster.memory_ids.map(id => memories.find(m => m.id === id)).filter(Boolean);
+  const confidences = rows.map(m => m.metadata?.confidence_score).filter(Number.isFinite);
+
+  return {
+    project_id: projectId,
+    interaction_type: cluster.interaction_type,
+    user_prompt: `Summary of ${rows.length} interaction(s)`,
+    ai_response: '',
+    context_summary: summary,
+    is_summarized: true,
+    metadata: {
+      summary_of: cluster.memory_ids,
+      contributors: union(rows.map(m => [author(m)])),
+      period: { from: cluster.from, to: cluster.to },
+      service_ids: union(rows.map(m => m.metadata?.service_ids || [])),
+      technologies: union(rows.map(m => m.metadata?.technologies || [])),
+      tags: union([...rows.map(m => m.metadata?.tags || []), ['summary']]),
+      confidence_score: confidences.length > 0
+        ? Math.round(confidences.reduce((total, c) => total + c, 0) / confidences.length * 100) / 100
+        : 0.8,
+      user_feedback: rows.some(m => m.metadata?.user_feedback === 'accepted') ? 'accepted' : 'pending',
+      compacted_at: now
+    },
+    related_entities: cluster.service_id ? { service_id: cluster.service_id } : {},
+    token_count: estimateTokens(summary)
+  };
+}
+
+export function archiveFields(summaryId, now) {
+  return { is_archived: true, archived_date: now, archived_by_summary: summaryId || null };
+}
+
+// ============================================
+// FORGET AND PURGE
+// ============================================
+
+/**
+ * Rows to delete and restore when `ids` are forgotten. Forgetting a summary
+ * forgets the archived rows it replaced; forgetting a raw row also deletes
+ * any summary built from it, and the other rows of that summary are
+ * restored so the next compaction summarises them again.
+ * Returns { delete: [id], restore: [id] }.
+ */
+export function planForget(memories, ids) {
+  return forget(memories, ids, []);
+}
+
+/**
+ * Everything `email` wrote, and every summary they contributed to, across
+ * `memories`. Other people's rows behind those summaries are restored
+ * rather than deleted. Returns { delete, restore } as planForget does.
+ */
+export function planUserPurge(memories, email) {
+  const target = String(email || '').toLowerCase();
+  if (!target) return { delete: [], restore: [] };
+  const authored = memories.filter(m => author(m) === target).map(m => m.id);
+  const contributed = memories
+    .filter(m => isSummary(m) && (m.metadata.contributors || []).includes(target))
+    .map(m => m.id);
+  return forget(memories, authored, contributed);
+}
+
+/**
+ * Entity queries that find what planUserPurge needs across all projects.
+ * created_by keeps the case the email was stored with while contributors
+ * are lower-cased, so both forms are queried.
+ * Returns { authored, summaries }, or null for an empty email.
+ */
+export function userPurgeQueries(email) {
+  const stored = String(email || '').trim();
+  if (!stored) return null;
+  const forms = [...new Set([stored, stored.toLowerCase()])];
+  return {
+    authored: { created_by: { $in: forms } },
+    summaries: { is_summarized: true, 'metadata.contributors': stored.toLowerCase() }
+  };
+}
+
+// `tainted` summaries go without taking their archived rows along
+function forget(memories, ids, tainted) {
+  const byId = new Map(memories.map(m => [m.id, m]));
+  const doomed = new Set(ids.filter(id => byId.has(id)));
+
+  for (const id of [...doomed]) {
+    const memory = byId.get(id);
+    if (!isSummary(memory) || tainted.includes(id)) continue;
+    for (const covered of memory.metadata.summary_of) {
+      if (byId.get(covered)?.is_archived) doomed.add(covered);
+    }
+  }
+
+  const broken = memories.filter(m => isSummary(m) && !doomed.has(m.id)
+    && (tainted.includes(m.id) || m.metadata.summary_of.some(covered => doomed.has(covered))));
+  broken.forEach(m => doomed.add(m.id));
+
+  const restore = union(broken.map(m => m.metadata.summary_of))
+    .filter(id => !doomed.has(id) && byId.get(id)?.is_archived);
+
+  return { delete: [...doomed], restore };
+}
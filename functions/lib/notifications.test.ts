@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for lib/notifications.js
+ *
+ * Test coverage for:
+ * - Template rendering and fallbacks
+ * - Channel resolution from preferences
+ * - Retry with backoff and persisted retry scheduling
+ * - Weekly report digests
+ * - Per-project mute rules and inbox items
+ *
+ * Run with: deno test functions/lib/notifications.test.js
+ */
+
+import {
+  Channels,
+  DeliveryStatuses,
+  MAX_DELIVERY_ATTEMPTS,
+  DIGEST_WINDOW_MS,
+  renderTemplate,
+  renderNotification,
+  resolveChannels,
+  isMuted,
+  shouldDigest,
+  buildInboxItem,
+  toSlackMessage,
+  deliverWithRetry,
+  buildAttemptUpdate,
+  isDigestDue,
+  buildDigest,
+  planDigestOutcome
+} from './notifications.js';
+
+Deno.test('renderTemplate - fills fields and fallbacks', () => {
+  const text = renderTemplate('{{a}} / {{b|none}} / {{c}}', { a: 'x', b: '', c: 0 });
+  if (text !== 'x / none / 0') {
+    throw new Error(`Unexpected render: ${text}`);
+  }
+});
+
+Deno.test('renderNotification - uses the per-type template', () => {
+  const { subject, body } = renderNotification('security_alert', { title: 'XSS', severity: 'high' });
+  if (subject !== '🚨 Security Alert: XSS') {
+    throw new Error(`Unexpected subject: ${subject}`);
+  }
+  if (!body.includes('**Severity:** high') || !body.endsWith('ArchDesigner Security Scanner')) {
+    throw new Error(`Unexpected body: ${body}`);
+  }
+
+  const bare = renderNotification('weekly_report', {}, { footer: false });
+  if (bare.body.includes('ArchDesigner Analytics')) {
+    throw new Error('Footer should be omitted when requested');
+  }
+});
+
+Deno.test('resolveChannels - follows preferences', () => {
+  const cases = [
+    [undefined, 'custom', [Channels.EMAIL]],
+    [{ emailNotifications: false }, 'custom', []],
+    [{ emailNotifications: false }, 'security_alert', [Channels.EMAIL]],
+    [{ slackNotifications: true }, 'custom', [Channels.EMAIL]],
+    [
+      { slackNotifications: true, slackWebhookUrl: 'https://hooks.example.com/a', webhookNotifications: true, webhookUrl: 'https://example.com/b' },
+      'custom',
+      [Channels.EMAIL, Channels.SLACK, Channels.WEBHOOK]
+    ]
+  ];
+
+  for (const [prefs, type, expected] of cases) {
+    const channels = resolveChannels(prefs, type);
+    if (channels.join() !== expected.join()) {
+      throw new Error(`Expected ${expected} for ${JSON.stringify(prefs)}, got ${channels}`);
+    }
+  }
+});
+
+Deno.test('shouldDigest - only weekly reports, on by default', () => {
+  if (!shouldDigest({}, 'weekly_report') || shouldDigest({ weeklyReportDigest: false }, 'weekly_report')) {
+    throw new Error('weekly_report digest should follow weeklyReportDigest');
+  }
+  if (shouldDigest({}, 'security_alert')) {
+    throw new Error('Only weekly reports are digested');
+  }
+});
+
+Deno.test('toSlackMessage - converts bold markers', () => {
+  const { text } = toSlackMessage({ subject: 'Done', body: '**Env:** prod' });
+  if (text !== '*Done*\n\n*Env:* prod') {
+    throw new Error(`Unexpected Slack text: ${text}`);
+  }
+});
+
+Deno.test('deliverWithRetry - backs off and stops on non-retryable errors', async () => {
+  const delays = [];
+  const sleep = (ms) => { delays.push(ms); return Promise.resolve(); };
+
+  let calls = 0;
+  const flaky = await deliverWithRetry(() => {
+    calls++;
+    return calls < 3 ? Promise.reject(new Error('503')) : Promise.resolve();
+  }, { baseDelayMs: 100, sleep });
+  if (!flaky.ok || flaky.attempts !== 3 || delays.join() !== '100,200') {
+    throw new Error(`Unexpected retry result: ${JSON.stringify(flaky)} delays=${delays}`);
+  }
+
+  const rejected = await deliverWithRetry(() => {
+    const error = new Error('400');
+    error.retryable = false;
+    return Promise.reject(error);
+  }, { sleep });
+  if (rejected.ok || rejected.attempts !== 1 || rejected.retryable) {
+    throw new Error(`Non-retryable error should stop at once: ${JSON.stringify(rejected)}`);
+  }
+});
+
+Deno.test('buildAttemptUpdate - schedules retries until the limit', () => {
+  const now = new Date('2025-01-01T00:00:00Z');
+  const failure = { ok: false, attempts: 3, retryable: true, error: 'timeout' };
+
+  const first = buildAttemptUpdate(0, failure, now);
+  if (first.status !== DeliveryStatuses.RETRYING || first.next_attempt_at !== '2025-01-01T00:01:00.000Z') {
+    throw new Error(`Unexpected first update: ${JSON.stringify(first)}`);
+  }
+
+  const last = buildAttemptUpdate(MAX_DELIVERY_ATTEMPTS - 1, { ...failure, attempts: 1 }, now);
+  if (last.status !== DeliveryStatuses.FAILED || last.next_attempt_at !== null) {
+    throw new Error(`Exhausted delivery should fail: ${JSON.stringify(last)}`);
+  }
+
+  const delivered = buildAttemptUpdate(4, { ok: true, attempts: 1 }, now);
+  if (delivered.status !== DeliveryStatuses.DELIVERED || delivered.attempts !== 5) {
+    throw new Error(`Unexpected success update: ${JSON.stringify(delivered)}`);
+  }
+});
+
+Deno.test('digests - due after the window and combined per recipient', () => {
+  const now = Date.parse('2025-01-01T02:00:00Z');
+  const fresh = [{ created_date: new Date(now - 1000).toISOString() }];
+  const stale = [...fresh, { created_date: new Date(now - DIGEST_WINDOW_MS).toISOString() }];
+  if (isDigestDue(fresh, now) || !isDigestDue(stale, now) || isDigestDue([], now)) {
+    throw new Error('Digest should be due once the oldest item has waited a full window');
+  }
+
+  const digest = buildDigest([
+    { subject: 'Report A', body: 'a' },
+    { subject: 'Report B', body: 'b' }
+  ]);
+  if (!digest.subject.includes('2 project reports') || !digest.body.includes('## Report B')) {
+    throw new Error(`Unexpected digest: ${JSON.stringify(digest)}`);
+  }
+});
+
+Deno.test('planDigestOutcome - items stay pending until a channel delivers', () => {
+  const failed = planDigestOutcome([
+    { id: 'd1', status: DeliveryStatuses.RETRYING },
+    { id: 'd2', status: DeliveryStatuses.FAILED }
+  ]);
+  if (failed.itemUpdate !== null || failed.superseded.join() !== 'd1') {
+    throw new Error(`Failed digests should leave items pending: ${JSON.stringify(failed)}`);
+  }
+  if (planDigestOutcome([]).itemUpdate !== null) {
+    throw new Error('A digest with no channels was not delivered');
+  }
+
+  const delivered = planDigestOutcome([
+    { id: 'd1', status: DeliveryStatuses.RETRYING },
+    { id: 'd2', status: DeliveryStatuses.DELIVERED }
+  ]);
+  if (delivered.itemUpdate?.status !== DeliveryStatuses.DIGESTED || delivered.itemUpdate.digest_delivery_id !== 'd2' || delivered.superseded.length !== 0) {
+    throw new Error(`Delivered digests should mark items digested: ${JSON.stringify(delivered)}`);
+  }
+});
+
+Deno.test('isMuted - applies per-project type rules', () => {
+  const prefs = { projectMutes: { p1: ['deployment_complete'] } };
+  const cases = [
+    [prefs, 'p1', 'deployment_complete', true],
+    [prefs, 'p1', 'security_alert', false],
+    [prefs, 'p2', 'deployment_complete', false],
+    [prefs, undefined, 'deployment_complete', false],
+    [{}, 'p1', 'deployment_complete', false]
+  ];
+
+  for (const [preferences, projectId, type, expected] of cases) {
+    if (isMuted(preferences, projectId, type) !== expected) {
+      throw new Error(`Expected isMuted(${projectId}, ${type}) to be ${expected}`);
+    }
+  }
+});
+
+Deno.test('buildInboxItem - creates an unread item', () => {
+  const item = buildInboxItem({
+    recipient: 'dev@example.com',
+    type: 'task_assigned',
+    subject: 'Task Assigned: Fix login',
+    body: 'details',
+    project_id: 'p1'
+  }, 'cid-1');
+
+  if (item.read !== false || item.title !== 'Task Assigned: Fix login' || item.project_name !== null) {
+    throw new Error(`Unexpected inbox item: ${JSON.stringify(item)}`);
+  }
+});
@@ -0,0 +1,334 @@
+/**
+ * Notification Delivery
+ * AXIS: Reliability, Security
+ *
+ * Helpers for sendNotification:
+ * - Per-type templates with {{field|fallback}} placeholders
+ * - Channel resolution from user preferences (email, Slack, webhook)
+ * - Slack-compatible and generic webhook payloads
+ * - Delivery retries with backoff and persisted retry scheduling
+ * - Weekly report digests
+ * - In-app inbox items and per-project mute rules
+ */
+
+export const NOTIFICATION_TYPES = ['security_alert', 'deployment_complete', 'task_assigned', 'weekly_report', 'custom'];
+
+export const Channels = {
+  EMAIL: 'email',
+  SLACK: 'slack',
+  WEBHOOK: 'webhook'
+};
+
+export const DeliveryStatuses = {
+  DELIVERED: 'delivered',
+  RETRYING: 'retrying',
+  FAILED: 'failed',
+  DIGEST_PENDING: 'digest_pending',
+  DIGESTED: 'digested'
+};
+
+// Also written to the recipient's in-app inbox as Notification records
+export const INBOX_TYPES = ['security_alert', 'deployment_complete', 'task_assigned'];
+
+// Sent by email even when the recipient has switched every channel off
+export const CRITICAL_TYPES = ['security_alert'];
+
+// Queued and sent as one message per recipient when weeklyReportDigest is on
+export const DIGEST_TYPES = ['weekly_report'];
+export const DIGEST_WINDOW_MS = 3600000; // 1 hour
+
+// Attempts made inside the request, then the scheduled retries after it
+export const IMMEDIATE_ATTEMPTS = 3;
+const RETRY_SCHEDULE_MINUTES = [1, 5, 15, 60, 240];
+export const MAX_DELIVERY_ATTEMPTS = IMMEDIATE_ATTEMPTS + RETRY_SCHEDULE_MINUTES.length;
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+export const NOTIFICATION_TEMPLATES = {
+  security_alert: {
+    subject: '🚨 Security Alert: {{title|New Finding}}',
+    body: `A security issue has been detected in your project.
+
+**Severity:** {{severity|Unknown}}
+**Category:** {{category|General}}
+
+**Description:**
+{{description}}
+
+**Recommended Action:**
+{{remediation|Please review and address this issue.}}`,
+    footer: 'ArchDesigner Security Scanner'
+  },
+  deployment_complete: {
+    subject: '✅ Deployment Complete: {{environment|Production}}',
+    body: `Your deployment has completed successfully.
+
+**Project:** {{project_name|Unknown}}
+**Environment:** {{environment|Production}}
+**Version:** {{version|Latest}}
+**Deployed by:** {{sender_name}}`,
+    footer: 'ArchDesigner CI/CD'
+  },
+  task_assigned: {
+    subject: '📋 Task Assigned: {{task_title|New Task}}',
+    body: `You have been assigned a new task.
+
+**Task:** {{task_title}}
+**Priority:** {{priority|Medium}}
+**Due Date:** {{due_date|Not set}}
+
+**Description:**
+{{description|No description provided.}}`,
+    footer: 'ArchDesigner Task Manager'
+  },
+  weekly_report: {
+    subject: '📊 Weekly Project Report',
+    body: `Here's your weekly project summary.
+
+**Project:** {{project_name}}
+**Period:** {{period}}
+
+**Highlights:**
+- Tasks Completed: {{tasks_completed|0}}
+- Security Score: {{security_score|N/A}}
+- API Health: {{api_health|N/A}}`,
+    footer: 'ArchDesigner Analytics'
+  },
+  custom: {
+    subject: '{{subject}}',
+    body: '{{message}}'
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)(?:\|([^}]*))?\}\}/g;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Replaces {{field}} and {{field|fallback}} with values from `vars`.
+ * Missing fields without a fallback render as an empty string.
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(PLACEHOLDER_PATTERN, (_, field, fallback) =>
+    isBlank(vars[field]) ? (fallback ?? '') : String(vars[field])
+  );
+}
+
+function withFooter(body, footer) {
+  return footer ? `${body}\n\n---\n${footer}` : body;
+}
+
+/**
+ * Renders the template for `type` into { subject, body }. `vars` should
+ * already be sanitised. Digest items are rendered without the footer.
+ */
+export function renderNotification(type, vars, { footer = true } = {}) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  const body = renderTemplate(template.body, vars);
+  return {
+    subject: renderTemplate(template.subject, vars),
+    body: footer ? withFooter(body, template.footer) : body
+  };
+}
+
+// ============================================
+// CHANNELS
+// ============================================
+
+/**
+ * Picks delivery channels from a user's saved preferences:
+ * emailNotifications (default on), slackNotifications + slackWebhookUrl,
+ * webhookNotifications + webhookUrl. Returns channel names in send order.
+ */
+export function resolveChannels(preferences, type) {
+  const prefs = preferences || {};
+  const channels = [];
+
+  if (prefs.emailNotifications !== false) channels.push(Channels.EMAIL);
+  if (prefs.slackNotifications && prefs.slackWebhookUrl) channels.push(Channels.SLACK);
+  if (prefs.webhookNotifications && prefs.webhookUrl) channels.push(Channels.WEBHOOK);
+
+  if (channels.length === 0 && CRITICAL_TYPES.includes(type)) {
+    channels.push(Channels.EMAIL);
+  }
+  return channels;
+}
+
+/**
+ * `projectMutes` maps a project ID to the notification types the user has
+ * muted for it. Muted notifications are not delivered on any channel.
+ */
+export function isMuted(preferences, projectId, type) {
+  if (!projectId) return false;
+  const muted = preferences?.projectMutes?.[projectId];
+  return Array.isArray(muted) && muted.includes(type);
+}
+
+export function shouldDigest(preferences, type) {
+  return DIGEST_TYPES.includes(type) && preferences?.weeklyReportDigest !== false;
+}
+
+// Slack mrkdwn uses single asterisks for bold
+export function toSlackMessage({ subject, body }) {
+  return {
+    username: 'ArchDesigner',
+    text: `*${subject}*\n\n${body.replace(/\*\*(.+?)\*\*/g, '*$1*')}`
+  };
+}
+
+export function toWebhookPayload({ type, subject, body, project_id, data }, now = new Date()) {
+  return {
+    event: 'notification',
+    type,
+    subject,
+    body,
+    project_id: project_id ?? null,
+    data: data || {},
+    sent_at: now.toISOString()
+  };
+}
+
+export function buildInboxItem({ recipient, type, subject, body, project_id, project_name }, correlationId) {
+  return {
+    recipient,
+    type,
+    title: subject,
+    body,
+    project_id: project_id ?? null,
+    project_name: project_name ?? null,
+    read: false,
+    correlation_id: correlationId
+  };
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls `send()` up to `attempts` times with exponential backoff. Errors
+ * flagged `retryable: false` stop immediately.
+ * Resolves to { ok, attempts, retryable, error }; never rejects.
+ */
+export async function deliverWithRetry(send, {
+  attempts = IMMEDIATE_ATTEMPTS,
+  baseDelayMs = 500,
+  sleep = defaultSleep
+} = {}) {
+  let made = 0;
+  let lastError = null;
+
+  while (made < attempts) {
+    made++;
+    try {
+      await send();
+      return { ok: true, attempts: made, retryable: false, error: null };
+    } catch (error) {
+      lastError = error;
+      if (error?.retryable === false || made >= attempts) break;
+      await sleep(baseDelayMs * 2 ** (made - 1));
+    }
+  }
+
+  return {
+    ok: false,
+    attempts: made,
+    retryable: lastError?.retryable !== false,
+    error: lastError?.message || 'Delivery failed'
+  };
+}
+
+/**
+ * Maps a deliverWithRetry result onto a NotificationDelivery update.
+ * Failures are rescheduled until MAX_DELIVERY_ATTEMPTS, then marked failed.
+ */
+export function buildAttemptUpdate(previousAttempts, result, now = new Date()) {
+  const attempts = previousAttempts + result.attempts;
+
+  if (result.ok) {
+    return {
+      status: DeliveryStatuses.DELIVERED,
+      attempts,
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: now.toISOString()
+    };
+  }
+
+  if (!result.retryable || attempts >= MAX_DELIVERY_ATTEMPTS) {
+    return { status: DeliveryStatuses.FAILED, attempts, last_error: result.error, next_attempt_at: null };
+  }
+
+  const step = Math.min(Math.max(attempts - IMMEDIATE_ATTEMPTS, 0), RETRY_SCHEDULE_MINUTES.length - 1);
+  return {
+    status: DeliveryStatuses.RETRYING,
+    attempts,
+    last_error: result.error,
+    next_attempt_at: new Date(now.getTime() + RETRY_SCHEDULE_MINUTES[step] * 60000).toISOString()
+  };
+}
+
+export function isRetryDue(delivery, now = Date.now()) {
+  return delivery.status === DeliveryStatuses.RETRYING
+    && new Date(delivery.next_attempt_at).getTime() <= now;
+}
+
+// ============================================
+// DIGESTS
+// ============================================
+
+/**
+ * True once the oldest pending item has waited a full digest window.
+ */
+export function isDigestDue(items, now = Date.now()) {
+  if (items.length === 0) return false;
+  const oldest = Math.min(...items.map(item => new Date(item.created_date).getTime()));
+  return now - oldest >= DIGEST_WINDOW_MS;
+}
+
+export function groupByRecipient(deliveries) {
+  const groups = new Map();
+  for (const delivery of deliveries) {
+    const group = groups.get(delivery.recipient) || [];
+    group.push(delivery);
+    groups.set(delivery.recipient, group);
+  }
+  return groups;
+}
+
+/**
+ * Combines pending digest items into one { subject, body }.
+ */
+export function buildDigest(items) {
+  const sections = items.map(item => `## ${item.subject}\n\n${item.body}`);
+  return {
+    subject: `📊 Weekly digest: ${items.length} project report${items.length === 1 ? '' : 's'}`,
+    body: withFooter(sections.join('\n\n---\n\n'), NOTIFICATION_TEMPLATES.weekly_report.footer)
+  };
+}
+
+/**
+ * What a digest send means for its items. They are marked digested only
+ * once a channel delivered the digest; otherwise they stay pending for the
+ * next flush, and the digest's retrying records are failed so the items
+ * are not sent twice. Returns { itemUpdate, superseded }.
+ */
+export function planDigestOutcome(records) {
+  const delivered = records.find(r => r.status === DeliveryStatuses.DELIVERED);
+  if (delivered) {
+    return {
+      itemUpdate: { status: DeliveryStatuses.DIGESTED, digest_delivery_id: delivered.id },
+      superseded: []
+    };
+  }
+  return {
+    itemUpdate: null,
+    superseded: records.filter(r => r.status === DeliveryStatuses.RETRYING).map(r => r.id)
+  };
+}
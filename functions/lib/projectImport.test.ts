@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for lib/projectImport.js
+ *
+ * Test coverage for:
+ * - Schema version detection and validation
+ * - Normalisation of legacy and v2 exports
+ * - Conflict detection and dependency remapping
+ * - Project name candidates for the conflict lookup
+ *
+ * Run with: deno test functions/lib/projectImport.test.js
+ */
+
+import {
+  EXPORT_SCHEMA_VERSION,
+  ConflictTypes,
+  detectSchemaVersion,
+  validateExport,
+  normaliseExport,
+  planImport,
+  projectNameCandidates,
+  remapDependencies
+} from './projectImport.js';
+
+function v2Export() {
+  return {
+    project: { name: 'Shop', description: 'E-commerce', category: 'web' },
+    services: [
+      { ref: 'a', name: 'Gateway', depends_on: ['b', 'missing'] },
+      { ref: 'b', name: 'Orders', depends_on: [] },
+      { ref: 'c', name: 'Orders', depends_on: ['a'] }
+    ],
+    tasks: [{ title: 'Set up CI', status: 'backlog' }],
+    feature_flags: [{ flag_key: 'checkout_v2' }, { flag_key: 'checkout_v2' }],
+    cicd: { platform: 'github_actions', pipeline_config: 'on: push' },
+    documentation: [{ service_ref: 'b', type: 'api', content: '# Orders' }],
+    export_metadata: { schema_version: EXPORT_SCHEMA_VERSION, exported_at: '2025-01-01T00:00:00Z' }
+  };
+}
+
+Deno.test('detectSchemaVersion - recognises every export shape', () => {
+  const cases = [
+    [v2Export(), 2],
+    [{ project: { name: 'x' }, export_metadata: { exported_at: 'now' } }, 1],
+    [{ project: { id: 'p1', name: 'x' }, exported_at: 'now' }, 'legacy'],
+    [{ services: [] }, null]
+  ];
+
+  for (const [data, expected] of cases) {
+    if (detectSchemaVersion(data) !== expected) {
+      throw new Error(`Expected version ${expected}, got ${detectSchemaVersion(data)}`);
+    }
+  }
+});
+
+Deno.test('validateExport - rejects unsupported versions and bad fields', () => {
+  const future = { ...v2Export(), export_metadata: { schema_version: 99 } };
+  if (validateExport(future).valid) {
+    throw new Error('Unsupported schema version should be rejected');
+  }
+
+  const broken = { ...v2Export(), services: [{ ref: 'a' }] };
+  const result = validateExport(broken);
+  if (result.valid || !result.errors.some(e => e.startsWith('services[0].name'))) {
+    throw new Error(`Missing service name should be reported: ${result.errors}`);
+  }
+});
+
+Deno.test('normaliseExport - maps legacy raw entity dumps', () => {
+  const legacy = {
+    project: { id: 'p1', name: 'Legacy', created_by: 'someone@example.com' },
+    services: [{ id: 's1', name: 'API', depends_on: ['s2'] }, { id: 's2', name: 'DB' }],
+    tasks: [],
+    cicd: [{ id: 'c1', platform: 'jenkins' }],
+    exported_at: 'now'
+  };
+
+  const model = normaliseExport(legacy, 'legacy');
+  if (model.project.created_by || model.project.id) {
+    throw new Error('Ownership and IDs must not be carried over');
+  }
+  if (model.services[0].ref !== 's1' || model.services[0].depends_on[0] !== 's2') {
+    throw new Error('Legacy service IDs should become refs');
+  }
+  if (model.cicd.length !== 1 || model.cicd[0].id) {
+    throw new Error('Legacy CI/CD list should be kept without IDs');
+  }
+});
+
+Deno.test('planImport - reports and resolves conflicts', () => {
+  const data = v2Export();
+  const { model, conflicts } = planImport(normaliseExport(data, 2), { existingProjectNames: ['Shop'] });
+  const types = conflicts.map(c => c.type);
+
+  if (model.project.name !== 'Shop (imported)' || !types.includes(ConflictTypes.PROJECT_NAME)) {
+    throw new Error('Project name conflict should be renamed and reported');
+  }
+  if (model.services[2].name !== 'Orders (imported)' || !types.includes(ConflictTypes.DUPLICATE_SERVICE)) {
+    throw new Error('Duplicate service name should be renamed and reported');
+  }
+  if (model.services[0].depends_on.join() !== 'b' || !types.includes(ConflictTypes.UNKNOWN_DEPENDENCY)) {
+    throw new Error('Unknown dependency should be dropped and reported');
+  }
+  if (model.feature_flags.length !== 1 || !types.includes(ConflictTypes.DUPLICATE_FLAG)) {
+    throw new Error('Duplicate flag should be skipped and reported');
+  }
+});
+
+Deno.test('projectNameCandidates - covers every name planImport picks', () => {
+  const candidates = projectNameCandidates('Shop', 4);
+  if (candidates.join('|') !== 'Shop|Shop (imported)|Shop (imported 2)|Shop (imported 3)') {
+    throw new Error(`Unexpected candidates: ${candidates}`);
+  }
+  const { model } = planImport(normaliseExport(v2Export(), 2), { existingProjectNames: candidates.slice(0, 3) });
+  if (model.project.name !== candidates[3]) {
+    throw new Error(`Expected ${candidates[3]}, got ${model.project.name}`);
+  }
+});
+
+Deno.test('remapDependencies - rewrites refs to new IDs', () => {
+  const { model } = planImport(normaliseExport(v2Export(), 2));
+  const idMap = new Map([['a', 'new-a'], ['b', 'new-b'], ['c', 'new-c']]);
+  const updates = remapDependencies(model.services, idMap);
+
+  const gateway = updates.find(u => u.id === 'new-a');
+  const orders = updates.find(u => u.id === 'new-c');
+  if (gateway?.depends_on.join() !== 'new-b' || orders?.depends_on.join() !== 'new-a') {
+    throw new Error(`Unexpected remap: ${JSON.stringify(updates)}`);
+  }
+});
@@ -0,0 +1,335 @@
+/**
+ * Project Import Schema
+ * AXIS: Quality, Security
+ *
+ * Versioned schema for exportProject JSON and its conversion into an
+ * import plan:
+ * - Schema version detection (legacy card export, v1, v2)
+ * - Validation with size limits
+ * - Normalisation to one canonical model
+ * - Conflict detection and service reference remapping
+ */
+
+import { validateSchema, sanitiseString } from './utils.js';
+
+// Written to export_metadata.schema_version by exportProject
+export const EXPORT_SCHEMA_VERSION = 2;
+
+// 'legacy' is the raw-entity JSON download from older ProjectCard builds
+export const SUPPORTED_SCHEMA_VERSIONS = ['legacy', 1, 2];
+
+export const IMPORT_LIMITS = {
+  services: 200,
+  tasks: 2000,
+  feature_flags: 500,
+  cicd: 20,
+  documentation: 500,
+  // Uncompressed size of project.json inside a bundle
+  bundleBytes: 10 * 1024 * 1024,
+  // Names checked for conflicts: the original and its "(imported n)" forms
+  nameCandidates: 20
+};
+
+export const ConflictTypes = {
+  PROJECT_NAME: 'project_name_exists',
+  DUPLICATE_SERVICE: 'duplicate_service_name',
+  UNKNOWN_DEPENDENCY: 'unknown_dependency',
+  DUPLICATE_FLAG: 'duplicate_flag_key',
+  UNKNOWN_SERVICE_REF: 'unknown_service_reference'
+};
+
+const PROJECT_SCHEMA = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  category: { type: 'string', maxLength: 50 },
+  status: { type: 'string', maxLength: 50 },
+  architecture_pattern: { type: 'string', maxLength: 100 }
+};
+
+const SERVICE_SCHEMA = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 2000 },
+  category: { type: 'string', maxLength: 50 },
+  technologies: { type: 'array', maxLength: 50 },
+  apis: { type: 'array', maxLength: 200 },
+  depends_on: { type: 'array', maxLength: 200 }
+};
+
+const TASK_SCHEMA = {
+  title: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 }
+};
+
+const FLAG_SCHEMA = {
+  flag_key: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+  name: { type: 'string', maxLength: 200 }
+};
+
+// ============================================
+// VERSION DETECTION
+// ============================================
+
+export function detectSchemaVersion(data) {
+  if (!data || typeof data !== 'object' || !data.project) return null;
+
+  const declared = data.export_metadata?.schema_version;
+  if (declared !== undefined) return declared;
+  if (data.export_metadata) return 1;
+  if (data.exported_at && data.project.id) return 'legacy';
+  return null;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function validateList(items, schema, label, limit, errors) {
+  if (items === undefined || items === null) return;
+  if (!Array.isArray(items)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  if (items.length > limit) {
+    errors.push(`${label} exceeds the limit of ${limit}`);
+    return;
+  }
+  items.forEach((item, i) => {
+    const result = validateSchema(item, schema);
+    result.errors.forEach(error => errors.push(`${label}[${i}].${error}`));
+  });
+}
+
+/**
+ * Validates export JSON against the schema for its version.
+ * Returns { valid, version, errors }.
+ */
+export function validateExport(data) {
+  const version = detectSchemaVersion(data);
+  if (version === null) {
+    return { valid: false, version, errors: ['Not a project export: project section missing'] };
+  }
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return {
+      valid: false,
+      version,
+      errors: [`Unsupported schema_version ${version}; supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`]
+    };
+  }
+
+  const errors = validateSchema(data.project, PROJECT_SCHEMA).errors.map(e => `project.${e}`);
+  validateList(data.services, SERVICE_SCHEMA, 'services', IMPORT_LIMITS.services, errors);
+  validateList(data.tasks, TASK_SCHEMA, 'tasks', IMPORT_LIMITS.tasks, errors);
+  validateList(data.feature_flags, FLAG_SCHEMA, 'feature_flags', IMPORT_LIMITS.feature_flags, errors);
+  validateList(data.documentation, {}, 'documentation', IMPORT_LIMITS.documentation, errors);
+
+  const cicd = version === 'legacy' ? data.cicd : (data.cicd ? [data.cicd] : []);
+  validateList(cicd, {}, 'cicd', IMPORT_LIMITS.cicd, errors);
+
+  return { valid: errors.length === 0, version, errors };
+}
+
+// ============================================
+// NORMALISATION
+// ============================================
+
+function pickDefined(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source?.[field] !== undefined && source[field] !== null) {
+      result[field] = source[field];
+    }
+  }
+  return result;
+}
+
+const SERVICE_FIELDS = ['category', 'icon', 'technologies', 'apis', 'position', 'database_schema'];
+const TASK_FIELDS = ['status', 'priority_level', 'due_date', 'estimated_effort'];
+const FLAG_FIELDS = ['environment_config', 'rollout_strategy', 'metadata'];
+const CICD_FIELDS = [
+  'platform',
+  'pipeline_config',
+  'dockerfile',
+  'docker_compose',
+  'kubernetes_manifests',
+  'pipeline_stages',
+  'deployment_targets'
+];
+
+/**
+ * Converts any supported export version into the canonical import model.
+ * Services get a `ref` that depends_on and documentation point at; v1
+ * exports carry no references, so their services have no dependencies.
+ */
+export function normaliseExport(data, version) {
+  const services = (data.services || []).map((s, i) => ({
+    ref: String(s.ref ?? s.id ?? `service-${i}`),
+    name: sanitiseString(s.name, 100),
+    description: sanitiseString(s.description, 2000),
+    ...pickDefined(s, SERVICE_FIELDS),
+    depends_on: (s.depends_on || []).map(String)
+  }));
+
+  const cicd = version === 'legacy' ? (data.cicd || []) : (data.cicd ? [data.cicd] : []);
+
+  return {
+    version,
+    project: {
+      name: sanitiseString(data.project.name, 200),
+      description: sanitiseString(data.project.description, 5000),
+      ...pickDefined(data.project, ['category', 'status', 'architecture_pattern'])
+    },
+    services,
+    tasks: (data.tasks || []).map(t => ({
+      title: sanitiseString(t.title, 200),
+      description: sanitiseString(t.description, 5000),
+      ...pickDefined(t, TASK_FIELDS)
+    })),
+    feature_flags: (data.feature_flags || []).map(f => ({
+      flag_key: sanitiseString(f.flag_key, 100),
+      name: sanitiseString(f.name || f.flag_key, 200),
+      description: sanitiseString(f.description, 2000),
+      ...pickDefined(f, FLAG_FIELDS)
+    })),
+    cicd: cicd.map(c => pickDefined(c, CICD_FIELDS)),
+    documentation: (data.documentation || [])
+      .filter(d => d.content)
+      .map(d => ({
+        service_ref: d.service_ref ?? d.service_id,
+        doc_type: d.doc_type ?? d.type,
+        content: d.content,
+        version: d.version
+      }))
+  };
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+function importedName(name, n) {
+  return n === 1 ? `${name} (imported)` : `${name} (imported ${n})`;
+}
+
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+  let n = 1;
+  while (taken.has(importedName(name, n))) n++;
+  return importedName(name, n);
+}
+
+/**
+ * Project names planImport may pick for `name`, so the caller can look up
+ * only those instead of listing every project.
+ */
+export function projectNameCandidates(name, limit = IMPORT_LIMITS.nameCandidates) {
+  return [name, ...Array.from({ length: limit - 1 }, (_, i) => importedName(name, i + 1))];
+}
+
+/**
+ * Resolves conflicts in a canonical model before anything is written.
+ * `existingProjectNames` are the caller's current project names.
+ * Returns { model, conflicts } where the model is safe to create.
+ */
+export function planImport(model, { existingProjectNames = [] } = {}) {
+  const conflicts = [];
+
+  const projectName = uniqueName(model.project.name, new Set(existingProjectNames));
+  if (projectName !== model.project.name) {
+    conflicts.push({
+      type: ConflictTypes.PROJECT_NAME,
+      message: `A project named "${model.project.name}" exists; importing as "${projectName}"`,
+      original: model.project.name,
+      resolved: projectName
+    });
+  }
+
+  const serviceNames = new Set();
+  const refs = new Set();
+  const services = model.services.map(service => {
+    const name = uniqueName(service.name, serviceNames);
+    serviceNames.add(name);
+    if (name !== service.name) {
+      conflicts.push({
+        type: ConflictTypes.DUPLICATE_SERVICE,
+        message: `Duplicate service "${service.name}" renamed to "${name}"`,
+        original: service.name,
+        resolved: name
+      });
+    }
+    refs.add(service.ref);
+    return { ...service, name };
+  });
+
+  for (const service of services) {
+    const known = service.depends_on.filter(ref => refs.has(ref) && ref !== service.ref);
+    service.depends_on
+      .filter(ref => !known.includes(ref))
+      .forEach(ref => conflicts.push({
+        type: ConflictTypes.UNKNOWN_DEPENDENCY,
+        message: `Service "${service.name}" depends on an unknown service; link dropped`,
+        service: service.name,
+        reference: ref
+      }));
+    service.depends_on = known;
+  }
+
+  const flagKeys = new Set();
+  const featureFlags = model.feature_flags.filter(flag => {
+    if (flagKeys.has(flag.flag_key)) {
+      conflicts.push({
+        type: ConflictTypes.DUPLICATE_FLAG,
+        message: `Duplicate feature flag "${flag.flag_key}" skipped`,
+        flag_key: flag.flag_key
+      });
+      return false;
+    }
+    flagKeys.add(flag.flag_key);
+    return true;
+  });
+
+  const documentation = model.documentation.map(doc => {
+    if (doc.service_ref !== undefined && doc.service_ref !== null && !refs.has(String(doc.service_ref))) {
+      conflicts.push({
+        type: ConflictTypes.UNKNOWN_SERVICE_REF,
+        message: `Documentation "${doc.doc_type}" refers to an unknown service; attached to the project`,
+        reference: doc.service_ref
+      });
+      return { ...doc, service_ref: null };
+    }
+    return { ...doc, service_ref: doc.service_ref == null ? null : String(doc.service_ref) };
+  });
+
+  return {
+    model: {
+      ...model,
+      project: { ...model.project, name: projectName },
+      services,
+      feature_flags: featureFlags,
+      documentation
+    },
+    conflicts
+  };
+}
+
+export function summarisePlan(model) {
+  return {
+    services: model.services.length,
+    dependencies: model.services.reduce((sum, s) => sum + s.depends_on.length, 0),
+    tasks: model.tasks.length,
+    feature_flags: model.feature_flags.length,
+    cicd: model.cicd.length,
+    documentation: model.documentation.length
+  };
+}
+
+/**
+ * Maps export-local service refs to the IDs of the newly created services.
+ */
+export function remapDependencies(services, idMap) {
+  return services
+    .filter(service => service.depends_on.length > 0)
+    .map(service => ({
+      id: idMap.get(service.ref),
+      depends_on: service.depends_on.map(ref => idMap.get(ref)).filter(Boolean)
+    }));
+}
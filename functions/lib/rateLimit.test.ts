@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for lib/rateLimit.js
+ *
+ * Test coverage for:
+ * - Sliding-window and token-bucket algorithms
+ * - Per-role quota resolution
+ * - RateLimit-* headers
+ *
+ * Run with: deno test functions/lib/rateLimit.test.js
+ */
+
+import {
+  RateLimitAlgorithms,
+  createMemoryStore,
+  createRateLimiter,
+  resolveQuota,
+  mostRestrictive,
+  rateLimitHeaders
+} from './rateLimit.js';
+
+function createClock(start) {
+  let now = start;
+  return {
+    now: () => now,
+    advance: (ms) => { now += ms; }
+  };
+}
+
+Deno.test('sliding window - blocks after limit within a window', async () => {
+  const clock = createClock(60000);
+  const limiter = createRateLimiter(createMemoryStore(), { now: clock.now });
+  const quota = { algorithm: RateLimitAlgorithms.SLIDING_WINDOW, windowMs: 60000, limit: 3 };
+
+  for (let i = 0; i < 3; i++) {
+    const decision = await limiter.check('user-1', quota);
+    if (!decision.allowed) {
+      throw new Error(`Request ${i + 1} should be allowed`);
+    }
+  }
+
+  const blocked = await limiter.check('user-1', quota);
+  if (blocked.allowed) {
+    throw new Error('Request over limit should be blocked');
+  }
+  if (blocked.retryAfter <= 0) {
+    throw new Error('Blocked decision should include retryAfter');
+  }
+});
+
+Deno.test('sliding window - previous window still counts after rollover', async () => {
+  const clock = createClock(60000);
+  const limiter = createRateLimiter(createMemoryStore(), { now: clock.now });
+  const quota = { algorithm: RateLimitAlgorithms.SLIDING_WINDOW, windowMs: 60000, limit: 4 };
+
+  for (let i = 0; i < 4; i++) {
+    await limiter.check('user-1', quota);
+  }
+
+  // 25% into the next window, 75% of the previous 4 requests still count
+  clock.advance(75000);
+  const first = await limiter.check('user-1', quota);
+  if (!first.allowed) {
+    throw new Error('One request should fit in the remaining headroom');
+  }
+  const second = await limiter.check('user-1', quota);
+  if (second.allowed) {
+    throw new Error('Weighted previous window should block a second request');
+  }
+});
+
+Deno.test('token bucket - refills over time', async () => {
+  const clock = createClock(0);
+  const limiter = createRateLimiter(createMemoryStore(), { now: clock.now });
+  const quota = { algorithm: RateLimitAlgorithms.TOKEN_BUCKET, windowMs: 10000, limit: 2 };
+
+  await limiter.check('user-1', quota);
+  await limiter.check('user-1', quota);
+  const blocked = await limiter.check('user-1', quota);
+  if (blocked.allowed) {
+    throw new Error('Empty bucket should block');
+  }
+
+  clock.advance(5000);
+  const refilled = await limiter.check('user-1', quota);
+  if (!refilled.allowed) {
+    throw new Error('Bucket should refill one token after half the window');
+  }
+});
+
+Deno.test('limiter - identifiers are isolated', async () => {
+  const limiter = createRateLimiter(createMemoryStore());
+  const quota = { algorithm: RateLimitAlgorithms.TOKEN_BUCKET, windowMs: 60000, limit: 1 };
+
+  await limiter.check('user-1', quota);
+  const other = await limiter.check('user-2', quota);
+  if (!other.allowed) {
+    throw new Error('Another identifier should have its own quota');
+  }
+});
+
+Deno.test('resolveQuota - picks role limit with default fallback', () => {
+  const config = { windowMs: 60000, limits: { admin: 50, default: 5 } };
+
+  if (resolveQuota(config, 'admin').limit !== 50) {
+    throw new Error('Admin limit not applied');
+  }
+  if (resolveQuota(config, 'viewer').limit !== 5) {
+    throw new Error('Default limit not applied');
+  }
+  if (resolveQuota(config, 'admin').algorithm !== RateLimitAlgorithms.SLIDING_WINDOW) {
+    throw new Error('Sliding window should be the default algorithm');
+  }
+});
+
+Deno.test('mostRestrictive - denial wins, then lowest remaining', () => {
+  const a = { allowed: true, remaining: 10 };
+  const b = { allowed: true, remaining: 2 };
+  const c = { allowed: false, remaining: 0 };
+
+  if (mostRestrictive([a, b]) !== b) {
+    throw new Error('Lowest remaining not selected');
+  }
+  if (mostRestrictive([c, b]) !== c) {
+    throw new Error('Denied decision not selected');
+  }
+});
+
+Deno.test('rateLimitHeaders - includes Retry-After only when blocked', () => {
+  const base = { limit: 10, remaining: 3, resetIn: 20, retryAfter: 0, policy: '10;w=60' };
+
+  const allowed = rateLimitHeaders({ ...base, allowed: true });
+  if (allowed['RateLimit-Remaining'] !== '3' || 'Retry-After' in allowed) {
+    throw new Error('Unexpected headers for allowed request');
+  }
+
+  const blocked = rateLimitHeaders({ ...base, allowed: false, remaining: 0, retryAfter: 5 });
+  if (blocked['Retry-After'] !== '5') {
+    throw new Error('Retry-After missing for blocked request');
+  }
+});
@@ -0,0 +1,253 @@
+/**
+ * Rate Limiting
+ * AXIS: Security, Performance
+ *
+ * Features:
+ * - Pluggable limiter stores: in-memory and Deno KV (local file or hosted)
+ * - Sliding-window counter and token-bucket algorithms
+ * - Per-role quotas resolved from route configuration
+ * - Standard RateLimit-* response headers
+ */
+
+export const RateLimitAlgorithms = {
+  SLIDING_WINDOW: 'sliding_window',
+  TOKEN_BUCKET: 'token_bucket'
+};
+
+// ============================================
+// ALGORITHMS
+// ============================================
+
+// Sliding-window counter: the previous fixed window's count is weighted by
+// how much of it still overlaps the trailing window ending now.
+function slidingWindow(state, quota, now) {
+  const { limit, windowMs } = quota;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let current = 0;
+  let previous = 0;
+  if (state?.windowStart === windowStart) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const elapsed = (now - windowStart) / windowMs;
+  const weighted = previous * (1 - elapsed) + current;
+  const allowed = weighted + 1 <= limit;
+  if (allowed) current++;
+
+  const used = previous * (1 - elapsed) + current;
+  const resetMs = windowStart + windowMs - now;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    const headroom = limit - 1 - current;
+    if (previous > 0 && headroom >= 0) {
+      // Wait until enough of the previous window has slid out
+      retryAfterMs = Math.ceil((1 - headroom / previous) * windowMs) - (now - windowStart);
+    } else {
+      // Wait for the next window, where this window's count becomes "previous"
+      const nextElapsed = current > 0 ? Math.max(0, 1 - (limit - 1) / current) : 0;
+      retryAfterMs = resetMs + Math.ceil(nextElapsed * windowMs);
+    }
+  }
+
+  return {
+    state: { windowStart, current, previous },
+    decision: {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - used)),
+      resetMs,
+      retryAfterMs: Math.max(0, retryAfterMs)
+    }
+  };
+}
+
+// Token bucket: holds up to `limit` tokens, refilled evenly over `windowMs`.
+function tokenBucket(state, quota, now) {
+  const { limit, windowMs } = quota;
+  const refillPerMs = limit / windowMs;
+
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state ? Math.min(limit, state.tokens + elapsed * refillPerMs) : limit;
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    state: { tokens, updatedAt: now },
+    decision: {
+      allowed,
+      limit,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((limit - tokens) / refillPerMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+    }
+  };
+}
+
+const ALGORITHMS = {
+  [RateLimitAlgorithms.SLIDING_WINDOW]: slidingWindow,
+  [RateLimitAlgorithms.TOKEN_BUCKET]: tokenBucket
+};
+
+// ============================================
+// STORES
+// ============================================
+
+/**
+ * Process-local store. Counters reset on cold start and are not shared
+ * between isolates; use for development and tests.
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async update(key, updater, ttlMs) {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const current = entry && entry.expiresAt > now ? entry.value : null;
+
+      const { state, result } = updater(current);
+      entries.set(key, { value: state, expiresAt: now + ttlMs });
+      return result;
+    }
+  };
+}
+
+/**
+ * Deno KV-backed store. Updates use optimistic concurrency (atomic check on
+ * the entry versionstamp) so counters stay consistent across isolates.
+ */
+export function createKvStore(kv, { prefix = ['rate_limit'], maxAttempts = 10 } = {}) {
+  return {
+    name: 'kv',
+    async update(key, updater, ttlMs) {
+      const kvKey = [...prefix, key];
+
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const entry = await kv.get(kvKey);
+        const { state, result } = updater(entry.value);
+
+        const commit = await kv.atomic()
+          .check(entry)
+          .set(kvKey, state, { expireIn: ttlMs })
+          .commit();
+
+        if (commit.ok) return result;
+      }
+
+      throw new Error(`Rate limit store contention for ${key}`);
+    }
+  };
+}
+
+let storePromise = null;
+
+function readEnv(name) {
+  try {
+    return Deno.env.get(name);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Opens the configured store once per isolate.
+ *
+ * RATE_LIMIT_STORE: 'kv' (default) or 'memory'
+ * RATE_LIMIT_KV_PATH: optional local KV file, e.g. './data/rate_limit.sqlite'
+ *
+ * Falls back to the memory store when Deno KV is unavailable.
+ */
+export function getRateLimitStore(logger) {
+  if (!storePromise) {
+    storePromise = (async () => {
+      const storeType = readEnv('RATE_LIMIT_STORE') || 'kv';
+
+      if (storeType === 'kv' && typeof Deno.openKv === 'function') {
+        try {
+          const kv = await Deno.openKv(readEnv('RATE_LIMIT_KV_PATH'));
+          return createKvStore(kv);
+        } catch (error) {
+          logger?.warn('Deno KV unavailable, using in-memory rate limit store', {
+            error: error.message
+          });
+        }
+      }
+
+      return createMemoryStore();
+    })();
+  }
+  return storePromise;
+}
+
+// ============================================
+// LIMITER
+// ============================================
+
+/**
+ * Resolves a route/default rate limit config into a concrete quota for the
+ * user's role: { algorithm, windowMs, limit }.
+ */
+export function resolveQuota(config, role) {
+  const limit = config.limits[role] ?? config.limits.default;
+  return {
+    algorithm: config.algorithm || RateLimitAlgorithms.SLIDING_WINDOW,
+    windowMs: config.windowMs,
+    limit
+  };
+}
+
+export function createRateLimiter(store, { now = () => Date.now() } = {}) {
+  return {
+    async check(identifier, quota) {
+      const algorithm = ALGORITHMS[quota.algorithm];
+      if (!algorithm) {
+        throw new Error(`Unknown rate limit algorithm: ${quota.algorithm}`);
+      }
+
+      const key = `${quota.algorithm}:${identifier}`;
+      const decision = await store.update(key, (state) => {
+        const { state: nextState, decision } = algorithm(state, quota, now());
+        return { state: nextState, result: decision };
+      }, quota.windowMs * 2);
+
+      return {
+        ...decision,
+        policy: `${quota.limit};w=${Math.ceil(quota.windowMs / 1000)}`,
+        resetIn: Math.ceil(decision.resetMs / 1000),
+        retryAfter: Math.ceil(decision.retryAfterMs / 1000)
+      };
+    }
+  };
+}
+
+/**
+ * Picks the decision to report when several quotas apply: any denial wins,
+ * otherwise the one with the least headroom.
+ */
+export function mostRestrictive(decisions) {
+  return decisions.reduce((worst, d) => {
+    if (worst.allowed !== d.allowed) return worst.allowed ? d : worst;
+    return d.remaining < worst.remaining ? d : worst;
+  });
+}
+
+export function rateLimitHeaders(decision) {
+  const headers = {
+    'RateLimit-Limit': String(decision.limit),
+    'RateLimit-Remaining': String(decision.remaining),
+    'RateLimit-Reset': String(decision.resetIn),
+    'RateLimit-Policy': decision.policy
+  };
+
+  if (!decision.allowed) {
+    headers['Retry-After'] = String(decision.retryAfter);
+  }
+  return headers;
+}
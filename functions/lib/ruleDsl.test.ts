@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for lib/ruleDsl.js
+ *
+ * Test coverage for:
+ * - Rule and predicate validation
+ * - Predicate evaluation over services, dependencies and CI/CD config
+ * - Compiling rules into linter findings
+ * - Rule pack round trips
+ *
+ * Run with: deno test functions/lib/ruleDsl.test.js
+ */
+
+import {
+  RULE_PACK_FORMAT,
+  validateRule,
+  evaluatePredicate,
+  compileDslRule,
+  buildRulePack,
+  readRulePack
+} from './ruleDsl.js';
+import { lintArchitecture } from './archLinter.js';
+import { compilePattern } from './linearPattern.js';
+
+const otelRule = {
+  id: 'HOUSE-001',
+  name: 'core-services-use-otel',
+  severity: 'medium',
+  when: { path: 'service.category', op: 'eq', value: 'core' },
+  assert: { path: 'service.technologies', op: 'contains', value: 'opentelemetry' }
+};
+
+function service(id, name, extra = {}) {
+  return { id, name, category: 'core', depends_on: [], technologies: [], ...extra };
+}
+
+Deno.test('validateRule - accepts a well-formed rule', () => {
+  const result = validateRule(otelRule);
+  if (!result.valid) {
+    throw new Error(`Rule should be valid: ${result.errors}`);
+  }
+});
+
+Deno.test('validateRule - reports path-qualified errors', () => {
+  const cases = [
+    [{ ...otelRule, id: 'ARCH001' }, 'rule.id ARCH001 is reserved'],
+    [{ ...otelRule, asert: {} }, 'unknown field(s) asert'],
+    [{ ...otelRule, assert: { all: [{ path: 'service.name', op: 'like', value: 'x' }] } }, 'rule.assert.all[0].op must be one of'],
+    [{ ...otelRule, assert: { path: 'service.fan_in', op: 'gt', value: '3' } }, "rule.assert.value for 'gt' must be a number"],
+    [{ ...otelRule, assert: { path: 'item.name', op: 'exists', value: true } }, 'path must start with one of'],
+    [{ ...otelRule, assert: { path: 'service.__proto__', op: 'exists', value: true } }, 'invalid path'],
+    [{ ...otelRule, scope: 'project' }, 'when only applies to service-scoped rules'],
+    [{ ...otelRule, assert: { path: 'service.name', op: 'matches', value: '(' } }, 'valid pattern']
+  ];
+
+  for (const [definition, expected] of cases) {
+    const { valid, errors } = validateRule(definition);
+    if (valid || !errors.some(e => e.includes(expected))) {
+      throw new Error(`Expected "${expected}" in ${JSON.stringify(errors)}`);
+    }
+  }
+});
+
+Deno.test('matches - rejects backtracking-only syntax and caps the input', () => {
+  const unsupported = ['(\\w+)\\1', '(?<n>a)\\k<n>', '(?=a)b', '\\bword', 'x'.repeat(201)];
+  for (const value of unsupported) {
+    if (validateRule({ ...otelRule, assert: { path: 'service.name', op: 'matches', value } }).valid) {
+      throw new Error(`Expected ${value} to be rejected`);
+    }
+  }
+
+  const supported = ['^ord', '(api|web)-[a-z]+$', '(ab){2}c+', '[(+)]+', '^v\\d+(\\.\\d+)?$'];
+  for (const value of supported) {
+    const { valid, errors } = validateRule({ ...otelRule, assert: { path: 'service.name', op: 'matches', value } });
+    if (!valid) throw new Error(`Expected ${value} to be accepted: ${errors}`);
+  }
+
+  const long = { service: { name: `${'a'.repeat(5000)}!` } };
+  if (evaluatePredicate({ path: 'service.name', op: 'matches', value: '!$' }, long)) {
+    throw new Error('Only the first characters of long strings should be matched');
+  }
+});
+
+Deno.test('matches - catastrophic backtracking patterns run in linear time', () => {
+  const cases = [
+    ['(a|aa)+$', `${'a'.repeat(35)}!`, false],
+    ['(a|a)*$', `${'a'.repeat(35)}!`, true],
+    ['.*.*.*.*.*!', 'a'.repeat(1000), false],
+    ['\\w*\\w*\\w*\\w*!', 'a'.repeat(1000), false],
+    ['(a+)+$', `${'a'.repeat(500)}!`, false],
+    ['(x*)*y', 'x'.repeat(1000), false]
+  ];
+
+  for (const [value, name, expected] of cases) {
+    if (!validateRule({ ...otelRule, assert: { path: 'service.name', op: 'matches', value } }).valid) {
+      throw new Error(`Expected ${value} to be accepted`);
+    }
+    const started = performance.now();
+    const result = evaluatePredicate({ path: 'service.name', op: 'matches', value }, { service: { name } });
+    const elapsed = performance.now() - started;
+    if (result !== expected) throw new Error(`${value}: expected ${expected}, got ${result}`);
+    if (elapsed > 500) throw new Error(`${value} took ${Math.round(elapsed)}ms`);
+  }
+});
+
+Deno.test('evaluatePredicate - operators, combinators and quantifiers', () => {
+  const context = {
+    service: { name: 'Orders', technologies: ['Node.js', 'PostgreSQL'], fan_out: 3, dependencies: [{ category: 'storage' }] },
+    cicd: [{ platform: 'github_actions', pipeline_stages: ['test', 'deploy'] }]
+  };
+  const cases = [
+    [{ path: 'service.technologies', op: 'contains', value: 'postgresql' }, true],
+    [{ path: 'service.name', op: 'matches', value: '^ord' }, true],
+    [{ path: 'service.name', op: 'matches', value: compilePattern('^ORD').matcher }, true],
+    [{ path: 'service.fan_out', op: 'lte', value: 2 }, false],
+    [{ path: 'service.owner', op: 'exists', value: false }, true],
+    [{ path: 'service.technologies.length', op: 'eq', value: 2 }, true],
+    [{ some: 'service.dependencies', where: { path: 'item.category', op: 'eq', value: 'storage' } }, true],
+    [{ none: 'cicd', where: { path: 'item.pipeline_stages', op: 'contains', value: 'test' } }, false],
+    [{ every: 'missing.list', where: { path: 'item.x', op: 'exists', value: true } }, true],
+    [{ all: [{ path: 'service.name', op: 'in', value: ['orders', 'billing'] }, { not: { path: 'service.name', op: 'eq', value: 'x' } }] }, true],
+    [{ any: [{ path: 'service.name', op: 'eq', value: 'x' }, { path: 'service.name', op: 'eq', value: 'y' }] }, false]
+  ];
+
+  cases.forEach(([predicate, expected], i) => {
+    if (evaluatePredicate(predicate, context) !== expected) {
+      throw new Error(`Case ${i} should be ${expected}: ${JSON.stringify(predicate)}`);
+    }
+  });
+});
+
+Deno.test('compileDslRule - service and project scoped findings', () => {
+  const services = [
+    service('a', 'Orders', { technologies: ['OpenTelemetry'] }),
+    service('b', 'Billing'),
+    service('c', 'Web', { category: 'ui' })
+  ];
+  const pipelineRule = {
+    id: 'HOUSE-002',
+    name: 'pipeline-runs-tests',
+    severity: 'high',
+    scope: 'project',
+    assert: { some: 'cicd', where: { path: 'item.pipeline_stages', op: 'contains', value: 'test' } }
+  };
+
+  const result = lintArchitecture({
+    services,
+    cicdConfigs: [{ pipeline_stages: ['build', 'deploy'] }],
+    customRules: [otelRule, pipelineRule].map(definition => compileDslRule(definition).rule),
+    includeBuiltins: false
+  });
+
+  const summary = result.findings.map(f => `${f.rule_id}:${f.affected_services.join()}`);
+  if (summary.join('|') !== 'HOUSE-002:|HOUSE-001:Billing') {
+    throw new Error(`Unexpected findings: ${summary}`);
+  }
+  if (result.rules_run.join() !== 'HOUSE-001,HOUSE-002') {
+    throw new Error('Built-in rules should be skipped when includeBuiltins is false');
+  }
+});
+
+Deno.test('rule packs - round trip and rejection', () => {
+  const pack = buildRulePack({ name: 'Platform standards' }, [otelRule]);
+  if (pack.format !== RULE_PACK_FORMAT || pack.rules[0].scope !== 'service') {
+    throw new Error(`Unexpected pack: ${JSON.stringify(pack)}`);
+  }
+
+  const read = readRulePack(JSON.parse(JSON.stringify(pack)));
+  if (!read.valid || read.pack.name !== 'Platform standards' || read.rules[0].id !== 'HOUSE-001') {
+    throw new Error(`Pack should round trip: ${JSON.stringify(read)}`);
+  }
+
+  const duplicate = readRulePack({ ...pack, rules: [otelRule, otelRule] });
+  if (duplicate.valid || !duplicate.errors.some(e => e.includes('rules[1].id HOUSE-001 is duplicated'))) {
+    throw new Error(`Duplicate IDs should be rejected: ${duplicate.errors}`);
+  }
+
+  if (readRulePack({ format: RULE_PACK_FORMAT, format_version: 2, name: 'x', rules: [] }).valid) {
+    throw new Error('Future format versions should be rejected');
+  }
+});
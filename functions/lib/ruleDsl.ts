@@ -0,0 +1,425 @@
+/**
+ * Rule DSL
+ * AXIS: Quality, Security
+ *
+ * Declarative architecture rules, authored as JSON or YAML:
+ * - Predicates over the project, services, depends_on, technologies and
+ *   CICDConfiguration records
+ * - Validation with path-qualified error messages
+ * - Compilation into archLinter rules
+ * - Versioned rule packs for import and export
+ *
+ * Parsing YAML is left to the caller; everything here works on plain objects.
+ *
+ * Example (YAML):
+ *
+ *   id: HOUSE-001
+ *   name: core-services-use-otel
+ *   severity: medium
+ *   when: { path: service.category, op: eq, value: core }
+ *   assert: { path: service.technologies, op: contains, value: opentelemetry }
+ */
+
+import { validateSchema } from './utils.js';
+import { Severities, BUILTIN_RULES, createFinding } from './archLinter.js';
+import { compilePattern } from './linearPattern.js';
+
+export const RULE_PACK_FORMAT = 'archdesigner-rule-pack';
+export const RULE_PACK_VERSION = 1;
+
+export const RuleScopes = {
+  SERVICE: 'service',
+  PROJECT: 'project'
+};
+
+export const RULE_CATEGORIES = ['security', 'performance', 'resilience', 'architecture'];
+
+export const DSL_LIMITS = {
+  rulesPerPack: 200,
+  predicateDepth: 8,
+  patternLength: 200,
+  // Longer strings are matched on their first characters only
+  matchInputLength: 1000
+};
+
+// e.g. HOUSE-001, PLATFORM-API-12
+const RULE_ID_PATTERN = /^[A-Z][A-Z0-9]{1,15}-[A-Z0-9-]{1,24}$/;
+
+// Compiled RuleDiscovery rules use this prefix
+const RESERVED_ID_PREFIX = 'CUSTOM-';
+
+const RULE_SCHEMA = {
+  id: { required: true, type: 'string', maxLength: 40 },
+  name: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 2000 },
+  category: { type: 'string', enum: RULE_CATEGORIES },
+  severity: { required: true, type: 'string', enum: Object.values(Severities) },
+  scope: { type: 'string', enum: Object.values(RuleScopes) },
+  fix_hint: { type: 'string', maxLength: 2000 },
+  when: { type: 'object' },
+  assert: { required: true, type: 'object' }
+};
+
+const RULE_KEYS = Object.keys(RULE_SCHEMA);
+
+const QUANTIFIERS = ['some', 'every', 'none'];
+
+const FORBIDDEN_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+
+// ============================================
+// OPERATORS
+// ============================================
+
+// String comparisons ignore case so rules need not match stored casing
+function normalise(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function equals(a, b) {
+  return normalise(a) === normalise(b);
+}
+
+function contains(actual, value) {
+  if (Array.isArray(actual)) return actual.some(item => equals(item, value));
+  return typeof actual === 'string' && actual.toLowerCase().includes(String(value).toLowerCase());
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * `value` checks the operand in the rule; `test` compares it with the value
+ * found at `path`. Operators never throw on unexpected data.
+ */
+export const OPERATORS = {
+  eq: { value: isScalar, expects: 'a string, number or boolean', test: (a, v) => equals(a, v) },
+  ne: { value: isScalar, expects: 'a string, number or boolean', test: (a, v) => !equals(a, v) },
+  in: { value: v => Array.isArray(v) && v.every(isScalar), expects: 'an array of scalars', test: (a, v) => v.some(x => equals(a, x)) },
+  not_in: { value: v => Array.isArray(v) && v.every(isScalar), expects: 'an array of scalars', test: (a, v) => !v.some(x => equals(a, x)) },
+  contains: { value: isScalar, expects: 'a string, number or boolean', test: (a, v) => contains(a, v) },
+  not_contains: { value: isScalar, expects: 'a string, number or boolean', test: (a, v) => !contains(a, v) },
+  matches: {
+    value: isPattern,
+    expects: `a valid pattern of at most ${DSL_LIMITS.patternLength} characters (regular expression syntax without backreferences or lookarounds)`,
+    test: (a, v) => typeof a === 'string' && toMatcher(v).test(a.slice(0, DSL_LIMITS.matchInputLength))
+  },
+  exists: { value: v => typeof v === 'boolean', expects: 'true or false', test: (a, v) => (a !== undefined && a !== null) === v },
+  empty: { value: v => typeof v === 'boolean', expects: 'true or false', test: (a, v) => isEmpty(a) === v },
+  gt: { value: isNumber, expects: 'a number', test: (a, v) => isNumber(a) && a > v },
+  gte: { value: isNumber, expects: 'a number', test: (a, v) => isNumber(a) && a >= v },
+  lt: { value: isNumber, expects: 'a number', test: (a, v) => isNumber(a) && a < v },
+  lte: { value: isNumber, expects: 'a number', test: (a, v) => isNumber(a) && a <= v }
+};
+
+// Compiled rules carry matchers; predicates evaluated directly carry strings
+function toMatcher(pattern) {
+  return typeof pattern === 'string' ? compilePattern(pattern).matcher : pattern;
+}
+
+function isPattern(value) {
+  return typeof value === 'string' && value.length <= DSL_LIMITS.patternLength && !compilePattern(value).error;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function allowedRoots(scope, inQuantifier) {
+  return [
+    'project',
+    'services',
+    'cicd',
+    ...(scope === RuleScopes.SERVICE ? ['service'] : []),
+    ...(inQuantifier ? ['item'] : [])
+  ];
+}
+
+function validatePath(path, at, errors, roots) {
+  if (typeof path !== 'string' || path.length === 0) {
+    errors.push(`${at} must be a dotted path such as service.technologies`);
+    return;
+  }
+  const segments = path.split('.');
+  if (!roots.includes(segments[0])) {
+    errors.push(`${at}: path must start with one of ${roots.join(', ')}`);
+  }
+  if (segments.some(s => s === '' || FORBIDDEN_SEGMENTS.includes(s))) {
+    errors.push(`${at}: invalid path '${path}'`);
+  }
+}
+
+function validatePredicate(node, at, errors, scope, depth = 1, inQuantifier = false) {
+  if (depth > DSL_LIMITS.predicateDepth) {
+    errors.push(`${at}: predicates nest deeper than ${DSL_LIMITS.predicateDepth}`);
+    return;
+  }
+  if (!isPlainObject(node)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+
+  const keys = Object.keys(node);
+  const roots = allowedRoots(scope, inQuantifier);
+  const expectKeys = (allowed) => {
+    const extra = keys.filter(k => !allowed.includes(k));
+    if (extra.length > 0) errors.push(`${at}: unexpected key(s) ${extra.join(', ')}`);
+  };
+
+  if ('all' in node || 'any' in node) {
+    const kind = 'all' in node ? 'all' : 'any';
+    expectKeys([kind]);
+    if (!Array.isArray(node[kind]) || node[kind].length === 0) {
+      errors.push(`${at}.${kind} must be a non-empty array`);
+      return;
+    }
+    node[kind].forEach((child, i) =>
+      validatePredicate(child, `${at}.${kind}[${i}]`, errors, scope, depth + 1, inQuantifier)
+    );
+    return;
+  }
+
+  if ('not' in node) {
+    expectKeys(['not']);
+    validatePredicate(node.not, `${at}.not`, errors, scope, depth + 1, inQuantifier);
+    return;
+  }
+
+  const quantifier = QUANTIFIERS.find(q => q in node);
+  if (quantifier) {
+    expectKeys([quantifier, 'where']);
+    validatePath(node[quantifier], `${at}.${quantifier}`, errors, roots);
+    validatePredicate(node.where, `${at}.where`, errors, scope, depth + 1, true);
+    return;
+  }
+
+  if ('path' in node) {
+    expectKeys(['path', 'op', 'value']);
+    validatePath(node.path, `${at}.path`, errors, roots);
+    const operator = Object.hasOwn(OPERATORS, node.op) ? OPERATORS[node.op] : null;
+    if (!operator) {
+      errors.push(`${at}.op must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+    } else if (!operator.value(node.value)) {
+      errors.push(`${at}.value for '${node.op}' must be ${operator.expects}`);
+    }
+    return;
+  }
+
+  errors.push(`${at} must use one of: all, any, not, ${QUANTIFIERS.join(', ')}, path`);
+}
+
+/**
+ * Validates a rule definition. Returns { valid, errors } with errors
+ * prefixed by `label`, e.g. "rules[2].assert.all[0].op ...".
+ */
+export function validateRule(definition, label = 'rule') {
+  if (!isPlainObject(definition)) {
+    return { valid: false, errors: [`${label} must be an object`] };
+  }
+
+  const errors = validateSchema(definition, RULE_SCHEMA).errors.map(e => `${label}.${e}`);
+
+  const unknown = Object.keys(definition).filter(k => !RULE_KEYS.includes(k));
+  if (unknown.length > 0) {
+    errors.push(`${label}: unknown field(s) ${unknown.join(', ')}`);
+  }
+
+  const { id } = definition;
+  if (typeof id === 'string') {
+    if (id.startsWith(RESERVED_ID_PREFIX) || BUILTIN_RULES.some(rule => rule.id === id)) {
+      errors.push(`${label}.id ${id} is reserved`);
+    } else if (!RULE_ID_PATTERN.test(id)) {
+      errors.push(`${label}.id must look like HOUSE-001 (uppercase prefix, dash, suffix)`);
+    }
+  }
+
+  const scope = definition.scope || RuleScopes.SERVICE;
+  if (definition.when !== undefined) {
+    if (scope === RuleScopes.PROJECT) {
+      errors.push(`${label}.when only applies to service-scoped rules`);
+    } else {
+      validatePredicate(definition.when, `${label}.when`, errors, scope);
+    }
+  }
+  if (definition.assert !== undefined) {
+    validatePredicate(definition.assert, `${label}.assert`, errors, scope);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Applies defaults to a validated rule. Keys come out in schema order so
+ * exported packs diff cleanly.
+ */
+export function normaliseRule(definition) {
+  const withDefaults = {
+    category: 'architecture',
+    scope: RuleScopes.SERVICE,
+    ...definition
+  };
+  return Object.fromEntries(RULE_KEYS.filter(k => withDefaults[k] !== undefined).map(k => [k, withDefaults[k]]));
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+export function resolvePath(context, path) {
+  let value = context;
+  for (const segment of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    if (segment === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+      value = value.length;
+    } else {
+      value = typeof value === 'object' && Object.hasOwn(value, segment) ? value[segment] : undefined;
+    }
+  }
+  return value;
+}
+
+export function evaluatePredicate(node, context) {
+  if ('all' in node) return node.all.every(child => evaluatePredicate(child, context));
+  if ('any' in node) return node.any.some(child => evaluatePredicate(child, context));
+  if ('not' in node) return !evaluatePredicate(node.not, context);
+
+  const quantifier = QUANTIFIERS.find(q => q in node);
+  if (quantifier) {
+    const items = resolvePath(context, node[quantifier]);
+    const list = Array.isArray(items) ? items : [];
+    const test = item => evaluatePredicate(node.where, { ...context, item });
+    if (quantifier === 'some') return list.some(test);
+    if (quantifier === 'every') return list.every(test);
+    return !list.some(test);
+  }
+
+  return OPERATORS[node.op].test(resolvePath(context, node.path), node.value);
+}
+
+// Copies a validated predicate with `matches` patterns compiled once
+function compilePatterns(node) {
+  if ('all' in node) return { all: node.all.map(compilePatterns) };
+  if ('any' in node) return { any: node.any.map(compilePatterns) };
+  if ('not' in node) return { not: compilePatterns(node.not) };
+  if ('where' in node) return { ...node, where: compilePatterns(node.where) };
+  return node.op === 'matches' ? { ...node, value: toMatcher(node.value) } : node;
+}
+
+/**
+ * Services as rules see them: the stored record plus resolved
+ * `dependencies` and `dependents` and their counts.
+ */
+function serviceViews(graph) {
+  return [...graph.nodes.values()].map(service => {
+    const dependencies = graph.outgoing.get(service.id).map(id => graph.nodes.get(id));
+    const dependents = graph.incoming.get(service.id).map(id => graph.nodes.get(id));
+    return { ...service, dependencies, dependents, fan_out: dependencies.length, fan_in: dependents.length };
+  });
+}
+
+/**
+ * Compiles a rule definition into an archLinter rule.
+ * Returns { valid, rule, errors }.
+ */
+export function compileDslRule(definition) {
+  const validation = validateRule(definition);
+  if (!validation.valid) {
+    return { valid: false, errors: validation.errors };
+  }
+
+  const spec = normaliseRule(definition);
+  const when = spec.when && compilePatterns(spec.when);
+  const assert = compilePatterns(spec.assert);
+  const rule = {
+    id: spec.id,
+    name: spec.name,
+    category: spec.category,
+    severity: spec.severity,
+    description: spec.description || spec.name,
+    fix_hint: spec.fix_hint || 'See the rule description',
+    source: 'dsl',
+    check: ({ graph, rule: self, project, cicdConfigs }) => {
+      const services = serviceViews(graph);
+      const base = { project: project || {}, services, cicd: cicdConfigs || [] };
+
+      if (spec.scope === RuleScopes.PROJECT) {
+        return evaluatePredicate(assert, base) ? [] : [createFinding(self, [], graph, {
+          title: `Project violates ${self.name}`,
+          description: self.description
+        })];
+      }
+
+      return services
+        .filter(service => !when || evaluatePredicate(when, { ...base, service }))
+        .filter(service => !evaluatePredicate(assert, { ...base, service }))
+        .map(service => createFinding(self, [service.id], graph, {
+          title: `${service.name} violates ${self.name}`,
+          description: self.description
+        }));
+    }
+  };
+  return { valid: true, rule, errors: [] };
+}
+
+// ============================================
+// RULE PACKS
+// ============================================
+
+export function buildRulePack({ name, version = '1.0.0', description = '' }, definitions) {
+  return {
+    format: RULE_PACK_FORMAT,
+    format_version: RULE_PACK_VERSION,
+    name,
+    version,
+    description,
+    rules: definitions.map(normaliseRule)
+  };
+}
+
+/**
+ * Validates a parsed rule pack. Returns { valid, pack, rules, errors } where
+ * `pack` holds name/version/description and `rules` the normalised rules.
+ */
+export function readRulePack(data) {
+  if (!isPlainObject(data) || data.format !== RULE_PACK_FORMAT) {
+    return { valid: false, errors: [`Not a rule pack: format must be '${RULE_PACK_FORMAT}'`] };
+  }
+  if (!Number.isInteger(data.format_version) || data.format_version > RULE_PACK_VERSION) {
+    return { valid: false, errors: [`Unsupported format_version ${data.format_version}; supported: ${RULE_PACK_VERSION}`] };
+  }
+
+  const errors = validateSchema(data, {
+    name: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+    version: { type: 'string', maxLength: 30 },
+    description: { type: 'string', maxLength: 2000 },
+    rules: { required: true, type: 'array', maxLength: DSL_LIMITS.rulesPerPack }
+  }).errors;
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const seen = new Set();
+  data.rules.forEach((definition, i) => {
+    errors.push(...validateRule(definition, `rules[${i}]`).errors);
+    if (seen.has(definition?.id)) {
+      errors.push(`rules[${i}].id ${definition.id} is duplicated`);
+    }
+    seen.add(definition?.id);
+  });
+
+  return {
+    valid: errors.length === 0,
+    pack: { name: data.name, version: data.version || '1.0.0', description: data.description || '' },
+    rules: errors.length === 0 ? data.rules.map(normaliseRule) : [],
+    errors
+  };
+}
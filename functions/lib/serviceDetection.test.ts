@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for lib/serviceDetection.js
+ *
+ * Test coverage for:
+ * - Manifest selection from a repository tree
+ * - package.json, go.mod, pom.xml, Dockerfile and Chart.yaml parsing
+ * - Proposals per directory, Helm chart attachment and existing matches
+ *
+ * Run with: deno test functions/lib/serviceDetection.test.js
+ */
+
+import {
+  ManifestKinds,
+  Confidence,
+  selectManifests,
+  parseGoMod,
+  parsePom,
+  parseDockerfile,
+  detectServices,
+  matchExistingServices
+} from './serviceDetection.js';
+import { SHOP_REPOSITORY } from './fixtures/fakeGitHub.js';
+
+function shopManifests() {
+  const tree = Object.entries(SHOP_REPOSITORY.files).map(([path, content]) => ({ path, type: 'blob', size: content.length, content }));
+  return selectManifests(tree).manifests;
+}
+
+Deno.test('selectManifests - skips dependencies and caps shallow-first', () => {
+  const { manifests } = selectManifests([
+    { path: 'services/a/deep/package.json', type: 'blob', size: 10 },
+    { path: 'Dockerfile', type: 'blob', size: 10 },
+    { path: 'node_modules/x/package.json', type: 'blob', size: 10 },
+    { path: 'services', type: 'tree' },
+    { path: 'huge/pom.xml', type: 'blob', size: 10000000 },
+    { path: 'api/Dockerfile.prod', type: 'blob', size: 10 }
+  ], { limit: 2 });
+  const paths = manifests.map(m => m.path).join();
+  if (paths !== 'Dockerfile,api/Dockerfile.prod' || manifests[1].kind !== ManifestKinds.DOCKERFILE) {
+    throw new Error(`Unexpected selection: ${paths}`);
+  }
+});
+
+Deno.test('manifest parsers - names, technologies and ports', () => {
+  const go = parseGoMod(SHOP_REPOSITORY.files['services/payments/go.mod']);
+  if (go.name !== 'payments' || go.technologies.join() !== 'Go,Gin,PostgreSQL') {
+    throw new Error(`Unexpected go.mod: ${JSON.stringify(go)}`);
+  }
+
+  const pom = parsePom(SHOP_REPOSITORY.files['services/inventory/pom.xml']);
+  if (pom.name !== 'inventory-service' || pom.version !== '0.9.0' || !pom.technologies.includes('Kafka')) {
+    throw new Error(`Parent coordinates leaked into the pom: ${JSON.stringify(pom)}`);
+  }
+
+  const docker = parseDockerfile(SHOP_REPOSITORY.files['services/payments/Dockerfile']);
+  if (docker.ports.join() !== '8080,9090' || !docker.technologies.includes('Go') || docker.images.length !== 2) {
+    throw new Error(`Unexpected Dockerfile: ${JSON.stringify(docker)}`);
+  }
+});
+
+Deno.test('detectServices - one proposal per service directory', () => {
+  const { proposals, errors } = detectServices(shopManifests(), { repositoryName: 'shop' });
+  const names = proposals.map(p => p.name).join();
+  if (errors.length !== 0 || names !== 'redis,gateway,inventory-service,orders,payments,storefront') {
+    throw new Error(`Unexpected proposals: ${names} ${errors}`);
+  }
+
+  const byName = Object.fromEntries(proposals.map(p => [p.name, p]));
+  const orders = byName.orders;
+  if (orders.directory !== 'services/orders' || orders.port !== 3000 || orders.confidence !== Confidence.HIGH) {
+    throw new Error(`Unexpected orders: ${JSON.stringify(orders)}`);
+  }
+  if (orders.technologies.join() !== 'Node.js,Express,PostgreSQL,Kafka,TypeScript,Docker,Helm,Kubernetes') {
+    throw new Error(`Helm chart not attached to orders: ${orders.technologies}`);
+  }
+  if (byName.gateway.category !== 'api_gateway' || byName.storefront.category !== 'frontend' || byName.payments.category !== 'backend') {
+    throw new Error('Unexpected categories');
+  }
+  if (byName.redis.confidence !== Confidence.MEDIUM || byName.redis.evidence.join() !== 'deploy/helm/redis/Chart.yaml') {
+    throw new Error(`Standalone charts should be proposed: ${JSON.stringify(byName.redis)}`);
+  }
+});
+
+Deno.test('detectServices - bad manifests are reported, not fatal', () => {
+  const { proposals, errors } = detectServices([
+    { path: 'api/package.json', kind: ManifestKinds.PACKAGE_JSON, content: '{ not json' },
+    { path: 'api/Dockerfile', kind: ManifestKinds.DOCKERFILE, content: 'FROM python:3.12-slim\n' }
+  ]);
+  if (errors.length !== 1 || proposals.length !== 1 || proposals[0].name !== 'api' || !proposals[0].technologies.includes('Python')) {
+    throw new Error(`Unexpected result: ${JSON.stringify({ proposals, errors })}`);
+  }
+});
+
+Deno.test('matchExistingServices - normalised name matches', () => {
+  const matched = matchExistingServices(
+    [{ name: 'inventory-service' }, { name: 'payments' }],
+    [{ id: 's1', name: 'Inventory Service' }]
+  );
+  if (matched[0].existing_service_id !== 's1' || matched[1].existing_service_id !== null) {
+    throw new Error(`Unexpected matches: ${JSON.stringify(matched)}`);
+  }
+});
@@ -0,0 +1,398 @@
+/**
+ * Service Detection
+ * AXIS: Architecture, Integration
+ *
+ * Proposes Service records from the build manifests in a repository tree:
+ * - Dockerfiles, package.json, go.mod, pom.xml and Helm Chart.yaml
+ * - One proposal per directory, named from its manifest
+ * - Technologies from dependencies and base images
+ * - Helm charts attached to the service they deploy
+ * - Proposals matched to existing services by normalised name
+ *
+ * Pure; fetching files is left to the caller (see lib/github.js).
+ */
+
+import { normaliseServiceName } from './telemetry.js';
+
+export const ManifestKinds = {
+  DOCKERFILE: 'dockerfile',
+  PACKAGE_JSON: 'package_json',
+  GO_MOD: 'go_mod',
+  POM_XML: 'pom_xml',
+  HELM_CHART: 'helm_chart'
+};
+
+export const Confidence = {
+  HIGH: 'high',
+  MEDIUM: 'medium'
+};
+
+// Directories that hold dependencies, build output or test data, not services
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules', 'vendor', 'dist', 'build', 'target', 'out', 'coverage',
+  '.git', 'testdata', '__tests__', '__mocks__', 'fixtures', 'examples', 'example'
+]);
+
+export const MAX_MANIFESTS = 150;
+export const MAX_MANIFEST_BYTES = 512000;
+
+// Dependency name => technology. npm names match exactly; Go modules also
+// match sub-paths and Maven artifacts also match suffixed variants
+const NPM_TECHNOLOGIES = {
+  express: 'Express',
+  fastify: 'Fastify',
+  koa: 'Koa',
+  '@nestjs/core': 'NestJS',
+  '@hapi/hapi': 'hapi',
+  next: 'Next.js',
+  react: 'React',
+  vue: 'Vue',
+  '@angular/core': 'Angular',
+  svelte: 'Svelte',
+  typescript: 'TypeScript',
+  graphql: 'GraphQL',
+  '@apollo/server': 'Apollo',
+  '@grpc/grpc-js': 'gRPC',
+  prisma: 'Prisma',
+  '@prisma/client': 'Prisma',
+  pg: 'PostgreSQL',
+  mysql2: 'MySQL',
+  mongoose: 'MongoDB',
+  mongodb: 'MongoDB',
+  redis: 'Redis',
+  ioredis: 'Redis',
+  kafkajs: 'Kafka',
+  amqplib: 'RabbitMQ',
+  'socket.io': 'Socket.IO'
+};
+
+const GO_TECHNOLOGIES = {
+  'github.com/gin-gonic/gin': 'Gin',
+  'github.com/labstack/echo': 'Echo',
+  'github.com/gofiber/fiber': 'Fiber',
+  'github.com/go-chi/chi': 'chi',
+  'github.com/gorilla/mux': 'Gorilla',
+  'google.golang.org/grpc': 'gRPC',
+  'github.com/lib/pq': 'PostgreSQL',
+  'github.com/jackc/pgx': 'PostgreSQL',
+  'github.com/go-sql-driver/mysql': 'MySQL',
+  'go.mongodb.org/mongo-driver': 'MongoDB',
+  'github.com/redis/go-redis': 'Redis',
+  'github.com/go-redis/redis': 'Redis',
+  'github.com/segmentio/kafka-go': 'Kafka',
+  'github.com/IBM/sarama': 'Kafka',
+  'github.com/Shopify/sarama': 'Kafka',
+  'github.com/rabbitmq/amqp091-go': 'RabbitMQ'
+};
+
+const MAVEN_TECHNOLOGIES = {
+  'spring-boot': 'Spring Boot',
+  'spring-cloud-starter-gateway': 'Spring Cloud Gateway',
+  quarkus: 'Quarkus',
+  micronaut: 'Micronaut',
+  postgresql: 'PostgreSQL',
+  'mysql-connector': 'MySQL',
+  'mongodb-driver': 'MongoDB',
+  'spring-boot-starter-data-mongodb': 'MongoDB',
+  'spring-boot-starter-data-redis': 'Redis',
+  jedis: 'Redis',
+  'kafka-clients': 'Kafka',
+  'spring-kafka': 'Kafka',
+  'spring-boot-starter-amqp': 'RabbitMQ',
+  'grpc-netty': 'gRPC'
+};
+
+// Base image name (without registry or tag) => runtime
+const IMAGE_TECHNOLOGIES = [
+  [/^(node|.*\/node)$/, 'Node.js'],
+  [/^(golang|.*\/golang)$/, 'Go'],
+  [/(openjdk|eclipse-temurin|amazoncorretto|maven|gradle|jre|jdk)/, 'Java'],
+  [/^(python|.*\/python)$/, 'Python'],
+  [/(dotnet|aspnet)/, '.NET'],
+  [/^(ruby|.*\/ruby)$/, 'Ruby'],
+  [/^(nginx|.*\/nginx)$/, 'Nginx'],
+  [/envoy/, 'Envoy']
+];
+
+const FRONTEND_TECHNOLOGIES = ['React', 'Vue', 'Angular', 'Svelte', 'Next.js'];
+const SERVER_TECHNOLOGIES = ['Express', 'Fastify', 'Koa', 'NestJS', 'hapi', 'Apollo', 'gRPC'];
+const GATEWAY_PATTERN = /(gateway|proxy|edge|ingress|bff)/i;
+
+// ============================================
+// TREE SELECTION
+// ============================================
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+export function manifestKind(path) {
+  const name = basename(path);
+  if (name === 'Dockerfile' || /^Dockerfile\./.test(name) || /\.dockerfile$/i.test(name)) return ManifestKinds.DOCKERFILE;
+  if (name === 'package.json') return ManifestKinds.PACKAGE_JSON;
+  if (name === 'go.mod') return ManifestKinds.GO_MOD;
+  if (name === 'pom.xml') return ManifestKinds.POM_XML;
+  if (name === 'Chart.yaml') return ManifestKinds.HELM_CHART;
+  return null;
+}
+
+/**
+ * Picks the manifest files worth fetching from a flat tree listing of
+ * { path, type, size }. Shallow paths come first so the cap drops the
+ * deepest (least likely to be a service root) files.
+ */
+export function selectManifests(tree, { limit = MAX_MANIFESTS } = {}) {
+  const selected = [];
+  let skipped = 0;
+  for (const entry of tree) {
+    if (entry.type !== 'blob') continue;
+    const kind = manifestKind(entry.path);
+    if (!kind) continue;
+    if (entry.path.split('/').slice(0, -1).some(part => IGNORED_DIRECTORIES.has(part))) continue;
+    if ((entry.size || 0) > MAX_MANIFEST_BYTES) {
+      skipped++;
+      continue;
+    }
+    selected.push({ ...entry, kind });
+  }
+  selected.sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path));
+  return { manifests: selected.slice(0, limit), skipped: skipped + Math.max(0, selected.length - limit) };
+}
+
+// ============================================
+// MANIFEST PARSERS
+// ============================================
+
+function technologiesFrom(names, table, separator = null) {
+  const found = [];
+  for (const name of names) {
+    for (const [prefix, technology] of Object.entries(table)) {
+      if (name === prefix || (separator && name.startsWith(`${prefix}${separator}`))) found.push(technology);
+    }
+  }
+  return found;
+}
+
+export function parsePackageJson(content) {
+  const pkg = JSON.parse(content);
+  const dependencies = Object.keys({ ...pkg.dependencies, ...pkg.devDependencies });
+  const technologies = ['Node.js', ...technologiesFrom(dependencies, NPM_TECHNOLOGIES)];
+  return {
+    name: typeof pkg.name === 'string' ? pkg.name.replace(/^@[^/]+\//, '') : null,
+    version: typeof pkg.version === 'string' ? pkg.version : null,
+    description: typeof pkg.description === 'string' ? pkg.description : null,
+    technologies,
+    // A workspace root describes the monorepo, not a service
+    aggregator: Boolean(pkg.workspaces)
+  };
+}
+
+export function parseGoMod(content) {
+  const module = content.match(/^module\s+(\S+)/m)?.[1] || null;
+  const requires = [];
+  for (const match of content.matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w.-]+\/\S+)\s+v[\w.+-]+/gm)) {
+    requires.push(match[1]);
+  }
+  const name = module ? module.replace(/\/v\d+$/, '').split('/').pop() : null;
+  return {
+    name,
+    version: null,
+    description: null,
+    technologies: ['Go', ...technologiesFrom(requires, GO_TECHNOLOGIES, '/')],
+    aggregator: false
+  };
+}
+
+function xmlText(xml, tag) {
+  return xml.match(new RegExp(`<${tag}>\\s*([^<]+?)\\s*</${tag}>`))?.[1] || null;
+}
+
+export function parsePom(content) {
+  // The project's own coordinates, not those of its parent or dependencies
+  const own = content
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<parent>[\s\S]*?<\/parent>/g, '')
+    .replace(/<dependencies>[\s\S]*?<\/dependencies>/g, '')
+    .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '')
+    .replace(/<build>[\s\S]*?<\/build>/g, '');
+  const artifacts = [...content.matchAll(/<artifactId>\s*([^<]+?)\s*<\/artifactId>/g)].map(m => m[1]);
+  const packaging = xmlText(own, 'packaging') || 'jar';
+  return {
+    name: xmlText(own, 'artifactId'),
+    version: xmlText(own, 'version'),
+    description: xmlText(own, 'description'),
+    technologies: ['Java', ...technologiesFrom(artifacts, MAVEN_TECHNOLOGIES, '-')],
+    aggregator: packaging === 'pom'
+  };
+}
+
+export function parseDockerfile(content) {
+  const images = [];
+  const ports = [];
+  for (const line of content.split(/\r?\n/)) {
+    const from = line.match(/^\s*FROM\s+(?:--platform=\S+\s+)?(\S+)/i);
+    if (from) images.push(from[1]);
+    const expose = line.match(/^\s*EXPOSE\s+(.+)$/i);
+    if (expose) {
+      for (const port of expose[1].split(/\s+/)) {
+        const number = parseInt(port, 10);
+        if (number > 0 && number < 65536) ports.push(number);
+      }
+    }
+  }
+  const technologies = ['Docker'];
+  for (const image of images) {
+    const name = image.split('@')[0].replace(/:[^/]*$/, '').toLowerCase();
+    const match = IMAGE_TECHNOLOGIES.find(([pattern]) => pattern.test(name));
+    if (match) technologies.push(match[1]);
+  }
+  return { name: null, version: null, description: null, technologies, images, ports, aggregator: false };
+}
+
+// Top-level scalar keys only; Chart.yaml rarely needs more
+export function parseHelmChart(content) {
+  const values = Object.create(null);
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^([A-Za-z]+):\s*(.*?)\s*$/);
+    if (match && match[2]) values[match[1]] = match[2].replace(/^["']|["']$/g, '');
+  }
+  return {
+    name: values.name || null,
+    version: values.appVersion || null,
+    description: values.description || null,
+    technologies: ['Helm', 'Kubernetes'],
+    aggregator: values.type === 'library'
+  };
+}
+
+const PARSERS = {
+  [ManifestKinds.DOCKERFILE]: parseDockerfile,
+  [ManifestKinds.PACKAGE_JSON]: parsePackageJson,
+  [ManifestKinds.GO_MOD]: parseGoMod,
+  [ManifestKinds.POM_XML]: parsePom,
+  [ManifestKinds.HELM_CHART]: parseHelmChart
+};
+
+// Later kinds win when several manifests in one directory name the service
+const NAME_PRIORITY = [
+  ManifestKinds.HELM_CHART,
+  ManifestKinds.DOCKERFILE,
+  ManifestKinds.POM_XML,
+  ManifestKinds.GO_MOD,
+  ManifestKinds.PACKAGE_JSON
+];
+
+// ============================================
+// PROPOSALS
+// ============================================
+
+function categorise(name, technologies) {
+  if (GATEWAY_PATTERN.test(name) || technologies.includes('Envoy') || technologies.includes('Spring Cloud Gateway')) {
+    return 'api_gateway';
+  }
+  const frontend = technologies.some(t => FRONTEND_TECHNOLOGIES.includes(t));
+  const server = technologies.some(t => SERVER_TECHNOLOGIES.includes(t));
+  if (frontend && !server) return 'frontend';
+  return 'backend';
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Turns fetched manifests ({ path, kind, content }) into Service proposals.
+ * Returns { proposals, errors } where errors name manifests that did not
+ * parse; those files are skipped rather than failing the scan.
+ */
+export function detectServices(manifests, { repositoryName = null } = {}) {
+  const directories = new Map();
+  const charts = [];
+  const errors = [];
+
+  for (const manifest of manifests) {
+    let parsed;
+    try {
+      parsed = PARSERS[manifest.kind](manifest.content);
+    } catch (error) {
+      errors.push(`${manifest.path}: ${error.message}`);
+      continue;
+    }
+    if (parsed.aggregator) continue;
+    const entry = { ...manifest, parsed };
+    if (manifest.kind === ManifestKinds.HELM_CHART) {
+      charts.push(entry);
+      continue;
+    }
+    const directory = dirname(manifest.path);
+    directories.set(directory, [...(directories.get(directory) || []), entry]);
+  }
+
+  const proposals = [];
+  for (const [directory, entries] of directories) {
+    entries.sort((a, b) => NAME_PRIORITY.indexOf(b.kind) - NAME_PRIORITY.indexOf(a.kind));
+    const named = entries.find(e => e.parsed.name);
+    const fallback = directory ? basename(directory) : repositoryName;
+    const name = named?.parsed.name || fallback;
+    if (!name) continue;
+
+    const dockerfile = entries.find(e => e.kind === ManifestKinds.DOCKERFILE);
+    const technologies = unique(entries.flatMap(e => e.parsed.technologies));
+    proposals.push({
+      name,
+      directory,
+      technologies,
+      description: entries.find(e => e.parsed.description)?.parsed.description || null,
+      version: entries.find(e => e.parsed.version)?.parsed.version || null,
+      port: dockerfile?.parsed.ports[0] ?? null,
+      evidence: entries.map(e => e.path).sort(),
+      confidence: dockerfile ? Confidence.HIGH : Confidence.MEDIUM
+    });
+  }
+
+  // A chart deploys the service of the same name, or stands alone
+  for (const chart of charts) {
+    const chartName = chart.parsed.name || basename(dirname(chart.path));
+    const target = proposals.find(p => normaliseServiceName(p.name) === normaliseServiceName(chartName));
+    if (target) {
+      target.technologies = unique([...target.technologies, ...chart.parsed.technologies]);
+      target.evidence = [...target.evidence, chart.path].sort();
+      target.confidence = Confidence.HIGH;
+      target.version = target.version || chart.parsed.version;
+      continue;
+    }
+    proposals.push({
+      name: chartName,
+      directory: dirname(chart.path),
+      technologies: chart.parsed.technologies,
+      description: chart.parsed.description,
+      version: chart.parsed.version,
+      port: null,
+      evidence: [chart.path],
+      confidence: Confidence.MEDIUM
+    });
+  }
+
+  // A lone root package.json in a repo with real services is tooling
+  const hasNested = proposals.some(p => p.directory !== '');
+  const result = proposals
+    .filter(p => !(hasNested && p.directory === '' && p.confidence === Confidence.MEDIUM))
+    .map(p => ({ ...p, category: categorise(p.name, p.technologies) }))
+    .sort((a, b) => a.directory.localeCompare(b.directory) || a.name.localeCompare(b.name));
+
+  return { proposals: result, errors };
+}
+
+/**
+ * Flags proposals that match an existing Service by normalised name, so the
+ * caller can merge technologies instead of creating a duplicate.
+ */
+export function matchExistingServices(proposals, services) {
+  const byName = new Map(services.map(s => [normaliseServiceName(s.name), s]));
+  return proposals.map(p => ({ ...p, existing_service_id: byName.get(normaliseServiceName(p.name))?.id || null }));
+}
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for lib/serviceRouter.js
+ *
+ * Test coverage for:
+ * - Circuit breaker state transitions
+ * - Retries for retryable error codes
+ * - Timeouts and upstream error classification
+ * - Failure envelope errors
+ *
+ * Run with: deno test functions/lib/serviceRouter.test.js
+ */
+
+import {
+  CircuitStates,
+  createCircuitBreaker,
+  classifyUpstreamError,
+  failureError,
+  invokeBackend
+} from './serviceRouter.js';
+import { ErrorCodes } from './utils.js';
+
+const noSleep = () => Promise.resolve();
+
+function upstreamError(status, code) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {
+    status,
+    data: code ? { success: false, error: { code, message: 'upstream message' } } : undefined
+  };
+  return error;
+}
+
+Deno.test('circuit breaker - opens after threshold and half-opens after timeout', () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+
+  breaker.recordFailure();
+  if (breaker.getState() !== CircuitStates.CLOSED) {
+    throw new Error('Breaker should stay closed below threshold');
+  }
+
+  breaker.recordFailure();
+  if (breaker.canRequest()) {
+    throw new Error('Open breaker should reject requests');
+  }
+
+  now = 1000;
+  if (!breaker.canRequest()) {
+    throw new Error('Half-open breaker should allow one trial request');
+  }
+  if (breaker.canRequest()) {
+    throw new Error('Half-open breaker should allow only one trial request');
+  }
+
+  breaker.recordSuccess();
+  if (breaker.getState() !== CircuitStates.CLOSED) {
+    throw new Error('Successful trial should close the breaker');
+  }
+});
+
+Deno.test('classifyUpstreamError - prefers upstream error code over status', () => {
+  const failure = classifyUpstreamError(upstreamError(500, ErrorCodes.NOT_FOUND.code));
+  if (failure.errorType !== ErrorCodes.NOT_FOUND) {
+    throw new Error(`Expected NOT_FOUND, got ${failure.errorType.code}`);
+  }
+
+  const byStatus = classifyUpstreamError(upstreamError(503));
+  if (byStatus.errorType !== ErrorCodes.SERVICE_UNAVAILABLE) {
+    throw new Error(`Expected SERVICE_UNAVAILABLE, got ${byStatus.errorType.code}`);
+  }
+});
+
+Deno.test('failureError - passes upstream details through', () => {
+  const error = upstreamError(400, ErrorCodes.VALIDATION.code);
+  error.response.data.error.details = { errors: ['services[0].name is required'] };
+
+  const body = failureError(classifyUpstreamError(error), 'corr-1');
+  if (body.code !== ErrorCodes.VALIDATION.code || body.upstream_status !== 400 || body.details?.errors?.[0] !== 'services[0].name is required') {
+    throw new Error(`Expected upstream details in the error: ${JSON.stringify(body)}`);
+  }
+  if ('details' in failureError(classifyUpstreamError(upstreamError(500, ErrorCodes.INTERNAL.code)), 'corr-2')) {
+    throw new Error('Failures without upstream details should not add a details key');
+  }
+});
+
+Deno.test('invokeBackend - retries retryable failures then succeeds', async () => {
+  let calls = 0;
+  const result = await invokeBackend({
+    name: 'retryTest',
+    payload: {},
+    invoke: () => {
+      calls++;
+      return calls < 3
+        ? Promise.reject(upstreamError(503))
+        : Promise.resolve({ status: 200, data: { success: true, data: 'ok' } });
+    },
+    maxRetries: 2,
+    breaker: createCircuitBreaker(),
+    sleep: noSleep
+  });
+
+  if (!result.ok || result.attempts !== 3) {
+    throw new Error(`Expected success on 3rd attempt, got ok=${result.ok} attempts=${result.attempts}`);
+  }
+});
+
+Deno.test('invokeBackend - does not retry non-retryable failures', async () => {
+  let calls = 0;
+  const result = await invokeBackend({
+    name: 'validationTest',
+    payload: {},
+    invoke: () => {
+      calls++;
+      return Promise.reject(upstreamError(400, ErrorCodes.VALIDATION.code));
+    },
+    breaker: createCircuitBreaker(),
+    sleep: noSleep
+  });
+
+  if (result.ok || calls !== 1) {
+    throw new Error(`Expected a single failed attempt, got ${calls}`);
+  }
+  if (result.failure.errorType !== ErrorCodes.VALIDATION) {
+    throw new Error('Failure not classified as VALIDATION');
+  }
+});
+
+Deno.test('invokeBackend - times out and does not retry non-idempotent calls', async () => {
+  let calls = 0;
+  const result = await invokeBackend({
+    name: 'timeoutTest',
+    payload: {},
+    invoke: () => {
+      calls++;
+      return new Promise(() => {});
+    },
+    timeoutMs: 10,
+    idempotent: false,
+    breaker: createCircuitBreaker(),
+    sleep: noSleep
+  });
+
+  if (result.ok || result.failure.errorType !== ErrorCodes.TIMEOUT) {
+    throw new Error('Expected TIMEOUT failure');
+  }
+  if (calls !== 1) {
+    throw new Error(`Non-idempotent call retried ${calls - 1} times after timeout`);
+  }
+});
+
+Deno.test('invokeBackend - short-circuits when breaker is open', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1 });
+  breaker.recordFailure();
+
+  let calls = 0;
+  const result = await invokeBackend({
+    name: 'openCircuitTest',
+    payload: {},
+    invoke: () => {
+      calls++;
+      return Promise.resolve({ status: 200 });
+    },
+    breaker,
+    sleep: noSleep
+  });
+
+  if (result.ok || calls !== 0) {
+    throw new Error('Open breaker should prevent the call');
+  }
+  if (result.failure.errorType !== ErrorCodes.SERVICE_UNAVAILABLE) {
+    throw new Error('Expected SERVICE_UNAVAILABLE');
+  }
+});
@@ -0,0 +1,263 @@
+/**
+ * Service-to-Service Invocation
+ * AXIS: Reliability, Observability
+ *
+ * Features:
+ * - Per-call timeouts
+ * - Retries with exponential backoff for retryable error codes
+ * - Circuit breaker per backend function
+ * - Upstream failures normalised to ErrorCodes
+ */
+
+import { ErrorCodes } from './utils.js';
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+export const CircuitStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Opens after `failureThreshold` consecutive failures, rejects calls for
+ * `resetTimeoutMs`, then lets a single trial call through (half-open).
+ */
+export function createCircuitBreaker({
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  now = () => Date.now()
+} = {}) {
+  let state = CircuitStates.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  return {
+    getState() {
+      if (state === CircuitStates.OPEN && now() - openedAt >= resetTimeoutMs) {
+        state = CircuitStates.HALF_OPEN;
+      }
+      return state;
+    },
+
+    canRequest() {
+      const current = this.getState();
+      if (current === CircuitStates.CLOSED) return true;
+      if (current === CircuitStates.HALF_OPEN && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    retryAfterMs() {
+      return state === CircuitStates.OPEN
+        ? Math.max(0, resetTimeoutMs - (now() - openedAt))
+        : 0;
+    },
+
+    recordSuccess() {
+      state = CircuitStates.CLOSED;
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures++;
+      trialInFlight = false;
+      if (state === CircuitStates.HALF_OPEN || failures >= failureThreshold) {
+        state = CircuitStates.OPEN;
+        openedAt = now();
+      }
+    }
+  };
+}
+
+// One breaker per backend function, per isolate
+const breakers = new Map();
+
+export function getCircuitBreaker(name, options) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(options));
+  }
+  return breakers.get(name);
+}
+
+// ============================================
+// ERROR CLASSIFICATION
+// ============================================
+
+const STATUS_ERROR_TYPES = {
+  400: ErrorCodes.VALIDATION,
+  401: ErrorCodes.UNAUTHORIZED,
+  403: ErrorCodes.FORBIDDEN,
+  404: ErrorCodes.NOT_FOUND,
+  409: ErrorCodes.CONFLICT,
+  413: ErrorCodes.VALIDATION,
+  429: ErrorCodes.RATE_LIMITED,
+  502: ErrorCodes.EXTERNAL_SERVICE,
+  503: ErrorCodes.SERVICE_UNAVAILABLE,
+  504: ErrorCodes.TIMEOUT
+};
+
+function findErrorType(code) {
+  return Object.values(ErrorCodes).find(type => type.code === code);
+}
+
+/**
+ * Maps a failed invocation (timeout, network error or non-2xx response)
+ * to { errorType, status, message, upstream }.
+ */
+export function classifyUpstreamError(error) {
+  if (error?.code === ErrorCodes.TIMEOUT.code) {
+    return { errorType: ErrorCodes.TIMEOUT, status: null, message: error.message };
+  }
+
+  const response = error?.response;
+  if (!response) {
+    return {
+      errorType: ErrorCodes.EXTERNAL_SERVICE,
+      status: null,
+      message: error?.message || 'Backend unreachable'
+    };
+  }
+
+  const upstream = response.data?.error;
+  const errorType = findErrorType(upstream?.code)
+    || STATUS_ERROR_TYPES[response.status]
+    || ErrorCodes.INTERNAL;
+
+  return {
+    errorType,
+    status: response.status,
+    message: upstream?.message || error.message,
+    upstream
+  };
+}
+
+/**
+ * The `error` object of the gateway's failure envelope. Upstream details
+ * (such as validation errors) pass through so clients can show them.
+ */
+export function failureError(failure, correlationId) {
+  return {
+    code: failure.errorType.code,
+    message: failure.message,
+    retryable: failure.errorType.retryable,
+    correlationId,
+    ...(failure.status ? { upstream_status: failure.status } : {}),
+    ...(failure.retry_after_ms ? { retry_after_seconds: Math.ceil(failure.retry_after_ms / 1000) } : {}),
+    ...(failure.upstream?.details ? { details: failure.upstream.details } : {})
+  };
+}
+
+// Only server-side failures say anything about backend health
+function isBackendFailure(failure) {
+  return failure.status === null || failure.status >= 500;
+}
+
+// ============================================
+// INVOCATION
+// ============================================
+
+export function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = ErrorCodes.TIMEOUT.code;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function backoffDelay(attempt, baseDelayMs) {
+  const exponential = baseDelayMs * 2 ** attempt;
+  return exponential / 2 + Math.random() * exponential / 2;
+}
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Invokes a backend function with timeout, retries and circuit breaking.
+ *
+ * `invoke(name, payload)` performs the actual call and must resolve to
+ * { status, data } or reject with an error carrying `response`.
+ * Non-idempotent calls are only retried when the backend explicitly
+ * answered with a retryable error.
+ *
+ * Resolves to { ok: true, status, data, attempts, circuit_state } or
+ * { ok: false, failure, attempts, circuit_state }; never rejects.
+ */
+export async function invokeBackend({
+  name,
+  payload,
+  invoke,
+  logger,
+  timeoutMs = 30000,
+  maxRetries = 2,
+  baseDelayMs = 250,
+  idempotent = true,
+  breaker = getCircuitBreaker(name),
+  sleep = defaultSleep
+}) {
+  let attempts = 0;
+  let failure = null;
+
+  while (attempts <= maxRetries) {
+    if (!breaker.canRequest()) {
+      logger?.warn('Circuit open, rejecting call', { function: name });
+      return {
+        ok: false,
+        attempts,
+        circuit_state: breaker.getState(),
+        failure: {
+          errorType: ErrorCodes.SERVICE_UNAVAILABLE,
+          status: null,
+          message: `${name} is temporarily unavailable`,
+          retry_after_ms: breaker.retryAfterMs()
+        }
+      };
+    }
+
+    attempts++;
+    try {
+      const response = await withTimeout(invoke(name, payload), timeoutMs, name);
+      breaker.recordSuccess();
+      return {
+        ok: true,
+        status: response?.status || 200,
+        data: response?.data,
+        attempts,
+        circuit_state: breaker.getState()
+      };
+    } catch (error) {
+      failure = classifyUpstreamError(error);
+      if (isBackendFailure(failure)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+
+      logger?.warn('Backend invocation failed', {
+        function: name,
+        attempt: attempts,
+        code: failure.errorType.code,
+        status: failure.status
+      });
+
+      // A timeout or dropped connection may still have completed the work;
+      // only idempotent calls are safe to repeat in that case
+      const outcomeUnknown = failure.status === null;
+      if (!failure.errorType.retryable || (outcomeUnknown && !idempotent) || attempts > maxRetries) break;
+      await sleep(backoffDelay(attempts - 1, baseDelayMs));
+    }
+  }
+
+  return { ok: false, failure, attempts, circuit_state: breaker.getState() };
+}
@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for lib/sessionReplay.js
+ *
+ * Test coverage for:
+ * - Replay frames from a baseline and recorded deltas
+ * - Change descriptions
+ * - Frame lookup by time
+ *
+ * Run with: deno test functions/lib/sessionReplay.test.js
+ */
+
+import { buildReplay, describeChanges, frameAt } from './sessionReplay.js';
+import { createDoc, createReplica, mergeDocs, seedDelta, editServiceDelta, removeServiceDelta, addServiceDelta } from './crdt.js';
+
+const BASELINE = [
+  { id: 'api', name: 'API', position: { x: 0, y: 0 }, depends_on: [] },
+  { id: 'db', name: 'DB', position: { x: 100, y: 0 }, depends_on: [] }
+];
+
+function recordedChanges() {
+  const alice = createReplica('alice');
+  const bob = createReplica('bob');
+  let doc = mergeDocs(createDoc(), seedDelta(BASELINE));
+  const changes = [];
+  const record = (at, author_email, delta) => {
+    doc = mergeDocs(doc, delta);
+    changes.push({ at, author_email, delta });
+  };
+
+  record('2026-01-01T10:01:00Z', 'alice@x.io', editServiceDelta(doc, alice, 'api', { position: { x: 50, y: 50 } }));
+  record('2026-01-01T10:02:00Z', 'bob@x.io', editServiceDelta(doc, bob, 'api', { name: 'Gateway', depends_on: ['db'] }));
+  record('2026-01-01T10:03:00Z', 'alice@x.io', mergeDocs(removeServiceDelta(doc, 'db'), addServiceDelta(alice, 'cache', { name: 'Cache' })));
+  return changes;
+}
+
+Deno.test('buildReplay - frames in time order', () => {
+  const frames = buildReplay(BASELINE, recordedChanges().reverse(), '2026-01-01T10:00:00Z');
+  const texts = frames.map(f => f.changes.map(c => c.text).join('; '));
+
+  if (frames.length !== 4 || frames[0].services.length !== 2) {
+    throw new Error(`Unexpected frames: ${frames.length}`);
+  }
+  if (texts[1] !== 'moved API' || texts[2] !== 'renamed API to Gateway; linked Gateway → DB') {
+    throw new Error(`Unexpected descriptions: ${JSON.stringify(texts)}`);
+  }
+  if (texts[3] !== 'added Cache; removed DB' || frames[3].services.find(s => s.id === 'api').depends_on.length !== 0) {
+    throw new Error(`Removal should drop the service and its links: ${texts[3]}`);
+  }
+  if (frames[2].author !== 'bob@x.io') {
+    throw new Error('Frames should carry the author');
+  }
+});
+
+Deno.test('describeChanges and frameAt', () => {
+  const changes = describeChanges(BASELINE, [{ ...BASELINE[0], category: 'core', icon: '🚪' }, BASELINE[1]]);
+  if (changes.length !== 1 || changes[0].text !== 'changed category, icon of API') {
+    throw new Error(`Unexpected changes: ${JSON.stringify(changes)}`);
+  }
+
+  const frames = buildReplay(BASELINE, recordedChanges(), '2026-01-01T10:00:00Z');
+  const cases = [['2026-01-01T09:00:00Z', 0], ['2026-01-01T10:01:30Z', 1], ['2026-01-01T12:00:00Z', 3]];
+  for (const [at, expected] of cases) {
+    if (frameAt(frames, at) !== expected) {
+      throw new Error(`Expected frame ${expected} at ${at}, got ${frameAt(frames, at)}`);
+    }
+  }
+});
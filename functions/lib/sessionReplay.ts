@@ -0,0 +1,98 @@
+/**
+ * Collaboration Session Replay
+ * AXIS: Collaboration, Observability
+ *
+ * Rebuilds the state of a session's services at any point in time:
+ * - Starts from the services captured when the session was created
+ * - Re-applies the recorded CRDT deltas (SessionChange records) in time order
+ * - Describes what each step changed for the replay timeline
+ *
+ * Shared with the browser, like crdt.ts.
+ */
+
+import { createDoc, mergeDocs, materialise, seedDelta } from './crdt.js';
+
+// Fields compared when describing a step; others still replay but are not listed
+export const DESCRIBED_FIELDS = ['name', 'description', 'category', 'icon', 'technologies', 'apis', 'position'];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Differences between two materialised service lists, as one entry per
+ * service or link that changed
+ */
+export function describeChanges(before, after) {
+  const previous = new Map(before.map(s => [s.id, s]));
+  const next = new Map(after.map(s => [s.id, s]));
+  const nameOf = id => next.get(id)?.name || previous.get(id)?.name || id;
+  const changes = [];
+
+  for (const service of after) {
+    const old = previous.get(service.id);
+    if (!old) {
+      changes.push({ kind: 'added', service_id: service.id, text: `added ${nameOf(service.id)}` });
+      continue;
+    }
+    const fields = DESCRIBED_FIELDS.filter(field => !same(old[field], service[field]));
+    if (fields.length === 1 && fields[0] === 'position') {
+      changes.push({ kind: 'moved', service_id: service.id, fields, text: `moved ${nameOf(service.id)}` });
+    } else if (fields.includes('name')) {
+      changes.push({ kind: 'updated', service_id: service.id, fields, text: `renamed ${old.name} to ${service.name}` });
+    } else if (fields.length > 0) {
+      changes.push({ kind: 'updated', service_id: service.id, fields, text: `changed ${fields.join(', ')} of ${nameOf(service.id)}` });
+    }
+
+    const oldLinks = new Set(old.depends_on);
+    const newLinks = new Set(service.depends_on);
+    for (const to of newLinks) {
+      if (!oldLinks.has(to)) changes.push({ kind: 'linked', service_id: service.id, target_id: to, text: `linked ${nameOf(service.id)} → ${nameOf(to)}` });
+    }
+    for (const to of oldLinks) {
+      if (!newLinks.has(to) && next.has(to)) changes.push({ kind: 'unlinked', service_id: service.id, target_id: to, text: `unlinked ${nameOf(service.id)} → ${nameOf(to)}` });
+    }
+  }
+
+  for (const service of before) {
+    if (!next.has(service.id)) changes.push({ kind: 'removed', service_id: service.id, text: `removed ${service.name || service.id}` });
+  }
+  return changes;
+}
+
+/**
+ * Replay frames for a session. Frame 0 is the baseline; every later frame is
+ * one SessionChange applied on top of everything before it.
+ */
+export function buildReplay(baselineServices, changes, startedAt = null) {
+  const ordered = [...changes].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+  let doc = mergeDocs(createDoc(), seedDelta(baselineServices));
+  let services = materialise(doc);
+  const frames = [{ index: 0, at: startedAt, author: null, changes: [], services }];
+
+  for (const change of ordered) {
+    doc = mergeDocs(doc, change.delta || createDoc());
+    const next = materialise(doc);
+    frames.push({
+      index: frames.length,
+      at: change.at,
+      author: change.author_name || change.author_email || null,
+      changes: describeChanges(services, next),
+      services: next
+    });
+    services = next;
+  }
+  return frames;
+}
+
+/**
+ * Index of the last frame at or before the given time
+ */
+export function frameAt(frames, at) {
+  let index = 0;
+  for (const frame of frames) {
+    if (frame.at && String(frame.at) <= String(at)) index = frame.index;
+  }
+  return index;
+}
@@ -0,0 +1,238 @@
+/**
+ * Unit Tests for lib/telemetry.js
+ *
+ * Test coverage for:
+ * - OTLP/JSON metric and span parsing
+ * - Raw OTLP/HTTP export requests as pushed by stock exporters
+ * - Prometheus text exposition parsing
+ * - Service matching and per-minute samples
+ * - Windowed summaries, counter resets and "unknown" services
+ *
+ * Run with: deno test functions/lib/telemetry.test.js
+ */
+
+import {
+  TelemetryFormats,
+  HealthStatuses,
+  detectTelemetryFormat,
+  parseTelemetry,
+  parseOtlpSpans,
+  otlpExportSources,
+  createServiceMatcher,
+  buildSamples,
+  summariseTelemetry,
+  percentile,
+  observe,
+  emptyHistogram
+} from './telemetry.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const nanos = (ms) => String(ms * 1e6);
+const attr = (key, value) => ({ key, value: { stringValue: value } });
+
+const SERVICES = [
+  { id: 'svc-orders', name: 'Order Service' },
+  { id: 'svc-users', name: 'Users' },
+  { id: 'svc-idle', name: 'Billing' }
+];
+
+function spansPayload() {
+  const span = (id, offset, durationMs, error = false) => ({
+    traceId: 't1',
+    spanId: id,
+    kind: 'SPAN_KIND_SERVER',
+    name: 'GET /orders',
+    startTimeUnixNano: nanos(NOW - offset),
+    endTimeUnixNano: nanos(NOW - offset + durationMs),
+    status: error ? { code: 2 } : {}
+  });
+  return {
+    resourceSpans: [{
+      resource: { attributes: [attr('service.name', 'order-service'), attr('service.version', '1.4.0')] },
+      scopeSpans: [{ spans: [span('a', 180000, 20), span('b', 120000, 40), span('c', 60000, 400, true), span('d', 30000, 30)] }]
+    }]
+  };
+}
+
+Deno.test('detectTelemetryFormat - recognises each format', () => {
+  const cases = [
+    [spansPayload(), TelemetryFormats.OTLP_TRACES],
+    [JSON.stringify({ resourceMetrics: [] }), TelemetryFormats.OTLP_METRICS],
+    ['# TYPE up gauge\nup{job="users"} 1', TelemetryFormats.PROMETHEUS],
+    ['{"foo": 1}', null]
+  ];
+  for (const [content, expected] of cases) {
+    if (detectTelemetryFormat(content) !== expected) {
+      throw new Error(`Expected ${expected} for ${JSON.stringify(content).slice(0, 40)}`);
+    }
+  }
+});
+
+Deno.test('parseOtlpSpans - keeps topology fields and error status', () => {
+  const { spans, errors } = parseOtlpSpans(spansPayload());
+  if (errors.length !== 0 || spans.length !== 4) {
+    throw new Error(`Unexpected parse: ${JSON.stringify(errors)}`);
+  }
+  const failed = spans.find(s => s.span_id === 'c');
+  if (!failed.error || failed.duration_ms !== 400 || failed.service !== 'order-service' || failed.kind !== 2) {
+    throw new Error(`Unexpected span: ${JSON.stringify(failed)}`);
+  }
+});
+
+Deno.test('otlpExportSources - stock OTLP/HTTP JSON export requests', () => {
+  // As the OpenTelemetry SDK exporters send it: hex IDs, numeric kinds, empty root parent
+  const exported = spansPayload();
+  exported.resourceSpans[0].scopeSpans[0].spans = exported.resourceSpans[0].scopeSpans[0].spans.map(span => ({
+    ...span,
+    traceId: '5b8efff798038103d269b633813fc60c',
+    parentSpanId: '',
+    kind: 2
+  }));
+  const sources = otlpExportSources({ ...exported, resourceMetrics: [] });
+  if (sources?.map(s => s.format).join() !== `${TelemetryFormats.OTLP_TRACES},${TelemetryFormats.OTLP_METRICS}`) {
+    throw new Error(`Unexpected sources: ${JSON.stringify(sources)}`);
+  }
+
+  const traces = parseTelemetry(sources[0].content, { format: sources[0].format, now: NOW });
+  if (traces.errors.length !== 0 || traces.spans.length !== 4 || traces.spans.some(s => s.parent_span_id !== null || s.kind !== 2)) {
+    throw new Error(`Unexpected parse: ${JSON.stringify(traces.errors)}`);
+  }
+  if (otlpExportSources({ sources: [] }) !== null || otlpExportSources(null) !== null) {
+    throw new Error('Other bodies are not export requests');
+  }
+});
+
+Deno.test('parseTelemetry - OTLP metrics gauges and delta histograms', () => {
+  const payload = {
+    resourceMetrics: [{
+      resource: { attributes: [attr('service.name', 'users')] },
+      scopeMetrics: [{
+        metrics: [
+          { name: 'process.cpu.utilization', gauge: { dataPoints: [{ asDouble: 0.42, timeUnixNano: nanos(NOW - 1000) }] } },
+          {
+            name: 'http.server.request.duration',
+            unit: 's',
+            histogram: {
+              aggregationTemporality: 1,
+              dataPoints: [{
+                timeUnixNano: nanos(NOW - 1000),
+                explicitBounds: [0.01, 0.1, 1],
+                bucketCounts: ['5', '4', '1', '0'],
+                sum: 0.5,
+                attributes: [{ key: 'http.response.status_code', value: { intValue: '200' } }]
+              }]
+            }
+          },
+          { name: 'unrelated.metric', gauge: { dataPoints: [{ asDouble: 1 }] } }
+        ]
+      }]
+    }]
+  };
+
+  const { format, points } = parseTelemetry(JSON.stringify(payload), { now: NOW });
+  const cpu = points.find(p => p.signal === 'cpu');
+  const latency = points.find(p => p.signal === 'latency');
+  if (format !== TelemetryFormats.OTLP_METRICS || points.length !== 2 || Math.round(cpu.value) !== 42) {
+    throw new Error(`Unexpected points: ${JSON.stringify(points)}`);
+  }
+  if (latency.cumulative || latency.requests !== 10 || latency.errors !== 0 || latency.histogram.sum_ms !== 500) {
+    throw new Error(`Unexpected latency point: ${JSON.stringify(latency)}`);
+  }
+});
+
+Deno.test('parseTelemetry - Prometheus counters, histograms and build info', () => {
+  const text = [
+    '# TYPE http_requests_total counter',
+    `http_requests_total{job="users",code="200"} 90 ${NOW}`,
+    `http_requests_total{job="users",code="503"} 10 ${NOW}`,
+    '# TYPE http_request_duration_seconds histogram',
+    `http_request_duration_seconds_bucket{job="users",le="0.1"} 80 ${NOW}`,
+    `http_request_duration_seconds_bucket{job="users",le="1"} 99 ${NOW}`,
+    `http_request_duration_seconds_bucket{job="users",le="+Inf"} 100 ${NOW}`,
+    `http_request_duration_seconds_sum{job="users"} 12 ${NOW}`,
+    `http_request_duration_seconds_count{job="users"} 100 ${NOW}`,
+    'app_build_info{job="users",version="2.0.1"} 1',
+    'orphan_metric 3',
+    'not a sample line'
+  ].join('\n');
+
+  const { format, points, errors } = parseTelemetry(text, { now: NOW });
+  const counters = points.filter(p => p.source === 'counter');
+  const histogram = points.find(p => p.source === 'histogram');
+  if (format !== TelemetryFormats.PROMETHEUS || counters.length !== 2 || !counters.every(p => p.cumulative)) {
+    throw new Error(`Unexpected counters: ${JSON.stringify(counters)}`);
+  }
+  if (counters.find(p => p.series.includes('503')).errors !== 10 || histogram.requests !== 100 || histogram.histogram.counts[5] !== 80) {
+    throw new Error(`Unexpected histogram: ${JSON.stringify(histogram)}`);
+  }
+  if (!points.some(p => p.version === '2.0.1') || errors.length !== 2) {
+    throw new Error(`Expected build info and two errors: ${JSON.stringify(errors)}`);
+  }
+});
+
+Deno.test('createServiceMatcher - explicit map then normalised names', () => {
+  const match = createServiceMatcher(SERVICES, { 'legacy-billing': 'svc-idle', toString: 'svc-users' });
+  if (match('order-service')?.id !== 'svc-orders' || match('USERS')?.id !== 'svc-users' || match('legacy-billing')?.id !== 'svc-idle') {
+    throw new Error('Names should resolve to services');
+  }
+  if (match('payments') !== null || match('constructor') !== null) {
+    throw new Error('Unknown names should not match');
+  }
+});
+
+Deno.test('summariseTelemetry - spans, counter increases and unknown services', () => {
+  const match = createServiceMatcher(SERVICES);
+  const spans = parseTelemetry(spansPayload(), { now: NOW });
+  const scrape = (at, ok, failed) => parseTelemetry(
+    [`http_requests_total{job="users",code="200"} ${ok} ${at}`, `http_requests_total{job="users",code="500"} ${failed} ${at}`].join('\n')
+  ).points;
+  // The third scrape follows a restart, so its totals are the increase
+  const points = [
+    ...spans.points,
+    ...scrape(NOW - 240000, 100, 0),
+    ...scrape(NOW - 120000, 160, 0),
+    ...scrape(NOW - 60000, 30, 3),
+    { service: 'payments', signal: 'up', at: NOW, source: 'gauge', value: 1 }
+  ];
+  const { samples, unmatched } = buildSamples(points, match);
+  if (unmatched.join() !== 'payments') {
+    throw new Error(`Expected payments to be unmatched: ${unmatched}`);
+  }
+
+  const summary = summariseTelemetry(samples, SERVICES, { now: NOW, windowMinutes: 5 });
+  const [orders, users, idle] = summary.services;
+
+  if (orders.requests_per_sec !== round3(4 / 300) || orders.error_rate !== 25 || orders.version !== '1.4.0') {
+    throw new Error(`Unexpected orders stats: ${JSON.stringify(orders)}`);
+  }
+  if (orders.status !== HealthStatuses.CRITICAL || orders.latency_p50 === null || orders.timeline.length !== 3) {
+    throw new Error(`25% errors should be critical: ${JSON.stringify(orders)}`);
+  }
+  if (users.requests_per_sec !== round3(93 / 300) || users.error_rate !== round2((3 / 93) * 100) || users.latency_p95 !== null) {
+    throw new Error(`Unexpected users stats: ${JSON.stringify(users)}`);
+  }
+  if (idle.status !== HealthStatuses.UNKNOWN || idle.requests_per_sec !== null || summary.overall.by_status.unknown !== 1) {
+    throw new Error(`Services without data must be unknown: ${JSON.stringify(idle)}`);
+  }
+
+  const later = summariseTelemetry(samples, SERVICES, { now: NOW + 3600000, windowMinutes: 15 });
+  if (later.services.some(s => s.status !== HealthStatuses.UNKNOWN) || later.overall.status !== HealthStatuses.UNKNOWN) {
+    throw new Error('Data outside the window must not count');
+  }
+});
+
+Deno.test('percentile - interpolates within buckets', () => {
+  const histogram = emptyHistogram();
+  for (let i = 0; i < 10; i++) observe(histogram, 60);
+  if (percentile(histogram, 0.5) !== 62.5 || percentile(emptyHistogram(), 0.5) !== null) {
+    throw new Error(`Unexpected percentile: ${percentile(histogram, 0.5)}`);
+  }
+});
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,960 @@
+/**
+ * Telemetry Ingestion
+ * AXIS: Observability, Reliability
+ *
+ * Normalises service telemetry into per-service, per-minute samples and
+ * summarises them over a time window:
+ * - OpenTelemetry OTLP/JSON metrics (gauge, sum, histogram) and spans
+ * - Jaeger JSON trace exports (the query API / UI download format)
+ * - Prometheus text exposition (counters, gauges, histograms)
+ * - Service names matched to Service records
+ * - Latency percentiles, throughput, error rate, CPU, memory and uptime
+ * - Services without data in the window are "unknown", never healthy
+ *
+ * Everything here is pure and has no imports, so the browser can share the
+ * summary logic; persistence is left to the caller.
+ */
+
+export const TelemetryFormats = {
+  OTLP_METRICS: 'otlp_metrics',
+  OTLP_TRACES: 'otlp_traces',
+  JAEGER: 'jaeger',
+  PROMETHEUS: 'prometheus'
+};
+
+export const TRACE_FORMATS = [TelemetryFormats.OTLP_TRACES, TelemetryFormats.JAEGER];
+
+// OTLP SpanKind values; Jaeger's span.kind tag is mapped onto the same numbers
+export const SpanKinds = {
+  UNSPECIFIED: 0,
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+export const HealthStatuses = {
+  HEALTHY: 'healthy',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+  UNKNOWN: 'unknown'
+};
+
+// Fixed latency buckets (upper bounds, ms); one extra overflow bucket follows
+export const LATENCY_BOUNDS_MS = [5, 10, 25, 50, 75, 100, 250, 500, 750, 1000, 2500, 5000, 7500, 10000];
+
+export const BUCKET_MS = 60000;
+
+export const WINDOW_MINUTES = [5, 15, 60, 360, 1440];
+export const DEFAULT_WINDOW_MINUTES = 15;
+
+export const HEALTH_THRESHOLDS = {
+  warning: { error_rate: 1, latency_p95_ms: 1000, cpu: 85, memory: 90, uptime: 99 },
+  critical: { error_rate: 5, latency_p95_ms: 5000, cpu: 95, memory: 97, uptime: 90 }
+};
+
+// Traffic and latency sources in order of preference; the first one a
+// service reports in the window is used, so the same requests are never
+// counted twice
+export const TRAFFIC_SOURCES = ['spans', 'histogram', 'counter'];
+const LATENCY_SOURCES = ['spans', 'histogram'];
+
+// Metric names mapped to canonical signals. OTLP names are dotted,
+// Prometheus names are underscored; `scale` converts to ms or percent.
+export const METRIC_ALIASES = {
+  'http.server.request.duration': { signal: 'latency', scale: 1000 },
+  'http.server.duration': { signal: 'latency', scale: 1 },
+  'rpc.server.duration': { signal: 'latency', scale: 1 },
+  'http_request_duration_seconds': { signal: 'latency', scale: 1000 },
+  'http_server_requests_seconds': { signal: 'latency', scale: 1000 },
+  'http_server_duration_milliseconds': { signal: 'latency', scale: 1 },
+  'http_server_request_duration_seconds': { signal: 'latency', scale: 1000 },
+  'http.server.request.count': { signal: 'requests' },
+  'http.server.requests': { signal: 'requests' },
+  'http_requests_total': { signal: 'requests' },
+  'http_server_requests_total': { signal: 'requests' },
+  'process.cpu.utilization': { signal: 'cpu', scale: 100 },
+  'system.cpu.utilization': { signal: 'cpu', scale: 100 },
+  'container.cpu.utilization': { signal: 'cpu', scale: 100 },
+  'process_cpu_usage': { signal: 'cpu', scale: 100 },
+  'system_cpu_usage': { signal: 'cpu', scale: 100 },
+  'cpu_usage_percent': { signal: 'cpu', scale: 1 },
+  'process.memory.utilization': { signal: 'memory', scale: 100 },
+  'system.memory.utilization': { signal: 'memory', scale: 100 },
+  'container.memory.utilization': { signal: 'memory', scale: 100 },
+  'memory_utilization_ratio': { signal: 'memory', scale: 100 },
+  'memory_usage_percent': { signal: 'memory', scale: 1 },
+  'up': { signal: 'up', scale: 1 }
+};
+
+const SERVICE_LABELS = ['service', 'service_name', 'job'];
+const STATUS_LABELS = ['http.response.status_code', 'http.status_code', 'rpc.grpc.status_code', 'status_code', 'status', 'code'];
+const VERSION_LABELS = ['version', 'service_version'];
+
+const STATUS_CODE_ERROR = 2;
+const AGGREGATION_DELTA = 1;
+
+const MAX_NAME_LENGTH = 200;
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// OTLP/JSON encodes 64-bit integers as strings
+function nanosToMs(value) {
+  const number = toNumber(value);
+  return number === null ? null : Math.floor(number / 1e6);
+}
+
+function clean(value) {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, MAX_NAME_LENGTH) : null;
+}
+
+// ============================================
+// SERVICE MATCHING
+// ============================================
+
+export function normaliseServiceName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Resolves telemetry service names to Service records: an explicit
+ * name -> service id map wins, otherwise names are compared ignoring
+ * case and punctuation ("order-service" matches "Order Service").
+ */
+export function createServiceMatcher(services, explicitMap = {}) {
+  const byId = new Map(services.map(s => [s.id, s]));
+  const byName = new Map();
+  for (const service of services) {
+    const key = normaliseServiceName(service.name);
+    if (key && !byName.has(key)) byName.set(key, service);
+  }
+
+  return (name) => {
+    if (!name) return null;
+    if (Object.hasOwn(explicitMap, name) && byId.has(explicitMap[name])) {
+      return byId.get(explicitMap[name]);
+    }
+    return byName.get(normaliseServiceName(name)) || null;
+  };
+}
+
+// ============================================
+// FORMAT DETECTION
+// ============================================
+
+export function detectTelemetryFormat(content) {
+  let value = content;
+  if (typeof value === 'string') {
+    const text = value.trimStart();
+    if (!text.startsWith('{')) return TelemetryFormats.PROMETHEUS;
+    try {
+      value = JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(value?.resourceMetrics)) return TelemetryFormats.OTLP_METRICS;
+  if (Array.isArray(value?.resourceSpans)) return TelemetryFormats.OTLP_TRACES;
+  if (Array.isArray(value?.data) && value.data.some(trace => Array.isArray(trace?.spans))) return TelemetryFormats.JAEGER;
+  return null;
+}
+
+// ============================================
+// HISTOGRAMS
+// ============================================
+
+export function emptyHistogram() {
+  return { counts: new Array(LATENCY_BOUNDS_MS.length + 1).fill(0), sum_ms: 0, count: 0 };
+}
+
+function bucketIndex(valueMs) {
+  const index = LATENCY_BOUNDS_MS.findIndex(bound => valueMs <= bound);
+  return index === -1 ? LATENCY_BOUNDS_MS.length : index;
+}
+
+export function observe(histogram, valueMs, count = 1) {
+  histogram.counts[bucketIndex(valueMs)] += count;
+  histogram.sum_ms += valueMs * count;
+  histogram.count += count;
+  return histogram;
+}
+
+export function mergeHistograms(target, source) {
+  source.counts.forEach((count, i) => {
+    target.counts[i] += count;
+  });
+  target.sum_ms += source.sum_ms;
+  target.count += source.count;
+  return target;
+}
+
+/**
+ * Re-buckets a foreign histogram (per-bucket counts with explicit upper
+ * bounds in ms) onto LATENCY_BOUNDS_MS. Each source bucket lands in the
+ * target bucket holding its upper bound, which can only overstate latency.
+ */
+export function rebucket(bounds, counts, sumMs = 0) {
+  const histogram = emptyHistogram();
+  counts.forEach((count, i) => {
+    if (!(count > 0)) return;
+    const upper = i < bounds.length ? bounds[i] : Infinity;
+    histogram.counts[bucketIndex(upper)] += count;
+    histogram.count += count;
+  });
+  histogram.sum_ms = sumMs || 0;
+  return histogram;
+}
+
+function subtractHistograms(later, earlier) {
+  const counts = later.counts.map((count, i) => count - earlier.counts[i]);
+  if (counts.some(c => c < 0) || later.count < earlier.count) return null;
+  return { counts, sum_ms: Math.max(0, later.sum_ms - earlier.sum_ms), count: later.count - earlier.count };
+}
+
+// Linear interpolation inside the bucket holding the quantile
+export function percentile(histogram, quantile) {
+  if (!histogram || histogram.count === 0) return null;
+  const rank = quantile * histogram.count;
+  let seen = 0;
+  for (let i = 0; i < histogram.counts.length; i++) {
+    const count = histogram.counts[i];
+    if (count === 0) continue;
+    if (seen + count >= rank) {
+      if (i === LATENCY_BOUNDS_MS.length) return LATENCY_BOUNDS_MS[i - 1];
+      const lower = i === 0 ? 0 : LATENCY_BOUNDS_MS[i - 1];
+      const upper = LATENCY_BOUNDS_MS[i];
+      return round(lower + ((rank - seen) / count) * (upper - lower), 1);
+    }
+    seen += count;
+  }
+  return LATENCY_BOUNDS_MS[LATENCY_BOUNDS_MS.length - 1];
+}
+
+// ============================================
+// POINTS
+// ============================================
+
+/*
+ * Parsers emit flat points:
+ * { service, signal, at, source, value?, histogram?, errors?, version?,
+ *   cumulative?, series? }
+ * - requests/latency points carry request counts and latency distributions
+ * - cumulative points are running totals keyed by `series` and are turned
+ *   into increases when summarising
+ */
+
+function isErrorStatus(attributes) {
+  for (const key of STATUS_LABELS) {
+    if (!Object.hasOwn(attributes, key)) continue;
+    const status = String(attributes[key]);
+    if (key === 'rpc.grpc.status_code') return status !== '0';
+    return /^5\d\d$/.test(status);
+  }
+  return false;
+}
+
+function seriesKey(name, attributes) {
+  const labels = Object.keys(attributes).sort().map(k => `${k}=${attributes[k]}`).join(',');
+  return `${name}{${labels}}`;
+}
+
+function trafficPoints(base, alias, attributes, value, histogram = null) {
+  const errored = isErrorStatus(attributes);
+  if (alias.signal === 'requests') {
+    return [{ ...base, source: 'counter', requests: value, errors: errored ? value : 0 }];
+  }
+  return [{ ...base, source: 'histogram', requests: histogram.count, errors: errored ? histogram.count : 0, histogram }];
+}
+
+// ============================================
+// OTLP/JSON
+// ============================================
+
+function attributeValue(value = {}) {
+  if ('stringValue' in value) return value.stringValue;
+  if ('intValue' in value) return String(value.intValue);
+  if ('doubleValue' in value) return String(value.doubleValue);
+  if ('boolValue' in value) return String(value.boolValue);
+  return null;
+}
+
+function attributeMap(attributes) {
+  const map = {};
+  for (const attribute of Array.isArray(attributes) ? attributes : []) {
+    if (typeof attribute?.key !== 'string') continue;
+    const value = attributeValue(attribute.value);
+    if (value !== null) map[attribute.key] = value;
+  }
+  return map;
+}
+
+function scopes(resource, modern, legacy) {
+  return [...(resource[modern] || []), ...(resource[legacy] || [])];
+}
+
+function otlpMetricPoints(metric, service, version, fallbackAt) {
+  const alias = Object.hasOwn(METRIC_ALIASES, metric.name) ? METRIC_ALIASES[metric.name] : null;
+  if (!alias) return [];
+
+  const points = [];
+  const data = metric.gauge || metric.sum || metric.histogram;
+  const cumulative = !metric.gauge && data?.aggregationTemporality !== AGGREGATION_DELTA;
+  // Unit overrides the alias when the exporter states it
+  const scale = alias.signal === 'latency'
+    ? (metric.unit === 's' ? 1000 : metric.unit === 'ms' ? 1 : alias.scale)
+    : alias.scale;
+
+  for (const dp of data?.dataPoints || []) {
+    const attributes = attributeMap(dp.attributes);
+    const at = nanosToMs(dp.timeUnixNano) ?? fallbackAt;
+    const base = { service, signal: alias.signal, at, version };
+    const extra = cumulative ? { cumulative: true, series: seriesKey(metric.name, attributes) } : {};
+
+    if (metric.histogram && alias.signal === 'latency') {
+      const bounds = (dp.explicitBounds || []).map(b => toNumber(b) * scale);
+      const counts = (dp.bucketCounts || []).map(c => toNumber(c) || 0);
+      const histogram = rebucket(bounds, counts, (toNumber(dp.sum) || 0) * scale);
+      points.push(...trafficPoints({ ...base, ...extra }, alias, attributes, null, histogram));
+      continue;
+    }
+
+    const value = toNumber(dp.asDouble ?? dp.asInt);
+    if (value === null) continue;
+    if (alias.signal === 'requests') {
+      points.push(...trafficPoints({ ...base, ...extra }, alias, attributes, value));
+    } else {
+      points.push({ ...base, source: 'gauge', value: value * scale });
+    }
+  }
+  return points;
+}
+
+export function parseOtlpMetrics(payload, { now = Date.now() } = {}) {
+  const points = [];
+  const errors = [];
+  for (const resource of payload?.resourceMetrics || []) {
+    const resourceAttributes = attributeMap(resource.resource?.attributes);
+    const service = clean(resourceAttributes['service.name']);
+    if (!service) {
+      errors.push('Resource without a service.name attribute skipped');
+      continue;
+    }
+    const version = clean(resourceAttributes['service.version']);
+    let matched = false;
+    for (const scope of scopes(resource, 'scopeMetrics', 'instrumentationLibraryMetrics')) {
+      for (const metric of scope.metrics || []) {
+        const metricPoints = otlpMetricPoints(metric, service, version, now);
+        matched = matched || metricPoints.length > 0;
+        points.push(...metricPoints);
+      }
+    }
+    // A resource that reported anything at all is alive and has a version
+    if (!matched) points.push({ service, signal: 'seen', at: now, source: 'gauge', version });
+  }
+  return { points, errors };
+}
+
+// Accepts 2, "SPAN_KIND_SERVER" (OTLP) or "server" (Jaeger span.kind tag)
+function spanKind(kind) {
+  if (typeof kind === 'number') return kind;
+  const name = String(kind || '').toUpperCase().replace(/^SPAN_KIND_/, '');
+  return Object.hasOwn(SpanKinds, name) ? SpanKinds[name] : SpanKinds.UNSPECIFIED;
+}
+
+function isErrorSpan(status) {
+  return status?.code === STATUS_CODE_ERROR || status?.code === 'STATUS_CODE_ERROR';
+}
+
+/**
+ * Flattens OTLP/JSON resourceSpans into one record per span. Only the
+ * fields needed for health and topology are kept.
+ */
+export function parseOtlpSpans(payload) {
+  const spans = [];
+  const errors = [];
+  for (const resource of payload?.resourceSpans || []) {
+    const attributes = attributeMap(resource.resource?.attributes);
+    const service = clean(attributes['service.name']);
+    if (!service) {
+      errors.push('Resource without a service.name attribute skipped');
+      continue;
+    }
+    const version = clean(attributes['service.version']);
+    for (const scope of scopes(resource, 'scopeSpans', 'instrumentationLibrarySpans')) {
+      for (const span of scope.spans || []) {
+        const spanAttributes = attributeMap(span.attributes);
+        const start = nanosToMs(span.startTimeUnixNano);
+        const end = nanosToMs(span.endTimeUnixNano);
+        if (start === null || end === null || end < start) {
+          errors.push(`Span ${span.spanId || '?'} has invalid timestamps`);
+          continue;
+        }
+        spans.push({
+          trace_id: span.traceId || null,
+          span_id: span.spanId || null,
+          parent_span_id: span.parentSpanId || null,
+          service,
+          version,
+          name: clean(span.name),
+          kind: spanKind(span.kind),
+          start_ms: start,
+          duration_ms: round((toNumber(span.endTimeUnixNano) - toNumber(span.startTimeUnixNano)) / 1e6, 3),
+          error: isErrorSpan(span.status),
+          peer_service: clean(spanAttributes['peer.service'])
+        });
+      }
+    }
+  }
+  return { spans, errors };
+}
+
+function jaegerTags(tags) {
+  const map = Object.create(null);
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    if (typeof tag?.key === 'string' && tag.value !== undefined && tag.value !== null) {
+      map[tag.key] = String(tag.value);
+    }
+  }
+  return map;
+}
+
+/**
+ * Flattens a Jaeger JSON export ({ data: [{ traceID, spans, processes }] })
+ * into the same span records as parseOtlpSpans. Jaeger times are in
+ * microseconds.
+ */
+export function parseJaegerSpans(payload) {
+  const spans = [];
+  const errors = [];
+  for (const trace of payload?.data || []) {
+    const processes = trace?.processes || {};
+    for (const span of trace?.spans || []) {
+      const process = span.process || (Object.hasOwn(processes, span.processID) ? processes[span.processID] : null);
+      const service = clean(process?.serviceName);
+      const start = toNumber(span.startTime);
+      const duration = toNumber(span.duration);
+      if (!service || start === null || duration === null || duration < 0) {
+        errors.push(`Span ${span.spanID || '?'} has no service or invalid timing`);
+        continue;
+      }
+      const tags = jaegerTags(span.tags);
+      const parent = (span.references || []).find(r => r?.refType === 'CHILD_OF' || r?.refType === 'FOLLOWS_FROM');
+      spans.push({
+        trace_id: span.traceID || trace.traceID || null,
+        span_id: span.spanID || null,
+        parent_span_id: parent?.spanID || span.parentSpanID || null,
+        service,
+        version: clean(jaegerTags(process.tags)['service.version']),
+        name: clean(span.operationName),
+        kind: spanKind(tags['span.kind']),
+        start_ms: Math.floor(start / 1000),
+        duration_ms: round(duration / 1000, 3),
+        error: tags.error === 'true' || tags['otel.status_code'] === 'ERROR',
+        peer_service: clean(tags['peer.service'])
+      });
+    }
+  }
+  return { spans, errors };
+}
+
+/**
+ * Requests are the spans where work enters a service: SERVER and CONSUMER
+ * spans, or root spans when the instrumentation does not set a kind.
+ */
+export function spanPoints(spans) {
+  return spans
+    .filter(s => s.kind === SpanKinds.SERVER || s.kind === SpanKinds.CONSUMER || (!s.kind && !s.parent_span_id))
+    .map(s => ({
+      service: s.service,
+      signal: 'latency',
+      source: 'spans',
+      at: s.start_ms,
+      version: s.version,
+      requests: 1,
+      errors: s.error ? 1 : 0,
+      histogram: observe(emptyHistogram(), s.duration_ms)
+    }));
+}
+
+// ============================================
+// PROMETHEUS TEXT EXPOSITION
+// ============================================
+
+const SAMPLE_LINE = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{(.*)\})?\s+(\S+)(\s+(-?\d+))?\s*$/;
+const LABEL_PAIR = /([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"\s*,?/g;
+
+function parseLabels(text = '') {
+  const labels = Object.create(null);
+  for (const [, key, value] of text.matchAll(LABEL_PAIR)) {
+    labels[key] = value.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+  }
+  return labels;
+}
+
+function promValue(text) {
+  if (text === '+Inf') return Infinity;
+  if (text === '-Inf') return -Infinity;
+  return toNumber(text);
+}
+
+function labelService(labels, fallback) {
+  const key = SERVICE_LABELS.find(k => labels[k]);
+  return clean(key ? labels[key] : fallback);
+}
+
+function withoutLabels(labels, keys) {
+  return Object.fromEntries(Object.entries(labels).filter(([k]) => !keys.includes(k)));
+}
+
+/**
+ * Parses one scrape. Counters and histograms are cumulative since process
+ * start, so they become series readings; rates come from the increase
+ * between scrapes. Samples without a timestamp are taken at `now`.
+ */
+export function parsePrometheus(text, { now = Date.now(), serviceName = null } = {}) {
+  const points = [];
+  const errors = [];
+  const types = {};
+  const histograms = new Map();
+
+  const lines = String(text || '').split(/\r?\n/);
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    if (line.startsWith('#')) {
+      const type = line.match(/^#\s*TYPE\s+(\S+)\s+(\S+)/);
+      if (type) types[type[1]] = type[2];
+      return;
+    }
+
+    const match = line.match(SAMPLE_LINE);
+    if (!match) {
+      errors.push(`Line ${index + 1}: not a valid sample`);
+      return;
+    }
+    const [, name, , labelText, valueText, , timestamp] = match;
+    const value = promValue(valueText);
+    if (value === null) return;
+    const labels = parseLabels(labelText);
+    const service = labelService(labels, serviceName);
+    if (!service) {
+      errors.push(`Line ${index + 1}: no service, service_name or job label`);
+      return;
+    }
+    const at = toNumber(timestamp) ?? now;
+    const seriesLabels = withoutLabels(labels, [...SERVICE_LABELS, 'instance']);
+
+    if (name.endsWith('_build_info') || name === 'target_info') {
+      const versionKey = VERSION_LABELS.find(k => labels[k]);
+      if (versionKey) points.push({ service, signal: 'seen', at, source: 'gauge', version: clean(labels[versionKey]) });
+      return;
+    }
+
+    const histogramPart = name.match(/^(.*)_(bucket|sum|count)$/);
+    if (histogramPart && Object.hasOwn(METRIC_ALIASES, histogramPart[1]) && METRIC_ALIASES[histogramPart[1]].signal === 'latency') {
+      const [, family, part] = histogramPart;
+      const key = seriesKey(family, withoutLabels(seriesLabels, ['le']));
+      const entry = histograms.get(key) || { family, service, at, labels: withoutLabels(seriesLabels, ['le']), buckets: [], sum: 0, count: 0 };
+      if (part === 'bucket') {
+        const le = promValue(labels.le);
+        if (le !== null) entry.buckets.push([le, value]);
+      } else {
+        entry[part] = value;
+      }
+      histograms.set(key, entry);
+      return;
+    }
+
+    const alias = Object.hasOwn(METRIC_ALIASES, name) ? METRIC_ALIASES[name] : null;
+    if (!alias) return;
+    if (alias.signal === 'requests') {
+      points.push(...trafficPoints(
+        { service, signal: 'requests', at, cumulative: true, series: seriesKey(name, seriesLabels) },
+        alias,
+        seriesLabels,
+        value
+      ));
+    } else {
+      points.push({ service, signal: alias.signal, at, source: 'gauge', value: value * alias.scale });
+    }
+  });
+
+  for (const [key, entry] of histograms) {
+    const scale = METRIC_ALIASES[entry.family].scale;
+    // `le` buckets are cumulative; turn them into per-bucket counts
+    const sorted = entry.buckets.sort((a, b) => a[0] - b[0]);
+    const bounds = sorted.filter(([le]) => le !== Infinity).map(([le]) => le * scale);
+    const counts = sorted.map(([, count], i) => count - (i > 0 ? sorted[i - 1][1] : 0));
+    const histogram = rebucket(bounds, counts, entry.sum * scale);
+    points.push(...trafficPoints(
+      { service: entry.service, signal: 'latency', at: entry.at, cumulative: true, series: key },
+      METRIC_ALIASES[entry.family],
+      entry.labels,
+      null,
+      histogram
+    ));
+  }
+
+  return { points, errors };
+}
+
+// ============================================
+// PARSING ENTRY POINT
+// ============================================
+
+/**
+ * Sources for a raw OTLP/HTTP JSON export request, as a stock exporter
+ * posts it ({ resourceSpans } or { resourceMetrics }). Returns null for any
+ * other body.
+ */
+export function otlpExportSources(body) {
+  if (!body || typeof body !== 'object') return null;
+  const sources = [];
+  if (Array.isArray(body.resourceSpans)) {
+    sources.push({ name: 'otlp-traces', format: TelemetryFormats.OTLP_TRACES, content: { resourceSpans: body.resourceSpans } });
+  }
+  if (Array.isArray(body.resourceMetrics)) {
+    sources.push({ name: 'otlp-metrics', format: TelemetryFormats.OTLP_METRICS, content: { resourceMetrics: body.resourceMetrics } });
+  }
+  return sources.length > 0 ? sources : null;
+}
+
+export function parseTelemetry(content, { format = null, now = Date.now(), serviceName = null } = {}) {
+  const resolved = format || detectTelemetryFormat(content);
+  if (!Object.values(TelemetryFormats).includes(resolved)) {
+    return { format: null, points: [], errors: ['Unrecognised telemetry format'] };
+  }
+
+  if (resolved === TelemetryFormats.PROMETHEUS) {
+    return { format: resolved, ...parsePrometheus(content, { now, serviceName }) };
+  }
+
+  let payload = content;
+  if (typeof content === 'string') {
+    try {
+      payload = JSON.parse(content);
+    } catch (error) {
+      return { format: resolved, points: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+
+  // Trace formats also return their spans for the observed call graph
+  if (TRACE_FORMATS.includes(resolved)) {
+    const { spans, errors } = resolved === TelemetryFormats.JAEGER ? parseJaegerSpans(payload) : parseOtlpSpans(payload);
+    return { format: resolved, points: spanPoints(spans), spans, errors };
+  }
+  return { format: resolved, ...parseOtlpMetrics(payload, { now }) };
+}
+
+// ============================================
+// SAMPLES
+// ============================================
+
+function bucketStart(at) {
+  return new Date(Math.floor(at / BUCKET_MS) * BUCKET_MS).toISOString();
+}
+
+function emptySample(service, bucket) {
+  return {
+    service_id: service.id,
+    service_name: service.name,
+    bucket_start: bucket,
+    traffic: {},
+    latency: {},
+    gauges: {},
+    readings: {},
+    version: null,
+    last_seen: null
+  };
+}
+
+function addGauge(gauges, signal, value) {
+  const gauge = gauges[signal] || { sum: 0, n: 0 };
+  gauge.sum += value;
+  gauge.n += 1;
+  gauges[signal] = gauge;
+}
+
+/**
+ * Groups points into one sample per matched service and minute. Delta
+ * traffic is summed; cumulative readings keep the latest value per series
+ * and are differenced in summariseTelemetry.
+ */
+export function buildSamples(points, matchService) {
+  const samples = new Map();
+  const unmatched = new Set();
+
+  for (const point of points) {
+    const service = matchService(point.service);
+    if (!service) {
+      unmatched.add(point.service);
+      continue;
+    }
+    const bucket = bucketStart(point.at);
+    const key = `${service.id}|${bucket}`;
+    const sample = samples.get(key) || emptySample(service, bucket);
+    samples.set(key, sample);
+
+    const seen = new Date(point.at).toISOString();
+    if (!sample.last_seen || seen > sample.last_seen) {
+      sample.last_seen = seen;
+      if (point.version) sample.version = point.version;
+    } else if (point.version && !sample.version) {
+      sample.version = point.version;
+    }
+
+    if (point.cumulative) {
+      const previous = sample.readings[point.series];
+      if (!previous || previous.at <= point.at) {
+        sample.readings[point.series] = {
+          at: point.at,
+          source: point.source,
+          requests: point.requests,
+          errors: point.errors,
+          histogram: point.histogram || null
+        };
+      }
+    } else if (point.source === 'gauge') {
+      if (point.signal !== 'seen') addGauge(sample.gauges, point.signal, point.value);
+    } else {
+      const traffic = sample.traffic[point.source] || { requests: 0, errors: 0 };
+      traffic.requests += point.requests;
+      traffic.errors += point.errors;
+      sample.traffic[point.source] = traffic;
+      if (point.histogram && LATENCY_SOURCES.includes(point.source)) {
+        sample.latency[point.source] = mergeHistograms(sample.latency[point.source] || emptyHistogram(), point.histogram);
+      }
+    }
+  }
+
+  return { samples: [...samples.values()], unmatched: [...unmatched].sort() };
+}
+
+// ============================================
+// SUMMARY
+// ============================================
+
+/**
+ * Turns cumulative readings into per-bucket increases. A drop means the
+ * process restarted, so the new total is itself the increase.
+ */
+function readingIncreases(samples) {
+  const bySeries = new Map();
+  for (const sample of samples) {
+    for (const [series, reading] of Object.entries(sample.readings || {})) {
+      const list = bySeries.get(series) || [];
+      list.push(Object.assign({}, reading, { bucket_start: sample.bucket_start }));
+      bySeries.set(series, list);
+    }
+  }
+
+  const increases = [];
+  for (const readings of bySeries.values()) {
+    readings.sort((a, b) => a.at - b.at);
+    for (let i = 1; i < readings.length; i++) {
+      const [earlier, later] = [readings[i - 1], readings[i]];
+      const reset = later.requests < earlier.requests;
+      const histogram = later.histogram
+        ? (reset ? later.histogram : subtractHistograms(later.histogram, earlier.histogram || emptyHistogram()) || later.histogram)
+        : null;
+      increases.push({
+        bucket_start: later.bucket_start,
+        source: later.source,
+        requests: reset ? later.requests : later.requests - earlier.requests,
+        errors: reset ? later.errors : Math.max(0, later.errors - earlier.errors),
+        histogram
+      });
+    }
+  }
+  return increases;
+}
+
+function trafficBySource(samples) {
+  const entries = [];
+  for (const sample of samples) {
+    for (const [source, traffic] of Object.entries(sample.traffic || {})) {
+      entries.push(Object.assign({ bucket_start: sample.bucket_start, source }, traffic, { histogram: sample.latency?.[source] || null }));
+    }
+  }
+  return [...entries, ...readingIncreases(samples)];
+}
+
+function pickSource(entries, sources, predicate) {
+  return sources.find(source => entries.some(e => e.source === source && predicate(e))) || null;
+}
+
+function gaugeAverage(samples, signal) {
+  let sum = 0;
+  let n = 0;
+  for (const sample of samples) {
+    const gauge = sample.gauges?.[signal];
+    if (gauge) {
+      sum += gauge.sum;
+      n += gauge.n;
+    }
+  }
+  return n > 0 ? sum / n : null;
+}
+
+export function deriveStatus(stats) {
+  if (!stats || !stats.last_seen) return HealthStatuses.UNKNOWN;
+  const exceeds = (level) => {
+    const t = HEALTH_THRESHOLDS[level];
+    return (stats.error_rate !== null && stats.error_rate >= t.error_rate)
+      || (stats.latency_p95 !== null && stats.latency_p95 >= t.latency_p95_ms)
+      || (stats.cpu !== null && stats.cpu >= t.cpu)
+      || (stats.memory !== null && stats.memory >= t.memory)
+      || (stats.uptime !== null && stats.uptime < t.uptime);
+  };
+  if (exceeds('critical')) return HealthStatuses.CRITICAL;
+  if (exceeds('warning')) return HealthStatuses.WARNING;
+  return HealthStatuses.HEALTHY;
+}
+
+function round1(value) {
+  return value === null ? null : round(value, 1);
+}
+
+function unknownStats(service) {
+  return {
+    service_id: service.id,
+    service_name: service.name,
+    status: HealthStatuses.UNKNOWN,
+    latency_p50: null,
+    latency_p95: null,
+    latency_p99: null,
+    requests_per_sec: null,
+    error_rate: null,
+    cpu: null,
+    memory: null,
+    uptime: null,
+    version: null,
+    version_since: null,
+    last_seen: null,
+    timeline: []
+  };
+}
+
+function serviceStats(service, samples, windowSeconds) {
+  if (samples.length === 0) return unknownStats(service);
+
+  const entries = trafficBySource(samples);
+  const trafficSource = pickSource(entries, TRAFFIC_SOURCES, () => true);
+  const latencySource = pickSource(entries, LATENCY_SOURCES, e => e.histogram?.count > 0);
+  const traffic = entries.filter(e => e.source === trafficSource);
+  const latency = entries.filter(e => e.source === latencySource && e.histogram);
+
+  const requests = traffic.reduce((sum, e) => sum + e.requests, 0);
+  const errors = traffic.reduce((sum, e) => sum + e.errors, 0);
+  const histogram = latency.reduce((h, e) => mergeHistograms(h, e.histogram), emptyHistogram());
+
+  const timeline = new Map();
+  const bucket = (start) => {
+    if (!timeline.has(start)) timeline.set(start, { bucket_start: start, requests: 0, errors: 0, histogram: emptyHistogram() });
+    return timeline.get(start);
+  };
+  for (const e of traffic) {
+    const point = bucket(e.bucket_start);
+    point.requests += e.requests;
+    point.errors += e.errors;
+  }
+  for (const e of latency) mergeHistograms(bucket(e.bucket_start).histogram, e.histogram);
+
+  const ordered = [...samples].sort((a, b) => a.bucket_start.localeCompare(b.bucket_start));
+  let version = null;
+  let versionSince = null;
+  for (const sample of ordered) {
+    if (sample.version && sample.version !== version) {
+      version = sample.version;
+      versionSince = sample.bucket_start;
+    }
+  }
+
+  const up = gaugeAverage(samples, 'up');
+  const hasTraffic = trafficSource !== null;
+  const stats = {
+    service_id: service.id,
+    service_name: service.name,
+    latency_p50: percentile(histogram, 0.5),
+    latency_p95: percentile(histogram, 0.95),
+    latency_p99: percentile(histogram, 0.99),
+    requests_per_sec: hasTraffic ? round(requests / windowSeconds, 3) : null,
+    error_rate: hasTraffic && requests > 0 ? round((errors / requests) * 100, 2) : null,
+    cpu: round1(gaugeAverage(samples, 'cpu')),
+    memory: round1(gaugeAverage(samples, 'memory')),
+    uptime: up === null ? null : round(up * 100, 2),
+    version,
+    version_since: versionSince,
+    last_seen: ordered.reduce((max, s) => (s.last_seen > max ? s.last_seen : max), ordered[0].last_seen),
+    timeline: [...timeline.values()]
+      .sort((a, b) => a.bucket_start.localeCompare(b.bucket_start))
+      .map(p => ({
+        bucket_start: p.bucket_start,
+        requests: p.requests,
+        errors: p.errors,
+        latency_p95: percentile(p.histogram, 0.95)
+      }))
+  };
+  return { ...stats, status: deriveStatus(stats) };
+}
+
+/**
+ * Summarises stored samples for each service over the last
+ * `windowMinutes`. Every service in `services` appears in the result;
+ * those with no samples in the window are "unknown".
+ */
+export function summariseTelemetry(samples, services, { now = Date.now(), windowMinutes = DEFAULT_WINDOW_MINUTES } = {}) {
+  const since = new Date(now - windowMinutes * 60000).toISOString();
+  const until = new Date(now).toISOString();
+  const inWindow = samples.filter(s => s.bucket_start >= bucketStart(now - windowMinutes * 60000) && s.bucket_start <= until);
+
+  const byService = new Map();
+  for (const sample of inWindow) {
+    const list = byService.get(sample.service_id) || [];
+    list.push(sample);
+    byService.set(sample.service_id, list);
+  }
+
+  const windowSeconds = windowMinutes * 60;
+  const servicesStats = services.map(service => serviceStats(service, byService.get(service.id) || [], windowSeconds));
+
+  const byStatus = Object.fromEntries(Object.values(HealthStatuses).map(s => [s, 0]));
+  servicesStats.forEach(s => {
+    byStatus[s.status] += 1;
+  });
+  const reporting = servicesStats.filter(s => s.requests_per_sec !== null);
+  const totalRps = reporting.reduce((sum, s) => sum + s.requests_per_sec, 0);
+  const totalErrors = reporting.reduce((sum, s) => sum + (s.error_rate || 0) * s.requests_per_sec, 0);
+  const lastSeen = servicesStats.map(s => s.last_seen).filter(Boolean).sort().pop() || null;
+
+  return {
+    window: { minutes: windowMinutes, since, until },
+    overall: {
+      status: overallStatus(byStatus),
+      by_status: byStatus,
+      requests_per_sec: reporting.length ? round(totalRps, 3) : null,
+      error_rate: totalRps > 0 ? round(totalErrors / totalRps, 2) : null,
+      last_seen: lastSeen
+    },
+    services: servicesStats
+  };
+}
+
+// Worst known status; unknown only when nothing reported at all
+export function overallStatus(byStatus) {
+  if (byStatus[HealthStatuses.CRITICAL] > 0) return HealthStatuses.CRITICAL;
+  if (byStatus[HealthStatuses.WARNING] > 0) return HealthStatuses.WARNING;
+  if (byStatus[HealthStatuses.HEALTHY] > 0) return HealthStatuses.HEALTHY;
+  return HealthStatuses.UNKNOWN;
+}
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for lib/testReports.js
+ *
+ * Test coverage for:
+ * - JUnit XML, TAP and Jest/Vitest JSON parsing
+ * - Format detection
+ * - Flakiness statistics and classification
+ * - Quarantine lists
+ *
+ * Run with: deno test functions/lib/testReports.test.js
+ */
+
+import {
+  Classifications,
+  detectReportFormat,
+  parseTestReport,
+  appendRun,
+  computeTestStats,
+  buildQuarantineList
+} from './testReports.js';
+
+const JUNIT = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="api" tests="4">
+    <testcase classname="api.orders" name="creates &amp; lists" time="0.25"/>
+    <testcase classname="api.orders" name="times out" time="1.5">
+      <failure message="Timeout after 1000ms"><![CDATA[Error: <timeout>
+    at orders.test.js:10]]></failure>
+    </testcase>
+    <testcase name="uses suite name" time="0.01">
+      <error><![CDATA[TypeError: x is undefined]]></error>
+    </testcase>
+    <testcase classname="api.orders" name="pending"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+const TAP = `TAP version 13
+# Subtest: checkout
+    ok 1 - adds item
+      ---
+      duration_ms: 12.5
+      ...
+    not ok 2 - pays
+      ---
+      duration_ms: 30
+      error: 'card declined'
+      ...
+    ok 3 - refunds # SKIP not ready
+    1..3
+not ok 1 - checkout
+ok 2 - standalone
+1..2`;
+
+const JEST = JSON.stringify({
+  testResults: [{
+    name: '/home/runner/work/app/src/cart.test.js',
+    assertionResults: [
+      { ancestorTitles: ['Cart'], title: 'adds', status: 'passed', duration: 4 },
+      { ancestorTitles: ['Cart'], title: 'removes', status: 'failed', duration: 9, failureMessages: ['expected 1'] },
+      { ancestorTitles: [], title: 'todo', status: 'todo' }
+    ]
+  }]
+});
+
+function byName(results) {
+  return Object.fromEntries(results.map(r => [r.name, r]));
+}
+
+Deno.test('detectReportFormat - by extension and content', () => {
+  const cases = [
+    ['', 'report.xml', 'junit'],
+    [JUNIT, '', 'junit'],
+    [TAP, '', 'tap'],
+    [JEST, 'results.json', 'jest'],
+    ['hello', '', null]
+  ];
+  for (const [content, filename, expected] of cases) {
+    if (detectReportFormat(content, filename) !== expected) {
+      throw new Error(`Expected ${expected} for ${filename || content.slice(0, 20)}`);
+    }
+  }
+});
+
+Deno.test('parseTestReport - JUnit XML', () => {
+  const { format, results, summary, errors } = parseTestReport(JUNIT);
+  const tests = byName(results);
+
+  if (format !== 'junit' || errors.length > 0 || summary.total !== 4) {
+    throw new Error(`Unexpected parse: ${JSON.stringify({ format, summary, errors })}`);
+  }
+  if (tests['creates & lists'].test_id !== 'api.orders::creates & lists' || tests['creates & lists'].duration_ms !== 250) {
+    throw new Error(`Entities and time should be decoded: ${JSON.stringify(tests['creates & lists'])}`);
+  }
+  if (tests['times out'].status !== 'failed' || tests['times out'].message !== 'Timeout after 1000ms') {
+    throw new Error(`Failure message should come from the attribute: ${JSON.stringify(tests['times out'])}`);
+  }
+  if (tests['uses suite name'].suite !== 'api' || tests['uses suite name'].message !== 'TypeError: x is undefined') {
+    throw new Error(`Errors should read CDATA bodies: ${JSON.stringify(tests['uses suite name'])}`);
+  }
+  if (tests.pending.status !== 'skipped') {
+    throw new Error('Skipped testcases should be skipped');
+  }
+});
+
+Deno.test('parseTestReport - TAP with subtests', () => {
+  const { results, summary } = parseTestReport(TAP);
+  const tests = byName(results);
+
+  if (results.length !== 4 || tests.checkout) {
+    throw new Error(`Suite lines should be dropped: ${results.map(r => r.test_id)}`);
+  }
+  if (tests.pays.test_id !== 'checkout::pays' || tests.pays.message !== 'card declined' || tests.pays.duration_ms !== 30) {
+    throw new Error(`Unexpected TAP failure: ${JSON.stringify(tests.pays)}`);
+  }
+  if (tests.refunds.status !== 'skipped' || summary.failed !== 1) {
+    throw new Error(`Unexpected TAP summary: ${JSON.stringify(summary)}`);
+  }
+});
+
+Deno.test('parseTestReport - Jest/Vitest JSON', () => {
+  const { format, results, errors } = parseTestReport(JEST);
+  const tests = byName(results);
+
+  if (format !== 'jest' || errors.length > 0) {
+    throw new Error(`Unexpected parse: ${errors}`);
+  }
+  if (tests['Cart > removes'].test_id !== 'cart.test.js::Cart > removes' || tests['Cart > removes'].message !== 'expected 1') {
+    throw new Error(`Unexpected Jest result: ${JSON.stringify(tests['Cart > removes'])}`);
+  }
+  if (tests.todo.status !== 'skipped') {
+    throw new Error('todo should be skipped');
+  }
+
+  if (parseTestReport('{"foo":1}').errors.length === 0) {
+    throw new Error('JSON without testResults should be rejected');
+  }
+});
+
+Deno.test('computeTestStats - rates, variance and flips', () => {
+  const runs = ['passed', 'failed', 'passed', 'skipped', 'passed', 'failed']
+    .map((status, i) => ({ status, duration_ms: [100, 300, 100, null, 100, 300][i] }));
+  const stats = computeTestStats(runs);
+
+  if (stats.runs !== 6 || stats.executed !== 5 || stats.failure_rate !== 0.4 || stats.flip_count !== 3) {
+    throw new Error(`Unexpected counts: ${JSON.stringify(stats)}`);
+  }
+  if (stats.duration_mean_ms !== 180 || stats.duration_stddev_ms !== 98 || stats.classification !== Classifications.FLAKY) {
+    throw new Error(`Unexpected durations or class: ${JSON.stringify(stats)}`);
+  }
+});
+
+Deno.test('computeTestStats - classification edges', () => {
+  const runs = statuses => statuses.map(status => ({ status, duration_ms: 10 }));
+  const cases = [
+    [['passed', 'failed'], Classifications.INSUFFICIENT_DATA],
+    [['passed', 'passed', 'passed'], Classifications.STABLE],
+    [['failed', 'failed', 'failed'], Classifications.FAILING],
+    [['passed', 'passed', 'failed', 'failed'], Classifications.FAILING],
+    [['failed', 'passed', 'passed'], Classifications.STABLE],
+    [['passed', 'failed', 'passed'], Classifications.FLAKY]
+  ];
+  for (const [statuses, expected] of cases) {
+    const { classification } = computeTestStats(runs(statuses));
+    if (classification !== expected) {
+      throw new Error(`Expected ${expected} for ${statuses}, got ${classification}`);
+    }
+  }
+});
+
+Deno.test('appendRun and buildQuarantineList', () => {
+  let history = [];
+  for (let i = 0; i < 60; i++) {
+    history = appendRun(history, { status: i % 2 ? 'failed' : 'passed' });
+  }
+  if (history.length !== 50) {
+    throw new Error('History should keep the newest 50 runs');
+  }
+
+  const tests = [
+    { test_id: 'b', name: 'b', suite: null, stats: computeTestStats(history) },
+    { test_id: 'a', name: 'a', suite: null, stats: computeTestStats(['passed', 'failed', 'passed', 'passed'].map(status => ({ status }))) },
+    { test_id: 'c', name: 'c', suite: null, stats: computeTestStats(['passed', 'passed', 'passed'].map(status => ({ status }))) }
+  ];
+  const quarantine = buildQuarantineList(tests);
+  if (quarantine.map(q => q.test_id).join() !== 'b,a' || !quarantine[0].reason.includes('Flipped 49 times in 50 runs')) {
+    throw new Error(`Unexpected quarantine list: ${JSON.stringify(quarantine)}`);
+  }
+});
@@ -0,0 +1,426 @@
+/**
+ * Test Report Ingestion
+ * AXIS: Quality, Reliability
+ *
+ * Parses CI test reports into one normalised result shape and computes
+ * per-test flakiness statistics:
+ * - JUnit XML, TAP (including node:test subtests) and Jest/Vitest JSON
+ * - Per-test run history with a bounded window
+ * - Failure rate, duration variance and pass/fail flip counts
+ * - Deterministic classification and quarantine lists
+ *
+ * Everything here is pure; persistence is left to the caller.
+ */
+
+export const ReportFormats = {
+  JUNIT: 'junit',
+  TAP: 'tap',
+  JEST: 'jest'
+};
+
+export const TestStatuses = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+export const Classifications = {
+  STABLE: 'stable',
+  FLAKY: 'flaky',
+  FAILING: 'failing',
+  INSUFFICIENT_DATA: 'insufficient_data'
+};
+
+// Runs kept per test; older runs fall out of the statistics
+export const MAX_HISTORY_RUNS = 50;
+
+export const FLAKY_THRESHOLDS = {
+  // Executed (non-skipped) runs needed before a test is classified
+  minRuns: 3,
+  // pass -> fail -> pass is two flips; a single flip is a regression or a fix
+  minFlips: 2
+};
+
+const MAX_MESSAGE_LENGTH = 500;
+
+function truncate(text, max = MAX_MESSAGE_LENGTH) {
+  if (!text) return null;
+  const value = String(text).trim();
+  return value.length > max ? `${value.slice(0, max)}…` : value;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function result(name, suite, status, duration_ms = null, message = null) {
+  return {
+    test_id: suite ? `${suite}::${name}` : name,
+    name,
+    suite: suite || null,
+    status,
+    duration_ms: Number.isFinite(duration_ms) ? round(duration_ms, 1) : null,
+    message: truncate(message)
+  };
+}
+
+// ============================================
+// FORMAT DETECTION
+// ============================================
+
+export function detectReportFormat(content, filename = '') {
+  const name = filename.toLowerCase();
+  if (name.endsWith('.xml')) return ReportFormats.JUNIT;
+  if (name.endsWith('.tap')) return ReportFormats.TAP;
+
+  const text = String(content || '').trimStart();
+  if (text.startsWith('<')) return ReportFormats.JUNIT;
+  if (text.startsWith('{')) return ReportFormats.JEST;
+  if (/^(TAP version \d+|1\.\.\d+|(not )?ok\b)/m.test(text)) return ReportFormats.TAP;
+  return null;
+}
+
+// ============================================
+// JUNIT XML
+// ============================================
+
+const TAG_PATTERN = /<(\/?)(testsuite|testcase|failure|error|skipped)\b((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+const ATTR_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return Object.hasOwn(XML_ENTITIES, entity) ? XML_ENTITIES[entity] : match;
+  });
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function readAttributes(source) {
+  const attributes = {};
+  for (const [, key, double, single] of source.matchAll(ATTR_PATTERN)) {
+    attributes[key] = decodeXml(double ?? single);
+  }
+  return attributes;
+}
+
+/**
+ * A tag scanner rather than a DOM parser: Deno has no DOMParser and JUnit
+ * only needs testsuite/testcase nesting plus failure, error and skipped.
+ */
+export function parseJUnit(xml) {
+  const source = String(xml)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => escapeXml(text));
+
+  if (!/<testcase\b/.test(source) && !/<testsuites?\b/.test(source)) {
+    return { results: [], errors: ['No <testsuite> or <testcase> elements found'] };
+  }
+
+  const results = [];
+  const suites = [];
+  let current = null;
+  let outcomeStart = null;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [, closing, tag, attrSource, selfClosing] = match;
+    const attributes = closing ? {} : readAttributes(attrSource);
+
+    if (tag === 'testsuite') {
+      if (closing) suites.pop();
+      else if (!selfClosing) suites.push(attributes.name || null);
+      continue;
+    }
+
+    if (tag === 'testcase') {
+      if (!closing) {
+        current = result(
+          attributes.name || '(unnamed)',
+          attributes.classname || suites[suites.length - 1],
+          TestStatuses.PASSED,
+          attributes.time !== undefined ? parseFloat(attributes.time) * 1000 : null
+        );
+      }
+      if ((closing || selfClosing) && current) {
+        results.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (tag === 'skipped') {
+      if (!closing && current.status !== TestStatuses.FAILED) current.status = TestStatuses.SKIPPED;
+      continue;
+    }
+
+    // failure / error
+    if (!closing) {
+      current.status = TestStatuses.FAILED;
+      current.message = truncate(attributes.message) || current.message;
+      outcomeStart = selfClosing ? null : match.index + match[0].length;
+    } else if (outcomeStart !== null) {
+      current.message = current.message || truncate(decodeXml(source.slice(outcomeStart, match.index)));
+      outcomeStart = null;
+    }
+  }
+
+  return { results, errors: [] };
+}
+
+// ============================================
+// TAP
+// ============================================
+
+const TAP_TEST_LINE = /^(\s*)(not ok|ok)\b(?:\s+\d+)?(?:\s*-)?\s*([^#]*?)\s*(?:#\s*(skip|todo)\b.*)?$/i;
+const TAP_SUBTEST_LINE = /^(\s*)# Subtest: (.+)$/;
+const TAP_DURATION_LINE = /^\s*duration_ms:\s*([\d.]+)/;
+const TAP_ERROR_LINE = /^\s*(?:error|message):\s*(.+)$/;
+
+export function parseTap(text) {
+  const lines = String(text).split(/\r?\n/);
+  const entries = [];
+  const subtests = [];
+  let last = null;
+
+  for (const line of lines) {
+    const subtest = line.match(TAP_SUBTEST_LINE);
+    if (subtest) {
+      const indent = subtest[1].length;
+      while (subtests.length > 0 && subtests[subtests.length - 1].indent >= indent) subtests.pop();
+      subtests.push({ indent, name: subtest[2].trim() });
+      continue;
+    }
+
+    const test = line.match(TAP_TEST_LINE);
+    if (test) {
+      const [, indentText, outcome, description, directive] = test;
+      const indent = indentText.length;
+      const suite = subtests.filter(s => s.indent < indent).map(s => s.name).join(' > ');
+      const status = directive
+        ? TestStatuses.SKIPPED
+        : outcome.toLowerCase() === 'ok' ? TestStatuses.PASSED : TestStatuses.FAILED;
+      last = result(description || '(unnamed)', suite, status);
+      entries.push(last);
+      continue;
+    }
+
+    if (!last) continue;
+    const duration = line.match(TAP_DURATION_LINE);
+    if (duration) {
+      last.duration_ms = round(parseFloat(duration[1]), 1);
+      continue;
+    }
+    const error = line.match(TAP_ERROR_LINE);
+    if (error && last.status === TestStatuses.FAILED && !last.message) {
+      last.message = truncate(error[1].replace(/^['"]|['"]$/g, ''));
+    }
+  }
+
+  if (entries.length === 0) {
+    return { results: [], errors: ['No TAP test lines found'] };
+  }
+
+  // node:test reports each suite as a test too; keep only the leaves
+  const suitePaths = new Set(entries.map(e => e.suite).filter(Boolean));
+  const results = entries.filter(e => !suitePaths.has(e.suite ? `${e.suite} > ${e.name}` : e.name));
+  return { results, errors: [] };
+}
+
+// ============================================
+// JEST / VITEST JSON
+// ============================================
+
+const JEST_STATUS = {
+  passed: TestStatuses.PASSED,
+  failed: TestStatuses.FAILED,
+  pending: TestStatuses.SKIPPED,
+  skipped: TestStatuses.SKIPPED,
+  todo: TestStatuses.SKIPPED,
+  disabled: TestStatuses.SKIPPED
+};
+
+// Absolute CI paths differ between runners; the file name is stable
+function fileLabel(path) {
+  return String(path || '').split(/[\\/]/).pop() || null;
+}
+
+/**
+ * Reads the Jest `--json` report shape, which Vitest's json reporter also
+ * emits: testResults[].assertionResults[].
+ */
+export function parseJestJson(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return { results: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+  if (!Array.isArray(data?.testResults)) {
+    return { results: [], errors: ['Not a Jest/Vitest JSON report: testResults missing'] };
+  }
+
+  const results = data.testResults.flatMap(file => (file.assertionResults || []).map(assertion => {
+    const ancestors = (assertion.ancestorTitles || []).filter(Boolean);
+    return result(
+      [...ancestors, assertion.title].join(' > ') || assertion.fullName || '(unnamed)',
+      fileLabel(file.name || file.testFilePath),
+      JEST_STATUS[assertion.status] || TestStatuses.SKIPPED,
+      typeof assertion.duration === 'number' ? assertion.duration : null,
+      (assertion.failureMessages || []).join('\n')
+    );
+  }));
+
+  return { results, errors: [] };
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+const PARSERS = {
+  [ReportFormats.JUNIT]: parseJUnit,
+  [ReportFormats.TAP]: parseTap,
+  [ReportFormats.JEST]: parseJestJson
+};
+
+/**
+ * Parses one report. `format` is detected when omitted.
+ * Returns { format, results, summary, errors }.
+ */
+export function parseTestReport(content, { format, filename } = {}) {
+  const resolved = format || detectReportFormat(content, filename);
+  const parser = Object.hasOwn(PARSERS, resolved ?? '') ? PARSERS[resolved] : null;
+  if (!parser) {
+    return { format: resolved || null, results: [], summary: summariseResults([]), errors: ['Unrecognised report format; expected JUnit XML, TAP or Jest/Vitest JSON'] };
+  }
+  const { results, errors } = parser(content);
+  return { format: resolved, results, summary: summariseResults(results), errors };
+}
+
+export function summariseResults(results) {
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    total: results.length,
+    passed: count(TestStatuses.PASSED),
+    failed: count(TestStatuses.FAILED),
+    skipped: count(TestStatuses.SKIPPED),
+    duration_ms: round(results.reduce((sum, r) => sum + (r.duration_ms || 0), 0), 1)
+  };
+}
+
+// ============================================
+// HISTORY & STATISTICS
+// ============================================
+
+/**
+ * Appends one run entry, keeping the newest MAX_HISTORY_RUNS.
+ */
+export function appendRun(runs = [], entry, max = MAX_HISTORY_RUNS) {
+  return [...runs, entry].slice(-max);
+}
+
+/**
+ * Statistics over a test's runs, oldest first. Skipped runs count towards
+ * `runs` but not towards rates, flips or durations.
+ */
+export function computeTestStats(runs = [], thresholds = FLAKY_THRESHOLDS) {
+  const executed = runs.filter(r => r.status !== TestStatuses.SKIPPED);
+  const failures = executed.filter(r => r.status === TestStatuses.FAILED).length;
+  const passes = executed.length - failures;
+
+  let flips = 0;
+  for (let i = 1; i < executed.length; i++) {
+    if (executed[i].status !== executed[i - 1].status) flips++;
+  }
+
+  const durations = executed.map(r => r.duration_ms).filter(Number.isFinite);
+  const mean = durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : 0;
+  const variance = durations.length
+    ? durations.reduce((sum, d) => sum + (d - mean) ** 2, 0) / durations.length
+    : 0;
+  const stddev = Math.sqrt(variance);
+
+  let classification;
+  if (executed.length < thresholds.minRuns) {
+    classification = Classifications.INSUFFICIENT_DATA;
+  } else if (failures === 0) {
+    classification = Classifications.STABLE;
+  } else if (passes === 0) {
+    classification = Classifications.FAILING;
+  } else if (flips >= thresholds.minFlips) {
+    classification = Classifications.FLAKY;
+  } else {
+    classification = executed[executed.length - 1].status === TestStatuses.FAILED
+      ? Classifications.FAILING
+      : Classifications.STABLE;
+  }
+
+  return {
+    runs: runs.length,
+    executed: executed.length,
+    passes,
+    failures,
+    skips: runs.length - executed.length,
+    failure_rate: executed.length ? round(failures / executed.length, 3) : 0,
+    flip_count: flips,
+    flip_rate: executed.length > 1 ? round(flips / (executed.length - 1), 3) : 0,
+    duration_mean_ms: round(mean, 1),
+    duration_stddev_ms: round(stddev, 1),
+    duration_variance: round(variance, 1),
+    duration_cv: mean > 0 ? round(stddev / mean, 3) : 0,
+    last_status: runs.length ? runs[runs.length - 1].status : null,
+    classification
+  };
+}
+
+function compareFlakiness(a, b) {
+  return b.stats.flip_rate - a.stats.flip_rate
+    || b.stats.failure_rate - a.stats.failure_rate
+    || a.test_id.localeCompare(b.test_id);
+}
+
+/**
+ * Flaky tests to quarantine, most flaky first. `tests` are
+ * { test_id, name, suite, stats } with stats from computeTestStats.
+ */
+export function buildQuarantineList(tests, { max = 100 } = {}) {
+  return tests
+    .filter(t => t.stats.classification === Classifications.FLAKY)
+    .sort(compareFlakiness)
+    .slice(0, max)
+    .map(({ test_id, name, suite, stats }) => ({
+      test_id,
+      name,
+      suite,
+      failure_rate: stats.failure_rate,
+      flip_count: stats.flip_count,
+      reason: `Flipped ${stats.flip_count} times in ${stats.executed} runs (${Math.round(stats.failure_rate * 100)}% failures)`
+    }));
+}
+
+/**
+ * Counts by classification plus the sorted non-stable tests for display.
+ */
+export function summariseFlakiness(tests) {
+  const counts = Object.fromEntries(Object.values(Classifications).map(c => [c, 0]));
+  tests.forEach(t => { counts[t.stats.classification]++; });
+  return {
+    tests_tracked: tests.length,
+    by_classification: counts,
+    needs_attention: tests
+      .filter(t => [Classifications.FLAKY, Classifications.FAILING].includes(t.stats.classification))
+      .sort(compareFlakiness)
+  };
+}
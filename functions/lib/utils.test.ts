@@ -6,6 +6,7 @@
  * - RBAC enforcement
  * - PII handling
  * - CoT output validation
+ * - Outbound URL checks: private addresses, DNS and redirects
  * 
  * Run with: deno test functions/lib/utils.test.js
  */
@@ -24,6 +25,10 @@ import {
   redactPII,
   filterSensitiveForLLM,
   validateCoTOutput,
+  isPrivateAddress,
+  validateOutboundUrl,
+  validateOutboundTarget,
+  fetchOutbound,
   Roles,
   Permissions
 } from './utils.js';
@@ -490,6 +495,93 @@ Deno.test('validateCoTOutput - calculates validation score', () => {
   }
 });
 
+// ============================================
+// OUTBOUND URL TESTS
+// ============================================
+
+Deno.test('isPrivateAddress - IPv4 and IPv6 ranges', () => {
+  const cases = [
+    ['127.0.0.1', true], ['10.1.2.3', true], ['172.31.255.255', true], ['172.32.0.1', false],
+    ['192.168.0.1', true], ['169.254.169.254', true], ['100.64.0.1', true], ['100.127.255.255', true],
+    ['100.128.0.1', false], ['0.0.0.0', true], ['224.0.0.1', true], ['8.8.8.8', false],
+    ['::1', true], ['::', true], ['fd00::1', true], ['fc12:3456::1', true], ['fe80::1', true],
+    ['::ffff:127.0.0.1', true], ['::ffff:7f00:1', true], ['::ffff:8.8.8.8', false], ['64:ff9b::a00:1', true],
+    ['2002:c0a8:1::', true], ['[fe80::1%eth0]', true], ['2606:4700:4700::1111', false],
+    ['example.com', false], ['1::2::3', false]
+  ];
+
+  for (const [address, expected] of cases) {
+    if (isPrivateAddress(address) !== expected) {
+      throw new Error(`Expected ${address} private=${expected}`);
+    }
+  }
+});
+
+Deno.test('validateOutboundUrl - rejects every private host form', () => {
+  const rejected = [
+    'https://2130706433/', 'https://0177.0.0.1/', 'https://0x7f.1/', 'https://[::ffff:127.0.0.1]/',
+    'https://[fd00::1]/', 'https://[fe80::1]/', 'https://100.64.0.1/', 'https://localhost./', 'https://app.localhost/',
+    'http://hooks.example.com/'
+  ];
+  for (const url of rejected) {
+    if (validateOutboundUrl(url, 'webhookUrl').valid) throw new Error(`Expected ${url} to be rejected`);
+  }
+  if (!validateOutboundUrl('https://[2606:4700::1111]/hook', 'webhookUrl').valid) {
+    throw new Error('Public IPv6 literals should be allowed');
+  }
+});
+
+Deno.test('validateOutboundTarget - checks every resolved address', async () => {
+  const dns = {
+    'hooks.example.com': ['93.184.216.34', '2606:2800:220:1::1'],
+    'rebind.example.com': ['93.184.216.34', '10.0.0.5'],
+    'mapped.example.com': ['::ffff:169.254.169.254'],
+    'missing.example.com': []
+  };
+  const resolve = async (hostname) => dns[hostname] || [];
+  const cases = [
+    ['https://hooks.example.com/jobs', true],
+    ['https://rebind.example.com/jobs', false],
+    ['https://mapped.example.com/jobs', false],
+    ['https://missing.example.com/jobs', false],
+    ['https://8.8.8.8/jobs', true]
+  ];
+
+  for (const [url, expected] of cases) {
+    const { valid } = await validateOutboundTarget(url, 'callback_url', { resolve });
+    if (valid !== expected) throw new Error(`Expected ${url} valid=${expected}`);
+  }
+});
+
+Deno.test('fetchOutbound - refuses private targets and redirects', async () => {
+  const resolve = async (hostname) => (hostname === 'internal.example.com' ? ['192.168.1.10'] : ['93.184.216.34']);
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, redirect: init.redirect });
+    return url.includes('/moved')
+      ? new Response(null, { status: 302, headers: { Location: 'http://169.254.169.254/' } })
+      : new Response('ok', { status: 200 });
+  };
+
+  const ok = await fetchOutbound('https://hooks.example.com/ok', { method: 'POST' }, { fieldName: 'webhookUrl', resolve, fetchImpl });
+  if (ok.status !== 200 || requests[0].redirect !== 'manual') {
+    throw new Error('Expected a manual-redirect request');
+  }
+
+  for (const url of ['https://internal.example.com/hook', 'https://hooks.example.com/moved']) {
+    let blocked = null;
+    try {
+      await fetchOutbound(url, {}, { fieldName: 'webhookUrl', resolve, fetchImpl });
+    } catch (error) {
+      blocked = error;
+    }
+    if (!blocked?.outboundBlocked) throw new Error(`Expected ${url} to be blocked`);
+  }
+  if (requests.some(r => r.url.includes('internal'))) {
+    throw new Error('Private targets must not be requested');
+  }
+});
+
 // ============================================
 // RUN ALL TESTS
 // ============================================
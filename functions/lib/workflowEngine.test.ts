@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for lib/workflowEngine.js
+ *
+ * Test coverage for:
+ * - Validation: unknown dependencies, cycles, bad expressions and
+ *   references to steps that are not upstream
+ * - Legacy workflows running in order
+ * - Parallel branches, fan-out/fan-in and inputs passed by reference
+ * - Timeouts, retries, fallback agents and error strategies
+ *
+ * Run with: deno test functions/lib/workflowEngine.test.js
+ */
+
+import { WORKFLOW_VERSION, validateWorkflow, normalizeSteps, runWorkflow } from './workflowEngine.js';
+
+const noSleep = () => Promise.resolve();
+
+function step(id, overrides = {}) {
+  return { step_id: id, agent_id: `agent-${id}`, agent_name: id, depends_on: [], max_retries: 0, ...overrides };
+}
+
+function workflow(agents) {
+  return { name: 'test', version: WORKFLOW_VERSION, agents };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+Deno.test('validateWorkflow - dependencies, cycles and expressions', () => {
+  const valid = validateWorkflow(workflow([
+    step('scan'),
+    step('lint'),
+    step('report', { depends_on: ['scan', 'lint'], condition: "steps.scan.output.score > 0.5", inputs: { findings: 'steps.lint.output.items' } })
+  ]));
+  if (!valid.valid) throw new Error(valid.errors.join('; '));
+  if (JSON.stringify(valid.levels) !== '[["scan","lint"],["report"]]') throw new Error(JSON.stringify(valid.levels));
+
+  const invalid = validateWorkflow(workflow([
+    step('a', { depends_on: ['c'] }),
+    step('b', { depends_on: ['a', 'ghost'] }),
+    step('c', { depends_on: ['b'], condition: 'output.score >' }),
+    step('d', { condition: 'steps.a.output.ok', inputs: { each: 'item.name' } }),
+    step('e', { on_error: 'fallback' })
+  ]));
+  const expected = [
+    'Step b: depends on unknown step ghost',
+    'Step e: on_error fallback needs a fallback agent',
+    'Dependency cycle between steps: a, b, c',
+    'Step c condition: Unexpected end of expression at position 15',
+    'Step d condition: steps.a is not upstream; add it to depends_on',
+    'Step d input each: unknown name item'
+  ];
+  if (JSON.stringify(invalid.errors) !== JSON.stringify(expected)) throw new Error(JSON.stringify(invalid.errors, null, 1));
+});
+
+Deno.test('normalizeSteps - legacy workflows keep their order', () => {
+  const steps = normalizeSteps({
+    agents: [
+      { agent_id: 'x1', agent_name: 'Security Auditor' },
+      { agent_id: 'x2', agent_name: 'Security Auditor', depends_on: ['x1'] },
+      { agent_id: 'x3', agent_name: '42 Checks' }
+    ]
+  });
+  const shape = steps.map(s => `${s.id}<${s.depends_on.join('+')}`).join(' ');
+  if (shape !== 'security_auditor< security_auditor_2<security_auditor step_42_checks<security_auditor_2') throw new Error(shape);
+  if (steps[0].max_retries !== 2 || steps[0].timeout_ms !== 120000) throw new Error('Defaults should be filled in');
+});
+
+Deno.test('runWorkflow - parallel branches, fan-out and inputs by reference', async () => {
+  let active = 0;
+  let peak = 0;
+  const calls = [];
+  const runStep = async (s, { inputs, item, upstream }) => {
+    active++;
+    peak = Math.max(peak, active);
+    calls.push({ id: s.id, inputs, item });
+    await delay(5);
+    active--;
+    if (s.id === 'discover') return { services: [{ name: 'api' }, { name: 'db' }, { name: 'web' }] };
+    if (s.id === 'review') return { service: item.name, score: item.name.length };
+    if (s.id === 'lint') return { warnings: 3 };
+    if (s.id === 'review' && upstream.discover.services.length !== 3) throw new Error('Upstream outputs are passed along');
+    return { total: inputs.scores.reduce((a, b) => a + b, 0), warnings: inputs.warnings };
+  };
+
+  const run = await runWorkflow(workflow([
+    step('discover'),
+    step('lint'),
+    step('review', { depends_on: ['discover'], for_each: 'steps.discover.output.services', max_parallel: 2, inputs: { name: 'item.name' } }),
+    step('summary', {
+      depends_on: ['review', 'lint'],
+      inputs: { scores: "[steps.review.output[0].score, steps.review.output[1].score, steps.review.output[2].score]", warnings: 'steps.lint.output.warnings' }
+    })
+  ]), { runStep, sleep: noSleep });
+
+  if (run.status !== 'completed') throw new Error(JSON.stringify(run.error));
+  if (peak < 2) throw new Error('Independent steps should overlap');
+  const review = run.results.review;
+  if (review.items.total !== 3 || review.output.map(o => o.service).join() !== 'api,db,web') throw new Error(JSON.stringify(review));
+  if (JSON.stringify(run.results.summary.output) !== '{"total":8,"warnings":3}') throw new Error(JSON.stringify(run.results.summary.output));
+  const reviewInputs = calls.filter(c => c.id === 'review').map(c => c.inputs.name).sort();
+  if (reviewInputs.join() !== 'api,db,web') throw new Error(`Each item gets its own inputs: ${reviewInputs}`);
+});
+
+Deno.test('runWorkflow - timeouts, retries, fallback and conditions', async () => {
+  const attempts = {};
+  const events = [];
+  const runStep = async (s, { attempt }) => {
+    attempts[s.agent_id] = (attempts[s.agent_id] || 0) + 1;
+    if (s.id === 'flaky' && attempt < 2) throw new Error('503');
+    if (s.id === 'slow' && s.agent_id === 'agent-slow') await delay(200);
+    return { score: 0.3, by: s.agent_id };
+  };
+
+  const run = await runWorkflow(workflow([
+    step('flaky', { max_retries: 2 }),
+    step('slow', { timeout_ms: 20, on_error: 'fallback', fallback_agent_id: 'backup' }),
+    step('gated', { depends_on: ['flaky'], condition: 'output.score > 0.5' }),
+    step('after', { depends_on: ['gated', 'slow'] })
+  ]), { runStep, sleep: noSleep, onEvent: e => events.push(e.type) });
+
+  if (run.status !== 'completed') throw new Error(JSON.stringify(run.error));
+  if (run.results.flaky.retry_count !== 2 || attempts['agent-flaky'] !== 3) throw new Error(JSON.stringify(run.results.flaky));
+  if (!run.results.slow.used_fallback || run.results.slow.output.by !== 'backup') throw new Error(JSON.stringify(run.results.slow));
+  if (run.results.gated.status !== 'skipped' || run.results.after.status !== 'completed') throw new Error('Skipped steps still let downstream run');
+  if (!events.includes('step_retry') || !events.includes('step_fallback')) throw new Error(`Events: ${events}`);
+});
+
+Deno.test('runWorkflow - stop, continue and cancel', async () => {
+  const failing = async (s) => {
+    if (s.id === 'bad') throw new Error('boom');
+    await delay(30);
+    return { ok: true };
+  };
+
+  const stopped = await runWorkflow(workflow([
+    step('bad'),
+    step('sibling'),
+    step('next', { depends_on: ['bad'] })
+  ]), { runStep: failing, sleep: noSleep });
+  const statuses = Object.values(stopped.results).map(r => `${r.step_id}:${r.status}`).join();
+  if (stopped.status !== 'failed' || stopped.error.step_id !== 'bad') throw new Error(JSON.stringify(stopped.error));
+  if (statuses !== 'bad:failed,sibling:cancelled,next:cancelled') throw new Error(statuses);
+
+  const tolerated = await runWorkflow(workflow([
+    step('bad', { on_error: 'continue' }),
+    step('next', { depends_on: ['bad'], condition: "steps.bad.status == 'failed'" })
+  ]), { runStep: failing, sleep: noSleep });
+  if (tolerated.status !== 'completed' || tolerated.results.next.status !== 'completed') throw new Error(JSON.stringify(tolerated.results));
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 5);
+  const cancelled = await runWorkflow(workflow([step('one'), step('two', { depends_on: ['one'] })]), { runStep: failing, signal: controller.signal, sleep: noSleep });
+  if (cancelled.status !== 'cancelled' || cancelled.results.one.status !== 'cancelled' || cancelled.results.two.status !== 'cancelled') {
+    throw new Error(JSON.stringify(cancelled.results));
+  }
+
+  let threw = false;
+  try {
+    await runWorkflow(workflow([step('a', { depends_on: ['a'] })]), { runStep: failing });
+  } catch (error) {
+    threw = error.errors?.length > 0;
+  }
+  if (!threw) throw new Error('Invalid workflows are rejected before running');
+});
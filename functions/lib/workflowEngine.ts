@@ -0,0 +1,473 @@
+/**
+ * Workflow Engine
+ * AXIS: Automation, Reliability
+ *
+ * Runs AgentWorkflow steps as a DAG (shared with the browser):
+ * - Steps start as soon as everything in their depends_on has settled, so
+ *   independent branches run in parallel, up to max_parallel at a time
+ * - Per-step timeouts and retries with exponential backoff; on_error
+ *   decides whether a failure stops the run, is tolerated, or hands the
+ *   step to a fallback agent
+ * - Conditions, fan-out lists and step inputs are workflowExpression
+ *   expressions, never JavaScript
+ * - Fan-out: `for_each` runs the step once per list item; its output is
+ *   the list of item outputs, which downstream steps read as a whole
+ * - Outputs are passed by reference: `inputs: { findings:
+ *   "steps.scan.output.recommendations" }` gives the step exactly that
+ *   value instead of every earlier output
+ *
+ * Expression scope: `steps.<id>` ({ status, output } of upstream steps),
+ * `output` (the output of the last step in depends_on), `project`, and in
+ * fan-out steps `item` and `index`. Inputs are evaluated last, so
+ * conditions cannot read them.
+ *
+ * Workflows saved before version 2 ran their steps in order, so each of
+ * their steps depends on the one before it.
+ *
+ * The agent call itself is injected as `runStep`, which keeps the engine
+ * free of SDK calls and testable.
+ */
+
+import { parseExpression, inspectExpression, evaluateExpression, truthy } from './workflowExpression.js';
+
+export const WORKFLOW_VERSION = 2;
+
+export const StepStatuses = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+};
+
+export const ErrorStrategies = {
+  STOP: 'stop',
+  CONTINUE: 'continue',
+  FALLBACK: 'fallback'
+};
+
+export const STEP_DEFAULTS = {
+  timeout_ms: 120000,
+  max_retries: 2,
+  retry_delay_ms: 1000,
+  // Items of one fan-out step running at once
+  max_parallel: 4
+};
+
+export const ENGINE_LIMITS = {
+  steps: 50,
+  fan_out_items: 100,
+  timeout_ms: 600000,
+  max_retries: 5,
+  max_parallel: 10
+};
+
+const STEP_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,39}$/;
+
+const SCOPE_NAMES = ['steps', 'output', 'project'];
+const ITEM_NAMES = ['item', 'index'];
+
+// ============================================
+// DEFINITION
+// ============================================
+
+/** A readable step id, e.g. "Security Auditor" -> security_auditor. */
+export function stepIdFor(name, takenIds) {
+  const base = String(name || 'step').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 32) || 'step';
+  const start = /^[0-9]/.test(base) ? `step_${base}` : base;
+  let id = start;
+  for (let n = 2; takenIds.includes(id); n++) id = `${start}_${n}`;
+  return id;
+}
+
+function clampInteger(value, fallback, min, max) {
+  const number = Number(value);
+  return Number.isInteger(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * The workflow's `agents` as engine steps with ids, dependencies and
+ * settings filled in. Legacy workflows refer to dependencies by agent_id
+ * and get an implicit dependency on the previous step.
+ */
+export function normalizeSteps(workflow) {
+  const definitions = Array.isArray(workflow?.agents) ? workflow.agents : [];
+  const legacy = !(workflow?.version >= WORKFLOW_VERSION);
+  const ids = [];
+
+  const steps = definitions.map((definition) => {
+    const id = definition.step_id || stepIdFor(definition.agent_name || definition.agent_id, ids);
+    ids.push(id);
+    return { definition, id };
+  });
+
+  return steps.map(({ definition, id }, index) => {
+    let dependsOn = Array.isArray(definition.depends_on) ? definition.depends_on.map(String) : [];
+    if (legacy) {
+      dependsOn = dependsOn.map(dep => steps.find(s => s.definition.agent_id === dep)?.id || dep);
+      if (index > 0) dependsOn.push(steps[index - 1].id);
+    }
+
+    return {
+      ...definition,
+      id,
+      depends_on: [...new Set(dependsOn)],
+      condition: String(definition.condition || '').trim(),
+      for_each: String(definition.for_each || '').trim(),
+      inputs: definition.inputs && typeof definition.inputs === 'object' ? definition.inputs : {},
+      on_error: definition.on_error || ErrorStrategies.STOP,
+      timeout_ms: clampInteger(definition.timeout_ms, STEP_DEFAULTS.timeout_ms, 1, ENGINE_LIMITS.timeout_ms),
+      max_retries: clampInteger(definition.max_retries, STEP_DEFAULTS.max_retries, 0, ENGINE_LIMITS.max_retries),
+      retry_delay_ms: clampInteger(definition.retry_delay_ms, STEP_DEFAULTS.retry_delay_ms, 0, 60000),
+      max_parallel: clampInteger(definition.max_parallel, STEP_DEFAULTS.max_parallel, 1, ENGINE_LIMITS.max_parallel)
+    };
+  });
+}
+
+/** Step ids that `id` depends on, directly or transitively. */
+function upstreamOf(id, byId) {
+  const seen = new Set();
+  const stack = [...(byId.get(id)?.depends_on || [])];
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (seen.has(next) || !byId.has(next)) continue;
+    seen.add(next);
+    stack.push(...byId.get(next).depends_on);
+  }
+  return seen;
+}
+
+/**
+ * Checks the workflow without running it. Returns { valid, errors, steps,
+ * levels }; `levels` groups step ids by how deep they sit in the DAG,
+ * i.e. which can run side by side.
+ */
+export function validateWorkflow(workflow) {
+  const errors = [];
+  const steps = normalizeSteps(workflow);
+  const byId = new Map(steps.map(step => [step.id, step]));
+
+  if (steps.length === 0) errors.push('Add at least one step');
+  if (steps.length > ENGINE_LIMITS.steps) errors.push(`A workflow can have at most ${ENGINE_LIMITS.steps} steps`);
+
+  const seen = new Set();
+  for (const step of steps) {
+    const at = `Step ${step.id}`;
+    if (!STEP_ID_PATTERN.test(step.id)) errors.push(`${at}: id must start with a letter and use only letters, digits and _`);
+    if (seen.has(step.id)) errors.push(`${at}: duplicate step id`);
+    seen.add(step.id);
+
+    for (const dep of step.depends_on) {
+      if (dep === step.id) errors.push(`${at}: cannot depend on itself`);
+      else if (!byId.has(dep)) errors.push(`${at}: depends on unknown step ${dep}`);
+    }
+    if (!Object.values(ErrorStrategies).includes(step.on_error)) errors.push(`${at}: unknown on_error ${step.on_error}`);
+    if (step.on_error === ErrorStrategies.FALLBACK && !step.fallback_agent_id) errors.push(`${at}: on_error fallback needs a fallback agent`);
+  }
+
+  // Kahn's algorithm; whatever never becomes ready is on a cycle
+  const levels = [];
+  const placed = new Set();
+  let frontier = steps.filter(s => s.depends_on.every(dep => !byId.has(dep) || dep === s.id)).map(s => s.id);
+  while (frontier.length > 0) {
+    levels.push(frontier);
+    frontier.forEach(id => placed.add(id));
+    frontier = steps
+      .filter(s => !placed.has(s.id) && s.depends_on.every(dep => placed.has(dep) || !byId.has(dep) || dep === s.id))
+      .map(s => s.id);
+  }
+  const cyclic = steps.filter(s => !placed.has(s.id)).map(s => s.id);
+  if (cyclic.length > 0) errors.push(`Dependency cycle between steps: ${cyclic.join(', ')}`);
+
+  for (const step of steps) {
+    const upstream = upstreamOf(step.id, byId);
+    const check = (label, source, names) => {
+      const inspected = inspectExpression(source);
+      if (!inspected.valid) {
+        errors.push(`Step ${step.id} ${label}: ${inspected.error}`);
+        return;
+      }
+      for (const name of inspected.names.filter(n => !names.includes(n))) {
+        errors.push(`Step ${step.id} ${label}: unknown name ${name}`);
+      }
+      for (const ref of inspected.steps.filter(s => !upstream.has(s))) {
+        errors.push(`Step ${step.id} ${label}: steps.${ref} is not upstream; add it to depends_on`);
+      }
+    };
+    const itemNames = step.for_each ? [...SCOPE_NAMES, ...ITEM_NAMES] : SCOPE_NAMES;
+    if (step.condition) check('condition', step.condition, SCOPE_NAMES);
+    if (step.for_each) check('for_each', step.for_each, SCOPE_NAMES);
+    for (const name of Object.keys(step.inputs)) {
+      if (!STEP_ID_PATTERN.test(name)) errors.push(`Step ${step.id}: input name ${name} must start with a letter and use only letters, digits and _`);
+      check(`input ${name}`, step.inputs[name], itemNames);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, steps, levels };
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rejects after `timeoutMs` and aborts `controller`; the step may still
+// finish in the background, but its result is ignored
+function withStepTimeout(promise, timeoutMs, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(new Error(`Timed out after ${timeoutMs}ms`), { code: 'TIMEOUT' }));
+    }, timeoutMs);
+  });
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(new Error('Cancelled')), { once: true });
+  });
+  return Promise.race([promise, timeout, aborted]).finally(() => clearTimeout(timer));
+}
+
+/** Runs `tasks` (functions returning promises) at most `limit` at a time. */
+async function runPool(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+function evaluateInputs(step, scope) {
+  const inputs = {};
+  for (const name of Object.keys(step.inputs)) {
+    inputs[name] = evaluateExpression(step.inputs[name], scope);
+  }
+  return inputs;
+}
+
+/**
+ * Runs a workflow to completion.
+ *
+ * `runStep(step, { inputs, upstream, item, index, attempt, project,
+ * signal })` performs one attempt of one step (or fan-out item) and
+ * resolves to its output; `upstream` maps the ids in depends_on to their
+ * outputs, for steps that take everything rather than named inputs.
+ * `onEvent({ type, step_id, level, message, result })` reports progress;
+ * `signal` cancels the run; `maxParallel` caps steps running at once
+ * across branches.
+ *
+ * Resolves to { status, results, order, levels, error, started_at,
+ * completed_at, duration_ms }, where `results` maps step ids to
+ * { step_id, agent_id, agent_name, status, started_at, completed_at,
+ * duration_ms, output, error, retry_count, items, used_fallback }.
+ * Throws only when the workflow fails validation.
+ */
+export async function runWorkflow(workflow, {
+  runStep,
+  project = null,
+  onEvent = null,
+  signal = null,
+  maxParallel = ENGINE_LIMITS.max_parallel,
+  sleep = defaultSleep
+}) {
+  const validation = validateWorkflow(workflow);
+  if (!validation.valid) {
+    throw Object.assign(new Error(`Invalid workflow: ${validation.errors[0]}`), { errors: validation.errors });
+  }
+
+  const { steps, levels } = validation;
+  const startedAt = Date.now();
+  const runController = new AbortController();
+  const abortRun = () => runController.abort();
+  if (signal?.aborted) runController.abort();
+  else signal?.addEventListener('abort', abortRun, { once: true });
+
+  const results = Object.create(null);
+  const parsedConditions = Object.create(null);
+  steps.forEach(step => {
+    results[step.id] = { step_id: step.id, agent_id: step.agent_id, agent_name: step.agent_name, status: StepStatuses.PENDING };
+    if (step.condition) parsedConditions[step.id] = parseExpression(step.condition);
+  });
+
+  const emit = (type, step, level, message, extra = {}) => {
+    try {
+      onEvent?.({ type, step_id: step?.id || null, level, message, ...extra });
+    } catch {
+      // A broken listener must not break the run
+    }
+  };
+  const settled = (id) => ![StepStatuses.PENDING, StepStatuses.RUNNING].includes(results[id].status);
+
+  const scopeFor = (step) => {
+    const view = {};
+    for (const id of Object.keys(results)) {
+      if (settled(id)) view[id] = { status: results[id].status, output: results[id].output ?? null };
+    }
+    const last = step.depends_on[step.depends_on.length - 1];
+    return { steps: view, output: last ? results[last].output ?? null : null, project };
+  };
+
+  // One unit of work with its own timeout and retries
+  const attempt = async (step, scope, extra) => {
+    let lastError = null;
+    for (let tryNumber = 0; tryNumber <= step.max_retries; tryNumber++) {
+      if (runController.signal.aborted) throw new Error('Cancelled');
+      if (tryNumber > 0) {
+        emit('step_retry', step, 'warning', `Retry ${tryNumber}/${step.max_retries}${extra.label}: ${lastError.message}`);
+        await sleep(step.retry_delay_ms * 2 ** (tryNumber - 1));
+        if (runController.signal.aborted) throw new Error('Cancelled');
+      }
+
+      const controller = new AbortController();
+      const forward = () => controller.abort();
+      runController.signal.addEventListener('abort', forward, { once: true });
+      try {
+        const inputs = evaluateInputs(step, scope);
+        const upstream = {};
+        step.depends_on.forEach(id => { upstream[id] = scope.steps[id]?.output ?? null; });
+        const output = await withStepTimeout(
+          Promise.resolve().then(() => runStep(step, { ...extra.context, inputs, upstream, attempt: tryNumber, project, signal: controller.signal })),
+          step.timeout_ms,
+          controller
+        );
+        return { output: output ?? null, retries: tryNumber };
+      } catch (error) {
+        lastError = error;
+        if (runController.signal.aborted) throw error;
+      } finally {
+        runController.signal.removeEventListener('abort', forward);
+      }
+    }
+    throw Object.assign(new Error(`${lastError.message} (after ${step.max_retries + 1} attempts)`), { retries: step.max_retries });
+  };
+
+  const execute = async (step) => {
+    const scope = scopeFor(step);
+
+    if (step.condition && !truthy(evaluateExpression(parsedConditions[step.id], scope))) {
+      return { status: StepStatuses.SKIPPED, output: null, retry_count: 0 };
+    }
+
+    if (!step.for_each) {
+      const { output, retries } = await attempt(step, scope, { label: '', context: { item: null, index: null } });
+      return { status: StepStatuses.COMPLETED, output, retry_count: retries };
+    }
+
+    const list = evaluateExpression(step.for_each, scope);
+    if (!Array.isArray(list)) throw new Error('for_each must evaluate to a list');
+    if (list.length > ENGINE_LIMITS.fan_out_items) throw new Error(`for_each produced ${list.length} items; the limit is ${ENGINE_LIMITS.fan_out_items}`);
+
+    emit('step_fan_out', step, 'info', `Fanning out over ${list.length} item(s)`);
+    const outcomes = await runPool(list.map((item, index) => async () => {
+      try {
+        const { output, retries } = await attempt(step, { ...scope, item, index }, { label: ` for item ${index + 1}`, context: { item, index } });
+        return { ok: true, output, retries };
+      } catch (error) {
+        if (runController.signal.aborted) throw error;
+        return { ok: false, error: error.message, retries: error.retries || 0 };
+      }
+    }), step.max_parallel);
+
+    const failed = outcomes.filter(o => !o.ok);
+    const items = { total: list.length, completed: list.length - failed.length, failed: failed.length };
+    if (failed.length > 0 && step.on_error !== ErrorStrategies.CONTINUE) {
+      throw Object.assign(new Error(`${failed.length} of ${list.length} item(s) failed: ${failed[0].error}`), { items });
+    }
+    return {
+      status: StepStatuses.COMPLETED,
+      output: outcomes.map(o => (o.ok ? o.output : null)),
+      errors: failed.length > 0 ? outcomes.map(o => (o.ok ? null : o.error)) : undefined,
+      retry_count: outcomes.reduce((total, o) => total + o.retries, 0),
+      items
+    };
+  };
+
+  let failure = null;
+
+  const runOne = async (step) => {
+    const started = Date.now();
+    results[step.id] = { ...results[step.id], status: StepStatuses.RUNNING, started_at: new Date(started).toISOString() };
+    emit('step_started', step, 'info', `Starting ${step.agent_name || step.id}`);
+
+    let outcome;
+    try {
+      outcome = await execute(step);
+    } catch (error) {
+      if (!runController.signal.aborted && step.on_error === ErrorStrategies.FALLBACK) {
+        emit('step_fallback', step, 'warning', `${error.message}; running fallback agent`);
+        try {
+          outcome = { ...(await execute({ ...step, agent_id: step.fallback_agent_id, agent_name: `${step.agent_name || step.id} (fallback)` })), used_fallback: true };
+        } catch (fallbackError) {
+          error = fallbackError;
+        }
+      }
+      if (!outcome) {
+        // Steps interrupted by a cancel, or by another step failing, did not fail themselves
+        const status = runController.signal.aborted ? StepStatuses.CANCELLED : StepStatuses.FAILED;
+        outcome = { status, output: null, error: error.message, retry_count: error.retries || 0, items: error.items };
+      }
+    }
+
+    const completed = Date.now();
+    results[step.id] = {
+      ...results[step.id],
+      ...outcome,
+      completed_at: new Date(completed).toISOString(),
+      duration_ms: completed - started
+    };
+
+    const result = results[step.id];
+    if (result.status === StepStatuses.COMPLETED) {
+      emit('step_completed', step, 'success', `Completed in ${result.duration_ms}ms`, { result });
+    } else if (result.status === StepStatuses.SKIPPED) {
+      emit('step_skipped', step, 'info', 'Condition not met, skipping', { result });
+    } else if (result.status === StepStatuses.FAILED) {
+      const tolerated = step.on_error === ErrorStrategies.CONTINUE;
+      emit('step_failed', step, tolerated ? 'warning' : 'error', tolerated ? `${result.error}; continuing` : result.error, { result });
+      if (!tolerated && !failure) {
+        failure = { step_id: step.id, message: result.error };
+        runController.abort();
+      }
+    }
+  };
+
+  const running = new Map();
+  for (;;) {
+    if (!runController.signal.aborted) {
+      const ready = steps.filter(step => results[step.id].status === StepStatuses.PENDING
+        && !running.has(step.id)
+        && step.depends_on.every(settled));
+      for (const step of ready.slice(0, Math.max(0, maxParallel - running.size))) {
+        running.set(step.id, runOne(step).finally(() => running.delete(step.id)));
+      }
+    }
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  for (const step of steps) {
+    if (results[step.id].status === StepStatuses.PENDING) results[step.id].status = StepStatuses.CANCELLED;
+  }
+  signal?.removeEventListener('abort', abortRun);
+
+  const status = failure ? StepStatuses.FAILED
+    : runController.signal.aborted ? StepStatuses.CANCELLED
+      : StepStatuses.COMPLETED;
+  const completedAt = Date.now();
+  return {
+    status,
+    results,
+    order: steps.map(step => step.id),
+    levels,
+    error: failure,
+    started_at: new Date(startedAt).toISOString(),
+    completed_at: new Date(completedAt).toISOString(),
+    duration_ms: completedAt - startedAt
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for lib/workflowExpression.js
+ *
+ * Test coverage for:
+ * - Operators, precedence, literals and functions
+ * - Safe path access: missing values, own properties only
+ * - Rejection of code, unknown functions and forbidden names
+ * - Inspecting referenced names and steps
+ *
+ * Run with: deno test functions/lib/workflowExpression.test.js
+ */
+
+import { parseExpression, evaluateExpression, inspectExpression, truthy } from './workflowExpression.js';
+
+const SCOPE = {
+  output: { metrics: { score: 0.9, confidence: 0.7 }, status: 'success', recommendations: [{ title: 'Cache' }, { title: 'Index' }] },
+  steps: { scan: { status: 'completed', output: { services: ['api', 'db'] } } },
+  item: { name: 'Orders', technologies: ['node', 'postgres'] },
+  index: 2
+};
+
+Deno.test('evaluateExpression - operators, precedence and functions', () => {
+  const cases = [
+    ['output.metrics.score > 0.8', true],
+    ["output.status === 'success' && !(output.metrics.confidence < 0.5)", true],
+    ['1 + 2 * 3 - 4 / 2', 5],
+    ['index % 2 == 0 || false', true],
+    ["'order-' + lower(item.name)", 'order-orders'],
+    ['output.recommendations.length', 2],
+    ['len(steps.scan.output.services)', 2],
+    ['output.recommendations[1].title', 'Index'],
+    ["contains(item.technologies, 'node') && 'db' in steps.scan.output.services", true],
+    ['[1, 2] == [1, 2]', true],
+    ['round(output.metrics.score * 100 / 3, 1)', 30],
+    ["exists(output.missing) || 'default'", 'default'],
+    ['-index', -2],
+    ["1 / 0", null],
+    ["'a' < 1", false]
+  ];
+  for (const [source, expected] of cases) {
+    const value = evaluateExpression(source, SCOPE);
+    if (JSON.stringify(value) !== JSON.stringify(expected)) {
+      throw new Error(`${source}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (truthy([]) || truthy({}) || !truthy([0])) throw new Error('Empty lists and objects are false');
+});
+
+Deno.test('evaluateExpression - paths cannot leave the scope', () => {
+  const missing = ['output.nope.deeper', 'steps.other.output', 'output.metrics["toString"]', "output['__pro' + 'to__']", 'output.recommendations[9]'];
+  for (const source of missing) {
+    if (evaluateExpression(source, SCOPE) !== null) throw new Error(`${source} should be null`);
+  }
+  if (evaluateExpression('globalThis', SCOPE) !== null || evaluateExpression('Deno', SCOPE) !== null) {
+    throw new Error('Globals are not reachable');
+  }
+});
+
+Deno.test('parseExpression - rejects code and reports positions', () => {
+  const rejected = [
+    ['output.constructor', "'constructor' cannot be accessed"],
+    ['alert(1)', "Unknown function 'alert'"],
+    ['output.run()', "Unexpected '('"],
+    ['x = 1', "Unexpected character '='"],
+    ['a; b', "Unexpected character ';'"],
+    ['`tpl`', 'Unexpected character'],
+    ["'open", 'Unterminated string'],
+    ['(1 + 2', "Expected ')'"],
+    ['', 'Expression is empty'],
+    ['('.repeat(40) + '1' + ')'.repeat(40), 'nested too deeply'],
+    ['1'.repeat(1001), 'longer than']
+  ];
+  for (const [source, message] of rejected) {
+    let error = null;
+    try {
+      parseExpression(source);
+    } catch (e) {
+      error = e;
+    }
+    if (!error || !error.message.includes(message)) throw new Error(`${source.slice(0, 20)}: expected "${message}", got ${error?.message}`);
+  }
+});
+
+Deno.test('inspectExpression - names and step references', () => {
+  const inspected = inspectExpression("steps.scan.output.score > 1 && steps['lint'].status == 'completed' && contains(item.tags, output.tag)");
+  if (!inspected.valid) throw new Error(inspected.error);
+  if (inspected.steps.sort().join() !== 'lint,scan') throw new Error(`Steps: ${inspected.steps}`);
+  if (inspected.names.sort().join() !== 'item,output,steps') throw new Error(`Names: ${inspected.names}`);
+
+  const invalid = inspectExpression('output.score >');
+  if (invalid.valid || !invalid.error.includes('Unexpected end')) throw new Error(JSON.stringify(invalid));
+});
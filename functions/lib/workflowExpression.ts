@@ -0,0 +1,386 @@
+/**
+ * Workflow Expressions
+ * AXIS: Security, Automation
+ *
+ * A small expression language for workflow conditions, fan-out lists and
+ * step inputs, parsed and evaluated here instead of being handed to
+ * `new Function`:
+ * - Literals: numbers, 'strings' or "strings", true, false, null, [lists]
+ * - Paths: output.metrics.score, steps.scan.output.items[0], item.name
+ * - Operators: || && ! == != < <= > >= + - * / % in, and parentheses
+ * - Functions: len, contains, lower, upper, exists, keys, round
+ *
+ * Paths only read own properties of plain data, so nothing outside the
+ * scope passed to evaluateExpression is reachable; a missing property
+ * evaluates to null rather than throwing. == and === are the same strict
+ * comparison.
+ *
+ * Example:
+ *
+ *   steps.scan.output.metrics.score > 0.8 && contains(item.technologies, 'node')
+ */
+
+export const EXPRESSION_LIMITS = {
+  length: 1000,
+  depth: 32
+};
+
+const FORBIDDEN_NAMES = ['__proto__', 'prototype', 'constructor'];
+
+const LITERALS = { true: true, false: false, null: null };
+
+const FUNCTIONS = {
+  len: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length
+    : isRecord(value) ? Object.keys(value).length : 0),
+  contains: (haystack, needle) => (Array.isArray(haystack) ? haystack.some(v => equals(v, needle))
+    : typeof haystack === 'string' && typeof needle === 'string' ? haystack.toLowerCase().includes(needle.toLowerCase())
+      : isRecord(haystack) && typeof needle === 'string' ? Object.prototype.hasOwnProperty.call(haystack, needle) : false),
+  lower: (value) => (typeof value === 'string' ? value.toLowerCase() : null),
+  upper: (value) => (typeof value === 'string' ? value.toUpperCase() : null),
+  exists: (value) => value !== null && value !== undefined,
+  keys: (value) => (isRecord(value) ? Object.keys(value) : []),
+  round: (value, digits = 0) => (typeof value === 'number' && typeof digits === 'number'
+    ? Math.round(value * 10 ** digits) / 10 ** digits : null)
+};
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>=', 'in'],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const PUNCTUATION = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', '.', ','];
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function equals(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function syntaxError(message, position) {
+  return Object.assign(new Error(`${message} at position ${position + 1}`), { position });
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw syntaxError('Unterminated string', i);
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const name = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i))[0];
+      tokens.push({ type: name === 'in' ? 'operator' : 'name', value: name, position: i });
+      i += name.length;
+    } else {
+      const operator = PUNCTUATION.find(p => source.startsWith(p, i));
+      if (!operator) throw syntaxError(`Unexpected character '${char}'`, i);
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+    }
+  }
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+function createParser(tokens) {
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    const token = next();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw syntaxError(`Expected '${value}'`, token.position);
+    }
+  };
+  const enter = (token) => {
+    if (++depth > EXPRESSION_LIMITS.depth) throw syntaxError('Expression is nested too deeply', token.position);
+  };
+
+  function binary(level) {
+    if (level === BINARY_PRECEDENCE.length) return unary();
+    let left = binary(level + 1);
+    while (peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: binary(level + 1) };
+    }
+    return left;
+  }
+
+  function unary() {
+    if (isOperator('!') || isOperator('-')) {
+      const token = next();
+      enter(token);
+      const node = { type: 'unary', operator: token.value, argument: unary() };
+      depth--;
+      return node;
+    }
+    return postfix();
+  }
+
+  function postfix() {
+    let node = primary();
+    for (;;) {
+      if (isOperator('.')) {
+        next();
+        const token = next();
+        if (token.type !== 'name') throw syntaxError('Expected a property name', token.position);
+        node = member(node, { type: 'literal', value: token.value }, token);
+      } else if (isOperator('[')) {
+        const token = next();
+        enter(token);
+        const property = expression();
+        depth--;
+        expect(']');
+        node = member(node, property, token);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function member(object, property, token) {
+    if (property.type === 'literal' && FORBIDDEN_NAMES.includes(property.value)) {
+      throw syntaxError(`'${property.value}' cannot be accessed`, token.position);
+    }
+    return { type: 'member', object, property };
+  }
+
+  function primary() {
+    const token = next();
+    if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+
+    if (token.type === 'name') {
+      if (token.value in LITERALS) return { type: 'literal', value: LITERALS[token.value] };
+      if (isOperator('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw syntaxError(`Unknown function '${token.value}'`, token.position);
+        }
+        next();
+        enter(token);
+        const args = list(')');
+        depth--;
+        return { type: 'call', name: token.value, args };
+      }
+      if (FORBIDDEN_NAMES.includes(token.value)) throw syntaxError(`'${token.value}' cannot be accessed`, token.position);
+      return { type: 'name', name: token.value };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      enter(token);
+      const node = expression();
+      depth--;
+      expect(')');
+      return node;
+    }
+    if (token.type === 'operator' && token.value === '[') {
+      enter(token);
+      const items = list(']');
+      depth--;
+      return { type: 'list', items };
+    }
+    throw syntaxError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`, token.position);
+  }
+
+  function list(closing) {
+    const items = [];
+    if (isOperator(closing)) {
+      next();
+      return items;
+    }
+    for (;;) {
+      items.push(expression());
+      if (isOperator(',')) {
+        next();
+      } else {
+        expect(closing);
+        return items;
+      }
+    }
+  }
+
+  function expression() {
+    return binary(0);
+  }
+
+  return {
+    parse() {
+      const node = expression();
+      const rest = peek();
+      if (rest.type !== 'end') throw syntaxError(`Unexpected '${rest.value}'`, rest.position);
+      return node;
+    }
+  };
+}
+
+/**
+ * Parses `source` into an expression tree. Throws an Error with a
+ * `position` for syntax errors, unknown functions and forbidden names.
+ */
+export function parseExpression(source) {
+  const text = String(source ?? '');
+  if (text.trim() === '') throw syntaxError('Expression is empty', 0);
+  if (text.length > EXPRESSION_LIMITS.length) {
+    throw syntaxError(`Expression is longer than ${EXPRESSION_LIMITS.length} characters`, EXPRESSION_LIMITS.length);
+  }
+  return createParser(tokenize(text)).parse();
+}
+
+/**
+ * Checks `source` without evaluating it. Returns { valid, error, names,
+ * steps }: the top-level names it reads and the step ids it reads through
+ * `steps.<id>`, so callers can check references before running anything.
+ */
+export function inspectExpression(source) {
+  let tree;
+  try {
+    tree = parseExpression(source);
+  } catch (error) {
+    return { valid: false, error: error.message, names: [], steps: [] };
+  }
+
+  const names = new Set();
+  const steps = new Set();
+  const visit = (node) => {
+    if (node.type === 'name') {
+      names.add(node.name);
+    } else if (node.type === 'member') {
+      if (node.object.type === 'name' && node.object.name === 'steps' && node.property.type === 'literal') {
+        steps.add(String(node.property.value));
+      }
+      visit(node.object);
+      visit(node.property);
+    } else if (node.type === 'binary') {
+      visit(node.left);
+      visit(node.right);
+    } else if (node.type === 'unary') {
+      visit(node.argument);
+    } else if (node.type === 'call') {
+      node.args.forEach(visit);
+    } else if (node.type === 'list') {
+      node.items.forEach(visit);
+    }
+  };
+  visit(tree);
+  return { valid: true, error: null, names: [...names], steps: [...steps] };
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+function readProperty(object, key) {
+  if (Array.isArray(object)) {
+    if (key === 'length') return object.length;
+    return Number.isInteger(key) && key >= 0 && key < object.length ? object[key] ?? null : null;
+  }
+  if (typeof object === 'string') return key === 'length' ? object.length : null;
+  if (!isRecord(object) || (typeof key !== 'string' && typeof key !== 'number')) return null;
+  const name = String(key);
+  if (FORBIDDEN_NAMES.includes(name) || !Object.prototype.hasOwnProperty.call(object, name)) return null;
+  return object[name] ?? null;
+}
+
+function compare(operator, a, b) {
+  const comparable = (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+  if (!comparable) return false;
+  if (operator === '<') return a < b;
+  if (operator === '<=') return a <= b;
+  if (operator === '>') return a > b;
+  return a >= b;
+}
+
+function arithmetic(operator, a, b) {
+  if (operator === '+' && (typeof a === 'string' || typeof b === 'string')) {
+    return `${a ?? ''}${b ?? ''}`;
+  }
+  if (typeof a !== 'number' || typeof b !== 'number') return null;
+  const result = operator === '+' ? a + b
+    : operator === '-' ? a - b
+      : operator === '*' ? a * b
+        : operator === '/' ? a / b
+          : a % b;
+  return Number.isFinite(result) ? result : null;
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      return readProperty(scope, node.name);
+    case 'member':
+      return readProperty(evaluate(node.object, scope), evaluate(node.property, scope));
+    case 'list':
+      return node.items.map(item => evaluate(item, scope));
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, scope))) ?? null;
+    case 'unary': {
+      const value = evaluate(node.argument, scope);
+      return node.operator === '!' ? !truthy(value) : (typeof value === 'number' ? -value : null);
+    }
+    default: {
+      const { operator } = node;
+      if (operator === '&&') {
+        const left = evaluate(node.left, scope);
+        return truthy(left) ? evaluate(node.right, scope) : left;
+      }
+      if (operator === '||') {
+        const left = evaluate(node.left, scope);
+        return truthy(left) ? left : evaluate(node.right, scope);
+      }
+      const a = evaluate(node.left, scope);
+      const b = evaluate(node.right, scope);
+      if (operator === '==' || operator === '===') return equals(a, b);
+      if (operator === '!=' || operator === '!==') return !equals(a, b);
+      if (operator === 'in') return FUNCTIONS.contains(b, a);
+      if (['<', '<=', '>', '>='].includes(operator)) return compare(operator, a, b);
+      return arithmetic(operator, a, b);
+    }
+  }
+}
+
+/** Empty lists and objects count as false, unlike in JavaScript. */
+export function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (isRecord(value)) return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Evaluates `expression` (source text or a parsed tree) against `scope`, a
+ * plain object of top-level names. Throws only for syntax errors.
+ */
+export function evaluateExpression(expression, scope) {
+  const tree = typeof expression === 'string' ? parseExpression(expression) : expression;
+  return evaluate(tree, isRecord(scope) ? scope : {});
+}
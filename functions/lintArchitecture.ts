@@ -0,0 +1,138 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  enforceOwnership,
+  auditLog
+} from './lib/utils.js';
+import {
+  BUILTIN_RULES,
+  lintArchitecture,
+  compileDiscoveredRule,
+  resolveThresholds
+} from './lib/archLinter.js';
+import { compileDslRule } from './lib/ruleDsl.js';
+
+/**
+ * Static Architecture Linter
+ * AXIS: Quality, Security
+ *
+ * Features:
+ * - Deterministic findings over Service and APIIntegration records (no LLM)
+ * - Rule IDs, severities and fix hints
+ * - Accepted RuleDiscovery suggestions run as executable rules
+ * - Enabled CustomRule records (rule DSL) run alongside the built-ins
+ * - Configurable fan-in/fan-out thresholds and disabled rules
+ */
+
+async function loadCustomRules(base44, project_id, logger) {
+  const [discoveries, dslRules] = await Promise.all([
+    base44.entities.RuleDiscovery.filter({ project_id, accepted: true }),
+    base44.entities.CustomRule.filter({ project_id, enabled: true })
+  ]);
+  const customRules = [];
+  const skipped = [];
+
+  for (const record of dslRules) {
+    const compiled = compileDslRule(record.definition);
+    if (compiled.valid) {
+      customRules.push(compiled.rule);
+    } else {
+      skipped.push({ custom_rule_id: record.id, errors: compiled.errors });
+    }
+  }
+
+  for (const discovery of discoveries.filter(d => d.executable_rule)) {
+    const compiled = compileDiscoveredRule(discovery);
+    if (compiled.valid) {
+      customRules.push(compiled.rule);
+    } else {
+      skipped.push({ rule_discovery_id: discovery.id, errors: compiled.errors });
+    }
+  }
+
+  if (skipped.length > 0) {
+    logger.warn('Skipped invalid custom rules', { count: skipped.length });
+  }
+  return { customRules, skipped };
+}
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'lintArchitecture');
+  const startTime = Date.now();
+
+  try {
+    logger.info('Architecture lint requested');
+
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const validation = validateRequired(body, ['project_id']);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    const { project_id, thresholds, disabled_rules = [] } = body;
+    if (!Array.isArray(disabled_rules)) {
+      return createErrorResponse(ErrorCodes.VALIDATION, 'disabled_rules must be an array of rule IDs', correlationId);
+    }
+
+    const [projects, services, integrations, cicdConfigs] = await Promise.all([
+      base44.entities.Project.filter({ id: project_id }),
+      base44.entities.Service.filter({ project_id }),
+      base44.entities.APIIntegration.filter({ project_id }),
+      base44.entities.CICDConfiguration.filter({ project_id })
+    ]);
+
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    auditLog(logger, 'LINT_ARCHITECTURE', user, { project_id, services_count: services.length });
+
+    const { customRules, skipped } = await loadCustomRules(base44, project_id, logger);
+    const result = lintArchitecture({
+      project,
+      services,
+      integrations,
+      cicdConfigs,
+      customRules,
+      thresholds: resolveThresholds(thresholds),
+      disabledRules: disabled_rules
+    });
+
+    logger.metric('architecture_lint_complete', Date.now() - startTime, {
+      project_id,
+      services_count: services.length,
+      findings: result.summary.total,
+      custom_rules: customRules.length
+    });
+
+    return createSuccessResponse({
+      project_id,
+      ...result,
+      available_rules: BUILTIN_RULES.map(({ id, name, category, severity, description }) =>
+        ({ id, name, category, severity, description })
+      ),
+      skipped_rules: skipped
+    }, correlationId);
+
+  } catch (error) {
+    logger.error('Architecture lint failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Lint failed', correlationId);
+  }
+});
@@ -0,0 +1,234 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  enforceOwnership,
+  auditLog,
+  hasPermission,
+  Permissions
+} from './lib/utils.js';
+import {
+  RETENTION_DEFAULTS,
+  validatePolicy,
+  planCompaction,
+  buildSummaryPrompt,
+  summaryRecord,
+  archiveFields,
+  planForget,
+  planUserPurge,
+  userPurgeQueries
+} from './lib/memoryRetention.js';
+
+/**
+ * AI Memory Retention
+ * AXIS: AI, Privacy
+ *
+ * Features:
+ * - Per-project retention policy: age, accepted-answer age, token budget,
+ *   rejected answers and how long archived rows are kept
+ * - Compaction: old interactions are clustered by service and topic, each
+ *   cluster summarised by the LLM and its raw rows archived
+ * - Forget specific memories, together with the summaries built from them
+ * - Purge everything one user contributed, across all projects
+ */
+
+const ALLOWED_ACTIONS = ['policy', 'set_policy', 'plan', 'compact', 'forget', 'purge_user'];
+
+// Summaries written per run; the rest are picked up by the next run
+const MAX_CLUSTERS_PER_RUN = 20;
+
+const MAX_FORGET_IDS = 500;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' }
+  },
+  required: ['summary']
+};
+
+function projectPolicy(project) {
+  return validatePolicy(project.ai_memory_policy || {}).policy;
+}
+
+// ============================================
+// COMPACTION
+// ============================================
+
+async function compact(base44, project, memories, logger) {
+  const now = new Date().toISOString();
+  const plan = planCompaction(memories, projectPolicy(project), now);
+  const entity = base44.entities.AIContextMemory;
+  const clusters = plan.clusters.slice(0, MAX_CLUSTERS_PER_RUN);
+  const summaries = [];
+  const failures = [];
+
+  // One at a time: each cluster is an LLM call and a burst of writes
+  for (const cluster of clusters) {
+    try {
+      const result = await base44.integrations.Core.InvokeLLM({
+        prompt: buildSummaryPrompt(project, cluster, memories),
+        response_json_schema: SUMMARY_SCHEMA
+      });
+      const summary = String(result?.summary || '').trim();
+      if (!summary) throw new Error('Empty summary');
+
+      const created = await entity.create(summaryRecord(project.id, cluster, memories, summary, now));
+      await Promise.all(cluster.memory_ids.map(id => entity.update(id, archiveFields(created.id, now))));
+      summaries.push({ id: created.id, service_id: cluster.service_id, summarised: cluster.memory_ids.length });
+    } catch (error) {
+      logger.warn('Memory cluster not compacted', { project_id: project.id, memories: cluster.memory_ids.length, error: error.message });
+      failures.push({ memory_ids: cluster.memory_ids, error: error.message });
+    }
+  }
+
+  await Promise.all(plan.archive.map(id => entity.update(id, archiveFields(null, now))));
+  await Promise.all(plan.delete.map(id => entity.delete(id)));
+
+  return {
+    summaries,
+    failures,
+    archived: plan.archive.length + summaries.reduce((total, s) => total + s.summarised, 0),
+    deleted: plan.delete.length,
+    remaining_clusters: plan.clusters.length - clusters.length,
+    tokens: plan.tokens
+  };
+}
+
+// ============================================
+// FORGET AND PURGE
+// ============================================
+
+async function applyForget(entity, forget) {
+  await Promise.all(forget.delete.map(id => entity.delete(id)));
+  await Promise.all(forget.restore.map(id => entity.update(id, { is_archived: false, archived_date: null, archived_by_summary: null })));
+  return { deleted: forget.delete, restored: forget.restore };
+}
+
+/**
+ * Removes a user's memories and the summaries they contributed to from
+ * every project. Runs as the service role: the summaries and restored rows
+ * belong to the project owners.
+ */
+async function purgeUser(base44, email) {
+  const entity = base44.asServiceRole.entities.AIContextMemory;
+  const queries = userPurgeQueries(email);
+  const [authored, summaries] = await Promise.all([
+    entity.filter(queries.authored),
+    entity.filter(queries.summaries)
+  ]);
+  const projectIds = [...new Set([...authored, ...summaries].map(m => m.project_id))];
+
+  const results = [];
+  for (const projectId of projectIds) {
+    const memories = await entity.filter({ project_id: projectId });
+    const { deleted, restored } = await applyForget(entity, planUserPurge(memories, email));
+    results.push({ project_id: projectId, deleted: deleted.length, restored: restored.length });
+  }
+  return results;
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'manageAIMemory');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action = 'policy' } = body;
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    // Purges follow the user, not a project
+    if (action === 'purge_user') {
+      const email = String(body.email || user.email).trim();
+      if (email.toLowerCase() !== String(user.email).toLowerCase() && !hasPermission(user, Permissions.USER_MANAGE)) {
+        return createErrorResponse(ErrorCodes.FORBIDDEN, 'Permission denied: purging another user requires USER_MANAGE', correlationId);
+      }
+      auditLog(logger, 'AI_MEMORY_PURGE_USER', user, { purged_user: email });
+
+      const projects = await purgeUser(base44, email);
+      logger.metric('ai_memory_purge_user', Date.now() - startTime, { projects: projects.length });
+      return createSuccessResponse({
+        email,
+        projects,
+        deleted: projects.reduce((total, p) => total + p.deleted, 0),
+        restored: projects.reduce((total, p) => total + p.restored, 0)
+      }, correlationId);
+    }
+
+    const validation = validateRequired(body, action === 'forget' ? ['project_id', 'memory_ids'] : ['project_id']);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    const projects = await base44.entities.Project.filter({ id: body.project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    let response;
+    if (action === 'policy') {
+      response = createSuccessResponse({ policy: projectPolicy(project), defaults: RETENTION_DEFAULTS }, correlationId);
+    } else if (action === 'set_policy') {
+      const result = validatePolicy(body.policy);
+      if (!result.valid) {
+        return createErrorResponse(ErrorCodes.VALIDATION, 'Invalid retention policy', correlationId, { errors: result.errors });
+      }
+      auditLog(logger, 'AI_MEMORY_POLICY_UPDATE', user, { project_id: project.id, policy: result.policy });
+      await base44.entities.Project.update(project.id, { ai_memory_policy: result.policy });
+      response = createSuccessResponse({ policy: result.policy }, correlationId);
+    } else {
+      const entity = base44.entities.AIContextMemory;
+      const memories = await entity.filter({ project_id: project.id });
+
+      if (action === 'plan') {
+        response = createSuccessResponse(planCompaction(memories, projectPolicy(project), new Date().toISOString()), correlationId);
+      } else if (action === 'compact') {
+        auditLog(logger, 'AI_MEMORY_COMPACT', user, { project_id: project.id, memories: memories.length });
+        response = createSuccessResponse(await compact(base44, project, memories, logger), correlationId);
+      } else {
+        const ids = body.memory_ids;
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_FORGET_IDS || ids.some(id => typeof id !== 'string')) {
+          return createErrorResponse(ErrorCodes.VALIDATION, `memory_ids must be 1 to ${MAX_FORGET_IDS} ids`, correlationId);
+        }
+        const forget = planForget(memories, ids);
+        if (forget.delete.length === 0) {
+          return createErrorResponse(ErrorCodes.NOT_FOUND, 'No matching memories in this project', correlationId);
+        }
+        auditLog(logger, 'AI_MEMORY_FORGET', user, { project_id: project.id, requested: ids.length, deleted: forget.delete.length });
+        response = createSuccessResponse(await applyForget(entity, forget), correlationId);
+      }
+    }
+
+    logger.metric(`ai_memory_${action}`, Date.now() - startTime, { project_id: project.id });
+    return response;
+
+  } catch (error) {
+    logger.error('AI memory request failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'AI memory request failed', correlationId);
+  }
+});
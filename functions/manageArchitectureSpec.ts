@@ -0,0 +1,273 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { parse as parseYaml, stringify as stringifyYaml } from 'npm:yaml@2.8.1';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  enforceOwnership,
+  auditLog
+} from './lib/utils.js';
+import {
+  SPEC_FILENAME,
+  ResourceKinds,
+  PlanActions,
+  validateSpec,
+  exportSpec,
+  planSpec,
+  resolveDependencies
+} from './lib/archSpec.js';
+
+/**
+ * Architecture as Code
+ * AXIS: Architecture, Quality
+ *
+ * Features:
+ * - Export a project as archdesigner.yaml for version control
+ * - Plan: validate a spec and list what would be created, changed or deleted
+ * - Apply a reviewed plan to Service, FeatureFlag and CICDConfiguration records
+ * - Plans are fingerprinted; apply refuses if the project changed since review
+ */
+
+const ALLOWED_ACTIONS = ['export', 'plan', 'apply'];
+
+const MAX_SOURCE_LENGTH = 500000;
+
+// Entity behind each resource kind, apart from the project itself
+const ENTITIES = {
+  [ResourceKinds.SERVICE]: 'Service',
+  [ResourceKinds.FEATURE_FLAG]: 'FeatureFlag',
+  [ResourceKinds.CICD]: 'CICDConfiguration'
+};
+
+function parseSource(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    return { errors: ['source is empty'] };
+  }
+  if (source.length > MAX_SOURCE_LENGTH) {
+    return { errors: [`source exceeds ${MAX_SOURCE_LENGTH} characters`] };
+  }
+  try {
+    return { value: parseYaml(source), errors: [] };
+  } catch (error) {
+    return { errors: [`Invalid YAML: ${error.message.split('\n')[0]}`] };
+  }
+}
+
+async function loadCurrent(base44, project) {
+  const [services, flags, cicd] = await Promise.all([
+    base44.entities.Service.filter({ project_id: project.id }),
+    base44.entities.FeatureFlag.filter({ project_id: project.id }),
+    base44.entities.CICDConfiguration.filter({ project_id: project.id })
+  ]);
+  return { project, services, flags, cicd };
+}
+
+// Identifies a plan so apply can tell whether the project moved underneath it
+async function fingerprint(changes) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(changes)));
+  return Array.from(new Uint8Array(digest).slice(0, 12))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function buildPlan(base44, project, body) {
+  const parsed = parseSource(body.source);
+  if (parsed.errors.length > 0) return { valid: false, errors: parsed.errors };
+  const validation = validateSpec(parsed.value);
+  if (!validation.valid) return { valid: false, errors: validation.errors };
+
+  const current = await loadCurrent(base44, project);
+  const plan = planSpec(parsed.value, current, body.prune === true);
+  return { valid: true, errors: [], current, plan, plan_id: await fingerprint(plan.changes) };
+}
+
+// ============================================
+// APPLY
+// ============================================
+
+function withoutDependencies(fields) {
+  const { depends_on: _dependsOn, ...rest } = fields;
+  return rest;
+}
+
+/**
+ * Applies changes in dependency order: services first so depends_on names
+ * can be resolved to ids, including those of services created here.
+ * Returns the keys applied; a failure stops the run and is rethrown with
+ * the progress so far.
+ */
+async function applyPlan(base44, project, current, changes) {
+  const applied = [];
+  const entities = base44.entities;
+  const idsByName = new Map(current.services.map(s => [s.name.trim().toLowerCase(), s.id]));
+
+  const run = async (change, step) => {
+    try {
+      await step();
+      applied.push(`${change.action}:${change.kind}:${change.key}`);
+    } catch (error) {
+      throw Object.assign(new Error(`${change.action} ${change.kind} ${change.key} failed: ${error.message}`), { applied });
+    }
+  };
+
+  const byKind = (kind) => changes.filter(c => c.kind === kind);
+  const services = byKind(ResourceKinds.SERVICE);
+
+  for (const change of byKind(ResourceKinds.PROJECT)) {
+    await run(change, () => entities.Project.update(project.id, change.fields));
+  }
+
+  for (const change of services.filter(c => c.action === PlanActions.CREATE)) {
+    await run(change, async () => {
+      const created = await entities.Service.create({ ...withoutDependencies(change.fields), project_id: project.id, depends_on: [] });
+      idsByName.set(change.fields.name.trim().toLowerCase(), created.id);
+    });
+  }
+  for (const change of services.filter(c => c.action === PlanActions.UPDATE)) {
+    const renamed = change.fields.name;
+    if (renamed) idsByName.set(renamed.trim().toLowerCase(), change.id);
+    const fields = withoutDependencies(change.fields);
+    if (Object.keys(fields).length > 0) {
+      await run(change, () => entities.Service.update(change.id, fields));
+    }
+  }
+
+  // Second pass once every service has an id
+  for (const change of services.filter(c => c.action !== PlanActions.DELETE && c.fields.depends_on)) {
+    const id = change.id || idsByName.get(change.fields.name.trim().toLowerCase());
+    await run(change, () => entities.Service.update(id, { depends_on: resolveDependencies(change.fields.depends_on, idsByName) }));
+  }
+
+  const deletedIds = new Set(services.filter(c => c.action === PlanActions.DELETE).map(c => c.id));
+  for (const change of services.filter(c => c.action === PlanActions.DELETE)) {
+    await run(change, () => entities.Service.delete(change.id));
+  }
+  // Services the spec left alone may still point at deleted ones
+  const rewritten = new Set(services.filter(c => c.fields.depends_on).map(c => c.id));
+  for (const service of current.services) {
+    if (deletedIds.has(service.id) || rewritten.has(service.id)) continue;
+    const kept = (service.depends_on || []).filter(id => !deletedIds.has(id));
+    if (kept.length !== (service.depends_on || []).length) {
+      await entities.Service.update(service.id, { depends_on: kept });
+    }
+  }
+  const created = services.filter(c => c.action === PlanActions.CREATE).length;
+  if (created > 0 || deletedIds.size > 0) {
+    await entities.Project.update(project.id, { services_count: current.services.length + created - deletedIds.size });
+  }
+
+  for (const kind of [ResourceKinds.FEATURE_FLAG, ResourceKinds.CICD]) {
+    const entity = entities[ENTITIES[kind]];
+    for (const change of byKind(kind)) {
+      if (change.action === PlanActions.CREATE) {
+        const defaults = kind === ResourceKinds.FEATURE_FLAG
+          ? { name: change.fields.flag_key, enabled: false, status: 'draft' }
+          : {};
+        await run(change, () => entity.create({ ...defaults, ...change.fields, project_id: project.id }));
+      } else if (change.action === PlanActions.UPDATE) {
+        await run(change, () => entity.update(change.id, change.fields));
+      } else if (kind === ResourceKinds.CICD) {
+        // Older configurations for the platform go too, or the next plan would manage them
+        const platform = current.cicd.filter(c => c.platform === change.key);
+        await run(change, () => Promise.all(platform.map(c => entity.delete(c.id))));
+      } else {
+        await run(change, () => entity.delete(change.id));
+      }
+    }
+  }
+
+  return applied;
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'manageArchitectureSpec');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action = 'plan' } = body;
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    const validation = validateRequired(body, action === 'apply' ? ['project_id', 'source', 'plan_id'] : ['project_id']);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    const projects = await base44.entities.Project.filter({ id: body.project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    let response;
+    if (action === 'export') {
+      const current = await loadCurrent(base44, project);
+      const spec = exportSpec(project, current.services, current.flags, current.cicd);
+      response = createSuccessResponse({
+        filename: SPEC_FILENAME,
+        content: stringifyYaml(spec),
+        counts: { services: current.services.length, feature_flags: current.flags.length, cicd: spec.cicd?.length || 0 }
+      }, correlationId);
+    } else {
+      const result = await buildPlan(base44, project, body);
+      if (!result.valid) {
+        if (action === 'plan') {
+          return createSuccessResponse({ valid: false, errors: result.errors }, correlationId);
+        }
+        return createErrorResponse(ErrorCodes.VALIDATION, 'Spec failed validation', correlationId, { errors: result.errors });
+      }
+
+      if (action === 'plan') {
+        response = createSuccessResponse({ valid: true, errors: [], plan_id: result.plan_id, ...result.plan }, correlationId);
+      } else {
+        if (result.plan_id !== body.plan_id) {
+          return createErrorResponse(
+            ErrorCodes.CONFLICT,
+            'The project or spec changed since this plan was made; review the new plan before applying',
+            correlationId,
+            { plan_id: result.plan_id, summary: result.plan.summary }
+          );
+        }
+
+        auditLog(logger, 'ARCH_SPEC_APPLY', user, { project_id: project.id, plan_id: result.plan_id, ...result.plan.summary });
+        try {
+          const applied = await applyPlan(base44, project, result.current, result.plan.changes);
+          response = createSuccessResponse({ plan_id: result.plan_id, summary: result.plan.summary, applied }, correlationId);
+        } catch (error) {
+          logger.error('Spec apply stopped', error);
+          return createErrorResponse(ErrorCodes.INTERNAL, error.message, correlationId, { applied: error.applied || [] });
+        }
+      }
+    }
+
+    logger.metric(`arch_spec_${action}`, Date.now() - startTime, { project_id: project.id });
+    return response;
+
+  } catch (error) {
+    logger.error('Architecture spec request failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Architecture spec request failed', correlationId);
+  }
+});
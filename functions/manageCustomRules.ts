@@ -0,0 +1,254 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { parse as parseYaml, stringify as stringifyYaml } from 'npm:yaml@2.8.1';
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
+  createSuccessResponse,
+  validateRequired,
+  validateEnum,
+  enforceOwnership,
+  auditLog
+} from './lib/utils.js';
+import { lintArchitecture } from './lib/archLinter.js';
+import {
+  validateRule,
+  normaliseRule,
+  compileDslRule,
+  buildRulePack,
+  readRulePack
+} from './lib/ruleDsl.js';
+
+/**
+ * Custom Rule Authoring
+ * AXIS: Quality, Security
+ *
+ * Features:
+ * - Validate rule DSL source written in JSON or YAML
+ * - Preview a rule against the current project before saving
+ * - Save rules as CustomRule records (enabled per project)
+ * - Export and import rule packs so house standards can be shared
+ */
+
+const ALLOWED_ACTIONS = ['validate', 'preview', 'save', 'export_pack', 'import_pack'];
+const FORMATS = ['yaml', 'json'];
+
+const MAX_SOURCE_LENGTH = 200000;
+
+function parseSource(source, format) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    return { errors: ['source is empty'] };
+  }
+  if (source.length > MAX_SOURCE_LENGTH) {
+    return { errors: [`source exceeds ${MAX_SOURCE_LENGTH} characters`] };
+  }
+  try {
+    return { value: format === 'yaml' ? parseYaml(source) : JSON.parse(source), errors: [] };
+  } catch (error) {
+    return { errors: [`Invalid ${format.toUpperCase()}: ${error.message}`] };
+  }
+}
+
+function serialise(value, format) {
+  return format === 'yaml' ? stringifyYaml(value) : JSON.stringify(value, null, 2);
+}
+
+function parseRule(source, format) {
+  const parsed = parseSource(source, format);
+  if (parsed.errors.length > 0) return { valid: false, errors: parsed.errors };
+  const validation = validateRule(parsed.value);
+  return validation.valid
+    ? { valid: true, definition: normaliseRule(parsed.value), errors: [] }
+    : { valid: false, errors: validation.errors };
+}
+
+async function loadProjectContext(base44, project_id) {
+  const [services, cicdConfigs] = await Promise.all([
+    base44.entities.Service.filter({ project_id }),
+    base44.entities.CICDConfiguration.filter({ project_id })
+  ]);
+  return { services, cicdConfigs };
+}
+
+function ruleRecord(definition, extra) {
+  return {
+    rule_id: definition.id,
+    name: definition.name,
+    severity: definition.severity,
+    category: definition.category,
+    definition,
+    ...extra
+  };
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function preview(base44, project, body) {
+  const parsed = parseRule(body.source, body.format);
+  if (!parsed.valid) return { valid: false, errors: parsed.errors };
+
+  const { services, cicdConfigs } = await loadProjectContext(base44, project.id);
+  const result = lintArchitecture({
+    project,
+    services,
+    cicdConfigs,
+    customRules: [compileDslRule(parsed.definition).rule],
+    includeBuiltins: false
+  });
+  return { valid: true, errors: [], definition: parsed.definition, services_checked: services.length, findings: result.findings };
+}
+
+async function save(base44, project, body, correlationId) {
+  const parsed = parseRule(body.source, body.format);
+  if (!parsed.valid) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'Rule failed validation', correlationId, { errors: parsed.errors });
+  }
+
+  if (body.rule_record_id) {
+    const current = await base44.entities.CustomRule.filter({ id: body.rule_record_id, project_id: project.id });
+    if (current.length === 0) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Rule not found in this project', correlationId);
+    }
+  }
+
+  const existing = await base44.entities.CustomRule.filter({ project_id: project.id, rule_id: parsed.definition.id });
+  const clash = existing.find(r => r.id !== body.rule_record_id);
+  if (clash) {
+    return createErrorResponse(ErrorCodes.CONFLICT, `Rule ${parsed.definition.id} already exists in this project`, correlationId);
+  }
+
+  const fields = ruleRecord(parsed.definition, { source: body.source, source_format: body.format });
+  const record = body.rule_record_id
+    ? await base44.entities.CustomRule.update(body.rule_record_id, fields)
+    : await base44.entities.CustomRule.create({ ...fields, project_id: project.id, enabled: true });
+
+  return createSuccessResponse({ rule: record }, correlationId);
+}
+
+async function exportPack(base44, project, body) {
+  const rules = await base44.entities.CustomRule.filter({ project_id: project.id }, 'rule_id');
+  const selected = body.pack_name ? rules.filter(r => r.pack_name === body.pack_name) : rules;
+  const pack = buildRulePack({
+    name: body.name || body.pack_name || `${project.name} rules`,
+    version: body.version,
+    description: body.description
+  }, selected.map(r => r.definition));
+
+  const slug = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rules';
+  return {
+    filename: `${slug}.rules.${body.format === 'yaml' ? 'yaml' : 'json'}`,
+    content: serialise(pack, body.format),
+    rules_count: pack.rules.length
+  };
+}
+
+async function importPack(base44, project, body, correlationId) {
+  const parsed = parseSource(body.content, body.format);
+  const read = parsed.errors.length > 0 ? { valid: false, errors: parsed.errors } : readRulePack(parsed.value);
+  if (!read.valid) {
+    return createErrorResponse(ErrorCodes.VALIDATION, 'Rule pack failed validation', correlationId, { errors: read.errors });
+  }
+
+  const existing = await base44.entities.CustomRule.filter({ project_id: project.id });
+  const byRuleId = new Map(existing.map(r => [r.rule_id, r]));
+  const packFields = { pack_name: read.pack.name, pack_version: read.pack.version };
+
+  const created = read.rules.filter(d => !byRuleId.has(d.id));
+  const updated = read.rules.filter(d => byRuleId.has(d.id));
+
+  if (!body.dry_run) {
+    // Updates keep the project's enabled flag; new rules start enabled
+    await Promise.all(updated.map(definition => base44.entities.CustomRule.update(
+      byRuleId.get(definition.id).id,
+      ruleRecord(definition, { ...packFields, source: serialise(definition, body.format), source_format: body.format })
+    )));
+    if (created.length > 0) {
+      await base44.entities.CustomRule.bulkCreate(created.map(definition => ruleRecord(definition, {
+        ...packFields,
+        project_id: project.id,
+        source: serialise(definition, body.format),
+        source_format: body.format,
+        enabled: true
+      })));
+    }
+  }
+
+  return createSuccessResponse({
+    dry_run: Boolean(body.dry_run),
+    pack: read.pack,
+    created: created.map(d => d.id),
+    updated: updated.map(d => d.id)
+  }, correlationId);
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (req) => {
+  const correlationId = await resolveCorrelationId(req);
+  const logger = createLogger(correlationId, 'manageCustomRules');
+  const startTime = Date.now();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return createErrorResponse(ErrorCodes.UNAUTHORIZED, 'Authentication required', correlationId);
+    }
+
+    const body = await req.json();
+    const { action = 'validate', format = 'yaml' } = body;
+
+    for (const check of [validateEnum(action, ALLOWED_ACTIONS, 'action'), validateEnum(format, FORMATS, 'format')]) {
+      if (!check.valid) {
+        return createErrorResponse(ErrorCodes.VALIDATION, check.error, correlationId);
+      }
+    }
+
+    // Validation needs no project context
+    if (action === 'validate') {
+      const { valid, errors, definition } = parseRule(body.source, format);
+      return createSuccessResponse({ valid, errors, definition }, correlationId);
+    }
+
+    const validation = validateRequired(body, ['project_id']);
+    if (!validation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
+    }
+
+    const projects = await base44.entities.Project.filter({ id: body.project_id });
+    const project = projects[0];
+    if (!project) {
+      return createErrorResponse(ErrorCodes.NOT_FOUND, 'Project not found', correlationId);
+    }
+
+    const ownershipError = enforceOwnership(user, project, correlationId, logger);
+    if (ownershipError) return ownershipError;
+
+    auditLog(logger, `CUSTOM_RULES_${action.toUpperCase()}`, user, { project_id: project.id });
+
+    const request = { ...body, format };
+    let response;
+    if (action === 'preview') {
+      response = createSuccessResponse(await preview(base44, project, request), correlationId);
+    } else if (action === 'save') {
+      response = await save(base44, project, request, correlationId);
+    } else if (action === 'export_pack') {
+      response = createSuccessResponse(await exportPack(base44, project, request), correlationId);
+    } else {
+      response = await importPack(base44, project, request, correlationId);
+    }
+
+    logger.metric(`custom_rules_${action}`, Date.now() - startTime, { project_id: project.id });
+    return response;
+
+  } catch (error) {
+    logger.error('Custom rule request failed', error);
+    return createErrorResponse(ErrorCodes.INTERNAL, 'Custom rule request failed', correlationId);
+  }
+});
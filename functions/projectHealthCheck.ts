@@ -1,6 +1,6 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
 import { 
-  generateCorrelationId, 
+  resolveCorrelationId,
   createLogger, 
   ErrorCodes, 
   createErrorResponse, 
@@ -9,6 +9,7 @@ import {
   getCached,
   setCache
 } from './lib/utils.js';
+import { analyzeGraph } from './lib/graphAnalytics.js';
 
 /**
  * Project Health Check
@@ -19,9 +20,10 @@ import {
  * - Parallel data fetching
  * - Structured metrics
  * - Health score calculation with weighted factors
+ * - Dependency graph structure: cycles, blast radius, critical path
  */
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'projectHealthCheck');
   const startTime = Date.now();
 
@@ -87,6 +89,7 @@ Deno.serve(async (req) => {
     const taskScore = tasks.length > 0 ? (completedTasks / tasks.length) * 100 : 100;
     const apiScore = apis.reduce((acc, api) => acc + (api.metrics?.success_rate || 100), 0) / Math.max(apis.length, 1);
     const cicdScore = cicd.length > 0 ? 85 : 40;
+    const graph = analyzeGraph(services);
 
     const overallScore = Math.round(
       (securityScore * 0.3) +
@@ -128,6 +131,14 @@ Deno.serve(async (req) => {
         services: {
           total: services.length,
           categories: [...new Set(services.map(s => s.category))].length
+        },
+        dependencies: {
+          edges: graph.metrics.total_edges,
+          cycles: graph.cycles.length,
+          hotspots: graph.hotspots.map(h => ({ service_id: h.node_id, blast_radius: h.blast_radius, risk_level: h.risk_level })),
+          max_blast_radius: graph.metrics.max_blast_radius,
+          critical_path_length: graph.metrics.critical_path_length,
+          deploy_waves: graph.metrics.deploy_waves
         }
       },
       recommendations: []
@@ -155,6 +166,22 @@ Deno.serve(async (req) => {
         message: 'Set up CI/CD pipeline for automated deployments'
       });
     }
+    if (graph.cycles.length > 0) {
+      healthReport.recommendations.push({
+        priority: 'high',
+        area: 'architecture',
+        message: `Break ${graph.cycles.length} dependency cycle(s); services in a cycle cannot be deployed independently`
+      });
+    }
+    const highRisk = graph.hotspots.filter(h => h.risk_level === 'high');
+    if (highRisk.length > 0) {
+      const names = highRisk.map(h => graph.nodes.find(n => n.id === h.node_id).name).join(', ');
+      healthReport.recommendations.push({
+        priority: 'medium',
+        area: 'resilience',
+        message: `Add redundancy or fallbacks for ${names}: a failure would reach most of the project`
+      });
+    }
     if (services.length > 0 && apis.length === 0) {
       healthReport.recommendations.push({
         priority: 'medium',
@@ -1,24 +1,47 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
-import { 
-  generateCorrelationId, 
-  createLogger, 
-  ErrorCodes, 
-  createErrorResponse, 
+import {
+  resolveCorrelationId,
+  createLogger,
+  ErrorCodes,
+  createErrorResponse,
   createSuccessResponse,
   validateRequired,
   validateEnum,
   validateEmail,
+  fetchOutbound,
+  signPayload,
   sanitiseString,
   Permissions,
   hasPermission,
   auditLog,
   redactPII
 } from './lib/utils.js';
+import {
+  NOTIFICATION_TYPES,
+  INBOX_TYPES,
+  CRITICAL_TYPES,
+  Channels,
+  DeliveryStatuses,
+  renderNotification,
+  resolveChannels,
+  isMuted,
+  shouldDigest,
+  toSlackMessage,
+  toWebhookPayload,
+  buildInboxItem,
+  deliverWithRetry,
+  buildAttemptUpdate,
+  isRetryDue,
+  isDigestDue,
+  groupByRecipient,
+  buildDigest,
+  planDigestOutcome
+} from './lib/notifications.js';
 
 /**
  * Notification Service
- * AXIS: Security (Email validation, RBAC for bulk send, audit logging)
- * 
+ * AXIS: Security (Email validation, RBAC for bulk send, audit logging), Reliability
+ *
  * Security Features:
  * - Email format validation
  * - Notification type enum validation
@@ -26,19 +49,275 @@ import {
  * - Input sanitisation
  * - Audit logging
  * - PII redaction in logs
+ *
+ * Delivery Features:
+ * - Email, Slack-compatible and generic webhook channels from user preferences
+ * - Templated bodies per notification type
+ * - Retries with backoff; every attempt recorded as a NotificationDelivery
+ * - Weekly report digests
+ * - In-app inbox records and per-project mute rules
+ * - 'retry' and 'flush_digests' actions for scheduled runs
  */
 
-const ALLOWED_NOTIFICATION_TYPES = ['security_alert', 'deployment_complete', 'task_assigned', 'weekly_report', 'custom'];
+const ALLOWED_ACTIONS = ['send', 'retry', 'flush_digests'];
 const MAX_RECIPIENTS = 50;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// ============================================
+// CHANNEL SENDERS
+// ============================================
+
+function deliveryError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+function readWebhookSecret() {
+  try {
+    return Deno.env.get('NOTIFICATION_WEBHOOK_SECRET');
+  } catch {
+    return undefined;
+  }
+}
+
+async function postJson(url, payload, fieldName) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  const secret = readWebhookSecret();
+  if (secret) {
+    headers['X-ArchDesigner-Signature'] = `sha256=${await signPayload(body, secret)}`;
+  }
+
+  let response;
+  try {
+    response = await fetchOutbound(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, { fieldName });
+  } catch (error) {
+    // Private targets and redirects will not fix themselves
+    if (error.outboundBlocked) throw deliveryError(error.message, false);
+    throw deliveryError(`${fieldName} unreachable: ${error.message}`, true);
+  }
+
+  if (!response.ok) {
+    // Client errors other than throttling will not fix themselves
+    const retryable = response.status === 429 || response.status >= 500;
+    throw deliveryError(`${fieldName} responded with ${response.status}`, retryable);
+  }
+}
+
+function sendViaChannel(base44, channel, recipient, message) {
+  switch (channel) {
+    case Channels.EMAIL:
+      return base44.integrations.Core.SendEmail({
+        to: recipient.email,
+        subject: message.subject,
+        body: message.body,
+        from_name: 'ArchDesigner'
+      });
+    case Channels.SLACK:
+      return postJson(recipient.preferences.slackWebhookUrl, toSlackMessage(message), 'slackWebhookUrl');
+    case Channels.WEBHOOK:
+      return postJson(recipient.preferences.webhookUrl, toWebhookPayload(message), 'webhookUrl');
+    default:
+      return Promise.reject(deliveryError(`Unknown channel ${channel}`, false));
+  }
+}
+
+// ============================================
+// RECIPIENTS
+// ============================================
+
+// Preferences are saved by the Settings PreferencesPanel via auth.updateMe
+async function loadRecipient(base44, user, email, logger) {
+  if (email === user.email) {
+    return { email, preferences: user.preferences || {} };
+  }
+
+  try {
+    const [match] = await base44.entities.User.filter({ email });
+    return { email, preferences: match?.preferences || {} };
+  } catch (error) {
+    logger.warn('Recipient preferences unavailable, using defaults', { error: error.message });
+    return { email, preferences: {} };
+  }
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * Sends `message` to one recipient on one channel and records the attempt.
+ * Returns the NotificationDelivery record.
+ */
+async function deliver(base44, recipient, channel, message, correlationId, logger) {
+  const result = await deliverWithRetry(() => sendViaChannel(base44, channel, recipient, message));
+  const update = buildAttemptUpdate(0, result);
+
+  if (!result.ok) {
+    const context = { type: message.type, channel, status: update.status, attempts: update.attempts };
+    if (CRITICAL_TYPES.includes(message.type)) {
+      logger.error('Critical notification delivery failed', new Error(result.error), context);
+    } else {
+      logger.warn('Notification delivery failed', { ...context, error: result.error });
+    }
+  }
+
+  return base44.entities.NotificationDelivery.create({
+    type: message.type,
+    channel,
+    recipient: recipient.email,
+    project_id: message.project_id,
+    subject: message.subject,
+    body: message.body,
+    data: message.data,
+    correlation_id: correlationId,
+    ...update
+  });
+}
+
+/**
+ * Delivers on every channel the recipient enabled. Critical notifications
+ * fall back to email when all of their other channels failed.
+ */
+async function deliverToRecipient(base44, recipient, message, correlationId, logger) {
+  const channels = resolveChannels(recipient.preferences, message.type);
+  const records = [];
+  for (const channel of channels) {
+    records.push(await deliver(base44, recipient, channel, message, correlationId, logger));
+  }
+
+  const anyDelivered = records.some(r => r.status === DeliveryStatuses.DELIVERED);
+  if (!anyDelivered && CRITICAL_TYPES.includes(message.type) && !channels.includes(Channels.EMAIL)) {
+    records.push(await deliver(base44, recipient, Channels.EMAIL, message, correlationId, logger));
+  }
+  return records;
+}
+
+// The inbox is best-effort; external channels still carry the notification
+async function addToInbox(base44, recipient, message, correlationId, logger) {
+  try {
+    await base44.entities.Notification.create(buildInboxItem({ recipient: recipient.email, ...message }, correlationId));
+    return true;
+  } catch (error) {
+    logger.warn('Inbox notification not saved', { type: message.type, error: error.message });
+    return false;
+  }
+}
+
+async function queueForDigest(base44, recipient, message, correlationId) {
+  return base44.entities.NotificationDelivery.create({
+    type: message.type,
+    channel: 'digest',
+    recipient: recipient.email,
+    project_id: message.project_id,
+    subject: message.subject,
+    body: message.body,
+    status: DeliveryStatuses.DIGEST_PENDING,
+    attempts: 0,
+    correlation_id: correlationId
+  });
+}
+
+/**
+ * Sends one digest for a recipient's pending items. Items are marked
+ * digested only when it was delivered; otherwise they wait for the next flush.
+ */
+async function flushDigest(base44, recipient, items, correlationId, logger) {
+  const digest = buildDigest(items);
+  const records = await deliverToRecipient(base44, recipient, {
+    type: items[0].type,
+    subject: digest.subject,
+    body: digest.body,
+    data: { digest_items: items.length }
+  }, correlationId, logger);
+
+  const { itemUpdate, superseded } = planDigestOutcome(records);
+  if (!itemUpdate) {
+    logger.warn('Digest not delivered, items kept pending', { items: items.length });
+    await Promise.all(superseded.map(id =>
+      base44.entities.NotificationDelivery.update(id, { status: DeliveryStatuses.FAILED, next_attempt_at: null })
+    ));
+    return records;
+  }
+
+  await Promise.all(items.map(item => base44.entities.NotificationDelivery.update(item.id, itemUpdate)));
+  return records;
+}
+
+function summariseDeliveries(records) {
+  const counts = {};
+  for (const status of Object.values(DeliveryStatuses)) {
+    counts[status] = records.filter(r => r.status === status).length;
+  }
+  return counts;
+}
+
+function toFailureView(record) {
+  return {
+    recipient: redactPII(record.recipient),
+    channel: record.channel,
+    status: record.status,
+    error: record.last_error,
+    next_attempt_at: record.next_attempt_at
+  };
+}
+
+// ============================================
+// SCHEDULED ACTIONS
+// ============================================
+
+async function retryDueDeliveries(base44, user, logger) {
+  const pending = await base44.entities.NotificationDelivery.filter({ status: DeliveryStatuses.RETRYING });
+  const due = pending.filter(d => isRetryDue(d));
+
+  const updated = [];
+  for (const delivery of due) {
+    const recipient = await loadRecipient(base44, user, delivery.recipient, logger);
+    const result = await deliverWithRetry(
+      () => sendViaChannel(base44, delivery.channel, recipient, delivery),
+      { attempts: 1 }
+    );
+    const update = buildAttemptUpdate(delivery.attempts || 0, result);
+    await base44.entities.NotificationDelivery.update(delivery.id, update);
+    updated.push({ ...delivery, ...update });
+  }
+  return updated;
+}
+
+async function flushDueDigests(base44, user, correlationId, logger, { force = false, onlyRecipient } = {}) {
+  const query = { status: DeliveryStatuses.DIGEST_PENDING };
+  if (onlyRecipient) query.recipient = onlyRecipient;
+  const pending = await base44.entities.NotificationDelivery.filter(query, 'created_date');
+
+  const records = [];
+  let digests = 0;
+  for (const [email, items] of groupByRecipient(pending)) {
+    if (!force && !isDigestDue(items)) continue;
+    const recipient = await loadRecipient(base44, user, email, logger);
+    records.push(...await flushDigest(base44, recipient, items, correlationId, logger));
+    digests++;
+  }
+  return { digests, records };
+}
+
+// ============================================
+// HANDLER
+// ============================================
 
 Deno.serve(async (req) => {
-  const correlationId = generateCorrelationId();
+  const correlationId = await resolveCorrelationId(req);
   const logger = createLogger(correlationId, 'sendNotification');
   const startTime = Date.now();
 
   try {
     logger.info('Notification request received');
-    
+
     const base44 = createClientFromRequest(req);
     const user = await base44.auth.me();
 
@@ -47,24 +326,50 @@ Deno.serve(async (req) => {
     }
 
     const body = await req.json();
-    
+    const { action = 'send' } = body;
+
+    const actionValidation = validateEnum(action, ALLOWED_ACTIONS, 'action');
+    if (!actionValidation.valid) {
+      return createErrorResponse(ErrorCodes.VALIDATION, actionValidation.error, correlationId);
+    }
+
+    // Retry and digest runs touch every user's deliveries
+    if (action !== 'send') {
+      if (!hasPermission(user, Permissions.NOTIFY_ALL)) {
+        return createErrorResponse(ErrorCodes.FORBIDDEN, `Permission denied: ${action} requires NOTIFY_ALL`, correlationId);
+      }
+      auditLog(logger, `NOTIFICATION_${action.toUpperCase()}`, user);
+
+      const records = action === 'retry'
+        ? await retryDueDeliveries(base44, user, logger)
+        : (await flushDueDigests(base44, user, correlationId, logger, { force: body.force === true })).records;
+
+      logger.metric(`notifications_${action}`, Date.now() - startTime, { processed: records.length });
+      return createSuccessResponse({
+        action,
+        processed: records.length,
+        deliveries: summariseDeliveries(records),
+        failures: records.filter(r => r.status !== DeliveryStatuses.DELIVERED).map(toFailureView)
+      }, correlationId);
+    }
+
     // PHASE 2.1: Input Validation
     const validation = validateRequired(body, ['type', 'subject']);
     if (!validation.valid) {
       return createErrorResponse(ErrorCodes.VALIDATION, `Missing: ${validation.missing.join(', ')}`, correlationId);
     }
 
-    const { 
-      type, 
-      project_id, 
-      subject, 
-      message, 
+    const {
+      type,
+      project_id,
+      subject,
+      message,
       recipients = [],
-      data = {} 
+      data = {}
     } = body;
 
     // Validate notification type
-    const typeValidation = validateEnum(type, ALLOWED_NOTIFICATION_TYPES, 'type');
+    const typeValidation = validateEnum(type, NOTIFICATION_TYPES, 'type');
     if (!typeValidation.valid) {
       return createErrorResponse(ErrorCodes.VALIDATION, typeValidation.error, correlationId);
     }
@@ -89,131 +394,107 @@ Deno.serve(async (req) => {
     }
 
     // PHASE 2.3: Audit log
-    auditLog(logger, 'SEND_NOTIFICATION', user, { 
-      type, 
+    auditLog(logger, 'SEND_NOTIFICATION', user, {
+      type,
       recipients_count: recipients.length,
-      project_id 
+      project_id
     });
 
     // PHASE 2.1: Sanitise inputs
-    const sanitisedSubject = sanitiseString(subject, 200);
     const sanitisedMessage = sanitiseString(message, 5000);
     const sanitisedData = {
       title: data.title ? sanitiseString(data.title, 200) : undefined,
-      severity: data.severity,
-      category: data.category,
+      severity: sanitiseString(data.severity, 50),
+      category: sanitiseString(data.category, 100),
       description: data.description ? sanitiseString(data.description, 2000) : undefined,
       remediation: data.remediation ? sanitiseString(data.remediation, 2000) : undefined,
       project_name: data.project_name ? sanitiseString(data.project_name, 200) : undefined,
-      environment: data.environment,
-      version: data.version,
+      environment: sanitiseString(data.environment, 100),
+      version: sanitiseString(data.version, 100),
       task_title: data.task_title ? sanitiseString(data.task_title, 200) : undefined,
-      priority: data.priority,
-      due_date: data.due_date,
-      period: data.period,
+      priority: sanitiseString(data.priority, 50),
+      due_date: sanitiseString(data.due_date, 50),
+      period: sanitiseString(data.period, 100),
       tasks_completed: data.tasks_completed,
       security_score: data.security_score,
-      api_health: data.api_health
+      api_health: sanitiseString(data.api_health, 100)
     };
 
-    const notificationTemplates = {
-      security_alert: {
-        subject: `🚨 Security Alert: ${sanitisedData.title || 'New Finding'}`,
-        body: `
-A security issue has been detected in your project.
-
-**Severity:** ${sanitisedData.severity || 'Unknown'}
-**Category:** ${sanitisedData.category || 'General'}
-
-**Description:**
-${sanitisedData.description || sanitisedMessage}
-
-**Recommended Action:**
-${sanitisedData.remediation || 'Please review and address this issue.'}
-
----
-ArchDesigner Security Scanner
-        `
-      },
-      deployment_complete: {
-        subject: `✅ Deployment Complete: ${sanitisedData.environment || 'Production'}`,
-        body: `
-Your deployment has completed successfully.
-
-**Project:** ${sanitisedData.project_name || 'Unknown'}
-**Environment:** ${sanitisedData.environment || 'Production'}
-**Version:** ${sanitisedData.version || 'Latest'}
-**Deployed by:** ${user.full_name}
-
----
-ArchDesigner CI/CD
-        `
-      },
-      task_assigned: {
-        subject: `📋 Task Assigned: ${sanitisedData.task_title || 'New Task'}`,
-        body: `
-You have been assigned a new task.
-
-**Task:** ${sanitisedData.task_title}
-**Priority:** ${sanitisedData.priority || 'Medium'}
-**Due Date:** ${sanitisedData.due_date || 'Not set'}
-
-**Description:**
-${sanitisedData.description || 'No description provided.'}
-
----
-ArchDesigner Task Manager
-        `
-      },
-      weekly_report: {
-        subject: `📊 Weekly Project Report`,
-        body: `
-Here's your weekly project summary.
-
-**Project:** ${sanitisedData.project_name}
-**Period:** ${sanitisedData.period}
-
-**Highlights:**
-- Tasks Completed: ${sanitisedData.tasks_completed || 0}
-- Security Score: ${sanitisedData.security_score || 'N/A'}
-- API Health: ${sanitisedData.api_health || 'N/A'}
-
----
-ArchDesigner Analytics
-        `
-      },
-      custom: {
-        subject: sanitisedSubject,
-        body: sanitisedMessage
-      }
+    const templateVars = {
+      ...sanitisedData,
+      subject: sanitiseString(subject, 200),
+      message: sanitisedMessage,
+      sender_name: sanitiseString(user.full_name, 200),
+      // Security alerts without a description fall back to the message
+      description: sanitisedData.description || (type === 'security_alert' ? sanitisedMessage : undefined)
     };
 
-    const template = notificationTemplates[type];
     const emailRecipients = recipients.length > 0 ? recipients : [user.email];
+    const records = [];
+    let queuedForDigest = 0;
+    let inboxed = 0;
+    let muted = 0;
 
-    const results = await Promise.all(
-      emailRecipients.map(email =>
-        base44.integrations.Core.SendEmail({
-          to: email,
-          subject: template.subject,
-          body: template.body,
-          from_name: 'ArchDesigner'
-        })
-      )
-    );
+    for (const email of emailRecipients) {
+      const recipient = await loadRecipient(base44, user, email, logger);
+
+      if (isMuted(recipient.preferences, project_id, type)) {
+        muted++;
+        continue;
+      }
+
+      if (INBOX_TYPES.includes(type)) {
+        const summary = renderNotification(type, templateVars, { footer: false });
+        const saved = await addToInbox(base44, recipient, {
+          type,
+          project_id,
+          project_name: sanitisedData.project_name,
+          ...summary
+        }, correlationId, logger);
+        if (saved) inboxed++;
+      }
+
+      if (shouldDigest(recipient.preferences, type)) {
+        const rendered = renderNotification(type, templateVars, { footer: false });
+        await queueForDigest(base44, recipient, { type, project_id, ...rendered }, correlationId);
+        queuedForDigest++;
+
+        const flushed = await flushDueDigests(base44, user, correlationId, logger, { onlyRecipient: email });
+        records.push(...flushed.records);
+        continue;
+      }
+
+      const rendered = renderNotification(type, templateVars);
+      records.push(...await deliverToRecipient(base44, recipient, {
+        type,
+        project_id,
+        data: sanitisedData,
+        ...rendered
+      }, correlationId, logger));
+    }
 
-    logger.metric('notifications_sent', Date.now() - startTime, { 
-      type, 
-      recipients_count: emailRecipients.length 
+    const deliveries = summariseDeliveries(records);
+    logger.metric('notifications_sent', Date.now() - startTime, {
+      type,
+      recipients_count: emailRecipients.length,
+      ...deliveries,
+      queued_for_digest: queuedForDigest,
+      in_app: inboxed,
+      muted
     });
 
     return createSuccessResponse({
       sent_to: emailRecipients.length,
-      type
+      type,
+      deliveries,
+      queued_for_digest: queuedForDigest,
+      in_app: inboxed,
+      muted,
+      failures: records.filter(r => r.status !== DeliveryStatuses.DELIVERED).map(toFailureView)
     }, correlationId);
 
   } catch (error) {
     logger.error('Notification failed', error);
     return createErrorResponse(ErrorCodes.INTERNAL, 'Failed to send notification', correlationId);
   }
-});
\ No newline at end of file
+});
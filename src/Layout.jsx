@@ -6,7 +6,9 @@ import { motion } from "framer-motion";
 import PropTypes from "prop-types";
 import PWAInstaller from "./components/shared/PWAInstaller";
 import UserMenu from "./components/shared/UserMenu";
+import NotificationBell from "./components/notifications/NotificationBell";
 import KeyboardShortcuts from "./components/shared/KeyboardShortcuts";
+import { useIsMobile } from "@/hooks/use-mobile";
 import {
   Sidebar,
   SidebarContent,
@@ -61,6 +63,8 @@ const navigationItems = [
 
 function Layout({ children }) {
     const location = useLocation();
+    // One NotificationBell: in the sidebar on desktop, in the top bar on mobile
+    const isMobile = useIsMobile();
 
     // Register PWA meta tags dynamically
     React.useEffect(() => {
@@ -153,7 +157,12 @@ function Layout({ children }) {
                 <p className="text-sm text-gray-500 font-medium">Microservices Platform</p>
               </div>
             </motion.div>
-            <UserMenu />
+            <div className="flex items-center gap-1">
+              <div className="flex-1 min-w-0">
+                <UserMenu />
+              </div>
+              {!isMobile && <NotificationBell />}
+            </div>
           </SidebarHeader>
           
           <SidebarContent className="p-4">
@@ -220,6 +229,11 @@ function Layout({ children }) {
               >
                 ArchDesigner
               </h1>
+              {isMobile && (
+                <div className="ml-auto">
+                  <NotificationBell />
+                </div>
+              )}
             </div>
           </header>
 
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useMemo } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -7,10 +7,10 @@ import { Textarea } from "@/components/ui/textarea";
 import { Badge } from "@/components/ui/badge";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
 import { base44 } from "@/api/base44Client";
 import { 
   Plus, 
-  ArrowRight, 
   Play, 
   Save, 
   Trash2, 
@@ -24,37 +24,53 @@ import { toast } from "sonner";
 import PropTypes from "prop-types";
 import WorkflowExecutor from "./WorkflowExecutor";
 import ProactiveInsights from "./ProactiveInsights";
+import { WORKFLOW_VERSION, STEP_DEFAULTS, stepIdFor, validateWorkflow } from "../../../functions/lib/workflowEngine";
+
+const EMPTY_WORKFLOW = {
+  name: "",
+  description: "",
+  agents: [],
+  trigger: "manual",
+  version: WORKFLOW_VERSION
+};
+
+const EXPRESSION_HINT = "steps.<id>.output, output (last dependency), project";
 
 export default function WorkflowBuilder({ project, installedAgents = [] }) {
-  const [workflow, setWorkflow] = useState({
-    name: "",
-    description: "",
-    agents: [],
-    trigger: "manual"
-  });
+  const [workflow, setWorkflow] = useState(EMPTY_WORKFLOW);
   const [isSaving, setIsSaving] = useState(false);
   const [showExecutor, setShowExecutor] = useState(false);
   const [editingAgent, setEditingAgent] = useState(null);
 
+  const validation = useMemo(() => validateWorkflow(workflow), [workflow]);
+
+  // New steps follow the last one; untick the dependency to run them in parallel
   const addAgent = useCallback((agent) => {
-    setWorkflow(prev => ({
-      ...prev,
-      agents: [
-        ...prev.agents,
-        {
-          agent_id: agent.id,
-          agent_name: agent.name,
-          agent_icon: agent.icon,
-          order: prev.agents.length,
-          config: agent.default_config || {},
-          depends_on: [],
-          condition: "",
-          on_error: "stop",
-          max_retries: 2,
-          use_internet_context: true
-        }
-      ]
-    }));
+    setWorkflow(prev => {
+      const last = prev.agents[prev.agents.length - 1];
+      return {
+        ...prev,
+        agents: [
+          ...prev.agents,
+          {
+            step_id: stepIdFor(agent.name, prev.agents.map(a => a.step_id)),
+            agent_id: agent.id,
+            agent_name: agent.name,
+            agent_icon: agent.icon,
+            order: prev.agents.length,
+            config: agent.default_config || {},
+            depends_on: last ? [last.step_id] : [],
+            condition: "",
+            for_each: "",
+            inputs: {},
+            on_error: "stop",
+            max_retries: STEP_DEFAULTS.max_retries,
+            timeout_ms: STEP_DEFAULTS.timeout_ms,
+            use_internet_context: true
+          }
+        ]
+      };
+    });
   }, []);
 
   const updateAgent = useCallback((index, updates) => {
@@ -67,12 +83,45 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
   }, []);
 
   const removeAgent = useCallback((index) => {
-    setWorkflow(prev => ({
-      ...prev,
-      agents: prev.agents.filter((_, i) => i !== index)
-    }));
+    setWorkflow(prev => {
+      const removed = prev.agents[index].step_id;
+      return {
+        ...prev,
+        agents: prev.agents
+          .filter((_, i) => i !== index)
+          .map(agent => ({ ...agent, depends_on: agent.depends_on.filter(id => id !== removed) }))
+      };
+    });
   }, []);
 
+  const toggleDependency = (index, stepId, checked) => {
+    const current = workflow.agents[index].depends_on;
+    updateAgent(index, { depends_on: checked ? [...current, stepId] : current.filter(id => id !== stepId) });
+  };
+
+  // Inputs are edited as rows; renaming keeps their order
+  const updateInput = (index, name, updates) => {
+    const inputs = workflow.agents[index].inputs || {};
+    const next = {};
+    for (const key of Object.keys(inputs)) {
+      if (key !== name) {
+        next[key] = inputs[key];
+      } else if (updates.name !== undefined && updates.name !== name && !(updates.name in inputs)) {
+        next[updates.name] = inputs[key];
+      } else if (!updates.remove) {
+        next[key] = updates.expression ?? inputs[key];
+      }
+    }
+    updateAgent(index, { inputs: next });
+  };
+
+  const addInput = (index) => {
+    const inputs = workflow.agents[index].inputs || {};
+    let n = Object.keys(inputs).length + 1;
+    while (`input_${n}` in inputs) n++;
+    updateAgent(index, { inputs: { ...inputs, [`input_${n}`]: "" } });
+  };
+
   const moveAgent = useCallback((index, direction) => {
     setWorkflow(prev => {
       const newAgents = [...prev.agents];
@@ -99,7 +148,7 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
         project_id: project.id
       });
       toast.success("Workflow saved successfully!");
-      setWorkflow({ name: "", description: "", agents: [], trigger: "manual" });
+      setWorkflow(EMPTY_WORKFLOW);
     } catch (error) {
       console.error("Save workflow error:", error);
       toast.error("Failed to save workflow");
@@ -112,6 +161,10 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
       toast.error("Add agents to run the workflow");
       return;
     }
+    if (!validation.valid) {
+      toast.error(validation.errors[0]);
+      return;
+    }
     setShowExecutor(true);
   };
 
@@ -239,10 +292,16 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
                               {index + 1}
                             </Badge>
                             <span className="text-2xl">{agent.agent_icon}</span>
-                            <div className="flex-1">
+                            <div className="flex-1 min-w-0">
                               <p className="font-medium text-sm text-gray-900">
                                 {agent.agent_name}
                               </p>
+                              <p className="text-xs text-gray-500 truncate">
+                                <span className="font-mono">{agent.step_id}</span>
+                                {" · "}
+                                {agent.depends_on.length > 0 ? `after ${agent.depends_on.join(", ")}` : "starts immediately"}
+                                {agent.for_each && " · fan-out"}
+                              </p>
                             </div>
                             <div className="flex gap-1">
                               <Button
@@ -290,14 +349,94 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
                                 exit={{ height: 0, opacity: 0 }}
                                 className="space-y-3 pt-3 border-t border-purple-200"
                               >
+                                {workflow.agents.length > 1 && (
+                                  <div>
+                                    <Label className="text-xs">Runs after</Label>
+                                    <div className="flex flex-wrap gap-3 mt-1">
+                                      {workflow.agents.filter((_, i) => i !== index).map(other => (
+                                        <label key={other.step_id} className="flex items-center gap-1 text-xs font-mono">
+                                          <Checkbox
+                                            checked={agent.depends_on.includes(other.step_id)}
+                                            onCheckedChange={(checked) => toggleDependency(index, other.step_id, checked === true)}
+                                          />
+                                          {other.step_id}
+                                        </label>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
                                 <div>
                                   <Label className="text-xs">Condition (optional)</Label>
                                   <Input
-                                    placeholder="e.g., output.score > 0.8"
+                                    placeholder="e.g., output.metrics.score > 0.8"
                                     value={agent.condition || ""}
                                     onChange={(e) => updateAgent(index, { condition: e.target.value })}
-                                    className="text-xs h-8"
+                                    className="text-xs h-8 font-mono"
                                   />
+                                  <p className="text-[11px] text-gray-500 mt-1">Uses {EXPRESSION_HINT}</p>
+                                </div>
+
+                                <div className="grid grid-cols-3 gap-2">
+                                  <div className="col-span-2">
+                                    <Label className="text-xs">For each (optional)</Label>
+                                    <Input
+                                      placeholder="e.g., project.services"
+                                      value={agent.for_each || ""}
+                                      onChange={(e) => updateAgent(index, { for_each: e.target.value })}
+                                      className="text-xs h-8 font-mono"
+                                    />
+                                  </div>
+                                  <div>
+                                    <Label className="text-xs">In parallel</Label>
+                                    <Input
+                                      type="number"
+                                      min="1"
+                                      max="10"
+                                      disabled={!agent.for_each}
+                                      value={agent.max_parallel ?? STEP_DEFAULTS.max_parallel}
+                                      onChange={(e) => updateAgent(index, { max_parallel: parseInt(e.target.value) })}
+                                      className="text-xs h-8"
+                                    />
+                                  </div>
+                                </div>
+
+                                <div>
+                                  <div className="flex items-center justify-between">
+                                    <Label className="text-xs">Inputs (optional)</Label>
+                                    <Button size="sm" variant="ghost" className="h-6 text-xs" onClick={() => addInput(index)}>
+                                      <Plus className="w-3 h-3 mr-1" />
+                                      Add input
+                                    </Button>
+                                  </div>
+                                  {Object.keys(agent.inputs || {}).map((name, inputIndex) => (
+                                    <div key={inputIndex} className="flex gap-1 mt-1">
+                                      <Input
+                                        value={name}
+                                        onChange={(e) => updateInput(index, name, { name: e.target.value })}
+                                        className="text-xs h-8 font-mono w-1/3"
+                                      />
+                                      <Input
+                                        placeholder="e.g., steps.scan.output.recommendations"
+                                        value={agent.inputs[name]}
+                                        onChange={(e) => updateInput(index, name, { expression: e.target.value })}
+                                        className="text-xs h-8 font-mono flex-1"
+                                      />
+                                      <Button
+                                        size="sm"
+                                        variant="ghost"
+                                        onClick={() => updateInput(index, name, { remove: true })}
+                                        className="h-8 w-8 p-0"
+                                      >
+                                        <Trash2 className="w-3 h-3" />
+                                      </Button>
+                                    </div>
+                                  ))}
+                                  {Object.keys(agent.inputs || {}).length > 0 && (
+                                    <p className="text-[11px] text-gray-500 mt-1">
+                                      Only these values are passed to the agent{agent.for_each ? "; item and index are available" : ""}
+                                    </p>
+                                  )}
                                 </div>
 
                                 <div>
@@ -317,27 +456,54 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
                                   </Select>
                                 </div>
 
-                                <div>
-                                  <Label className="text-xs">Max Retries</Label>
-                                  <Input
-                                    type="number"
-                                    min="0"
-                                    max="5"
-                                    value={agent.max_retries || 2}
-                                    onChange={(e) => updateAgent(index, { max_retries: parseInt(e.target.value) })}
-                                    className="text-xs h-8"
-                                  />
+                                {agent.on_error === "fallback" && (
+                                  <div>
+                                    <Label className="text-xs">Fallback Agent</Label>
+                                    <Select
+                                      value={agent.fallback_agent_id || ""}
+                                      onValueChange={(value) => updateAgent(index, { fallback_agent_id: value })}
+                                    >
+                                      <SelectTrigger className="h-8 text-xs">
+                                        <SelectValue placeholder="Choose an agent" />
+                                      </SelectTrigger>
+                                      <SelectContent>
+                                        {installedAgents.filter(a => a.id !== agent.agent_id).map(a => (
+                                          <SelectItem key={a.id} value={a.id}>{a.name}</SelectItem>
+                                        ))}
+                                      </SelectContent>
+                                    </Select>
+                                  </div>
+                                )}
+
+                                <div className="grid grid-cols-2 gap-2">
+                                  <div>
+                                    <Label className="text-xs">Max Retries</Label>
+                                    <Input
+                                      type="number"
+                                      min="0"
+                                      max="5"
+                                      value={agent.max_retries ?? STEP_DEFAULTS.max_retries}
+                                      onChange={(e) => updateAgent(index, { max_retries: parseInt(e.target.value) })}
+                                      className="text-xs h-8"
+                                    />
+                                  </div>
+                                  <div>
+                                    <Label className="text-xs">Timeout (seconds)</Label>
+                                    <Input
+                                      type="number"
+                                      min="1"
+                                      max="600"
+                                      value={Math.round((agent.timeout_ms ?? STEP_DEFAULTS.timeout_ms) / 1000)}
+                                      onChange={(e) => updateAgent(index, { timeout_ms: parseInt(e.target.value) * 1000 })}
+                                      className="text-xs h-8"
+                                    />
+                                  </div>
                                 </div>
                               </motion.div>
                             )}
                           </AnimatePresence>
                         </CardContent>
                       </Card>
-                      {index < workflow.agents.length - 1 && (
-                        <div className="flex justify-center py-1">
-                          <ArrowRight className="w-5 h-5 text-purple-400" />
-                        </div>
-                      )}
                     </motion.div>
                   ))}
                 </div>
@@ -345,11 +511,22 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
             </AnimatePresence>
           </div>
 
+          {workflow.agents.length > 0 && !validation.valid && (
+            <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-xs text-red-800 space-y-1">
+              {validation.errors.map((error, i) => (
+                <p key={i} className="flex items-start gap-1">
+                  <AlertCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                  {error}
+                </p>
+              ))}
+            </div>
+          )}
+
           {/* Actions */}
           <div className="flex gap-2">
             <Button
               onClick={openExecutor}
-              disabled={workflow.agents.length === 0}
+              disabled={workflow.agents.length === 0 || !validation.valid}
               className="flex-1 bg-gradient-to-r from-green-600 to-emerald-600 text-white"
             >
               <Play className="w-4 h-4 mr-2" />
@@ -357,7 +534,7 @@ export default function WorkflowBuilder({ project, installedAgents = [] }) {
             </Button>
             <Button
               onClick={saveWorkflow}
-              disabled={isSaving || !workflow.name || workflow.agents.length === 0}
+              disabled={isSaving || !workflow.name || workflow.agents.length === 0 || !validation.valid}
               variant="outline"
             >
               {isSaving ? (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useCallback, useMemo, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -16,168 +16,118 @@ import {
   Clock,
   Zap,
   Activity,
-  Terminal
+  Terminal,
+  Ban
 } from "lucide-react";
 import { toast } from "sonner";
 import PropTypes from "prop-types";
+import { runWorkflow, validateWorkflow, StepStatuses } from "../../../functions/lib/workflowEngine";
+
+const AGENT_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    recommendations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          description: { type: "string" },
+          impact: { type: "string" },
+          priority: { type: "string" }
+        }
+      }
+    },
+    metrics: {
+      type: "object",
+      properties: {
+        score: { type: "number" },
+        confidence: { type: "number" }
+      }
+    },
+    next_action: { type: "string" }
+  }
+};
+
+const SETTLED_STATUSES = [StepStatuses.COMPLETED, StepStatuses.FAILED, StepStatuses.SKIPPED, StepStatuses.CANCELLED];
 
 export default function WorkflowExecutor({ workflow, project, agents, onComplete }) {
-  const [execution, setExecution] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
-  const [currentStep, setCurrentStep] = useState(0);
+  const [results, setResults] = useState({});
   const [logs, setLogs] = useState([]);
-  const [agentResults, setAgentResults] = useState([]);
+  const logsRef = useRef([]);
+  const controllerRef = useRef(null);
 
-  const addLog = useCallback((level, message, agentId = null) => {
+  const validation = useMemo(() => validateWorkflow(workflow), [workflow]);
+  const stepsById = useMemo(() => new Map(validation.steps.map(step => [step.id, step])), [validation]);
+
+  const addLog = useCallback((level, message, stepId = null) => {
     const log = {
       timestamp: new Date().toISOString(),
       level,
       message,
-      agent_id: agentId
+      step_id: stepId
     };
-    setLogs(prev => [...prev, log]);
+    logsRef.current = [...logsRef.current, log];
+    setLogs(logsRef.current);
   }, []);
 
-  const evaluateCondition = (condition, previousOutput) => {
-    if (!condition) return true;
-    
-    try {
-      // Simple condition evaluation
-      // Format: "output.score > 0.8" or "output.status === 'success'"
-      const fn = new Function('output', `return ${condition}`);
-      return fn(previousOutput);
-    } catch (error) {
-      addLog('error', `Condition evaluation failed: ${error.message}`);
-      return false;
-    }
-  };
-
-  const executeAgent = async (agentStep, previousOutputs) => {
-    const agentDef = agents.find(a => a.id === agentStep.agent_id);
+  // One agent call; the engine handles dependencies, retries and timeouts
+  const runStep = async (step, { inputs, upstream, item, index }) => {
+    const agentDef = agents.find(a => a.id === step.agent_id);
     if (!agentDef) {
-      throw new Error(`Agent ${agentStep.agent_id} not found`);
+      throw new Error(`Agent ${step.agent_id} not found`);
     }
 
-    const startTime = Date.now();
-    addLog('info', `Starting ${agentDef.name}`, agentStep.agent_id);
-
-    // Check dependencies
-    if (agentStep.depends_on && agentStep.depends_on.length > 0) {
-      const dependencyOutputs = agentStep.depends_on.map(depId => {
-        const depResult = previousOutputs.find(r => r.agent_id === depId);
-        if (!depResult || depResult.status !== 'completed') {
-          throw new Error(`Dependency ${depId} not satisfied`);
-        }
-        return depResult.output;
-      });
-
-      addLog('info', `Dependencies satisfied: ${agentStep.depends_on.length}`, agentStep.agent_id);
-    }
-
-    // Check conditional execution
-    if (agentStep.condition) {
-      const lastOutput = previousOutputs[previousOutputs.length - 1]?.output;
-      if (!evaluateCondition(agentStep.condition, lastOutput)) {
-        addLog('info', `Condition not met, skipping`, agentStep.agent_id);
-        return {
-          agent_id: agentStep.agent_id,
-          agent_name: agentDef.name,
-          status: 'skipped',
-          started_at: new Date().toISOString(),
-          completed_at: new Date().toISOString(),
-          duration_ms: 0
-        };
-      }
-    }
-
-    // Execute with retry logic
-    let lastError;
-    const maxRetries = agentStep.max_retries || 2;
-    
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        if (attempt > 0) {
-          addLog('warning', `Retry attempt ${attempt}/${maxRetries}`, agentStep.agent_id);
-        }
-
-        const contextData = {
-          project: { name: project.name, description: project.description },
-          previousOutputs: previousOutputs.map(o => ({
-            agent: o.agent_name,
-            output: o.output
+    const contextData = {
+      project: { name: project.name, description: project.description },
+      ...(Object.keys(step.inputs).length > 0
+        ? { inputs }
+        : {
+          previousOutputs: Object.keys(upstream).map(id => ({
+            agent: stepsById.get(id)?.agent_name || id,
+            output: upstream[id]
           }))
-        };
-
-        const result = await base44.integrations.Core.InvokeLLM({
-          prompt: `${agentDef.system_prompt}\n\nContext: ${JSON.stringify(contextData)}\n\nTask: ${agentStep.instructions || 'Analyze and provide recommendations.'}`,
-          add_context_from_internet: agentStep.use_internet_context !== false,
-          response_json_schema: {
-            type: "object",
-            properties: {
-              recommendations: {
-                type: "array",
-                items: {
-                  type: "object",
-                  properties: {
-                    title: { type: "string" },
-                    description: { type: "string" },
-                    impact: { type: "string" },
-                    priority: { type: "string" }
-                  }
-                }
-              },
-              metrics: {
-                type: "object",
-                properties: {
-                  score: { type: "number" },
-                  confidence: { type: "number" }
-                }
-              },
-              next_action: { type: "string" }
-            }
-          }
-        });
-
-        const duration = Date.now() - startTime;
-        addLog('success', `Completed in ${duration}ms`, agentStep.agent_id);
-
-        return {
-          agent_id: agentStep.agent_id,
-          agent_name: agentDef.name,
-          status: 'completed',
-          started_at: new Date(startTime).toISOString(),
-          completed_at: new Date().toISOString(),
-          duration_ms: duration,
-          output: result,
-          retry_count: attempt
-        };
-      } catch (error) {
-        lastError = error;
-        addLog('error', `Attempt ${attempt + 1} failed: ${error.message}`, agentStep.agent_id);
-        
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
-        }
-      }
-    }
+        }),
+      ...(step.for_each ? { item, item_index: index } : {})
+    };
 
-    // All retries failed
-    throw new Error(`Agent ${agentDef.name} failed after ${maxRetries + 1} attempts: ${lastError.message}`);
+    return base44.integrations.Core.InvokeLLM({
+      prompt: `${agentDef.system_prompt}\n\nContext: ${JSON.stringify(contextData)}\n\nTask: ${step.instructions || 'Analyze and provide recommendations.'}`,
+      add_context_from_internet: step.use_internet_context !== false,
+      response_json_schema: AGENT_RESPONSE_SCHEMA
+    });
   };
 
   const executeWorkflow = async () => {
+    if (!validation.valid) {
+      toast.error(validation.errors[0]);
+      return;
+    }
+
     setIsRunning(true);
+    logsRef.current = [];
     setLogs([]);
-    setAgentResults([]);
-    setCurrentStep(0);
-
-    const executionId = Date.now().toString();
-    const startTime = Date.now();
-
-    addLog('info', `Starting workflow: ${workflow.name}`);
+    setResults({});
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    addLog('info', `Starting workflow: ${workflow.name || 'Untitled'} (${validation.levels.length} stage(s))`);
+
+    let executionRecord = null;
+    // Writes are chained so a slow update never lands after a newer one
+    let persisted = Promise.resolve();
+    const persist = (fields) => {
+      if (!executionRecord) return persisted;
+      persisted = persisted
+        .then(() => base44.entities.WorkflowExecution.update(executionRecord.id, { ...fields, logs: logsRef.current }))
+        .catch(error => console.error("Failed to save execution:", error));
+      return persisted;
+    };
+    const ordered = (map) => validation.steps.map(step => map[step.id]).filter(Boolean);
 
     try {
-      const executionRecord = await base44.entities.WorkflowExecution.create({
+      executionRecord = await base44.entities.WorkflowExecution.create({
         workflow_id: workflow.id,
         project_id: project.id,
         status: 'running',
@@ -186,90 +136,85 @@ export default function WorkflowExecutor({ workflow, project, agents, onComplete
         logs: []
       });
 
-      setExecution(executionRecord);
-
-      const results = [];
-      
-      for (let i = 0; i < workflow.agents.length; i++) {
-        const agentStep = workflow.agents[i];
-        setCurrentStep(i);
-
-        try {
-          const result = await executeAgent(agentStep, results);
-          results.push(result);
-          setAgentResults([...results]);
-
-          // Update execution record
-          await base44.entities.WorkflowExecution.update(executionRecord.id, {
-            agent_results: results,
-            logs: logs
-          });
-
-        } catch (error) {
-          addLog('error', `Workflow failed at step ${i + 1}: ${error.message}`);
-          
-          // Handle error strategy
-          if (agentStep.on_error === 'continue') {
-            addLog('warning', 'Continuing despite error...');
-            results.push({
-              agent_id: agentStep.agent_id,
-              status: 'failed',
-              error: error.message
-            });
-            continue;
-          } else if (agentStep.on_error === 'fallback' && agentStep.fallback_agent_id) {
-            addLog('info', 'Executing fallback agent...');
-            const fallbackStep = { ...agentStep, agent_id: agentStep.fallback_agent_id };
-            const fallbackResult = await executeAgent(fallbackStep, results);
-            results.push(fallbackResult);
-          } else {
-            // Stop execution
-            await base44.entities.WorkflowExecution.update(executionRecord.id, {
-              status: 'failed',
-              completed_at: new Date().toISOString(),
-              duration_ms: Date.now() - startTime,
-              agent_results: results,
-              logs: logs,
-              error_details: {
-                failed_agent: agentStep.agent_id,
-                error_message: error.message
-              }
-            });
-            throw error;
+      const live = {};
+      const run = await runWorkflow(workflow, {
+        runStep,
+        project: { id: project.id, name: project.name, description: project.description },
+        signal: controller.signal,
+        onEvent: (event) => {
+          addLog(event.level, event.message, event.step_id);
+          if (event.type === 'step_started') {
+            live[event.step_id] = { ...stepsById.get(event.step_id), status: StepStatuses.RUNNING };
+            setResults({ ...live });
+          } else if (event.result) {
+            live[event.step_id] = event.result;
+            setResults({ ...live });
+            persist({ agent_results: ordered(live) });
           }
         }
-      }
-
-      // Workflow completed
-      const duration = Date.now() - startTime;
-      addLog('success', `Workflow completed in ${(duration / 1000).toFixed(2)}s`);
-
-      await base44.entities.WorkflowExecution.update(executionRecord.id, {
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        duration_ms: duration,
-        agent_results: results,
-        logs: logs
       });
 
-      toast.success('Workflow completed successfully!');
-      onComplete?.(results);
-
+      setResults(run.results);
+      const agentResults = ordered(run.results);
+      const seconds = (run.duration_ms / 1000).toFixed(2);
+
+      if (run.status === StepStatuses.COMPLETED) {
+        addLog('success', `Workflow completed in ${seconds}s`);
+        await persist({ status: 'completed', completed_at: run.completed_at, duration_ms: run.duration_ms, agent_results: agentResults });
+        toast.success('Workflow completed successfully!');
+        onComplete?.(agentResults);
+      } else {
+        const message = run.status === StepStatuses.CANCELLED ? 'Workflow cancelled' : `Workflow failed at ${run.error.step_id}: ${run.error.message}`;
+        addLog(run.status === StepStatuses.CANCELLED ? 'warning' : 'error', `${message} after ${seconds}s`);
+        await persist({
+          status: run.status,
+          completed_at: run.completed_at,
+          duration_ms: run.duration_ms,
+          agent_results: agentResults,
+          ...(run.error ? {
+            error_details: {
+              failed_agent: stepsById.get(run.error.step_id)?.agent_id,
+              failed_step: run.error.step_id,
+              error_message: run.error.message
+            }
+          } : {})
+        });
+        if (run.status === StepStatuses.CANCELLED) toast.info(message);
+        else toast.error(message);
+      }
     } catch (error) {
+      addLog('error', error.message);
       toast.error(`Workflow failed: ${error.message}`);
     } finally {
+      controllerRef.current = null;
       setIsRunning(false);
     }
   };
 
+  const cancelWorkflow = () => {
+    controllerRef.current?.abort();
+    addLog('warning', 'Cancelling: running steps are stopped, nothing new starts');
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'completed':
+      case StepStatuses.COMPLETED:
         return <CheckCircle2 className="w-4 h-4 text-green-600" />;
-      case 'failed':
+      case StepStatuses.FAILED:
         return <XCircle className="w-4 h-4 text-red-600" />;
-      case 'skipped':
+      case StepStatuses.SKIPPED:
         return <AlertTriangle className="w-4 h-4 text-yellow-600" />;
+      case StepStatuses.CANCELLED:
+        return <Ban className="w-4 h-4 text-gray-400" />;
+      case StepStatuses.RUNNING:
+        return (
+          <motion.div
+            animate={{ rotate: 360 }}
+            transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+          >
+            <Zap className="w-4 h-4 text-blue-600" />
+          </motion.div>
+        );
       default:
         return <Clock className="w-4 h-4 text-gray-400" />;
     }
@@ -288,8 +233,9 @@ export default function WorkflowExecutor({ workflow, project, agents, onComplete
     }
   };
 
-  const progress = workflow.agents.length > 0 
-    ? ((currentStep + 1) / workflow.agents.length) * 100 
+  const settledCount = Object.values(results).filter(r => SETTLED_STATUSES.includes(r.status)).length;
+  const progress = validation.steps.length > 0
+    ? (settledCount / validation.steps.length) * 100
     : 0;
 
   return (
@@ -311,73 +257,94 @@ export default function WorkflowExecutor({ workflow, project, agents, onComplete
             <Progress value={progress} className="h-2" />
           </div>
 
-          <Button
-            onClick={executeWorkflow}
-            disabled={isRunning}
-            className="w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white"
-          >
-            {isRunning ? (
-              <>
-                <Pause className="w-4 h-4 mr-2" />
-                Running...
-              </>
-            ) : (
-              <>
-                <Play className="w-4 h-4 mr-2" />
-                Execute Workflow
-              </>
+          {!validation.valid && (
+            <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800 space-y-1">
+              {validation.errors.map((error, i) => <p key={i}>{error}</p>)}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <Button
+              onClick={executeWorkflow}
+              disabled={isRunning || !validation.valid}
+              className="flex-1 bg-gradient-to-r from-green-600 to-emerald-600 text-white"
+            >
+              {isRunning ? (
+                <>
+                  <Pause className="w-4 h-4 mr-2" />
+                  Running...
+                </>
+              ) : (
+                <>
+                  <Play className="w-4 h-4 mr-2" />
+                  Execute Workflow
+                </>
+              )}
+            </Button>
+            {isRunning && (
+              <Button variant="outline" onClick={cancelWorkflow}>
+                <StopCircle className="w-4 h-4 mr-2" />
+                Cancel
+              </Button>
             )}
-          </Button>
+          </div>
 
-          <div className="space-y-2">
+          <div className="space-y-3">
             <h4 className="font-semibold text-sm text-gray-900">Agent Steps</h4>
-            <AnimatePresence mode="popLayout">
-              {workflow.agents.map((agent, index) => {
-                const result = agentResults.find(r => r.agent_id === agent.agent_id);
-                const isActive = index === currentStep && isRunning;
-                
-                return (
-                  <motion.div
-                    key={agent.agent_id}
-                    layout
-                    initial={{ opacity: 0, x: -20 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    exit={{ opacity: 0, x: 20 }}
-                    className={`p-3 border rounded-lg transition-all ${
-                      isActive 
-                        ? 'border-blue-400 bg-blue-50' 
-                        : result 
-                        ? 'border-gray-200 bg-white' 
-                        : 'border-gray-100 bg-gray-50'
-                    }`}
-                  >
-                    <div className="flex items-center gap-3">
-                      <Badge variant="outline">{index + 1}</Badge>
-                      <span className="text-2xl">{agent.agent_icon}</span>
-                      <div className="flex-1">
-                        <p className="font-medium text-sm">{agent.agent_name}</p>
-                        {result && (
-                          <p className="text-xs text-gray-600">
-                            {result.duration_ms}ms
-                            {result.retry_count > 0 && ` (${result.retry_count} retries)`}
-                          </p>
-                        )}
-                      </div>
-                      {result ? (
-                        getStatusIcon(result.status)
-                      ) : isActive ? (
+            {validation.levels.map((level, levelIndex) => (
+              <div key={levelIndex} className="space-y-2">
+                <div className="flex items-center gap-2 text-xs text-gray-500">
+                  <Badge variant="outline">Stage {levelIndex + 1}</Badge>
+                  {level.length > 1 && <span>{level.length} steps in parallel</span>}
+                </div>
+                <div className={`grid gap-2 ${level.length > 1 ? "sm:grid-cols-2" : ""}`}>
+                  <AnimatePresence mode="popLayout">
+                    {level.map(stepId => {
+                      const step = stepsById.get(stepId);
+                      const result = results[stepId];
+                      const isActive = result?.status === StepStatuses.RUNNING;
+
+                      return (
                         <motion.div
-                          animate={{ rotate: 360 }}
-                          transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                          key={stepId}
+                          layout
+                          initial={{ opacity: 0, x: -20 }}
+                          animate={{ opacity: 1, x: 0 }}
+                          exit={{ opacity: 0, x: 20 }}
+                          className={`p-3 border rounded-lg transition-all ${
+                            isActive
+                              ? 'border-blue-400 bg-blue-50'
+                              : result
+                              ? 'border-gray-200 bg-white'
+                              : 'border-gray-100 bg-gray-50'
+                          }`}
                         >
-                          <Zap className="w-4 h-4 text-blue-600" />
+                          <div className="flex items-center gap-3">
+                            <span className="text-2xl">{step.agent_icon}</span>
+                            <div className="flex-1 min-w-0">
+                              <p className="font-medium text-sm truncate">{step.agent_name}</p>
+                              <p className="text-xs text-gray-500 font-mono truncate">{stepId}</p>
+                              {result?.duration_ms !== undefined && (
+                                <p className="text-xs text-gray-600">
+                                  {result.duration_ms}ms
+                                  {result.retry_count > 0 && ` (${result.retry_count} retries)`}
+                                  {result.items && ` · ${result.items.completed}/${result.items.total} items`}
+                                  {result.used_fallback && " · fallback"}
+                                </p>
+                              )}
+                              {result?.error && result.status !== StepStatuses.CANCELLED && (
+                                <p className="text-xs text-red-600 truncate" title={result.error}>{result.error}</p>
+                              )}
+                            </div>
+                            {getStatusIcon(result?.status)}
+                          </div>
                         </motion.div>
-                      ) : null}
-                    </div>
-                  </motion.div>
-                );
-              })}
-            </AnimatePresence>
+                      );
+                    })}
+                  </AnimatePresence>
+                </div>
+              </div>
+            ))}
           </div>
         </CardContent>
       </Card>
@@ -405,6 +372,7 @@ export default function WorkflowExecutor({ workflow, project, agents, onComplete
                       [{new Date(log.timestamp).toLocaleTimeString()}]
                     </span>{' '}
                     <span className="font-semibold">[{log.level.toUpperCase()}]</span>{' '}
+                    {log.step_id && <span className="text-gray-500">[{log.step_id}]</span>}{' '}
                     {log.message}
                   </motion.div>
                 ))}
@@ -422,4 +390,4 @@ WorkflowExecutor.propTypes = {
   project: PropTypes.object.isRequired,
   agents: PropTypes.array.isRequired,
   onComplete: PropTypes.func
-};
\ No newline at end of file
+};
@@ -1,9 +1,12 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
 import { 
   Brain, 
   Loader2, 
@@ -12,12 +15,18 @@ import {
   ThumbsUp,
   ThumbsDown,
   Trash2,
-  RefreshCw
+  Pin,
+  PinOff,
+  Pencil,
+  Archive,
+  Layers
 } from "lucide-react";
 import { toast } from "sonner";
 import { motion, AnimatePresence } from "framer-motion";
 import PropTypes from "prop-types";
 import { format } from "date-fns";
+import { ContextSources, forgetContextRecord, getContextIndex, indexContextRecord } from "./useAIContext";
+import MemoryRetentionPanel, { errorMessage, invokeAIMemory } from "./MemoryRetentionPanel";
 
 const interactionTypeColors = {
   refactoring: "bg-purple-100 text-purple-800",
@@ -33,33 +42,38 @@ const interactionTypeColors = {
 function AIContextManager({ project }) {
   const [memories, setMemories] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [isSummarizing, setIsSummarizing] = useState(false);
   const [stats, setStats] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null);
 
-  useEffect(() => {
-    loadMemories();
-  }, [project.id]);
-
-  const loadMemories = async () => {
+  const loadMemories = useCallback(async () => {
     setIsLoading(true);
+    let data = [];
     try {
-      const data = await base44.entities.AIContextMemory.filter(
+      data = await base44.entities.AIContextMemory.filter(
         { project_id: project.id },
         '-created_date'
       );
       setMemories(data);
-      calculateStats(data);
+      calculateStats(data.filter(m => !m.is_archived));
     } catch (error) {
       console.error("Failed to load memories:", error);
     }
     setIsLoading(false);
-  };
+    return data;
+  }, [project.id]);
+
+  useEffect(() => {
+    loadMemories();
+  }, [loadMemories]);
 
   const calculateStats = (data) => {
     const accepted = data.filter(m => m.metadata?.user_feedback === 'accepted').length;
     const rejected = data.filter(m => m.metadata?.user_feedback === 'rejected').length;
     const total = data.length;
-    const avgConfidence = data.reduce((sum, m) => sum + (m.metadata?.confidence_score || 0), 0) / total;
+    const avgConfidence = total > 0
+      ? data.reduce((sum, m) => sum + (m.metadata?.confidence_score || 0), 0) / total
+      : 0;
 
     setStats({
       total,
@@ -71,80 +85,65 @@ function AIContextManager({ project }) {
     });
   };
 
-  const summarizeOldMemories = async () => {
-    setIsSummarizing(true);
-    try {
-      // Get memories older than 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      const oldMemories = memories.filter(m => 
-        !m.is_summarized && 
-        new Date(m.created_date) < thirtyDaysAgo
-      );
-
-      if (oldMemories.length === 0) {
-        toast.info("No old memories to summarize");
-        setIsSummarizing(false);
-        return;
-      }
-
-      const prompt = `Summarize these AI interactions into concise context:
-
-${oldMemories.map(m => `
-Type: ${m.interaction_type}
-Prompt: ${m.user_prompt}
-Response: ${m.ai_response.substring(0, 200)}...
-Feedback: ${m.metadata?.user_feedback || 'pending'}
-`).join('\n')}
-
-Create a brief summary preserving key decisions, patterns, and outcomes.`;
+  // Compaction and purges rewrite many rows at once
+  const handleRetentionChange = useCallback(async () => {
+    await loadMemories();
+    getContextIndex(project.id, { force: true }).catch(error => console.error("Failed to resync context:", error));
+  }, [loadMemories, project.id]);
 
-      const summary = await base44.integrations.Core.InvokeLLM({ prompt });
-
-      // Update memories with summaries
-      await Promise.all(oldMemories.map(m =>
-        base44.entities.AIContextMemory.update(m.id, {
-          context_summary: summary,
-          is_summarized: true,
-          ai_response: "" // Clear full response to save space
-        })
-      ));
-
-      toast.success(`Summarized ${oldMemories.length} old interactions`);
-      loadMemories();
+  const updateMemory = async (memory, fields, message) => {
+    try {
+      const updated = { ...memory, ...fields };
+      await base44.entities.AIContextMemory.update(memory.id, fields);
+      setMemories(prev => prev.map(m => (m.id === memory.id ? updated : m)));
+      indexContextRecord(project.id, ContextSources.MEMORY, updated);
+      toast.success(message);
+      return true;
     } catch (error) {
-      console.error("Summarization failed:", error);
-      toast.error("Failed to summarize memories");
+      console.error("Failed to update memory:", error);
+      toast.error("Failed to update memory");
+      return false;
     }
-    setIsSummarizing(false);
   };
 
-  const provideFeedback = async (memoryId, feedback) => {
-    try {
-      await base44.entities.AIContextMemory.update(memoryId, {
-        metadata: { 
-          ...memories.find(m => m.id === memoryId).metadata,
-          user_feedback: feedback 
-        }
-      });
-      toast.success("Feedback saved");
-      loadMemories();
-    } catch (error) {
-      console.error("Failed to save feedback:", error);
-    }
+  const provideFeedback = (memory, feedback) =>
+    updateMemory(memory, { metadata: { ...memory.metadata, user_feedback: feedback } }, "Feedback saved");
+
+  const togglePin = (memory) =>
+    updateMemory(memory, { is_pinned: !memory.is_pinned }, memory.is_pinned ? "Memory unpinned" : "Memory pinned. It will never be compacted or archived");
+
+  const saveEdit = async (memory) => {
+    const text = editing.text.trim();
+    if (!text) return;
+    const fields = memory.is_summarized ? { context_summary: text } : { ai_response: text };
+    if (await updateMemory(memory, fields, "Memory updated")) setEditing(null);
   };
 
-  const deleteMemory = async (memoryId) => {
+  // Goes through the backend so summaries built from the memory go too
+  const forgetMemory = async (memory) => {
+    const covered = memory.metadata?.summary_of?.length || 0;
+    const question = covered > 0
+      ? `Forget this summary and the ${covered} archived interaction(s) it replaced?`
+      : "Forget this memory? Any summary that includes it is removed as well.";
+    if (!confirm(question)) return;
+
     try {
-      await base44.entities.AIContextMemory.delete(memoryId);
-      toast.success("Memory deleted");
-      loadMemories();
+      const result = await invokeAIMemory({ action: 'forget', project_id: project.id, memory_ids: [memory.id] });
+      result.deleted.forEach(id => forgetContextRecord(project.id, ContextSources.MEMORY, id));
+      const data = await loadMemories();
+      data.filter(m => result.restored.includes(m.id))
+        .forEach(m => indexContextRecord(project.id, ContextSources.MEMORY, m));
+      toast.success(result.restored.length > 0
+        ? `Forgot ${result.deleted.length} row(s); ${result.restored.length} interaction(s) will be summarised again`
+        : `Forgot ${result.deleted.length} row(s)`);
     } catch (error) {
-      console.error("Failed to delete memory:", error);
+      console.error("Failed to forget memory:", error);
+      toast.error(errorMessage(error, "Failed to forget memory"));
     }
   };
 
+  const visibleMemories = showArchived ? memories : memories.filter(m => !m.is_archived);
+
   return (
     <div className="space-y-6">
       <Card className="bg-gradient-to-br from-violet-50 to-purple-50 border-0 shadow-xl">
@@ -185,27 +184,17 @@ Create a brief summary preserving key decisions, patterns, and outcomes.`;
             </div>
           )}
 
-          <Button
-            onClick={summarizeOldMemories}
-            disabled={isSummarizing}
-            variant="outline"
-            className="w-full"
-          >
-            {isSummarizing ? (
-              <>
-                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                Summarizing...
-              </>
-            ) : (
-              <>
-                <RefreshCw className="w-4 h-4 mr-2" />
-                Optimize Old Memories (30+ days)
-              </>
-            )}
-          </Button>
+          <div className="flex items-center gap-2">
+            <Switch id="show_archived" checked={showArchived} onCheckedChange={setShowArchived} />
+            <Label htmlFor="show_archived" className="text-sm">
+              Show archived ({memories.filter(m => m.is_archived).length})
+            </Label>
+          </div>
         </CardContent>
       </Card>
 
+      <MemoryRetentionPanel project={project} onChanged={handleRetentionChange} />
+
       <Tabs defaultValue="recent" className="w-full">
         <TabsList className="grid w-full grid-cols-2">
           <TabsTrigger value="recent">Recent</TabsTrigger>
@@ -218,14 +207,14 @@ Create a brief summary preserving key decisions, patterns, and outcomes.`;
               <div className="text-center py-8">
                 <Loader2 className="w-8 h-8 animate-spin text-gray-400 mx-auto" />
               </div>
-            ) : memories.slice(0, 20).map((memory, idx) => (
+            ) : visibleMemories.slice(0, 20).map((memory, idx) => (
               <motion.div
                 key={memory.id}
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: idx * 0.05 }}
               >
-                <Card className="hover:shadow-md transition-shadow">
+                <Card className={`hover:shadow-md transition-shadow ${memory.is_archived ? "opacity-60" : ""} ${memory.is_pinned ? "border-violet-300" : ""}`}>
                   <CardContent className="pt-6">
                     <div className="space-y-3">
                       <div className="flex items-start justify-between">
@@ -242,11 +231,45 @@ Create a brief summary preserving key decisions, patterns, and outcomes.`;
                                 {(memory.metadata.confidence_score * 100).toFixed(0)}% confident
                               </Badge>
                             )}
+                            {memory.is_pinned && (
+                              <Badge className="bg-violet-100 text-violet-800">
+                                <Pin className="w-3 h-3 mr-1" />
+                                Pinned
+                              </Badge>
+                            )}
+                            {memory.metadata?.summary_of && (
+                              <Badge variant="outline">
+                                <Layers className="w-3 h-3 mr-1" />
+                                Summary of {memory.metadata.summary_of.length}
+                              </Badge>
+                            )}
+                            {memory.is_archived && (
+                              <Badge variant="outline" className="text-gray-500">
+                                <Archive className="w-3 h-3 mr-1" />
+                                Archived
+                              </Badge>
+                            )}
                           </div>
                           <p className="text-sm font-semibold text-gray-900 mb-1">
                             {memory.user_prompt}
                           </p>
-                          {memory.is_summarized ? (
+                          {editing?.id === memory.id ? (
+                            <div className="space-y-2">
+                              <Textarea
+                                value={editing.text}
+                                onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                                rows={5}
+                              />
+                              <div className="flex gap-2">
+                                <Button size="sm" onClick={() => saveEdit(memory)} disabled={!editing.text.trim()}>
+                                  Save
+                                </Button>
+                                <Button size="sm" variant="ghost" onClick={() => setEditing(null)}>
+                                  Cancel
+                                </Button>
+                              </div>
+                            </div>
+                          ) : memory.is_summarized ? (
                             <p className="text-sm text-gray-600 italic">
                               Summary: {memory.context_summary}
                             </p>
@@ -256,13 +279,35 @@ Create a brief summary preserving key decisions, patterns, and outcomes.`;
                             </p>
                           )}
                         </div>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => deleteMemory(memory.id)}
-                        >
-                          <Trash2 className="w-4 h-4 text-red-500" />
-                        </Button>
+                        <div className="flex">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title={memory.is_pinned ? "Unpin" : "Pin"}
+                            onClick={() => togglePin(memory)}
+                          >
+                            {memory.is_pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Edit"
+                            onClick={() => setEditing({
+                              id: memory.id,
+                              text: (memory.is_summarized ? memory.context_summary : memory.ai_response) || ""
+                            })}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            title="Forget"
+                            onClick={() => forgetMemory(memory)}
+                          >
+                            <Trash2 className="w-4 h-4 text-red-500" />
+                          </Button>
+                        </div>
                       </div>
 
                       {memory.metadata?.tags && memory.metadata.tags.length > 0 && (
@@ -280,14 +325,14 @@ Create a brief summary preserving key decisions, patterns, and outcomes.`;
                         <Button
                           size="sm"
                           variant={memory.metadata?.user_feedback === 'accepted' ? 'default' : 'ghost'}
-                          onClick={() => provideFeedback(memory.id, 'accepted')}
+                          onClick={() => provideFeedback(memory, 'accepted')}
                         >
                           <ThumbsUp className="w-3 h-3" />
                         </Button>
                         <Button
                           size="sm"
                           variant={memory.metadata?.user_feedback === 'rejected' ? 'default' : 'ghost'}
-                          onClick={() => provideFeedback(memory.id, 'rejected')}
+                          onClick={() => provideFeedback(memory, 'rejected')}
                         >
                           <ThumbsDown className="w-3 h-3" />
                         </Button>
@@ -301,14 +346,18 @@ Create a brief summary preserving key decisions, patterns, and outcomes.`;
         </TabsContent>
 
         <TabsContent value="all" className="space-y-3">
-          {memories.map((memory, idx) => (
-            <Card key={memory.id} className="hover:shadow-md transition-shadow">
+          {visibleMemories.map((memory, idx) => (
+            <Card key={memory.id} className={`hover:shadow-md transition-shadow ${memory.is_archived ? "opacity-60" : ""}`}>
               <CardContent className="pt-6">
                 <div className="flex items-center justify-between">
                   <div>
-                    <Badge className={interactionTypeColors[memory.interaction_type]}>
-                      {memory.interaction_type}
-                    </Badge>
+                    <div className="flex items-center gap-2">
+                      <Badge className={interactionTypeColors[memory.interaction_type]}>
+                        {memory.interaction_type}
+                      </Badge>
+                      {memory.is_pinned && <Pin className="w-3 h-3 text-violet-600" />}
+                      {memory.is_archived && <Archive className="w-3 h-3 text-gray-400" />}
+                    </div>
                     <p className="text-sm mt-2">{memory.user_prompt}</p>
                   </div>
                   <span className="text-xs text-gray-500">
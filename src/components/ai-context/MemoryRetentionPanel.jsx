@@ -0,0 +1,268 @@
+import { useEffect, useRef, useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Progress } from "@/components/ui/progress";
+import { Archive, Eye, Loader2, RefreshCw, Save, ShieldOff, XCircle } from "lucide-react";
+import { toast } from "sonner";
+import PropTypes from "prop-types";
+import { useGatewayJobs } from "../shared/hooks/useGatewayJobs";
+
+export async function invokeAIMemory(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'ai-memory', payload });
+  return data.data;
+}
+
+export const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+const NUMBER_FIELDS = [
+  { key: "max_age_days", label: "Compact after (days)" },
+  { key: "accepted_max_age_days", label: "Compact accepted answers after (days)" },
+  { key: "max_active_tokens", label: "Active memory budget (tokens)" }
+];
+
+// Inputs hold strings while being edited
+function toForm(policy) {
+  return {
+    max_age_days: String(policy.max_age_days),
+    accepted_max_age_days: String(policy.accepted_max_age_days),
+    max_active_tokens: String(policy.max_active_tokens),
+    archive_rejected: policy.archive_rejected,
+    delete_archived: policy.delete_archived_after_days !== null,
+    delete_archived_after_days: String(policy.delete_archived_after_days ?? 180)
+  };
+}
+
+function fromForm(form) {
+  return {
+    max_age_days: Number(form.max_age_days),
+    accepted_max_age_days: Number(form.accepted_max_age_days),
+    max_active_tokens: Number(form.max_active_tokens),
+    archive_rejected: form.archive_rejected,
+    delete_archived_after_days: form.delete_archived ? Number(form.delete_archived_after_days) : null
+  };
+}
+
+function MemoryRetentionPanel({ project, onChanged }) {
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [purgeEmail, setPurgeEmail] = useState("");
+  const [isPurging, setIsPurging] = useState(false);
+  const { latestJob, isActive, isSubmitting, submit, cancel } = useGatewayJobs(project.id, 'ai-memory');
+  const lastJob = useRef(null);
+
+  useEffect(() => {
+    invokeAIMemory({ action: 'policy', project_id: project.id })
+      .then(data => setForm(toForm(data.policy)))
+      .catch(error => toast.error(errorMessage(error, "Failed to load the retention policy")));
+  }, [project.id]);
+
+  // Only report jobs seen running here, not ones that finished before the page opened
+  useEffect(() => {
+    const previous = lastJob.current;
+    lastJob.current = latestJob ? { id: latestJob.job_id, status: latestJob.status } : null;
+    if (latestJob?.status !== 'completed' || previous?.id !== latestJob.job_id || previous.status === 'completed') return;
+
+    const result = latestJob.result || {};
+    const compacted = (result.summaries || []).reduce((total, s) => total + s.summarised, 0);
+    toast.success(`Compacted ${compacted} interaction(s) into ${result.summaries?.length || 0} summary(ies)`);
+    if (result.failures?.length > 0) toast.warning(`${result.failures.length} group(s) could not be summarised and were kept`);
+    setPlan(null);
+    onChanged();
+  }, [latestJob, onChanged]);
+
+  const updateForm = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    setPlan(null);
+  };
+
+  const savePolicy = async () => {
+    setIsSaving(true);
+    try {
+      const data = await invokeAIMemory({ action: 'set_policy', project_id: project.id, policy: fromForm(form) });
+      setForm(toForm(data.policy));
+      toast.success("Retention policy saved");
+    } catch (error) {
+      const details = error.response?.data?.error?.details?.errors;
+      toast.error(details?.length > 0 ? details.join("; ") : errorMessage(error, "Failed to save the policy"));
+    }
+    setIsSaving(false);
+  };
+
+  const previewPlan = async () => {
+    setIsPlanning(true);
+    try {
+      setPlan(await invokeAIMemory({ action: 'plan', project_id: project.id }));
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to preview compaction"));
+    }
+    setIsPlanning(false);
+  };
+
+  const purgeUser = async () => {
+    const email = purgeEmail.trim();
+    const who = email || "you";
+    if (!confirm(`Permanently delete every AI memory written by ${who}, in all projects, and the summaries built from them?`)) return;
+    setIsPurging(true);
+    try {
+      const data = await invokeAIMemory({ action: 'purge_user', ...(email ? { email } : {}) });
+      toast.success(`Deleted ${data.deleted} memory row(s) across ${data.projects.length} project(s)`);
+      setPurgeEmail("");
+      onChanged();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to purge memories"));
+    }
+    setIsPurging(false);
+  };
+
+  if (!form) {
+    return (
+      <div className="text-center py-6">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400 mx-auto" />
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Archive className="w-5 h-5 text-violet-600" />
+          Retention & Compaction
+        </CardTitle>
+        <CardDescription>
+          Old interactions are grouped by service and topic, summarised, and archived. Pinned memories are always kept.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid md:grid-cols-3 gap-3">
+          {NUMBER_FIELDS.map(field => (
+            <div key={field.key} className="space-y-1">
+              <Label htmlFor={field.key} className="text-xs">{field.label}</Label>
+              <Input
+                id={field.key}
+                type="number"
+                min="1"
+                value={form[field.key]}
+                onChange={(e) => updateForm(field.key, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6">
+          <div className="flex items-center gap-2">
+            <Switch
+              id="archive_rejected"
+              checked={form.archive_rejected}
+              onCheckedChange={(checked) => updateForm("archive_rejected", checked)}
+            />
+            <Label htmlFor="archive_rejected" className="text-sm">Archive rejected answers right away</Label>
+          </div>
+          <div className="flex items-center gap-2">
+            <Switch
+              id="delete_archived"
+              checked={form.delete_archived}
+              onCheckedChange={(checked) => updateForm("delete_archived", checked)}
+            />
+            <Label htmlFor="delete_archived" className="text-sm">Delete archived memories after</Label>
+            <Input
+              type="number"
+              min="1"
+              className="w-20 h-8"
+              disabled={!form.delete_archived}
+              value={form.delete_archived_after_days}
+              onChange={(e) => updateForm("delete_archived_after_days", e.target.value)}
+            />
+            <span className="text-sm text-gray-600">days</span>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={savePolicy} disabled={isSaving}>
+            {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+            Save Policy
+          </Button>
+          <Button variant="outline" onClick={previewPlan} disabled={isPlanning}>
+            {isPlanning ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Eye className="w-4 h-4 mr-2" />}
+            Preview
+          </Button>
+          <Button onClick={() => submit({ action: 'compact' }).catch(() => {})} disabled={isActive || isSubmitting}>
+            {isActive || isSubmitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+            Compact Now
+          </Button>
+        </div>
+
+        {plan && (
+          <div className="rounded-lg border bg-gray-50 p-3 space-y-2 text-sm">
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="outline">{plan.counts.to_compact} to summarise in {plan.clusters.length} group(s)</Badge>
+              <Badge variant="outline">{plan.counts.to_archive} rejected to archive</Badge>
+              <Badge variant="outline">{plan.counts.to_delete} archived to delete</Badge>
+              <Badge variant="outline">{plan.counts.pinned} pinned</Badge>
+            </div>
+            <p className="text-gray-600">
+              Active memory: {plan.tokens.active.toLocaleString()} tokens, about {plan.tokens.after.toLocaleString()} after
+              compaction (budget {plan.tokens.budget.toLocaleString()}). The preview uses the saved policy.
+            </p>
+          </div>
+        )}
+
+        {isActive && latestJob && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>Compaction {latestJob.status}. You can leave this page and come back later.</span>
+              <Button variant="ghost" size="sm" onClick={() => cancel(latestJob.job_id)}>
+                <XCircle className="w-4 h-4 mr-1" />
+                Cancel
+              </Button>
+            </div>
+            <Progress value={latestJob.progress || 0} />
+          </div>
+        )}
+
+        {latestJob?.status === 'failed' && (
+          <p className="text-sm text-red-600">
+            Last compaction failed: {latestJob.error?.message || 'Unknown error'}
+          </p>
+        )}
+
+        <div className="border-t pt-4 space-y-2">
+          <Label htmlFor="purge_email" className="text-sm font-semibold">Purge a user&apos;s memories</Label>
+          <p className="text-xs text-gray-600">
+            Deletes everything the user asked the AI, in every project, along with the summaries built from it.
+            Leave empty to purge your own. Purging others requires admin rights.
+          </p>
+          <div className="flex gap-2">
+            <Input
+              id="purge_email"
+              type="email"
+              placeholder="user@example.com"
+              value={purgeEmail}
+              onChange={(e) => setPurgeEmail(e.target.value)}
+            />
+            <Button variant="destructive" onClick={purgeUser} disabled={isPurging}>
+              {isPurging ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ShieldOff className="w-4 h-4 mr-2" />}
+              Purge
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+MemoryRetentionPanel.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired
+  }).isRequired,
+  onChanged: PropTypes.func.isRequired
+};
+
+export default MemoryRetentionPanel;
@@ -1,11 +1,122 @@
 import { base44 } from "@/api/base44Client";
+import {
+  Sources,
+  createIndex,
+  syncIndex,
+  upsertRecord,
+  removeRecord,
+  toRecord,
+  recordId,
+  searchIndex,
+  embedPassages,
+  embedQuery,
+  recentPassages,
+  assembleContext,
+  estimateTokens
+} from "../../../functions/lib/contextIndex";
+
+export { Sources as ContextSources };
+
+// How long a synced index is trusted before the records are listed again.
+// Writes made through this module update the index straight away.
+const SYNC_INTERVAL_MS = 30000;
+
+// After a failed embedding call the index ranks on lexical vectors alone for
+// this long, instead of calling a provider that is down or not configured
+const EMBEDDING_RETRY_MS = 300000;
+let embeddingsPausedUntil = 0;
+
+// Embeddings come from the embed-text route, which keeps the provider key
+// on the server; see functions/embedText.ts
+const gatewayEmbedder = {
+  model: 'embed-text',
+  embed: async (texts) => {
+    if (Date.now() < embeddingsPausedUntil) throw new Error("Embeddings paused");
+    try {
+      const { data } = await base44.functions.invoke('apiGateway', { route: 'embed-text', payload: { texts } });
+      return data.data.embeddings;
+    } catch (error) {
+      embeddingsPausedUntil = Date.now() + EMBEDDING_RETRY_MS;
+      throw error;
+    }
+  }
+};
+
+// projectId -> { index, syncedAt, pending }
+const projectIndexes = new Map();
+
+const indexEntry = (projectId) => {
+  if (!projectIndexes.has(projectId)) {
+    projectIndexes.set(projectId, { index: createIndex({ embedder: gatewayEmbedder }), syncedAt: 0, pending: null });
+  }
+  return projectIndexes.get(projectId);
+};
+
+const loadRecords = async (projectId) => {
+  const [memories, knowledge, documentation] = await Promise.all([
+    base44.entities.AIContextMemory.filter({ project_id: projectId }),
+    base44.entities.KnowledgeBase.filter({ project_id: projectId }),
+    base44.entities.Documentation.filter({ project_id: projectId })
+  ]);
+  return [
+    ...memories.map(m => toRecord(Sources.MEMORY, m)),
+    ...knowledge.map(k => toRecord(Sources.KNOWLEDGE, k)),
+    ...documentation.map(d => toRecord(Sources.DOCUMENTATION, d))
+  ];
+};
+
+/**
+ * The project's retrieval index, synced with the stored records. Only
+ * records that changed since the last sync are re-indexed and re-embedded.
+ */
+export const getContextIndex = async (projectId, { force = false } = {}) => {
+  const entry = indexEntry(projectId);
+  if (!force && Date.now() - entry.syncedAt < SYNC_INTERVAL_MS) return entry.index;
+
+  // Callers arriving during a sync wait for the same one
+  if (!entry.pending) {
+    entry.pending = loadRecords(projectId)
+      .then(async records => {
+        syncIndex(entry.index, records);
+        entry.syncedAt = Date.now();
+        await embedPassages(entry.index);
+      })
+      .finally(() => {
+        entry.pending = null;
+      });
+  }
+  await entry.pending;
+  return entry.index;
+};
+
+/**
+ * Keeps a loaded index current after a memory, knowledge base article or
+ * doc is created or updated. Indexes that were never loaded are skipped.
+ */
+export const indexContextRecord = (projectId, source, entity) => {
+  const entry = projectIndexes.get(projectId);
+  const record = toRecord(source, entity);
+  if (!entry) return;
+  if (record) {
+    upsertRecord(entry.index, record);
+    // Ranked on its lexical vector until the embedding arrives
+    embedPassages(entry.index).catch(error => console.error("Failed to embed context:", error));
+  } else {
+    removeRecord(entry.index, recordId(source, entity.id));
+  }
+};
+
+export const forgetContextRecord = (projectId, source, entityId) => {
+  const entry = projectIndexes.get(projectId);
+  if (entry) removeRecord(entry.index, recordId(source, entityId));
+};
 
 /**
  * Hook to save and retrieve AI context for better continuity
  */
 export const saveAIInteraction = async (projectId, data) => {
   try {
-    await base44.entities.AIContextMemory.create({
+    const memory = await base44.entities.AIContextMemory.create({
       project_id: projectId,
       interaction_type: data.type,
       user_prompt: data.prompt,
@@ -20,26 +131,29 @@ export const saveAIInteraction = async (projectId, data) => {
       related_entities: data.relatedEntities || {},
       token_count: estimateTokens(data.prompt + data.response)
     });
+    indexContextRecord(projectId, Sources.MEMORY, memory);
   } catch (error) {
     console.error("Failed to save AI interaction:", error);
   }
 };
 
-export const getRelevantContext = async (projectId, limit = 10) => {
+/**
+ * Memories, knowledge base articles and docs relevant to `query`, ranked by
+ * BM25 and embedding similarity (lexical vectors when embeddings are not
+ * available) and packed into `maxTokens`. Without a query the newest
+ * memories are used.
+ */
+export const getRelevantContext = async (projectId, query, { limit = 8, maxTokens = 1500, sources = null } = {}) => {
   try {
-    const memories = await base44.entities.AIContextMemory.filter(
-      { project_id: projectId },
-      '-created_date',
-      limit
-    );
-
-    // Build context string from recent memories
-    return memories.map(m => {
-      if (m.is_summarized) {
-        return `[${m.interaction_type}] Summary: ${m.context_summary}`;
-      }
-      return `[${m.interaction_type}] Q: ${m.user_prompt} A: ${m.ai_response.substring(0, 200)}...`;
-    }).join('\n\n');
+    const index = await getContextIndex(projectId);
+    let results;
+    if (query?.trim()) {
+      const queryEmbedding = await embedQuery(index, query);
+      results = searchIndex(index, query, { limit, sources, query_embedding: queryEmbedding });
+    } else {
+      results = recentPassages(index, limit, sources || [Sources.MEMORY]);
+    }
+    return assembleContext(results, maxTokens).text;
   } catch (error) {
     console.error("Failed to get context:", error);
     return "";
@@ -53,7 +167,7 @@ export const getContextForService = async (projectId, serviceId) => {
       '-created_date'
     );
 
-    return memories.filter(m => 
+    return memories.filter(m =>
       m.metadata?.service_ids?.includes(serviceId) ||
       m.related_entities?.service_id === serviceId
     );
@@ -63,13 +177,11 @@ export const getContextForService = async (projectId, serviceId) => {
   }
 };
 
-const estimateTokens = (text) => {
-  // Rough estimation: ~4 characters per token
-  return Math.ceil(text.length / 4);
-};
-
 export default {
   saveAIInteraction,
   getRelevantContext,
-  getContextForService
-};
\ No newline at end of file
+  getContextForService,
+  getContextIndex,
+  indexContextRecord,
+  forgetContextRecord
+};
@@ -1,6 +1,12 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import { base44 } from "@/api/base44Client";
 import { debounce } from "lodash";
+import { getRelevantContext } from "../ai-context/useAIContext";
+
+// The parts of the user's context worth searching the project history for
+const historyQuery = (analysisContext) => Object.values(analysisContext)
+  .map(value => typeof value === "string" ? value : JSON.stringify(value))
+  .join(" ");
 
 export function useAICoPilot({ project, services = [], context = {} }) {
   const [suggestions, setSuggestions] = useState([]);
@@ -13,6 +19,8 @@ export function useAICoPilot({ project, services = [], context = {} }) {
 
     setIsAnalyzing(true);
     try {
+      const history = await getRelevantContext(project.id, historyQuery(analysisContext), { limit: 5, maxTokens: 800 });
+
       const prompt = `You are an expert software architect and code reviewer acting as a proactive AI co-pilot.
 
 **Project Context:**
@@ -23,6 +31,9 @@ export function useAICoPilot({ project, services = [], context = {} }) {
 
 **Current User Context:**
 ${JSON.stringify(analysisContext, null, 2)}
+${history ? `
+**Relevant Project History:**
+${history}` : ""}
 
 **Your Task:**
 Analyze the current context and provide 3-5 actionable, high-value suggestions in these categories:
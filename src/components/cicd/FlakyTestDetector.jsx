@@ -1,54 +1,121 @@
-import React, { useState } from "react";
+import { useState, useEffect, useRef } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { AlertTriangle, TestTube, TrendingUp, Loader2, FileCode } from "lucide-react";
+import { AlertTriangle, TestTube, TrendingUp, Loader2, FileCode, Upload, Download, Sparkles, ShieldOff } from "lucide-react";
 import { motion } from "framer-motion";
+import { toast } from "sonner";
+import { formatDistanceToNow } from "date-fns";
 import { invokeLLM } from "../shared/AILLMProvider";
+import { downloadFile } from "../shared/FileActions";
+
+// Tests sent to the LLM for root-cause commentary
+const COMMENTARY_LIMIT = 20;
+
+const classificationColors = {
+  flaky: "bg-orange-100 text-orange-800 border-orange-300",
+  failing: "bg-red-100 text-red-800 border-red-300",
+  stable: "bg-green-100 text-green-800 border-green-300",
+  insufficient_data: "bg-gray-100 text-gray-700 border-gray-300"
+};
+
+async function invokeTestReports(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'test-reports', payload });
+  return data.data;
+}
+
+function apiErrorMessage(error, fallback) {
+  const apiError = error.response?.data?.error;
+  if (apiError?.details?.errors?.length) {
+    return `${apiError.message}: ${apiError.details.errors.slice(0, 3).join('; ')}`;
+  }
+  return apiError?.message || fallback;
+}
+
+const percent = value => `${Math.round(value * 100)}%`;
 
 export const FlakyTestDetector = ({ project }) => {
-  const [analyzing, setAnalyzing] = useState(false);
-  const [testResults, setTestResults] = useState("");
-  const [analysis, setAnalysis] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [runLabel, setRunLabel] = useState("");
+  const [branch, setBranch] = useState("");
+  const [ingesting, setIngesting] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [loadingStats, setLoadingStats] = useState(true);
+  const [commenting, setCommenting] = useState(false);
+  const [commentary, setCommentary] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadStats = async () => {
+    try {
+      setStats(await invokeTestReports({ action: "stats", project_id: project.id }));
+    } catch (error) {
+      console.error("Error loading test statistics:", error);
+    }
+    setLoadingStats(false);
+  };
 
-  const analyzeTests = async () => {
-    if (!testResults.trim()) return;
+  useEffect(() => {
+    loadStats();
+  }, [project.id]);
 
-    setAnalyzing(true);
+  const ingestReports = async () => {
+    if (files.length === 0) return;
+
+    setIngesting(true);
     try {
-      const result = await invokeLLM(
-        `Analyze these test results to identify flaky tests and patterns.
+      // Oldest file first so flips are counted in run order
+      const ordered = [...files].sort((a, b) => a.lastModified - b.lastModified);
+      const reports = await Promise.all(ordered.map(async file => ({
+        filename: file.name,
+        content: await file.text()
+      })));
 
-Project: ${project.name}
+      const result = await invokeTestReports({
+        action: "ingest",
+        project_id: project.id,
+        reports,
+        run_label: runLabel || undefined,
+        branch: branch || undefined
+      });
 
-Test Results/Logs:
-${testResults}
+      toast.success(`Ingested ${result.runs.length} run(s): ${result.tests_created} new tests, ${result.tests_updated} updated`);
+      result.rejected.forEach(r => toast.error(`${r.filename}: ${r.errors[0]}`));
+      setFiles([]);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+      setCommentary(null);
+      await loadStats();
+    } catch (error) {
+      toast.error(apiErrorMessage(error, "Failed to ingest test reports"));
+    }
+    setIngesting(false);
+  };
 
-Identify:
-1. Tests that fail intermittently
-2. Common failure patterns (timing, race conditions, external dependencies)
-3. Root cause analysis for each flaky test
-4. Recommended fixes and best practices
-5. Test suite health metrics
+  const explainRootCauses = async () => {
+    const tests = stats.needs_attention.slice(0, COMMENTARY_LIMIT);
+    setCommenting(true);
+    try {
+      const result = await invokeLLM(
+        `These tests were classified from recorded CI runs of ${project.name}.
+The statistics are measured, not estimates; do not restate or change them.
+Explain the likely root cause of each test's instability and how to fix it.
 
-Provide actionable recommendations to improve test reliability.`,
+${tests.map(t => `- ${t.test_id} [${t.stats.classification}] failure rate ${percent(t.stats.failure_rate)}, ${t.stats.flip_count} flips in ${t.stats.executed} runs, duration ${t.stats.duration_mean_ms}ms ± ${t.stats.duration_stddev_ms}ms
+  Recent failures: ${t.recent_failures.join(' | ') || 'none recorded'}`).join('\n')}`,
         {
           type: "object",
           properties: {
-            flaky_tests: {
+            tests: {
               type: "array",
               items: {
                 type: "object",
                 properties: {
-                  test_name: { type: "string" },
-                  failure_rate: { type: "string" },
+                  test_id: { type: "string" },
                   pattern: { type: "string" },
                   root_cause: { type: "string" },
-                  fix_recommendation: { type: "string" },
-                  priority: { type: "string" }
+                  fix_recommendation: { type: "string" }
                 }
               }
             },
@@ -63,41 +130,30 @@ Provide actionable recommendations to improve test reliability.`,
                   solution: { type: "string" }
                 }
               }
-            },
-            health_metrics: {
-              type: "object",
-              properties: {
-                overall_score: { type: "number" },
-                stability_score: { type: "number" },
-                coverage_estimate: { type: "string" },
-                execution_time: { type: "string" }
-              }
-            },
-            best_practices: {
-              type: "array",
-              items: { type: "string" }
             }
           }
         }
       );
-
-      setAnalysis(result);
+      setCommentary({
+        byTest: Object.fromEntries((result.tests || []).map(t => [t.test_id, t])),
+        failure_patterns: result.failure_patterns || []
+      });
     } catch (error) {
-      console.error("Test analysis error:", error);
+      console.error("Root-cause commentary error:", error);
+      toast.error("Failed to generate root-cause commentary");
     }
-    setAnalyzing(false);
+    setCommenting(false);
   };
 
-  const getPriorityColor = (priority) => {
-    const colors = {
-      critical: "bg-red-100 text-red-800 border-red-300",
-      high: "bg-orange-100 text-orange-800 border-orange-300",
-      medium: "bg-yellow-100 text-yellow-800 border-yellow-300",
-      low: "bg-blue-100 text-blue-800 border-blue-300"
-    };
-    return colors[priority?.toLowerCase()] || colors.medium;
+  const exportQuarantine = () => {
+    downloadFile(
+      `${project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-quarantine.json`,
+      JSON.stringify({ project: project.name, tests: stats.quarantine }, null, 2)
+    );
   };
 
+  const counts = stats?.summary.by_classification;
+
   return (
     <div className="space-y-6">
       <Card className="bg-gradient-to-r from-orange-50 to-red-50 border-2 border-orange-200">
@@ -107,148 +163,193 @@ Provide actionable recommendations to improve test reliability.`,
             Flaky Test Detector
           </CardTitle>
           <p className="text-sm text-gray-600 mt-1">
-            AI-powered analysis to identify and fix unreliable tests
+            Upload JUnit XML, TAP or Jest/Vitest JSON reports from CI runs to track every test across runs
           </p>
         </CardHeader>
         <CardContent className="space-y-4">
           <div>
-            <Label htmlFor="testResults">Paste Test Results or Logs</Label>
-            <textarea
-              id="testResults"
-              value={testResults}
-              onChange={(e) => setTestResults(e.target.value)}
-              placeholder="Paste your test output, CI logs, or test reports here..."
-              className="w-full h-48 p-3 border rounded-lg font-mono text-sm mt-2"
+            <Label htmlFor="testReports">Test Reports</Label>
+            <Input
+              id="testReports"
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept=".xml,.json,.tap,.txt"
+              onChange={(e) => setFiles([...(e.target.files || [])])}
+              className="mt-2"
             />
+            {files.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                {files.length} file(s) selected; each file is recorded as one run
+              </p>
+            )}
+          </div>
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="runLabel">Run Label (optional)</Label>
+              <Input id="runLabel" value={runLabel} onChange={(e) => setRunLabel(e.target.value)} placeholder="CI build #1234" className="mt-2" />
+            </div>
+            <div>
+              <Label htmlFor="branch">Branch (optional)</Label>
+              <Input id="branch" value={branch} onChange={(e) => setBranch(e.target.value)} placeholder="main" className="mt-2" />
+            </div>
           </div>
           <Button
-            onClick={analyzeTests}
-            disabled={analyzing || !testResults.trim()}
+            onClick={ingestReports}
+            disabled={ingesting || files.length === 0}
             className="bg-gradient-to-r from-orange-600 to-red-600"
           >
-            {analyzing ? (
+            {ingesting ? (
               <Loader2 className="w-4 h-4 mr-2 animate-spin" />
             ) : (
-              <TestTube className="w-4 h-4 mr-2" />
+              <Upload className="w-4 h-4 mr-2" />
             )}
-            Analyze Tests
+            Ingest Reports
           </Button>
         </CardContent>
       </Card>
 
-      {analysis && (
+      {loadingStats ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+        </div>
+      ) : stats && stats.summary.tests_tracked > 0 && (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           className="space-y-6"
         >
           {/* Health Metrics */}
-          {analysis.health_metrics && (
-            <div className="grid md:grid-cols-4 gap-4">
-              <Card className="border-l-4 border-blue-600">
-                <CardContent className="p-4">
-                  <div className="text-sm text-gray-600 mb-1">Overall Score</div>
-                  <div className="text-3xl font-bold text-blue-600">
-                    {analysis.health_metrics.overall_score}/100
-                  </div>
-                </CardContent>
-              </Card>
-              <Card className="border-l-4 border-green-600">
-                <CardContent className="p-4">
-                  <div className="text-sm text-gray-600 mb-1">Stability</div>
-                  <div className="text-3xl font-bold text-green-600">
-                    {analysis.health_metrics.stability_score}%
-                  </div>
-                </CardContent>
-              </Card>
-              <Card className="border-l-4 border-purple-600">
-                <CardContent className="p-4">
-                  <div className="text-sm text-gray-600 mb-1">Coverage</div>
-                  <div className="text-2xl font-bold text-purple-600">
-                    {analysis.health_metrics.coverage_estimate}
-                  </div>
-                </CardContent>
-              </Card>
-              <Card className="border-l-4 border-orange-600">
-                <CardContent className="p-4">
-                  <div className="text-sm text-gray-600 mb-1">Exec Time</div>
-                  <div className="text-2xl font-bold text-orange-600">
-                    {analysis.health_metrics.execution_time}
-                  </div>
-                </CardContent>
-              </Card>
-            </div>
+          <div className="grid md:grid-cols-4 gap-4">
+            <Card className="border-l-4 border-blue-600">
+              <CardContent className="p-4">
+                <div className="text-sm text-gray-600 mb-1">Tests Tracked</div>
+                <div className="text-3xl font-bold text-blue-600">{stats.summary.tests_tracked}</div>
+              </CardContent>
+            </Card>
+            <Card className="border-l-4 border-orange-600">
+              <CardContent className="p-4">
+                <div className="text-sm text-gray-600 mb-1">Flaky</div>
+                <div className="text-3xl font-bold text-orange-600">{counts.flaky}</div>
+              </CardContent>
+            </Card>
+            <Card className="border-l-4 border-red-600">
+              <CardContent className="p-4">
+                <div className="text-sm text-gray-600 mb-1">Failing</div>
+                <div className="text-3xl font-bold text-red-600">{counts.failing}</div>
+              </CardContent>
+            </Card>
+            <Card className="border-l-4 border-green-600">
+              <CardContent className="p-4">
+                <div className="text-sm text-gray-600 mb-1">Stable</div>
+                <div className="text-3xl font-bold text-green-600">{counts.stable}</div>
+                {counts.insufficient_data > 0 && (
+                  <div className="text-xs text-gray-500">{counts.insufficient_data} need more runs</div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Quarantine */}
+          {stats.quarantine.length > 0 && (
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between">
+                <CardTitle className="flex items-center gap-2 text-lg">
+                  <ShieldOff className="w-5 h-5 text-orange-600" />
+                  Quarantine List ({stats.quarantine.length})
+                </CardTitle>
+                <Button variant="outline" size="sm" onClick={exportQuarantine}>
+                  <Download className="w-4 h-4 mr-2" />
+                  Export JSON
+                </Button>
+              </CardHeader>
+              <CardContent>
+                <ul className="space-y-1">
+                  {stats.quarantine.map(entry => (
+                    <li key={entry.test_id} className="text-sm flex items-center justify-between gap-4">
+                      <span className="font-mono truncate">{entry.test_id}</span>
+                      <span className="text-gray-500 flex-shrink-0">{entry.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
           )}
 
-          {/* Flaky Tests */}
-          {analysis.flaky_tests?.length > 0 && (
+          {/* Tests needing attention */}
+          {stats.needs_attention.length > 0 && (
             <Card>
-              <CardHeader className="bg-gradient-to-r from-red-50 to-orange-50">
+              <CardHeader className="bg-gradient-to-r from-red-50 to-orange-50 flex flex-row items-center justify-between">
                 <CardTitle className="flex items-center gap-2">
                   <AlertTriangle className="w-5 h-5 text-red-600" />
-                  Flaky Tests Detected ({analysis.flaky_tests.length})
+                  Tests Needing Attention ({stats.needs_attention.length})
                 </CardTitle>
+                <Button variant="outline" size="sm" onClick={explainRootCauses} disabled={commenting}>
+                  {commenting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Sparkles className="w-4 h-4 mr-2" />}
+                  Explain Root Causes
+                </Button>
               </CardHeader>
               <CardContent className="p-6">
                 <div className="space-y-4">
-                  {analysis.flaky_tests.map((test, i) => (
-                    <motion.div
-                      key={i}
-                      initial={{ opacity: 0, x: -20 }}
-                      animate={{ opacity: 1, x: 0 }}
-                      transition={{ delay: i * 0.1 }}
-                      className="border rounded-lg p-4 hover:border-red-300 hover:bg-red-50/30 transition-all"
-                    >
-                      <div className="flex items-start justify-between mb-3">
-                        <div className="flex-1">
-                          <h4 className="font-semibold text-gray-900 mb-1 font-mono text-sm">
-                            {test.test_name}
-                          </h4>
-                          <div className="flex gap-2">
-                            <Badge className={getPriorityColor(test.priority)}>
-                              {test.priority}
-                            </Badge>
-                            <Badge variant="outline" className="text-red-700">
-                              {test.failure_rate} failure rate
-                            </Badge>
+                  {stats.needs_attention.map(test => {
+                    const note = commentary?.byTest[test.test_id];
+                    return (
+                      <div
+                        key={test.test_id}
+                        className="border rounded-lg p-4 hover:border-red-300 hover:bg-red-50/30 transition-all"
+                      >
+                        <div className="flex items-start justify-between mb-2">
+                          <div className="flex-1 min-w-0">
+                            <h4 className="font-semibold text-gray-900 mb-1 font-mono text-sm truncate">
+                              {test.name}
+                            </h4>
+                            {test.suite && <p className="text-xs text-gray-500 font-mono truncate">{test.suite}</p>}
                           </div>
+                          <Badge className={classificationColors[test.stats.classification]}>
+                            {test.stats.classification}
+                          </Badge>
                         </div>
-                      </div>
-
-                      <div className="space-y-3">
-                        <div>
-                          <h5 className="text-xs font-semibold text-gray-700 mb-1">Pattern</h5>
-                          <p className="text-sm text-gray-600 bg-yellow-50 p-2 rounded">
-                            {test.pattern}
-                          </p>
+                        <div className="flex flex-wrap gap-2 text-xs">
+                          <Badge variant="outline" className="text-red-700">
+                            {percent(test.stats.failure_rate)} failure rate
+                          </Badge>
+                          <Badge variant="outline">{test.stats.flip_count} flips / {test.stats.executed} runs</Badge>
+                          <Badge variant="outline">
+                            {test.stats.duration_mean_ms}ms ± {test.stats.duration_stddev_ms}ms
+                          </Badge>
                         </div>
 
-                        <div>
-                          <h5 className="text-xs font-semibold text-gray-700 mb-1">Root Cause</h5>
-                          <p className="text-sm text-gray-600 bg-orange-50 p-2 rounded">
-                            {test.root_cause}
-                          </p>
-                        </div>
+                        {test.recent_failures.length > 0 && (
+                          <pre className="mt-3 text-xs text-gray-600 bg-gray-50 p-2 rounded whitespace-pre-wrap max-h-24 overflow-y-auto">
+                            {test.recent_failures[test.recent_failures.length - 1]}
+                          </pre>
+                        )}
 
-                        <div>
-                          <h5 className="text-xs font-semibold text-gray-700 mb-1 flex items-center gap-1">
-                            <FileCode className="w-3 h-3" />
-                            Fix Recommendation
-                          </h5>
-                          <p className="text-sm text-gray-600 bg-green-50 border border-green-200 p-3 rounded">
-                            {test.fix_recommendation}
-                          </p>
-                        </div>
+                        {note && (
+                          <div className="mt-3 space-y-2">
+                            {note.pattern && (
+                              <p className="text-sm text-gray-600 bg-yellow-50 p-2 rounded">{note.pattern}</p>
+                            )}
+                            <p className="text-sm text-gray-600 bg-orange-50 p-2 rounded">{note.root_cause}</p>
+                            <div className="text-sm text-gray-600 bg-green-50 border border-green-200 p-3 rounded">
+                              <h5 className="text-xs font-semibold text-gray-700 mb-1 flex items-center gap-1">
+                                <FileCode className="w-3 h-3" />
+                                Fix Recommendation
+                              </h5>
+                              {note.fix_recommendation}
+                            </div>
+                          </div>
+                        )}
                       </div>
-                    </motion.div>
-                  ))}
+                    );
+                  })}
                 </div>
               </CardContent>
             </Card>
           )}
 
           {/* Failure Patterns */}
-          {analysis.failure_patterns?.length > 0 && (
+          {commentary?.failure_patterns.length > 0 && (
             <Card>
               <CardHeader className="bg-gradient-to-r from-yellow-50 to-orange-50">
                 <CardTitle className="flex items-center gap-2">
@@ -258,7 +359,7 @@ Provide actionable recommendations to improve test reliability.`,
               </CardHeader>
               <CardContent className="p-6">
                 <div className="space-y-4">
-                  {analysis.failure_patterns.map((pattern, i) => (
+                  {commentary.failure_patterns.map((pattern, i) => (
                     <div key={i} className="border-l-4 border-yellow-500 pl-4 py-2">
                       <div className="flex items-center justify-between mb-2">
                         <h4 className="font-semibold text-gray-900">{pattern.pattern_type}</h4>
@@ -276,32 +377,33 @@ Provide actionable recommendations to improve test reliability.`,
             </Card>
           )}
 
-          {/* Best Practices */}
-          {analysis.best_practices?.length > 0 && (
-            <Card className="border-l-4 border-green-600">
-              <CardHeader className="bg-gradient-to-r from-green-50 to-emerald-50">
-                <CardTitle className="text-lg">Test Suite Best Practices</CardTitle>
-              </CardHeader>
-              <CardContent className="p-6">
-                <ul className="space-y-2">
-                  {analysis.best_practices.map((practice, i) => (
-                    <motion.li
-                      key={i}
-                      initial={{ opacity: 0, x: -20 }}
-                      animate={{ opacity: 1, x: 0 }}
-                      transition={{ delay: i * 0.1 }}
-                      className="flex items-start gap-2 text-sm text-gray-700"
-                    >
-                      <span className="text-green-600 mt-0.5">✓</span>
-                      <span>{practice}</span>
-                    </motion.li>
-                  ))}
-                </ul>
-              </CardContent>
-            </Card>
-          )}
+          {/* Recent Runs */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Recent Runs</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ul className="divide-y">
+                {stats.recent_runs.map(run => (
+                  <li key={run.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+                    <div className="min-w-0">
+                      <span className="font-medium text-gray-900">{run.run_label || run.source_name}</span>
+                      <span className="text-gray-500 ml-2">
+                        {run.format}{run.branch && ` · ${run.branch}`} · {formatDistanceToNow(new Date(run.created_date), { addSuffix: true })}
+                      </span>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <Badge variant="outline" className="text-green-700">{run.passed} passed</Badge>
+                      {run.failed > 0 && <Badge variant="outline" className="text-red-700">{run.failed} failed</Badge>}
+                      {run.skipped > 0 && <Badge variant="outline">{run.skipped} skipped</Badge>}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
         </motion.div>
       )}
     </div>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,75 @@
+import { useMemo } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { FileCode } from "lucide-react";
+import { sideBySideRows, diffStats } from "../../../functions/lib/diff";
+
+const CELL_STYLES = {
+  "-": "bg-red-50 text-red-900",
+  "+": "bg-green-50 text-green-900",
+  " ": "text-gray-700"
+};
+
+function Cell({ line }) {
+  if (!line) return <><td className="w-10 bg-gray-50" /><td className="bg-gray-50" /></>;
+  return (
+    <>
+      <td className={`w-10 px-2 text-right select-none text-gray-400 ${CELL_STYLES[line.type]}`}>{line.number}</td>
+      <td className={`px-2 whitespace-pre ${CELL_STYLES[line.type]}`}>
+        {line.type !== " " && <span className="select-none mr-1">{line.type}</span>}
+        {line.text}
+      </td>
+    </>
+  );
+}
+
+/**
+ * Two-column diff of one file, one table per hunk, each with an accept
+ * checkbox. `accepted` is a Set of hunk ids.
+ */
+export default function DiffViewer({ path, hunks, accepted, onToggle, onSetAll, note }) {
+  const stats = useMemo(() => diffStats(hunks.filter(h => accepted.has(h.id))), [hunks, accepted]);
+
+  return (
+    <div className="border rounded-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-gray-100 border-b">
+        <div className="flex items-center gap-2 min-w-0">
+          <FileCode className="w-4 h-4 text-gray-500 shrink-0" />
+          <span className="font-mono text-sm truncate">{path}</span>
+          <Badge className="bg-green-100 text-green-800">+{stats.additions}</Badge>
+          <Badge className="bg-red-100 text-red-800">-{stats.deletions}</Badge>
+        </div>
+        <div className="flex items-center gap-2 text-xs text-gray-600">
+          {accepted.size} of {hunks.length} hunks accepted
+          <Button variant="ghost" size="sm" onClick={() => onSetAll(true)}>All</Button>
+          <Button variant="ghost" size="sm" onClick={() => onSetAll(false)}>None</Button>
+        </div>
+      </div>
+      {note && <p className="px-3 py-2 text-xs text-gray-600 border-b">{note}</p>}
+
+      {hunks.length === 0 ? (
+        <p className="px-3 py-4 text-sm text-gray-500">No changes to this file.</p>
+      ) : hunks.map(hunk => (
+        <div key={hunk.id} className={accepted.has(hunk.id) ? "" : "opacity-50"}>
+          <label className="flex items-center gap-2 px-3 py-1 bg-blue-50 text-xs font-mono text-blue-800 border-y cursor-pointer">
+            <Checkbox checked={accepted.has(hunk.id)} onCheckedChange={() => onToggle(hunk.id)} />
+            @@ -{hunk.old_start},{hunk.old_lines} +{hunk.new_start},{hunk.new_lines} @@
+          </label>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono border-collapse">
+              <tbody>
+                {sideBySideRows(hunk).map((row, i) => (
+                  <tr key={i}>
+                    <Cell line={row.left} />
+                    <Cell line={row.right} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
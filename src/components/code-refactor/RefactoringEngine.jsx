@@ -2,6 +2,8 @@ import React, { useState, useEffect } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
 import { saveAIInteraction, getRelevantContext } from "../ai-context/useAIContext";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Badge } from "@/components/ui/badge";
@@ -10,18 +12,44 @@ import {
   Zap, 
   CheckCircle2, 
   Loader2, 
-  AlertCircle,
   FileCode,
-  Download
+  Download,
+  GitPullRequest,
+  Upload,
+  Github,
+  ExternalLink
 } from "lucide-react";
 import { toast } from "sonner";
 import { motion, AnimatePresence } from "framer-motion";
+import DiffViewer from "./DiffViewer";
+import { downloadFile } from "../shared/FileActions";
+import { createHunks, applyHunks, formatUnifiedDiff } from "../../../functions/lib/diff";
+
+async function invokeGitHub(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'github', payload });
+  return data.data;
+}
+
+const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+// Analysis `location` is a file path or a component name; only paths are usable
+const looksLikePath = (location) => typeof location === "string" && /^[\w@./-]+\.\w+$/.test(location.trim());
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
 
 export default function RefactoringEngine({ project, services, analysis, selectedServiceId }) {
   const [selectedIssues, setSelectedIssues] = useState([]);
   const [isRefactoring, setIsRefactoring] = useState(false);
-  const [refactoringResults, setRefactoringResults] = useState(null);
+  const [changes, setChanges] = useState(null);
   const [progress, setProgress] = useState(0);
+  const [github, setGitHub] = useState(null);
+  const [source, setSource] = useState("upload");
+  const [ref, setRef] = useState("");
+  const [uploads, setUploads] = useState(new Map());
+  const [paths, setPaths] = useState({});
+  const [pullRequest, setPullRequest] = useState({ branch: "", title: "" });
+  const [openingPr, setOpeningPr] = useState(false);
+  const [openedPr, setOpenedPr] = useState(null);
 
   useEffect(() => {
     if (selectedServiceId && analysis?.issues) {
@@ -32,6 +60,17 @@ export default function RefactoringEngine({ project, services, analysis, selecte
     }
   }, [selectedServiceId, analysis]);
 
+  useEffect(() => {
+    base44.entities.IntegrationConnection.filter({ project_id: project.id, integration_type: "github" })
+      .then(([connection]) => {
+        if (connection?.status === "connected" && connection.config?.repository) {
+          setGitHub(connection);
+          setSource("repository");
+        }
+      })
+      .catch(error => console.error("Error loading GitHub connection:", error));
+  }, [project.id]);
+
   const toggleIssue = (issueId) => {
     setSelectedIssues(prev =>
       prev.includes(issueId)
@@ -49,32 +88,56 @@ export default function RefactoringEngine({ project, services, analysis, selecte
     setSelectedIssues([]);
   };
 
-  const applyRefactoring = async () => {
-    if (selectedIssues.length === 0) {
-      toast.error("Please select at least one issue to refactor");
-      return;
-    }
-
-    setIsRefactoring(true);
-    setProgress(0);
+  const pathFor = (issue) => paths[issue.id] ?? (looksLikePath(issue.location) ? issue.location.trim() : "");
 
-    try {
-      const selectedIssueData = analysis.issues.filter(i => selectedIssues.includes(i.id));
-      const progressIncrement = 100 / selectedIssues.length;
+  const handleUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    const next = new Map(uploads);
+    for (const file of files) {
+      next.set(file.webkitRelativePath || file.name, await file.text());
+    }
+    setUploads(next);
+    toast.success(`${files.length} file(s) loaded`);
+  };
 
-      const results = [];
+  // Uploaded files match on the full path, else on the trailing path segments
+  const findUpload = (path) => {
+    if (uploads.has(path)) return uploads.get(path);
+    const match = [...uploads.keys()].find(name => path.endsWith(`/${name}`) || name.endsWith(`/${path}`));
+    return match ? uploads.get(match) : null;
+  };
 
-      const targetService = services.find(s => s.id === selectedServiceId);
-      const serviceName = targetService ? targetService.name : "Selected Service";
+  const loadOriginals = async (filePaths) => {
+    if (source === "upload") {
+      const found = new Map();
+      for (const path of filePaths) {
+        const content = findUpload(path);
+        if (content !== null) found.set(path, content);
+      }
+      return found;
+    }
+    const result = await invokeGitHub({
+      action: 'read_files',
+      project_id: project.id,
+      repository: github.config.repository,
+      paths: filePaths,
+      ...(ref.trim() ? { ref: ref.trim() } : {})
+    });
+    return new Map(result.files.map(f => [f.path, f.content]));
+  };
 
-      // Get relevant historical context
-      const historicalContext = await getRelevantContext(project.id, 5);
+  /**
+   * Applies one issue to a file. The analysis snippet is swapped in
+   * verbatim when the file contains it; otherwise the model rewrites the
+   * file around the suggestion.
+   */
+  const refactorFile = async (path, content, issue, historicalContext) => {
+    const current = issue.current_code?.trim();
+    if (current && issue.refactored_code && content.includes(current)) {
+      return { content: content.replace(current, issue.refactored_code.trim()), method: "snippet" };
+    }
 
-      for (let i = 0; i < selectedIssueData.length; i++) {
-        const issue = selectedIssueData[i];
-        
-        // Simulate applying refactoring
-        const prompt = `Apply the following refactoring:
+    const prompt = `Apply the following refactoring to the file ${path}:
 
 HISTORICAL CONTEXT (past decisions):
 ${historicalContext}
@@ -83,92 +146,186 @@ REFACTORING TO APPLY:
 
 ISSUE: ${issue.title}
 DESCRIPTION: ${issue.description}
-CURRENT CODE: ${issue.current_code}
-REFACTORED CODE: ${issue.refactored_code}
-
-Generate the complete refactored file with:
-- The refactored code properly integrated
-- All necessary imports and dependencies
-- Proper formatting and structure
-- Comments explaining the changes
-- Any additional improvements that complement this refactoring
-
-Return the complete refactored file content and a summary of changes.`;
-
-        const result = await base44.integrations.Core.InvokeLLM({
-          prompt,
-          response_json_schema: {
-            type: "object",
-            properties: {
-              file_path: { type: "string" },
-              refactored_content: { type: "string" },
-              changes_summary: { type: "string" },
-              status: { type: "string" }
-            }
-          }
-        });
-
-        results.push({
-          issue_id: issue.id,
-          issue_title: issue.title,
-          ...result
-        });
-
-        setProgress((i + 1) * progressIncrement);
+SUGGESTED BEFORE: ${issue.current_code}
+SUGGESTED AFTER: ${issue.refactored_code}
+
+CURRENT FILE CONTENT:
+${content}
+
+Return the complete updated file. Change only what the refactoring needs and
+keep all other lines, including formatting and comments, exactly as they are.`;
+
+    const result = await base44.integrations.Core.InvokeLLM({
+      prompt,
+      response_json_schema: {
+        type: "object",
+        properties: {
+          refactored_content: { type: "string" },
+          changes_summary: { type: "string" }
+        }
       }
+    });
+    return { content: result.refactored_content || content, method: "model", summary: result.changes_summary };
+  };
 
-      // Save refactoring results
-      await base44.entities.RefactoringRecommendation.create({
-        project_id: project.id,
-        analysis_summary: `Applied ${selectedIssues.length} refactorings`,
-        overall_score: 85,
-        issues: selectedIssueData,
-        recommendations: results.map(r => r.changes_summary),
-        status: "applied"
-      });
+  const generateDiffs = async () => {
+    if (selectedIssues.length === 0) {
+      toast.error("Please select at least one issue to refactor");
+      return;
+    }
 
-      // Save AI interaction to context memory
-      await saveAIInteraction(project.id, {
-        type: "refactoring",
-        prompt: `Applied ${selectedIssues.length} refactorings to ${serviceName}`,
-        response: JSON.stringify(results),
-        serviceIds: [selectedServiceId],
-        technologies: targetService?.technologies || [],
-        tags: ["refactoring", "code-quality"],
-        confidence: 0.85,
-        relatedEntities: { service_id: selectedServiceId }
-      });
+    const selectedIssueData = analysis.issues.filter(i => selectedIssues.includes(i.id));
+    const withoutPath = selectedIssueData.filter(i => !pathFor(i));
+    if (withoutPath.length > 0) {
+      toast.error(`Set a file path for: ${withoutPath.map(i => i.title).join(", ")}`);
+      return;
+    }
+
+    setIsRefactoring(true);
+    setProgress(0);
+    setOpenedPr(null);
+
+    try {
+      const byPath = new Map();
+      for (const issue of selectedIssueData) {
+        const path = pathFor(issue);
+        byPath.set(path, [...(byPath.get(path) || []), issue]);
+      }
+
+      const originals = await loadOriginals([...byPath.keys()]);
+      const missing = [...byPath.keys()].filter(path => !originals.has(path));
+      if (missing.length > 0) {
+        toast.warning(`Not found, skipped: ${missing.join(", ")}`);
+      }
 
-      // Trigger documentation sync
-      window.dispatchEvent(new CustomEvent('code-refactored', { 
-        detail: { projectId: project.id, changes: results }
-      }));
+      const historicalContext = await getRelevantContext(
+        project.id,
+        selectedIssueData.map(issue => `${issue.title} ${issue.description || ""}`).join("\n"),
+        { limit: 5, maxTokens: 1000 }
+      );
+      const total = selectedIssueData.length;
+      let done = 0;
+      const results = [];
+
+      for (const [path, issues] of byPath) {
+        if (!originals.has(path)) continue;
+        const original = originals.get(path);
+        let updated = original;
+        const applied = [];
+        for (const issue of issues) {
+          const outcome = await refactorFile(path, updated, issue, historicalContext);
+          updated = outcome.content;
+          applied.push({ id: issue.id, title: issue.title, method: outcome.method, summary: outcome.summary });
+          setProgress((++done / total) * 100);
+        }
+        const hunks = createHunks(original, updated);
+        results.push({ path, original, hunks, accepted: new Set(hunks.map(h => h.id)), issues: applied });
+      }
 
-      setRefactoringResults(results);
-      toast.success(`Successfully applied ${results.length} refactorings`);
+      setChanges(results);
+      const targetService = services.find(s => s.id === selectedServiceId);
+      setPullRequest({
+        branch: `refactor/${slug(targetService?.name || project.name)}-${Date.now().toString(36)}`,
+        title: `Refactor: ${selectedIssueData.map(i => i.title).slice(0, 2).join("; ")}${selectedIssueData.length > 2 ? "…" : ""}`
+      });
+      toast.success(`Prepared changes to ${results.length} file(s); review the hunks below`);
     } catch (error) {
       console.error("Refactoring failed:", error);
-      toast.error("Failed to apply refactoring");
+      toast.error(errorMessage(error, "Failed to prepare refactoring"));
     } finally {
       setIsRefactoring(false);
       setProgress(100);
     }
   };
 
-  const downloadRefactoredFiles = () => {
-    if (!refactoringResults) return;
-
-    refactoringResults.forEach(result => {
-      const blob = new Blob([result.refactored_content], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = result.file_path?.split('/').pop() || 'refactored-file.txt';
-      a.click();
-      URL.revokeObjectURL(url);
+  const updateAccepted = (path, update) => {
+    setChanges(prev => prev.map(change => change.path === path ? { ...change, accepted: update(change) } : change));
+  };
+
+  const toggleHunk = (path, hunkId) => updateAccepted(path, change => {
+    const next = new Set(change.accepted);
+    if (next.has(hunkId)) next.delete(hunkId);
+    else next.add(hunkId);
+    return next;
+  });
+
+  const acceptedFiles = () => (changes || [])
+    .map(change => ({
+      path: change.path,
+      original: change.original,
+      updated: applyHunks(change.original, change.hunks, [...change.accepted])
+    }))
+    .filter(file => file.updated !== file.original);
+
+  const recordApplied = async (files, detail) => {
+    const issues = changes.flatMap(change => change.issues);
+    const targetService = services.find(s => s.id === selectedServiceId);
+    const selectedIssueData = analysis.issues.filter(i => issues.some(applied => applied.id === i.id));
+
+    await base44.entities.RefactoringRecommendation.create({
+      project_id: project.id,
+      analysis_summary: `Applied ${issues.length} refactorings to ${files.length} file(s) (${detail})`,
+      overall_score: analysis.overall_score,
+      issues: selectedIssueData,
+      recommendations: issues.map(i => i.summary || i.title),
+      status: "applied"
+    });
+
+    await saveAIInteraction(project.id, {
+      type: "refactoring",
+      prompt: `Applied ${issues.length} refactorings to ${targetService?.name || project.name}`,
+      response: `${detail}: ${files.map(f => f.path).join(", ")}`,
+      serviceIds: selectedServiceId ? [selectedServiceId] : [],
+      technologies: targetService?.technologies || [],
+      tags: ["refactoring", "code-quality"],
+      confidence: 0.85,
+      relatedEntities: { service_id: selectedServiceId }
     });
 
-    toast.success("Downloaded all refactored files");
+    // Trigger documentation sync
+    window.dispatchEvent(new CustomEvent('code-refactored', { 
+      detail: { projectId: project.id, changes: files.map(f => ({ file_path: f.path })) }
+    }));
+  };
+
+  const exportPatch = async () => {
+    const files = acceptedFiles();
+    if (files.length === 0) {
+      toast.error("No accepted hunks to export");
+      return;
+    }
+    downloadFile(`${slug(project.name) || "refactoring"}.patch`, formatUnifiedDiff(files));
+    toast.success(`Patch for ${files.length} file(s) downloaded; apply it with git apply`);
+    await recordApplied(files, "exported as patch").catch(error => console.error("Error recording refactoring:", error));
+  };
+
+  const openPullRequest = async () => {
+    const files = acceptedFiles();
+    if (files.length === 0) {
+      toast.error("No accepted hunks to commit");
+      return;
+    }
+    setOpeningPr(true);
+    try {
+      const summary = changes.flatMap(change => change.issues.map(i => `- ${change.path}: ${i.title}`)).join("\n");
+      const result = await invokeGitHub({
+        action: 'open_pull_request',
+        project_id: project.id,
+        repository: github.config.repository,
+        branch: pullRequest.branch.trim(),
+        title: pullRequest.title.trim(),
+        body: `Refactorings generated by ArchDesigner and reviewed hunk by hunk.\n\n${summary}`,
+        files: files.map(f => ({ path: f.path, content: f.updated })),
+        ...(ref.trim() ? { base: ref.trim() } : {})
+      });
+      setOpenedPr(result);
+      toast.success(`Opened pull request #${result.number}`);
+      await recordApplied(files, `pull request #${result.number}`).catch(error => console.error("Error recording refactoring:", error));
+    } catch (error) {
+      console.error("Pull request failed:", error);
+      toast.error(errorMessage(error, "Failed to open pull request"));
+    }
+    setOpeningPr(false);
   };
 
   if (!analysis?.issues || analysis.issues.length === 0) {
@@ -192,10 +349,43 @@ Return the complete refactored file content and a summary of changes.`;
             Automatic Refactoring
           </CardTitle>
           <CardDescription>
-            Select issues to automatically apply AI-powered refactoring
+            Select issues, generate diffs against your code, then review and ship the hunks you accept
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4">
+          <div className="p-3 border rounded-lg bg-gray-50 space-y-3">
+            <div className="flex flex-wrap gap-2">
+              <Button
+                variant={source === "repository" ? "default" : "outline"}
+                size="sm"
+                disabled={!github}
+                onClick={() => setSource("repository")}
+              >
+                <Github className="w-4 h-4 mr-2" />
+                {github ? github.config.repository : "No repository connected"}
+              </Button>
+              <Button
+                variant={source === "upload" ? "default" : "outline"}
+                size="sm"
+                onClick={() => setSource("upload")}
+              >
+                <Upload className="w-4 h-4 mr-2" />
+                Uploaded files ({uploads.size})
+              </Button>
+            </div>
+            {source === "repository" ? (
+              <div className="space-y-1">
+                <Label htmlFor="refactor-ref" className="text-xs">Branch or commit (defaults to the repository default branch)</Label>
+                <Input id="refactor-ref" value={ref} onChange={(e) => setRef(e.target.value)} placeholder="main" className="h-8" />
+              </div>
+            ) : (
+              <div className="space-y-1">
+                <Label htmlFor="refactor-upload" className="text-xs">Source files to refactor</Label>
+                <Input id="refactor-upload" type="file" multiple onChange={handleUpload} className="h-9" />
+              </div>
+            )}
+          </div>
+
           <div className="flex justify-between items-center">
             <div className="text-sm text-gray-600">
               {selectedIssues.length} of {analysis.issues.length} selected
@@ -232,6 +422,14 @@ Return the complete refactored file content and a summary of changes.`;
                     </Badge>
                   </div>
                   <p className="text-xs text-gray-600">{issue.description}</p>
+                  {selectedIssues.includes(issue.id) && (
+                    <Input
+                      value={pathFor(issue)}
+                      onChange={(e) => setPaths(prev => ({ ...prev, [issue.id]: e.target.value }))}
+                      placeholder="File path, e.g. src/services/orders.js"
+                      className="h-7 mt-2 text-xs font-mono"
+                    />
+                  )}
                 </div>
               </div>
             ))}
@@ -240,7 +438,7 @@ Return the complete refactored file content and a summary of changes.`;
           {isRefactoring && (
             <div className="space-y-2">
               <div className="flex justify-between text-sm text-gray-600">
-                <span>Applying refactoring...</span>
+                <span>Generating diffs...</span>
                 <span>{Math.round(progress)}%</span>
               </div>
               <Progress value={progress} className="h-2" />
@@ -248,7 +446,7 @@ Return the complete refactored file content and a summary of changes.`;
           )}
 
           <Button
-            onClick={applyRefactoring}
+            onClick={generateDiffs}
             disabled={isRefactoring || selectedIssues.length === 0}
             className="w-full bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700"
             size="lg"
@@ -261,84 +459,104 @@ Return the complete refactored file content and a summary of changes.`;
             ) : (
               <>
                 <Zap className="w-5 h-5 mr-2" />
-                Apply {selectedIssues.length} Refactoring{selectedIssues.length !== 1 ? 's' : ''}
+                Generate Diffs for {selectedIssues.length} Refactoring{selectedIssues.length !== 1 ? 's' : ''}
               </>
             )}
           </Button>
         </CardContent>
       </Card>
 
-      {refactoringResults && (
+      {changes && (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
         >
           <Card className="bg-gradient-to-br from-green-50 to-emerald-50 border-green-200">
             <CardHeader>
-              <div className="flex justify-between items-center">
+              <div className="flex flex-wrap justify-between items-center gap-2">
                 <CardTitle className="text-lg flex items-center gap-2 text-green-900">
                   <CheckCircle2 className="w-5 h-5" />
-                  Refactoring Complete
+                  Review Changes
                 </CardTitle>
-                <Button onClick={downloadRefactoredFiles} variant="outline" size="sm">
+                <Button onClick={exportPatch} variant="outline" size="sm">
                   <Download className="w-4 h-4 mr-2" />
-                  Download Files
+                  Export Patch
                 </Button>
               </div>
+              <CardDescription>
+                {changes.length} file(s), {changes.reduce((sum, c) => sum + c.accepted.size, 0)} of {changes.reduce((sum, c) => sum + c.hunks.length, 0)} hunks accepted
+              </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
-              <div className="grid md:grid-cols-2 gap-4">
-                <div className="p-4 bg-white rounded-lg border border-green-200">
-                  <div className="text-2xl font-bold text-green-900">
-                    {refactoringResults.length}
-                  </div>
-                  <div className="text-sm text-green-700">Files Refactored</div>
-                </div>
-                <div className="p-4 bg-white rounded-lg border border-green-200">
-                  <div className="text-2xl font-bold text-green-900">100%</div>
-                  <div className="text-sm text-green-700">Success Rate</div>
-                </div>
-              </div>
-
               <AnimatePresence>
-                {refactoringResults.map((result, idx) => (
+                {changes.map((change, idx) => (
                   <motion.div
-                    key={result.issue_id}
+                    key={change.path}
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
                     transition={{ delay: idx * 0.05 }}
+                    className="bg-white rounded-lg"
                   >
-                    <Card>
-                      <CardHeader>
-                        <div className="flex items-center gap-2">
-                          <CheckCircle2 className="w-4 h-4 text-green-600" />
-                          <CardTitle className="text-sm">{result.issue_title}</CardTitle>
-                        </div>
-                      </CardHeader>
-                      <CardContent className="space-y-3">
-                        <div className="text-xs text-gray-600">
-                          📄 {result.file_path}
-                        </div>
-                        <div className="p-3 bg-gray-50 rounded border text-sm">
-                          {result.changes_summary}
-                        </div>
-                        <details className="text-xs">
-                          <summary className="cursor-pointer text-blue-600 hover:text-blue-700 font-medium">
-                            View Refactored Code
-                          </summary>
-                          <pre className="mt-2 bg-gray-900 text-gray-100 p-3 rounded overflow-x-auto">
-                            {result.refactored_content}
-                          </pre>
-                        </details>
-                      </CardContent>
-                    </Card>
+                    <DiffViewer
+                      path={change.path}
+                      hunks={change.hunks}
+                      accepted={change.accepted}
+                      onToggle={(hunkId) => toggleHunk(change.path, hunkId)}
+                      onSetAll={(all) => updateAccepted(change.path, c => new Set(all ? c.hunks.map(h => h.id) : []))}
+                      note={change.issues.map(i => `${i.title}${i.method === "model" ? " (rewritten by the model)" : ""}`).join(" · ")}
+                    />
                   </motion.div>
                 ))}
               </AnimatePresence>
+
+              {github && source === "repository" && (
+                <div className="p-4 bg-white rounded-lg border border-green-200 space-y-3">
+                  <div className="flex items-center gap-2 font-medium text-sm text-green-900">
+                    <GitPullRequest className="w-4 h-4" />
+                    Open a pull request on {github.config.repository}
+                  </div>
+                  <div className="grid md:grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label htmlFor="refactor-branch" className="text-xs">Branch</Label>
+                      <Input
+                        id="refactor-branch"
+                        value={pullRequest.branch}
+                        onChange={(e) => setPullRequest(prev => ({ ...prev, branch: e.target.value }))}
+                        className="h-8 font-mono text-xs"
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="refactor-title" className="text-xs">Title</Label>
+                      <Input
+                        id="refactor-title"
+                        value={pullRequest.title}
+                        onChange={(e) => setPullRequest(prev => ({ ...prev, title: e.target.value }))}
+                        className="h-8"
+                      />
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Button
+                      onClick={openPullRequest}
+                      disabled={openingPr || !pullRequest.branch.trim() || !pullRequest.title.trim()}
+                      size="sm"
+                    >
+                      {openingPr ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <GitPullRequest className="w-4 h-4 mr-2" />}
+                      Open Pull Request
+                    </Button>
+                    {openedPr && (
+                      <a href={openedPr.html_url} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline flex items-center gap-1">
+                        #{openedPr.number} on {openedPr.branch}
+                        <ExternalLink className="w-3 h-3" />
+                      </a>
+                    )}
+                  </div>
+                </div>
+              )}
             </CardContent>
           </Card>
         </motion.div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
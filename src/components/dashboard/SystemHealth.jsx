@@ -6,9 +6,21 @@ import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Activity, ArrowRight } from "lucide-react";
 import { motion } from "framer-motion";
+import { formatDistanceToNow } from "date-fns";
 import PropTypes from "prop-types";
 
-function SystemHealth({ stats = {} }) {
+const statusBadges = {
+  healthy: { label: "All Healthy", className: "bg-green-100 text-green-800 border-green-200" },
+  warning: { label: "Degraded", className: "bg-yellow-100 text-yellow-800 border-yellow-200" },
+  critical: { label: "Critical", className: "bg-red-100 text-red-800 border-red-200" },
+  unknown: { label: "No Telemetry", className: "bg-gray-100 text-gray-700 border-gray-200" }
+};
+
+function SystemHealth({ stats = {}, health = null }) {
+  const byStatus = health?.by_status || {};
+  const reporting = (byStatus.healthy || 0) + (byStatus.warning || 0) + (byStatus.critical || 0);
+  const badge = statusBadges[health?.status] || statusBadges.unknown;
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -24,20 +36,24 @@ function SystemHealth({ stats = {} }) {
         </CardHeader>
         <CardContent className="space-y-4">
           <div className="flex items-center justify-between">
-            <span className="text-sm text-gray-600">Active Services</span>
-            <Badge className="bg-green-100 text-green-800 border-green-200">
-              {stats.totalServices || 0} Running
+            <span className="text-sm text-gray-600">Services Reporting</span>
+            <Badge className="bg-blue-100 text-blue-800 border-blue-200">
+              {reporting} of {stats.totalServices || 0}
             </Badge>
           </div>
           <div className="flex items-center justify-between">
-            <span className="text-sm text-gray-600">Deployment Status</span>
-            <Badge className="bg-blue-100 text-blue-800 border-blue-200">
-              All Healthy
+            <span className="text-sm text-gray-600">Service Health</span>
+            <Badge className={badge.className}>
+              {health?.status === "warning" || health?.status === "critical"
+                ? `${byStatus[health.status]} ${badge.label}`
+                : badge.label}
             </Badge>
           </div>
           <div className="flex items-center justify-between">
-            <span className="text-sm text-gray-600">Last Updated</span>
-            <span className="text-sm font-medium text-gray-900">Just now</span>
+            <span className="text-sm text-gray-600">Last Telemetry</span>
+            <span className="text-sm font-medium text-gray-900">
+              {health?.last_seen ? formatDistanceToNow(new Date(health.last_seen), { addSuffix: true }) : "None in 15 min"}
+            </span>
           </div>
           <Link to={createPageUrl("Analytics")}>
             <Button variant="outline" className="w-full mt-4 hover:bg-blue-50 hover:border-blue-200 transition-all duration-200">
@@ -57,6 +73,11 @@ SystemHealth.propTypes = {
     totalProjects: PropTypes.number,
     activeProjects: PropTypes.number,
     totalIntegrations: PropTypes.number
+  }),
+  health: PropTypes.shape({
+    status: PropTypes.string,
+    by_status: PropTypes.object,
+    last_seen: PropTypes.string
   })
 };
 
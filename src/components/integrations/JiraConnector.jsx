@@ -1,80 +1,231 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
-import { CheckSquare, Loader2, CheckCircle2, AlertTriangle } from "lucide-react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { CheckSquare, Loader2, CheckCircle2, AlertTriangle, RefreshCw, Save, GitMerge } from "lucide-react";
+import { toast } from "sonner";
+import { DEFAULT_FIELD_MAPPING, ConflictPolicies, Sides, LinkStates } from "../../../functions/lib/jiraSync";
 
-export const JiraConnector = ({ project, connection, onUpdate }) => {
+async function invokeJira(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'jira', payload });
+  return data.data;
+}
+
+const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+const EMPTY_AUTH = { type: "basic", email: "", api_token: "", token: "" };
+
+const POLICY_LABELS = {
+  [ConflictPolicies.MANUAL]: "Ask me (manual)",
+  [ConflictPolicies.ARCHDESIGNER_WINS]: "ArchDesigner wins",
+  [ConflictPolicies.JIRA_WINS]: "Jira wins",
+  [ConflictPolicies.NEWEST_WINS]: "Newest change wins"
+};
+
+const INTERVAL_LABELS = { 0: "Manual only", 15: "Every 15 minutes", 60: "Hourly", 360: "Every 6 hours", 1440: "Daily" };
+
+const FIELD_LABELS = { title: "Title", description: "Description", status: "Status", priority_level: "Priority" };
+
+const formatValue = (value) => (value === "" || value === undefined ? "(empty)" : String(value).replace(/_/g, " "));
+
+export const JiraConnector = ({ project, connections = [], onUpdate }) => {
+  const connection = connections.find(c => c.integration_type === "jira");
   const [loading, setLoading] = useState(false);
-  const [config, setConfig] = useState({
-    workspace_url: connection?.config?.workspace_url || "",
-    project_key: connection?.config?.project_key || ""
-  });
+  const [reconnecting, setReconnecting] = useState(false);
+  const [auth, setAuth] = useState(EMPTY_AUTH);
+  const [target, setTarget] = useState({ base_url: "", project_key: "" });
+  const [webhookSecret, setWebhookSecret] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [conflicts, setConflicts] = useState([]);
+  const [resolving, setResolving] = useState(null);
+
+  useEffect(() => {
+    if (!connection?.config) return;
+    setSettings({
+      conflict_policy: connection.config.conflict_policy || ConflictPolicies.MANUAL,
+      sync_interval_minutes: connection.config.sync_interval_minutes ?? 60,
+      pull_new_issues: connection.config.pull_new_issues === true,
+      field_mapping: connection.config.field_mapping || DEFAULT_FIELD_MAPPING
+    });
+  }, [connection?.id, connection?.config]);
+
+  const loadConflicts = useCallback(async () => {
+    try {
+      const [links, tasks] = await Promise.all([
+        base44.entities.JiraIssueLink.filter({ project_id: project.id, state: LinkStates.CONFLICT }),
+        base44.entities.Task.filter({ project_id: project.id })
+      ]);
+      const titles = new Map(tasks.map(t => [t.id, t.title]));
+      setConflicts(links.map(link => ({ ...link, task_title: titles.get(link.task_id) || "Deleted task" })));
+    } catch (error) {
+      console.error("Error loading Jira conflicts:", error);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    if (connection?.status === "connected") loadConflicts();
+  }, [connection?.id, connection?.status, loadConflicts]);
 
   const connectJira = async () => {
     setLoading(true);
     try {
-      const newConnection = await base44.entities.IntegrationConnection.create({
+      const credentials = auth.type === "basic"
+        ? { type: "basic", email: auth.email, api_token: auth.api_token }
+        : { type: "bearer", token: auth.token };
+      const result = await invokeJira({
+        action: 'connect',
         project_id: project.id,
-        integration_type: "jira",
-        name: `Jira: ${config.project_key}`,
-        status: "connected",
-        config: config,
-        capabilities: ["issue_tracking", "security_findings_sync", "task_management"]
+        base_url: target.base_url.trim(),
+        project_key: target.project_key.trim().toUpperCase(),
+        auth: credentials
       });
-      
-      onUpdate?.(newConnection);
+      toast.success(`Connected to Jira project ${result.connection.config.project_key}`);
+      setWebhookSecret(result.webhook_secret);
+      setAuth(EMPTY_AUTH);
+      setReconnecting(false);
+      onUpdate?.(result.connection);
     } catch (error) {
       console.error("Jira connection error:", error);
+      toast.error(errorMessage(error, "Failed to connect Jira"));
     }
     setLoading(false);
   };
 
-  const syncSecurityFindings = async () => {
-    if (!connection) return;
-    
-    setLoading(true);
+  const syncNow = async () => {
+    setSyncing(true);
     try {
-      // Fetch critical security findings
-      const findings = await base44.entities.SecurityFinding.filter({ 
-        project_id: project.id,
-        severity: "critical",
-        status: "open"
-      });
+      const result = await invokeJira({ action: 'sync', project_id: project.id });
+      const { stats } = result;
+      toast.success(`Synced: ${stats.issues_created} issues created, ${stats.issues_updated} updated, ${stats.tasks_updated + stats.tasks_imported} tasks updated`);
+      if (stats.conflicts > 0) toast.warning(`${stats.conflicts} field conflict(s) need a decision`);
+      if (result.errors.length > 0) toast.warning(result.errors[0].message);
+      await loadConflicts();
+      onUpdate?.();
+    } catch (error) {
+      console.error("Jira sync error:", error);
+      toast.error(errorMessage(error, "Failed to sync with Jira"));
+    }
+    setSyncing(false);
+  };
 
-      // Simulate creating Jira tickets
-      const tickets = findings.map(finding => ({
-        summary: `[SECURITY] ${finding.title}`,
-        description: finding.description,
-        priority: "High",
-        labels: ["security", "vulnerability"]
-      }));
-
-      // Update findings with external ticket reference
-      const updates = findings.map((finding, i) => 
-        base44.entities.SecurityFinding.update(finding.id, {
-          external_ticket_id: `PROJ-${Math.floor(Math.random() * 10000)}`,
-          status: "in_progress"
-        })
-      );
-      await Promise.all(updates);
-
-      await base44.entities.IntegrationConnection.update(connection.id, {
-        sync_status: {
-          message: `Synced ${tickets.length} security findings to Jira`,
-          last_sync: new Date().toISOString()
-        },
-        last_sync: new Date().toISOString()
-      });
+  const saveSettings = async () => {
+    setSaving(true);
+    try {
+      await invokeJira({ action: 'configure', project_id: project.id, ...settings });
+      toast.success("Jira sync settings saved");
+      onUpdate?.();
     } catch (error) {
-      console.error("Sync error:", error);
+      console.error("Jira settings error:", error);
+      toast.error(errorMessage(error, "Failed to save settings"));
     }
-    setLoading(false);
+    setSaving(false);
+  };
+
+  const resolve = async (link, field, side) => {
+    setResolving(`${link.id}:${field}`);
+    try {
+      await invokeJira({ action: 'resolve', project_id: project.id, link_id: link.id, resolutions: { [field]: side } });
+      toast.success(`${link.issue_key}: kept the ${side === Sides.JIRA ? "Jira" : "ArchDesigner"} ${FIELD_LABELS[field].toLowerCase()}`);
+      await loadConflicts();
+    } catch (error) {
+      console.error("Jira resolve error:", error);
+      toast.error(errorMessage(error, "Failed to resolve conflict"));
+    }
+    setResolving(null);
   };
 
+  const setMapping = (group, key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      field_mapping: { ...prev.field_mapping, [group]: { ...prev.field_mapping[group], [key]: value } }
+    }));
+  };
+
+  const canConnect = target.base_url.trim() && target.project_key.trim() && (auth.type === "basic"
+    ? auth.email.includes("@") && auth.api_token.trim()
+    : auth.token.trim());
+
+  const connectForm = (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-3">
+        <div className="col-span-2">
+          <Label htmlFor="jira-base-url">Jira URL</Label>
+          <Input
+            id="jira-base-url"
+            placeholder="https://yourcompany.atlassian.net"
+            value={target.base_url}
+            onChange={(e) => setTarget({ ...target, base_url: e.target.value })}
+          />
+        </div>
+        <div>
+          <Label htmlFor="jira-project-key">Project Key</Label>
+          <Input
+            id="jira-project-key"
+            placeholder="PROJ"
+            value={target.project_key}
+            onChange={(e) => setTarget({ ...target, project_key: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <Button size="sm" variant={auth.type === "basic" ? "default" : "outline"} onClick={() => setAuth({ ...auth, type: "basic" })}>
+          Jira Cloud API token
+        </Button>
+        <Button size="sm" variant={auth.type === "bearer" ? "default" : "outline"} onClick={() => setAuth({ ...auth, type: "bearer" })}>
+          Personal access token
+        </Button>
+      </div>
+
+      {auth.type === "basic" ? (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <Label htmlFor="jira-email">Account email</Label>
+            <Input id="jira-email" value={auth.email} onChange={(e) => setAuth({ ...auth, email: e.target.value })} />
+          </div>
+          <div>
+            <Label htmlFor="jira-api-token">API token</Label>
+            <Input
+              id="jira-api-token"
+              type="password"
+              autoComplete="off"
+              value={auth.api_token}
+              onChange={(e) => setAuth({ ...auth, api_token: e.target.value })}
+            />
+          </div>
+        </div>
+      ) : (
+        <div>
+          <Label htmlFor="jira-token">Token</Label>
+          <Input
+            id="jira-token"
+            type="password"
+            autoComplete="off"
+            value={auth.token}
+            onChange={(e) => setAuth({ ...auth, token: e.target.value })}
+          />
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <Button onClick={connectJira} disabled={loading || !canConnect}>
+          {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckSquare className="w-4 h-4 mr-2" />}
+          {connection ? "Reconnect" : "Connect Jira"}
+        </Button>
+        {reconnecting && (
+          <Button variant="outline" onClick={() => setReconnecting(false)}>Cancel</Button>
+        )}
+      </div>
+    </div>
+  );
+
   return (
     <Card>
       <CardHeader>
@@ -84,55 +235,164 @@ export const JiraConnector = ({ project, connection, onUpdate }) => {
         </CardTitle>
       </CardHeader>
       <CardContent className="space-y-4">
-        {!connection ? (
-          <div className="space-y-4">
-            <div>
-              <Label htmlFor="workspace-url">Workspace URL</Label>
-              <Input
-                id="workspace-url"
-                placeholder="https://yourcompany.atlassian.net"
-                value={config.workspace_url}
-                onChange={(e) => setConfig({ ...config, workspace_url: e.target.value })}
-              />
-            </div>
-            <div>
-              <Label htmlFor="project-key">Project Key</Label>
-              <Input
-                id="project-key"
-                placeholder="PROJ"
-                value={config.project_key}
-                onChange={(e) => setConfig({ ...config, project_key: e.target.value })}
-              />
-            </div>
-            <Button onClick={connectJira} disabled={loading || !config.workspace_url || !config.project_key}>
-              {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckSquare className="w-4 h-4 mr-2" />}
-              Connect Jira
-            </Button>
-          </div>
-        ) : (
+        {!connection || reconnecting ? connectForm : (
           <div className="space-y-4">
             <div className="flex items-center justify-between">
               <div>
                 <p className="font-semibold">{connection.name}</p>
-                <p className="text-sm text-gray-600">{connection.config.workspace_url}</p>
+                <p className="text-sm text-gray-600">{connection.config?.base_url} · {connection.config?.credential_hint}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                {connection.status === "connected" ? (
+                  <Badge className="bg-green-100 text-green-800">
+                    <CheckCircle2 className="w-3 h-3 mr-1" />
+                    Connected
+                  </Badge>
+                ) : (
+                  <Badge className="bg-red-100 text-red-800">
+                    <AlertTriangle className="w-3 h-3 mr-1" />
+                    {connection.sync_status?.message || "Connection error"}
+                  </Badge>
+                )}
+                <Button variant="outline" size="sm" onClick={() => setReconnecting(true)}>Reconnect</Button>
               </div>
-              <Badge className="bg-green-100 text-green-800">
-                <CheckCircle2 className="w-3 h-3 mr-1" />
-                Connected
-              </Badge>
             </div>
 
-            <Button onClick={syncSecurityFindings} disabled={loading} className="w-full">
-              {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <AlertTriangle className="w-4 h-4 mr-2" />}
-              Sync Security Findings
-            </Button>
+            {webhookSecret && (
+              <div className="p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm space-y-1">
+                <p className="font-medium">Webhook secret (shown once)</p>
+                <code className="block break-all text-xs">{webhookSecret}</code>
+                <p className="text-xs text-gray-600">
+                  In Jira, add a webhook for issue created, updated and deleted events pointing at the jiraConnector
+                  function with <code>?connection_id={connection.id}</code>, and paste this secret.
+                </p>
+              </div>
+            )}
 
-            {connection.sync_status?.message && (
-              <p className="text-sm text-gray-600">{connection.sync_status.message}</p>
+            <div className="flex items-center gap-3">
+              <Button onClick={syncNow} disabled={syncing}>
+                {syncing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+                Sync Tasks Now
+              </Button>
+              {connection.sync_status?.message && (
+                <p className="text-sm text-gray-600">{connection.sync_status.message}</p>
+              )}
+            </div>
+
+            {conflicts.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-semibold flex items-center gap-1">
+                  <GitMerge className="w-4 h-4 text-orange-600" />
+                  Conflicts: changed on both sides
+                </p>
+                {conflicts.map(link => (
+                  <div key={link.id} className="p-3 border rounded-lg space-y-2">
+                    <p className="text-sm font-medium">{link.issue_key} · {link.task_title}</p>
+                    {(link.conflicts || []).map(conflict => {
+                      const busy = resolving === `${link.id}:${conflict.field}`;
+                      return (
+                        <div key={conflict.field} className="grid grid-cols-[6rem_1fr_1fr] gap-2 items-start text-sm">
+                          <span className="text-gray-500">{FIELD_LABELS[conflict.field]}</span>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="h-auto whitespace-normal text-left justify-start"
+                            disabled={busy}
+                            onClick={() => resolve(link, conflict.field, Sides.ARCHDESIGNER)}
+                          >
+                            ArchDesigner: {formatValue(conflict.archdesigner)}
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="h-auto whitespace-normal text-left justify-start"
+                            disabled={busy}
+                            onClick={() => resolve(link, conflict.field, Sides.JIRA)}
+                          >
+                            Jira: {formatValue(conflict.jira)}
+                          </Button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {settings && (
+              <div className="space-y-3 pt-2 border-t">
+                <p className="text-sm font-semibold">Sync settings</p>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <Label>When both sides changed</Label>
+                    <Select value={settings.conflict_policy} onValueChange={(value) => setSettings({ ...settings, conflict_policy: value })}>
+                      <SelectTrigger><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(POLICY_LABELS).map(([value, label]) => (
+                          <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label>Scheduled sync</Label>
+                    <Select
+                      value={String(settings.sync_interval_minutes)}
+                      onValueChange={(value) => setSettings({ ...settings, sync_interval_minutes: Number(value) })}
+                    >
+                      <SelectTrigger><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(INTERVAL_LABELS).map(([value, label]) => (
+                          <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                <label className="flex items-center gap-2 text-sm">
+                  <Checkbox
+                    checked={settings.pull_new_issues}
+                    onCheckedChange={(checked) => setSettings({ ...settings, pull_new_issues: checked === true })}
+                  />
+                  Create tasks for new issues raised in Jira
+                </label>
+
+                <div className="grid grid-cols-2 gap-4">
+                  {[["status", "Task status → Jira status"], ["priority", "Task priority → Jira priority"]].map(([group, title]) => (
+                    <div key={group} className="space-y-2">
+                      <p className="text-xs font-semibold text-gray-600">{title}</p>
+                      {Object.keys(DEFAULT_FIELD_MAPPING[group]).map(key => (
+                        <div key={key} className="flex items-center gap-2">
+                          <span className="w-24 text-sm text-gray-500">{key.replace(/_/g, ' ')}</span>
+                          <Input
+                            className="h-8"
+                            value={settings.field_mapping[group]?.[key] || ""}
+                            onChange={(e) => setMapping(group, key, e.target.value)}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="w-24 text-sm text-gray-500">issue type</span>
+                  <Input
+                    className="h-8 w-48"
+                    value={settings.field_mapping.issue_type || ""}
+                    onChange={(e) => setSettings({ ...settings, field_mapping: { ...settings.field_mapping, issue_type: e.target.value } })}
+                  />
+                </div>
+
+                <Button variant="outline" onClick={saveSettings} disabled={saving}>
+                  {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                  Save Settings
+                </Button>
+              </div>
             )}
           </div>
         )}
       </CardContent>
     </Card>
   );
-};
\ No newline at end of file
+};
@@ -10,6 +10,7 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Save, X, Plus, Sparkles, Loader2 } from "lucide-react";
 import { motion } from "framer-motion";
 import { invokeLLM } from "../shared/AILLMProvider";
+import { ContextSources, indexContextRecord } from "../ai-context/useAIContext";
 
 const categories = [
   { value: "onboarding", label: "Onboarding Guide", icon: "🚀" },
@@ -84,15 +85,14 @@ export const DocumentEditor = ({ article, projectId, onSave, onCancel }) => {
   const handleSave = async () => {
     setSaving(true);
     try {
-      if (article?.id) {
-        await base44.entities.KnowledgeBase.update(article.id, formData);
-      } else {
-        await base44.entities.KnowledgeBase.create({
+      const saved = article?.id
+        ? await base44.entities.KnowledgeBase.update(article.id, formData)
+        : await base44.entities.KnowledgeBase.create({
           ...formData,
           project_id: projectId,
           auto_generated: false
         });
-      }
+      indexContextRecord(projectId, ContextSources.KNOWLEDGE, { ...article, ...formData, ...saved });
       onSave();
     } catch (error) {
       console.error("Save error:", error);
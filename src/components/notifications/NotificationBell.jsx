@@ -0,0 +1,200 @@
+import { useState, useMemo } from "react";
+import { useNavigate } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Bell, BellOff, CheckCheck, CheckSquare, Rocket, ShieldAlert } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { useNotifications } from "../shared/hooks/useNotifications";
+import PropTypes from "prop-types";
+
+const ALL_PROJECTS = "all";
+
+// `tab` is the ProjectDetail tabConfig id a notification opens
+const notificationTypes = {
+  security_alert: { label: "Security alerts", icon: ShieldAlert, color: "text-red-600", tab: "security" },
+  deployment_complete: { label: "Deployments", icon: Rocket, color: "text-green-600", tab: "auto-deploy" },
+  task_assigned: { label: "Task assignments", icon: CheckSquare, color: "text-blue-600", tab: "tasks" }
+};
+
+function notificationUrl(notification) {
+  if (!notification.project_id) return null;
+  const tab = notificationTypes[notification.type]?.tab;
+  return createPageUrl(`ProjectDetail?id=${notification.project_id}${tab ? `&tab=${tab}` : ''}`);
+}
+
+function MuteRules({ projectId, muted, onChange }) {
+  const toggle = (type, checked) => {
+    onChange(projectId, checked ? [...muted, type] : muted.filter(t => t !== type));
+  };
+
+  return (
+    <div className="px-4 py-3 border-b bg-gray-50 space-y-2">
+      <p className="text-xs font-medium text-gray-600">Mute for this project</p>
+      {Object.entries(notificationTypes).map(([type, meta]) => (
+        <div key={type} className="flex items-center gap-2">
+          <Checkbox
+            id={`mute-${type}`}
+            checked={muted.includes(type)}
+            onCheckedChange={(checked) => toggle(type, checked === true)}
+          />
+          <Label htmlFor={`mute-${type}`} className="text-sm font-normal">{meta.label}</Label>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+MuteRules.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  muted: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const { notifications, unreadCount, mutes, markRead, updateMutes } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const [projectFilter, setProjectFilter] = useState(ALL_PROJECTS);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [showMutes, setShowMutes] = useState(false);
+
+  const projects = useMemo(() => {
+    const byId = new Map();
+    notifications
+      .filter(n => n.project_id)
+      .forEach(n => byId.set(n.project_id, n.project_name || "Untitled project"));
+    return [...byId.entries()];
+  }, [notifications]);
+
+  const visible = notifications.filter(n =>
+    (projectFilter === ALL_PROJECTS || n.project_id === projectFilter) && (!unreadOnly || !n.read)
+  );
+  const visibleUnread = visible.filter(n => !n.read).map(n => n.id);
+  const projectMuted = mutes[projectFilter] || [];
+
+  const handleSelect = (notification) => {
+    if (!notification.read) markRead([notification.id]);
+    const url = notificationUrl(notification);
+    if (url) {
+      setOpen(false);
+      navigate(url);
+    }
+  };
+
+  const handleProjectChange = (value) => {
+    setProjectFilter(value);
+    setShowMutes(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" size="icon" className="relative" aria-label={`Notifications (${unreadCount} unread)`}>
+          <Bell className="w-5 h-5" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+              {unreadCount > 9 ? "9+" : unreadCount}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-96 p-0">
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <h3 className="font-semibold text-gray-900">Notifications</h3>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => markRead(visibleUnread)}
+            disabled={visibleUnread.length === 0}
+          >
+            <CheckCheck className="w-4 h-4 mr-1" />
+            Mark all read
+          </Button>
+        </div>
+
+        <div className="flex items-center gap-2 px-4 py-2 border-b">
+          <Select value={projectFilter} onValueChange={handleProjectChange}>
+            <SelectTrigger className="h-8 flex-1">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_PROJECTS}>All projects</SelectItem>
+              {projects.map(([id, name]) => (
+                <SelectItem key={id} value={id}>{name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            variant={unreadOnly ? "secondary" : "ghost"}
+            size="sm"
+            className="h-8"
+            onClick={() => setUnreadOnly(!unreadOnly)}
+          >
+            Unread
+          </Button>
+          {projectFilter !== ALL_PROJECTS && (
+            <Button
+              variant={showMutes || projectMuted.length > 0 ? "secondary" : "ghost"}
+              size="icon"
+              className="h-8 w-8"
+              onClick={() => setShowMutes(!showMutes)}
+              aria-label="Mute rules"
+            >
+              <BellOff className="w-4 h-4" />
+            </Button>
+          )}
+        </div>
+
+        {showMutes && projectFilter !== ALL_PROJECTS && (
+          <MuteRules projectId={projectFilter} muted={projectMuted} onChange={updateMutes} />
+        )}
+
+        <div className="max-h-96 overflow-y-auto">
+          {visible.length === 0 ? (
+            <p className="px-4 py-8 text-center text-sm text-gray-500">No notifications</p>
+          ) : (
+            <ul className="divide-y">
+              {visible.map(notification => {
+                const meta = notificationTypes[notification.type];
+                const Icon = meta?.icon || Bell;
+                return (
+                  <li key={notification.id}>
+                    <button
+                      type="button"
+                      onClick={() => handleSelect(notification)}
+                      className={`w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 transition-colors ${
+                        notification.read ? '' : 'bg-blue-50/50'
+                      }`}
+                    >
+                      <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${meta?.color || 'text-gray-500'}`} />
+                      <div className="flex-1 min-w-0">
+                        <p className={`text-sm truncate ${notification.read ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                          {notification.title}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {notification.project_name && `${notification.project_name} · `}
+                          {formatDistanceToNow(new Date(notification.created_date), { addSuffix: true })}
+                        </p>
+                      </div>
+                      {!notification.read && <span className="w-2 h-2 mt-1.5 rounded-full bg-blue-600 flex-shrink-0" />}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -11,6 +11,7 @@ import {
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import ReactMarkdown from "react-markdown";
+import { getRelevantContext } from "../ai-context/useAIContext";
 
 export default function AIProjectAssistant({ project, services }) {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
@@ -44,6 +45,12 @@ export default function AIProjectAssistant({ project, services }) {
     }
   };
 
+  // Past decisions, knowledge base articles and docs that bear on the request
+  const historySection = async (query) => {
+    const history = await getRelevantContext(project.id, query, { limit: 6, maxTokens: 1200 });
+    return history ? `\nRELEVANT PROJECT HISTORY:\n${history}\n` : "";
+  };
+
   const generateStandupSummary = async () => {
     setIsAnalyzing(true);
     try {
@@ -58,6 +65,9 @@ export default function AIProjectAssistant({ project, services }) {
       const completedTasks = tasks.filter(t => t.status === 'completed');
       const inProgressTasks = tasks.filter(t => t.status === 'in_progress');
       const blockedTasks = tasks.filter(t => t.status === 'blocked');
+      const history = await historySection(
+        `progress blockers ${[...inProgressTasks, ...blockedTasks].map(t => t.title).join(' ')}`
+      );
 
       const prompt = `Generate a comprehensive daily stand-up summary for this project:
 
@@ -86,7 +96,7 @@ API PERFORMANCE:
 ${apiGateways.length > 0 ? `Requests/Day: ${apiGateways[0].traffic_insights?.total_requests || 0}
 Avg Latency: ${apiGateways[0].traffic_insights?.avg_latency_ms || 0}ms
 Error Rate: ${apiGateways[0].traffic_insights?.error_rate || 0}%` : 'Not monitored'}
-
+${history}
 Generate a stand-up summary with:
 1. **Yesterday's Accomplishments** - What was delivered
 2. **Today's Focus** - What's in progress and priorities
@@ -120,6 +130,9 @@ Make it actionable, concise, and suitable for team sync meetings.`;
       const blockedTasks = tasks.filter(t => t.status === 'blocked');
       const backlogTasks = tasks.filter(t => t.status === 'backlog');
       const criticalTasks = tasks.filter(t => t.priority_level === 'critical');
+      const history = await historySection(
+        `risks incidents failures ${[...blockedTasks, ...criticalTasks].map(t => `${t.title} ${t.description || ''}`).join(' ')}`
+      );
 
       const prompt = `Analyze project risks and provide proactive recommendations:
 
@@ -147,7 +160,7 @@ ${performanceTunings.length > 0 ? `- Performance Score: ${performanceTunings[0].
 
 DOCUMENTATION:
 - Outdated docs: ${documentation.length}
-
+${history}
 Identify and analyze:
 1. **Critical Risks** - Immediate threats to delivery
 2. **Medium Risks** - Issues requiring monitoring
@@ -175,6 +188,7 @@ Format as structured markdown with risk levels, impact assessment, and recommend
         base44.entities.ServiceDiscovery.filter({ project_id: project.id }, '-created_date', 1),
         base44.entities.ValidationReport.filter({ project_id: project.id }, '-created_date', 1)
       ]);
+      const history = await historySection(`priorities ${tasks.slice(0, 15).map(t => t.title).join(' ')}`);
 
       const prompt = `Generate intelligent task prioritization for this project:
 
@@ -200,7 +214,7 @@ VALIDATION ISSUES:
 ${validationReports.length > 0 ? `
 Issues requiring resolution: ${(validationReports[0].issues || []).slice(0, 5).map(i => i.title).join(', ')}
 ` : 'None'}
-
+${history}
 Create prioritized task recommendations with:
 1. **This Week's Must-Dos** - Highest impact, unblocked tasks
 2. **Dependencies First** - Tasks blocking others
@@ -230,6 +244,7 @@ Provide clear rationale for each priority tier.`;
         base44.entities.ArchitectureRefinement.filter({ project_id: project.id }, '-created_date', 1),
         base44.entities.CICDConfiguration.filter({ project_id: project.id }, '-created_date', 1)
       ]);
+      const history = await historySection(`architecture decisions ${services.map(s => s.name).join(' ')}`);
 
       const prompt = `Generate a stakeholder-friendly collaboration summary:
 
@@ -259,7 +274,7 @@ ${cicdConfigs.length > 0 ? `
 Platform: ${cicdConfigs[0].platform}
 Deployment: ${cicdConfigs[0].deployment_targets?.map(t => t.environment).join(', ')}
 ` : 'Not configured'}
-
+${history}
 Create a collaboration summary with:
 1. **Key Architectural Decisions** - What and why
 2. **Technical Direction** - Where we're headed
@@ -22,6 +22,8 @@ import { motion } from "framer-motion";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"; // New import
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts"; // New import
 import { format } from "date-fns"; // New import
+import ArchitectureLintPanel, { EXECUTABLE_RULE_SCHEMA } from "./ArchitectureLintPanel";
+import { analyzeGraph } from "../../../functions/lib/graphAnalytics";
 
 const severityConfig = {
   critical: {
@@ -182,6 +184,7 @@ export default function AIValidator({ project, services }) {
           rationale: suggestion.rationale || "AI-suggested rule",
           category: suggestion.category,
           confidence: Math.max(0, Math.min(1, suggestion.confidence || 0.7)),
+          executable_rule: suggestion.executable_rule || null,
           accepted: false
         })
       );
@@ -262,6 +265,10 @@ export default function AIValidator({ project, services }) {
         rules: validationRules[cat] || []
       }));
 
+      // Computed, so the model reasons from facts instead of guessing at the graph
+      const graph = analyzeGraph(services);
+      const nameOf = (id) => services.find(s => s.id === id)?.name || id;
+
       const prompt = `You are an expert software architect specializing in microservices. Analyze this architecture and provide a detailed validation report.
 
 PROJECT: ${project.name}
@@ -275,9 +282,15 @@ ${services.map(s => `
   Description: ${s.description}
   APIs: ${(s.apis || []).map(api => `${api.method || 'GET'} ${api.endpoint}`).join(', ') || 'None'}
   Technologies: ${(s.technologies || []).join(', ') || 'None'}
-  Dependencies: ${(s.depends_on || []).length} services${(s.depends_on || []).length > 0 ? ` (depends on: ${(s.depends_on || []).map(dep => dep.name).join(', ')})` : ''}
+  Dependencies: ${(s.depends_on || []).length} services${(s.depends_on || []).length > 0 ? ` (depends on: ${(s.depends_on || []).map(nameOf).join(', ')})` : ''}
 `).join('\n')}
 
+DEPENDENCY GRAPH FACTS (computed, treat as ground truth):
+- Cycles: ${graph.cycles.length > 0 ? graph.cycles.map(c => c.map(nameOf).join(' <-> ')).join('; ') : 'none'}
+- Critical path (${graph.critical_path.length} services): ${graph.critical_path.path.map(nameOf).join(' -> ') || 'none'}
+- Hotspots: ${graph.hotspots.map(h => `${nameOf(h.node_id)} (${h.risk_level}, ${h.blast_radius} dependents)`).join(', ') || 'none'}
+- Deploy waves: ${graph.deploy_order.waves.length}
+
 VALIDATION CATEGORIES AND RULES TO CHECK:
 ${selectedRules.map(({category, rules}) => `
 ${category.toUpperCase()}:
@@ -297,7 +310,7 @@ Please analyze the architecture against these specific rules (if provided for a
 4. Architecture strengths and positive patterns.
 5. Suggestions for missing components that could improve the architecture (e.g., API Gateway, Message Queue, Cache Layer, Observability tools).
 6. Detection of anti-patterns with examples (e.g., circular dependencies, god services, chatty interfaces, distributed monolith).
-7. NEW: Suggested new validation rules we should add based on patterns you see. For discovered_rules, suggest 2-3 new validation rules that would catch similar issues in the future, including a category and confidence score.
+7. NEW: Suggested new validation rules we should add based on patterns you see. For discovered_rules, suggest 2-3 new validation rules that would catch similar issues in the future, including a category and confidence score. When a rule maps onto one of the executable_rule templates, include it so the static linter can enforce it.
 
 Be specific and reference actual service names and their relationships. Use a formal, objective tone.`;
 
@@ -381,7 +394,8 @@ Be specific and reference actual service names and their relationships. Use a fo
                   rule: { type: "string", description: "The suggested new validation rule" },
                   rationale: { type: "string", description: "Explanation of why this rule is valuable" },
                   category: { type: "string", description: "Category for the new rule (security, performance, resilience, architecture)" },
-                  confidence: { type: "number", description: "AI's confidence in the rule's relevance (0-1)" }
+                  confidence: { type: "number", description: "AI's confidence in the rule's relevance (0-1)" },
+                  executable_rule: EXECUTABLE_RULE_SCHEMA
                 },
                 required: ["rule", "rationale", "category"]
               },
@@ -525,6 +539,8 @@ Be specific and reference actual service names and their relationships. Use a fo
 
   return (
     <div className="space-y-6">
+      <ArchitectureLintPanel project={project} />
+
       {/* Category Selection */}
       <Card className="bg-white shadow-md border-0">
         <CardHeader>
@@ -0,0 +1,145 @@
+import { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { AlertCircle, AlertTriangle, CheckCircle2, Info, Loader2, ShieldCheck, Wrench } from "lucide-react";
+import { toast } from "sonner";
+import PropTypes from "prop-types";
+
+// Mirrors RULE_TEMPLATES in functions/lib/archLinter.ts. Discovered rules that
+// carry an executable_rule run in the static linter; the rest stay advisory.
+export const EXECUTABLE_RULE_SCHEMA = {
+  type: "object",
+  description: "Optional deterministic check for this rule. Omit when no template fits.",
+  properties: {
+    template: {
+      type: "string",
+      enum: [
+        "max_fan_out",
+        "max_fan_in",
+        "required_technology",
+        "forbidden_technology",
+        "required_endpoint",
+        "forbidden_dependency"
+      ]
+    },
+    params: {
+      type: "object",
+      description: "max (integer) for fan-in/out; technology and optional category for technology rules; path (e.g. /health) and optional category for required_endpoint; from_category and to_category for forbidden_dependency"
+    }
+  },
+  required: ["template", "params"]
+};
+
+const severityConfig = {
+  critical: { icon: AlertCircle, color: "text-red-600", bg: "bg-red-50", border: "border-red-500" },
+  high: { icon: AlertTriangle, color: "text-orange-600", bg: "bg-orange-50", border: "border-orange-500" },
+  medium: { icon: AlertTriangle, color: "text-yellow-600", bg: "bg-yellow-50", border: "border-yellow-500" },
+  low: { icon: Info, color: "text-blue-600", bg: "bg-blue-50", border: "border-blue-500" }
+};
+
+export default function ArchitectureLintPanel({ project }) {
+  const [result, setResult] = useState(null);
+  const [isLinting, setIsLinting] = useState(false);
+
+  const runLint = async () => {
+    setIsLinting(true);
+    try {
+      const { data } = await base44.functions.invoke('apiGateway', {
+        route: 'lint-architecture',
+        payload: { project_id: project.id }
+      });
+      setResult(data.data);
+    } catch (error) {
+      console.error("Error running architecture lint:", error);
+      toast.error(error.response?.data?.error?.message || "Architecture lint failed");
+    }
+    setIsLinting(false);
+  };
+
+  return (
+    <Card className="bg-white shadow-md border-0">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-blue-600" />
+            Static Architecture Lint
+          </CardTitle>
+          <Button onClick={runLint} disabled={isLinting} variant="outline">
+            {isLinting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ShieldCheck className="w-4 h-4 mr-2" />}
+            {result ? "Re-run Lint" : "Run Lint"}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!result ? (
+          <p className="text-gray-600">
+            Deterministic rule checks over your services and API integrations. Same architecture, same findings.
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-3xl font-bold text-gray-900">{result.score}</span>
+              <span className="text-sm text-gray-500">/ 100</span>
+              {Object.entries(result.summary.by_severity)
+                .filter(([, count]) => count > 0)
+                .map(([severity, count]) => (
+                  <Badge key={severity} variant="outline" className={`capitalize ${severityConfig[severity]?.color}`}>
+                    {count} {severity}
+                  </Badge>
+                ))}
+              <span className="text-xs text-gray-500 ml-auto">
+                {result.rules_run.length} rules · linter v{result.linter_version}
+              </span>
+            </div>
+
+            {result.skipped_rules?.length > 0 && (
+              <p className="text-sm text-yellow-700">
+                {result.skipped_rules.length} discovered rule(s) skipped: {result.skipped_rules.map(s => s.errors.join(', ')).join('; ')}
+              </p>
+            )}
+
+            {result.findings.length === 0 ? (
+              <div className="flex items-center gap-2 text-green-700">
+                <CheckCircle2 className="w-5 h-5" />
+                No rule violations found.
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {result.findings.map(finding => {
+                  const config = severityConfig[finding.severity] || severityConfig.medium;
+                  const Icon = config.icon;
+                  return (
+                    <div key={finding.fingerprint} className={`border-l-4 ${config.border} ${config.bg} rounded-lg p-4`}>
+                      <div className="flex items-start gap-3">
+                        <Icon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${config.color}`} />
+                        <div className="flex-1 min-w-0">
+                          <div className="flex flex-wrap items-center gap-2 mb-1">
+                            <Badge variant="outline" className="font-mono text-xs">{finding.rule_id}</Badge>
+                            <h4 className="font-semibold text-gray-900">{finding.title}</h4>
+                          </div>
+                          <p className="text-sm text-gray-700">{finding.description}</p>
+                          <p className="text-sm text-gray-700 mt-2 flex items-start gap-1">
+                            <Wrench className="w-4 h-4 mt-0.5 flex-shrink-0 text-gray-500" />
+                            {finding.fix_hint}
+                          </p>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+ArchitectureLintPanel.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired
+  }).isRequired
+};
@@ -0,0 +1,258 @@
+import { useRef, useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { AlertTriangle, CheckCircle2, Download, FileCode2, Loader2, Play, Upload } from "lucide-react";
+import { toast } from "sonner";
+import { downloadFile } from "../shared/FileActions";
+import PropTypes from "prop-types";
+
+const KIND_LABELS = {
+  project: "Project",
+  service: "Services",
+  feature_flag: "Feature Flags",
+  cicd: "CI/CD"
+};
+
+const ACTION_STYLES = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-amber-100 text-amber-800",
+  delete: "bg-red-100 text-red-800"
+};
+
+async function invokeArchSpec(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'arch-spec', payload });
+  return data.data;
+}
+
+function apiError(error) {
+  return error.response?.data?.error || { message: error.message || "Request failed" };
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "—";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function ChangeRow({ change }) {
+  return (
+    <div className="border rounded-lg p-3">
+      <div className="flex items-center gap-2">
+        <Badge className={`${ACTION_STYLES[change.action]} capitalize`}>{change.action}</Badge>
+        <span className="font-mono text-sm">{change.key}</span>
+      </div>
+      {change.diff?.length > 0 && (
+        <ul className="mt-2 space-y-1 text-xs font-mono">
+          {change.diff.map(d => (
+            <li key={d.field} className="flex flex-wrap gap-1">
+              <span className="text-gray-500">{d.field}:</span>
+              <span className="text-red-700 line-through break-all">{formatValue(d.from)}</span>
+              <span className="text-gray-400">→</span>
+              <span className="text-green-700 break-all">{formatValue(d.to)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Architecture as code: export the project as archdesigner.yaml, or paste
+ * an edited spec, review the plan against the project and apply it.
+ */
+export default function ArchitectureSpecPanel({ project, services, onReload }) {
+  const [source, setSource] = useState("");
+  const [prune, setPrune] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const editSource = (next) => {
+    setSource(next);
+    setPlan(null);
+  };
+
+  const exportSpec = async () => {
+    setBusy("export");
+    try {
+      const result = await invokeArchSpec({ action: "export", project_id: project.id });
+      setSource(result.content);
+      setPlan(null);
+      downloadFile(result.filename, result.content);
+      toast.success(`Exported ${result.counts.services} service(s) and ${result.counts.feature_flags} flag(s)`);
+    } catch (error) {
+      toast.error(apiError(error).message);
+    }
+    setBusy(null);
+  };
+
+  const importFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) editSource(await file.text());
+  };
+
+  const runPlan = async () => {
+    setBusy("plan");
+    try {
+      setPlan(await invokeArchSpec({ action: "plan", project_id: project.id, source, prune }));
+    } catch (error) {
+      toast.error(apiError(error).message);
+    }
+    setBusy(null);
+  };
+
+  const applyPlan = async () => {
+    const { create, update, delete: remove } = plan.summary;
+    if (remove > 0 && !confirm(`This deletes ${remove} resource(s). Apply the plan?`)) return;
+
+    setBusy("apply");
+    try {
+      const result = await invokeArchSpec({ action: "apply", project_id: project.id, source, prune, plan_id: plan.plan_id });
+      toast.success(`Applied ${create} create(s), ${update} update(s), ${remove} delete(s)`);
+      setPlan(null);
+      setBusy(null);
+      if (result.applied.length > 0) onReload?.();
+    } catch (error) {
+      const { code, message, details } = apiError(error);
+      toast.error(message);
+      setBusy(null);
+      // Someone changed the project since the plan was made: show the fresh one
+      if (code === "CONFLICT") await runPlan();
+      else if (details?.applied?.length > 0) onReload?.();
+    }
+  };
+
+  const grouped = plan?.valid
+    ? Object.keys(KIND_LABELS)
+      .map(kind => ({ kind, changes: plan.changes.filter(c => c.kind === kind) }))
+      .filter(group => group.changes.length > 0)
+    : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Architecture as Code</h3>
+          <p className="text-sm text-gray-600">
+            Keep {services.length} service(s), feature flags and CI/CD settings in archdesigner.yaml
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".yaml,.yml"
+            className="hidden"
+            onChange={importFile}
+          />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={busy !== null}>
+            <Upload className="w-4 h-4 mr-2" />
+            Import
+          </Button>
+          <Button variant="outline" onClick={exportSpec} disabled={busy !== null}>
+            {busy === "export" ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+            Export
+          </Button>
+        </div>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-4 space-y-3">
+          <Textarea
+            value={source}
+            onChange={(e) => editSource(e.target.value)}
+            placeholder="Paste archdesigner.yaml, import a file or export this project to start from"
+            className="font-mono text-xs min-h-[16rem]"
+            spellCheck={false}
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <Switch
+                id="arch-spec-prune"
+                checked={prune}
+                onCheckedChange={(checked) => {
+                  setPrune(checked);
+                  setPlan(null);
+                }}
+              />
+              <Label htmlFor="arch-spec-prune" className="text-sm text-gray-700">
+                Delete resources missing from the spec
+              </Label>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={runPlan} disabled={busy !== null || source.trim() === ""}>
+                {busy === "plan" ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FileCode2 className="w-4 h-4 mr-2" />}
+                Plan
+              </Button>
+              <Button
+                onClick={applyPlan}
+                disabled={busy !== null || !plan?.valid || plan.changes.length === 0}
+                className="bg-purple-600 hover:bg-purple-700 text-white"
+              >
+                {busy === "apply" ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
+                Apply
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {plan && !plan.valid && (
+        <Card className="bg-red-50 border-red-200">
+          <CardContent className="p-4">
+            <div className="flex items-center gap-2 text-red-800 font-medium mb-2">
+              <AlertTriangle className="w-4 h-4" />
+              The spec is not valid
+            </div>
+            <ul className="text-sm text-red-800 font-mono space-y-1">
+              {plan.errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
+      {plan?.valid && (
+        <Card className="bg-white">
+          <CardHeader>
+            <CardTitle className="flex flex-wrap items-center gap-2 text-base">
+              Plan
+              <Badge className={ACTION_STYLES.create}>{plan.summary.create} to create</Badge>
+              <Badge className={ACTION_STYLES.update}>{plan.summary.update} to change</Badge>
+              <Badge className={ACTION_STYLES.delete}>{plan.summary.delete} to delete</Badge>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {grouped.length === 0 ? (
+              <p className="flex items-center gap-2 text-sm text-gray-600">
+                <CheckCircle2 className="w-4 h-4 text-green-600" />
+                The project already matches the spec.
+              </p>
+            ) : grouped.map(group => (
+              <div key={group.kind} className="space-y-2">
+                <h4 className="text-sm font-semibold text-gray-700">{KIND_LABELS[group.kind]}</h4>
+                {group.changes.map(change => (
+                  <ChangeRow key={`${change.action}:${change.key}`} change={change} />
+                ))}
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+ArchitectureSpecPanel.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  services: PropTypes.array.isRequired,
+  onReload: PropTypes.func
+};
@@ -10,6 +10,16 @@ import {
   PlayCircle, StopCircle, GitBranch, Download, Zap, Shield
 } from "lucide-react";
 import { motion } from "framer-motion";
+import { useGatewayJobs } from "../shared/hooks/useGatewayJobs";
+
+const JOB_BADGE_STYLES = {
+  queued: "bg-slate-500",
+  running: "bg-blue-600",
+  completed: "bg-green-600",
+  failed: "bg-red-600",
+  cancelled: "bg-gray-500",
+  expired: "bg-gray-500"
+};
 
 export default function CICDAutomationEngine({ project, services }) {
   const [isGenerating, setIsGenerating] = useState(false);
@@ -19,6 +29,8 @@ export default function CICDAutomationEngine({ project, services }) {
   const [automation, setAutomation] = useState(null);
   const [deploymentScripts, setDeploymentScripts] = useState(null);
   const [copied, setCopied] = useState("");
+  const pipelineJobs = useGatewayJobs(project?.id, 'generate-cicd');
+  const pipelineJob = pipelineJobs.latestJob;
 
   useEffect(() => {
     loadExistingAutomation();
@@ -41,6 +53,23 @@ export default function CICDAutomationEngine({ project, services }) {
     }
   };
 
+  // Pipeline generation runs as a background gateway job; its result is
+  // stored as a CICDConfiguration, which generateAutomation picks up
+  const generatePipeline = async () => {
+    try {
+      const cicdConfigs = await base44.entities.CICDConfiguration.filter(
+        { project_id: project.id },
+        '-created_date',
+        1
+      );
+      await pipelineJobs.submit({
+        platform: cicdConfigs.length > 0 ? cicdConfigs[0].platform : 'github_actions'
+      });
+    } catch (error) {
+      console.error("Error starting pipeline generation:", error);
+    }
+  };
+
   const generateAutomation = async () => {
     setIsGenerating(true);
     try {
@@ -294,6 +323,42 @@ Make scripts production-ready with error handling, logging, and idempotency.`;
                 </>
               )}
             </Button>
+
+            <div className="flex flex-wrap items-center gap-3">
+              <Button
+                onClick={generatePipeline}
+                disabled={pipelineJobs.isSubmitting || pipelineJobs.isActive}
+                variant="outline"
+                size="sm"
+                className="bg-transparent hover:bg-white/10 text-emerald-100 border-white/20"
+              >
+                {pipelineJobs.isActive ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <GitBranch className="w-4 h-4 mr-2" />
+                )}
+                Generate CI Pipeline in Background
+              </Button>
+              {pipelineJob && (
+                <Badge className={JOB_BADGE_STYLES[pipelineJob.status]}>
+                  Pipeline: {pipelineJob.status}
+                </Badge>
+              )}
+              {pipelineJobs.isActive && (
+                <Button
+                  onClick={() => pipelineJobs.cancel(pipelineJob.job_id)}
+                  variant="ghost"
+                  size="sm"
+                  className="text-emerald-100 hover:bg-white/10"
+                >
+                  <StopCircle className="w-4 h-4 mr-1" />
+                  Cancel
+                </Button>
+              )}
+              {pipelineJob?.status === 'failed' && (
+                <span className="text-sm text-red-200">{pipelineJob.error?.message}</span>
+              )}
+            </div>
           </CardContent>
         </Card>
       </motion.div>
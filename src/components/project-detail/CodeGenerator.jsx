@@ -4,12 +4,11 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Textarea } from "@/components/ui/textarea";
-import { Badge } from "@/components/ui/badge";
-import { Code, Loader2, Download, Copy, CheckCircle2, FileArchive } from "lucide-react";
+import { Code, Loader2, FileArchive } from "lucide-react";
 import { motion } from "framer-motion";
-import JSZip from "jszip";
-import { saveAs } from "file-saver";
 import { toast } from "sonner";
+import ProjectTreeBrowser from "../shared/ProjectTreeBrowser";
+import { downloadZip } from "../shared/FileActions";
 
 const languages = [
   { value: "typescript", label: "TypeScript", frameworks: ["Node.js/Express", "NestJS", "Fastify"] },
@@ -54,6 +53,23 @@ const cicdPlatforms = [
   { value: "azure", label: "Azure DevOps" }
 ];
 
+// generateCICD platform ids for the choices above
+const CICD_PLATFORM_IDS = {
+  github: "github_actions",
+  gitlab: "gitlab_ci",
+  jenkins: "jenkins",
+  circleci: "circleci",
+  azure: "azure_devops"
+};
+
+const CICD_FILENAMES = {
+  github: ".github/workflows/ci.yml",
+  gitlab: ".gitlab-ci.yml",
+  jenkins: "Jenkinsfile",
+  circleci: ".circleci/config.yml",
+  azure: "azure-pipelines.yml"
+};
+
 export default function CodeGenerator({ project, services }) {
   const [isGenerating, setIsGenerating] = useState(false);
   const [selectedLanguage, setSelectedLanguage] = useState("typescript");
@@ -66,13 +82,42 @@ export default function CodeGenerator({ project, services }) {
   const [includeCICD, setIncludeCICD] = useState(false);
   const [requirements, setRequirements] = useState("");
   const [generatedCode, setGeneratedCode] = useState(null);
-  const [copied, setCopied] = useState(false);
 
   const currentLanguage = languages.find(l => l.value === selectedLanguage);
 
+  // A full service for an existing service is generated server-side as a
+  // complete, syntax-checked project tree
+  const generateServiceProject = async () => {
+    const { data } = await base44.functions.invoke('apiGateway', {
+      route: 'generate-code',
+      payload: {
+        service_id: selectedService,
+        language: selectedLanguage,
+        framework: selectedFramework,
+        architecture_pattern: selectedPattern,
+        include_cicd: includeCICD,
+        cicd_platform: CICD_PLATFORM_IDS[selectedCICD]
+      }
+    });
+    const result = data.data;
+    setGeneratedCode({
+      file_structure: result.code.files,
+      setup_instructions: (result.code.setup_commands || []).join("\n"),
+      root: result.root,
+      syntax: result.syntax,
+      generated_at: result.generation_metadata.generated_at
+    });
+  };
+
   const generateCode = async () => {
     setIsGenerating(true);
     try {
+      if (selectedType === "full_service" && selectedService) {
+        await generateServiceProject();
+        setIsGenerating(false);
+        return;
+      }
+
       const service = services.find(s => s.id === selectedService);
       
       const prompt = `Generate ${selectedType} code in ${selectedLanguage} using ${selectedFramework} framework for a ${selectedPattern} architecture.
@@ -140,62 +185,32 @@ ${includeCICD ? '- cicd_config: CI/CD pipeline configuration' : ''}`;
         generated_code: result.cicd_config || ""
       });
 
-      setGeneratedCode(result);
+      setGeneratedCode({ ...result, generated_at: new Date().toISOString() });
     } catch (error) {
       console.error("Error generating code:", error);
+      toast.error(error.response?.data?.error?.message || "Failed to generate code");
     }
     setIsGenerating(false);
   };
 
-  const copyToClipboard = (content) => {
-    navigator.clipboard.writeText(content);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
-  };
-
-  const downloadAll = () => {
-    if (!generatedCode?.file_structure) return;
-    
-    generatedCode.file_structure.forEach(file => {
-      const blob = new Blob([file.content], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = file.path.split('/').pop();
-      a.click();
-      URL.revokeObjectURL(url);
-    });
+  // Pipeline config from the LLM path is not in file_structure yet
+  const projectFiles = () => {
+    const files = [...(generatedCode?.file_structure || [])];
+    if (generatedCode?.cicd_config && !files.some(f => f.path === CICD_FILENAMES[selectedCICD])) {
+      files.push({ path: CICD_FILENAMES[selectedCICD] || "ci-cd-config.yml", content: generatedCode.cicd_config, kind: "ci" });
+    }
+    if (generatedCode?.setup_instructions && !files.some(f => f.path === "README.md")) {
+      files.push({ path: "README.md", content: generatedCode.setup_instructions, kind: "docs" });
+    }
+    return files;
   };
 
   const downloadAsZip = async () => {
     if (!generatedCode?.file_structure) return;
     
     try {
-      const zip = new JSZip();
-      
-      // Add all generated files to ZIP
-      generatedCode.file_structure.forEach(file => {
-        zip.file(file.path, file.content);
-      });
-      
-      // Add README with setup instructions
-      if (generatedCode.setup_instructions) {
-        zip.file("README.md", generatedCode.setup_instructions);
-      }
-      
-      // Add CI/CD config if present
-      if (generatedCode.cicd_config) {
-        const cicdFilename = selectedCICD === 'github' ? '.github/workflows/ci.yml' :
-                            selectedCICD === 'gitlab' ? '.gitlab-ci.yml' :
-                            selectedCICD === 'jenkins' ? 'Jenkinsfile' :
-                            'ci-cd-config.yml';
-        zip.file(cicdFilename, generatedCode.cicd_config);
-      }
-      
-      // Generate and download ZIP
-      const content = await zip.generateAsync({ type: "blob" });
       const serviceName = services.find(s => s.id === selectedService)?.name || 'generated-service';
-      saveAs(content, `${serviceName}-${selectedLanguage}.zip`);
+      await downloadZip(`${generatedCode.root || serviceName}-${selectedLanguage}.zip`, projectFiles(), generatedCode.root);
       toast.success("Downloaded project as ZIP");
     } catch (error) {
       console.error("Failed to create ZIP:", error);
@@ -337,40 +352,14 @@ ${includeCICD ? '- cicd_config: CI/CD pipeline configuration' : ''}`;
             <CardHeader>
               <div className="flex justify-between items-center">
                 <CardTitle className="text-lg">Generated Files</CardTitle>
-                <div className="flex gap-2">
-                  <Button onClick={downloadAsZip} variant="default" size="sm" className="bg-gradient-to-r from-blue-600 to-purple-600">
-                    <FileArchive className="w-4 h-4 mr-2" />
-                    Download ZIP
-                  </Button>
-                  <Button onClick={downloadAll} variant="outline" size="sm">
-                    <Download className="w-4 h-4 mr-2" />
-                    Individual Files
-                  </Button>
-                </div>
+                <Button onClick={downloadAsZip} variant="default" size="sm" className="bg-gradient-to-r from-blue-600 to-purple-600">
+                  <FileArchive className="w-4 h-4 mr-2" />
+                  Download ZIP
+                </Button>
               </div>
             </CardHeader>
             <CardContent className="space-y-4">
-              {generatedCode.file_structure?.map((file, i) => (
-                <Card key={i} className="bg-gray-50">
-                  <CardHeader className="pb-3">
-                    <div className="flex justify-between items-center">
-                      <Badge variant="outline">{file.path}</Badge>
-                      <Button
-                        onClick={() => copyToClipboard(file.content)}
-                        variant="ghost"
-                        size="sm"
-                      >
-                        {copied ? <CheckCircle2 className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
-                      </Button>
-                    </div>
-                  </CardHeader>
-                  <CardContent>
-                    <pre className="bg-gray-900 text-gray-100 p-4 rounded text-xs overflow-x-auto max-h-96">
-                      {file.content}
-                    </pre>
-                  </CardContent>
-                </Card>
-              ))}
+              <ProjectTreeBrowser key={generatedCode.generated_at} files={projectFiles()} syntax={generatedCode.syntax} />
 
               {generatedCode.setup_instructions && (
                 <Card className="bg-blue-50 border-blue-200">
@@ -384,32 +373,10 @@ ${includeCICD ? '- cicd_config: CI/CD pipeline configuration' : ''}`;
                   </CardContent>
                 </Card>
               )}
-
-              {generatedCode.cicd_config && (
-                <Card className="bg-green-50 border-green-200">
-                  <CardHeader>
-                    <div className="flex justify-between items-center">
-                      <CardTitle className="text-sm">CI/CD Pipeline Configuration</CardTitle>
-                      <Button
-                        onClick={() => copyToClipboard(generatedCode.cicd_config)}
-                        variant="ghost"
-                        size="sm"
-                      >
-                        {copied ? <CheckCircle2 className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
-                      </Button>
-                    </div>
-                  </CardHeader>
-                  <CardContent>
-                    <pre className="bg-gray-900 text-gray-100 p-4 rounded text-xs overflow-x-auto max-h-96">
-                      {generatedCode.cicd_config}
-                    </pre>
-                  </CardContent>
-                </Card>
-              )}
             </CardContent>
           </Card>
         </motion.div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -4,15 +4,31 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Badge } from "@/components/ui/badge";
-import { Users, Plus, Activity, Clock } from "lucide-react";
+import { Users, Plus, Activity, Clock, Network, Radio } from "lucide-react";
 import { motion } from "framer-motion";
 import { format } from "date-fns";
+import { Link } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+import { useCollaboration } from "../shared/hooks/useCollaboration";
+import LivePresence from "../visual-editor/LivePresence";
+import SessionWorkspace from "./SessionWorkspace";
 
-export default function CollaborationHub({ project }) {
+// Canvas fields captured when a session starts, the starting point of its replay
+const BASELINE_FIELDS = ["id", "name", "category", "icon", "position", "depends_on", "updated_date"];
+
+function baselineOf(services) {
+  return services.map(service => Object.fromEntries(BASELINE_FIELDS.map(field => [field, service[field]])));
+}
+
+export default function CollaborationHub({ project, services = [] }) {
   const [sessions, setSessions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [newSessionName, setNewSessionName] = useState("");
   const [activeSession, setActiveSession] = useState(null);
+  const [viewedSession, setViewedSession] = useState(null);
+
+  // Joining the room here shows who is in the session right now
+  const live = useCollaboration({ project, session: activeSession, services, enabled: Boolean(activeSession) });
 
   useEffect(() => {
     loadSessions();
@@ -57,7 +73,8 @@ export default function CollaborationHub({ project }) {
           timestamp: new Date().toISOString(),
           details: `Created session: ${newSessionName}`
         }],
-        status: "active"
+        status: "active",
+        baseline_services: baselineOf(services)
       });
 
       setNewSessionName("");
@@ -123,6 +140,28 @@ export default function CollaborationHub({ project }) {
               </div>
             </CardHeader>
             <CardContent className="space-y-4">
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-semibold flex items-center gap-2">
+                    <Radio className="w-4 h-4" />
+                    In Session Now ({live.peers.length})
+                  </h4>
+                  <Link to={createPageUrl(`ProjectDetail?id=${project.id}&tab=visual`)}>
+                    <Button size="sm" variant="outline">
+                      <Network className="w-4 h-4 mr-2" />
+                      Open Canvas
+                    </Button>
+                  </Link>
+                </div>
+                <LivePresence
+                  status={live.status}
+                  peers={live.peers}
+                  selfId={live.selfId}
+                  leaderId={live.leaderId}
+                  showNames
+                />
+              </div>
+
               <div>
                 <h4 className="text-sm font-semibold mb-2 flex items-center gap-2">
                   <Users className="w-4 h-4" />
@@ -138,6 +177,8 @@ export default function CollaborationHub({ project }) {
                 </div>
               </div>
 
+              <SessionWorkspace project={project} session={activeSession} live={live} />
+
               {activeSession.changes_log && activeSession.changes_log.length > 0 && (
                 <div>
                   <h4 className="text-sm font-semibold mb-2 flex items-center gap-2">
@@ -174,19 +215,29 @@ export default function CollaborationHub({ project }) {
           ) : (
             <div className="space-y-2">
               {sessions.filter(s => s.status !== 'active').map(session => (
-                <div key={session.id} className="flex items-center justify-between p-3 bg-gray-50 rounded">
-                  <div>
-                    <p className="font-medium text-sm">{session.session_name}</p>
-                    <p className="text-xs text-gray-500">
-                      {session.participants?.length || 0} participants
-                    </p>
-                  </div>
-                  <div className="text-right">
-                    <Badge variant="outline">{session.status}</Badge>
-                    <p className="text-xs text-gray-500 mt-1">
-                      {format(new Date(session.created_date), 'MMM d, HH:mm')}
-                    </p>
-                  </div>
+                <div key={session.id} className="space-y-2">
+                  <button
+                    onClick={() => setViewedSession(viewedSession?.id === session.id ? null : session)}
+                    className="w-full text-left flex items-center justify-between p-3 bg-gray-50 hover:bg-gray-100 rounded"
+                  >
+                    <div>
+                      <p className="font-medium text-sm">{session.session_name}</p>
+                      <p className="text-xs text-gray-500">
+                        {session.participants?.length || 0} participants
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <Badge variant="outline">{session.status}</Badge>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {format(new Date(session.created_date), 'MMM d, HH:mm')}
+                      </p>
+                    </div>
+                  </button>
+                  {viewedSession?.id === session.id && (
+                    <div className="p-3 border rounded">
+                      <SessionWorkspace project={project} session={session} />
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
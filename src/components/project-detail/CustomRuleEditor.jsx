@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { AlertCircle, CheckCircle2, FlaskConical, Loader2, Save } from "lucide-react";
+import { toast } from "sonner";
+import PropTypes from "prop-types";
+
+const RULE_TEMPLATES = {
+  yaml: `id: HOUSE-001
+name: core-services-use-otel
+description: Core services must emit OpenTelemetry traces
+category: resilience
+severity: medium
+fix_hint: Add the OpenTelemetry SDK and export traces to the collector
+when:
+  path: service.category
+  op: eq
+  value: core
+assert:
+  path: service.technologies
+  op: contains
+  value: opentelemetry
+`,
+  json: `{
+  "id": "HOUSE-001",
+  "name": "core-services-use-otel",
+  "description": "Core services must emit OpenTelemetry traces",
+  "category": "resilience",
+  "severity": "medium",
+  "fix_hint": "Add the OpenTelemetry SDK and export traces to the collector",
+  "when": { "path": "service.category", "op": "eq", "value": "core" },
+  "assert": { "path": "service.technologies", "op": "contains", "value": "opentelemetry" }
+}
+`
+};
+
+export async function invokeCustomRules(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'custom-rules', payload });
+  return data.data;
+}
+
+export function customRuleErrors(error) {
+  const apiError = error.response?.data?.error;
+  return apiError?.details?.errors || [apiError?.message || error.message || "Request failed"];
+}
+
+export default function CustomRuleEditor({ project, rule, onSaved, onCancel }) {
+  const [format, setFormat] = useState(rule?.source_format || "yaml");
+  const [source, setSource] = useState(rule?.source || RULE_TEMPLATES.yaml);
+  const [errors, setErrors] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const changeFormat = (next) => {
+    // Swap in the sample only while it is untouched
+    if (source === RULE_TEMPLATES[format]) setSource(RULE_TEMPLATES[next]);
+    setFormat(next);
+    setErrors([]);
+    setPreview(null);
+  };
+
+  const run = async (action) => {
+    setBusy(action);
+    try {
+      const result = await invokeCustomRules({
+        action,
+        project_id: project.id,
+        source,
+        format,
+        ...(action === "save" && rule ? { rule_record_id: rule.id } : {})
+      });
+
+      if (action === "save") {
+        setErrors([]);
+        toast.success(`Rule ${result.rule.rule_id} saved`);
+        onSaved(result.rule);
+      } else {
+        setErrors(result.errors);
+        setPreview(action === "preview" && result.valid ? result : null);
+      }
+    } catch (error) {
+      setErrors(customRuleErrors(error));
+      setPreview(null);
+    }
+    setBusy(null);
+  };
+
+  return (
+    <Card className="bg-white shadow-md border-0">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg">{rule ? `Edit ${rule.rule_id}` : "New Custom Rule"}</CardTitle>
+          <Tabs value={format} onValueChange={changeFormat}>
+            <TabsList>
+              <TabsTrigger value="yaml">YAML</TabsTrigger>
+              <TabsTrigger value="json">JSON</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Textarea
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          className="font-mono text-sm min-h-[320px]"
+          spellCheck={false}
+        />
+
+        <p className="text-xs text-gray-500">
+          Paths start at <code>project</code>, <code>service</code>, <code>services</code> or <code>cicd</code>.
+          Services expose <code>dependencies</code>, <code>dependents</code>, <code>fan_in</code> and <code>fan_out</code>.
+          Combine predicates with <code>all</code>, <code>any</code>, <code>not</code>, and
+          iterate lists with <code>some</code>, <code>every</code> or <code>none</code> plus <code>where</code> (bound to <code>item</code>).
+        </p>
+
+        {errors.length > 0 && (
+          <div className="rounded-lg border border-red-200 bg-red-50 p-3 space-y-1">
+            {errors.map((error, i) => (
+              <p key={i} className="text-sm text-red-700 flex items-start gap-2">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span className="font-mono">{error}</span>
+              </p>
+            ))}
+          </div>
+        )}
+
+        {preview && (
+          <div className="rounded-lg border p-3 space-y-2">
+            <p className="text-sm font-medium text-gray-900">
+              {preview.findings.length === 0 ? (
+                <span className="flex items-center gap-2 text-green-700">
+                  <CheckCircle2 className="w-4 h-4" />
+                  Passes against {project.name} ({preview.services_checked} services checked)
+                </span>
+              ) : (
+                `${preview.findings.length} violation(s) in ${project.name}`
+              )}
+            </p>
+            {preview.findings.map(finding => (
+              <div key={finding.fingerprint} className="flex items-center gap-2 text-sm text-gray-700">
+                <Badge variant="outline" className="capitalize">{finding.severity}</Badge>
+                {finding.title}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={onCancel}>Cancel</Button>
+          <Button variant="outline" onClick={() => run("validate")} disabled={busy !== null}>
+            {busy === "validate" ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle2 className="w-4 h-4 mr-2" />}
+            Validate
+          </Button>
+          <Button variant="outline" onClick={() => run("preview")} disabled={busy !== null}>
+            {busy === "preview" ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FlaskConical className="w-4 h-4 mr-2" />}
+            Test Against Project
+          </Button>
+          <Button onClick={() => run("save")} disabled={busy !== null} className="bg-purple-600 hover:bg-purple-700 text-white">
+            {busy === "save" ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+            Save Rule
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+CustomRuleEditor.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  rule: PropTypes.object,
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
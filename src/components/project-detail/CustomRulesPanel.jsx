@@ -0,0 +1,204 @@
+import { useState, useEffect, useRef } from "react";
+import { base44 } from "@/api/base44Client";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Download, FileCode2, Loader2, Pencil, Plus, Trash2, Upload } from "lucide-react";
+import { toast } from "sonner";
+import CustomRuleEditor, { invokeCustomRules, customRuleErrors } from "./CustomRuleEditor";
+import { downloadFile } from "../shared/FileActions";
+import PropTypes from "prop-types";
+
+const NEW_RULE = "new";
+
+export default function CustomRulesPanel({ project }) {
+  const [rules, setRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [isTransferring, setIsTransferring] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadRules = async () => {
+    try {
+      setRules(await base44.entities.CustomRule.filter({ project_id: project.id }, 'rule_id'));
+    } catch (error) {
+      console.error("Error loading custom rules:", error);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    loadRules();
+  }, [project.id]);
+
+  const toggleRule = async (rule, enabled) => {
+    setRules(rules.map(r => (r.id === rule.id ? { ...r, enabled } : r)));
+    try {
+      await base44.entities.CustomRule.update(rule.id, { enabled });
+    } catch (error) {
+      console.error("Error updating custom rule:", error);
+      toast.error(`Could not ${enabled ? "enable" : "disable"} ${rule.rule_id}`);
+      await loadRules();
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!confirm(`Delete rule ${rule.rule_id}?`)) return;
+    try {
+      await base44.entities.CustomRule.delete(rule.id);
+      await loadRules();
+    } catch (error) {
+      console.error("Error deleting custom rule:", error);
+    }
+  };
+
+  const exportPack = async (format) => {
+    setIsTransferring(true);
+    try {
+      const result = await invokeCustomRules({ action: "export_pack", project_id: project.id, format });
+      downloadFile(result.filename, result.content);
+      toast.success(`Exported ${result.rules_count} rule(s)`);
+    } catch (error) {
+      toast.error(customRuleErrors(error).join('; '));
+    }
+    setIsTransferring(false);
+  };
+
+  const importPack = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setIsTransferring(true);
+    try {
+      const format = /\.ya?ml$/i.test(file.name) ? "yaml" : "json";
+      const result = await invokeCustomRules({
+        action: "import_pack",
+        project_id: project.id,
+        format,
+        content: await file.text()
+      });
+      toast.success(`Imported ${result.pack.name}: ${result.created.length} new, ${result.updated.length} updated`);
+      await loadRules();
+    } catch (error) {
+      toast.error(customRuleErrors(error).slice(0, 3).join('; '));
+    }
+    setIsTransferring(false);
+  };
+
+  if (editing) {
+    return (
+      <CustomRuleEditor
+        project={project}
+        rule={editing === NEW_RULE ? null : editing}
+        onSaved={() => {
+          setEditing(null);
+          loadRules();
+        }}
+        onCancel={() => setEditing(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Custom Rules</h3>
+          <p className="text-sm text-gray-600">Declarative rules enforced by the static architecture linter</p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.yaml,.yml"
+            className="hidden"
+            onChange={importPack}
+          />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isTransferring}>
+            {isTransferring ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+            Import Pack
+          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" disabled={isTransferring || rules.length === 0}>
+                <Download className="w-4 h-4 mr-2" />
+                Export Pack
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => exportPack("yaml")}>YAML</DropdownMenuItem>
+              <DropdownMenuItem onClick={() => exportPack("json")}>JSON</DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button onClick={() => setEditing(NEW_RULE)} className="bg-purple-600 hover:bg-purple-700 text-white">
+            <Plus className="w-4 h-4 mr-2" />
+            New Rule
+          </Button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+        </div>
+      ) : rules.length === 0 ? (
+        <Card className="bg-white">
+          <CardContent className="p-8 text-center text-gray-600">
+            <FileCode2 className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+            No custom rules yet. Write one or import a rule pack from your platform team.
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-2">
+          {rules.map(rule => (
+            <Card key={rule.id} className="bg-white">
+              <CardContent className="p-4 flex items-center gap-4">
+                <Switch
+                  checked={rule.enabled !== false}
+                  onCheckedChange={(checked) => toggleRule(rule, checked)}
+                  aria-label={`Enable ${rule.rule_id}`}
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Badge variant="outline" className="font-mono">{rule.rule_id}</Badge>
+                    <span className={`font-medium ${rule.enabled === false ? 'text-gray-400' : 'text-gray-900'}`}>
+                      {rule.name}
+                    </span>
+                    <Badge variant="outline" className="capitalize">{rule.severity}</Badge>
+                    {rule.pack_name && (
+                      <Badge variant="secondary">{rule.pack_name} v{rule.pack_version}</Badge>
+                    )}
+                  </div>
+                  {rule.definition?.description && (
+                    <p className="text-sm text-gray-600 mt-1 truncate">{rule.definition.description}</p>
+                  )}
+                </div>
+                <Button size="icon" variant="ghost" onClick={() => setEditing(rule)} aria-label={`Edit ${rule.rule_id}`}>
+                  <Pencil className="w-4 h-4" />
+                </Button>
+                <Button size="icon" variant="ghost" onClick={() => deleteRule(rule)} aria-label={`Delete ${rule.rule_id}`}>
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </Button>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+CustomRulesPanel.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  }).isRequired
+};
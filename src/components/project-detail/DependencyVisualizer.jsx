@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -13,95 +13,49 @@ import {
   RefreshCw,
   Search,
   Info,
-  TrendingUp
+  TrendingUp,
+  Layers,
+  Route,
+  Radar,
+  X
 } from "lucide-react";
 import { Input } from "@/components/ui/input";
-
-export default function DependencyVisualizer({ project, services }) {
+import ObservedDependencies from "./ObservedDependencies";
+import {
+  analyzeGraph as analyzeDependencies,
+  buildGraph,
+  blastRadius,
+  simulateRemoval
+} from "../../../functions/lib/graphAnalytics";
+
+export default function DependencyVisualizer({ project, services, onUpdateService }) {
   const [graphData, setGraphData] = useState(null);
   const [analysis, setAnalysis] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [selectedNode, setSelectedNode] = useState(null);
+  const [drift, setDrift] = useState(null);
+  const [showCriticalPath, setShowCriticalPath] = useState(false);
+  const [simulateRemove, setSimulateRemove] = useState(false);
   const canvasRef = useRef(null);
 
+  const nameOf = (id) => services.find(s => s.id === id)?.name || id;
+
   const analyzeGraph = async () => {
     setIsAnalyzing(true);
     
     try {
-      // Build graph data
-      const nodes = services.map(s => ({
-        id: s.id,
-        name: s.name,
-        type: 'service',
-        category: s.category,
-        degree: 0
-      }));
-
-      const edges = [];
-      services.forEach(service => {
-        if (service.depends_on && service.depends_on.length > 0) {
-          service.depends_on.forEach(depId => {
-            edges.push({
-              from: service.id,
-              to: depId,
-              type: 'dependency'
-            });
-          });
-        }
-      });
-
-      // Calculate degrees
-      nodes.forEach(node => {
-        const inDegree = edges.filter(e => e.to === node.id).length;
-        const outDegree = edges.filter(e => e.from === node.id).length;
-        node.degree = inDegree + outDegree;
-      });
-
-      // Detect orphaned nodes
-      const connectedNodes = new Set();
-      edges.forEach(e => {
-        connectedNodes.add(e.from);
-        connectedNodes.add(e.to);
-      });
-      const orphanedNodes = nodes
-        .filter(n => !connectedNodes.has(n.id))
-        .map(n => n.id);
-
-      // Detect hotspots (high-degree nodes)
-      const avgDegree = nodes.reduce((sum, n) => sum + n.degree, 0) / nodes.length;
-      const hotspots = nodes
-        .filter(n => n.degree > avgDegree * 2)
-        .map(n => ({
-          node_id: n.id,
-          degree: n.degree,
-          risk_level: n.degree > avgDegree * 3 ? 'high' : 'medium'
-        }));
-
-      // Detect cycles using DFS
-      const cycles = detectCycles(nodes, edges);
-
-      // Calculate complexity score
-      const complexityScore = Math.round(
-        (edges.length / nodes.length) * 10 + 
-        (hotspots.length * 5) + 
-        (cycles.length * 10)
-      );
-
+      const report = analyzeDependencies(services);
       const graphAnalysis = {
-        graph_data: { nodes, edges },
+        graph_data: { nodes: report.nodes, edges: report.edges },
         analysis: {
-          orphaned_nodes: orphanedNodes,
-          hotspots: hotspots,
-          cycles: cycles
+          orphaned_nodes: report.orphans,
+          hotspots: report.hotspots,
+          cycles: report.cycles,
+          deploy_order: report.deploy_order,
+          critical_path: report.critical_path
         },
-        metrics: {
-          total_nodes: nodes.length,
-          total_edges: edges.length,
-          max_degree: Math.max(...nodes.map(n => n.degree), 0),
-          avg_degree: avgDegree,
-          complexity_score: complexityScore
-        }
+        metrics: report.metrics
       };
 
       setGraphData(graphAnalysis.graph_data);
@@ -123,40 +77,6 @@ export default function DependencyVisualizer({ project, services }) {
     setIsAnalyzing(false);
   };
 
-  const detectCycles = (nodes, edges) => {
-    const cycles = [];
-    const visited = new Set();
-    const recursionStack = new Set();
-
-    const dfs = (nodeId, path) => {
-      visited.add(nodeId);
-      recursionStack.add(nodeId);
-      path.push(nodeId);
-
-      const outgoingEdges = edges.filter(e => e.from === nodeId);
-      for (const edge of outgoingEdges) {
-        if (!visited.has(edge.to)) {
-          dfs(edge.to, [...path]);
-        } else if (recursionStack.has(edge.to)) {
-          const cycleStart = path.indexOf(edge.to);
-          if (cycleStart !== -1) {
-            cycles.push([...path.slice(cycleStart), edge.to]);
-          }
-        }
-      }
-
-      recursionStack.delete(nodeId);
-    };
-
-    nodes.forEach(node => {
-      if (!visited.has(node.id)) {
-        dfs(node.id, []);
-      }
-    });
-
-    return cycles.slice(0, 5); // Limit to 5 cycles
-  };
-
   const getAIInsights = async (graphAnalysis) => {
     try {
       const prompt = `Analyze this microservices dependency graph and provide insights:
@@ -167,11 +87,14 @@ METRICS:
 - Max Degree: ${graphAnalysis.metrics.max_degree}
 - Avg Degree: ${graphAnalysis.metrics.avg_degree.toFixed(2)}
 - Complexity Score: ${graphAnalysis.metrics.complexity_score}
+- Longest Dependency Chain: ${graphAnalysis.metrics.critical_path_length} services
+- Largest Blast Radius: ${graphAnalysis.metrics.max_blast_radius} dependent services
+- Deploy Waves: ${graphAnalysis.metrics.deploy_waves}
 
 ISSUES:
 - Orphaned Services: ${graphAnalysis.analysis.orphaned_nodes.length}
-- Hotspot Services: ${graphAnalysis.analysis.hotspots.length}
-- Circular Dependencies: ${graphAnalysis.analysis.cycles.length}
+- Hotspot Services: ${graphAnalysis.analysis.hotspots.map(h => `${nameOf(h.node_id)} (${h.blast_radius} dependents)`).join(', ') || 'none'}
+- Circular Dependencies: ${graphAnalysis.analysis.cycles.map(cycle => cycle.map(nameOf).join(' <-> ')).join('; ') || 'none'}
 
 SERVICES:
 ${services.map(s => `- ${s.name} (${s.category}): ${(s.depends_on || []).length} dependencies`).join('\n')}
@@ -254,6 +177,56 @@ Provide:
     node.name.toLowerCase().includes(searchQuery.toLowerCase())
   ) || [];
 
+  // Drawn from the current services so reconciled links show up without a re-analysis
+  const declaredEdges = services.flatMap(service =>
+    (service.depends_on || []).map(depId => ({ from: service.id, to: depId }))
+  );
+  const deadKeys = new Set((drift?.dead || []).map(link => `${link.from}>${link.to}`));
+  const drawnEdges = [
+    ...declaredEdges.map(edge => ({ ...edge, status: deadKeys.has(`${edge.from}>${edge.to}`) ? 'dead' : 'declared' })),
+    ...(drift?.undeclared || []).map(link => ({ from: link.from, to: link.to, status: 'undeclared' }))
+  ];
+  const edgeStyles = {
+    declared: { stroke: '#94a3b8', marker: 'arrowhead-dep', opacity: 0.6 },
+    dead: { stroke: '#9ca3af', marker: 'arrowhead-dep', opacity: 0.5, dash: '2 4' },
+    undeclared: { stroke: '#f97316', marker: 'arrowhead-undeclared', opacity: 0.9, dash: '6 4' }
+  };
+
+  // Overlays follow the current services, like the edges above
+  const currentGraph = useMemo(() => buildGraph(services), [services]);
+  const selectedId = selectedNode?.id;
+  const impact = useMemo(
+    () => (selectedId ? blastRadius(currentGraph, selectedId) : []),
+    [currentGraph, selectedId]
+  );
+  const removal = useMemo(
+    () => (simulateRemove && selectedId ? simulateRemoval(currentGraph, selectedId) : null),
+    [currentGraph, selectedId, simulateRemove]
+  );
+  const impactedIds = new Set(impact.map(entry => entry.id));
+  const orphanedIds = new Set(removal?.orphaned || []);
+  const criticalPathIds = analysis?.analysis.critical_path?.path || [];
+  const criticalEdgeKeys = new Set(
+    showCriticalPath ? criticalPathIds.slice(1).map((id, i) => `${criticalPathIds[i]}>${id}`) : []
+  );
+  const overlayEdgeStyle = (edge) => {
+    if (removal && edge.to === removal.removed) {
+      return { stroke: '#dc2626', marker: 'arrowhead-broken', opacity: 1, dash: '4 3' };
+    }
+    if (removal && edge.from === removal.removed) {
+      return { ...edgeStyles[edge.status], opacity: 0.15 };
+    }
+    if (criticalEdgeKeys.has(`${edge.from}>${edge.to}`)) {
+      return { stroke: '#7c3aed', marker: 'arrowhead-critical', opacity: 1, width: 3 };
+    }
+    return edgeStyles[edge.status];
+  };
+  const selectNode = (node) => {
+    setSelectedNode(selectedId === node.id ? null : node);
+    setSimulateRemove(false);
+  };
+  const selectedMetrics = graphData?.nodes.find(n => n.id === selectedId);
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -291,6 +264,15 @@ Provide:
         </CardHeader>
       </Card>
 
+      {services.length > 0 && (
+        <ObservedDependencies
+          project={project}
+          services={services}
+          onUpdateService={onUpdateService}
+          onDiffChange={setDrift}
+        />
+      )}
+
       {isAnalyzing && (
         <div className="flex items-center justify-center py-12">
           <div className="text-center">
@@ -371,12 +353,12 @@ Provide:
                 <CardHeader>
                   <CardTitle className="text-lg flex items-center gap-2 text-orange-800">
                     <Zap className="w-5 h-5" />
-                    High-Degree Hotspots
+                    Hotspots
                   </CardTitle>
                 </CardHeader>
                 <CardContent>
                   <p className="text-sm text-orange-700 mb-3">
-                    Services with excessive dependencies
+                    Services whose failure reaches much of the project
                   </p>
                   <div className="space-y-2">
                     {analysis.analysis.hotspots.map(hotspot => {
@@ -385,7 +367,7 @@ Provide:
                         <div key={hotspot.node_id} className="flex items-center justify-between text-sm">
                           <span className="text-orange-900">{service?.name || hotspot.node_id}</span>
                           <Badge className={hotspot.risk_level === 'high' ? 'bg-red-500' : 'bg-orange-500'}>
-                            {hotspot.degree} deps
+                            {hotspot.blast_radius} dependents
                           </Badge>
                         </div>
                       );
@@ -406,15 +388,12 @@ Provide:
                 </CardHeader>
                 <CardContent>
                   <p className="text-sm text-red-700 mb-3">
-                    {analysis.analysis.cycles.length} circular dependency chains detected
+                    {analysis.analysis.cycles.length} groups of services depend on each other
                   </p>
                   <div className="space-y-2">
                     {analysis.analysis.cycles.slice(0, 3).map((cycle, idx) => (
                       <div key={idx} className="text-xs text-red-900 bg-red-100 p-2 rounded">
-                        {cycle.map(nodeId => {
-                          const service = services.find(s => s.id === nodeId);
-                          return service?.name || nodeId;
-                        }).join(' → ')}
+                        {cycle.map(nameOf).join(' ↔ ')}
                       </div>
                     ))}
                   </div>
@@ -423,6 +402,71 @@ Provide:
             )}
           </div>
 
+          {/* Deploy Order and Critical Path */}
+          <div className="grid md:grid-cols-2 gap-4">
+            <Card className="bg-white border-gray-200">
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Layers className="w-5 h-5 text-blue-600" />
+                  Deploy Order
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-gray-600 mb-3">
+                  Each wave only depends on earlier waves
+                </p>
+                <ol className="space-y-2">
+                  {analysis.analysis.deploy_order.waves.map((wave, idx) => (
+                    <li key={idx} className="flex items-start gap-2 text-sm">
+                      <Badge variant="outline" className="shrink-0">Wave {idx + 1}</Badge>
+                      <div className="flex flex-wrap gap-1">
+                        {wave.map(id => (
+                          <Badge
+                            key={id}
+                            variant="secondary"
+                            className={analysis.analysis.deploy_order.cyclic.includes(id) ? 'bg-red-100 text-red-800' : ''}
+                          >
+                            {nameOf(id)}
+                          </Badge>
+                        ))}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+                {analysis.analysis.deploy_order.cyclic.length > 0 && (
+                  <p className="text-xs text-red-700 mt-3">
+                    Services in red are in a cycle and have to be released together.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card className="bg-white border-gray-200">
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Route className="w-5 h-5 text-purple-600" />
+                  Critical Path
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-gray-600 mb-3">
+                  Longest dependency chain: {analysis.metrics.critical_path_length} services
+                </p>
+                <div className="flex flex-wrap items-center gap-1 text-sm">
+                  {criticalPathIds.map((id, idx) => (
+                    <span key={id} className="flex items-center gap-1">
+                      {idx > 0 && <span className="text-gray-400">→</span>}
+                      <Badge variant="outline" className="text-xs">{nameOf(id)}</Badge>
+                    </span>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-3">
+                  Latency and failures add up along this chain; it is the first place to add caching or async calls.
+                </p>
+              </CardContent>
+            </Card>
+          </div>
+
           {/* AI Insights */}
           {analysis.ai_insights && (
             <Card className="bg-gradient-to-br from-purple-50 to-blue-50 border-purple-200">
@@ -482,14 +526,25 @@ Provide:
             <CardHeader>
               <div className="flex items-center justify-between">
                 <CardTitle>Dependency Graph Visualization</CardTitle>
-                <div className="relative w-64">
-                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                  <Input
-                    placeholder="Search services..."
-                    value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                    className="pl-10"
-                  />
+                <div className="flex items-center gap-2">
+                  <Button
+                    variant={showCriticalPath ? "default" : "outline"}
+                    size="sm"
+                    onClick={() => setShowCriticalPath(!showCriticalPath)}
+                    disabled={criticalPathIds.length < 2}
+                  >
+                    <Route className="w-4 h-4 mr-2" />
+                    Critical Path
+                  </Button>
+                  <div className="relative w-64">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                    <Input
+                      placeholder="Search services..."
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(e.target.value)}
+                      className="pl-10"
+                    />
+                  </div>
                 </div>
               </div>
             </CardHeader>
@@ -510,10 +565,40 @@ Provide:
                     >
                       <polygon points="0 0, 10 3, 0 6" fill="#94a3b8" />
                     </marker>
+                    <marker
+                      id="arrowhead-undeclared"
+                      markerWidth="10"
+                      markerHeight="10"
+                      refX="9"
+                      refY="3"
+                      orient="auto"
+                    >
+                      <polygon points="0 0, 10 3, 0 6" fill="#f97316" />
+                    </marker>
+                    <marker
+                      id="arrowhead-broken"
+                      markerWidth="10"
+                      markerHeight="10"
+                      refX="9"
+                      refY="3"
+                      orient="auto"
+                    >
+                      <polygon points="0 0, 10 3, 0 6" fill="#dc2626" />
+                    </marker>
+                    <marker
+                      id="arrowhead-critical"
+                      markerWidth="10"
+                      markerHeight="10"
+                      refX="9"
+                      refY="3"
+                      orient="auto"
+                    >
+                      <polygon points="0 0, 10 3, 0 6" fill="#7c3aed" />
+                    </marker>
                   </defs>
                   
                   {/* Render edges */}
-                  {graphData.edges.map((edge, idx) => {
+                  {drawnEdges.map((edge, idx) => {
                     const fromNode = graphData.nodes.find(n => n.id === edge.from);
                     const toNode = graphData.nodes.find(n => n.id === edge.to);
                     if (!fromNode || !toNode) return null;
@@ -532,6 +617,7 @@ Provide:
                     const y1 = centerY + radius * Math.sin(angle1);
                     const x2 = centerX + radius * Math.cos(angle2);
                     const y2 = centerY + radius * Math.sin(angle2);
+                    const style = overlayEdgeStyle(edge);
                     
                     return (
                       <line
@@ -540,10 +626,11 @@ Provide:
                         y1={y1}
                         x2={x2}
                         y2={y2}
-                        stroke="#94a3b8"
-                        strokeWidth="2"
-                        markerEnd="url(#arrowhead-dep)"
-                        opacity="0.6"
+                        stroke={style.stroke}
+                        strokeWidth={style.width || 2}
+                        strokeDasharray={style.dash}
+                        markerEnd={`url(#${style.marker})`}
+                        opacity={style.opacity}
                       />
                     );
                   })}
@@ -566,9 +653,27 @@ Provide:
                     if (isOrphaned) fillColor = '#eab308';
                     if (isHotspot) fillColor = '#f97316';
                     if (inCycle) fillColor = '#ef4444';
+
+                    const isRemoved = removal?.removed === node.id;
+                    let ring = null;
+                    if (node.id === selectedId) ring = { stroke: '#111827' };
+                    else if (orphanedIds.has(node.id)) ring = { stroke: '#eab308', dash: '3 2' };
+                    else if (impactedIds.has(node.id)) ring = { stroke: removal ? '#dc2626' : '#f59e0b' };
+                    else if (showCriticalPath && criticalPathIds.includes(node.id)) ring = { stroke: '#7c3aed' };
                     
                     return (
-                      <g key={node.id}>
+                      <g key={node.id} opacity={isRemoved ? 0.35 : 1}>
+                        {ring && (
+                          <circle
+                            cx={x}
+                            cy={y}
+                            r="26"
+                            fill="none"
+                            stroke={ring.stroke}
+                            strokeWidth="3"
+                            strokeDasharray={ring.dash}
+                          />
+                        )}
                         <circle
                           cx={x}
                           cy={y}
@@ -577,8 +682,16 @@ Provide:
                           stroke="white"
                           strokeWidth="3"
                           className="cursor-pointer hover:opacity-80 transition-opacity"
-                          onClick={() => setSelectedNode(node)}
+                          onClick={() => selectNode(node)}
                         />
+                        {isRemoved && (
+                          <path
+                            d={`M ${x - 12} ${y - 12} L ${x + 12} ${y + 12} M ${x + 12} ${y - 12} L ${x - 12} ${y + 12}`}
+                            stroke="#111827"
+                            strokeWidth="3"
+                            pointerEvents="none"
+                          />
+                        )}
                         <text
                           x={x}
                           y={y + 35}
@@ -604,7 +717,7 @@ Provide:
               </div>
               
               {/* Legend */}
-              <div className="flex items-center justify-center gap-6 mt-4 text-sm">
+              <div className="flex flex-wrap items-center justify-center gap-6 mt-4 text-sm">
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 rounded-full bg-blue-500"></div>
                   <span className="text-gray-600">Normal</span>
@@ -621,7 +734,97 @@ Provide:
                   <div className="w-4 h-4 rounded-full bg-red-500"></div>
                   <span className="text-gray-600">In Cycle</span>
                 </div>
+                {selectedNode && (
+                  <div className="flex items-center gap-2">
+                    <div className={`w-4 h-4 rounded-full border-2 ${removal ? 'border-red-600' : 'border-amber-500'}`}></div>
+                    <span className="text-gray-600">Blast radius</span>
+                  </div>
+                )}
+                {showCriticalPath && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-6 border-t-4 border-purple-600"></div>
+                    <span className="text-gray-600">Critical path</span>
+                  </div>
+                )}
+                {drift && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <div className="w-6 border-t-2 border-dashed border-orange-500"></div>
+                      <span className="text-gray-600">Undeclared call</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-6 border-t-2 border-dotted border-gray-400"></div>
+                      <span className="text-gray-600">Dead dependency</span>
+                    </div>
+                  </>
+                )}
               </div>
+
+              {selectedNode && (
+                <div className="mt-6 border rounded-lg p-4 bg-slate-50">
+                  <div className="flex items-start justify-between gap-4 mb-3">
+                    <div>
+                      <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                        <Radar className="w-4 h-4 text-amber-600" />
+                        {nameOf(selectedNode.id)}
+                      </h4>
+                      {selectedMetrics && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Betweenness {selectedMetrics.betweenness.toFixed(2)} · Longest chain {selectedMetrics.chain_length} · {selectedMetrics.in_degree} in / {selectedMetrics.out_degree} out
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        variant={simulateRemove ? "destructive" : "outline"}
+                        onClick={() => setSimulateRemove(!simulateRemove)}
+                      >
+                        {simulateRemove ? "Stop Simulation" : "What if Removed?"}
+                      </Button>
+                      <Button size="icon" variant="ghost" onClick={() => setSelectedNode(null)} aria-label="Clear selection">
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  <p className="text-sm text-gray-700 mb-2">
+                    Blast radius: {impact.length} of {services.length - 1} other services depend on it
+                  </p>
+                  <div className="flex flex-wrap gap-1">
+                    {impact.map(entry => (
+                      <Badge key={entry.id} variant="outline" className="text-xs">
+                        {nameOf(entry.id)} · {entry.distance} hop{entry.distance === 1 ? '' : 's'}
+                      </Badge>
+                    ))}
+                  </div>
+
+                  {removal && (
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-sm">
+                      <div className="bg-white rounded p-2 border">
+                        <div className="text-xs text-gray-500">Broken dependencies</div>
+                        <div className="font-semibold text-red-700">{removal.broken_edges.length}</div>
+                      </div>
+                      <div className="bg-white rounded p-2 border">
+                        <div className="text-xs text-gray-500">Left unconnected</div>
+                        <div className="font-semibold">
+                          {removal.orphaned.length > 0 ? removal.orphaned.map(nameOf).join(', ') : 'none'}
+                        </div>
+                      </div>
+                      <div className="bg-white rounded p-2 border">
+                        <div className="text-xs text-gray-500">Cycles</div>
+                        <div className="font-semibold">{removal.cycles.before} → {removal.cycles.after}</div>
+                      </div>
+                      <div className="bg-white rounded p-2 border">
+                        <div className="text-xs text-gray-500">Critical path / deploy waves</div>
+                        <div className="font-semibold">
+                          {removal.critical_path.before} → {removal.critical_path.after.length} / {removal.deploy_waves.before} → {removal.deploy_waves.after}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
             </CardContent>
           </Card>
         </>
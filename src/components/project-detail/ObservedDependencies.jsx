@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { base44 } from "@/api/base44Client";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Radar, Upload, Loader2, Plus, Trash2, CheckCheck, Info } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { toast } from "sonner";
+import { formatWindow } from "../shared/hooks/useTelemetry";
+import {
+  CALL_GRAPH_WINDOW_MINUTES,
+  DEFAULT_CALL_GRAPH_WINDOW_MINUTES,
+  diffDependencies,
+  reconcileDependencies
+} from "../../../functions/lib/callGraph";
+
+async function invokeTelemetry(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'telemetry', payload });
+  return data.data;
+}
+
+const formatWindowLabel = (minutes) => (minutes === 10080 ? "7 days" : formatWindow(minutes));
+
+/**
+ * Observed call graph from ingested traces, compared with declared
+ * depends_on. Drift is recomputed locally from `services` so it follows
+ * edits immediately; `onDiffChange` lets the graph highlight it.
+ */
+export default function ObservedDependencies({ project, services, onUpdateService, onDiffChange }) {
+  const [windowMinutes, setWindowMinutes] = useState(DEFAULT_CALL_GRAPH_WINDOW_MINUTES);
+  const [graph, setGraph] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadGraph = useCallback(async () => {
+    if (!project?.id) return;
+    try {
+      setGraph(await invokeTelemetry({ action: 'call-graph', project_id: project.id, window_minutes: windowMinutes }));
+    } catch (err) {
+      console.error("Error loading call graph:", err);
+      toast.error(err.response?.data?.error?.message || "Failed to load observed call graph");
+    }
+    setIsLoading(false);
+  }, [project?.id, windowMinutes]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    loadGraph();
+  }, [loadGraph]);
+
+  const drift = useMemo(
+    () => (graph ? diffDependencies(services, graph.edges, graph.services_seen) : null),
+    [graph, services]
+  );
+
+  useEffect(() => {
+    onDiffChange?.(drift);
+  }, [drift, onDiffChange]);
+
+  const serviceName = (id) => services.find(s => s.id === id)?.name || id;
+
+  const importTraces = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    setIsImporting(true);
+    try {
+      const sources = await Promise.all(files.map(async file => ({ name: file.name, content: await file.text() })));
+      const result = await invokeTelemetry({ action: 'ingest', project_id: project.id, sources });
+      toast.success(`Imported ${result.calls_written} call samples`);
+      if (result.unmatched_services.length > 0) {
+        toast.warning(`No matching service for: ${result.unmatched_services.slice(0, 5).join(", ")}`);
+      }
+      await loadGraph();
+    } catch (err) {
+      console.error("Error importing traces:", err);
+      toast.error(err.response?.data?.error?.message || "Failed to import traces");
+    }
+    setIsImporting(false);
+  };
+
+  const applyChanges = async (changes) => {
+    const updates = reconcileDependencies(services, changes);
+    if (updates.length === 0) return;
+
+    setIsApplying(true);
+    try {
+      for (const update of updates) {
+        await onUpdateService(update.id, { depends_on: update.depends_on });
+      }
+      toast.success(`Updated dependencies of ${updates.length} service${updates.length === 1 ? "" : "s"}`);
+    } catch (err) {
+      console.error("Error reconciling dependencies:", err);
+      toast.error("Failed to update dependencies");
+    }
+    setIsApplying(false);
+  };
+
+  const driftCount = drift ? drift.undeclared.length + drift.dead.length : 0;
+
+  return (
+    <Card className="bg-white shadow-md border-0">
+      <CardHeader>
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Radar className="w-5 h-5 text-blue-600" />
+              Observed vs Declared Dependencies
+            </CardTitle>
+            <p className="text-sm text-gray-600 mt-1">
+              Service calls seen in OTLP and Jaeger traces
+              {graph?.window.since && ` · ${formatDistanceToNow(new Date(graph.window.until), { addSuffix: true })} latest`}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Select value={String(windowMinutes)} onValueChange={(value) => setWindowMinutes(Number(value))}>
+              <SelectTrigger className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {CALL_GRAPH_WINDOW_MINUTES.map(minutes => (
+                  <SelectItem key={minutes} value={String(minutes)}>Last {formatWindowLabel(minutes)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept=".json"
+              className="hidden"
+              onChange={importTraces}
+            />
+            <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isImporting}>
+              {isImporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+              Import traces
+            </Button>
+            {onUpdateService && (
+              <Button
+                onClick={() => applyChanges({ add: drift.undeclared, remove: drift.dead })}
+                disabled={isApplying || driftCount === 0}
+                className="bg-blue-600 hover:bg-blue-700"
+              >
+                {isApplying ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckCheck className="w-4 h-4 mr-2" />}
+                Reconcile all
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading && (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        )}
+
+        {!isLoading && drift && graph.edges.length === 0 && (
+          <Alert>
+            <Info className="h-4 w-4" />
+            <AlertDescription>
+              No cross-service calls observed in this window. Import an OTLP or Jaeger JSON trace export to compare.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {!isLoading && drift && graph.edges.length > 0 && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div className="p-3 rounded-lg bg-green-50 border border-green-200">
+                <div className="text-sm text-green-700">Confirmed</div>
+                <div className="text-2xl font-bold text-green-900">{drift.confirmed.length}</div>
+              </div>
+              <div className="p-3 rounded-lg bg-orange-50 border border-orange-200">
+                <div className="text-sm text-orange-700">Undeclared calls</div>
+                <div className="text-2xl font-bold text-orange-900">{drift.undeclared.length}</div>
+              </div>
+              <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                <div className="text-sm text-gray-700">Dead declarations</div>
+                <div className="text-2xl font-bold text-gray-900">{drift.dead.length}</div>
+              </div>
+              <div className="p-3 rounded-lg bg-slate-50 border border-slate-200">
+                <div className="text-sm text-slate-700">Unverified</div>
+                <div className="text-2xl font-bold text-slate-900">{drift.unverified.length}</div>
+              </div>
+            </div>
+
+            {drift.undeclared.length > 0 && (
+              <div>
+                <h4 className="font-semibold text-gray-900 mb-2">Undeclared calls</h4>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Call</th>
+                      <th className="py-2">Calls/min</th>
+                      <th className="py-2">p95</th>
+                      <th className="py-2">Errors</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {drift.undeclared.map(link => (
+                      <tr key={link.key} className="border-b last:border-0">
+                        <td className="py-2 font-medium text-gray-900">{serviceName(link.from)} → {serviceName(link.to)}</td>
+                        <td className="py-2">{link.edge.calls_per_min}</td>
+                        <td className="py-2">{link.edge.latency_p95 == null ? "—" : `${Math.round(link.edge.latency_p95)}ms`}</td>
+                        <td className="py-2">{link.edge.error_rate}%</td>
+                        <td className="py-2 text-right">
+                          {onUpdateService && (
+                            <Button size="sm" variant="outline" disabled={isApplying} onClick={() => applyChanges({ add: [link] })}>
+                              <Plus className="w-3 h-3 mr-1" />
+                              Declare
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {drift.dead.length > 0 && (
+              <div>
+                <h4 className="font-semibold text-gray-900 mb-1">Dead declared dependencies</h4>
+                <p className="text-xs text-gray-500 mb-2">
+                  The caller was traced in this window but never called the dependency.
+                </p>
+                <div className="space-y-2">
+                  {drift.dead.map(link => (
+                    <div key={link.key} className="flex items-center justify-between text-sm p-2 rounded bg-gray-50">
+                      <span className="text-gray-900">{serviceName(link.from)} → {serviceName(link.to)}</span>
+                      {onUpdateService && (
+                        <Button size="sm" variant="outline" disabled={isApplying} onClick={() => applyChanges({ remove: [link] })}>
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          Remove
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {drift.unverified.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                <span>No traces from the caller for:</span>
+                {drift.unverified.map(link => (
+                  <Badge key={link.key} variant="outline" className="text-xs">
+                    {serviceName(link.from)} → {serviceName(link.to)}
+                  </Badge>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
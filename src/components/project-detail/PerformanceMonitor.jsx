@@ -1,165 +1,154 @@
-import { useState, useEffect } from "react";
-import { base44 } from "@/api/base44Client";
+import { useState, useRef } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Alert, AlertDescription } from "@/components/ui/alert";
-import { 
-  Activity, 
-  Zap,
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Activity,
   AlertTriangle,
   TrendingUp,
   Clock,
-  XCircle
+  XCircle,
+  Server,
+  Upload,
+  Loader2
 } from "lucide-react";
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
 import { format } from "date-fns";
+import { toast } from "sonner";
+import { HealthStatusBadge } from "../shared/HealthStatus";
+import { useTelemetry, formatWindow } from "../shared/hooks/useTelemetry";
+import {
+  WINDOW_MINUTES,
+  DEFAULT_WINDOW_MINUTES,
+  HEALTH_THRESHOLDS
+} from "../../../functions/lib/telemetry";
 
-export default function PerformanceMonitor({ project }) {
-  const [metrics, setMetrics] = useState([]);
-  const [alerts, setAlerts] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // Thresholds for alerts
-  const thresholds = {
-    page_load_p95: 600, // ms
-    action_latency_p95: 500, // ms
-    api_latency_p95: 1000, // ms
-    error_rate: 1 // percentage
-  };
+const formatValue = (value, unit, digits = 0) => (value == null ? "—" : `${value.toFixed(digits)}${unit}`);
 
-  useEffect(() => {
-    loadMetrics();
-    
-    // Poll for new metrics every 15 seconds
-    const interval = setInterval(loadMetrics, 15000);
-    return () => clearInterval(interval);
-  }, [project?.id]);
+// Which warning thresholds a service is over, for the alert list
+function describeBreaches(stats) {
+  const t = HEALTH_THRESHOLDS.warning;
+  return [
+    stats.error_rate !== null && stats.error_rate >= t.error_rate && `error rate ${stats.error_rate}%`,
+    stats.latency_p95 !== null && stats.latency_p95 >= t.latency_p95_ms && `p95 latency ${Math.round(stats.latency_p95)}ms`,
+    stats.cpu !== null && stats.cpu >= t.cpu && `CPU ${stats.cpu}%`,
+    stats.memory !== null && stats.memory >= t.memory && `memory ${stats.memory}%`,
+    stats.uptime !== null && stats.uptime < t.uptime && `uptime ${stats.uptime}%`
+  ].filter(Boolean);
+}
 
-  const loadMetrics = async () => {
-    try {
-      // Load recent metrics (last 15 minutes)
-      const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000).toISOString();
-      
-      const allMetrics = await base44.entities.PerformanceMetric.list('-created_date', 100);
-      
-      // Filter to last 15 minutes
-      const recentMetrics = allMetrics.filter(m => 
-        new Date(m.created_date) >= new Date(fifteenMinutesAgo)
-      );
-      
-      setMetrics(recentMetrics);
-      
-      // Check for threshold breaches
-      checkThresholds(recentMetrics);
-    } catch (error) {
-      console.error("Error loading metrics:", error);
+// Project-wide per-minute series: traffic is summed, latency is the worst service
+function combineTimelines(services) {
+  const buckets = new Map();
+  for (const service of services) {
+    for (const point of service.timeline) {
+      const bucket = buckets.get(point.bucket_start) || { bucket_start: point.bucket_start, requests: 0, errors: 0, p95: null };
+      bucket.requests += point.requests;
+      bucket.errors += point.errors;
+      if (point.latency_p95 !== null) bucket.p95 = Math.max(bucket.p95 ?? 0, point.latency_p95);
+      buckets.set(point.bucket_start, bucket);
     }
-    setIsLoading(false);
-  };
+  }
+  return [...buckets.values()]
+    .sort((a, b) => a.bucket_start.localeCompare(b.bucket_start))
+    .map(b => ({ ...b, time: format(new Date(b.bucket_start), 'HH:mm') }));
+}
 
-  const checkThresholds = (metricsData) => {
-    const newAlerts = [];
-    
-    // Group by metric type
-    const metricTypes = ['page_load', 'action_latency', 'api_latency', 'error_rate'];
-    
-    metricTypes.forEach(type => {
-      const typeMetrics = metricsData.filter(m => m.metric_type === type);
-      if (typeMetrics.length === 0) return;
-      
-      const latestMetric = typeMetrics[0];
-      
-      if (type === 'error_rate') {
-        const errorRate = (latestMetric.error_count / (latestMetric.error_count + latestMetric.success_count)) * 100;
-        if (errorRate > thresholds.error_rate) {
-          newAlerts.push({
-            type: 'error_rate',
-            message: `Error rate (${errorRate.toFixed(1)}%) exceeds threshold of ${thresholds.error_rate}%`,
-            severity: 'critical',
-            metric: latestMetric
-          });
-        }
-      } else {
-        const thresholdKey = `${type}_p95`;
-        if (latestMetric.p95 && latestMetric.p95 > thresholds[thresholdKey]) {
-          newAlerts.push({
-            type: type,
-            message: `${type.replace('_', ' ')} p95 (${latestMetric.p95}ms) exceeds threshold of ${thresholds[thresholdKey]}ms`,
-            severity: 'warning',
-            metric: latestMetric
-          });
-        }
-      }
-    });
-    
-    setAlerts(newAlerts);
-  };
+export default function PerformanceMonitor({ project }) {
+  const [windowMinutes, setWindowMinutes] = useState(DEFAULT_WINDOW_MINUTES);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInputRef = useRef(null);
+  const { summary, isLoading, error, ingest } = useTelemetry(project?.id, { windowMinutes });
 
-  const getMetricsByType = (type) => {
-    return metrics
-      .filter(m => m.metric_type === type)
-      .map(m => ({
-        time: format(new Date(m.created_date), 'HH:mm:ss'),
-        value: m.value,
-        p75: m.p75,
-        p95: m.p95,
-        p99: m.p99
-      }))
-      .reverse();
-  };
+  const services = summary?.services || [];
+  const reporting = services.filter(s => s.status !== "unknown");
+  const timeline = combineTimelines(reporting);
+  const alerts = reporting
+    .filter(s => s.status === "critical" || s.status === "warning")
+    .map(s => ({ service: s, breaches: describeBreaches(s) }));
+  const worstP95 = reporting.reduce((max, s) => (s.latency_p95 !== null && s.latency_p95 > (max ?? -1) ? s.latency_p95 : max), null);
+  const errorRate = summary?.overall.error_rate ?? null;
+  const errorRateHigh = errorRate !== null && errorRate >= HEALTH_THRESHOLDS.warning.error_rate;
 
-  const calculateStats = (type) => {
-    const typeMetrics = metrics.filter(m => m.metric_type === type);
-    if (typeMetrics.length === 0) return null;
-    
-    const values = typeMetrics.map(m => m.value);
-    const p95Values = typeMetrics.map(m => m.p95).filter(v => v != null);
-    
-    return {
-      avg: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
-      p75: typeMetrics[0]?.p75 || 0,
-      p95: typeMetrics[0]?.p95 || 0,
-      p99: typeMetrics[0]?.p99 || 0,
-      count: values.length
-    };
-  };
+  const importFiles = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = "";
+    if (files.length === 0) return;
 
-  const pageLoadData = getMetricsByType('page_load');
-  const actionLatencyData = getMetricsByType('action_latency');
-  const apiLatencyData = getMetricsByType('api_latency');
-  
-  const pageLoadStats = calculateStats('page_load');
-  const actionLatencyStats = calculateStats('action_latency');
-  const apiLatencyStats = calculateStats('api_latency');
-  
-  // Calculate error rate
-  const errorMetrics = metrics.filter(m => m.metric_type === 'error_rate');
-  const errorRate = errorMetrics.length > 0
-    ? (errorMetrics[0].error_count / (errorMetrics[0].error_count + errorMetrics[0].success_count)) * 100
-    : 0;
+    setIsImporting(true);
+    try {
+      const sources = await Promise.all(files.map(async file => ({ name: file.name, content: await file.text() })));
+      const result = await ingest(sources);
+      toast.success(`Imported ${result.samples_written} samples for ${result.services_reporting} services`);
+      if (result.unmatched_services.length > 0) {
+        toast.warning(`No matching service for: ${result.unmatched_services.slice(0, 5).join(", ")}`);
+      }
+    } catch (err) {
+      console.error("Error importing telemetry:", err);
+      toast.error(err.response?.data?.error?.message || "Failed to import telemetry");
+    }
+    setIsImporting(false);
+  };
 
   return (
     <div className="space-y-6">
       {/* Header */}
       <Card className="bg-white shadow-md border-0">
         <CardHeader>
-          <CardTitle className="flex items-center gap-2">
-            <Activity className="w-5 h-5 text-blue-600" />
-            Real-Time Performance Monitoring
-          </CardTitle>
-          <p className="text-sm text-gray-600 mt-1">
-            15-minute rolling window · Auto-refresh every 15s · All data sanitized (no PII)
-          </p>
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <CardTitle className="flex items-center gap-2">
+                <Activity className="w-5 h-5 text-blue-600" />
+                Service Performance Monitoring
+              </CardTitle>
+              <p className="text-sm text-gray-600 mt-1">
+                {formatWindow(windowMinutes)} rolling window · Auto-refresh every 15s · OpenTelemetry (OTLP/JSON) and Prometheus telemetry
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Select value={String(windowMinutes)} onValueChange={(value) => setWindowMinutes(Number(value))}>
+                <SelectTrigger className="w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {WINDOW_MINUTES.map(minutes => (
+                    <SelectItem key={minutes} value={String(minutes)}>Last {formatWindow(minutes)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept=".json,.txt,.prom"
+                className="hidden"
+                onChange={importFiles}
+              />
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isImporting}>
+                {isImporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+                Import
+              </Button>
+            </div>
+          </div>
         </CardHeader>
       </Card>
 
+      {error && (
+        <Alert className="border-red-500 bg-red-50">
+          <XCircle className="h-4 w-4" />
+          <AlertDescription className="text-red-800">{error}</AlertDescription>
+        </Alert>
+      )}
+
       {/* Alerts */}
       {alerts.length > 0 && (
         <div className="space-y-2">
-          {alerts.map((alert, idx) => (
-            <Alert key={idx} className={alert.severity === 'critical' ? 'border-red-500 bg-red-50' : 'border-orange-500 bg-orange-50'}>
+          {alerts.map(({ service, breaches }) => (
+            <Alert key={service.service_id} className={service.status === 'critical' ? 'border-red-500 bg-red-50' : 'border-orange-500 bg-orange-50'}>
               <AlertTriangle className="h-4 w-4" />
-              <AlertDescription className={alert.severity === 'critical' ? 'text-red-800' : 'text-orange-800'}>
-                <strong>Alert:</strong> {alert.message}
+              <AlertDescription className={service.status === 'critical' ? 'text-red-800' : 'text-orange-800'}>
+                <strong>{service.service_name}:</strong> {breaches.join(", ")}
               </AlertDescription>
             </Alert>
           ))}
@@ -171,149 +160,169 @@ export default function PerformanceMonitor({ project }) {
         <Card className="bg-gradient-to-br from-blue-50 to-blue-100 border-blue-200">
           <CardContent className="p-4">
             <div className="flex items-center justify-between mb-2">
-              <div className="text-sm font-medium text-blue-700">Page Load Time</div>
+              <div className="text-sm font-medium text-blue-700">Latency p95</div>
               <Clock className="w-4 h-4 text-blue-600" />
             </div>
-            {pageLoadStats ? (
-              <>
-                <div className="text-2xl font-bold text-blue-900">{pageLoadStats.p95}ms</div>
-                <div className="text-xs text-blue-700 mt-1">p95 · Avg: {pageLoadStats.avg}ms</div>
-              </>
-            ) : (
-              <div className="text-sm text-blue-700">No data</div>
-            )}
+            <div className="text-2xl font-bold text-blue-900">{formatValue(worstP95, "ms")}</div>
+            <div className="text-xs text-blue-700 mt-1">Slowest service</div>
           </CardContent>
         </Card>
 
-        <Card className="bg-gradient-to-br from-purple-50 to-purple-100 border-purple-200">
+        <Card className="bg-gradient-to-br from-green-50 to-green-100 border-green-200">
           <CardContent className="p-4">
             <div className="flex items-center justify-between mb-2">
-              <div className="text-sm font-medium text-purple-700">Action Latency</div>
-              <Zap className="w-4 h-4 text-purple-600" />
+              <div className="text-sm font-medium text-green-700">Throughput</div>
+              <TrendingUp className="w-4 h-4 text-green-600" />
             </div>
-            {actionLatencyStats ? (
-              <>
-                <div className="text-2xl font-bold text-purple-900">{actionLatencyStats.p95}ms</div>
-                <div className="text-xs text-purple-700 mt-1">p95 · Avg: {actionLatencyStats.avg}ms</div>
-              </>
-            ) : (
-              <div className="text-sm text-purple-700">No data</div>
-            )}
+            <div className="text-2xl font-bold text-green-900">{formatValue(summary?.overall.requests_per_sec ?? null, "", 2)}</div>
+            <div className="text-xs text-green-700 mt-1">Requests/sec, all services</div>
           </CardContent>
         </Card>
 
-        <Card className="bg-gradient-to-br from-green-50 to-green-100 border-green-200">
+        <Card className={`bg-gradient-to-br ${errorRateHigh ? 'from-red-50 to-red-100 border-red-200' : 'from-gray-50 to-gray-100 border-gray-200'}`}>
           <CardContent className="p-4">
             <div className="flex items-center justify-between mb-2">
-              <div className="text-sm font-medium text-green-700">API Latency</div>
-              <TrendingUp className="w-4 h-4 text-green-600" />
+              <div className={`text-sm font-medium ${errorRateHigh ? 'text-red-700' : 'text-gray-700'}`}>Error Rate</div>
+              <XCircle className={`w-4 h-4 ${errorRateHigh ? 'text-red-600' : 'text-gray-600'}`} />
+            </div>
+            <div className={`text-2xl font-bold ${errorRateHigh ? 'text-red-900' : 'text-gray-900'}`}>
+              {formatValue(errorRate, "%", 2)}
+            </div>
+            <div className={`text-xs mt-1 ${errorRateHigh ? 'text-red-700' : 'text-gray-700'}`}>
+              {timeline.reduce((sum, b) => sum + b.errors, 0)} errors
             </div>
-            {apiLatencyStats ? (
-              <>
-                <div className="text-2xl font-bold text-green-900">{apiLatencyStats.p95}ms</div>
-                <div className="text-xs text-green-700 mt-1">p95 · Avg: {apiLatencyStats.avg}ms</div>
-              </>
-            ) : (
-              <div className="text-sm text-green-700">No data</div>
-            )}
           </CardContent>
         </Card>
 
-        <Card className={`bg-gradient-to-br ${errorRate > thresholds.error_rate ? 'from-red-50 to-red-100 border-red-200' : 'from-gray-50 to-gray-100 border-gray-200'}`}>
+        <Card className="bg-gradient-to-br from-purple-50 to-purple-100 border-purple-200">
           <CardContent className="p-4">
             <div className="flex items-center justify-between mb-2">
-              <div className={`text-sm font-medium ${errorRate > thresholds.error_rate ? 'text-red-700' : 'text-gray-700'}`}>Error Rate</div>
-              <XCircle className={`w-4 h-4 ${errorRate > thresholds.error_rate ? 'text-red-600' : 'text-gray-600'}`} />
-            </div>
-            <div className={`text-2xl font-bold ${errorRate > thresholds.error_rate ? 'text-red-900' : 'text-gray-900'}`}>
-              {errorRate.toFixed(2)}%
-            </div>
-            <div className={`text-xs mt-1 ${errorRate > thresholds.error_rate ? 'text-red-700' : 'text-gray-700'}`}>
-              {errorMetrics[0]?.error_count || 0} errors
+              <div className="text-sm font-medium text-purple-700">Services Reporting</div>
+              <Server className="w-4 h-4 text-purple-600" />
             </div>
+            <div className="text-2xl font-bold text-purple-900">{reporting.length} / {services.length}</div>
+            <div className="text-xs text-purple-700 mt-1">{services.length - reporting.length} unknown (no data)</div>
           </CardContent>
         </Card>
       </div>
 
       {/* Charts */}
       <div className="grid md:grid-cols-2 gap-6">
-        {/* Page Load Time Chart */}
         <Card className="bg-white shadow-md border-0">
           <CardHeader>
-            <CardTitle className="text-lg">Page Load Time (15min window)</CardTitle>
+            <CardTitle className="text-lg">Latency p95 ({formatWindow(windowMinutes)} window)</CardTitle>
           </CardHeader>
           <CardContent>
-            {pageLoadData.length > 0 ? (
+            {timeline.some(b => b.p95 !== null) ? (
               <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={pageLoadData}>
+                <LineChart data={timeline}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="time" tick={{ fontSize: 12 }} />
                   <YAxis tick={{ fontSize: 12 }} />
                   <Tooltip />
-                  <Line type="monotone" dataKey="p95" stroke="#3b82f6" strokeWidth={2} name="p95" />
-                  <Line type="monotone" dataKey="p75" stroke="#93c5fd" strokeWidth={1} name="p75" />
+                  <Line type="monotone" dataKey="p95" stroke="#3b82f6" strokeWidth={2} name="p95 (ms)" connectNulls />
                 </LineChart>
               </ResponsiveContainer>
             ) : (
               <div className="h-[250px] flex items-center justify-center text-gray-500">
-                No data available
+                {isLoading ? "Loading..." : "No latency data in this window"}
               </div>
             )}
           </CardContent>
         </Card>
 
-        {/* Action Latency Chart */}
         <Card className="bg-white shadow-md border-0">
           <CardHeader>
-            <CardTitle className="text-lg">Action Latency (15min window)</CardTitle>
+            <CardTitle className="text-lg">Requests per Minute ({formatWindow(windowMinutes)} window)</CardTitle>
           </CardHeader>
           <CardContent>
-            {actionLatencyData.length > 0 ? (
+            {timeline.length > 0 ? (
               <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={actionLatencyData}>
+                <LineChart data={timeline}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="time" tick={{ fontSize: 12 }} />
                   <YAxis tick={{ fontSize: 12 }} />
                   <Tooltip />
-                  <Line type="monotone" dataKey="p95" stroke="#a855f7" strokeWidth={2} name="p95" />
-                  <Line type="monotone" dataKey="p75" stroke="#d8b4fe" strokeWidth={1} name="p75" />
+                  <Line type="monotone" dataKey="requests" stroke="#10b981" strokeWidth={2} name="requests" />
+                  <Line type="monotone" dataKey="errors" stroke="#ef4444" strokeWidth={1} name="errors" />
                 </LineChart>
               </ResponsiveContainer>
             ) : (
               <div className="h-[250px] flex items-center justify-center text-gray-500">
-                No data available
+                {isLoading ? "Loading..." : "No traffic data in this window"}
               </div>
             )}
           </CardContent>
         </Card>
       </div>
 
+      {/* Per-service breakdown */}
+      <Card className="bg-white shadow-md border-0">
+        <CardHeader>
+          <CardTitle className="text-lg">Services</CardTitle>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          {services.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">{isLoading ? "Loading..." : "This project has no services"}</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-3 font-medium">Service</th>
+                  <th className="py-2 pr-3 font-medium">Status</th>
+                  <th className="py-2 pr-3 font-medium">p95</th>
+                  <th className="py-2 pr-3 font-medium">Req/s</th>
+                  <th className="py-2 pr-3 font-medium">Errors</th>
+                  <th className="py-2 pr-3 font-medium">CPU</th>
+                  <th className="py-2 pr-3 font-medium">Memory</th>
+                  <th className="py-2 font-medium">Last seen</th>
+                </tr>
+              </thead>
+              <tbody>
+                {services.map(s => (
+                  <tr key={s.service_id} className="border-b last:border-0">
+                    <td className="py-2 pr-3 font-medium text-gray-900">{s.service_name}</td>
+                    <td className="py-2 pr-3"><HealthStatusBadge status={s.status} /></td>
+                    <td className="py-2 pr-3">{formatValue(s.latency_p95, "ms")}</td>
+                    <td className="py-2 pr-3">{formatValue(s.requests_per_sec, "", 2)}</td>
+                    <td className="py-2 pr-3">{formatValue(s.error_rate, "%", 2)}</td>
+                    <td className="py-2 pr-3">{formatValue(s.cpu, "%")}</td>
+                    <td className="py-2 pr-3">{formatValue(s.memory, "%")}</td>
+                    <td className="py-2 text-gray-600">{s.last_seen ? format(new Date(s.last_seen), 'HH:mm:ss') : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Threshold Information */}
       <Card className="bg-gray-50 border-gray-200">
         <CardHeader>
-          <CardTitle className="text-lg">Alert Thresholds</CardTitle>
+          <CardTitle className="text-lg">Warning Thresholds</CardTitle>
         </CardHeader>
         <CardContent>
           <div className="grid md:grid-cols-2 gap-4 text-sm">
             <div>
-              <span className="font-medium text-gray-700">Page Load p95:</span>
-              <span className="text-gray-600 ml-2">&lt; {thresholds.page_load_p95}ms</span>
+              <span className="font-medium text-gray-700">Latency p95:</span>
+              <span className="text-gray-600 ml-2">&lt; {HEALTH_THRESHOLDS.warning.latency_p95_ms}ms</span>
             </div>
             <div>
-              <span className="font-medium text-gray-700">Action Latency p95:</span>
-              <span className="text-gray-600 ml-2">&lt; {thresholds.action_latency_p95}ms</span>
+              <span className="font-medium text-gray-700">Error Rate:</span>
+              <span className="text-gray-600 ml-2">&lt; {HEALTH_THRESHOLDS.warning.error_rate}%</span>
             </div>
             <div>
-              <span className="font-medium text-gray-700">API Latency p95:</span>
-              <span className="text-gray-600 ml-2">&lt; {thresholds.api_latency_p95}ms</span>
+              <span className="font-medium text-gray-700">CPU / Memory:</span>
+              <span className="text-gray-600 ml-2">&lt; {HEALTH_THRESHOLDS.warning.cpu}% / {HEALTH_THRESHOLDS.warning.memory}%</span>
             </div>
             <div>
-              <span className="font-medium text-gray-700">Error Rate:</span>
-              <span className="text-gray-600 ml-2">&lt; {thresholds.error_rate}%</span>
+              <span className="font-medium text-gray-700">Uptime:</span>
+              <span className="text-gray-600 ml-2">&ge; {HEALTH_THRESHOLDS.warning.uptime}%</span>
             </div>
           </div>
         </CardContent>
       </Card>
     </div>
   );
-}
\ No newline at end of file
+}
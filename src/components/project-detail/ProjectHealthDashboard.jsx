@@ -13,6 +13,7 @@ import {
   RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer 
 } from "recharts";
+import { rankSinglePointsOfFailure } from "../../../functions/lib/failureImpact";
 
 const COLORS = {
   success: "#10b981",
@@ -109,14 +110,22 @@ export default function ProjectHealthDashboard({ project, services }) {
       // Compile Risks
       const risks = [];
       
-      if (validationReports[0]?.critical_count > 0) {
+      // Architecture risk comes from simulating each service going down,
+      // using the resilience settings on its callers
+      const nameOf = (id) => services.find(s => s.id === id)?.name || id;
+      rankSinglePointsOfFailure(services).slice(0, 3).forEach(point => {
+        const down = point.user_facing_down.map(nameOf);
+        const degraded = point.user_facing_degraded.map(nameOf);
         risks.push({
-          level: "critical",
-          title: "Critical Architecture Issues",
-          description: `${validationReports[0].critical_count} critical issues detected in validation`,
-          source: "Architecture Validation"
+          level: down.length > 0 ? "critical" : "warning",
+          title: `Single Point of Failure: ${point.name}`,
+          description: [
+            down.length > 0 && `If it goes down, ${down.join(", ")} go${down.length === 1 ? "es" : ""} down`,
+            degraded.length > 0 && `${degraded.join(", ")} degrade${degraded.length === 1 ? "s" : ""}`
+          ].filter(Boolean).join("; "),
+          source: "Failure Simulation"
         });
-      }
+      });
 
       if (security_health?.vulnerabilities.critical > 0) {
         risks.push({
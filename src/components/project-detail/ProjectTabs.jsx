@@ -1,13 +1,14 @@
 import { 
   Network, List, Sparkles, FileText, Code2, FileCode2, 
   DollarSign, GitBranch, Cpu, Code, Users, Settings, Compass, 
-  Brain, BarChart3, Eye, Rocket, Wand2, CheckSquare, Zap, Activity, Bot, Flag, BookOpen, RefreshCw, Shield, GitPullRequest
+  Brain, BarChart3, Eye, Rocket, Wand2, CheckSquare, Zap, Activity, Bot, Flag, BookOpen, RefreshCw, Shield, GitPullRequest, ListChecks
 } from "lucide-react";
 
 import VisualEditor from "./VisualEditor";
 import EnhancedVisualEditor from "../visual-editor/EnhancedVisualEditor";
 import ServicesList from "./ServicesList";
 import AIValidator from "./AIValidator";
+import RuleManagement from "./RuleManagement";
 import DependencyVisualizer from "./DependencyVisualizer";
 import AIRefactor from "./AIRefactor";
 import AIDocGenerator from "./AIDocGenerator";
@@ -22,6 +23,7 @@ import CollaborationHub from "./CollaborationHub";
 import TemplateManager from "./TemplateManager";
 import ServiceDiscovery from "./ServiceDiscovery";
 import ServiceMap from "./ServiceMap";
+import PerformanceMonitor from "./PerformanceMonitor";
 import AICollaborationAssistant from "./AICollaborationAssistant";
 import TemplateInsights from "./TemplateInsights";
 import AIArchitectureVisualizer from "./AIArchitectureVisualizer";
@@ -34,6 +36,7 @@ import APIGatewayManager from "./APIGatewayManager";
 import ProjectHealthDashboard from "./ProjectHealthDashboard";
 import AIProjectAssistant from "./AIProjectAssistant";
 import FeatureFlagManager from "./FeatureFlagManager";
+import ArchitectureSpecPanel from "./ArchitectureSpecPanel";
 import ServiceScaffoldGenerator from "./ServiceScaffoldGenerator";
 import KnowledgeBaseHub from "../knowledge-base/KnowledgeBaseHub";
 import CodeScaffoldingHub from "../code-scaffold/CodeScaffoldingHub";
@@ -61,11 +64,13 @@ export const tabConfig = [
   { id: "tasks", label: "Tasks", icon: CheckSquare, component: TaskPrioritization, props: ["project", "services"] },
   { id: "discover", label: "Discover", icon: Compass, component: ServiceDiscovery, props: ["project", "services"] },
   { id: "map", label: "Map", icon: Network, component: ServiceMap, props: ["project", "services"] },
+  { id: "monitor", label: "Monitor", icon: Activity, component: PerformanceMonitor, props: ["project"] },
   { id: "gateway", label: "API Gateway", icon: Network, component: APIGatewayManager, props: ["project", "services"] },
   { id: "registration", label: "Registration", icon: Code2, component: ServiceRegistrationGenerator, props: ["project", "services"] },
   { id: "performance", label: "Performance", icon: Zap, component: PerformanceTuning, props: ["project", "services"] },
   { id: "validate", label: "Validate", icon: Sparkles, component: AIValidator, props: ["project", "services"] },
-  { id: "dependencies", label: "Graph", icon: Network, component: DependencyVisualizer, props: ["project", "services"] },
+  { id: "rules", label: "Rules", icon: ListChecks, component: RuleManagement, props: ["project"] },
+  { id: "dependencies", label: "Graph", icon: Network, component: DependencyVisualizer, props: ["project", "services", "onUpdateService"] },
   { id: "refactor", label: "Refactor", icon: RefreshCw, component: CodeRefactoringHub, props: ["project", "services"] },
   { id: "documentation", label: "Docs", icon: FileText, component: AIDocGenerator, props: ["project", "services"] },
   { id: "docs-enhanced", label: "Smart Docs", icon: BookOpen, component: EnhancedDocGenerator, props: ["project", "services"] },
@@ -81,10 +86,11 @@ export const tabConfig = [
   { id: "api", label: "APIs", icon: Code, component: APIIntegrationHub, props: ["project", "services"] },
   { id: "analytics", label: "Analytics", icon: BarChart3, component: AdvancedAnalyticsDashboard, props: ["project", "services"] },
   { id: "flags", label: "Flags", icon: Flag, component: FeatureFlagManager, props: ["project", "services"] },
+  { id: "arch-spec", label: "As Code", icon: FileCode2, component: ArchitectureSpecPanel, props: ["project", "services", "onReload"] },
   { id: "arch-refine", label: "Refine", icon: Cpu, component: ArchitectureRefiner, props: ["project", "services"] },
   { id: "code-gen", label: "Generate", icon: Code, component: CodeGenerator, props: ["project", "services"] },
   { id: "scaffold", label: "Code Lab", icon: Code, component: CodeScaffoldingHub, props: ["project", "services"] },
-  { id: "collab", label: "Collab", icon: Users, component: CollaborationHub, props: ["project"] },
+  { id: "collab", label: "Collab", icon: Users, component: CollaborationHub, props: ["project", "services"] },
   { id: "template-mgmt", label: "Manage", icon: Settings, component: TemplateManager, props: [] },
   { id: "ai-assist", label: "AI Assist", icon: Brain, component: AICollaborationAssistant, props: ["project", "services"] },
   { id: "insights", label: "Insights", icon: BarChart3, component: TemplateInsights, props: [] },
@@ -16,6 +16,8 @@ import {
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { format } from "date-fns";
+import { EXECUTABLE_RULE_SCHEMA } from "./ArchitectureLintPanel";
+import CustomRulesPanel from "./CustomRulesPanel";
 
 const categoryIcons = {
   security: Shield,
@@ -106,6 +108,7 @@ For each new rule, provide:
 - rationale: Why this rule matters and what pattern it addresses
 - category: One of (security, performance, resilience, architecture)
 - confidence: Score 0.0-1.0 based on how often this pattern appears
+- executable_rule: When the rule maps onto one of the listed templates, the template and params the static linter should run
 
 Return as JSON array.`;
 
@@ -122,7 +125,8 @@ Return as JSON array.`;
                   suggested_rule: { type: "string" },
                   rationale: { type: "string" },
                   category: { type: "string" },
-                  confidence: { type: "number" }
+                  confidence: { type: "number" },
+                  executable_rule: EXECUTABLE_RULE_SCHEMA
                 },
                 required: ["suggested_rule", "rationale", "category"]
               }
@@ -141,6 +145,7 @@ Return as JSON array.`;
           rationale: rule.rationale,
           category: rule.category,
           confidence: Math.max(0, Math.min(1, rule.confidence || 0.7)),
+          executable_rule: rule.executable_rule || null,
           accepted: false
         })
       );
@@ -312,7 +317,7 @@ Return as JSON array.`;
 
       {acceptedRules.length > 0 && (
         <div className="space-y-4">
-          <h3 className="text-lg font-semibold text-gray-900">Accepted Rules (Active in Validation)</h3>
+          <h3 className="text-lg font-semibold text-gray-900">Accepted Rules (Active in Validation and Lint)</h3>
           {acceptedRules.map((rule, index) => {
             const Icon = categoryIcons[rule.category] || AlertTriangle;
             
@@ -336,6 +341,13 @@ Return as JSON array.`;
                         {rule.ruleset_version && (
                           <Badge variant="outline">v{rule.ruleset_version}</Badge>
                         )}
+                        {rule.executable_rule ? (
+                          <Badge variant="outline" className="font-mono">
+                            CUSTOM-{rule.id} · {rule.executable_rule.template}
+                          </Badge>
+                        ) : (
+                          <Badge variant="outline" className="text-gray-500">Advisory only</Badge>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -366,6 +378,8 @@ Return as JSON array.`;
           </CardContent>
         </Card>
       )}
+
+      <CustomRulesPanel project={project} />
     </div>
   );
 }
\ No newline at end of file
@@ -1,16 +1,19 @@
 import React, { useState, useEffect, useRef } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent } from "@/components/ui/card";
-import { Network, Loader2 } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Network } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { AnimatedHero } from "../shared/AnimatedHero";
 import { ServiceNode } from "../service-map/ServiceNode";
 import { ServiceConnections, SVGDefinitions, MapLegend } from "../service-map/ServiceConnections";
 import { ServiceDetailPanel } from "../service-map/ServiceDetailPanel";
+import { useTelemetry, formatWindow } from "../shared/hooks/useTelemetry";
+import { WINDOW_MINUTES, DEFAULT_WINDOW_MINUTES } from "../../../functions/lib/telemetry";
 
 export default function ServiceMap({ project, services }) {
-  const [healthData, setHealthData] = useState({});
-  const [cicdStatus, setCicdStatus] = useState({});
+  const [windowMinutes, setWindowMinutes] = useState(DEFAULT_WINDOW_MINUTES);
+  const { byService: healthData, summary } = useTelemetry(project?.id, { windowMinutes });
   const [selectedService, setSelectedService] = useState(null);
   const [dependencies, setDependencies] = useState([]);
   const canvasRef = useRef(null);
@@ -18,8 +21,6 @@ export default function ServiceMap({ project, services }) {
 
   useEffect(() => {
     initializeMap();
-    const interval = setInterval(refreshHealthData, 5000);
-    return () => clearInterval(interval);
   }, [services]);
 
   const initializeMap = async () => {
@@ -29,12 +30,7 @@ export default function ServiceMap({ project, services }) {
     const newPositions = calculatePositions(services);
     setPositions(newPositions);
 
-    // Fetch health and CI/CD data
-    await Promise.all([
-      fetchHealthData(),
-      fetchCICDStatus(),
-      fetchDependencies()
-    ]);
+    await fetchDependencies();
   };
 
   const calculatePositions = (svcs) => {
@@ -54,55 +50,6 @@ export default function ServiceMap({ project, services }) {
     return positions;
   };
 
-  const fetchHealthData = async () => {
-    try {
-      const [validations, performance] = await Promise.all([
-        base44.entities.ValidationReport.filter({ project_id: project.id }),
-        base44.entities.PerformanceTuning.filter({ project_id: project.id })
-      ]);
-
-      const health = {};
-      services.forEach(service => {
-        const validation = validations.find(v => v.service_id === service.id);
-        const perf = performance.find(p => p.service_id === service.id);
-        
-        health[service.id] = {
-          status: Math.random() > 0.2 ? 'healthy' : Math.random() > 0.5 ? 'warning' : 'critical',
-          latency: Math.floor(Math.random() * 200) + 50,
-          uptime: 95 + Math.random() * 5,
-          requests_per_sec: Math.floor(Math.random() * 1000),
-          error_rate: Math.random() * 2,
-          cpu: Math.floor(Math.random() * 80) + 20,
-          memory: Math.floor(Math.random() * 70) + 30
-        };
-      });
-
-      setHealthData(health);
-    } catch (error) {
-      console.error("Error fetching health data:", error);
-    }
-  };
-
-  const fetchCICDStatus = async () => {
-    try {
-      const configs = await base44.entities.CICDConfiguration.filter({ project_id: project.id });
-      
-      const status = {};
-      services.forEach(service => {
-        status[service.id] = {
-          last_deploy: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString(),
-          deploy_status: Math.random() > 0.3 ? 'success' : Math.random() > 0.5 ? 'in_progress' : 'failed',
-          pipeline_stage: ['build', 'test', 'deploy'][Math.floor(Math.random() * 3)],
-          version: `v${Math.floor(Math.random() * 3) + 1}.${Math.floor(Math.random() * 10)}.${Math.floor(Math.random() * 20)}`
-        };
-      });
-
-      setCicdStatus(status);
-    } catch (error) {
-      console.error("Error fetching CI/CD status:", error);
-    }
-  };
-
   const fetchDependencies = async () => {
     try {
       const graphs = await base44.entities.DependencyGraph.filter({ project_id: project.id });
@@ -114,20 +61,33 @@ export default function ServiceMap({ project, services }) {
     }
   };
 
-  const refreshHealthData = () => {
-    fetchHealthData();
-  };
-
-
-
   return (
     <div className="space-y-6">
       <AnimatedHero
         icon={Network}
         title="Live Service Map"
-        description="Real-time visualization of service topology, health, and deployments"
+        description="Service topology with health from ingested OpenTelemetry and Prometheus telemetry"
       />
 
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">
+          {summary
+            ? `${summary.services.length - summary.overall.by_status.unknown} of ${summary.services.length} services reporting`
+            : "Loading telemetry..."}
+          {summary?.overall.last_seen && ` · last data ${new Date(summary.overall.last_seen).toLocaleTimeString()}`}
+        </p>
+        <Select value={String(windowMinutes)} onValueChange={(value) => setWindowMinutes(Number(value))}>
+          <SelectTrigger className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {WINDOW_MINUTES.map(minutes => (
+              <SelectItem key={minutes} value={String(minutes)}>Last {formatWindow(minutes)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
       <div className="grid lg:grid-cols-3 gap-6">
         {/* Service Map Canvas */}
         <motion.div
@@ -160,7 +120,6 @@ export default function ServiceMap({ project, services }) {
                     service={service}
                     position={positions[service.id] || { x: 400, y: 300 }}
                     health={healthData[service.id]}
-                    cicd={cicdStatus[service.id]}
                     isSelected={selectedService?.id === service.id}
                     onClick={() => setSelectedService(service)}
                     index={i}
@@ -183,7 +142,7 @@ export default function ServiceMap({ project, services }) {
             <ServiceDetailPanel
               service={selectedService}
               health={selectedService ? healthData[selectedService.id] : null}
-              cicd={selectedService ? cicdStatus[selectedService.id] : null}
+              windowMinutes={windowMinutes}
               onClose={() => setSelectedService(null)}
             />
           </AnimatePresence>
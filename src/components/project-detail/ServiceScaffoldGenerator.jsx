@@ -4,187 +4,76 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
-import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { 
-  Code, Loader2, Sparkles, Download, Copy, CheckCircle2,
-  FileCode, TestTube, Package, Rocket, Zap
+  Code, Loader2, Sparkles, FileArchive, Rocket, AlertTriangle
 } from "lucide-react";
 import { motion } from "framer-motion";
+import { toast } from "sonner";
+import ProjectTreeBrowser from "../shared/ProjectTreeBrowser";
+import { downloadZip } from "../shared/FileActions";
+
+const languages = [
+  { value: "typescript", label: "TypeScript", framework: "express" },
+  { value: "javascript", label: "Node.js", framework: "express" },
+  { value: "python", label: "Python", framework: "fastapi" },
+  { value: "go", label: "Go", framework: "gin" },
+  { value: "java", label: "Java", framework: "spring-boot" }
+];
+
+// Same platform ids as generateCICD
+const cicdPlatforms = [
+  { value: "github_actions", label: "GitHub Actions" },
+  { value: "gitlab_ci", label: "GitLab CI" },
+  { value: "jenkins", label: "Jenkins" },
+  { value: "circleci", label: "CircleCI" },
+  { value: "azure_devops", label: "Azure DevOps" },
+  { value: "bitbucket", label: "Bitbucket Pipelines" }
+];
 
 export default function ServiceScaffoldGenerator({ project, services }) {
   const [selectedService, setSelectedService] = useState("");
+  const [language, setLanguage] = useState("typescript");
+  const [platform, setPlatform] = useState("github_actions");
   const [isGenerating, setIsGenerating] = useState(false);
   const [scaffold, setScaffold] = useState(null);
-  const [copied, setCopied] = useState("");
 
   const generateScaffold = async () => {
     if (!selectedService) return;
-    
-    const service = services.find(s => s.id === selectedService);
-    if (!service) return;
 
     setIsGenerating(true);
     try {
-      const prompt = `Generate production-ready microservice boilerplate for:
-
-SERVICE: ${service.name}
-CATEGORY: ${service.category}
-DESCRIPTION: ${service.description}
-TECHNOLOGIES: ${(service.technologies || []).join(', ')}
-APIs: ${(service.apis || []).map(a => `${a.method} ${a.path}`).join(', ')}
-
-Generate complete, deployable code structure:
-
-1. SERVICE CODE:
-   - Main application entry point with proper structure
-   - API route handlers for all endpoints
-   - Database models/schemas
-   - Business logic layer
-   - Middleware (auth, logging, error handling)
-   - Configuration management
-   - Dependencies/requirements file
-
-2. UNIT TESTS:
-   - Test suite covering all API endpoints
-   - Mock data fixtures
-   - Integration tests
-   - Test configuration
-   - >80% code coverage approach
-
-3. DOCKERFILE:
-   - Multi-stage build for optimization
-   - Security best practices
-   - Health check endpoint
-   - Proper caching layers
-   - Non-root user
-   - .dockerignore file
-
-4. DOCKER-COMPOSE:
-   - Service definition
-   - Database dependencies
-   - Network configuration
-   - Volume mounts
-   - Environment variables
-
-5. CI/CD PIPELINE:
-   - Build and test stages
-   - Linting and security scanning
-   - Docker image build and push
-   - Deployment configuration
-
-6. README:
-   - Setup instructions
-   - API documentation
-   - Development guide
-   - Environment variables
-
-Choose the best framework based on technologies (e.g., Express.js for Node, FastAPI for Python, Spring Boot for Java).
-Make it production-ready with logging, monitoring, and proper error handling.`;
-
-      const result = await base44.integrations.Core.InvokeLLM({
-        prompt: prompt,
-        response_json_schema: {
-          type: "object",
-          properties: {
-            language: { type: "string" },
-            framework: { type: "string" },
-            files: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  path: { type: "string" },
-                  content: { type: "string" },
-                  description: { type: "string" }
-                }
-              }
-            },
-            setup_instructions: { type: "string" },
-            environment_variables: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  key: { type: "string" },
-                  description: { type: "string" },
-                  example: { type: "string" }
-                }
-              }
-            }
-          }
+      const { data } = await base44.functions.invoke('apiGateway', {
+        route: 'generate-code',
+        payload: {
+          service_id: selectedService,
+          language,
+          framework: languages.find(l => l.value === language)?.framework,
+          architecture_pattern: project.architecture_pattern || "microservices",
+          cicd_platform: platform
         }
       });
-
-      const newScaffold = await base44.entities.CodeGeneration.create({
-        project_id: project.id,
-        service_id: service.id,
-        generation_type: "full_service",
-        language: result.language,
-        framework: result.framework,
-        file_structure: result.files || [],
-        setup_instructions: result.setup_instructions
-      });
-
-      setScaffold({
-        ...newScaffold,
-        environment_variables: result.environment_variables
-      });
+      const result = data.data;
+      setScaffold({ ...result, generated_at: result.generation_metadata.generated_at });
+
+      if (result.syntax.failed > 0) {
+        toast.warning(`${result.syntax.failed} generated file(s) do not parse; check the flagged files`);
+      } else {
+        toast.success(`Generated ${result.code.files.length} files`);
+      }
     } catch (error) {
       console.error("Error generating scaffold:", error);
+      toast.error(error.response?.data?.error?.message || "Failed to generate scaffold");
     }
     setIsGenerating(false);
   };
 
-  const copyContent = (fileName, content) => {
-    navigator.clipboard.writeText(content);
-    setCopied(fileName);
-    setTimeout(() => setCopied(""), 2000);
-  };
-
-  const downloadFile = (fileName, content) => {
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  };
-
-  const downloadAll = () => {
-    if (!scaffold?.file_structure) return;
-    scaffold.file_structure.forEach(file => {
-      downloadFile(file.path, file.content);
-    });
-  };
-
-  const getFileIcon = (path) => {
-    if (path.includes('test')) return TestTube;
-    if (path.includes('Docker')) return Package;
-    if (path.includes('README')) return FileCode;
-    return Code;
-  };
-
-  const categorizeFiles = (files) => {
-    const categories = {
-      core: [],
-      tests: [],
-      docker: [],
-      config: [],
-      docs: []
-    };
-
-    files.forEach(file => {
-      if (file.path.includes('test')) categories.tests.push(file);
-      else if (file.path.includes('Docker') || file.path.includes('docker')) categories.docker.push(file);
-      else if (file.path.includes('README') || file.path.includes('.md')) categories.docs.push(file);
-      else if (file.path.includes('config') || file.path.includes('.env') || file.path.includes('.yml')) categories.config.push(file);
-      else categories.core.push(file);
-    });
-
-    return categories;
+  const downloadProject = async () => {
+    try {
+      await downloadZip(`${scaffold.root}.zip`, scaffold.code.files, scaffold.root);
+    } catch (error) {
+      console.error("Failed to create ZIP:", error);
+      toast.error("Failed to create ZIP file");
+    }
   };
 
   return (
@@ -210,12 +99,12 @@ Make it production-ready with logging, monitoring, and proper error handling.`;
               AI Service Scaffold Generator
             </CardTitle>
             <p className="text-violet-100 mt-2">
-              Generate production-ready boilerplate, tests, and Docker configuration
+              Generate a buildable service project: source, tests, Dockerfile, CI pipeline and OpenAPI spec
             </p>
           </CardHeader>
           
           <CardContent className="relative z-10 space-y-4">
-            <div className="grid md:grid-cols-2 gap-4">
+            <div className="grid md:grid-cols-3 gap-4">
               <div>
                 <label className="text-sm text-violet-200 mb-2 block">Select Service</label>
                 <Select value={selectedService} onValueChange={setSelectedService}>
@@ -231,29 +120,51 @@ Make it production-ready with logging, monitoring, and proper error handling.`;
                   </SelectContent>
                 </Select>
               </div>
+              <div>
+                <label className="text-sm text-violet-200 mb-2 block">Language</label>
+                <Select value={language} onValueChange={setLanguage}>
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {languages.map(l => (
+                      <SelectItem key={l.value} value={l.value}>{l.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <label className="text-sm text-violet-200 mb-2 block">CI/CD Pipeline</label>
+                <Select value={platform} onValueChange={setPlatform}>
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {cicdPlatforms.map(p => (
+                      <SelectItem key={p.value} value={p.value}>{p.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
 
-              {selectedService && (
-                <div className="flex items-end">
-                  <Button
-                    onClick={generateScaffold}
-                    disabled={isGenerating}
-                    className="w-full bg-white/10 hover:bg-white/20 text-white border border-white/20 backdrop-blur-sm"
-                  >
-                    {isGenerating ? (
-                      <>
-                        <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-                        Generating...
-                      </>
-                    ) : (
-                      <>
-                        <Sparkles className="w-5 h-5 mr-2" />
-                        Generate Full Scaffold
-                      </>
-                    )}
-                  </Button>
-                </div>
+            <Button
+              onClick={generateScaffold}
+              disabled={isGenerating || !selectedService}
+              className="w-full bg-white/10 hover:bg-white/20 text-white border border-white/20 backdrop-blur-sm"
+            >
+              {isGenerating ? (
+                <>
+                  <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                  Generating...
+                </>
+              ) : (
+                <>
+                  <Sparkles className="w-5 h-5 mr-2" />
+                  Generate Full Scaffold
+                </>
               )}
-            </div>
+            </Button>
           </CardContent>
         </Card>
       </motion.div>
@@ -273,152 +184,44 @@ Make it production-ready with logging, monitoring, and proper error handling.`;
                     Generated Scaffold
                   </CardTitle>
                   <div className="flex gap-2 mt-2">
-                    <Badge className="bg-violet-600">{scaffold.language}</Badge>
-                    <Badge className="bg-purple-600">{scaffold.framework}</Badge>
-                    <Badge variant="outline">{scaffold.file_structure?.length || 0} files</Badge>
+                    <Badge className="bg-violet-600">{scaffold.generation_metadata.language}</Badge>
+                    <Badge className="bg-purple-600">{scaffold.generation_metadata.framework}</Badge>
+                    <Badge variant="outline">{scaffold.code.files.length} files</Badge>
                   </div>
                 </div>
-                <Button onClick={downloadAll} variant="outline">
-                  <Download className="w-4 h-4 mr-2" />
-                  Download All
+                <Button onClick={downloadProject} variant="outline">
+                  <FileArchive className="w-4 h-4 mr-2" />
+                  Download ZIP
                 </Button>
               </div>
             </CardHeader>
 
-            <CardContent className="p-0">
-              <Tabs defaultValue="core" className="w-full">
-                <TabsList className="w-full justify-start rounded-none border-b bg-gray-50 p-0">
-                  <TabsTrigger value="core" className="rounded-none">
-                    <Code className="w-4 h-4 mr-2" />
-                    Core Files
-                  </TabsTrigger>
-                  <TabsTrigger value="tests" className="rounded-none">
-                    <TestTube className="w-4 h-4 mr-2" />
-                    Tests
-                  </TabsTrigger>
-                  <TabsTrigger value="docker" className="rounded-none">
-                    <Package className="w-4 h-4 mr-2" />
-                    Docker
-                  </TabsTrigger>
-                  <TabsTrigger value="config" className="rounded-none">
-                    <Zap className="w-4 h-4 mr-2" />
-                    Config
-                  </TabsTrigger>
-                  <TabsTrigger value="setup" className="rounded-none">
-                    <FileCode className="w-4 h-4 mr-2" />
-                    Setup
-                  </TabsTrigger>
-                </TabsList>
+            <CardContent className="p-6 space-y-4">
+              <ProjectTreeBrowser key={scaffold.generated_at} files={scaffold.code.files} syntax={scaffold.syntax} />
 
-                {scaffold.file_structure && (() => {
-                  const categories = categorizeFiles(scaffold.file_structure);
-                  
-                  return (
-                    <>
-                      {Object.entries(categories).map(([category, files]) => (
-                        files.length > 0 && (
-                          <TabsContent key={category} value={category} className="p-6 space-y-4">
-                            {files.map((file, i) => {
-                              const FileIcon = getFileIcon(file.path);
-                              return (
-                                <motion.div
-                                  key={i}
-                                  initial={{ opacity: 0, x: -20 }}
-                                  animate={{ opacity: 1, x: 0 }}
-                                  transition={{ delay: i * 0.05 }}
-                                >
-                                  <Card className="shadow-md hover:shadow-lg transition-shadow">
-                                    <CardHeader className="bg-gradient-to-r from-gray-50 to-gray-100 border-b pb-3">
-                                      <div className="flex items-center justify-between">
-                                        <div className="flex items-center gap-3">
-                                          <FileIcon className="w-5 h-5 text-violet-600" />
-                                          <div>
-                                            <h4 className="font-mono text-sm font-semibold">{file.path}</h4>
-                                            {file.description && (
-                                              <p className="text-xs text-gray-600 mt-1">{file.description}</p>
-                                            )}
-                                          </div>
-                                        </div>
-                                        <div className="flex gap-2">
-                                          <Button
-                                            onClick={() => copyContent(file.path, file.content)}
-                                            size="sm"
-                                            variant="ghost"
-                                          >
-                                            {copied === file.path ? (
-                                              <CheckCircle2 className="w-4 h-4 text-green-600" />
-                                            ) : (
-                                              <Copy className="w-4 h-4" />
-                                            )}
-                                          </Button>
-                                          <Button
-                                            onClick={() => downloadFile(file.path, file.content)}
-                                            size="sm"
-                                            variant="ghost"
-                                          >
-                                            <Download className="w-4 h-4" />
-                                          </Button>
-                                        </div>
-                                      </div>
-                                    </CardHeader>
-                                    <CardContent className="p-0">
-                                      <pre className="bg-slate-900 text-gray-100 p-6 text-sm overflow-x-auto max-h-96 m-0">
-                                        {file.content}
-                                      </pre>
-                                    </CardContent>
-                                  </Card>
-                                </motion.div>
-                              );
-                            })}
-                          </TabsContent>
-                        )
-                      ))}
-
-                      <TabsContent value="setup" className="p-6 space-y-6">
-                        <Card className="shadow-md">
-                          <CardHeader className="bg-gradient-to-r from-green-50 to-emerald-50 border-b">
-                            <CardTitle className="text-lg">Setup Instructions</CardTitle>
-                          </CardHeader>
-                          <CardContent className="p-6 prose prose-sm max-w-none">
-                            <pre className="bg-gray-50 p-4 rounded-lg text-sm whitespace-pre-wrap">
-                              {scaffold.setup_instructions}
-                            </pre>
-                          </CardContent>
-                        </Card>
+              {scaffold.skipped_paths?.length > 0 && (
+                <p className="flex items-center gap-2 text-xs text-amber-700">
+                  <AlertTriangle className="w-4 h-4" />
+                  Left out unsafe or excess paths: {scaffold.skipped_paths.join(", ")}
+                </p>
+              )}
 
-                        {scaffold.environment_variables?.length > 0 && (
-                          <Card className="shadow-md">
-                            <CardHeader className="bg-gradient-to-r from-blue-50 to-cyan-50 border-b">
-                              <CardTitle className="text-lg">Environment Variables</CardTitle>
-                            </CardHeader>
-                            <CardContent className="p-6">
-                              <div className="space-y-3">
-                                {scaffold.environment_variables.map((env, i) => (
-                                  <div key={i} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
-                                    <div className="font-mono font-semibold text-sm text-gray-900 mb-1">
-                                      {env.key}
-                                    </div>
-                                    <p className="text-sm text-gray-600 mb-2">{env.description}</p>
-                                    {env.example && (
-                                      <code className="text-xs bg-white px-2 py-1 rounded border">
-                                        {env.example}
-                                      </code>
-                                    )}
-                                  </div>
-                                ))}
-                              </div>
-                            </CardContent>
-                          </Card>
-                        )}
-                      </TabsContent>
-                    </>
-                  );
-                })()}
-              </Tabs>
+              {scaffold.code.setup_commands?.length > 0 && (
+                <Card className="shadow-md">
+                  <CardHeader className="bg-gradient-to-r from-green-50 to-emerald-50 border-b">
+                    <CardTitle className="text-lg">Setup Instructions</CardTitle>
+                  </CardHeader>
+                  <CardContent className="p-6">
+                    <pre className="bg-gray-50 p-4 rounded-lg text-sm whitespace-pre-wrap">
+                      {scaffold.code.setup_commands.join("\n")}
+                    </pre>
+                  </CardContent>
+                </Card>
+              )}
             </CardContent>
           </Card>
         </motion.div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { MessageSquare, Pin, Reply, Send } from "lucide-react";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import PropTypes from "prop-types";
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+function MessageComposer({ placeholder, onSend, disabled }) {
+  const [text, setText] = useState("");
+  const [isSending, setIsSending] = useState(false);
+
+  const submit = async () => {
+    const body = text.trim();
+    if (!body) return;
+    setIsSending(true);
+    try {
+      await onSend(body);
+      setText("");
+    } catch (error) {
+      console.error("Error sending message:", error);
+      toast.error("Failed to send message");
+    }
+    setIsSending(false);
+  };
+
+  return (
+    <div className="flex gap-2">
+      <Input
+        placeholder={placeholder}
+        value={text}
+        maxLength={MAX_MESSAGE_LENGTH}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && !e.shiftKey && submit()}
+        disabled={disabled || isSending}
+      />
+      <Button onClick={submit} disabled={disabled || isSending || !text.trim()} size="icon" aria-label="Send">
+        <Send className="w-4 h-4" />
+      </Button>
+    </div>
+  );
+}
+
+MessageComposer.propTypes = {
+  placeholder: PropTypes.string.isRequired,
+  onSend: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+function MessageBubble({ message, onPin, canPin }) {
+  return (
+    <div className="bg-gray-50 p-2 rounded">
+      <div className="flex justify-between items-center mb-1 text-xs">
+        <span className="font-medium">{message.author_name || message.author_email}</span>
+        <span className="flex items-center gap-2 text-gray-500">
+          {message.decision && (
+            <Badge variant="outline" className="text-purple-700 border-purple-300">
+              <Pin className="w-3 h-3 mr-1" />
+              Decision
+            </Badge>
+          )}
+          {format(new Date(message.created_date), 'MMM d, HH:mm')}
+        </span>
+      </div>
+      <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{message.body}</p>
+      {canPin && !message.decision && (
+        <button onClick={() => onPin(message)} className="mt-1 text-xs text-purple-600 hover:underline flex items-center gap-1">
+          <Pin className="w-3 h-3" />
+          Pin as decision
+        </button>
+      )}
+    </div>
+  );
+}
+
+MessageBubble.propTypes = {
+  message: PropTypes.object.isRequired,
+  onPin: PropTypes.func.isRequired,
+  canPin: PropTypes.bool
+};
+
+export default function SessionChat({ project, session, messages, user, readOnly = false, onChanged }) {
+  const [openThread, setOpenThread] = useState(null);
+  const [pinning, setPinning] = useState(null);
+  const [decisionTitle, setDecisionTitle] = useState("");
+
+  const roots = messages.filter(m => !m.parent_id);
+  const repliesTo = (id) => messages.filter(m => m.parent_id === id);
+
+  const postMessage = async (body, parentId = null) => {
+    await base44.entities.SessionMessage.create({
+      project_id: project.id,
+      session_id: session.id,
+      parent_id: parentId,
+      author_email: user.email,
+      author_name: user.full_name || user.email,
+      body
+    });
+    await onChanged();
+  };
+
+  const startPin = (message) => {
+    setPinning(message);
+    setDecisionTitle(message.body.slice(0, 120));
+  };
+
+  const confirmPin = async () => {
+    try {
+      await base44.entities.SessionMessage.update(pinning.id, {
+        decision: {
+          title: decisionTitle.trim() || pinning.body.slice(0, 120),
+          status: "accepted",
+          pinned_by: user.email,
+          pinned_at: new Date().toISOString()
+        }
+      });
+      setPinning(null);
+      toast.success("Pinned to the decisions log");
+      await onChanged();
+    } catch (error) {
+      console.error("Error pinning decision:", error);
+      toast.error("Failed to pin decision");
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {!readOnly && <MessageComposer placeholder="Start a thread..." onSend={(body) => postMessage(body)} disabled={!user} />}
+
+      {pinning && (
+        <div className="p-3 border border-purple-200 bg-purple-50 rounded space-y-2">
+          <p className="text-xs font-medium text-purple-900">Decision title</p>
+          <div className="flex gap-2">
+            <Input value={decisionTitle} maxLength={200} onChange={(e) => setDecisionTitle(e.target.value)} />
+            <Button onClick={confirmPin} className="bg-purple-600 hover:bg-purple-700">Pin</Button>
+            <Button variant="outline" onClick={() => setPinning(null)}>Cancel</Button>
+          </div>
+        </div>
+      )}
+
+      {roots.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-6">No messages yet</p>
+      ) : (
+        <div className="space-y-3 max-h-96 overflow-y-auto">
+          {roots.map(message => {
+            const replies = repliesTo(message.id);
+            const isOpen = openThread === message.id;
+            return (
+              <div key={message.id} className="space-y-2">
+                <MessageBubble message={message} onPin={startPin} canPin={!readOnly} />
+                <button
+                  onClick={() => setOpenThread(isOpen ? null : message.id)}
+                  className="text-xs text-gray-600 hover:text-gray-900 flex items-center gap-1 ml-2"
+                >
+                  {replies.length > 0 ? <MessageSquare className="w-3 h-3" /> : <Reply className="w-3 h-3" />}
+                  {replies.length > 0 ? `${replies.length} ${replies.length === 1 ? "reply" : "replies"}` : "Reply"}
+                </button>
+                {isOpen && (
+                  <div className="ml-6 pl-3 border-l-2 border-gray-200 space-y-2">
+                    {replies.map(reply => (
+                      <MessageBubble key={reply.id} message={reply} onPin={startPin} canPin={!readOnly} />
+                    ))}
+                    {!readOnly && (
+                      <MessageComposer placeholder="Reply..." onSend={(body) => postMessage(body, message.id)} disabled={!user} />
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+SessionChat.propTypes = {
+  project: PropTypes.object.isRequired,
+  session: PropTypes.object.isRequired,
+  messages: PropTypes.array.isRequired,
+  user: PropTypes.object,
+  readOnly: PropTypes.bool,
+  onChanged: PropTypes.func.isRequired
+};
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { FileText, Loader2, PinOff, Sparkles } from "lucide-react";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import PropTypes from "prop-types";
+
+// Mirrors formatAdrNumber in functions/lib/decisionRecords.ts
+function formatAdrNumber(number) {
+  return `ADR-${String(number).padStart(4, "0")}`;
+}
+
+export default function SessionDecisions({ project, messages, readOnly = false, onChanged }) {
+  const [generatingId, setGeneratingId] = useState(null);
+
+  const decisions = messages.filter(m => m.decision);
+  const replyCount = (id) => messages.filter(m => m.parent_id === id).length;
+
+  const generateAdr = async (message) => {
+    setGeneratingId(message.id);
+    try {
+      const { data } = await base44.functions.invoke('apiGateway', {
+        route: 'generate-documentation',
+        payload: { project_id: project.id, doc_type: 'adr', decision_message_id: message.id }
+      });
+      toast.success(`${data.data.adr.title} added to Documentation`);
+      await onChanged();
+    } catch (error) {
+      console.error("Error generating ADR:", error);
+      toast.error(error.response?.data?.error?.message || "Failed to generate ADR");
+    }
+    setGeneratingId(null);
+  };
+
+  const unpin = async (message) => {
+    try {
+      await base44.entities.SessionMessage.update(message.id, { decision: null });
+      await onChanged();
+    } catch (error) {
+      console.error("Error unpinning decision:", error);
+    }
+  };
+
+  if (decisions.length === 0) {
+    return (
+      <p className="text-gray-500 text-sm text-center py-6">
+        No decisions yet. Pin a chat message to record it here.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {decisions.map(message => (
+        <div key={message.id} className="p-3 bg-gray-50 rounded border border-gray-200">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="font-medium text-sm text-gray-900">{message.decision.title}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {message.author_name || message.author_email} · pinned by {message.decision.pinned_by}
+                {message.decision.pinned_at && ` · ${format(new Date(message.decision.pinned_at), 'MMM d, HH:mm')}`}
+                {` · ${replyCount(message.id)} replies`}
+              </p>
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              <Badge variant="outline" className="capitalize">{message.decision.status}</Badge>
+              {message.adr_document_id ? (
+                <Badge className="bg-green-100 text-green-800">
+                  <FileText className="w-3 h-3 mr-1" />
+                  {formatAdrNumber(message.adr_number)}
+                </Badge>
+              ) : !readOnly && (
+                <>
+                  <Button size="sm" onClick={() => generateAdr(message)} disabled={generatingId !== null}>
+                    {generatingId === message.id
+                      ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                      : <Sparkles className="w-4 h-4 mr-2" />}
+                    Generate ADR
+                  </Button>
+                  <Button size="icon" variant="ghost" onClick={() => unpin(message)} aria-label="Unpin decision">
+                    <PinOff className="w-4 h-4" />
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+SessionDecisions.propTypes = {
+  project: PropTypes.object.isRequired,
+  messages: PropTypes.array.isRequired,
+  readOnly: PropTypes.bool,
+  onChanged: PropTypes.func.isRequired
+};
@@ -0,0 +1,232 @@
+import { useState, useEffect, useMemo } from "react";
+import { base44 } from "@/api/base44Client";
+import { Button } from "@/components/ui/button";
+import { Slider } from "@/components/ui/slider";
+import { History, Loader2, Pause, Play, RefreshCw } from "lucide-react";
+import { format } from "date-fns";
+import PropTypes from "prop-types";
+import { buildReplay, frameAt } from "../../../functions/lib/sessionReplay";
+
+const PLAYBACK_STEP_MS = 800;
+const CANVAS = { width: 640, height: 320, padding: 40, node: { width: 96, height: 32 } };
+
+// Fits every position seen during the session into the canvas, so services
+// do not jump around as the scrubber moves
+function useLayout(frames) {
+  return useMemo(() => {
+    const points = frames.flatMap(f => f.services.map(s => s.position).filter(Boolean));
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(0, ...xs);
+    const minY = Math.min(0, ...ys);
+    const spanX = Math.max(1, Math.max(0, ...xs) - minX);
+    const spanY = Math.max(1, Math.max(0, ...ys) - minY);
+    const scale = Math.min(
+      (CANVAS.width - 2 * CANVAS.padding - CANVAS.node.width) / spanX,
+      (CANVAS.height - 2 * CANVAS.padding - CANVAS.node.height) / spanY,
+      1
+    );
+    return (position = { x: 0, y: 0 }) => ({
+      x: CANVAS.padding + (position.x - minX) * scale,
+      y: CANVAS.padding + (position.y - minY) * scale
+    });
+  }, [frames]);
+}
+
+function ReplayCanvas({ services, highlighted, project }) {
+  const byId = new Map(services.map(s => [s.id, s]));
+  const { width, height } = CANVAS.node;
+
+  return (
+    <svg viewBox={`0 0 ${CANVAS.width} ${CANVAS.height}`} className="w-full bg-slate-50 rounded border">
+      <defs>
+        <marker id="replay-arrow" markerWidth="8" markerHeight="8" refX="7" refY="3" orient="auto">
+          <polygon points="0 0, 8 3, 0 6" fill="#94a3b8" />
+        </marker>
+      </defs>
+      {services.flatMap(service => service.depends_on.filter(id => byId.has(id)).map(targetId => {
+        const from = project(service.position);
+        const to = project(byId.get(targetId).position);
+        return (
+          <line
+            key={`${service.id}-${targetId}`}
+            x1={from.x + width / 2}
+            y1={from.y + height / 2}
+            x2={to.x + width / 2}
+            y2={to.y + height / 2}
+            stroke="#94a3b8"
+            strokeWidth="1.5"
+            markerEnd="url(#replay-arrow)"
+          />
+        );
+      }))}
+      {services.map(service => {
+        const { x, y } = project(service.position);
+        const isChanged = highlighted.has(service.id);
+        return (
+          <g key={service.id} transform={`translate(${x}, ${y})`}>
+            <rect
+              width={width}
+              height={height}
+              rx="6"
+              fill={isChanged ? "#ede9fe" : "white"}
+              stroke={isChanged ? "#7c3aed" : "#cbd5e1"}
+              strokeWidth={isChanged ? 2 : 1}
+            />
+            <text x={width / 2} y={height / 2 + 4} textAnchor="middle" fontSize="11" fill="#1f2937">
+              {(service.name || service.id).slice(0, 14)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+ReplayCanvas.propTypes = {
+  services: PropTypes.array.isRequired,
+  highlighted: PropTypes.instanceOf(Set).isRequired,
+  project: PropTypes.func.isRequired
+};
+
+export default function SessionReplay({ session }) {
+  const [changes, setChanges] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [time, setTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const loadChanges = async () => {
+    try {
+      setChanges(await base44.entities.SessionChange.filter({ session_id: session.id }, 'at'));
+    } catch (error) {
+      console.error("Error loading session changes:", error);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    setIsLoading(true);
+    loadChanges();
+  }, [session.id]);
+
+  const frames = useMemo(
+    () => buildReplay(session.baseline_services || [], changes, session.created_date),
+    [session, changes]
+  );
+  const project = useLayout(frames);
+
+  const start = new Date(session.created_date).getTime();
+  const end = Math.max(start, ...frames.map(f => (f.at ? new Date(f.at).getTime() : start)));
+
+  // Open on the final state
+  useEffect(() => {
+    setTime(end);
+  }, [end]);
+
+  const current = frames[frameAt(frames, new Date(time).toISOString())];
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setInterval(() => {
+      const next = frames[current.index + 1];
+      if (!next) {
+        setIsPlaying(false);
+        return;
+      }
+      setTime(new Date(next.at).getTime());
+    }, PLAYBACK_STEP_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, current.index, frames]);
+
+  const play = () => {
+    if (current.index === frames.length - 1) setTime(start);
+    setIsPlaying(true);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {!session.baseline_services && (
+        <p className="text-xs text-amber-700 bg-amber-50 p-2 rounded">
+          This session started before replay was available, so only services changed during it are shown.
+        </p>
+      )}
+
+      <ReplayCanvas
+        services={current.services}
+        highlighted={new Set(current.changes.map(c => c.service_id))}
+        project={project}
+      />
+
+      <div className="flex items-center gap-3">
+        <Button
+          size="icon"
+          variant="outline"
+          onClick={() => (isPlaying ? setIsPlaying(false) : play())}
+          disabled={frames.length < 2}
+          aria-label={isPlaying ? "Pause replay" : "Play replay"}
+        >
+          {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </Button>
+        <Slider
+          min={start}
+          max={end}
+          step={1000}
+          value={[time]}
+          onValueChange={([value]) => {
+            setIsPlaying(false);
+            setTime(value);
+          }}
+          disabled={frames.length < 2}
+        />
+        <span className="text-xs text-gray-600 whitespace-nowrap min-w-[110px] text-right">
+          {format(new Date(time), 'MMM d, HH:mm:ss')}
+        </span>
+        {session.status === "active" && (
+          <Button size="icon" variant="ghost" onClick={loadChanges} aria-label="Load latest changes">
+            <RefreshCw className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+
+      <div className="max-h-48 overflow-y-auto space-y-1">
+        {frames.length < 2 && (
+          <p className="text-gray-500 text-sm text-center py-4">No service changes were recorded in this session</p>
+        )}
+        {frames.slice(1).map(frame => (
+          <button
+            key={frame.index}
+            onClick={() => {
+              setIsPlaying(false);
+              setTime(new Date(frame.at).getTime());
+            }}
+            className={`w-full text-left text-xs p-2 rounded flex gap-2 ${frame.index === current.index ? "bg-purple-50 border border-purple-200" : "bg-gray-50 hover:bg-gray-100"}`}
+          >
+            <History className="w-3 h-3 mt-0.5 text-gray-400 shrink-0" />
+            <span className="text-gray-500 shrink-0">{format(new Date(frame.at), 'HH:mm:ss')}</span>
+            <span className="font-medium shrink-0">{frame.author}</span>
+            <span className="text-gray-700 truncate">
+              {frame.changes.length > 0 ? frame.changes.map(c => c.text).join("; ") : "no visible change"}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+SessionReplay.propTypes = {
+  session: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    created_date: PropTypes.string,
+    status: PropTypes.string,
+    baseline_services: PropTypes.array
+  }).isRequired
+};
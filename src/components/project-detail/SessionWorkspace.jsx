@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from "react";
+import { base44 } from "@/api/base44Client";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { History, MessageSquare, Pin } from "lucide-react";
+import PropTypes from "prop-types";
+import SessionChat from "./SessionChat";
+import SessionDecisions from "./SessionDecisions";
+import SessionReplay from "./SessionReplay";
+
+// Fallback refresh when the sync server is not relaying chat notifications
+const CHAT_POLL_MS = 30000;
+
+export default function SessionWorkspace({ project, session, live = null }) {
+  const [messages, setMessages] = useState([]);
+  const [user, setUser] = useState(null);
+  const readOnly = session.status !== "active";
+
+  const loadMessages = useCallback(async () => {
+    try {
+      setMessages(await base44.entities.SessionMessage.filter({ session_id: session.id }, 'created_date'));
+    } catch (error) {
+      console.error("Error loading session messages:", error);
+    }
+  }, [session.id]);
+
+  useEffect(() => {
+    base44.auth.me().then(setUser).catch(error => console.error("Error loading user:", error));
+  }, []);
+
+  useEffect(() => {
+    loadMessages();
+    if (readOnly) return;
+    const timer = setInterval(loadMessages, CHAT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [loadMessages, readOnly, live?.chatVersion]);
+
+  // Reload locally, then tell the other peers to do the same
+  const handleChanged = async () => {
+    await loadMessages();
+    live?.announceChat();
+  };
+
+  const decisionCount = messages.filter(m => m.decision).length;
+
+  return (
+    <Tabs defaultValue="chat" className="space-y-3">
+      <TabsList>
+        <TabsTrigger value="chat">
+          <MessageSquare className="w-4 h-4 mr-1" />
+          Chat
+        </TabsTrigger>
+        <TabsTrigger value="decisions">
+          <Pin className="w-4 h-4 mr-1" />
+          Decisions{decisionCount > 0 && ` (${decisionCount})`}
+        </TabsTrigger>
+        <TabsTrigger value="replay">
+          <History className="w-4 h-4 mr-1" />
+          Replay
+        </TabsTrigger>
+      </TabsList>
+      <TabsContent value="chat">
+        <SessionChat
+          project={project}
+          session={session}
+          messages={messages}
+          user={user}
+          readOnly={readOnly}
+          onChanged={handleChanged}
+        />
+      </TabsContent>
+      <TabsContent value="decisions">
+        <SessionDecisions project={project} messages={messages} readOnly={readOnly} onChanged={handleChanged} />
+      </TabsContent>
+      <TabsContent value="replay">
+        <SessionReplay session={session} />
+      </TabsContent>
+    </Tabs>
+  );
+}
+
+SessionWorkspace.propTypes = {
+  project: PropTypes.object.isRequired,
+  session: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    status: PropTypes.string
+  }).isRequired,
+  live: PropTypes.shape({
+    chatVersion: PropTypes.number,
+    announceChat: PropTypes.func
+  })
+};
@@ -10,7 +10,8 @@ import {
   Grid3x3,
   Trash2,
   Link as LinkIcon,
-  Sparkles
+  Sparkles,
+  MousePointer2
 } from "lucide-react";
 import {
   Popover,
@@ -35,7 +36,15 @@ const severityColors = {
   low: "#22c55e"
 };
 
-export default function VisualEditor({ services, onUpdateService, onDeleteService }) {
+const impactColors = {
+  down: "#dc2626",
+  degraded: "#f59e0b"
+};
+
+// Remote peers (collaborators) come from useCollaboration; their cursors are
+// in canvas coordinates so they line up whatever each viewer's pan and zoom.
+// `impact` is a simulateFailure result drawn over the nodes and connections.
+export default function VisualEditor({ services, onUpdateService, onDeleteService, collaborators = [], onCursorMove, onSelectService, impact = null }) {
   const canvasRef = useRef(null);
   const [zoom, setZoom] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
@@ -143,6 +152,19 @@ export default function VisualEditor({ services, onUpdateService, onDeleteServic
     setConnecting(null);
   };
 
+  const handleCursorMove = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    onCursorMove({
+      x: (e.clientX - rect.left - pan.x) / zoom,
+      y: (e.clientY - rect.top - pan.y) / zoom
+    });
+  };
+
+  const handleSelectService = (serviceId) => {
+    setSelectedService(serviceId);
+    onSelectService?.(serviceId);
+  };
+
   const handleRemoveConnection = (sourceId, targetId) => {
     const sourceService = services.find(s => s.id === sourceId);
     const updatedDeps = (sourceService.depends_on || []).filter(id => id !== targetId);
@@ -264,6 +286,18 @@ Provide:
     return match?.severity;
   };
 
+  const impactOf = (serviceId) => impact?.services.find(s => s.id === serviceId) || null;
+
+  // Failing calls are red, contained ones green and dashed
+  const connectionStyle = (sourceId, targetId) => {
+    const edge = impact?.edges.find(e => e.from === sourceId && e.to === targetId);
+    if (!edge) return { stroke: "#94a3b8", dash: undefined };
+    if (edge.contained_by) return { stroke: "#16a34a", dash: "6 4" };
+    if (edge.saturating || edge.error_rate >= 0.5) return { stroke: impactColors.down, dash: undefined };
+    if (edge.error_rate > 0) return { stroke: impactColors.degraded, dash: undefined };
+    return { stroke: "#94a3b8", dash: undefined };
+  };
+
   const renderConnections = () => {
     return services.map(service => {
       if (!service.depends_on || !service.position) return null;
@@ -283,6 +317,7 @@ Provide:
         const sourceY = sourcePos.y + 40 + Math.sin(angle) * 40;
         const targetX = targetPos.x + 60 - Math.cos(angle) * 40;
         const targetY = targetPos.y + 40 - Math.sin(angle) * 40;
+        const { stroke, dash } = connectionStyle(service.id, targetId);
 
         return (
           <g key={`${service.id}-${targetId}`}>
@@ -291,8 +326,9 @@ Provide:
               y1={sourceY}
               x2={targetX}
               y2={targetY}
-              stroke="#94a3b8"
-              strokeWidth="2"
+              stroke={stroke}
+              strokeWidth={stroke === "#94a3b8" ? "2" : "3"}
+              strokeDasharray={dash}
               markerEnd="url(#arrowhead)"
             />
             <circle
@@ -429,6 +465,8 @@ Provide:
           cursor: isPanning ? "grabbing" : dragging ? "grabbing" : "grab"
         }}
         onMouseDown={handleCanvasMouseDown}
+        onMouseMove={onCursorMove ? handleCursorMove : undefined}
+        onMouseLeave={onCursorMove ? () => onCursorMove(null) : undefined}
       >
         <svg
           className="absolute inset-0 pointer-events-none"
@@ -463,6 +501,9 @@ Provide:
             const position = service.position || { x: 100, y: 100 };
             const severity = showAIOverlay ? getServiceSeverity(service.name) : null;
             const severityColor = severity ? severityColors[severity] : null;
+            const selectedBy = collaborators.filter(peer => peer.selection === service.id);
+            const serviceImpact = impactOf(service.id);
+            const impactColor = impactColors[serviceImpact?.status] || null;
             
             return (
               <Popover key={service.id}>
@@ -474,18 +515,39 @@ Provide:
                       top: `${position.y}px`,
                       width: "120px",
                       zIndex: selectedService === service.id ? 10 : 1,
-                      borderColor: severityColor || '#e5e7eb',
-                      boxShadow: severityColor ? `0 0 0 2px ${severityColor}40` : undefined
+                      borderColor: selectedBy[0]?.colour || impactColor || severityColor || '#e5e7eb',
+                      boxShadow: impactColor ? `0 0 0 3px ${impactColor}60` : severityColor ? `0 0 0 2px ${severityColor}40` : undefined
                     }}
                     onMouseDown={(e) => handleServiceDragStart(e, service)}
-                    onClick={() => setSelectedService(service.id)}
+                    onClick={() => handleSelectService(service.id)}
                   >
+                    {selectedBy.length > 0 && (
+                      <div className="absolute -top-5 left-0 flex gap-1">
+                        {selectedBy.map(peer => (
+                          <span
+                            key={peer.peer_id}
+                            className="px-1.5 rounded text-[10px] font-medium text-white whitespace-nowrap"
+                            style={{ backgroundColor: peer.colour }}
+                          >
+                            {peer.name}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                     <div className={`h-2 ${categoryColors[service.category] || 'bg-gray-400'} rounded-t-xl`} />
                     <div className="p-3">
                       <div className="text-2xl mb-1 text-center">{service.icon || "⚙️"}</div>
                       <div className="text-xs font-semibold text-gray-900 text-center mb-2 line-clamp-2">
                         {service.name}
                       </div>
+                      {serviceImpact && serviceImpact.status !== "healthy" && (
+                        <Badge
+                          className="text-xs mx-auto block w-fit mb-1"
+                          style={{ backgroundColor: impactColor, color: 'white' }}
+                        >
+                          {serviceImpact.status} · {Math.round(serviceImpact.error_rate * 100)}%
+                        </Badge>
+                      )}
                       {severity && showAIOverlay && (
                         <Badge 
                           className="text-xs mx-auto block w-fit mb-1"
@@ -555,6 +617,22 @@ Provide:
               </Popover>
             );
           })}
+
+          {collaborators.filter(peer => peer.cursor).map(peer => (
+            <div
+              key={peer.peer_id}
+              className="absolute pointer-events-none transition-transform duration-75"
+              style={{ left: 0, top: 0, transform: `translate(${peer.cursor.x}px, ${peer.cursor.y}px)`, zIndex: 20 }}
+            >
+              <MousePointer2 className="w-4 h-4" style={{ color: peer.colour, fill: peer.colour }} />
+              <span
+                className="ml-3 px-1.5 py-0.5 rounded text-[10px] font-medium text-white whitespace-nowrap"
+                style={{ backgroundColor: peer.colour }}
+              >
+                {peer.name}
+              </span>
+            </div>
+          ))}
         </div>
 
         {services.length === 0 && (
@@ -0,0 +1,210 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { AlertTriangle, CheckCircle2, Loader2 } from "lucide-react";
+import { base44 } from "@/api/base44Client";
+import { toast } from "sonner";
+import PropTypes from "prop-types";
+
+const summaryLabels = {
+  services: "Services",
+  dependencies: "Service links",
+  tasks: "Tasks",
+  feature_flags: "Feature flags",
+  cicd: "CI/CD configs",
+  documentation: "Documents"
+};
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (file.name.endsWith('.zip')) {
+      reader.readAsDataURL(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+}
+
+// Export JSON is sent as `data`; bundle ZIPs as base64 `bundle`
+async function buildImportPayload(file) {
+  const content = await readFile(file);
+  if (file.name.endsWith('.zip')) {
+    return { bundle: String(content).split(',')[1] };
+  }
+  return { data: JSON.parse(content) };
+}
+
+async function invokeImport(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'import-project', payload });
+  return data.data;
+}
+
+function importErrorMessage(error) {
+  const apiError = error.response?.data?.error;
+  if (apiError?.details?.errors?.length) {
+    return `${apiError.message}: ${apiError.details.errors.slice(0, 3).join('; ')}`;
+  }
+  return apiError?.message || error.message || "Failed to import project";
+}
+
+export default function ImportProjectModal({ open, onOpenChange, onSuccess }) {
+  const [payload, setPayload] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setPayload(null);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleOpenChange = (next) => {
+    if (!next) reset();
+    onOpenChange(next);
+  };
+
+  // A dry run validates the file and reports conflicts before anything is written
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    reset();
+    if (!file) return;
+
+    setIsChecking(true);
+    try {
+      const nextPayload = await buildImportPayload(file);
+      setPayload(nextPayload);
+      setPreview(await invokeImport({ ...nextPayload, dry_run: true }));
+    } catch (err) {
+      console.error("Import validation failed:", err);
+      setError(err instanceof SyntaxError ? "File is not valid JSON" : importErrorMessage(err));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await invokeImport(payload);
+      toast.success(`Imported "${result.project_name}"`);
+      onSuccess?.(result);
+      handleOpenChange(false);
+    } catch (err) {
+      console.error("Failed to import project:", err);
+      toast.error(importErrorMessage(err));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-[600px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl font-bold">Import Project</DialogTitle>
+          <DialogDescription>
+            Create a new project from an exported JSON file or bundle ZIP
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6 py-4">
+          <div className="space-y-2">
+            <Label htmlFor="import-file">Export file</Label>
+            <Input
+              id="import-file"
+              type="file"
+              accept=".json,.zip,application/json,application/zip"
+              onChange={handleFileChange}
+              disabled={isChecking || isImporting}
+            />
+          </div>
+
+          {isChecking && (
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Validating export...
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 text-sm text-red-700">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {preview && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2 font-medium text-gray-900">
+                  <CheckCircle2 className="w-4 h-4 text-green-600" />
+                  {preview.project_name}
+                </div>
+                <Badge variant="outline">Schema {preview.schema_version}</Badge>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                {Object.entries(summaryLabels).map(([key, label]) => (
+                  <div key={key} className="p-3 rounded-lg bg-gray-50 text-center">
+                    <div className="text-lg font-semibold text-gray-900">{preview.summary[key]}</div>
+                    <div className="text-xs text-gray-500">{label}</div>
+                  </div>
+                ))}
+              </div>
+
+              {preview.conflicts.length > 0 && (
+                <div className="space-y-2">
+                  <div className="text-sm font-medium text-amber-700">
+                    {preview.conflicts.length} conflict(s) will be resolved automatically
+                  </div>
+                  <ul className="max-h-40 overflow-y-auto space-y-1 text-sm text-gray-700">
+                    {preview.conflicts.map((conflict, i) => (
+                      <li key={i} className="flex items-start gap-2">
+                        <AlertTriangle className="w-3 h-3 mt-1 text-amber-500 flex-shrink-0" />
+                        {conflict.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => handleOpenChange(false)} disabled={isImporting}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleImport}
+            disabled={!preview || isImporting}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+          >
+            {isImporting ? "Importing..." : "Import Project"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+ImportProjectModal.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onOpenChange: PropTypes.func.isRequired,
+  onSuccess: PropTypes.func
+};
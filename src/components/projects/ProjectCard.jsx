@@ -10,7 +10,9 @@ import {
   MoreVertical,
   Edit2,
   Trash2,
-  Download
+  Download,
+  FileArchive,
+  Globe
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
@@ -44,41 +46,44 @@ const categoryGradients = {
   platform: "from-orange-500 to-red-600"
 };
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 function ProjectCard({ project, index = 0, onUpdate }) {
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
 
-  const handleExport = async (e) => {
+  // Goes through exportProject so the JSON carries a schema_version that
+  // importProject understands. ZIP formats come back base64-encoded
+  const handleExport = async (e, format) => {
     e.stopPropagation();
     try {
-      const [services, tasks, cicd] = await Promise.all([
-        base44.entities.Service.filter({ project_id: project.id }),
-        base44.entities.Task.filter({ project_id: project.id }),
-        base44.entities.CICDConfiguration.filter({ project_id: project.id })
-      ]);
-
-      const exportData = {
-        project,
-        services,
-        tasks,
-        cicd,
-        exported_at: new Date().toISOString()
-      };
-
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${project.name.replace(/\s+/g, '-').toLowerCase()}-export.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      const { data } = await base44.functions.invoke('apiGateway', {
+        route: 'export-project',
+        payload: { project_id: project.id, format }
+      });
+      const result = data.data;
+
+      if (format === 'json') {
+        const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${project.name.replace(/\s+/g, '-').toLowerCase()}-export.json`);
+      } else {
+        const bytes = Uint8Array.from(atob(result.content), c => c.charCodeAt(0));
+        downloadBlob(new Blob([bytes], { type: result.content_type }), result.filename);
+      }
       toast.success("Project exported successfully");
     } catch (error) {
       console.error("Failed to export project:", error);
-      toast.error("Failed to export project");
+      toast.error(error.response?.data?.error?.message || "Failed to export project");
     }
   };
 
@@ -121,10 +126,18 @@ function ProjectCard({ project, index = 0, onUpdate }) {
                     <Edit2 className="w-4 h-4 mr-2" />
                     Edit Project
                   </DropdownMenuItem>
-                  <DropdownMenuItem onClick={handleExport}>
+                  <DropdownMenuItem onClick={(e) => handleExport(e, 'json')}>
                     <Download className="w-4 h-4 mr-2" />
                     Export JSON
                   </DropdownMenuItem>
+                  <DropdownMenuItem onClick={(e) => handleExport(e, 'bundle')}>
+                    <FileArchive className="w-4 h-4 mr-2" />
+                    Export Bundle (ZIP)
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={(e) => handleExport(e, 'static-site')}>
+                    <Globe className="w-4 h-4 mr-2" />
+                    Export Docs Site
+                  </DropdownMenuItem>
                   <DropdownMenuItem 
                     className="text-red-600"
                     onClick={(e) => { e.stopPropagation(); setShowDeleteDialog(true); }}
@@ -1,5 +1,4 @@
-import React, { useState } from "react";
-import { base44 } from "@/api/base44Client";
+import React, { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
@@ -24,6 +23,7 @@ import {
 import { AnimatedHero } from "../shared/AnimatedHero";
 import ComplianceReportGenerator from "./ComplianceReportGenerator";
 import DependencyScanResults from "./DependencyScanResults";
+import { useGatewayJobs } from "../shared/hooks/useGatewayJobs";
 
 /**
  * SecurityAuditHub Component
@@ -33,14 +33,24 @@ import DependencyScanResults from "./DependencyScanResults";
  * - Dynamic runtime checks
  * - Dependency scanning
  * - Compliance reporting
+ *
+ * Audits run as background gateway jobs, so the page can be left while
+ * an audit is in progress and the report is picked up on return.
  */
 export default function SecurityAuditHub({ project, services }) {
   const [auditType, setAuditType] = useState('full');
   const [complianceStandards, setComplianceStandards] = useState(['SOC2']);
   const [includeRemediation, setIncludeRemediation] = useState(true);
   const [severityThreshold, setSeverityThreshold] = useState('medium');
-  const [loading, setLoading] = useState(false);
   const [auditReport, setAuditReport] = useState(null);
+  const { latestJob, isActive, isSubmitting, submit, cancel } = useGatewayJobs(project.id, 'security-audit');
+  const loading = isSubmitting || isActive;
+
+  useEffect(() => {
+    if (latestJob?.status === 'completed' && latestJob.result?.audit_report) {
+      setAuditReport(latestJob.result.audit_report);
+    }
+  }, [latestJob]);
 
   const auditTypes = [
     { value: 'full', label: 'Full Audit', description: 'Complete security assessment' },
@@ -53,21 +63,15 @@ export default function SecurityAuditHub({ project, services }) {
   const complianceOptions = ['SOC2', 'ISO27001', 'HIPAA', 'PCI-DSS', 'GDPR', 'NIST'];
 
   const runSecurityAudit = async () => {
-    setLoading(true);
     try {
-      const { data } = await base44.functions.invoke('securityAudit', {
-        project_id: project.id,
+      await submit({
         audit_type: auditType,
         compliance_standards: complianceStandards,
         include_remediation: includeRemediation,
         severity_threshold: severityThreshold
       });
-
-      setAuditReport(data.audit_report);
     } catch (error) {
       console.error('Security audit failed:', error);
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -248,6 +252,25 @@ Estimated Effort: ${auditReport.remediation_plan?.estimated_effort}
               </>
             )}
           </Button>
+
+          {isActive && latestJob && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-gray-600">
+                <span>Audit {latestJob.status}. You can leave this page and come back later.</span>
+                <Button variant="ghost" size="sm" onClick={() => cancel(latestJob.job_id)}>
+                  <XCircle className="w-4 h-4 mr-1" />
+                  Cancel
+                </Button>
+              </div>
+              <Progress value={latestJob.progress || 0} />
+            </div>
+          )}
+
+          {latestJob?.status === 'failed' && (
+            <p className="text-sm text-red-600">
+              Last audit failed: {latestJob.error?.message || 'Unknown error'}
+            </p>
+          )}
         </CardContent>
       </Card>
 
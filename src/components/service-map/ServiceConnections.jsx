@@ -71,6 +71,10 @@ export const MapLegend = () => (
         <div className="w-3 h-3 rounded-full bg-red-500" />
         <span className="text-gray-700">Critical</span>
       </div>
+      <div className="flex items-center gap-2">
+        <div className="w-3 h-3 rounded-full bg-gray-500" />
+        <span className="text-gray-700">Unknown (no data)</span>
+      </div>
       <div className="flex items-center gap-2">
         <div className="w-3 h-0.5 bg-gray-400" />
         <span className="text-gray-700">Sync</span>
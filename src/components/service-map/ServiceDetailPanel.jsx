@@ -2,11 +2,15 @@ import React from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { X, Activity, GitBranch, Zap, Clock } from "lucide-react";
+import { X, Activity, GitBranch, Clock, HelpCircle } from "lucide-react";
 import { motion } from "framer-motion";
 import { MetricCard } from "../shared/MetricCard";
+import { HealthStatusBadge } from "../shared/HealthStatus";
 
-export const ServiceDetailPanel = ({ service, health, cicd, onClose }) => {
+// Telemetry values are null when the window has no data for them
+const formatValue = (value, unit, digits = 0) => (value == null ? "—" : `${value.toFixed(digits)}${unit}`);
+
+export const ServiceDetailPanel = ({ service, health, windowMinutes, onClose }) => {
   if (!service) {
     return (
       <Card className="shadow-xl h-full flex items-center justify-center min-h-[400px]">
@@ -23,11 +27,12 @@ export const ServiceDetailPanel = ({ service, health, cicd, onClose }) => {
     );
   }
 
-  const metrics = health ? [
-    { icon: Activity, value: `${health.latency}ms`, label: "Latency", gradient: "from-blue-50 to-cyan-50", borderColor: "border-blue-200", iconColor: "text-blue-600", valueColor: "text-blue-900" },
-    { icon: Activity, value: `${health.uptime.toFixed(1)}%`, label: "Uptime", gradient: "from-green-50 to-emerald-50", borderColor: "border-green-200", iconColor: "text-green-600", valueColor: "text-green-900" },
-    { icon: Activity, value: `${health.cpu}%`, label: "CPU", gradient: "from-purple-50 to-pink-50", borderColor: "border-purple-200", iconColor: "text-purple-600", valueColor: "text-purple-900" },
-    { icon: Activity, value: `${health.memory}%`, label: "Memory", gradient: "from-orange-50 to-red-50", borderColor: "border-orange-200", iconColor: "text-orange-600", valueColor: "text-orange-900" }
+  const hasData = health && health.status !== "unknown";
+  const metrics = hasData ? [
+    { icon: Activity, value: formatValue(health.latency_p95, "ms"), label: "Latency p95", gradient: "from-blue-50 to-cyan-50", borderColor: "border-blue-200", iconColor: "text-blue-600", valueColor: "text-blue-900" },
+    { icon: Activity, value: formatValue(health.uptime, "%", 1), label: "Uptime", gradient: "from-green-50 to-emerald-50", borderColor: "border-green-200", iconColor: "text-green-600", valueColor: "text-green-900" },
+    { icon: Activity, value: formatValue(health.cpu, "%"), label: "CPU", gradient: "from-purple-50 to-pink-50", borderColor: "border-purple-200", iconColor: "text-purple-600", valueColor: "text-purple-900" },
+    { icon: Activity, value: formatValue(health.memory, "%"), label: "Memory", gradient: "from-orange-50 to-red-50", borderColor: "border-orange-200", iconColor: "text-orange-600", valueColor: "text-orange-900" }
   ] : [];
 
   return (
@@ -56,61 +61,65 @@ export const ServiceDetailPanel = ({ service, health, cicd, onClose }) => {
         
         <CardContent className="p-6 space-y-6">
           {/* Health Metrics */}
-          {health && (
-            <div className="space-y-3">
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
               <h3 className="font-semibold text-gray-900 flex items-center gap-2">
                 <Activity className="w-4 h-4 text-indigo-600" />
                 Health Metrics
               </h3>
-              <div className="grid grid-cols-2 gap-3">
-                {metrics.map((metric, i) => (
-                  <MetricCard key={i} {...metric} />
-                ))}
-              </div>
-              <div className="bg-gray-50 rounded-lg p-3 space-y-2">
-                <div className="flex justify-between text-sm">
-                  <span className="text-gray-600">Requests/sec</span>
-                  <span className="font-semibold text-gray-900">{health.requests_per_sec}</span>
+              <HealthStatusBadge status={health?.status} />
+            </div>
+            {hasData ? (
+              <>
+                <div className="grid grid-cols-2 gap-3">
+                  {metrics.map((metric, i) => (
+                    <MetricCard key={i} {...metric} />
+                  ))}
                 </div>
-                <div className="flex justify-between text-sm">
-                  <span className="text-gray-600">Error Rate</span>
-                  <span className="font-semibold text-red-600">{health.error_rate.toFixed(2)}%</span>
+                <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Requests/sec</span>
+                    <span className="font-semibold text-gray-900">{formatValue(health.requests_per_sec, "", 2)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Error Rate</span>
+                    <span className="font-semibold text-red-600">{formatValue(health.error_rate, "%", 2)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Last Seen</span>
+                    <span className="font-semibold text-gray-900">{new Date(health.last_seen).toLocaleTimeString()}</span>
+                  </div>
                 </div>
+              </>
+            ) : (
+              <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-600 flex gap-2">
+                <HelpCircle className="w-4 h-4 mt-0.5 text-gray-400 shrink-0" />
+                <span>
+                  No telemetry received in the last {windowMinutes} minutes. Send OTLP or Prometheus data
+                  with a service name matching &quot;{service.name}&quot;.
+                </span>
               </div>
-            </div>
-          )}
+            )}
+          </div>
 
-          {/* CI/CD Status */}
-          {cicd && (
+          {/* Deployed Version */}
+          {health?.version && (
             <div className="space-y-3">
               <h3 className="font-semibold text-gray-900 flex items-center gap-2">
                 <GitBranch className="w-4 h-4 text-indigo-600" />
-                Deployment Status
+                Deployed Version
               </h3>
-              <div className="bg-gradient-to-r from-indigo-50 to-purple-50 rounded-lg p-4 border border-indigo-200">
-                <div className="flex items-center justify-between mb-3">
-                  <Badge className={
-                    cicd.deploy_status === 'success' ? 'bg-green-600' :
-                    cicd.deploy_status === 'in_progress' ? 'bg-blue-600' : 'bg-red-600'
-                  }>
-                    {cicd.deploy_status}
-                  </Badge>
-                  <span className="text-sm font-mono text-gray-700">{cicd.version}</span>
-                </div>
-                <div className="space-y-2 text-sm">
-                  <div className="flex items-center gap-2">
-                    <Zap className="w-3 h-3 text-indigo-600" />
-                    <span className="text-gray-600">Stage:</span>
-                    <span className="font-medium text-gray-900">{cicd.pipeline_stage}</span>
-                  </div>
+              <div className="bg-gradient-to-r from-indigo-50 to-purple-50 rounded-lg p-4 border border-indigo-200 space-y-2 text-sm">
+                <div className="font-mono text-gray-900">{health.version}</div>
+                {health.version_since && (
                   <div className="flex items-center gap-2">
                     <Clock className="w-3 h-3 text-indigo-600" />
-                    <span className="text-gray-600">Last Deploy:</span>
+                    <span className="text-gray-600">First seen:</span>
                     <span className="font-medium text-gray-900">
-                      {new Date(cicd.last_deploy).toLocaleDateString()}
+                      {new Date(health.version_since).toLocaleString()}
                     </span>
                   </div>
-                </div>
+                )}
               </div>
             </div>
           )}
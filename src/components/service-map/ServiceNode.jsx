@@ -6,7 +6,6 @@ export const ServiceNode = ({
   service, 
   position, 
   health, 
-  cicd, 
   isSelected,
   onClick,
   index 
@@ -90,31 +89,16 @@ export const ServiceNode = ({
         {service.name}
       </text>
 
-      {/* CI/CD status indicator */}
-      {cicd && (
-        <circle
-          cx={position.x + 25}
-          cy={position.y - 25}
-          r={8}
-          fill={cicd.deploy_status === 'success' ? '#10b981' : 
-                cicd.deploy_status === 'in_progress' ? '#3b82f6' : '#ef4444'}
-          stroke="white"
-          strokeWidth={2}
-        />
-      )}
-
       {/* Latency badge */}
-      {health && (
-        <text
-          x={position.x}
-          y={position.y + 70}
-          textAnchor="middle"
-          fontSize="10"
-          fill="#6b7280"
-        >
-          {health.latency}ms
-        </text>
-      )}
+      <text
+        x={position.x}
+        y={position.y + 70}
+        textAnchor="middle"
+        fontSize="10"
+        fill="#6b7280"
+      >
+        {health?.latency_p95 != null ? `p95 ${Math.round(health.latency_p95)}ms` : 'no data'}
+      </text>
     </motion.g>
   );
 };
\ No newline at end of file
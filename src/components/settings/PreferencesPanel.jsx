@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import {
@@ -18,10 +19,16 @@ export default function PreferencesPanel() {
   const [preferences, setPreferences] = useState({
     theme: 'light',
     emailNotifications: true,
+    slackNotifications: false,
+    slackWebhookUrl: '',
+    webhookNotifications: false,
+    webhookUrl: '',
+    weeklyReportDigest: true,
     aiAssistance: true,
     autoSave: true
   });
   const [isSaving, setIsSaving] = useState(false);
+  const [webhookDrafts, setWebhookDrafts] = useState({ slackWebhookUrl: '', webhookUrl: '' });
 
   useEffect(() => {
     loadPreferences();
@@ -32,6 +39,10 @@ export default function PreferencesPanel() {
       const user = await base44.auth.me();
       if (user.preferences) {
         setPreferences({ ...preferences, ...user.preferences });
+        setWebhookDrafts({
+          slackWebhookUrl: user.preferences.slackWebhookUrl || '',
+          webhookUrl: user.preferences.webhookUrl || ''
+        });
       }
       
       // Load theme from localStorage
@@ -45,8 +56,7 @@ export default function PreferencesPanel() {
   const updatePreference = async (key, value) => {
     setIsSaving(true);
     try {
-      const newPreferences = { ...preferences, [key]: value };
-      setPreferences(newPreferences);
+      setPreferences(prev => ({ ...prev, [key]: value }));
       
       // Handle theme changes immediately
       if (key === 'theme') {
@@ -58,8 +68,10 @@ export default function PreferencesPanel() {
         }
       }
       
-      // Save to backend
-      await base44.auth.updateMe({ preferences: newPreferences });
+      // Save to backend, merged into the stored preferences so mute rules
+      // set from the notification bell since this panel loaded are kept
+      const current = await base44.auth.me();
+      await base44.auth.updateMe({ preferences: { ...current.preferences, [key]: value } });
       toast.success("Preferences updated");
     } catch (error) {
       console.error("Failed to update preferences:", error);
@@ -69,6 +81,17 @@ export default function PreferencesPanel() {
     }
   };
 
+  // sendNotification only posts to public https endpoints
+  const saveWebhookUrl = (key) => {
+    const value = webhookDrafts[key].trim();
+    if (value === (preferences[key] || '')) return;
+    if (value && !value.startsWith('https://')) {
+      toast.error("Webhook URLs must start with https://");
+      return;
+    }
+    updatePreference(key, value);
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -132,6 +155,81 @@ export default function PreferencesPanel() {
               disabled={isSaving}
             />
           </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="space-y-1">
+                <Label htmlFor="slackNotifications">Slack Notifications</Label>
+                <p className="text-sm text-gray-500">
+                  Post alerts to a Slack-compatible incoming webhook
+                </p>
+              </div>
+              <Switch
+                id="slackNotifications"
+                checked={preferences.slackNotifications}
+                onCheckedChange={(checked) => updatePreference('slackNotifications', checked)}
+                disabled={isSaving}
+              />
+            </div>
+            {preferences.slackNotifications && (
+              <Input
+                id="slackWebhookUrl"
+                type="url"
+                placeholder="https://hooks.slack.com/services/..."
+                value={webhookDrafts.slackWebhookUrl}
+                onChange={(e) => setWebhookDrafts(prev => ({ ...prev, slackWebhookUrl: e.target.value }))}
+                onBlur={() => saveWebhookUrl('slackWebhookUrl')}
+                disabled={isSaving}
+              />
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="space-y-1">
+                <Label htmlFor="webhookNotifications">Webhook Notifications</Label>
+                <p className="text-sm text-gray-500">
+                  Send notifications as JSON to your own endpoint
+                </p>
+              </div>
+              <Switch
+                id="webhookNotifications"
+                checked={preferences.webhookNotifications}
+                onCheckedChange={(checked) => updatePreference('webhookNotifications', checked)}
+                disabled={isSaving}
+              />
+            </div>
+            {preferences.webhookNotifications && (
+              <Input
+                id="webhookUrl"
+                type="url"
+                placeholder="https://example.com/hooks/archdesigner"
+                value={webhookDrafts.webhookUrl}
+                onChange={(e) => setWebhookDrafts(prev => ({ ...prev, webhookUrl: e.target.value }))}
+                onBlur={() => saveWebhookUrl('webhookUrl')}
+                disabled={isSaving}
+              />
+            )}
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div className="space-y-1">
+              <Label htmlFor="weeklyReportDigest">Weekly Report Digest</Label>
+              <p className="text-sm text-gray-500">
+                Combine weekly project reports into a single message
+              </p>
+            </div>
+            <Switch
+              id="weeklyReportDigest"
+              checked={preferences.weeklyReportDigest}
+              onCheckedChange={(checked) => updatePreference('weeklyReportDigest', checked)}
+              disabled={isSaving}
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Security alerts are always emailed if no other channel is on or delivery fails.
+          </p>
         </CardContent>
       </Card>
 
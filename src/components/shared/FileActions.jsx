@@ -1,6 +1,8 @@
 import React, { useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Copy, Download, CheckCircle2 } from "lucide-react";
+import JSZip from "jszip";
+import { saveAs } from "file-saver";
 
 export const useCopyToClipboard = () => {
   const [copied, setCopied] = useState("");
@@ -44,6 +46,13 @@ export const downloadFile = (fileName, content) => {
   URL.revokeObjectURL(url);
 };
 
+// `files` is [{ path, content }]; `root` nests everything under one directory
+export const downloadZip = async (fileName, files, root) => {
+  const zip = new JSZip();
+  files.forEach(file => zip.file(root ? `${root}/${file.path}` : file.path, file.content));
+  saveAs(await zip.generateAsync({ type: "blob", compression: "DEFLATE" }), fileName);
+};
+
 export const DownloadButton = ({ fileName, content, size = "sm" }) => {
   return (
     <Button
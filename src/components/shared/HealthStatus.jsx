@@ -1,6 +1,6 @@
 import React from "react";
 import { Badge } from "@/components/ui/badge";
-import { CheckCircle2, AlertTriangle, XCircle } from "lucide-react";
+import { CheckCircle2, AlertTriangle, XCircle, HelpCircle } from "lucide-react";
 
 export const getHealthColor = (status) => {
   switch(status) {
@@ -16,9 +16,11 @@ export const getHealthBadge = (status) => {
     healthy: { icon: CheckCircle2, className: 'bg-green-600', label: 'Healthy' },
     warning: { icon: AlertTriangle, className: 'bg-yellow-600', label: 'Warning' },
     critical: { icon: XCircle, className: 'bg-red-600', label: 'Critical' },
+    unknown: { icon: HelpCircle, className: 'bg-gray-500', label: 'Unknown' },
   };
   
-  return config[status] || config.healthy;
+  // No data is never reported as healthy
+  return config[status] || config.unknown;
 };
 
 export const HealthStatusBadge = ({ status }) => {
@@ -0,0 +1,116 @@
+import { useMemo, useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { ChevronDown, ChevronRight, FileCode, Folder, AlertTriangle, CheckCircle2 } from "lucide-react";
+import { CopyButton, DownloadButton } from "./FileActions";
+import { toDirectoryTree } from "../../../functions/lib/codeProject";
+
+function TreeNode({ node, depth, selected, onSelect, failures }) {
+  const [open, setOpen] = useState(depth < 2);
+  const indent = { paddingLeft: `${depth * 12 + 8}px` };
+
+  if (node.file) {
+    const failed = failures.has(node.path);
+    return (
+      <button
+        type="button"
+        onClick={() => onSelect(node.path)}
+        style={indent}
+        className={`w-full flex items-center gap-1.5 py-1 pr-2 text-left text-xs font-mono truncate hover:bg-gray-100 ${
+          selected === node.path ? "bg-violet-100 text-violet-900" : "text-gray-700"
+        }`}
+      >
+        <FileCode className="w-3.5 h-3.5 shrink-0 text-gray-400" />
+        <span className="truncate">{node.name}</span>
+        {failed && <AlertTriangle className="w-3.5 h-3.5 shrink-0 text-red-500 ml-auto" />}
+      </button>
+    );
+  }
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        style={indent}
+        className="w-full flex items-center gap-1.5 py-1 pr-2 text-left text-xs font-mono text-gray-800 hover:bg-gray-100"
+      >
+        {open ? <ChevronDown className="w-3.5 h-3.5 shrink-0" /> : <ChevronRight className="w-3.5 h-3.5 shrink-0" />}
+        <Folder className="w-3.5 h-3.5 shrink-0 text-amber-500" />
+        <span className="truncate">{node.name}</span>
+      </button>
+      {open && node.children.map(child => (
+        <TreeNode key={child.path} node={child} depth={depth + 1} selected={selected} onSelect={onSelect} failures={failures} />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * File browser for a generated project: directory tree on the left, the
+ * selected file on the right. `syntax` is the checkSyntax report; files
+ * that failed are flagged in the tree and their errors listed.
+ */
+export default function ProjectTreeBrowser({ files, syntax }) {
+  const tree = useMemo(() => toDirectoryTree(files), [files]);
+  const failures = useMemo(
+    () => new Map((syntax?.results || []).filter(r => !r.ok).map(r => [r.path, r.errors])),
+    [syntax]
+  );
+  const [selected, setSelected] = useState(() => [...failures.keys()][0] || files[0]?.path);
+  const file = files.find(f => f.path === selected);
+  const errors = failures.get(selected) || [];
+  const errorLines = new Set(errors.map(e => e.line));
+
+  return (
+    <div className="border rounded-lg overflow-hidden">
+      {syntax && (
+        <div className={`flex items-center gap-2 px-3 py-2 text-sm border-b ${syntax.failed > 0 ? "bg-red-50 text-red-800" : "bg-green-50 text-green-800"}`}>
+          {syntax.failed > 0 ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+          {syntax.failed > 0
+            ? `${syntax.failed} of ${syntax.checked} checked files do not parse`
+            : `All ${syntax.checked} checked files parse`}
+        </div>
+      )}
+      <div className="grid md:grid-cols-[240px_1fr] min-h-[24rem]">
+        <div className="border-r bg-gray-50 py-2 max-h-[32rem] overflow-y-auto">
+          {tree.children.map(node => (
+            <TreeNode key={node.path} node={node} depth={0} selected={selected} onSelect={setSelected} failures={failures} />
+          ))}
+        </div>
+        <div className="min-w-0">
+          {file ? (
+            <>
+              <div className="flex items-center justify-between gap-2 px-3 py-2 border-b">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="font-mono text-sm truncate">{file.path}</span>
+                  {file.kind && <Badge variant="outline" className="text-xs">{file.kind}</Badge>}
+                </div>
+                <div className="flex">
+                  <CopyButton content={file.content} id={file.path} />
+                  <DownloadButton fileName={file.path.split("/").pop()} content={file.content} />
+                </div>
+              </div>
+              {errors.length > 0 && (
+                <ul className="px-3 py-2 border-b bg-red-50 text-xs text-red-800 space-y-1">
+                  {errors.map((error, i) => (
+                    <li key={i} className="font-mono">{error.line}:{error.column} {error.message}</li>
+                  ))}
+                </ul>
+              )}
+              <pre className="bg-slate-900 text-gray-100 text-xs overflow-auto max-h-[28rem] m-0 py-3">
+                {file.content.split("\n").map((line, i) => (
+                  <div key={i} className={`px-3 ${errorLines.has(i + 1) ? "bg-red-900/60" : ""}`}>
+                    <span className="inline-block w-8 mr-3 text-right text-gray-500 select-none">{i + 1}</span>
+                    {line}
+                  </div>
+                ))}
+              </pre>
+            </>
+          ) : (
+            <p className="p-6 text-sm text-gray-500">Select a file to preview it.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
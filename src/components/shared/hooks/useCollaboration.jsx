@@ -0,0 +1,339 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { getAccessToken } from "@base44/sdk";
+import { base44 } from "@/api/base44Client";
+import { toast } from "sonner";
+import {
+  createDoc,
+  createReplica,
+  mergeDocs,
+  hasService,
+  materialise,
+  observe,
+  seedDelta,
+  editServiceDelta,
+  removeServiceDelta,
+  validateDelta
+} from "../../../../functions/lib/crdt";
+
+// Local sync server: deno run --allow-net --allow-env --sloppy-imports functions/collabSync.ts
+const SYNC_URL = import.meta.env.VITE_COLLAB_SYNC_URL || "ws://localhost:8787";
+const RECONNECT_DELAY_MS = 3000;
+const PRESENCE_THROTTLE_MS = 50;
+const PERSIST_DEBOUNCE_MS = 1500;
+// Local edits are recorded for session replay in batches; a drag becomes one record
+const RECORD_FLUSH_MS = 2000;
+
+export const ConnectionStatus = {
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  LIVE: "live",
+  OFFLINE: "offline"
+};
+
+function snapshot(service) {
+  return Object.fromEntries(Object.entries(service).map(([key, value]) => [key, JSON.stringify(value)]));
+}
+
+// Fields of a live service that differ from what was last written
+function changedFields(service, persisted) {
+  const changes = {};
+  for (const [key, value] of Object.entries(service)) {
+    if (key !== "id" && JSON.stringify(value) !== persisted?.[key]) changes[key] = value;
+  }
+  return changes;
+}
+
+/**
+ * Custom hook for live editing of a project's services in a CollaborationSession
+ * Keeps a CRDT replica in sync through the collabSync WebSocket server,
+ * tracks presence, cursors and selections, and queues edits while offline.
+ * The peer the server elects as leader writes merged state back to Service records.
+ * Deletes go through the entity API first; the server relays a removal only once
+ * the record is gone.
+ * Local edits are also stored as SessionChange records for the session replay.
+ */
+export function useCollaboration({ project, session, services, enabled = true }) {
+  const [user, setUser] = useState(null);
+  const [doc, setDoc] = useState(null);
+  const [status, setStatus] = useState(ConnectionStatus.IDLE);
+  const [selfId, setSelfId] = useState(null);
+  const [leaderId, setLeaderId] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [chatVersion, setChatVersion] = useState(0);
+
+  const socketRef = useRef(null);
+  const docRef = useRef(createDoc());
+  const replicaRef = useRef(null);
+  const pendingRef = useRef([]);
+  const servicesRef = useRef(services);
+  const persistedRef = useRef(new Map());
+  const seededIdsRef = useRef(new Set());
+  const presenceRef = useRef({ timer: null, next: {} });
+  const recordRef = useRef({ timer: null, delta: null, at: null });
+
+  servicesRef.current = services;
+  const sessionId = session?.id;
+  const isLive = status === ConnectionStatus.LIVE;
+  const isLeader = isLive && selfId !== null && selfId === leaderId;
+
+  useEffect(() => {
+    base44.auth.me().then(setUser).catch(error => console.error("Error loading user:", error));
+  }, []);
+
+  const applyDelta = useCallback((delta) => {
+    docRef.current = mergeDocs(docRef.current, delta);
+    setDoc(docRef.current);
+  }, []);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket?.readyState !== WebSocket.OPEN) return false;
+    socket.send(JSON.stringify(message));
+    return true;
+  }, []);
+
+  // Local edits apply immediately and are queued until the server has them
+  const commit = useCallback((delta) => {
+    applyDelta(delta);
+    if (!send({ type: "ops", delta })) pendingRef.current.push(delta);
+  }, [applyDelta, send]);
+
+  const flushRecord = useCallback(() => {
+    const record = recordRef.current;
+    clearTimeout(record.timer);
+    recordRef.current = { timer: null, delta: null, at: null };
+    if (!record.delta) return;
+
+    base44.entities.SessionChange.create({
+      project_id: project.id,
+      session_id: sessionId,
+      author_email: user.email,
+      author_name: user.full_name || user.email,
+      at: record.at,
+      delta: record.delta
+    }).catch(error => console.error("Error recording session change:", error));
+  }, [project?.id, sessionId, user]);
+
+  // Deltas merge, so a batch of edits is stored as a single delta
+  const record = useCallback((delta) => {
+    const current = recordRef.current;
+    current.delta = current.delta ? mergeDocs(current.delta, delta) : delta;
+    current.at = new Date().toISOString();
+    if (!current.timer) current.timer = setTimeout(flushRecord, RECORD_FLUSH_MS);
+  }, [flushRecord]);
+
+  const recordParticipant = useCallback(async () => {
+    try {
+      const participants = session.participants || [];
+      const now = new Date().toISOString();
+      const known = participants.some(p => p.email === user.email);
+      await base44.entities.CollaborationSession.update(session.id, {
+        participants: known
+          ? participants.map(p => (p.email === user.email ? { ...p, last_active: now } : p))
+          : [...participants, { email: user.email, role: "editor", last_active: now }]
+      });
+    } catch (error) {
+      console.error("Error recording participant:", error);
+    }
+  }, [session, user]);
+
+  useEffect(() => {
+    if (!enabled || !sessionId || !project?.id || !user?.email) return;
+
+    let closed = false;
+    let retryTimer = null;
+    replicaRef.current = createReplica(crypto.randomUUID());
+    docRef.current = createDoc();
+    persistedRef.current = new Map(servicesRef.current.map(s => [s.id, snapshot(s)]));
+    seededIdsRef.current = new Set(servicesRef.current.map(s => s.id));
+
+    const handleMessage = (event) => {
+      const message = JSON.parse(event.data);
+      switch (message.type) {
+        case "welcome": {
+          observe(replicaRef.current, message.doc);
+          applyDelta(message.doc);
+          const pending = pendingRef.current.splice(0);
+          pending.forEach(delta => send({ type: "ops", delta }));
+          setSelfId(message.peer_id);
+          setPeers(message.peers);
+          setLeaderId(message.leader);
+          setStatus(ConnectionStatus.LIVE);
+          recordParticipant();
+          break;
+        }
+        case "ops":
+          if (!validateDelta(message.delta).valid) return;
+          observe(replicaRef.current, message.delta);
+          applyDelta(message.delta);
+          break;
+        case "peers":
+          setPeers(message.peers);
+          setLeaderId(message.leader);
+          break;
+        case "presence":
+          setPeers(prev => prev.map(p => (p.peer_id === message.peer.peer_id ? message.peer : p)));
+          break;
+        case "chat":
+          setChatVersion(version => version + 1);
+          break;
+        case "error":
+          console.error("Collaboration server error:", message.message);
+          toast.error(message.message);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const connect = () => {
+      setStatus(ConnectionStatus.CONNECTING);
+      const socket = new WebSocket(SYNC_URL);
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: "join",
+          project_id: project.id,
+          session_id: sessionId,
+          token: getAccessToken(),
+          seed: mergeDocs(seedDelta(servicesRef.current), docRef.current)
+        }));
+      };
+      socket.onmessage = handleMessage;
+      socket.onclose = () => {
+        setStatus(ConnectionStatus.OFFLINE);
+        setPeers([]);
+        setLeaderId(null);
+        if (!closed) retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(presenceRef.current.timer);
+      presenceRef.current = { timer: null, next: {} };
+      flushRecord();
+      const socket = socketRef.current;
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+      }
+      socketRef.current = null;
+      pendingRef.current = [];
+      setDoc(null);
+      setSelfId(null);
+      setStatus(ConnectionStatus.IDLE);
+    };
+  }, [enabled, sessionId, project?.id, user?.email]);
+
+  // Records created or edited outside the session join the shared document;
+  // seeds never override live edits. Records that disappear from the
+  // services prop were deleted outside the session and leave it too.
+  useEffect(() => {
+    if (!isLive) return;
+    const ids = new Set(services.map(s => s.id));
+    const deleted = [...seededIdsRef.current].filter(id => !ids.has(id) && hasService(docRef.current, id));
+    seededIdsRef.current = ids;
+
+    if (services.length > 0) commit(seedDelta(services));
+    for (const id of deleted) {
+      persistedRef.current.delete(id);
+      commit(removeServiceDelta(docRef.current, id));
+    }
+  }, [services, isLive, commit]);
+
+  // The leader writes converged state back to the entity store
+  useEffect(() => {
+    if (!isLeader || !doc) return;
+
+    const timer = setTimeout(async () => {
+      const live = materialise(docRef.current);
+      const liveIds = new Set(live.map(s => s.id));
+      const persisted = persistedRef.current;
+
+      try {
+        for (const service of live) {
+          const changes = changedFields(service, persisted.get(service.id));
+          if (Object.keys(changes).length === 0) continue;
+          await base44.entities.Service.update(service.id, changes);
+          persisted.set(service.id, snapshot(service));
+        }
+
+        // Removed services were deleted by the peer that removed them
+        for (const id of persisted.keys()) {
+          if (!liveIds.has(id)) persisted.delete(id);
+        }
+      } catch (error) {
+        console.error("Error persisting collaborative changes:", error);
+      }
+    }, PERSIST_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [doc, isLeader]);
+
+  const updateService = useCallback(async (serviceId, updates) => {
+    const delta = editServiceDelta(docRef.current, replicaRef.current, serviceId, updates);
+    commit(delta);
+    record(delta);
+  }, [commit, record]);
+
+  // The entity API checks the user may delete the record before peers see the removal
+  const deleteService = useCallback(async (serviceId) => {
+    try {
+      await base44.entities.Service.delete(serviceId);
+      await base44.entities.Project.update(project.id, {
+        services_count: Math.max(0, materialise(docRef.current).length - 1)
+      });
+    } catch (error) {
+      console.error("Error deleting service:", error);
+      toast.error("Failed to delete service");
+      return;
+    }
+    persistedRef.current.delete(serviceId);
+    const delta = removeServiceDelta(docRef.current, serviceId);
+    commit(delta);
+    record(delta);
+  }, [commit, record, project?.id]);
+
+  // Tells the other peers to reload the session chat
+  const announceChat = useCallback(() => {
+    send({ type: "chat" });
+  }, [send]);
+
+  // Cursor moves are coalesced so a drag sends at most one frame per interval
+  const updatePresence = useCallback((changes) => {
+    const presence = presenceRef.current;
+    presence.next = { ...presence.next, ...changes };
+    if (presence.timer) return;
+    presence.timer = setTimeout(() => {
+      send({ type: "presence", ...presence.next });
+      presence.next = {};
+      presence.timer = null;
+    }, PRESENCE_THROTTLE_MS);
+  }, [send]);
+
+  const setCursor = useCallback((cursor) => updatePresence({ cursor }), [updatePresence]);
+  const setSelection = useCallback((selection) => updatePresence({ selection }), [updatePresence]);
+
+  const liveServices = useMemo(() => (doc ? materialise(doc) : services), [doc, services]);
+
+  return {
+    status,
+    selfId,
+    leaderId,
+    isLeader,
+    peers,
+    remotePeers: peers.filter(p => p.peer_id !== selfId),
+    services: liveServices,
+    updateService,
+    deleteService,
+    setCursor,
+    setSelection,
+    chatVersion,
+    announceChat
+  };
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from "react";
+import { base44 } from "@/api/base44Client";
+import { toast } from "sonner";
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+export function isJobActive(job) {
+  return Boolean(job) && ACTIVE_STATUSES.includes(job.status);
+}
+
+async function invokeGateway(route, payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route, payload });
+  return data.data;
+}
+
+function gatewayErrorMessage(err, fallback) {
+  return err?.response?.data?.error?.message || fallback;
+}
+
+/**
+ * Custom hook for running an apiGateway route as a background job
+ * Loads recent jobs for the project on mount, so work started earlier
+ * is picked up again, and polls while any job is still active
+ */
+export function useGatewayJobs(projectId, route, { pollInterval = 3000 } = {}) {
+  const [jobs, setJobs] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      const data = await invokeGateway('job-status', { project_id: projectId, route });
+      setJobs(data.jobs);
+    } catch (err) {
+      console.error("Error loading jobs:", err);
+    }
+  }, [projectId, route]);
+
+  const submit = useCallback(async (payload, options = {}) => {
+    setIsSubmitting(true);
+    try {
+      const data = await invokeGateway('job-submit', {
+        calls: [{ route, payload: { project_id: projectId, ...payload } }],
+        ...options
+      });
+      setJobs(prev => [...data.jobs, ...prev]);
+      toast.success("Job started. You can leave this page while it runs");
+      return data;
+    } catch (err) {
+      console.error("Error submitting job:", err);
+      toast.error(gatewayErrorMessage(err, "Failed to start job"));
+      throw err;
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [projectId, route]);
+
+  const cancel = useCallback(async (jobId) => {
+    try {
+      const data = await invokeGateway('job-cancel', { job_id: jobId });
+      setJobs(prev => prev.map(job => data.jobs.find(j => j.job_id === job.job_id) || job));
+      toast.success("Job cancelled");
+    } catch (err) {
+      console.error("Error cancelling job:", err);
+      toast.error(gatewayErrorMessage(err, "Failed to cancel job"));
+    }
+  }, []);
+
+  const isActive = jobs.some(isJobActive);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!isActive) return;
+    const timer = setInterval(refresh, pollInterval);
+    return () => clearInterval(timer);
+  }, [isActive, refresh, pollInterval]);
+
+  return {
+    jobs,
+    latestJob: jobs[0] || null,
+    isActive,
+    isSubmitting,
+    submit,
+    cancel,
+    refresh
+  };
+}
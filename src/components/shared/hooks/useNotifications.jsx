@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from "react";
+import { base44 } from "@/api/base44Client";
+import { toast } from "sonner";
+
+const INBOX_LIMIT = 50;
+
+/**
+ * Custom hook for the in-app notification inbox
+ * Loads the current user's Notification records, polls for new ones and
+ * keeps per-project mute rules in the user's preferences
+ */
+export function useNotifications({ pollInterval = 60000 } = {}) {
+  const [user, setUser] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const email = user?.email;
+
+  const refresh = useCallback(async () => {
+    if (!email) return;
+    try {
+      const items = await base44.entities.Notification.filter({ recipient: email }, '-created_date', INBOX_LIMIT);
+      setNotifications(items);
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [email]);
+
+  const markRead = useCallback(async (ids) => {
+    const readAt = new Date().toISOString();
+    setNotifications(prev => prev.map(n => (ids.includes(n.id) ? { ...n, read: true, read_at: readAt } : n)));
+    try {
+      await Promise.all(ids.map(id => base44.entities.Notification.update(id, { read: true, read_at: readAt })));
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      refresh();
+    }
+  }, [refresh]);
+
+  // Replaces the muted types for one project; an empty list unmutes it.
+  // Preferences are re-read first so settings saved elsewhere since mount survive.
+  const updateMutes = useCallback(async (projectId, types) => {
+    if (!user) return;
+    try {
+      const current = await base44.auth.me();
+      const projectMutes = { ...current.preferences?.projectMutes };
+      if (types.length > 0) {
+        projectMutes[projectId] = types;
+      } else {
+        delete projectMutes[projectId];
+      }
+
+      const preferences = { ...current.preferences, projectMutes };
+      await base44.auth.updateMe({ preferences });
+      setUser({ ...current, preferences });
+      toast.success(types.length > 0 ? "Mute rules updated" : "Project unmuted");
+    } catch (error) {
+      console.error("Error updating mute rules:", error);
+      toast.error("Failed to update mute rules");
+    }
+  }, [user]);
+
+  useEffect(() => {
+    base44.auth.me()
+      .then(setUser)
+      .catch(error => {
+        console.error("Error loading user:", error);
+        setIsLoading(false);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!email) return;
+    refresh();
+    const timer = setInterval(refresh, pollInterval);
+    return () => clearInterval(timer);
+  }, [email, refresh, pollInterval]);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(n => !n.read).length,
+    mutes: user?.preferences?.projectMutes || {},
+    isLoading,
+    markRead,
+    updateMutes,
+    refresh
+  };
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { base44 } from "@/api/base44Client";
+import { DEFAULT_WINDOW_MINUTES } from "../../../../functions/lib/telemetry";
+
+export function formatWindow(minutes) {
+  return minutes < 60 ? `${minutes} min` : `${minutes / 60} h`;
+}
+
+async function invokeTelemetry(payload) {
+  const { data } = await base44.functions.invoke('apiGateway', { route: 'telemetry', payload });
+  return data.data;
+}
+
+/**
+ * Custom hook for the project's windowed telemetry summary
+ * Polls the 'telemetry' gateway route; every service appears in
+ * `byService`, with status "unknown" when it sent no data in the window
+ */
+export function useTelemetry(projectId, { windowMinutes = DEFAULT_WINDOW_MINUTES, pollInterval = 15000 } = {}) {
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setSummary(await invokeTelemetry({ action: 'summary', project_id: projectId, window_minutes: windowMinutes }));
+      setError(null);
+    } catch (err) {
+      console.error("Error loading telemetry:", err);
+      setError(err?.response?.data?.error?.message || "Failed to load telemetry");
+    }
+    setIsLoading(false);
+  }, [projectId, windowMinutes]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    refresh();
+    const interval = setInterval(refresh, pollInterval);
+    return () => clearInterval(interval);
+  }, [refresh, pollInterval]);
+
+  const ingest = useCallback(async (sources, options = {}) => {
+    const result = await invokeTelemetry({ action: 'ingest', project_id: projectId, sources, ...options });
+    await refresh();
+    return result;
+  }, [projectId, refresh]);
+
+  const byService = useMemo(
+    () => Object.fromEntries((summary?.services || []).map(s => [s.service_id, s])),
+    [summary]
+  );
+
+  return { summary, byService, isLoading, error, refresh, ingest };
+}
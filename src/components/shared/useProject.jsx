@@ -83,6 +83,7 @@ export function useProject(projectId) {
     addService,
     updateService,
     deleteService,
-    createFromTemplate
+    createFromTemplate,
+    reload: loadProjectData
   };
 }
\ No newline at end of file
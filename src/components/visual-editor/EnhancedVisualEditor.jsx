@@ -12,7 +12,8 @@ import {
   GitPullRequest, 
   MessageSquare,
   Radio,
-  Sparkles
+  Sparkles,
+  Users
 } from "lucide-react";
 import { toast } from "sonner";
 import PropTypes from "prop-types";
@@ -20,6 +21,9 @@ import VisualEditor from "../project-detail/VisualEditor";
 import { useAICoPilot } from "../ai-copilot/useAICoPilot";
 import AICoPilotPanel from "../ai-copilot/AICoPilotPanel";
 import AICoPilotToggle from "../ai-copilot/AICoPilotToggle";
+import { useCollaboration } from "../shared/hooks/useCollaboration";
+import LivePresence from "./LivePresence";
+import FailureSimulationPanel from "./FailureSimulationPanel";
 
 const COMMUNICATION_PATTERNS = [
   { value: "rest", label: "REST API", icon: "🌐", color: "bg-blue-500" },
@@ -36,6 +40,26 @@ export default function EnhancedVisualEditor({ project, services, onUpdateServic
   const [connectionDescription, setConnectionDescription] = useState("");
   const [isGeneratingConnection, setIsGeneratingConnection] = useState(false);
   const [coPilotOpen, setCoPilotOpen] = useState(false);
+  const [liveSession, setLiveSession] = useState(null);
+  const [isLiveEditing, setIsLiveEditing] = useState(false);
+  const [impact, setImpact] = useState(null);
+
+  const live = useCollaboration({
+    project,
+    session: liveSession,
+    services,
+    enabled: isLiveEditing && Boolean(liveSession)
+  });
+
+  // While live editing, every edit goes through the shared document
+  const currentServices = isLiveEditing ? live.services : services;
+  const updateService = isLiveEditing ? live.updateService : onUpdateService;
+
+  useEffect(() => {
+    base44.entities.CollaborationSession.filter({ project_id: project.id, status: "active" }, '-created_date', 1)
+      .then(sessions => setLiveSession(sessions[0] || null))
+      .catch(error => console.error("Error loading collaboration session:", error));
+  }, [project.id]);
 
   const {
     suggestions,
@@ -80,7 +104,7 @@ export default function EnhancedVisualEditor({ project, services, onUpdateServic
 CONNECTION: ${connectionDescription}
 
 PROJECT CONTEXT:
-- Services: ${services.map(s => s.name).join(", ")}
+- Services: ${currentServices.map(s => s.name).join(", ")}
 - Architecture: ${project.architecture_pattern}
 
 Determine:
@@ -115,11 +139,11 @@ Return as structured JSON.`;
       });
 
       // Find the services
-      const fromService = services.find(s => 
+      const fromService = currentServices.find(s => 
         s.name.toLowerCase().includes(result.from_service.toLowerCase()) ||
         result.from_service.toLowerCase().includes(s.name.toLowerCase())
       );
-      const toService = services.find(s => 
+      const toService = currentServices.find(s => 
         s.name.toLowerCase().includes(result.to_service.toLowerCase()) ||
         result.to_service.toLowerCase().includes(s.name.toLowerCase())
       );
@@ -133,7 +157,7 @@ Return as structured JSON.`;
       // Update the connection
       const currentDeps = fromService.depends_on || [];
       if (!currentDeps.includes(toService.id)) {
-        await onUpdateService(fromService.id, {
+        await updateService(fromService.id, {
           depends_on: [...currentDeps, toService.id],
           communication_patterns: {
             ...(fromService.communication_patterns || {}),
@@ -249,6 +273,35 @@ Return as structured JSON.`;
       />
 
       <div className="space-y-6">
+        {liveSession && (
+          <Card className="bg-white border-green-200">
+            <CardContent className="p-4 flex flex-wrap items-center justify-between gap-3">
+              <div className="flex items-center gap-3">
+                <Users className="w-5 h-5 text-green-600" />
+                <div>
+                  <p className="font-medium text-gray-900">{liveSession.session_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {isLiveEditing ? "Edits merge live with everyone in this session" : "An active collaboration session is open"}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                {isLiveEditing && (
+                  <LivePresence status={live.status} peers={live.peers} selfId={live.selfId} leaderId={live.leaderId} />
+                )}
+                <Button
+                  variant={isLiveEditing ? "outline" : "default"}
+                  className={isLiveEditing ? "" : "bg-green-600 hover:bg-green-700"}
+                  onClick={() => setIsLiveEditing(!isLiveEditing)}
+                >
+                  <Radio className="w-4 h-4 mr-2" />
+                  {isLiveEditing ? "Leave Live Editing" : "Join Live Editing"}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         <Card className="bg-gradient-to-br from-blue-50 to-indigo-50 border-blue-200">
         <CardHeader>
           <CardTitle className="flex items-center gap-2 text-blue-900">
@@ -349,11 +402,23 @@ Return as structured JSON.`;
         </CardContent>
       </Card>
 
+        <FailureSimulationPanel
+          services={currentServices}
+          onUpdateService={updateService}
+          onImpactChange={setImpact}
+        />
+
         {/* Original Visual Editor */}
         <VisualEditor
-          services={services}
-          onUpdateService={onUpdateService}
-          onDeleteService={onDeleteService}
+          services={currentServices}
+          impact={impact}
+          onUpdateService={updateService}
+          onDeleteService={isLiveEditing ? live.deleteService : onDeleteService}
+          {...(isLiveEditing && {
+            collaborators: live.remotePeers,
+            onCursorMove: live.setCursor,
+            onSelectService: live.setSelection
+          })}
         />
       </div>
     </div>
@@ -0,0 +1,353 @@
+import { useEffect, useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { CheckCircle2, ShieldAlert, Wrench, X } from "lucide-react";
+import { toast } from "sonner";
+import PropTypes from "prop-types";
+import {
+  FailureModes,
+  ImpactStatus,
+  Mitigations,
+  SIMULATION_DEFAULTS,
+  edgePolicy,
+  simulateFailure
+} from "../../../functions/lib/failureImpact";
+
+const STATUS_STYLES = {
+  [ImpactStatus.DOWN]: "bg-red-100 text-red-800",
+  [ImpactStatus.DEGRADED]: "bg-amber-100 text-amber-800",
+  [ImpactStatus.HEALTHY]: "bg-green-100 text-green-800"
+};
+
+const MITIGATION_LABELS = {
+  [Mitigations.FALLBACK]: "Add a fallback",
+  [Mitigations.BULKHEAD]: "Add a bulkhead",
+  [Mitigations.CIRCUIT_BREAKER]: "Add a circuit breaker"
+};
+
+const CAUSE_LABELS = {
+  failed: "simulated failure",
+  saturated: "workers exhausted by a slow dependency",
+  dependency: "failing dependency"
+};
+
+const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+/**
+ * Marks services down or degraded, shows how the failure spreads given the
+ * resilience settings on each call, and edits those settings. The result
+ * is reported through onImpactChange so the canvas can draw it.
+ */
+export default function FailureSimulationPanel({ services, onUpdateService, onImpactChange }) {
+  const [failures, setFailures] = useState({});
+  const [edgeKey, setEdgeKey] = useState("");
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const nameOf = (id) => services.find(s => s.id === id)?.name || id;
+
+  const connections = useMemo(() => services.flatMap(service =>
+    (service.depends_on || [])
+      .filter(target => services.some(s => s.id === target))
+      .map(target => ({ key: `${service.id}>${target}`, from: service.id, to: target }))
+  ), [services]);
+
+  const result = useMemo(
+    () => Object.keys(failures).length > 0 ? simulateFailure(services, failures) : null,
+    [services, failures]
+  );
+
+  useEffect(() => {
+    onImpactChange?.(result);
+  }, [result]);
+
+  // Dropping a service from the project drops its simulated failure
+  useEffect(() => {
+    const stale = Object.keys(failures).filter(id => !services.some(s => s.id === id));
+    if (stale.length > 0) {
+      setFailures(current => Object.fromEntries(Object.entries(current).filter(([id]) => !stale.includes(id))));
+    }
+  }, [services]);
+
+  const addFailure = (serviceId) => {
+    setFailures(current => ({ ...current, [serviceId]: { mode: FailureModes.DOWN } }));
+  };
+
+  const updateFailure = (serviceId, changes) => {
+    setFailures(current => ({ ...current, [serviceId]: { ...current[serviceId], ...changes } }));
+  };
+
+  const removeFailure = (serviceId) => {
+    setFailures(current => Object.fromEntries(Object.entries(current).filter(([id]) => id !== serviceId)));
+  };
+
+  const selectConnection = (key) => {
+    const connection = connections.find(c => c.key === key);
+    const policy = edgePolicy(services.find(s => s.id === connection.from), connection.to);
+    setEdgeKey(key);
+    // `async` follows from the connection's pattern and is not stored
+    setDraft({
+      timeout_ms: policy.timeout_ms,
+      retries: policy.retries,
+      circuit_breaker: policy.circuit_breaker,
+      fallback: policy.fallback,
+      bulkhead: policy.bulkhead
+    });
+  };
+
+  const saveResilience = async (from, to, resilience) => {
+    const service = services.find(s => s.id === from);
+    const patterns = service.communication_patterns || {};
+    await onUpdateService(from, {
+      communication_patterns: {
+        ...patterns,
+        [to]: { ...(patterns[to] || {}), resilience }
+      }
+    });
+  };
+
+  const handleSaveDraft = async () => {
+    const connection = connections.find(c => c.key === edgeKey);
+    setIsSaving(true);
+    try {
+      await saveResilience(connection.from, connection.to, draft);
+      toast.success(`Saved settings for ${nameOf(connection.from)} → ${nameOf(connection.to)}`);
+    } catch (error) {
+      console.error("Error saving resilience settings:", error);
+      toast.error("Failed to save the call settings");
+    }
+    setIsSaving(false);
+  };
+
+  const handleApplySuggestion = async (suggestion) => {
+    const service = services.find(s => s.id === suggestion.from);
+    const current = service.communication_patterns?.[suggestion.to]?.resilience || {};
+    try {
+      await saveResilience(suggestion.from, suggestion.to, { ...current, [suggestion.mitigation]: true });
+      toast.success(`${MITIGATION_LABELS[suggestion.mitigation]} on ${nameOf(suggestion.from)} → ${nameOf(suggestion.to)}`);
+      if (edgeKey === `${suggestion.from}>${suggestion.to}`) setDraft(d => ({ ...d, [suggestion.mitigation]: true }));
+    } catch (error) {
+      console.error("Error applying mitigation:", error);
+      toast.error("Failed to apply the mitigation");
+    }
+  };
+
+  const available = services.filter(s => !failures[s.id]);
+  const affected = result ? result.services.filter(s => s.status !== ImpactStatus.HEALTHY) : [];
+
+  return (
+    <Card className="bg-white border-red-200">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-red-900">
+          <span className="flex items-center gap-2">
+            <ShieldAlert className="w-6 h-6" />
+            Failure Simulation
+          </span>
+          {result && (
+            <Button size="sm" variant="outline" onClick={() => setFailures({})}>
+              Clear
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          {Object.entries(failures).map(([serviceId, failure]) => (
+            <div key={serviceId} className="flex flex-wrap items-center gap-2 p-2 rounded-lg border bg-gray-50">
+              <span className="font-medium text-sm text-gray-900 min-w-[8rem]">{nameOf(serviceId)}</span>
+              <Select value={failure.mode} onValueChange={(mode) => updateFailure(serviceId, { mode })}>
+                <SelectTrigger className="w-32 h-8">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={FailureModes.DOWN}>Down</SelectItem>
+                  <SelectItem value={FailureModes.DEGRADED}>Degraded</SelectItem>
+                </SelectContent>
+              </Select>
+              {failure.mode === FailureModes.DEGRADED && (
+                <>
+                  <Input
+                    type="number"
+                    min="0"
+                    max="100"
+                    className="w-24 h-8"
+                    value={Math.round((failure.error_rate ?? SIMULATION_DEFAULTS.degraded_error_rate) * 100)}
+                    onChange={(e) => updateFailure(serviceId, { error_rate: Number(e.target.value) / 100 })}
+                  />
+                  <span className="text-xs text-gray-500">% errors</span>
+                  <Input
+                    type="number"
+                    min="0"
+                    className="w-24 h-8"
+                    value={failure.latency_ms ?? SIMULATION_DEFAULTS.degraded_latency_ms}
+                    onChange={(e) => updateFailure(serviceId, { latency_ms: Number(e.target.value) })}
+                  />
+                  <span className="text-xs text-gray-500">ms</span>
+                </>
+              )}
+              <Button size="icon" variant="ghost" className="h-8 w-8 ml-auto" onClick={() => removeFailure(serviceId)}>
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+
+          {available.length > 0 && (
+            <Select value="" onValueChange={addFailure}>
+              <SelectTrigger className="w-64">
+                <SelectValue placeholder="Fail a service..." />
+              </SelectTrigger>
+              <SelectContent>
+                {available.map(service => (
+                  <SelectItem key={service.id} value={service.id}>{service.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+
+        {result && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              <Badge className={STATUS_STYLES[ImpactStatus.DOWN]}>{result.summary.down} down</Badge>
+              <Badge className={STATUS_STYLES[ImpactStatus.DEGRADED]}>{result.summary.degraded} degraded</Badge>
+              <Badge className={STATUS_STYLES[ImpactStatus.HEALTHY]}>{result.summary.healthy} healthy</Badge>
+            </div>
+
+            <div className="p-3 rounded-lg border">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">User-facing services</h4>
+              {result.user_facing.down.length + result.user_facing.degraded.length === 0 ? (
+                <p className="flex items-center gap-2 text-sm text-gray-600">
+                  <CheckCircle2 className="w-4 h-4 text-green-600" />
+                  All {result.user_facing.total} user-facing service(s) keep working.
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {result.user_facing.down.map(id => (
+                    <Badge key={id} className={STATUS_STYLES[ImpactStatus.DOWN]}>{nameOf(id)} down</Badge>
+                  ))}
+                  {result.user_facing.degraded.map(id => (
+                    <Badge key={id} className={STATUS_STYLES[ImpactStatus.DEGRADED]}>{nameOf(id)} degraded</Badge>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {affected.length > 0 && (
+              <div className="space-y-1">
+                <h4 className="text-sm font-semibold text-gray-900">Affected services</h4>
+                {affected.map(service => (
+                  <div key={service.id} className="flex flex-wrap items-center gap-2 text-sm">
+                    <Badge className={`${STATUS_STYLES[service.status]} capitalize`}>{service.status}</Badge>
+                    <span className="font-medium text-gray-900">{service.name}</span>
+                    <span className="text-gray-600">{percent(service.error_rate)} errors, {service.latency_ms} ms</span>
+                    {service.cause && <span className="text-xs text-gray-500">({CAUSE_LABELS[service.cause]})</span>}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {result.suggestions.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-semibold text-gray-900">Where to contain it</h4>
+                {result.suggestions.map(suggestion => (
+                  <div
+                    key={`${suggestion.from}>${suggestion.to}:${suggestion.mitigation}`}
+                    className="flex flex-wrap items-center justify-between gap-2 p-2 rounded-lg bg-green-50 border border-green-200"
+                  >
+                    <div className="text-sm">
+                      <span className="font-medium text-gray-900">{MITIGATION_LABELS[suggestion.mitigation]}</span>
+                      <span className="text-gray-600"> on {nameOf(suggestion.from)} → {nameOf(suggestion.to)}</span>
+                      {suggestion.spared.length > 0 && (
+                        <span className="text-green-700"> spares {suggestion.spared.map(nameOf).join(", ")}</span>
+                      )}
+                    </div>
+                    <Button size="sm" variant="outline" onClick={() => handleApplySuggestion(suggestion)}>
+                      Apply
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {connections.length > 0 && (
+          <div className="p-3 rounded-lg border space-y-3">
+            <div className="flex items-center gap-2">
+              <Wrench className="w-4 h-4 text-gray-600" />
+              <h4 className="text-sm font-semibold text-gray-900">Call settings</h4>
+            </div>
+            <Select value={edgeKey} onValueChange={selectConnection}>
+              <SelectTrigger className="w-72">
+                <SelectValue placeholder="Choose a connection..." />
+              </SelectTrigger>
+              <SelectContent>
+                {connections.map(connection => (
+                  <SelectItem key={connection.key} value={connection.key}>
+                    {nameOf(connection.from)} → {nameOf(connection.to)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            {draft && (
+              <div className="space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-1">
+                    <Label htmlFor="resilience-timeout" className="text-xs">Timeout (ms)</Label>
+                    <Input
+                      id="resilience-timeout"
+                      type="number"
+                      min="1"
+                      value={draft.timeout_ms}
+                      onChange={(e) => setDraft({ ...draft, timeout_ms: Number(e.target.value) })}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="resilience-retries" className="text-xs">Retries</Label>
+                    <Input
+                      id="resilience-retries"
+                      type="number"
+                      min="0"
+                      max="10"
+                      value={draft.retries}
+                      onChange={(e) => setDraft({ ...draft, retries: Number(e.target.value) })}
+                    />
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-4">
+                  {[Mitigations.CIRCUIT_BREAKER, Mitigations.FALLBACK, Mitigations.BULKHEAD].map(setting => (
+                    <div key={setting} className="flex items-center gap-2">
+                      <Switch
+                        id={`resilience-${setting}`}
+                        checked={draft[setting]}
+                        onCheckedChange={(checked) => setDraft({ ...draft, [setting]: checked })}
+                      />
+                      <Label htmlFor={`resilience-${setting}`} className="text-sm capitalize">
+                        {setting.replace("_", " ")}
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+                <Button size="sm" onClick={handleSaveDraft} disabled={isSaving} className="bg-red-600 hover:bg-red-700 text-white">
+                  {isSaving ? "Saving..." : "Save Settings"}
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+FailureSimulationPanel.propTypes = {
+  services: PropTypes.array.isRequired,
+  onUpdateService: PropTypes.func.isRequired,
+  onImpactChange: PropTypes.func
+};
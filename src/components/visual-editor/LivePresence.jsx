@@ -0,0 +1,76 @@
+import { Badge } from "@/components/ui/badge";
+import { Crown, Wifi, WifiOff, Loader2 } from "lucide-react";
+import PropTypes from "prop-types";
+import { ConnectionStatus } from "../shared/hooks/useCollaboration";
+
+const STATUS_BADGES = {
+  [ConnectionStatus.IDLE]: { label: "Not connected", className: "bg-gray-100 text-gray-700", icon: WifiOff },
+  [ConnectionStatus.CONNECTING]: { label: "Connecting", className: "bg-yellow-100 text-yellow-800", icon: Loader2 },
+  [ConnectionStatus.LIVE]: { label: "Live", className: "bg-green-100 text-green-800", icon: Wifi },
+  [ConnectionStatus.OFFLINE]: { label: "Offline, edits queued", className: "bg-red-100 text-red-800", icon: WifiOff }
+};
+
+function initials(peer) {
+  const source = peer.name || peer.email || "?";
+  return source.split(/[\s@.]+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join("");
+}
+
+export default function LivePresence({ status, peers, selfId, leaderId, showNames = false }) {
+  const badge = STATUS_BADGES[status] || STATUS_BADGES[ConnectionStatus.IDLE];
+  const StatusIcon = badge.icon;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <Badge className={badge.className}>
+        <StatusIcon className={`w-3 h-3 mr-1 ${status === ConnectionStatus.CONNECTING ? "animate-spin" : ""}`} />
+        {badge.label}
+      </Badge>
+
+      {showNames ? (
+        <div className="space-y-2 w-full">
+          {peers.map(peer => (
+            <div key={peer.peer_id} className="flex items-center justify-between bg-gray-50 p-2 rounded">
+              <span className="flex items-center gap-2 text-sm">
+                <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: peer.colour }} />
+                {peer.name}
+                {peer.peer_id === selfId && <span className="text-gray-500">(you)</span>}
+              </span>
+              {peer.peer_id === leaderId && (
+                <Badge variant="outline" title="Saves merged changes">
+                  <Crown className="w-3 h-3 mr-1" />
+                  Saving
+                </Badge>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="flex -space-x-2">
+          {peers.map(peer => (
+            <div
+              key={peer.peer_id}
+              title={`${peer.name}${peer.peer_id === selfId ? " (you)" : ""}`}
+              className="w-8 h-8 rounded-full border-2 border-white flex items-center justify-center text-xs font-semibold text-white"
+              style={{ backgroundColor: peer.colour }}
+            >
+              {initials(peer)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+LivePresence.propTypes = {
+  status: PropTypes.oneOf(Object.values(ConnectionStatus)).isRequired,
+  peers: PropTypes.arrayOf(PropTypes.shape({
+    peer_id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    email: PropTypes.string,
+    colour: PropTypes.string
+  })).isRequired,
+  selfId: PropTypes.string,
+  leaderId: PropTypes.string,
+  showNames: PropTypes.bool
+};
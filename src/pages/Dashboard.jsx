@@ -11,10 +11,15 @@ import StatsOverview from "../components/dashboard/StatsOverview";
 import RecentProjects from "../components/dashboard/RecentProjects";
 import TrendingTechnologies from "../components/dashboard/TrendingTechnologies";
 import SystemHealth from "../components/dashboard/SystemHealth";
+import { summariseTelemetry } from "../../functions/lib/telemetry";
+
+// Telemetry samples read for the dashboard health card (15-minute window)
+const HEALTH_SAMPLE_LIMIT = 2000;
 
 export default function Dashboard() {
   const [projects, setProjects] = useState([]);
   const [services, setServices] = useState([]);
+  const [telemetrySamples, setTelemetrySamples] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
@@ -35,6 +40,12 @@ export default function Dashboard() {
       console.error("Error loading dashboard data:", error);
     }
     setIsLoading(false);
+
+    try {
+      setTelemetrySamples(await base44.entities.TelemetrySample.list('-bucket_start', HEALTH_SAMPLE_LIMIT));
+    } catch (error) {
+      console.error("Error loading telemetry:", error);
+    }
   };
 
   const stats = {
@@ -44,6 +55,8 @@ export default function Dashboard() {
     totalIntegrations: projects.reduce((sum, p) => sum + (p.integrations_count || 0), 0)
   };
 
+  const health = summariseTelemetry(telemetrySamples, services).overall;
+
   return (
     <div className="p-6 md:p-8 space-y-8 relative">
       {/* Golden hour lighting effect */}
@@ -118,7 +131,7 @@ export default function Dashboard() {
 
           <div className="space-y-6">
             <TrendingTechnologies services={services} isLoading={isLoading} />
-            <SystemHealth stats={stats} />
+            <SystemHealth stats={stats} health={health} />
           </div>
         </StaggeredContainer>
       </div>
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useLocation, Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { Button } from "@/components/ui/button";
@@ -10,15 +10,27 @@ import ProjectHeader from "../components/project-detail/ProjectHeader";
 import AddServiceModal from "../components/project-detail/AddServiceModal";
 import ServiceTemplates from "../components/project-detail/ServiceTemplates";
 
+const DEFAULT_TAB = "assistant";
+
+function resolveTab(tabId) {
+  return tabConfig.some(tab => tab.id === tabId) ? tabId : DEFAULT_TAB;
+}
+
 export default function ProjectDetail() {
   const location = useLocation();
   const urlParams = new URLSearchParams(location.search);
   const projectId = urlParams.get("id");
 
-  const { project, services, isLoading, addService, updateService, deleteService, createFromTemplate } = useProject(projectId);
+  const { project, services, isLoading, addService, updateService, deleteService, createFromTemplate, reload } = useProject(projectId);
   const [showAddService, setShowAddService] = useState(false);
   const [showTemplates, setShowTemplates] = useState(false);
-  const [activeTab, setActiveTab] = useState("assistant");
+  // Deep links (e.g. from notifications) open a tab via ?tab=<tabConfig id>
+  const requestedTab = urlParams.get("tab");
+  const [activeTab, setActiveTab] = useState(resolveTab(requestedTab));
+
+  useEffect(() => {
+    if (requestedTab) setActiveTab(resolveTab(requestedTab));
+  }, [requestedTab]);
 
   const handleAddService = async (serviceData) => {
     await addService(serviceData);
@@ -58,7 +70,8 @@ export default function ProjectDetail() {
     project,
     services,
     onUpdateService: updateService,
-    onDeleteService: deleteService
+    onDeleteService: deleteService,
+    onReload: reload
   };
 
   return (
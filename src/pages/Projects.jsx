@@ -1,18 +1,20 @@
 import React, { useState, useEffect } from "react";
 import { base44 } from "@/api/base44Client";
 import { Button } from "@/components/ui/button";
-import { Plus, Search, Filter } from "lucide-react";
+import { Plus, Search, Filter, Upload } from "lucide-react";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { motion, AnimatePresence } from "framer-motion";
 
 import ProjectCard from "../components/projects/ProjectCard";
 import CreateProjectModal from "../components/projects/CreateProjectModal";
+import ImportProjectModal from "../components/projects/ImportProjectModal";
 
 export default function ProjectsPage() {
   const [projects, setProjects] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [categoryFilter, setCategoryFilter] = useState("all");
   const [statusFilter, setStatusFilter] = useState("all");
@@ -300,13 +302,23 @@ ${template.security_compliance.certifications?.map(cert => `- ${cert}`).join('\n
               Manage your microservices architecture projects
             </p>
           </div>
-          <Button 
-            onClick={() => setShowCreateModal(true)}
-            className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white shadow-lg hover:shadow-xl transition-all duration-300"
-          >
-            <Plus className="w-5 h-5 mr-2" />
-            New Project
-          </Button>
+          <div className="flex gap-3">
+            <Button
+              variant="outline"
+              onClick={() => setShowImportModal(true)}
+              className="shadow-sm"
+            >
+              <Upload className="w-5 h-5 mr-2" />
+              Import Project
+            </Button>
+            <Button 
+              onClick={() => setShowCreateModal(true)}
+              className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white shadow-lg hover:shadow-xl transition-all duration-300"
+            >
+              <Plus className="w-5 h-5 mr-2" />
+              New Project
+            </Button>
+          </div>
         </motion.div>
 
         {/* Filters */}
@@ -410,6 +422,13 @@ ${template.security_compliance.certifications?.map(cert => `- ${cert}`).join('\n
           onClose={() => setShowCreateModal(false)}
           onSubmit={handleCreateProject}
         />
+
+        {/* Import Project Modal */}
+        <ImportProjectModal
+          open={showImportModal}
+          onOpenChange={setShowImportModal}
+          onSuccess={loadProjects}
+        />
       </div>
     </div>
   );